@@ -0,0 +1,713 @@
+import crypto from "crypto";
+import express from "express";
+import { COLORS } from "./validate-config.js";
+import { MILESTONE_STATUSES, ORDER_STATUSES, canTransition, nextStatuses, statusLabel } from "./order-status.js";
+import { renderPieceSvg } from "./piece-svg.js";
+import { REFUND_LINES, refundableLines } from "./refunds.js";
+
+const esc = (v) => String(v ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" }[c]));
+const money = (dollars) => (Number.isFinite(+dollars) ? `$${(+dollars).toFixed(2)}` : "N/A");
+const cents = (c) => (c == null ? "N/A" : money(c / 100));
+const pct = (rate) => (Number.isFinite(+rate) ? `${(+rate * 100).toFixed(3).replace(/\.?0+$/, "")}%` : "N/A");
+const day = (iso) => String(iso || "").slice(0, 10);
+
+function sameSecret(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// HTTP Basic auth for staff pages. With no password configured the admin
+// area stays closed rather than open.
+export function adminAuth({ user, password }) {
+  return (req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+    if (!password) return res.status(503).type("text/plain").send("Admin is disabled: ADMIN_PASSWORD is not set");
+    const [scheme, encoded] = String(req.headers.authorization || "").split(" ");
+    if (scheme === "Basic" && encoded) {
+      const decoded = Buffer.from(encoded, "base64").toString("utf8");
+      const sep = decoded.indexOf(":");
+      const okUser = sameSecret(decoded.slice(0, sep), user);
+      const okPass = sameSecret(decoded.slice(sep + 1), password);
+      if (sep > -1 && okUser && okPass) {
+        req.adminUser = decoded.slice(0, sep);
+        return next();
+      }
+    }
+    res.set("WWW-Authenticate", 'Basic realm="RCG Admin", charset="UTF-8"');
+    return res.status(401).type("text/plain").send("Authentication required");
+  };
+}
+
+export function failedSteps(order) {
+  return Object.entries(order?.effects || {}).filter(([, e]) => e && !e.done).map(([k]) => k);
+}
+
+function openDisputes(order) {
+  return (order.disputes || []).filter((d) => !["won", "lost"].includes(d.status));
+}
+
+// Orders a person has to look at before production: a ZIP change we could
+// not re-price, a balance still owed, an open dispute, a side effect that
+// keeps failing, or an email the outbox gave up on (`deadMail`: order IDs).
+export function needsReview(order, { deadMail } = {}) {
+  return (order.zipMismatch && !order.balance) ||
+    order.balance?.status === "open" ||
+    order.status === "payment_failed" ||
+    openDisputes(order).length > 0 ||
+    failedSteps(order).length > 0 ||
+    !!deadMail?.has(order.id);
+}
+
+function flags(order, { deadMail } = {}) {
+  const out = [];
+  if (order.zipMismatch) out.push(order.balance ? "ZIP re-quoted" : "ZIP mismatch");
+  if (order.balance?.status === "open") out.push("Balance due");
+  if (order.status === "payment_pending") out.push("Payment pending");
+  if (order.status === "payment_failed") out.push("Payment failed");
+  if (order.refundedCents && order.status !== "refunded") out.push(`Refunded ${cents(order.refundedCents)}`);
+  openDisputes(order).forEach((d) => out.push(`Dispute: ${d.reason || "open"}`));
+  failedSteps(order).forEach((s) => out.push(`${s} failed`));
+  if (deadMail?.has(order.id)) out.push("Email undelivered");
+  return out;
+}
+
+function page(title, body, base) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)} - RCG Admin</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 0; color: #111; background: #fff; }
+  header { background: #ffc400; padding: 12px 20px; font-weight: 800; }
+  header a { color: #111; text-decoration: none; }
+  main { padding: 16px 20px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #fafafa; }
+  form.filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: end; margin: 0 0 14px; font-size: 13px; }
+  form.filters label { display: flex; flex-direction: column; gap: 2px; }
+  .flag { display: inline-block; background: #fff1f2; color: #8a1020; border: 1px solid #f3b6bd; border-radius: 4px; padding: 1px 6px; margin: 0 4px 2px 0; font-size: 12px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+  .card { background: #fafafa; border: 1px solid #eee; border-radius: 8px; padding: 12px 14px; }
+  .card h3 { margin: 0 0 8px; font-size: 15px; }
+  pre { white-space: pre-wrap; word-break: break-word; font-size: 12px; }
+  .muted { color: #666; }
+</style>
+</head>
+<body>
+<header><a href="${esc(base)}/">RCG Admin</a></header>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function renderList(list, filters, total, base, { deadMail }) {
+  const colorOpts = ["", ...COLORS]
+    .map((c) => `<option value="${esc(c)}"${filters.color === c ? " selected" : ""}>${esc(c || "Any stone")}</option>`)
+    .join("");
+  const statusOpts = ["", ...Object.keys(ORDER_STATUSES)]
+    .map((st) => `<option value="${esc(st)}"${filters.status === st ? " selected" : ""}>${esc(st ? statusLabel(st) : "Any status")}</option>`)
+    .join("");
+  const rows = list.map((o) => `
+    <tr>
+      <td>${esc(o.createdAt?.replace("T", " ").slice(0, 16))}</td>
+      <td><a href="${esc(base)}/orders/${encodeURIComponent(o.id)}">${esc(o.shortId || o.id)}</a></td>
+      <td>${esc(statusLabel(o.status))}</td>
+      <td>${esc(o.customerEmail || "N/A")}</td>
+      <td>${cents(o.amountTotal)}</td>
+      <td>${esc(o.quotedZip || "N/A")}</td>
+      <td>${esc(o.shipZip || "N/A")}</td>
+      <td>${esc(o.config?.color || "N/A")}</td>
+      <td>${flags(o, { deadMail }).map((f) => `<span class="flag">${esc(f)}</span>`).join("")}</td>
+    </tr>`).join("");
+  return page("Orders", `
+  <h2 style="margin:0 0 12px;">Orders</h2>
+  <p><a href="${esc(base)}/outbox">Email outbox</a> | <a href="${esc(base)}/email-preview">Email templates</a>${deadMail.size ? ` <span class="flag">undelivered emails on ${deadMail.size} order(s)</span>` : ""}</p>
+  <form class="filters" method="get" action="${esc(base)}/">
+    <label>From <input type="date" name="from" value="${esc(filters.from)}"></label>
+    <label>To <input type="date" name="to" value="${esc(filters.to)}"></label>
+    <label>Stone <select name="color">${colorOpts}</select></label>
+    <label>Status <select name="status">${statusOpts}</select></label>
+    <label><span><input type="checkbox" name="review" value="1"${filters.review ? " checked" : ""}> Needs review</span></label>
+    <button type="submit">Filter</button>
+    <a href="${esc(base)}/">Clear</a>
+  </form>
+  <p class="muted">${list.length} of ${total} orders</p>
+  <table>
+    <thead><tr><th>Created (UTC)</th><th>Order</th><th>Status</th><th>Customer</th><th>Total</th><th>Quoted ZIP</th><th>Ship ZIP</th><th>Stone</th><th>Flags</th></tr></thead>
+    <tbody>${rows || `<tr><td colspan="9" class="muted">No orders match.</td></tr>`}</tbody>
+  </table>`, base);
+}
+
+function kv(rows) {
+  return `<table>${rows.map(([k, v]) => `<tr><th style="width:40%">${esc(k)}</th><td>${v}</td></tr>`).join("")}</table>`;
+}
+
+function dimsText(cfg) {
+  const d = cfg?.dims || {};
+  if (cfg?.shape === "rectangle") return `${d.L}" x ${d.W}"`;
+  if (cfg?.shape === "circle") return `${d.D}" diameter`;
+  if (cfg?.shape === "polygon") return `${d.n} sides, ${d.A}" side`;
+  return "N/A";
+}
+
+function renderStatusForm(o, base) {
+  const options = nextStatuses(o.status)
+    .map((st) => `<option value="${esc(st)}">${esc(statusLabel(st))}</option>`)
+    .join("");
+  if (!options) return `<p class="muted">No further status changes.</p>`;
+  const sh = o.shipment || {};
+  return `<form method="post" action="${esc(base)}/orders/${encodeURIComponent(o.id)}/status" style="display:grid;gap:6px;font-size:13px;">
+      <label>Move to <select name="status">${options}</select></label>
+      <label>Note (staff only) <input name="note" maxlength="500" style="width:100%"></label>
+      <label>Carrier <input name="carrier" value="${esc(sh.carrier)}" maxlength="100"></label>
+      <label>Tracking / PRO # <input name="trackingNumber" value="${esc(sh.trackingNumber)}" maxlength="100"></label>
+      <label>Tracking URL <input name="trackingUrl" type="url" value="${esc(sh.trackingUrl)}" style="width:100%"></label>
+      <label><span><input type="checkbox" name="notify" value="1" checked> Email the customer (${esc(MILESTONE_STATUSES.map(statusLabel).join(", "))} only)</span></label>
+      <button type="submit">Update status</button>
+    </form>`;
+}
+
+// An email that reached the outbox shows its current delivery status there,
+// so a queued send reads "sent" once a retry gets it out.
+function emailResult(e, delivery) {
+  if (e.suppressed) return "suppressed";
+  if (e.outboxId) return delivery.get(e.outboxId) || e.status || "sent";
+  return e.ok ? "sent" : `failed: ${e.error}`;
+}
+
+function renderEmailLog(o, base, mail) {
+  const delivery = new Map(mail.map((m) => [m.id, m.status]));
+  const rows = (o.emails || []).slice().reverse().map((e) => `
+    <tr><td>${esc(e.kind === "refund" ? "Refund" : statusLabel(e.kind))}</td><td>${esc(e.at)}</td><td>${esc(e.by)}</td><td>${esc(emailResult(e, delivery))}</td></tr>`).join("");
+  const reached = new Set((o.history || []).map((h) => h.status));
+  const buttons = MILESTONE_STATUSES.filter((m) => reached.has(m)).map((m) => `
+    <form method="post" action="${esc(base)}/orders/${encodeURIComponent(o.id)}/emails/${m}" style="display:inline;">
+      <button type="submit">Resend "${esc(statusLabel(m))}"</button>
+    </form>`).join("");
+  return `<table><thead><tr><th>Email</th><th>At</th><th>By</th><th>Result</th></tr></thead><tbody>${rows || `<tr><td colspan="4" class="muted">No status emails yet.</td></tr>`}</tbody></table>
+    <p>${buttons}</p>
+    <p><a href="${esc(base)}/email-preview?order=${encodeURIComponent(o.id)}">Preview emails for this order</a></p>`;
+}
+
+function renderRefunds(o, base) {
+  const rows = (o.refunds || []).slice().reverse().map((r) => `
+    <tr><td>${esc(REFUND_LINES[r.line] || (r.line === "cancellation" ? "Cancellation" : r.line))}</td><td>${cents(r.amountCents)}</td><td>${esc(r.at)}</td><td>${esc(r.by)}</td><td>${esc(r.reason)}</td><td>${esc(r.id)}</td></tr>`).join("");
+  const { remainingTotal, lines } = refundableLines(o);
+  const action = `${esc(base)}/orders/${encodeURIComponent(o.id)}`;
+  const options = Object.entries(lines)
+    .filter(([, l]) => l.remainingCents > 0)
+    .map(([key, l]) => `<option value="${esc(key)}">${esc(l.label)} (up to ${cents(l.remainingCents)})</option>`)
+    .join("");
+  const refundForm = options && o.paymentIntentId
+    ? `<form method="post" action="${action}/refunds" style="display:grid;gap:6px;font-size:13px;">
+      <label>Line <select name="line">${options}</select></label>
+      <label>Amount in dollars (blank = all that is left on the line) <input name="amount" inputmode="decimal" pattern="\\d+(\\.\\d{1,2})?"></label>
+      <label>Reason <input name="reason" required maxlength="500" style="width:100%"></label>
+      <label><span><input type="checkbox" name="notify" value="1" checked> Email the customer a refund confirmation</span></label>
+      <button type="submit">Issue partial refund</button>
+    </form>`
+    : "";
+  const cancelForm = canTransition(o.status, "cancelled")
+    ? `<form method="post" action="${action}/cancel" style="display:grid;gap:6px;font-size:13px;margin-top:12px;" onsubmit="return confirm('Cancel this order and refund ${cents(remainingTotal)}?');">
+      <label>Cancellation reason <input name="reason" required maxlength="500" style="width:100%"></label>
+      <label><span><input type="checkbox" name="notify" value="1" checked> Email the customer</span></label>
+      <button type="submit">Cancel order and refund ${cents(remainingTotal)}</button>
+    </form>`
+    : "";
+  return `<p>Refunded so far: ${cents((o.amountTotal || 0) - remainingTotal)} of ${cents(o.amountTotal)}</p>
+    <table><thead><tr><th>Line</th><th>Amount</th><th>At</th><th>By</th><th>Reason</th><th>Stripe refund</th></tr></thead><tbody>${rows || `<tr><td colspan="6" class="muted">No staff refunds.</td></tr>`}</tbody></table>
+    ${refundForm}${cancelForm}`;
+}
+
+function renderOutboxTable(messages, base, { showOrder = false } = {}) {
+  const rows = messages.map((m) => `
+    <tr>
+      <td>${esc(m.createdAt?.replace("T", " ").slice(0, 19))}</td>
+      ${showOrder ? `<td>${m.orderId ? `<a href="${esc(base)}/orders/${encodeURIComponent(m.orderId)}">${esc(m.orderId.replace(/^cs_(test|live)_/, "").slice(0, 10))}</a>` : ""}</td>` : ""}
+      <td>${esc(m.kind || "")}</td>
+      <td>${esc((m.to || []).join(", "))}</td>
+      <td>${esc(m.subject)}</td>
+      <td>${m.status === "dead" ? `<span class="flag">dead</span>` : esc(m.status)}</td>
+      <td>${esc(m.attempts)}${m.rateLimited ? ` (+${esc(m.rateLimited)} rate limited)` : ""}</td>
+      <td>${esc(m.status === "sent" ? m.sentAt : m.nextAttemptAt || "")}</td>
+      <td>${esc(m.lastError || "")}</td>
+      <td>${m.message && (m.status === "dead" || m.status === "sent") ? `<form method="post" action="${esc(base)}/outbox/${encodeURIComponent(m.id)}/resend" style="display:inline;"><button type="submit">Resend</button></form>` : ""}</td>
+    </tr>`).join("");
+  const cols = showOrder ? 10 : 9;
+  return `<table><thead><tr><th>Queued</th>${showOrder ? "<th>Order</th>" : ""}<th>Kind</th><th>To</th><th>Subject</th><th>Status</th><th>Tries</th><th>Sent / next try</th><th>Last error</th><th></th></tr></thead>
+    <tbody>${rows || `<tr><td colspan="${cols}" class="muted">No messages.</td></tr>`}</tbody></table>`;
+}
+
+const OUTBOX_VIEWS = { pending: "Undelivered", dead: "Dead", queued: "Retrying", sent: "Sent", all: "All" };
+
+function renderOutbox(messages, view, base) {
+  const tabs = Object.entries(OUTBOX_VIEWS)
+    .map(([key, label]) => (key === view ? `<strong>${esc(label)}</strong>` : `<a href="${esc(base)}/outbox?status=${key}">${esc(label)}</a>`))
+    .join(" | ");
+  return page("Email outbox", `
+  <p><a href="${esc(base)}/">&larr; All orders</a></p>
+  <h2 style="margin:0 0 12px;">Email outbox</h2>
+  <p>${tabs}</p>
+  <p class="muted">Failed sends are retried with backoff; "dead" messages ran out of attempts and go out again only when resent.</p>
+  ${renderOutboxTable(messages, base, { showOrder: true })}`, base);
+}
+
+function renderPreviewIndex(names, orderId, base) {
+  const q = orderId ? `?order=${encodeURIComponent(orderId)}` : "";
+  const rows = names.map((n) => `
+    <tr><td>${esc(n)}</td><td><a href="${esc(base)}/email-preview/${encodeURIComponent(n)}${q}">HTML</a> | <a href="${esc(base)}/email-preview/${encodeURIComponent(n)}${q ? `${q}&` : "?"}format=text">Text</a></td></tr>`).join("");
+  return page("Email templates", `
+  <p><a href="${esc(base)}/">&larr; All orders</a></p>
+  <h2 style="margin:0 0 12px;">Email templates</h2>
+  <form class="filters" method="get" action="${esc(base)}/email-preview">
+    <label>Order ID <input name="order" value="${esc(orderId)}" placeholder="cs_... (blank for a sample order)" size="40"></label>
+    <button type="submit">Use order</button>
+  </form>
+  <p class="muted">Rendering against ${orderId ? `order ${esc(orderId)}` : "a sample order"}. Templates live in emails/; outside production, edits show up on reload.</p>
+  <table><thead><tr><th>Template</th><th>Preview</th></tr></thead><tbody>${rows}</tbody></table>`, base);
+}
+
+function renderPreview(name, email, { orderId, milestone, cancelled }, base) {
+  const q = (extra) => {
+    const params = new URLSearchParams({ ...(orderId ? { order: orderId } : {}), ...extra });
+    return `${esc(base)}/email-preview/${encodeURIComponent(name)}${params.size ? `?${esc(params.toString())}` : ""}`;
+  };
+  const variants = name === "milestone"
+    ? MILESTONE_STATUSES.map((m) => (m === milestone ? `<strong>${esc(statusLabel(m))}</strong>` : `<a href="${q({ milestone: m })}">${esc(statusLabel(m))}</a>`)).join(" | ")
+    : name === "refund"
+      ? [cancelled ? `<a href="${q({})}">Refund</a>` : "<strong>Refund</strong>", cancelled ? "<strong>Cancellation</strong>" : `<a href="${q({ cancelled: "1" })}">Cancellation</a>`].join(" | ")
+      : "";
+  return page(`Email: ${name}`, `
+  <p><a href="${esc(base)}/email-preview${orderId ? `?order=${encodeURIComponent(orderId)}` : ""}">&larr; All templates</a></p>
+  <h2 style="margin:0 0 12px;">${esc(name)}</h2>
+  ${variants ? `<p>${variants}</p>` : ""}
+  <p><strong>Subject:</strong> ${esc(email.subject)}</p>
+  <p class="muted">${orderId ? `Order ${esc(orderId)}` : "Sample order"} | <a href="${q({ ...(milestone ? { milestone } : {}), ...(cancelled ? { cancelled: "1" } : {}), format: "text" })}">Text version</a></p>
+  <iframe title="Email preview" srcdoc="${esc(email.html)}" style="width:100%;max-width:720px;height:900px;border:1px solid #eee;"></iframe>`, base);
+}
+
+function renderDetail(o, { originZip, base, statusUrl, mail = [] }) {
+  const cfg = o.config || {};
+  const p = o.pricing;
+  const dxfName = o.effects?.dxf?.filename;
+  const cnc = o.effects?.cncDxf?.done ? o.effects.cncDxf : null;
+  const svg = o.config ? renderPieceSvg(cfg, { width: 520 }) : "";
+  const sinks = (cfg.sinks || []).map((s, i) => `Sink ${i + 1}: ${esc(s.key)} at (${esc(s.x)}, ${esc(s.y)}), ${esc(s.faucet ?? 1)}-hole${s.spread ? ` ${esc(s.spread)}" spread` : ""}`).join("<br>") || "None";
+  const effects = Object.entries(o.effects || {}).map(([k, e]) => `
+    <tr><td>${esc(k)}</td><td>${e.done ? "done" : "failed"}</td><td>${esc(e.at)}</td><td>${esc(e.attempts)}</td><td>${esc(e.error || e.filename || e.to || "")}</td></tr>`).join("");
+  const balance = o.balance;
+  const history = (o.history || []).slice().reverse().map((h) => `
+    <tr><td>${esc(statusLabel(h.status))}</td><td>${esc(h.at)}</td><td>${esc(h.by)}</td><td>${esc(h.note || "")}</td></tr>`).join("");
+
+  return page(`Order ${o.shortId || o.id}`, `
+  <p><a href="${esc(base)}/">&larr; All orders</a></p>
+  <h2 style="margin:0 0 6px;">Order ${esc(o.shortId || o.id)} <span class="muted" style="font-size:14px;">${esc(statusLabel(o.status))}</span></h2>
+  <p>${flags(o, { deadMail: new Set(mail.some((m) => m.status === "dead") ? [o.id] : []) }).map((f) => `<span class="flag">${esc(f)}</span>`).join("")}</p>
+  <div class="grid">
+    <div class="card"><h3>Summary</h3>${kv([
+      ["Created", esc(o.createdAt)],
+      ["Customer", esc([o.customerName, o.customerEmail || "N/A"].filter(Boolean).join(", "))],
+      ["Total paid", `${cents(o.amountTotal)} ${esc(String(o.currency || "usd").toUpperCase())}`],
+      ["Stripe session", esc(o.sessionId)],
+      ["Payment intent", esc(o.paymentIntentId || "N/A")],
+      ["Mode", o.livemode ? "live" : "test"],
+    ])}</div>
+    <div class="card"><h3>Status</h3>
+      ${renderStatusForm(o, base)}
+      ${statusUrl ? `<p><a href="${esc(statusUrl)}">Customer status page</a></p>` : ""}
+      <table><thead><tr><th>Status</th><th>At</th><th>By</th><th>Note</th></tr></thead><tbody>${history}</tbody></table>
+    </div>
+    <div class="card"><h3>Shipping</h3>${kv([
+      ["Quoted ZIP", esc(o.quotedZip || "N/A")],
+      ["Checkout ship ZIP", esc(o.shipZip || "N/A")],
+      ["ZIP mismatch", o.zipMismatch ? "Yes" : "No"],
+      ...(balance ? [
+        ["Re-quote", esc(balance.action)],
+        ["Balance", `${cents(balance.deltaCents)} (${esc(balance.status)})`],
+        ["Invoice", balance.invoiceUrl ? `<a href="${esc(balance.invoiceUrl)}">${esc(balance.invoiceId)}</a>` : esc(balance.invoiceId || "N/A")],
+        ["Refund", esc(balance.refundId || "N/A")],
+      ] : []),
+    ])}</div>
+    <div class="card"><h3>Piece</h3>
+      ${svg || `<p class="muted">No preview available.</p>`}
+      <p>${dxfName ? `<a href="${esc(base)}/orders/${encodeURIComponent(o.id)}/dxf">Download ${esc(dxfName)}</a>` : `<span class="muted">No DXF on file.</span>`}</p>
+      <p><a href="${esc(base)}/orders/${encodeURIComponent(o.id)}/work-order">Print work order (PDF)</a></p>
+      ${cnc ? `<p><a href="${esc(base)}/orders/${encodeURIComponent(o.id)}/cnc-dxf">Download ${esc(cnc.filename)}</a> <span class="muted">(CNC toolpaths, kerf ${esc(cnc.kerf)}", lead-in ${esc(cnc.leadIn)}")</span></p>` : ""}
+    </div>
+    <div class="card"><h3>Configuration</h3>${kv([
+      ["Shape", esc(cfg.shape || "N/A")],
+      ["Size", esc(dimsText(cfg))],
+      ["Qty", esc(cfg.qty ?? 1)],
+      ["Stone", esc(cfg.color || "N/A")],
+      ["Polished edges", esc((cfg.edges || []).join(", ") || "None")],
+      ["Backsplash", cfg.backsplash ? "Yes" : "No"],
+      ["Sinks", sinks],
+    ])}
+      <details><summary>Raw config</summary><pre>${esc(JSON.stringify(o.config, null, 2))}</pre></details>
+    </div>
+    <div class="card"><h3>Pricing</h3>${p ? kv([
+      ["Pricing version", esc(p.version)],
+      ["Area", `${esc((+p.area || 0).toFixed(2))} sq ft`],
+      ["Material", money(p.material)],
+      ["Sinks", money(p.sinks)],
+      ["Backsplash", money(p.backsplash)],
+      ["Freight", `${money(p.ship?.ltl)} (${esc(p.ship?.miles ?? "?")} mi from ${esc(originZip)}, ${esc(p.ship?.milesSource)}; ${esc(p.ship?.cwt)} cwt, x${esc(p.ship?.mult)})`],
+      ["Services (per piece)", money(p.services)],
+      ["Tax rate", `${pct(p.taxRate)} ${esc(p.taxJurisdiction || "")}`],
+      ["Tax (per piece)", money(p.tax)],
+      ["Total (per piece)", money(p.total)],
+      ...(o.tax ? [["Tax recorded", `${cents(o.tax.amountCents)} - ${esc(o.tax.jurisdiction || "N/A")} (${esc(o.tax.source)}${o.tax.tableVersion ? `, table ${esc(o.tax.tableVersion)}` : ""})`]] : []),
+    ]) : `<p class="muted">No pricing recorded.</p>`}</div>
+    <div class="card"><h3>Refunds and cancellation</h3>${renderRefunds(o, base)}</div>
+    <div class="card"><h3>Customer emails</h3>${renderEmailLog(o, base, mail)}</div>
+    <div class="card"><h3>Outbox</h3>${renderOutboxTable(mail, base)}</div>
+    <div class="card"><h3>Side effects</h3>
+      <table><thead><tr><th>Step</th><th>State</th><th>At</th><th>Tries</th><th>Detail</th></tr></thead><tbody>${effects || `<tr><td colspan="5" class="muted">None yet.</td></tr>`}</tbody></table>
+    </div>
+  </div>`, base);
+}
+
+// Browsers replay Basic credentials on cross-site form posts, so state
+// changes only accept requests that come from this host.
+function sameOrigin(req) {
+  const origin = req.headers.origin || req.headers.referer;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+const clean = (v, max) => (v == null ? undefined : String(v).trim().slice(0, max));
+
+// Dollars from a form ("12.5") or cents from JSON; null when missing.
+function refundAmountCents(body, wantsJson) {
+  if (wantsJson) return body.amountCents == null || body.amountCents === "" ? null : Number(body.amountCents);
+  const raw = String(body.amount ?? "").trim();
+  return raw ? Math.round(Number(raw) * 100) : null;
+}
+
+export function createAdminRouter({ orders, outbox, pricing, statusUrl, sendMilestoneEmail, issueRefund, sendRefundEmail, emailTemplates, previewEmail, workOrderPdf }) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get("/", async (req, res) => {
+    try {
+      const filters = {
+        from: /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || "") ? req.query.from : "",
+        to: /^\d{4}-\d{2}-\d{2}$/.test(req.query.to || "") ? req.query.to : "",
+        color: COLORS.includes(req.query.color) ? req.query.color : "",
+        status: ORDER_STATUSES[req.query.status] ? req.query.status : "",
+        review: req.query.review === "1",
+      };
+      const all = await orders.listOrders();
+      const deadMail = new Set((await outbox.list({ status: "dead" })).map((m) => m.orderId).filter(Boolean));
+      const list = all
+        .filter((o) => !filters.status || o.status === filters.status)
+        .filter((o) => !filters.from || day(o.createdAt) >= filters.from)
+        .filter((o) => !filters.to || day(o.createdAt) <= filters.to)
+        .filter((o) => !filters.color || o.config?.color === filters.color)
+        .filter((o) => !filters.review || needsReview(o, { deadMail }));
+      return res.type("html").send(renderList(list, filters, all.length, req.baseUrl, { deadMail }));
+    } catch (e) {
+      console.error("[admin] order list failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  });
+
+  router.get("/orders/:id", async (req, res) => {
+    try {
+      const order = await orders.getOrder(req.params.id);
+      if (!order) return res.status(404).type("html").send(page("Not found", `<p>Order not found. <a href="${esc(req.baseUrl)}/">All orders</a></p>`, req.baseUrl));
+      return res.type("html").send(renderDetail(order, {
+        originZip: pricing.constants.originZip,
+        base: req.baseUrl,
+        statusUrl: order.statusToken ? statusUrl(req, order.statusToken) : null,
+        mail: await outbox.list({ orderId: order.id }),
+      }));
+    } catch (e) {
+      console.error("[admin] order detail failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  });
+
+  // Staff status change. Accepts the detail page's form (redirects back) or
+  // JSON: { status, note?, carrier?, trackingNumber?, trackingUrl? }.
+  router.post("/orders/:id/status", async (req, res) => {
+    const wantsJson = req.is("application/json");
+    try {
+      if (!sameOrigin(req)) return res.status(403).json({ error: "Cross-origin request refused" });
+      const order = await orders.getOrder(req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      const to = String(req.body?.status || "");
+      if (!ORDER_STATUSES[to]) {
+        return res.status(400).json({ error: `Unknown status "${to}"`, allowed: Object.keys(ORDER_STATUSES) });
+      }
+      if (!canTransition(order.status, to)) {
+        return res.status(409).json({
+          error: `Cannot move an order from ${order.status} to ${to}`,
+          allowed: nextStatuses(order.status),
+        });
+      }
+      const trackingUrl = clean(req.body.trackingUrl, 500);
+      if (trackingUrl && !/^https?:\/\//i.test(trackingUrl)) return res.status(400).json({ error: "Tracking URL must be http(s)" });
+      const shipment = {
+        carrier: clean(req.body.carrier, 100),
+        trackingNumber: clean(req.body.trackingNumber, 100),
+        trackingUrl,
+      };
+      const hasShipment = Object.values(shipment).some(Boolean);
+      const updated = await orders.setStatus(order.id, to, {
+        by: req.adminUser || "staff",
+        note: clean(req.body.note, 500) || null,
+        shipment: hasShipment
+          ? Object.fromEntries(Object.entries(shipment).filter(([, v]) => v))
+          : undefined,
+      });
+      console.log("[admin] order status changed", { session_id: order.id, from: order.status, to });
+
+      // A failed email does not undo the status change; it is logged on the
+      // order and can be resent from the detail page.
+      let email = null;
+      if (MILESTONE_STATUSES.includes(to)) {
+        const notify = wantsJson ? req.body.notify !== false : req.body.notify === "1";
+        if (notify) {
+          try {
+            const queued = await sendMilestoneEmail(updated, to, { by: req.adminUser || "staff", req });
+            email = { sent: queued.status === "sent", status: queued.status };
+          } catch (e) {
+            console.error("[admin] milestone email failed:", e);
+            email = { sent: false, error: String(e.message || e) };
+          }
+        } else {
+          await orders.recordEmail(order.id, { kind: to, by: req.adminUser || "staff", suppressed: true });
+          email = { sent: false, suppressed: true };
+        }
+      }
+      if (wantsJson) return res.json({ ok: true, email, order: { id: updated.id, status: updated.status, history: updated.history, shipment: updated.shipment || null } });
+      return res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(order.id)}`);
+    } catch (e) {
+      console.error("[admin] status change failed:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/orders/:id/emails/:milestone", async (req, res) => {
+    try {
+      if (!sameOrigin(req)) return res.status(403).json({ error: "Cross-origin request refused" });
+      const order = await orders.getOrder(req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      const milestone = req.params.milestone;
+      if (!MILESTONE_STATUSES.includes(milestone)) {
+        return res.status(400).json({ error: `No email for "${milestone}"`, allowed: MILESTONE_STATUSES });
+      }
+      if (!(order.history || []).some((h) => h.status === milestone)) {
+        return res.status(409).json({ error: `Order has not reached ${milestone}` });
+      }
+      const queued = await sendMilestoneEmail(order, milestone, { by: req.adminUser || "staff", req });
+      if (req.is("application/json")) return res.json({ ok: true, status: queued.status });
+      return res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(order.id)}`);
+    } catch (e) {
+      console.error("[admin] milestone email resend failed:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Refunds and cancellations both email the customer unless told not to;
+  // like milestone emails, a failed send is logged and does not undo them.
+  async function notifyRefund(req, wantsJson, order, refund, cancelled) {
+    const notify = wantsJson ? req.body.notify !== false : req.body.notify === "1";
+    if (!notify) {
+      await orders.recordEmail(order.id, { kind: cancelled ? "cancelled" : "refund", by: req.adminUser || "staff", suppressed: true });
+      return { sent: false, suppressed: true };
+    }
+    try {
+      const queued = await sendRefundEmail(order, refund, { by: req.adminUser || "staff", req, cancelled });
+      return { sent: queued.status === "sent", status: queued.status };
+    } catch (e) {
+      console.error("[admin] refund email failed:", e);
+      return { sent: false, error: String(e.message || e) };
+    }
+  }
+
+  // Partial refund of one line. Form: { line, amount (dollars), reason,
+  // notify }; JSON: { line, amountCents?, reason, notify? }. A missing amount
+  // refunds everything left on the line.
+  router.post("/orders/:id/refunds", async (req, res) => {
+    const wantsJson = req.is("application/json");
+    try {
+      if (!sameOrigin(req)) return res.status(403).json({ error: "Cross-origin request refused" });
+      const order = await orders.getOrder(req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      const line = String(req.body?.line || "");
+      if (!REFUND_LINES[line]) return res.status(400).json({ error: `Unknown refund line "${line}"`, allowed: Object.keys(REFUND_LINES) });
+      const reason = clean(req.body.reason, 500);
+      if (!reason) return res.status(400).json({ error: "A refund reason is required" });
+      if (!order.paymentIntentId) return res.status(409).json({ error: "Order has no payment to refund" });
+      if (["payment_pending", "payment_failed"].includes(order.status)) {
+        return res.status(409).json({ error: `Cannot refund an order in ${order.status}` });
+      }
+      const available = refundableLines(order).lines[line].remainingCents;
+      const amountCents = refundAmountCents(req.body, wantsJson) ?? available;
+      if (!Number.isInteger(amountCents) || amountCents <= 0) return res.status(400).json({ error: "Refund amount must be a positive amount in cents" });
+      if (amountCents > available) {
+        return res.status(409).json({ error: `Only ${cents(available)} is left to refund on ${REFUND_LINES[line]}`, availableCents: available });
+      }
+      const { refund, order: updated } = await issueRefund(order, { line, amountCents, reason, by: req.adminUser || "staff" });
+      console.log("[admin] partial refund issued", { session_id: order.id, line, amountCents, refund: refund.id });
+      const email = await notifyRefund(req, wantsJson, updated, refund, false);
+      if (wantsJson) return res.json({ ok: true, refund, email, order: { id: updated.id, status: updated.status, refunds: updated.refunds } });
+      return res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(order.id)}`);
+    } catch (e) {
+      console.error("[admin] refund failed:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Cancels the order and refunds whatever has not been refunded yet.
+  // Form or JSON: { reason, notify? }.
+  router.post("/orders/:id/cancel", async (req, res) => {
+    const wantsJson = req.is("application/json");
+    try {
+      if (!sameOrigin(req)) return res.status(403).json({ error: "Cross-origin request refused" });
+      const order = await orders.getOrder(req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      const reason = clean(req.body?.reason, 500);
+      if (!reason) return res.status(400).json({ error: "A cancellation reason is required" });
+      if (order.status === "payment_pending") {
+        return res.status(409).json({ error: "The payment has not cleared yet; wait for it to succeed or fail before cancelling" });
+      }
+      if (!canTransition(order.status, "cancelled")) {
+        return res.status(409).json({ error: `Cannot cancel an order in ${order.status}`, allowed: nextStatuses(order.status) });
+      }
+      const by = req.adminUser || "staff";
+      const { remainingTotal } = refundableLines(order);
+      let refund = null;
+      let updated;
+      if (remainingTotal > 0 && order.status !== "payment_failed") {
+        ({ refund, order: updated } = await issueRefund(order, { line: "cancellation", amountCents: remainingTotal, reason, by, cancel: true }));
+      } else {
+        updated = await orders.setStatus(order.id, "cancelled", { by, note: reason });
+      }
+      console.log("[admin] order cancelled", { session_id: order.id, refundCents: refund?.amountCents || 0 });
+      const email = await notifyRefund(req, wantsJson, updated, refund, true);
+      if (wantsJson) return res.json({ ok: true, refund, email, order: { id: updated.id, status: updated.status, history: updated.history } });
+      return res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(order.id)}`);
+    } catch (e) {
+      console.error("[admin] cancellation failed:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.get("/outbox", async (req, res) => {
+    try {
+      const view = OUTBOX_VIEWS[req.query.status] ? req.query.status : "pending";
+      const all = await outbox.list();
+      const messages = view === "all"
+        ? all
+        : all.filter((m) => (view === "pending" ? m.status !== "sent" : m.status === view));
+      return res.type("html").send(renderOutbox(messages.slice(0, 500), view, req.baseUrl));
+    } catch (e) {
+      console.error("[admin] outbox failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  });
+
+  // Puts a dead (or sent) message back in the queue and tries it at once.
+  router.post("/outbox/:id/resend", async (req, res) => {
+    try {
+      if (!sameOrigin(req)) return res.status(403).json({ error: "Cross-origin request refused" });
+      const message = await outbox.get(req.params.id);
+      if (!message) return res.status(404).json({ error: "Message not found" });
+      if (message.status === "queued" || message.status === "sending") {
+        return res.status(409).json({ error: `Message is already ${message.status}` });
+      }
+      if (!message.message) return res.status(409).json({ error: "Message was compacted after its retention period; send it again from the order" });
+      await outbox.requeue(message.id, { by: req.adminUser || "staff" });
+      const updated = await outbox.attempt(message.id);
+      console.log("[admin] outbox message resent", { id: message.id, status: updated.status });
+      if (req.is("application/json")) return res.json({ ok: true, id: updated.id, status: updated.status, error: updated.lastError || null });
+      const fromOrder = message.orderId && String(req.get("referer") || "").includes("/orders/");
+      return res.redirect(303, fromOrder ? `${req.baseUrl}/orders/${encodeURIComponent(message.orderId)}` : `${req.baseUrl}/outbox`);
+    } catch (e) {
+      console.error("[admin] outbox resend failed:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.get("/email-preview", async (req, res) => {
+    try {
+      const orderId = clean(req.query.order, 200) || "";
+      return res.type("html").send(renderPreviewIndex(emailTemplates(), orderId, req.baseUrl));
+    } catch (e) {
+      console.error("[admin] email template list failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  });
+
+  // Renders one template against ?order=<id> (or a sample order). Options:
+  // format=text, milestone=<status> and cancelled=1 for the refund email.
+  router.get("/email-preview/:template", async (req, res) => {
+    try {
+      const name = req.params.template;
+      if (!emailTemplates().includes(name)) return res.status(404).type("text/plain").send("Email template not found");
+      const orderId = clean(req.query.order, 200) || "";
+      const order = orderId ? await orders.getOrder(orderId) : null;
+      if (orderId && !order) return res.status(404).type("text/plain").send("Order not found");
+      const options = {
+        milestone: MILESTONE_STATUSES.includes(req.query.milestone) ? req.query.milestone : name === "milestone" ? "shipped" : undefined,
+        cancelled: req.query.cancelled === "1",
+      };
+      const email = previewEmail(req, name, order, options);
+      res.set("Cache-Control", "no-store");
+      if (req.query.format === "text") return res.type("text/plain").send(`Subject: ${email.subject}\n\n${email.text}\n`);
+      return res.type("html").send(renderPreview(name, email, { orderId, ...options }, req.baseUrl));
+    } catch (e) {
+      console.error("[admin] email preview failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  });
+
+  // Serves the DXF an order step wrote: "dxf" or "cncDxf".
+  const sendDxf = (effect) => async (req, res) => {
+    try {
+      const order = await orders.getOrder(req.params.id);
+      const name = order?.effects?.[effect]?.filename;
+      const file = name ? await orders.readOrderFile(order.id, name) : null;
+      if (!file) return res.status(404).type("text/plain").send("DXF not found");
+      res.set("Content-Disposition", `attachment; filename="${name}"`);
+      return res.type("application/dxf").send(file);
+    } catch (e) {
+      console.error("[admin] DXF download failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  };
+
+  router.get("/orders/:id/dxf", sendDxf("dxf"));
+  router.get("/orders/:id/cnc-dxf", sendDxf("cncDxf"));
+
+  // Rendered on request, so it always shows the order as it stands now.
+  router.get("/orders/:id/work-order", async (req, res) => {
+    try {
+      const order = await orders.getOrder(req.params.id);
+      if (!order) return res.status(404).type("text/plain").send("Order not found");
+      res.set("Content-Disposition", `inline; filename="WorkOrder_${order.shortId}.pdf"`);
+      res.set("Cache-Control", "no-store");
+      return res.type("application/pdf").send(workOrderPdf(req, order));
+    } catch (e) {
+      console.error("[admin] work order failed:", e);
+      return res.status(500).type("text/plain").send(e.message);
+    }
+  });
+
+  return router;
+}
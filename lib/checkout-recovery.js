@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import path from "path";
+import { openJsonStore } from "./json-store.js";
+
+// Sends that fail this many times are given up on.
+const MAX_ATTEMPTS = 3;
+
+// Expired Checkout Sessions waiting for a recovery email, keyed by session
+// ID, plus the addresses that opted out. A record is "pending" until the
+// sweep marks it "sent", "skipped" (with a reason) or "failed".
+export function createRecoveryStore(dataDir) {
+  const store = openJsonStore(path.join(dataDir, "checkout-recovery.json"));
+  const optOuts = openJsonStore(path.join(dataDir, "recovery-opt-outs.json"));
+
+  async function schedule({ sessionId, email, config, sessionCreatedAt, dueAt, optOutBase }) {
+    return store.update(sessionId, (prev) => {
+      if (prev) return null;
+      const token = crypto.randomBytes(18).toString("base64url");
+      return {
+        id: sessionId,
+        email,
+        config,
+        sessionCreatedAt,
+        createdAt: new Date().toISOString(),
+        dueAt,
+        status: "pending",
+        attempts: 0,
+        optOutToken: token,
+        optOutUrl: `${optOutBase}/checkout-recovery/opt-out/${token}`,
+      };
+    });
+  }
+
+  async function listDue(now = new Date().toISOString()) {
+    const all = await store.list();
+    return all.filter((r) => r.status === "pending" && r.dueAt <= now);
+  }
+
+  function finish(id, status, fields = {}) {
+    return store.update(id, (prev) => prev && { ...prev, ...fields, status, finishedAt: new Date().toISOString() });
+  }
+
+  // The quote a recovery email links to, kept from the first try so a
+  // retried send reuses it.
+  function recordQuote(id, quoteId) {
+    return store.update(id, (prev) => prev && { ...prev, quoteId });
+  }
+
+  function recordFailure(id, error) {
+    return store.update(id, (prev) => {
+      if (!prev) return null;
+      const attempts = (prev.attempts || 0) + 1;
+      return {
+        ...prev,
+        attempts,
+        lastError: String(error?.message || error),
+        status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+      };
+    });
+  }
+
+  async function lastSentAt(email) {
+    const all = await store.list();
+    return all
+      .filter((r) => r.email === email && r.status === "sent")
+      .map((r) => r.finishedAt)
+      .sort()
+      .pop() || null;
+  }
+
+  async function findByOptOutToken(token) {
+    if (!token) return null;
+    const all = await store.list();
+    return all.find((r) => r.optOutToken === token) || null;
+  }
+
+  async function optOut(token) {
+    const record = await findByOptOutToken(token);
+    if (!record) return null;
+    await optOuts.update(record.email, (prev) => prev || { email: record.email, at: new Date().toISOString() });
+    return record.email;
+  }
+
+  return {
+    findByOptOutToken,
+    finish,
+    getRecovery: (id) => store.get(id),
+    isOptedOut: async (email) => !!(await optOuts.get(email)),
+    lastSentAt,
+    listDue,
+    optOut,
+    recordFailure,
+    recordQuote,
+    schedule,
+  };
+}
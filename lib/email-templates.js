@@ -0,0 +1,121 @@
+import fs from "fs";
+import path from "path";
+
+// Email templates live in emails/ as <name>.html and <name>.txt. Either
+// file may open with "Key: value" header lines ended by a blank line; the
+// text file must have a Subject header, and the HTML file's Badge header
+// (the label in the branded top bar) is passed to _layout.html along with
+// the body as {{{body}}}.
+//
+// Syntax is a small subset of Mustache:
+//   {{a.b}}        value, HTML-escaped in .html files (text files are raw)
+//   {{{a.b}}}      value, never escaped
+//   {{#a}}..{{/a}} section: repeated for each item of an array (the item
+//                  becomes the innermost context), rendered once if truthy
+//   {{^a}}..{{/a}} rendered when a is falsy or an empty array
+//   {{.}}          the current item, for arrays of strings
+
+const esc = (v) => String(v ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" }[c]));
+const TAG = /\{\{(\{)?\s*([#^/]?)\s*([\w.]+)\s*\}?\}\}/g;
+
+// A section tag alone on its line takes the whole line with it, so block
+// sections in text templates do not leave blank lines behind.
+const STANDALONE = /^[ \t]*(\{\{\s*[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+function parse(src, name) {
+  src = src.replace(STANDALONE, "$1");
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const m of src.matchAll(TAG)) {
+    const [whole, triple, kind, key] = m;
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push(src.slice(last, m.index));
+    last = m.index + whole.length;
+    if (kind === "#" || kind === "^") {
+      const node = { section: key, inverted: kind === "^", children: [] };
+      top.children.push(node);
+      stack.push(node);
+    } else if (kind === "/") {
+      if (top.section !== key) throw new Error(`Email template ${name}: {{/${key}}} does not close {{${top.section ? `#${top.section}` : ""}}}`);
+      stack.pop();
+    } else {
+      top.children.push({ key, raw: !!triple });
+    }
+  }
+  if (stack.length > 1) throw new Error(`Email template ${name}: {{#${stack[stack.length - 1].section}}} is never closed`);
+  if (last < src.length) root.children.push(src.slice(last));
+  return root;
+}
+
+function lookup(stack, key) {
+  if (key === ".") return stack[stack.length - 1];
+  const [head, ...rest] = key.split(".");
+  for (let i = stack.length - 1; i >= 0; i -= 1) {
+    const ctx = stack[i];
+    if (ctx != null && typeof ctx === "object" && head in ctx) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, stack, escape) {
+  return nodes.map((node) => {
+    if (typeof node === "string") return node;
+    const value = lookup(stack, node.section || node.key);
+    if (!node.section) return node.raw || !escape ? String(value ?? "") : esc(value);
+    const empty = !value || (Array.isArray(value) && !value.length);
+    if (node.inverted) return empty ? renderNodes(node.children, stack, escape) : "";
+    if (empty) return "";
+    if (Array.isArray(value)) return value.map((item) => renderNodes(node.children, [...stack, item], escape)).join("");
+    return renderNodes(node.children, typeof value === "object" ? [...stack, value] : stack, escape);
+  }).join("");
+}
+
+function splitHeaders(out) {
+  const headers = {};
+  if (!/^[A-Za-z][\w-]*:/.test(out)) return { headers, body: out };
+  const end = out.search(/\r?\n\r?\n/);
+  const block = end < 0 ? out : out.slice(0, end);
+  block.split(/\r?\n/).forEach((line) => {
+    const sep = line.indexOf(":");
+    if (sep > 0) headers[line.slice(0, sep).trim().toLowerCase()] = line.slice(sep + 1).trim();
+  });
+  return { headers, body: end < 0 ? "" : out.slice(end).replace(/^\s*\n/, "") };
+}
+
+// Files are re-read on every render unless `cache` is set, so template
+// edits show up in /admin/email-preview without a restart.
+export function createEmailTemplates(dir, { cache = false } = {}) {
+  const parsed = new Map();
+
+  function load(file) {
+    if (cache && parsed.has(file)) return parsed.get(file);
+    const tree = parse(fs.readFileSync(path.join(dir, file), "utf8"), file);
+    if (cache) parsed.set(file, tree);
+    return tree;
+  }
+
+  function names() {
+    return fs.readdirSync(dir)
+      .filter((f) => f.endsWith(".txt") && !f.startsWith("_"))
+      .map((f) => f.slice(0, -4))
+      .sort();
+  }
+
+  // Returns { subject, html, text } for template `name`.
+  function render(name, view) {
+    if (!names().includes(name)) throw new Error(`Unknown email template "${name}"`);
+    const text = splitHeaders(renderNodes(load(`${name}.txt`).children, [view], false));
+    if (!text.headers.subject) throw new Error(`Email template ${name}.txt needs a "Subject:" header`);
+    const html = splitHeaders(renderNodes(load(`${name}.html`).children, [view], true));
+    return {
+      subject: text.headers.subject,
+      text: text.body.replace(/\n{3,}/g, "\n\n").trim(),
+      html: renderNodes(load("_layout.html").children, [{ ...view, badge: html.headers.badge || "", body: html.body }], true),
+    };
+  }
+
+  return { names, render };
+}
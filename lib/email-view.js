@@ -0,0 +1,128 @@
+import { REFUND_LINES } from "./refunds.js";
+
+// Plain-data views of orders and pieces for the email templates. Values
+// come out preformatted (money, sizes, yes/no); escaping is left to the
+// template renderer.
+
+const dollars = (cents) => `$${((cents || 0) / 100).toFixed(2)}`;
+
+export function balanceMessage(balance) {
+  const amount = `$${(Math.abs(balance.deltaCents || 0) / 100).toFixed(2)}`;
+  const where = `shipping to ${balance.shipZip} instead of ${balance.quotedZip}`;
+  switch (balance.action) {
+    case "refund":
+      return `Your order was re-priced for ${where}, and we refunded the ${amount} difference to your card.`;
+    case "invoice":
+      return balance.status === "open"
+        ? `Your order was re-priced for ${where}. A balance of ${amount} is due before production begins.`
+        : `Your order was re-priced for ${where}, and the ${amount} balance has been paid.`;
+    case "waived":
+      return `Your order was re-priced for ${where}; the ${amount} difference has been waived.`;
+    default:
+      return `Your order was re-priced for ${where}; the price did not change.`;
+  }
+}
+
+export function faucetDesc(s) {
+  const n = parseInt(s?.faucet ?? 1, 10) || 1;
+  if (n === 1) return "1-hole";
+  const spread = +s?.spread || (n === 3 ? 8 : 0);
+  return n === 3 ? `3-hole ${spread}" spread` : `${n}-hole`;
+}
+
+export function pieceView(cfg) {
+  const d = cfg?.dims || {};
+  const size = cfg?.shape === "rectangle"
+    ? `${d.L}" x ${d.W}"`
+    : cfg?.shape === "circle"
+      ? `${d.D}" diameter`
+      : cfg?.shape
+        ? `${d.n} sides, ${d.A}" side`
+        : "N/A";
+  const sinks = (cfg?.sinks || []).map((s, i) => `Sink ${i + 1} (${s?.key || s?.type || `sink-${i + 1}`}): ${faucetDesc(s)}`);
+  return {
+    shape: cfg?.shape || "N/A",
+    size,
+    qty: Math.max(1, parseInt(cfg?.qty, 10) || 1),
+    color: cfg?.color || "N/A",
+    edges: (cfg?.edges || []).join(", ") || "None",
+    sinkCount: sinks.length,
+    sinks,
+    backsplash: cfg?.backsplash ? "Yes" : "No",
+    zip: cfg?.zip || "N/A",
+  };
+}
+
+// Everything an order email may show. `notice` says which of the mutually
+// exclusive order-confirmation variants applies.
+export function orderView(order, { statusUrl = null, originZip = null } = {}) {
+  const balance = order.balance || null;
+  const needsReview = !!order.zipMismatch && !balance;
+  const balanceDue = balance?.status === "open";
+  const tax = order.tax || {};
+  const ship = order.pricing?.ship;
+  return {
+    id: order.id,
+    shortId: order.shortId,
+    status: order.status,
+    customerEmail: order.customerEmail || "N/A",
+    total: dollars(order.amountTotal),
+    currency: String(order.currency || "usd").toUpperCase(),
+    quotedZip: order.quotedZip || "N/A",
+    shipZip: order.shipZip || "N/A",
+    zipMismatch: !!order.zipMismatch,
+    notice: {
+      review: needsReview,
+      balanceDue: !needsReview && balanceDue,
+      requoted: !needsReview && !balanceDue && !!order.zipMismatch,
+      none: !order.zipMismatch,
+    },
+    tax: {
+      amount: tax.amountCents != null ? dollars(tax.amountCents) : "N/A",
+      jurisdiction: tax.jurisdiction || "N/A",
+      source: tax.source || "unknown",
+    },
+    freight: ship ? { miles: ship.miles, milesSource: ship.milesSource, originZip } : null,
+    balance: balance
+      ? {
+          message: balanceMessage(balance),
+          open: balanceDue,
+          freightDelta: dollars(balance.freightDeltaCents),
+          taxDelta: dollars(balance.taxDeltaCents),
+          invoiceId: balance.invoiceId || null,
+          invoiceUrl: balance.invoiceUrl || null,
+          refundId: balance.refundId || null,
+        }
+      : null,
+    piece: pieceView(order.config),
+    shipment: order.shipment
+      ? {
+          carrier: order.shipment.carrier || "To be confirmed",
+          trackingNumber: order.shipment.trackingNumber || "To be confirmed",
+          trackingUrl: order.shipment.trackingUrl || null,
+        }
+      : { carrier: "To be confirmed", trackingNumber: "To be confirmed", trackingUrl: null },
+    statusUrl,
+  };
+}
+
+export function quoteView(record, url) {
+  return {
+    id: record.id,
+    total: `$${(record.quote?.total || 0).toFixed(2)}`,
+    piece: pieceView(record.config),
+    url,
+  };
+}
+
+export function refundView(refund) {
+  if (!refund) return null;
+  return {
+    id: refund.id,
+    amount: dollars(refund.amountCents),
+    line: refund.line,
+    lineLabel: REFUND_LINES[refund.line] || refund.line,
+    forWhat: refund.line === "other" ? "on your order" : `for ${(REFUND_LINES[refund.line] || refund.line).toLowerCase()}`,
+    reason: refund.reason || "",
+  };
+}
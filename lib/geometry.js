@@ -0,0 +1,6 @@
+import "../public/rcg-dxf.js";
+
+// The piece geometry rules (sink templates, faucet holes, backsplash strips)
+// for server code. public/rcg-dxf.js owns them so the cut file, the drawings
+// and the validator cannot drift apart.
+export const { GEOMETRY, SINKS, faucetHoles } = globalThis.RCGDxf;
@@ -0,0 +1,81 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Small file-backed record store: one JSON file per collection, loaded once and
+// rewritten atomically (tmp + rename) on every change. Writes are serialized
+// through a promise chain so concurrent webhook deliveries cannot interleave.
+export function openJsonStore(file) {
+  let records = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (records) return records;
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const raw = await fs.readFile(file, "utf8");
+          const parsed = JSON.parse(raw || "{}");
+          records = parsed && typeof parsed === "object" ? parsed : {};
+        } catch (e) {
+          if (e.code !== "ENOENT") throw e;
+          records = {};
+        }
+        return records;
+      })();
+    }
+    return loading;
+  }
+
+  function flush() {
+    const snapshot = JSON.stringify(records, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot, "utf8");
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  return {
+    async get(id) {
+      const all = await load();
+      return all[id] || null;
+    },
+    async list() {
+      const all = await load();
+      return Object.values(all);
+    },
+    async put(id, record) {
+      const all = await load();
+      all[id] = record;
+      await flush();
+      return record;
+    },
+    async update(id, fn) {
+      const all = await load();
+      const next = fn(all[id] || null);
+      if (next == null) return all[id] || null;
+      all[id] = next;
+      await flush();
+      return next;
+    },
+    // Deletes every record `fn` matches in one write; resolves to how many.
+    async removeWhere(fn) {
+      const all = await load();
+      const ids = Object.keys(all).filter((id) => fn(all[id]));
+      if (!ids.length) return 0;
+      ids.forEach((id) => delete all[id]);
+      await flush();
+      return ids.length;
+    },
+    async remove(id) {
+      const all = await load();
+      if (!(id in all)) return false;
+      delete all[id];
+      await flush();
+      return true;
+    },
+  };
+}
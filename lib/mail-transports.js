@@ -0,0 +1,133 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Every transport takes the same message: { from, to: [], bcc: [], subject,
+// text, html, replyTo, attachments: [{ filename, content (base64), contentId }] }
+// and resolves to { id } or throws. An attachment with a contentId is inline:
+// the HTML shows it as <img src="cid:...">. Errors carry `status` (and `retryAfterMs`
+// when the provider says) so the outbox can tell a rate limit apart.
+
+function resendTransport({ apiKey }) {
+  return {
+    name: "resend",
+    async send(msg) {
+      const body = {
+        from: msg.from,
+        to: msg.to,
+        subject: msg.subject,
+        ...(msg.text ? { text: msg.text } : {}),
+        ...(msg.html ? { html: msg.html } : {}),
+        ...(msg.replyTo ? { reply_to: msg.replyTo } : {}),
+        ...(msg.bcc.length ? { bcc: msg.bcc } : {}),
+        ...(msg.attachments.length ? { attachments: msg.attachments.map((a) => ({ filename: a.filename, content: a.content, ...(a.contentId ? { content_id: a.contentId } : {}) })) } : {}),
+        tags: [{ name: "rcg-order" }],
+      };
+      const resp = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+      if (!resp.ok) {
+        const errTxt = await resp.text().catch(() => "");
+        const err = new Error(`Resend API failed: ${resp.status} ${resp.statusText} ${errTxt}`);
+        err.status = resp.status;
+        const retryAfter = Number(resp.headers.get("retry-after") || resp.headers.get("ratelimit-reset"));
+        if (Number.isFinite(retryAfter) && retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+        throw err;
+      }
+      const data = await resp.json();
+      return { id: data.id || null };
+    },
+  };
+}
+
+function toNodemailer(msg) {
+  return {
+    from: msg.from,
+    to: msg.to,
+    ...(msg.bcc.length ? { bcc: msg.bcc } : {}),
+    subject: msg.subject,
+    ...(msg.text ? { text: msg.text } : {}),
+    ...(msg.html ? { html: msg.html } : {}),
+    ...(msg.replyTo ? { replyTo: msg.replyTo } : {}),
+    attachments: msg.attachments.map((a) => ({ filename: a.filename, content: a.content, encoding: "base64", ...(a.contentId ? { cid: a.contentId } : {}) })),
+  };
+}
+
+function smtpTransport({ host, port, secure, user, password }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass: password } } : {}),
+  });
+  return {
+    name: "smtp",
+    async send(msg) {
+      const info = await transporter.sendMail(toNodemailer(msg));
+      return { id: info.messageId || null };
+    },
+  };
+}
+
+// Writes each message as an .eml file (attachments included) instead of
+// sending it, so the whole order flow can run offline.
+function fileTransport({ dir }) {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  return {
+    name: "file",
+    dir,
+    async send(msg) {
+      const info = await builder.sendMail({ ...toNodemailer(msg), bcc: undefined });
+      const slug = String(msg.subject || "message").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const file = path.join(dir, `${stamp}-${slug || "message"}.eml`);
+      await fs.mkdir(dir, { recursive: true });
+      // The built message leaves Bcc out, as a real send would; keep it
+      // visible in the file so it can be checked.
+      const bcc = msg.bcc.length ? `X-Bcc: ${msg.bcc.join(", ")}\n` : "";
+      await fs.writeFile(file, bcc + info.message.toString("utf8"), "utf8");
+      return { id: info.messageId || null, file };
+    },
+  };
+}
+
+function noTransport() {
+  return {
+    name: "none",
+    async send() {
+      throw new Error("No mail transport configured; set RESEND_API_KEY, SMTP_HOST or MAIL_TRANSPORT=file");
+    },
+  };
+}
+
+// MAIL_TRANSPORT picks resend, smtp or file. Unset, it is resend with a
+// RESEND_API_KEY, else smtp with an SMTP_HOST, else nothing.
+export function createMailTransport(env, { dataDir }) {
+  const mode = String(env.MAIL_TRANSPORT || "").trim().toLowerCase()
+    || (env.RESEND_API_KEY ? "resend" : env.SMTP_HOST ? "smtp" : "none");
+  switch (mode) {
+    case "resend":
+      if (!env.RESEND_API_KEY) throw new Error("MAIL_TRANSPORT=resend needs RESEND_API_KEY");
+      return resendTransport({ apiKey: env.RESEND_API_KEY });
+    case "smtp":
+      if (!env.SMTP_HOST) throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST");
+      return smtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: /^(1|true|yes)$/i.test(env.SMTP_SECURE || ""),
+        user: env.SMTP_USER || "",
+        password: env.SMTP_PASSWORD || "",
+      });
+    case "file":
+      return fileTransport({ dir: path.resolve(env.MAIL_FILE_DIR || path.join(dataDir, "mail")) });
+    case "none":
+      return noTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${mode}"; use resend, smtp or file`);
+  }
+}
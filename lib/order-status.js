@@ -0,0 +1,51 @@
+// Order lifecycle. Webhooks set the payment states (payment_pending, paid,
+// payment_failed, awaiting_balance, refunded) and under_review; staff move
+// orders through production from /admin. Every change lands in
+// order.history, which the customer status page shows.
+
+export const ORDER_STATUSES = {
+  payment_pending: "Payment pending",
+  payment_failed: "Payment failed",
+  paid: "Paid",
+  awaiting_balance: "Awaiting balance",
+  under_review: "Under review",
+  in_fabrication: "In fabrication",
+  crated: "Crated",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  refunded: "Refunded",
+};
+
+// Staff moves. Payment states are only entered from Stripe webhooks.
+const TRANSITIONS = {
+  payment_pending: ["cancelled"],
+  payment_failed: ["cancelled"],
+  paid: ["under_review", "in_fabrication", "cancelled"],
+  awaiting_balance: ["paid", "under_review", "cancelled"],
+  under_review: ["paid", "in_fabrication", "cancelled"],
+  in_fabrication: ["under_review", "crated", "cancelled"],
+  crated: ["in_fabrication", "shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+  refunded: [],
+};
+
+// Statuses that email the customer when staff move an order into them.
+export const MILESTONE_STATUSES = ["in_fabrication", "crated", "shipped", "delivered"];
+
+// The stages a customer sees as a progress bar, in order.
+export const CUSTOMER_STAGES = ["paid", "in_fabrication", "crated", "shipped", "delivered"];
+
+export function statusLabel(status) {
+  return ORDER_STATUSES[status] || status || "Unknown";
+}
+
+export function nextStatuses(status) {
+  return TRANSITIONS[status] || [];
+}
+
+export function canTransition(from, to) {
+  return nextStatuses(from).includes(to);
+}
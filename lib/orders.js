@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { openJsonStore } from "./json-store.js";
+
+// Unguessable key for the customer's public status page.
+export function newStatusToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+// Moves an order record to `status`, appending to its history. Returns the
+// record unchanged when the status is already current.
+function withStatus(order, status, { at, by = "system", note = null } = {}) {
+  if (order.status === status) return order;
+  return {
+    ...order,
+    status,
+    updatedAt: at,
+    history: [...(order.history || []), { status, at, by, ...(note ? { note } : {}) }],
+  };
+}
+
+export function createOrderStore(dataDir) {
+  const store = openJsonStore(path.join(dataDir, "orders.json"));
+
+  async function saveCompletedOrder({ session, config, pricing, tax, customerEmail, quotedZip, shipZip, zipMismatch, shortId, statusToken }) {
+    const now = new Date().toISOString();
+    // Bank debits complete Checkout with payment_status "unpaid"; they are
+    // not paid until checkout.session.async_payment_succeeded arrives.
+    const initial = session.payment_status === "unpaid" ? "payment_pending" : "paid";
+    return store.update(session.id, (prev) => ({
+      ...(prev || {}),
+      id: session.id,
+      shortId,
+      status: prev?.status || initial,
+      history: prev?.history || [{ status: initial, at: now, by: "stripe" }],
+      statusToken: prev?.statusToken || statusToken || newStatusToken(),
+      createdAt: prev?.createdAt || now,
+      updatedAt: now,
+      customerEmail: customerEmail || null,
+      customerName: session.customer_details?.name || null,
+      sessionId: session.id,
+      paymentIntentId: typeof session.payment_intent === "string"
+        ? session.payment_intent
+        : session.payment_intent?.id || null,
+      customerId: typeof session.customer === "string" ? session.customer : session.customer?.id || null,
+      livemode: !!session.livemode,
+      amountTotal: session.amount_total ?? null,
+      currency: String(session.currency || "usd").toLowerCase(),
+      quotedZip: quotedZip || null,
+      shipZip: shipZip || null,
+      zipMismatch: !!zipMismatch,
+      config: config || null,
+      pricing: pricing || null,
+      tax: tax || null,
+    }));
+  }
+
+  // Side effects (emails, generated files) are tracked per order so a
+  // redelivered or retried webhook only re-runs the steps that failed.
+  async function recordEffect(id, step, result) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => prev && {
+      ...prev,
+      updatedAt: now,
+      effects: {
+        ...(prev.effects || {}),
+        [step]: {
+          done: !result?.error,
+          at: now,
+          attempts: (prev.effects?.[step]?.attempts || 0) + 1,
+          ...(result || {}),
+        },
+      },
+    });
+  }
+
+  // A ZIP re-quote balance. An "open" balance (invoice not yet paid) holds
+  // the order in awaiting_balance; settling it puts the order back to paid.
+  async function recordBalance(id, balance) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => {
+      if (!prev) return null;
+      const next = { ...(prev.balance || {}), ...balance, updatedAt: now };
+      let status = prev.status;
+      if (next.status === "open") status = "awaiting_balance";
+      else if (prev.status === "awaiting_balance") status = "paid";
+      const note = next.status === "open" ? "ZIP re-quote balance invoiced" : "ZIP re-quote balance settled";
+      return { ...withStatus(prev, status, { at: now, note }), updatedAt: now, balance: next };
+    });
+  }
+
+  // `shipment` ({ carrier, trackingNumber, trackingUrl }) is merged into the
+  // order so the status page can show freight tracking once it exists.
+  async function setStatus(id, status, { by, note, shipment } = {}) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => {
+      if (!prev) return null;
+      const next = withStatus(prev, status, { at: now, by, note });
+      return shipment ? { ...next, updatedAt: now, shipment: { ...(prev.shipment || {}), ...shipment } } : next;
+    });
+  }
+
+  // Customer-facing emails sent (or deliberately not sent) for an order.
+  async function recordEmail(id, entry) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => prev && {
+      ...prev,
+      updatedAt: now,
+      emails: [...(prev.emails || []), { at: now, ...entry }],
+    });
+  }
+
+  // A refund about to be requested from Stripe, keyed by its idempotency
+  // key. It counts as the app's own until recordRefund (or
+  // clearPendingRefund, if Stripe refused it) replaces it, so a
+  // charge.refunded webhook that lands first is not mistaken for a refund
+  // made outside the app.
+  async function recordPendingRefund(id, pending) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => {
+      if (!prev) return null;
+      const others = (prev.pendingRefunds || []).filter((r) => r.key !== pending.key);
+      return { ...prev, pendingRefunds: [...others, { at: now, ...pending }], updatedAt: now };
+    });
+  }
+
+  async function clearPendingRefund(id, key) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => prev && {
+      ...prev,
+      pendingRefunds: (prev.pendingRefunds || []).filter((r) => r.key !== key),
+      updatedAt: now,
+    });
+  }
+
+  // Staff refunds issued through the Stripe API. A retried request gets the
+  // same Stripe refund back, so entries are keyed by refund ID. With
+  // `status`, the order moves there in the same write (cancellations).
+  // `pendingKey` clears the matching pending entry.
+  async function recordRefund(id, refund, { status, by, note, pendingKey } = {}) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => {
+      if (!prev) return null;
+      const refunds = (prev.refunds || []).some((r) => r.id === refund.id)
+        ? prev.refunds
+        : [...(prev.refunds || []), { at: now, ...refund }];
+      const pendingRefunds = (prev.pendingRefunds || []).filter((r) => r.key !== pendingKey);
+      const next = status ? withStatus(prev, status, { at: now, by, note }) : prev;
+      return { ...next, refunds, pendingRefunds, updatedAt: now };
+    });
+  }
+
+  // Shallow-merges webhook-derived facts (refunds, disputes, payment errors).
+  async function mergeOrder(id, fields) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => prev && { ...prev, ...fields, updatedAt: now });
+  }
+
+  async function findByPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) return null;
+    const all = await store.list();
+    return all.find((o) => o.paymentIntentId === paymentIntentId) || null;
+  }
+
+  async function findByStatusToken(token) {
+    if (!token) return null;
+    const all = await store.list();
+    return all.find((o) => o.statusToken && o.statusToken === token) || null;
+  }
+
+  function filePath(id, filename) {
+    return path.join(dataDir, "orders", path.basename(id), path.basename(filename));
+  }
+
+  async function writeOrderFile(id, filename, content) {
+    const file = filePath(id, filename);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    return file;
+  }
+
+  async function readOrderFile(id, filename) {
+    try {
+      return await fs.readFile(filePath(id, filename));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function listOrders({ since, until, email, status } = {}) {
+    const all = await store.list();
+    return all
+      .filter((o) => !since || o.createdAt >= since)
+      .filter((o) => !until || o.createdAt <= until)
+      .filter((o) => !email || o.customerEmail === email)
+      .filter((o) => !status || o.status === status)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  return {
+    clearPendingRefund,
+    findByPaymentIntent,
+    findByStatusToken,
+    getOrder: (id) => store.get(id),
+    listOrders,
+    mergeOrder,
+    readOrderFile,
+    recordBalance,
+    recordEffect,
+    recordEmail,
+    recordPendingRefund,
+    recordRefund,
+    saveCompletedOrder,
+    setStatus,
+    writeOrderFile,
+  };
+}
@@ -0,0 +1,213 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { openJsonStore } from "./json-store.js";
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// A message still "sending" after this long died with the process.
+const STALE_SEND_MS = 5 * 60 * 1000;
+const COMPACT_EVERY_MS = 60 * 60 * 1000;
+
+export function backoffMs(attempts) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Persistent queue in front of the mail transport. Every message is stored
+// before the first delivery attempt; failures are retried with exponential
+// backoff and, after `maxAttempts`, parked as "dead" until staff resend
+// them. A rate-limited send (429) pauses all delivery for the Retry-After
+// period and does not count as an attempt.
+//
+// Record statuses: queued -> sending -> sent | queued (retry) | dead.
+//
+// Attachments are written under DATA_DIR/outbox-files, one directory per
+// message, so outbox.json holds only the text of each message. Sent
+// messages older than `retentionDays` are compacted: the body and files
+// are dropped, and the record itself too unless an order's email log
+// points at it.
+export function createOutbox(dataDir, { transport, maxAttempts = 6, retentionDays = 30 }) {
+  const store = openJsonStore(path.join(dataDir, "outbox.json"));
+  const filesDir = path.join(dataDir, "outbox-files");
+  let pausedUntil = 0;
+  let sweeping = null;
+  let lastCompact = 0;
+
+  const messageDir = (id) => path.join(filesDir, encodeURIComponent(id));
+
+  async function enqueue(message, { kind = null, orderId = null, key = null } = {}) {
+    const id = key || `msg_${crypto.randomBytes(9).toString("base64url")}`;
+    const existing = await store.get(id);
+    if (existing) return existing;
+    const attachments = message.attachments || [];
+    if (attachments.length) await fs.mkdir(messageDir(id), { recursive: true });
+    const stored = await Promise.all(attachments.map(async (a, i) => {
+      await fs.writeFile(path.join(messageDir(id), String(i)), Buffer.from(a.content, "base64"));
+      return { filename: a.filename, file: String(i), ...(a.contentId ? { contentId: a.contentId } : {}) };
+    }));
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => prev ? null : {
+      id,
+      kind,
+      orderId,
+      to: message.to,
+      subject: message.subject,
+      status: "queued",
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      message: { ...message, attachments: stored },
+    });
+  }
+
+  // The message as the transport wants it, attachments read back as base64.
+  async function loadMessage(record) {
+    const attachments = await Promise.all((record.message.attachments || []).map(async ({ file, ...a }) => (
+      file ? { ...a, content: (await fs.readFile(path.join(messageDir(record.id), file))).toString("base64") } : a
+    )));
+    return { ...record.message, attachments };
+  }
+
+  async function claim(id) {
+    const now = Date.now();
+    let claimed = null;
+    await store.update(id, (prev) => {
+      if (!prev) return null;
+      const stale = prev.status === "sending" && now - Date.parse(prev.claimedAt) > STALE_SEND_MS;
+      const due = prev.status === "queued" && Date.parse(prev.nextAttemptAt) <= now;
+      if (!due && !stale) return null;
+      claimed = { ...prev, status: "sending", claimedAt: new Date(now).toISOString() };
+      return claimed;
+    });
+    return claimed;
+  }
+
+  // One delivery attempt. Resolves to the updated record; never throws for
+  // a transport failure. A message waiting out its backoff is left alone.
+  async function attempt(id) {
+    if (Date.now() < pausedUntil) return store.get(id);
+    const record = await claim(id);
+    if (!record) return store.get(id);
+    try {
+      const result = await transport.send(await loadMessage(record));
+      const updated = await store.update(id, (prev) => ({
+        ...prev,
+        status: "sent",
+        attempts: prev.attempts + 1,
+        sentAt: new Date().toISOString(),
+        transport: transport.name,
+        providerId: result?.id || null,
+        ...(result?.file ? { file: result.file } : {}),
+        lastError: null,
+      }));
+      console.log("[outbox] sent", { id, kind: record.kind, to: record.to });
+      return updated;
+    } catch (e) {
+      const error = String(e?.message || e);
+      if (e?.status === 429) {
+        const wait = e.retryAfterMs || BASE_DELAY_MS;
+        pausedUntil = Date.now() + wait;
+        console.warn("[outbox] rate limited; pausing delivery", { id, waitMs: wait });
+        return store.update(id, (prev) => ({
+          ...prev,
+          status: "queued",
+          nextAttemptAt: new Date(pausedUntil).toISOString(),
+          rateLimited: (prev.rateLimited || 0) + 1,
+          lastError: error,
+        }));
+      }
+      const attempts = record.attempts + 1;
+      const dead = attempts >= maxAttempts;
+      const updated = await store.update(id, (prev) => ({
+        ...prev,
+        status: dead ? "dead" : "queued",
+        attempts,
+        lastError: error,
+        lastAttemptAt: new Date().toISOString(),
+        nextAttemptAt: dead ? null : new Date(Date.now() + backoffMs(attempts)).toISOString(),
+        ...(dead ? { deadAt: new Date().toISOString() } : {}),
+      }));
+      console[dead ? "error" : "warn"](`[outbox] ${dead ? "dead-lettered" : "send failed; will retry"}`, { id, kind: record.kind, attempts, error });
+      return updated;
+    }
+  }
+
+  async function dueIds() {
+    const now = Date.now();
+    const all = await store.list();
+    return all
+      .filter((r) => (r.status === "queued" && Date.parse(r.nextAttemptAt) <= now) ||
+        (r.status === "sending" && now - Date.parse(r.claimedAt) > STALE_SEND_MS))
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+      .map((r) => r.id);
+  }
+
+  function deliverDue() {
+    if (sweeping) return sweeping;
+    sweeping = (async () => {
+      for (const id of await dueIds()) {
+        if (Date.now() < pausedUntil) break;
+        await attempt(id);
+      }
+      if (Date.now() - lastCompact >= COMPACT_EVERY_MS) {
+        lastCompact = Date.now();
+        await compact();
+      }
+    })()
+      .catch((e) => console.error("[outbox] delivery sweep failed:", e))
+      .finally(() => {
+        sweeping = null;
+      });
+    return sweeping;
+  }
+
+  async function compact(now = Date.now()) {
+    const cutoff = new Date(now - retentionDays * 86400 * 1000).toISOString();
+    const old = (await store.list()).filter((r) => r.status === "sent" && r.message && r.sentAt < cutoff);
+    for (const r of old) {
+      await fs.rm(messageDir(r.id), { recursive: true, force: true });
+      if (r.orderId) {
+        await store.update(r.id, (prev) => {
+          if (!prev) return null;
+          const { message, ...rest } = prev;
+          return { ...rest, compactedAt: new Date(now).toISOString() };
+        });
+      } else {
+        await store.remove(r.id);
+      }
+    }
+    if (old.length) console.log("[outbox] compacted sent messages", { count: old.length, before: cutoff });
+    return old.length;
+  }
+
+  // Staff resend: a dead (or already sent) message goes back to the queue
+  // with a fresh set of attempts. A compacted message has nothing to resend.
+  async function requeue(id, { by } = {}) {
+    const now = new Date().toISOString();
+    return store.update(id, (prev) => (!prev?.message || prev.status === "sending") ? null : {
+      ...prev,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: now,
+      requeued: [...(prev.requeued || []), { at: now, by: by || "staff", from: prev.status }],
+    });
+  }
+
+  async function list({ status, orderId } = {}) {
+    const all = await store.list();
+    return all
+      .filter((r) => !status || r.status === status)
+      .filter((r) => !orderId || r.orderId === orderId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  return {
+    attempt,
+    compact,
+    deliverDue,
+    enqueue,
+    get: (id) => store.get(id),
+    list,
+    requeue,
+  };
+}
@@ -0,0 +1,120 @@
+import { GEOMETRY, SINKS, faucetHoles } from "./geometry.js";
+
+const PAD = 8;
+const SPLASH_H = GEOMETRY.backsplashHeight;
+const SPLASH_GAP = GEOMETRY.backsplashGap;
+const HOLE_D = GEOMETRY.faucetHoleDiameter;
+const FAUCET_SETBACK = GEOMETRY.faucetSetback;
+
+const OUTLINE = { fill: "#f4f4f4", stroke: "#111", sw: 0.4 };
+const CUTOUT = { fill: "#fff", stroke: "#111", sw: 0.3 };
+const POLISHED = { stroke: "#ffc400", sw: 1.2 };
+const SPLASH = { fill: "none", stroke: "#666", sw: 0.3, dash: [1, 0.6] };
+const DIM = { stroke: "#444", sw: 0.25 };
+
+const label = (inches) => `${Math.round(inches * 100) / 100}"`;
+
+// Top-down drawing of a configured piece as plain shapes, in the
+// configurator's coordinates: inches, origin at the back-left corner, y
+// growing toward the front. The SVG (admin, browser) and PNG (email)
+// renderers both draw from this, so they cannot disagree.
+//
+// Item types: rect {x, y, w, h}, line {x1, y1, x2, y2}, ellipse {cx, cy, rx,
+// ry}, polygon {points: [[x, y]]} and text {x, y, text, size, vertical};
+// styles are fill, stroke, sw (stroke width) and dash. Text is anchored at
+// the middle of its baseline; vertical text reads bottom to top. `view` is
+// the box to show. Returns null when the config has nothing to draw.
+export function pieceDrawing(cfg) {
+  const d = cfg?.dims || {};
+  const items = [];
+  let w = 0;
+  let h = 0;
+  let extents = null;
+
+  if (cfg?.shape === "rectangle") {
+    const L = +d.L || 0;
+    const W = +d.W || 0;
+    const edges = Array.isArray(cfg.edges) ? cfg.edges : [];
+    w = L;
+    h = W;
+    items.push({ type: "rect", x: 0, y: 0, w: L, h: W, ...OUTLINE });
+    const sides = { top: [0, 0, L, 0], bottom: [0, W, L, W], left: [0, 0, 0, W], right: [L, 0, L, W] };
+    edges.filter((e) => sides[e]).forEach((e) => {
+      const [x1, y1, x2, y2] = sides[e];
+      items.push({ type: "line", x1, y1, x2, y2, ...POLISHED });
+    });
+    if (cfg.backsplash) {
+      const g = SPLASH_GAP;
+      const splash = {
+        top: [0, -g - SPLASH_H, L, SPLASH_H],
+        bottom: [0, W + g, L, SPLASH_H],
+        left: [-g - SPLASH_H, 0, SPLASH_H, W],
+        right: [L + g, 0, SPLASH_H, W],
+      };
+      Object.keys(splash).filter((k) => !edges.includes(k)).forEach((k) => {
+        const [x, y, sw, sh] = splash[k];
+        items.push({ type: "rect", x, y, w: sw, h: sh, ...SPLASH });
+      });
+    }
+    (Array.isArray(cfg.sinks) ? cfg.sinks : []).forEach((s) => {
+      const tpl = SINKS[s?.key];
+      if (!tpl) return;
+      const x = +s.x || 0;
+      const y = +s.y || 0;
+      items.push(tpl.shape === "oval"
+        ? { type: "ellipse", cx: x, cy: y, rx: tpl.w / 2, ry: tpl.h / 2, ...CUTOUT }
+        : { type: "rect", x: x - tpl.w / 2, y: y - tpl.h / 2, w: tpl.w, h: tpl.h, rx: 0.6, ...CUTOUT });
+      const holeY = y - tpl.h / 2 - FAUCET_SETBACK;
+      faucetHoles(s).map((dx) => x + dx).forEach((hx) => items.push({ type: "ellipse", cx: hx, cy: holeY, rx: HOLE_D / 2, ry: HOLE_D / 2, ...CUTOUT, sw: 0.25 }));
+    });
+    extents = { x0: 0, y0: 0, x1: L, y1: W };
+  } else if (cfg?.shape === "circle") {
+    const D = +d.D || 0;
+    w = D;
+    h = D;
+    items.push({ type: "ellipse", cx: D / 2, cy: D / 2, rx: D / 2, ry: D / 2, ...OUTLINE });
+    extents = { x0: 0, y0: 0, x1: D, y1: D };
+  } else if (cfg?.shape === "polygon") {
+    const n = Math.max(3, parseInt(d.n, 10) || 6);
+    const side = +d.A || 0;
+    const R = side / (2 * Math.sin(Math.PI / n));
+    const points = [];
+    for (let i = 0; i < n; i += 1) {
+      const a = i * ((2 * Math.PI) / n);
+      points.push([R + R * Math.cos(a), R + R * Math.sin(a)]);
+    }
+    w = 2 * R;
+    h = 2 * R;
+    items.push({ type: "polygon", points, ...OUTLINE });
+    const xs = points.map((p) => p[0]);
+    const ys = points.map((p) => p[1]);
+    extents = { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+  }
+
+  if (!w || !h) return null;
+
+  // Overall size, dimensioned above and to the right of everything else.
+  const ext = cfg?.backsplash ? SPLASH_GAP + SPLASH_H : 0;
+  const size = Math.max(2, Math.max(w, h) * 0.045);
+  const off = ext + size * 1.2;
+  const tick = size * 0.35;
+  const top = extents.y0 - off;
+  const right = extents.x1 + off;
+  items.push(
+    { type: "line", x1: extents.x0, y1: top, x2: extents.x1, y2: top, ...DIM },
+    { type: "line", x1: extents.x0, y1: top - tick, x2: extents.x0, y2: top + tick, ...DIM },
+    { type: "line", x1: extents.x1, y1: top - tick, x2: extents.x1, y2: top + tick, ...DIM },
+    { type: "text", x: (extents.x0 + extents.x1) / 2, y: top - size * 0.4, text: label(extents.x1 - extents.x0), size, fill: "#111" },
+    { type: "line", x1: right, y1: extents.y0, x2: right, y2: extents.y1, ...DIM },
+    { type: "line", x1: right - tick, y1: extents.y0, x2: right + tick, y2: extents.y0, ...DIM },
+    { type: "line", x1: right - tick, y1: extents.y1, x2: right + tick, y2: extents.y1, ...DIM },
+    { type: "text", x: right + size * 1.3, y: (extents.y0 + extents.y1) / 2, text: label(extents.y1 - extents.y0), size, vertical: true, fill: "#111" }
+  );
+
+  const x = -PAD - ext;
+  const y = Math.min(-PAD - ext, top - size * 1.6);
+  return {
+    items,
+    view: { x, y, w: Math.max(w + PAD + ext, right + size * 1.6) - x, h: h + PAD + ext - y },
+  };
+}
@@ -0,0 +1,234 @@
+import zlib from "zlib";
+import { pieceDrawing } from "./piece-drawing.js";
+
+// Mail clients block data: URLs and most will not render SVG, so emails get
+// the piece drawing as a PNG. This is a small rasterizer for the handful of
+// shapes pieceDrawing produces: it draws at SS x the output size and box
+// filters down, which is enough anti-aliasing for line art.
+
+const SS = 3;
+
+// 5x7 glyphs for dimension labels, which only ever hold digits, "." and ".
+const GLYPHS = {
+  0: [".###.", "#...#", "#..##", "#.#.#", "##..#", "#...#", ".###."],
+  1: ["..#..", ".##..", "..#..", "..#..", "..#..", "..#..", ".###."],
+  2: [".###.", "#...#", "....#", "...#.", "..#..", ".#...", "#####"],
+  3: ["#####", "...#.", "..#..", "...#.", "....#", "#...#", ".###."],
+  4: ["...#.", "..##.", ".#.#.", "#..#.", "#####", "...#.", "...#."],
+  5: ["#####", "#....", "####.", "....#", "....#", "#...#", ".###."],
+  6: ["..##.", ".#...", "#....", "####.", "#...#", "#...#", ".###."],
+  7: ["#####", "....#", "...#.", "..#..", ".#...", ".#...", ".#..."],
+  8: [".###.", "#...#", "#...#", ".###.", "#...#", "#...#", ".###."],
+  9: [".###.", "#...#", "#...#", ".####", "....#", "...#.", ".##.."],
+  ".": [".....", ".....", ".....", ".....", ".....", ".##..", ".##.."],
+  '"': [".#.#.", ".#.#.", ".#.#.", ".....", ".....", ".....", "....."],
+  " ": [".....", ".....", ".....", ".....", ".....", ".....", "....."],
+};
+
+function rgb(color) {
+  const hex = String(color).replace("#", "");
+  const full = hex.length === 3 ? hex.split("").map((c) => c + c).join("") : hex;
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+}
+
+function canvas(width, height) {
+  const px = new Uint8Array(width * height * 3).fill(255);
+
+  function span(y, x0, x1, c) {
+    if (y < 0 || y >= height) return;
+    const a = Math.max(0, Math.ceil(x0 - 0.5));
+    const b = Math.min(width - 1, Math.floor(x1 - 0.5));
+    for (let x = a; x <= b; x += 1) px.set(c, (y * width + x) * 3);
+  }
+
+  // Even-odd scanline fill, sampling at pixel centres.
+  function polygon(points, c) {
+    const ys = points.map((p) => p[1]);
+    const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+    const y1 = Math.min(height - 1, Math.ceil(Math.max(...ys)));
+    for (let y = y0; y <= y1; y += 1) {
+      const yc = y + 0.5;
+      const xs = [];
+      points.forEach(([ax, ay], i) => {
+        const [bx, by] = points[(i + 1) % points.length];
+        if ((ay <= yc) !== (by <= yc)) xs.push(ax + ((yc - ay) / (by - ay)) * (bx - ax));
+      });
+      xs.sort((p, q) => p - q);
+      for (let i = 0; i + 1 < xs.length; i += 2) span(y, xs[i], xs[i + 1], c);
+    }
+  }
+
+  // Filled ellipse, or with `inner` radii a ring between the two.
+  function ellipse(cx, cy, rx, ry, c, inner = null) {
+    const y0 = Math.max(0, Math.floor(cy - ry));
+    const y1 = Math.min(height - 1, Math.ceil(cy + ry));
+    for (let y = y0; y <= y1; y += 1) {
+      const t = (y + 0.5 - cy) / ry;
+      if (Math.abs(t) > 1) continue;
+      const half = rx * Math.sqrt(1 - t * t);
+      const ti = inner ? (y + 0.5 - cy) / inner[1] : 2;
+      if (Math.abs(ti) >= 1) {
+        span(y, cx - half, cx + half, c);
+      } else {
+        const hole = inner[0] * Math.sqrt(1 - ti * ti);
+        span(y, cx - half, cx - hole, c);
+        span(y, cx + hole, cx + half, c);
+      }
+    }
+  }
+
+  // A straight stroke with square caps, so joined segments leave no notch.
+  function line(x1, y1, x2, y2, w, c) {
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    if (!len) return;
+    const ux = (x2 - x1) / len;
+    const uy = (y2 - y1) / len;
+    const nx = (-uy * w) / 2;
+    const ny = (ux * w) / 2;
+    const ax = x1 - (ux * w) / 2;
+    const ay = y1 - (uy * w) / 2;
+    const bx = x2 + (ux * w) / 2;
+    const by = y2 + (uy * w) / 2;
+    polygon([[ax + nx, ay + ny], [bx + nx, by + ny], [bx - nx, by - ny], [ax - nx, ay - ny]], c);
+  }
+
+  function dashed(x1, y1, x2, y2, w, [on, off], c) {
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    for (let s = 0; s < len; s += on + off) {
+      const e = Math.min(len, s + on);
+      line(x1 + ((x2 - x1) * s) / len, y1 + ((y2 - y1) * s) / len, x1 + ((x2 - x1) * e) / len, y1 + ((y2 - y1) * e) / len, w, c);
+    }
+  }
+
+  // Box-filters the supersampled pixels down by `factor`.
+  function downsample(factor) {
+    const w = Math.floor(width / factor);
+    const h = Math.floor(height / factor);
+    const out = Buffer.alloc(w * h * 3);
+    const n = factor * factor;
+    for (let y = 0; y < h; y += 1) {
+      for (let x = 0; x < w; x += 1) {
+        for (let k = 0; k < 3; k += 1) {
+          let sum = 0;
+          for (let dy = 0; dy < factor; dy += 1) {
+            const row = ((y * factor + dy) * width + x * factor) * 3 + k;
+            for (let dx = 0; dx < factor; dx += 1) sum += px[row + dx * 3];
+          }
+          out[(y * w + x) * 3 + k] = Math.round(sum / n);
+        }
+      }
+    }
+    return { width: w, height: h, pixels: out };
+  }
+
+  return { polygon, ellipse, line, dashed, downsample };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePng({ width, height, pixels }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // truecolour RGB
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// PNG of the piece drawing, `width` pixels wide; null when there is nothing
+// to draw.
+export function renderPiecePng(cfg, { width = 560 } = {}) {
+  const drawing = pieceDrawing(cfg);
+  if (!drawing) return null;
+  const { view } = drawing;
+  const W = width * SS;
+  const H = Math.round((width * view.h) / view.w) * SS;
+  const k = W / view.w;
+  const X = (x) => (x - view.x) * k;
+  const Y = (y) => (y - view.y) * k;
+  const stroke = (sw) => Math.max(SS, sw * k);
+  const c = canvas(W, H);
+
+  drawing.items.forEach((item) => {
+    const fill = item.fill && item.fill !== "none" ? rgb(item.fill) : null;
+    const ink = item.stroke ? rgb(item.stroke) : null;
+    const sw = item.stroke ? stroke(item.sw) : 0;
+    const edges = (points) => points.forEach(([x1, y1], i) => {
+      const [x2, y2] = points[(i + 1) % points.length];
+      if (item.dash) c.dashed(X(x1), Y(y1), X(x2), Y(y2), sw, item.dash.map((v) => v * k), ink);
+      else c.line(X(x1), Y(y1), X(x2), Y(y2), sw, ink);
+    });
+    switch (item.type) {
+      case "rect": {
+        const pts = [[item.x, item.y], [item.x + item.w, item.y], [item.x + item.w, item.y + item.h], [item.x, item.y + item.h]];
+        if (fill) c.polygon(pts.map(([x, y]) => [X(x), Y(y)]), fill);
+        if (ink) edges(pts);
+        break;
+      }
+      case "polygon":
+        if (fill) c.polygon(item.points.map(([x, y]) => [X(x), Y(y)]), fill);
+        if (ink) edges(item.points);
+        break;
+      case "line":
+        c.line(X(item.x1), Y(item.y1), X(item.x2), Y(item.y2), sw, ink);
+        break;
+      case "ellipse": {
+        const rx = item.rx * k;
+        const ry = item.ry * k;
+        if (fill) c.ellipse(X(item.cx), Y(item.cy), rx, ry, fill);
+        if (ink) c.ellipse(X(item.cx), Y(item.cy), rx + sw / 2, ry + sw / 2, ink, [Math.max(0, rx - sw / 2), Math.max(0.01, ry - sw / 2)]);
+        break;
+      }
+      case "text": {
+        // Cap height is about 0.72 of the font size, as in the SVG.
+        const dot = (item.size * 0.72 * k) / 7;
+        const chars = String(item.text).split("").filter((ch) => GLYPHS[ch]);
+        const start = -((chars.length * 6 - 1) * dot) / 2;
+        const ink2 = rgb(item.fill || "#111");
+        chars.forEach((ch, i) => GLYPHS[ch].forEach((row, r) => row.split("").forEach((bit, col) => {
+          if (bit !== "#") return;
+          // Text-local offsets: u along the baseline, v up from it.
+          const u0 = start + (i * 6 + col) * dot;
+          const v0 = (7 - r - 1) * dot;
+          const [x0, y0, x1, y1] = item.vertical
+            ? [X(item.x) - v0 - dot, Y(item.y) - u0 - dot, X(item.x) - v0, Y(item.y) - u0]
+            : [X(item.x) + u0, Y(item.y) - v0 - dot, X(item.x) + u0 + dot, Y(item.y) - v0];
+          c.polygon([[x0, y0], [x1, y0], [x1, y1], [x0, y1]], ink2);
+        })));
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return encodePng(c.downsample(SS));
+}
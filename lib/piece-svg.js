@@ -0,0 +1,39 @@
+import { pieceDrawing } from "./piece-drawing.js";
+
+const fmt = (v) => String(Math.round(v * 100) / 100);
+const esc = (v) => String(v ?? "").replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+
+function paint(item) {
+  return [
+    `fill="${item.fill || "none"}"`,
+    ...(item.stroke ? [`stroke="${item.stroke}"`, `stroke-width="${fmt(item.sw)}"`] : []),
+    ...(item.dash ? [`stroke-dasharray="${item.dash.map(fmt).join(" ")}"`] : []),
+  ].join(" ");
+}
+
+function svgItem(item) {
+  switch (item.type) {
+    case "rect":
+      return `<rect x="${fmt(item.x)}" y="${fmt(item.y)}" width="${fmt(item.w)}" height="${fmt(item.h)}"${item.rx ? ` rx="${fmt(item.rx)}"` : ""} ${paint(item)}/>`;
+    case "line":
+      return `<line x1="${fmt(item.x1)}" y1="${fmt(item.y1)}" x2="${fmt(item.x2)}" y2="${fmt(item.y2)}" ${paint(item)}/>`;
+    case "ellipse":
+      return `<ellipse cx="${fmt(item.cx)}" cy="${fmt(item.cy)}" rx="${fmt(item.rx)}" ry="${fmt(item.ry)}" ${paint(item)}/>`;
+    case "polygon":
+      return `<polygon points="${item.points.map(([x, y]) => `${fmt(x)},${fmt(y)}`).join(" ")}" ${paint(item)}/>`;
+    case "text":
+      return `<text x="${fmt(item.x)}" y="${fmt(item.y)}" font-family="Arial, Helvetica, sans-serif" font-size="${fmt(item.size)}" text-anchor="middle" fill="${item.fill}"${item.vertical ? ` transform="rotate(-90 ${fmt(item.x)} ${fmt(item.y)})"` : ""}>${esc(item.text)}</text>`;
+    default:
+      return "";
+  }
+}
+
+// Top-down drawing of a configured piece (see pieceDrawing). Sizes are real
+// inches in the viewBox, so `width` only sets the rendered size.
+export function renderPieceSvg(cfg, { width = 480 } = {}) {
+  const drawing = pieceDrawing(cfg);
+  if (!drawing) return "";
+  const { x, y, w, h } = drawing.view;
+  const height = Math.round((width * h) / w);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${fmt(x)} ${fmt(y)} ${fmt(w)} ${fmt(h)}">${drawing.items.map(svgItem).join("")}</svg>`;
+}
@@ -0,0 +1,240 @@
+// QR codes for printed paperwork (the shop work order). Byte mode at error
+// correction level M, versions 1-10, which holds up to 213 bytes; that is
+// plenty for an order URL. Follows ISO/IEC 18004: Reed-Solomon over
+// GF(256), the eight masks scored with the standard penalty rules.
+
+// Per version at level M: EC codewords per block, then [count, data
+// codewords] for each block group.
+const BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+];
+
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < degree; j += 1) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((b) => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  });
+  return result;
+}
+
+function dataCapacity(version) {
+  const [, ...groups] = BLOCKS_M[version];
+  return groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+// Data and EC codewords for `bytes`, interleaved across blocks.
+function codewords(bytes, version) {
+  const capacity = dataCapacity(version);
+  const bits = [];
+  const put = (value, len) => { for (let i = len - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1); };
+  put(0b0100, 4);
+  put(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((b) => put(b, 8));
+  put(0, Math.min(4, capacity * 8 - bits.length));
+  put(0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((v, b) => (v << 1) | b, 0));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const [ecLen, ...groups] = BLOCKS_M[version];
+  const divisor = rsDivisor(ecLen);
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i += 1) {
+      const chunk = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: chunk, ec: rsRemainder(chunk, divisor) });
+    }
+  });
+  const out = [];
+  const longest = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < longest; i += 1) blocks.forEach((b) => { if (i < b.data.length) out.push(b.data[i]); });
+  for (let i = 0; i < ecLen; i += 1) blocks.forEach((b) => out.push(b.ec[i]));
+  return out;
+}
+
+function penalty(m) {
+  const n = m.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < n; i += 1) {
+    lines.push(m[i]);
+    lines.push(m.map((row) => row[i]));
+  }
+  lines.forEach((line) => {
+    // Runs of five or more of one colour.
+    let run = 1;
+    for (let i = 1; i <= n; i += 1) {
+      if (i < n && line[i] === line[i - 1]) {
+        run += 1;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    // Finder-like 1:1:3:1:1 with four light modules on either side.
+    for (let i = 0; i + 6 < n; i += 1) {
+      const core = line[i] && !line[i + 1] && line[i + 2] && line[i + 3] && line[i + 4] && !line[i + 5] && line[i + 6];
+      if (!core) continue;
+      const lightBefore = [1, 2, 3, 4].every((k) => i - k < 0 || !line[i - k]);
+      const lightAfter = [7, 8, 9, 10].every((k) => i + k >= n || !line[i + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  });
+  let dark = 0;
+  for (let y = 0; y < n; y += 1) {
+    for (let x = 0; x < n; x += 1) {
+      if (m[y][x]) dark += 1;
+      if (x + 1 < n && y + 1 < n && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+    }
+  }
+  score += Math.floor(Math.abs((dark * 100) / (n * n) - 50) / 5) * 10;
+  return score;
+}
+
+// The QR code for `text` as rows of booleans (true = dark), without the
+// quiet zone; leave four modules of white around it when drawing.
+export function qrMatrix(text) {
+  const bytes = [...Buffer.from(String(text), "utf8")];
+  let version = 1;
+  while (version < BLOCKS_M.length && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) version += 1;
+  if (version >= BLOCKS_M.length) throw new Error(`QR code text is too long (${bytes.length} bytes)`);
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    fixed[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  });
+  const align = ALIGNMENT[version];
+  align.forEach((cy, i) => align.forEach((cx, j) => {
+    const last = align.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy += 1) {
+      for (let dx = -2; dx <= 2; dx += 1) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  const drawFormat = (mask) => {
+    const data = mask; // level M is 0b00, so only the mask shows
+    let rem = data;
+    for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i += 1) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i += 1) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  drawFormat(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Data fills two-module columns from the bottom right, snaking up and
+  // down and stepping over the vertical timing pattern.
+  const data = codewords(bytes, version);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert += 1) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        if (fixed[y][x] || i >= data.length * 8) continue;
+        modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i += 1;
+      }
+    }
+  }
+
+  let best = null;
+  const base = modules.map((row) => row.slice());
+  MASKS.forEach((fn, mask) => {
+    base.forEach((row, y) => row.forEach((dark, x) => { modules[y][x] = fixed[y][x] ? dark : dark !== fn(x, y); }));
+    drawFormat(mask);
+    const score = penalty(modules);
+    if (!best || score < best.score) best = { score, matrix: modules.map((row) => row.slice()) };
+  });
+  return best.matrix;
+}
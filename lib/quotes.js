@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import path from "path";
+import { openJsonStore } from "./json-store.js";
+
+// Crockford-style alphabet: no I, L, O or U, so IDs survive being read aloud.
+const ID_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const ID_LENGTH = 8;
+
+export function newQuoteId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  let id = "";
+  for (let i = 0; i < ID_LENGTH; i += 1) id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+  return id;
+}
+
+export function normalizeQuoteId(value) {
+  const id = String(value || "").trim().toUpperCase();
+  return new RegExp(`^[${ID_ALPHABET}]{${ID_LENGTH}}$`).test(id) ? id : "";
+}
+
+export function createQuoteStore(dataDir) {
+  const store = openJsonStore(path.join(dataDir, "quotes.json"));
+
+  async function saveQuote({ config, quote, email }) {
+    let id = newQuoteId();
+    while (await store.get(id)) id = newQuoteId();
+    const record = {
+      id,
+      createdAt: new Date().toISOString(),
+      email: email || null,
+      config,
+      quote,
+      emails: [],
+    };
+    return store.put(id, record);
+  }
+
+  function recordQuoteEmail(id, to) {
+    return store.update(id, (prev) => prev && {
+      ...prev,
+      emails: [...(prev.emails || []), { to, at: new Date().toISOString() }],
+    });
+  }
+
+  // Drops quotes saved more than `days` ago; their links stop working.
+  function pruneQuotes(days, now = Date.now()) {
+    const cutoff = new Date(now - days * 86400 * 1000).toISOString();
+    return store.removeWhere((r) => r.createdAt < cutoff);
+  }
+
+  return {
+    getQuote: (id) => store.get(id),
+    pruneQuotes,
+    recordQuoteEmail,
+    saveQuote,
+  };
+}
@@ -0,0 +1,35 @@
+// In-memory fixed-window counters for abuse limits, e.g. emails per IP per
+// hour. Counts reset when the process restarts; that is enough to stop a
+// script from using a public endpoint as a mail relay.
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  function prune(now) {
+    for (const [key, w] of windows) if (now >= w.resetAt) windows.delete(key);
+  }
+
+  function current(key, now) {
+    const w = windows.get(key);
+    return w && now < w.resetAt ? w : null;
+  }
+
+  // How long until `key` may be counted again; 0 if it may now.
+  function retryAfterMs(key, now = Date.now()) {
+    const w = current(key, now);
+    return w && w.count >= limit ? w.resetAt - now : 0;
+  }
+
+  // Counts one hit against `key`. Resolves to { ok: true }, or to
+  // { ok: false, retryAfterMs } once the window is used up.
+  function take(key, now = Date.now()) {
+    if (windows.size > 10000) prune(now);
+    const wait = retryAfterMs(key, now);
+    if (wait > 0) return { ok: false, retryAfterMs: wait };
+    const w = current(key, now) || { count: 0, resetAt: now + windowMs };
+    w.count += 1;
+    windows.set(key, w);
+    return { ok: true };
+  }
+
+  return { retryAfterMs, take };
+}
@@ -0,0 +1,48 @@
+// Parts of an order staff can refund on their own. Amounts come from the
+// pricing recorded at checkout (per piece, times qty); "other" is any
+// staff-entered amount, e.g. a goodwill credit.
+export const REFUND_LINES = {
+  freight: "Freight",
+  sinks: "Sink add-on",
+  backsplash: "Backsplash",
+  tax: "Sales tax",
+  other: "Other",
+};
+
+const toCents = (dollars) => Math.max(0, Math.round((+dollars || 0) * 100));
+
+// Refunds this app issued itself (ZIP re-quotes, staff refunds, and staff
+// refunds still waiting on Stripe). Stripe's own total can be higher when
+// someone refunds from the Stripe dashboard.
+export function appRefundedCents(order) {
+  const staff = (order?.refunds || []).reduce((sum, r) => sum + (r.amountCents || 0), 0);
+  const pending = (order?.pendingRefunds || []).reduce((sum, r) => sum + (r.amountCents || 0), 0);
+  const requote = order?.balance?.action === "refund" ? -order.balance.deltaCents : 0;
+  return staff + pending + requote;
+}
+
+export function refundedCents(order) {
+  return Math.max(order.refundedCents || 0, appRefundedCents(order));
+}
+
+// What is left to refund on each line and on the order as a whole. Refunds
+// still waiting on Stripe already count against both.
+export function refundableLines(order) {
+  const p = order.pricing || {};
+  const qty = Math.max(1, parseInt(order.config?.qty, 10) || 1);
+  const charged = {
+    freight: toCents(p.ship?.ltl) * qty,
+    sinks: toCents(p.sinks) * qty,
+    backsplash: toCents(p.backsplash) * qty,
+    tax: order.tax?.amountCents ?? toCents(p.tax) * qty,
+  };
+  const remainingTotal = Math.max(0, (order.amountTotal || 0) - refundedCents(order));
+  const lines = {};
+  Object.keys(REFUND_LINES).forEach((line) => {
+    const done = (order.refunds || []).filter((r) => r.line === line).reduce((sum, r) => sum + (r.amountCents || 0), 0);
+    const pending = (order.pendingRefunds || []).filter((r) => r.line === line).reduce((sum, r) => sum + (r.amountCents || 0), 0);
+    const cap = line === "other" ? remainingTotal : Math.max(0, (charged[line] || 0) - done - pending);
+    lines[line] = { label: REFUND_LINES[line], chargedCents: charged[line] ?? null, refundedCents: done, remainingCents: Math.min(cap, remainingTotal) };
+  });
+  return { remainingTotal, lines };
+}
@@ -0,0 +1,117 @@
+import { CUSTOMER_STAGES, statusLabel } from "./order-status.js";
+
+const esc = (v) => String(v ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" }[c]));
+const when = (iso) => (iso ? new Date(iso).toUTCString().replace(/:\d\d GMT$/, " UTC") : "");
+
+// What the customer may see of an order. Staff notes, Stripe IDs and
+// pricing internals stay out; this is what GET /api/order-status returns.
+export function publicOrderStatus(order) {
+  const balance = order.balance?.status === "open"
+    ? { amountCents: order.balance.deltaCents, url: order.balance.invoiceUrl || null }
+    : null;
+  return {
+    shortId: order.shortId,
+    status: order.status,
+    statusLabel: statusLabel(order.status),
+    createdAt: order.createdAt,
+    history: (order.history || []).map((h) => ({ status: h.status, label: statusLabel(h.status), at: h.at })),
+    shipment: order.shipment
+      ? {
+          carrier: order.shipment.carrier || null,
+          trackingNumber: order.shipment.trackingNumber || null,
+          trackingUrl: order.shipment.trackingUrl || null,
+        }
+      : null,
+    balanceDue: balance,
+    piece: order.config
+      ? { shape: order.config.shape, dims: order.config.dims, color: order.config.color, qty: order.config.qty || 1 }
+      : null,
+  };
+}
+
+export function renderStatusPage(order, { brandName, logoUrl }) {
+  const s = publicOrderStatus(order);
+  const reached = new Set(s.history.map((h) => h.status));
+  const current = CUSTOMER_STAGES.indexOf(s.status);
+  const stages = CUSTOMER_STAGES.map((stage, i) => {
+    const done = reached.has(stage) || (current >= 0 && i <= current);
+    return `<li style="flex:1;min-width:90px;padding:8px 6px;text-align:center;font-size:12px;font-weight:700;border-top:4px solid ${done ? "#ffc400" : "#ddd"};color:${done ? "#111" : "#888"};">${esc(statusLabel(stage))}</li>`;
+  }).join("");
+  const hold = {
+    payment_pending: "We are waiting for your bank payment to clear. Production starts once it does, and we will email you.",
+    payment_failed: "Your payment did not go through. Reply to your confirmation email and we will help you complete it.",
+    refunded: "This order has been refunded. Reply to your confirmation email if you have questions.",
+    under_review: "Our team is reviewing your order before it goes into production. We will contact you if we need anything.",
+    awaiting_balance: "Your order is waiting on a balance payment before production begins.",
+    cancelled: "This order has been cancelled. Reply to your confirmation email if you have questions.",
+  }[s.status];
+  const tracking = s.shipment && (s.shipment.trackingNumber || s.shipment.carrier)
+    ? `<div style="background:#fafafa;border:1px solid #eee;border-radius:8px;padding:14px;margin:0 0 16px;font-size:14px;line-height:1.5;">
+        <strong>Freight tracking</strong><br>
+        ${s.shipment.carrier ? `Carrier: ${esc(s.shipment.carrier)}<br>` : ""}
+        ${s.shipment.trackingNumber ? `Tracking / PRO #: ${s.shipment.trackingUrl ? `<a href="${esc(s.shipment.trackingUrl)}">${esc(s.shipment.trackingNumber)}</a>` : esc(s.shipment.trackingNumber)}` : ""}
+      </div>`
+    : "";
+  const history = s.history.slice().reverse()
+    .map((h) => `<tr><td style="padding:6px 8px;border-bottom:1px solid #eee;">${esc(h.label)}</td><td style="padding:6px 8px;border-bottom:1px solid #eee;color:#555;">${esc(when(h.at))}</td></tr>`)
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>Order ${esc(s.shortId)} - ${esc(brandName)}</title>
+</head>
+<body style="margin:0;background:#fff;color:#111;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:680px;margin:0 auto;">
+    <div style="background:#ffc400;padding:14px 16px;display:flex;align-items:center;justify-content:space-between;gap:12px;">
+      <img src="${esc(logoUrl)}" alt="${esc(brandName)}" style="height:36px;display:block;" />
+      <div style="font-weight:800;font-size:13px;white-space:nowrap;">Order Status</div>
+    </div>
+    <div style="padding:18px 16px;">
+      <h1 style="margin:0 0 4px;font-size:20px;">Order ${esc(s.shortId)}</h1>
+      <p style="margin:0 0 16px;font-size:15px;">Current status: <strong>${esc(s.statusLabel)}</strong></p>
+      ${["cancelled", "refunded", "payment_failed"].includes(s.status) ? "" : `<ol style="display:flex;gap:4px;list-style:none;margin:0 0 16px;padding:0;">${stages}</ol>`}
+      ${hold ? `<p style="margin:0 0 16px;padding:12px 14px;background:#fffbeb;border:1px solid #ffc400;border-radius:8px;font-size:14px;line-height:1.5;">${esc(hold)}</p>` : ""}
+      ${s.balanceDue?.url ? `<p style="margin:0 0 16px;"><a href="${esc(s.balanceDue.url)}" style="display:inline-block;background:#ffc400;color:#000;font-weight:800;padding:10px 16px;text-decoration:none;">Pay balance of $${esc(((s.balanceDue.amountCents || 0) / 100).toFixed(2))}</a></p>` : ""}
+      ${tracking}
+      <h2 style="margin:0 0 8px;font-size:16px;">History</h2>
+      <table style="border-collapse:collapse;width:100%;font-size:14px;">${history}</table>
+      <p style="margin:18px 0 0;font-size:12px;color:#666;">Questions? Reply to your order confirmation email and we will help.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+// The checkout reminder opt-out page. A GET only shows the confirm button;
+// the opt-out itself is the POST, so mail scanners that prefetch the link
+// do not unsubscribe anyone.
+export function renderOptOutPage({ email, done, brandName, logoUrl }) {
+  const body = done
+    ? `<p style="margin:0;font-size:15px;line-height:1.5;">${esc(email)} will not get any more checkout reminders from ${esc(brandName)}.</p>`
+    : `<p style="margin:0 0 16px;font-size:15px;line-height:1.5;">Stop checkout reminder emails to ${esc(email)}?</p>
+      <form method="post"><button type="submit" style="background:#ffc400;color:#000;font-weight:800;padding:10px 16px;border:0;cursor:pointer;">Unsubscribe</button></form>`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>Checkout reminders - ${esc(brandName)}</title>
+</head>
+<body style="margin:0;background:#fff;color:#111;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:680px;margin:0 auto;">
+    <div style="background:#ffc400;padding:14px 16px;">
+      <img src="${esc(logoUrl)}" alt="${esc(brandName)}" style="height:36px;display:block;" />
+    </div>
+    <div style="padding:18px 16px;">
+      <h1 style="margin:0 0 12px;font-size:20px;">Checkout reminders</h1>
+      ${body}
+    </div>
+  </div>
+</body>
+</html>`;
+}
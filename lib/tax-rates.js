@@ -0,0 +1,74 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const BUNDLED_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "tax-rates.json");
+
+// Sales tax table handed to the pricing engine as `constants.tax`.
+//
+// JSON files use the shape of lib/tax-rates.json. CSV files have the header
+// `zip,state,rate,jurisdiction`: a row with a ZIP sets that ZIP's rate, a row
+// with only a state sets the state-wide fallback. Rates are fractions
+// (0.0825), not percentages. The ZIP-prefix-to-state map always comes from
+// the bundled table, so a CSV only has to list rates.
+//
+// The bundled table has state base rates only, no local rates and no ZIP
+// rows, so charging from it undercharges almost everywhere. Production needs
+// a TAX_RATES_FILE with ZIP rows (see requireZipRates).
+export function loadTaxTable(file) {
+  const bundled = JSON.parse(fs.readFileSync(BUNDLED_FILE, "utf8"));
+  if (!file) return { ...bundled, source: bundled.source || "bundled" };
+
+  const resolved = path.resolve(file);
+  const raw = fs.readFileSync(resolved, "utf8");
+  const base = {
+    version: `${path.basename(resolved)}@${crypto.createHash("sha1").update(raw).digest("hex").slice(0, 8)}`,
+    source: resolved,
+    zip3States: bundled.zip3States,
+  };
+  if (/\.json$/i.test(resolved)) {
+    const table = JSON.parse(raw);
+    return { ...base, ...table, zip3States: table.zip3States || bundled.zip3States };
+  }
+  return { ...base, defaultRate: bundled.defaultRate, ...parseTaxCsv(raw, resolved) };
+}
+
+function parseTaxCsv(raw, file) {
+  const rows = raw.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  const header = (rows.shift() || "").toLowerCase().split(",").map((h) => h.trim());
+  const col = (name) => header.indexOf(name);
+  if (col("rate") < 0 || (col("zip") < 0 && col("state") < 0)) {
+    throw new Error(`${file}: expected a header with zip, state, rate and jurisdiction columns`);
+  }
+
+  const states = {};
+  const zips = {};
+  rows.forEach((line, i) => {
+    const cells = line.split(",").map((c) => c.trim().replace(/^"|"$/g, ""));
+    const get = (name) => (col(name) >= 0 ? cells[col(name)] || "" : "");
+    const rate = Number(get("rate"));
+    if (get("rate") === "" || !Number.isFinite(rate) || rate < 0 || rate >= 1) {
+      throw new Error(`${file}:${i + 2}: invalid rate "${get("rate")}"`);
+    }
+    const zip = get("zip");
+    const state = get("state").toUpperCase();
+    const jurisdiction = get("jurisdiction") || null;
+    if (zip) {
+      if (!/^\d{5}$/.test(zip)) throw new Error(`${file}:${i + 2}: invalid ZIP "${zip}"`);
+      zips[zip] = { rate, jurisdiction: jurisdiction || (state ? `${state} ${zip}` : zip) };
+    } else if (/^[A-Z]{2}$/.test(state)) {
+      states[state] = { rate, name: jurisdiction || state };
+    } else {
+      throw new Error(`${file}:${i + 2}: row needs a ZIP or a two-letter state`);
+    }
+  });
+  return { states, zips };
+}
+
+// Throws when `table` has no ZIP rows, so a server charging tax from the
+// table does not start on state base rates alone.
+export function requireZipRates(table) {
+  if (Object.keys(table.zips || {}).length) return;
+  throw new Error(`Tax table ${table.version || "(bundled)"} has no ZIP rates; set TAX_RATES_FILE to a CSV or JSON table with 5-digit ZIP rows, or TAX_MODE=stripe`);
+}
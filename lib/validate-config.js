@@ -0,0 +1,171 @@
+import { SINKS } from "./geometry.js";
+
+// Server-side mirror of the rules enforced by public/rcg-configurator.js.
+// Keep these limits in step with the configurator: anything the browser would
+// refuse to build must be refused here too, before it is priced or charged.
+
+export const MAX_LEN = 72;
+export const MAX_WID = 60;
+export const MAX_DIAM = 60;
+export const MIN_DIM = 1;
+export const POLY_MIN_SIDES = 5;
+export const POLY_MAX_SIDES = 18;
+export const MIN_SINK_EDGE = 4;
+export const MIN_SINK_GAP = 4;
+export const MAX_SINKS = 2;
+
+export const SHAPES = ["rectangle", "circle", "polygon"];
+export const EDGES = ["top", "right", "bottom", "left"];
+export const COLORS = ["laurent", "rem", "bergen", "kreta", "sirius", "kairos"];
+export const SINK_TEMPLATES = SINKS;
+export const FAUCET_HOLES = ["1", "3"];
+export const FAUCET_SPREADS = [4, 8];
+
+// Values in the config have been through toFixed(2) on the way in.
+const EPS = 0.01;
+
+export function polygonMaxSide(n) {
+  return MAX_DIAM * Math.sin(Math.PI / n);
+}
+
+export function validateConfig(cfg) {
+  const errors = [];
+  const fail = (field, code, message, extra) => errors.push({ field, code, message, ...(extra || {}) });
+
+  if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) {
+    fail("config", "required", "Config is required");
+    return errors;
+  }
+
+  function dim(field, value, max, { integer = false, min = MIN_DIM } = {}) {
+    if (value === undefined || value === null || value === "") {
+      fail(field, "required", `${field} is required`);
+      return null;
+    }
+    const v = Number(value);
+    if (!Number.isFinite(v)) {
+      fail(field, "not_a_number", `${field} must be a number`);
+      return null;
+    }
+    if (v < 0) {
+      fail(field, "negative", `${field} cannot be negative`, { min });
+      return null;
+    }
+    if (integer && !Number.isInteger(v)) {
+      fail(field, "not_integer", `${field} must be a whole number`);
+      return null;
+    }
+    if (v < min - EPS) {
+      fail(field, "too_small", `${field} must be at least ${min}`, { min });
+      return null;
+    }
+    if (v > max + EPS) {
+      fail(field, "too_large", `${field} must be at most ${+max.toFixed(2)}`, { max: +max.toFixed(2) });
+      return null;
+    }
+    return v;
+  }
+
+  const shape = cfg.shape;
+  if (!shape) fail("shape", "required", "Shape is required");
+  else if (!SHAPES.includes(shape)) fail("shape", "unknown_shape", `Unknown shape "${shape}"`, { allowed: SHAPES });
+
+  const d = cfg.dims && typeof cfg.dims === "object" ? cfg.dims : {};
+  let L = null;
+  let W = null;
+  if (shape === "rectangle") {
+    L = dim("dims.L", d.L, MAX_LEN);
+    W = dim("dims.W", d.W, MAX_WID);
+  } else if (shape === "circle") {
+    dim("dims.D", d.D, MAX_DIAM);
+  } else if (shape === "polygon") {
+    const n = dim("dims.n", d.n, POLY_MAX_SIDES, { integer: true, min: POLY_MIN_SIDES });
+    if (n !== null) dim("dims.A", d.A, polygonMaxSide(n));
+  }
+
+  const edges = cfg.edges == null ? [] : cfg.edges;
+  if (!Array.isArray(edges)) {
+    fail("edges", "invalid", "Edges must be a list");
+  } else {
+    edges.forEach((e, i) => {
+      if (!EDGES.includes(e)) fail(`edges[${i}]`, "unknown_edge", `Unknown edge "${e}"`, { allowed: EDGES });
+    });
+    if (edges.length && shape !== "rectangle") fail("edges", "not_allowed", "Polished edges apply to rectangles only");
+  }
+
+  if (cfg.backsplash) {
+    if (shape !== "rectangle") {
+      fail("backsplash", "not_allowed", "Backsplash applies to rectangles only");
+    } else if (Array.isArray(edges) && EDGES.every((k) => edges.includes(k))) {
+      fail("backsplash", "no_unpolished_side", "Backsplash needs at least one not-polished side");
+    }
+  }
+
+  const sinks = cfg.sinks == null ? [] : cfg.sinks;
+  if (!Array.isArray(sinks)) {
+    fail("sinks", "invalid", "Sinks must be a list");
+  } else if (sinks.length) {
+    if (shape !== "rectangle") fail("sinks", "not_allowed", "Sinks are available for rectangles only");
+    if (sinks.length > MAX_SINKS) fail("sinks", "too_many_sinks", `At most ${MAX_SINKS} sinks`, { max: MAX_SINKS });
+
+    const placed = [];
+    sinks.forEach((s, i) => {
+      const f = `sinks[${i}]`;
+      const tpl = SINK_TEMPLATES[s?.key];
+      if (!tpl) {
+        fail(`${f}.key`, "unknown_sink", `Unknown sink "${s?.key}"`, { allowed: Object.keys(SINK_TEMPLATES) });
+        return;
+      }
+
+      const faucet = String(s.faucet ?? "1");
+      if (!FAUCET_HOLES.includes(faucet)) {
+        fail(`${f}.faucet`, "invalid_faucet", "Faucet must be 1 or 3 holes", { allowed: FAUCET_HOLES });
+      } else if (faucet === "3" && !FAUCET_SPREADS.includes(Number(s.spread))) {
+        fail(`${f}.spread`, "invalid_spread", "3-hole faucets need a 4\" or 8\" spread", { allowed: FAUCET_SPREADS });
+      }
+
+      if (shape !== "rectangle" || L === null || W === null) return;
+      const x = Number(s.x);
+      const y = Number(s.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        fail(`${f}.position`, "not_a_number", "Sink position must be numeric");
+        return;
+      }
+      const halfW = tpl.w / 2;
+      const halfH = tpl.h / 2;
+      if (tpl.w + 2 * MIN_SINK_EDGE > L + EPS || tpl.h + 2 * MIN_SINK_EDGE > W + EPS) {
+        fail(f, "sink_does_not_fit", `Sink does not fit with ${MIN_SINK_EDGE}" edge clearance`, { min: MIN_SINK_EDGE });
+        return;
+      }
+      if (
+        x - halfW < MIN_SINK_EDGE - EPS || L - (x + halfW) < MIN_SINK_EDGE - EPS ||
+        y - halfH < MIN_SINK_EDGE - EPS || W - (y + halfH) < MIN_SINK_EDGE - EPS
+      ) {
+        fail(`${f}.position`, "sink_edge_clearance", `Sink must be at least ${MIN_SINK_EDGE}" from every edge`, { min: MIN_SINK_EDGE });
+        return;
+      }
+      for (const o of placed) {
+        const dx = Math.abs(x - o.x);
+        const dy = Math.abs(y - o.y);
+        const minDx = halfW + o.tpl.w / 2 + MIN_SINK_GAP;
+        const minDy = halfH + o.tpl.h / 2 + MIN_SINK_GAP;
+        if (dx < minDx - EPS && dy < minDy - EPS) {
+          fail(`${f}.position`, "sink_gap", `Sinks must be at least ${MIN_SINK_GAP}" apart`, { min: MIN_SINK_GAP, other: o.index });
+        }
+      }
+      placed.push({ x, y, tpl, index: i });
+    });
+  }
+
+  if (!cfg.color) fail("color", "required", "Stone color is required");
+  else if (!COLORS.includes(cfg.color)) fail("color", "unknown_color", `Unknown stone color "${cfg.color}"`, { allowed: COLORS });
+
+  if (!/^\d{5}$/.test(String(cfg.zip || ""))) fail("zip", "invalid_zip", "ZIP must be 5 digits");
+
+  if (cfg.qty != null && cfg.qty !== "") {
+    const qty = Number(cfg.qty);
+    if (!Number.isInteger(qty) || qty < 1) fail("qty", "invalid_qty", "Quantity must be a whole number of at least 1");
+  }
+
+  return errors;
+}
@@ -0,0 +1,55 @@
+import path from "path";
+import { openJsonStore } from "./json-store.js";
+
+// A delivery that is still "processing" after this long is assumed to have
+// died mid-flight (crash, deploy) and may be picked up by a retry.
+const IN_FLIGHT_MS = 5 * 60 * 1000;
+
+export function createWebhookEventLog(dataDir) {
+  const store = openJsonStore(path.join(dataDir, "webhook-events.json"));
+
+  // Returns "new", "retry", "done" or "in-flight" and, for the first two,
+  // claims the event for this delivery.
+  async function begin(event) {
+    const now = Date.now();
+    let state = "new";
+    await store.update(event.id, (prev) => {
+      if (prev?.status === "done") {
+        state = "done";
+        return null;
+      }
+      if (prev?.status === "processing" && now - Date.parse(prev.startedAt) < IN_FLIGHT_MS) {
+        state = "in-flight";
+        return null;
+      }
+      state = prev ? "retry" : "new";
+      return {
+        ...(prev || {}),
+        id: event.id,
+        type: event.type,
+        objectId: event.data?.object?.id || null,
+        status: "processing",
+        attempts: (prev?.attempts || 0) + 1,
+        firstSeenAt: prev?.firstSeenAt || new Date(now).toISOString(),
+        startedAt: new Date(now).toISOString(),
+      };
+    });
+    return state;
+  }
+
+  function finish(eventId, status, error) {
+    return store.update(eventId, (prev) => prev && {
+      ...prev,
+      status,
+      error: error ? String(error.message || error) : null,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  return {
+    begin,
+    complete: (eventId) => finish(eventId, "done"),
+    fail: (eventId, err) => finish(eventId, "failed", err),
+    getEvent: (eventId) => store.get(eventId),
+  };
+}
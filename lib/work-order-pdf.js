@@ -0,0 +1,297 @@
+import zlib from "zlib";
+import { GEOMETRY, SINKS, faucetHoles } from "./geometry.js";
+import { pieceDrawing } from "./piece-drawing.js";
+import { faucetDesc, pieceView } from "./email-view.js";
+import { statusLabel } from "./order-status.js";
+import { qrMatrix } from "./qr.js";
+
+// The shop's printable work order: one US Letter page, written here as a
+// plain PDF (built-in Helvetica, vector drawing) so nothing is rendered by
+// an outside service. Layout code works in points from the top-left corner;
+// the page object flips to PDF's bottom-up coordinates.
+
+const PAGE_W = 612;
+const PAGE_H = 792;
+const MARGIN = 36;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; bold text is
+// measured as slightly wider, which is close enough for centring.
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const textWidth = (str, size, bold) => [...str].reduce((w, ch) => w + (WIDTHS[ch.charCodeAt(0) - 32] || 556), 0) * size / 1000 * (bold ? 1.06 : 1);
+const fmt = (v) => String(Math.round(v * 100) / 100);
+const inches = (v) => `${Math.round((+v || 0) * 100) / 100}"`;
+// Strings go out as WinAnsi (Latin-1 here); anything else becomes "?".
+const pdfString = (str) => `(${String(str ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?").replace(/[()\\]/g, "\\$&")})`;
+
+function rgb(color) {
+  const hex = String(color || "#000").replace("#", "");
+  const full = hex.length === 3 ? hex.split("").map((c) => c + c).join("") : hex;
+  return [0, 2, 4].map((i) => fmt(parseInt(full.slice(i, i + 2), 16) / 255)).join(" ");
+}
+
+function page() {
+  const ops = [];
+  const Y = (y) => PAGE_H - y;
+
+  function paint({ fill, stroke, width = 1, dash } = {}) {
+    const hasFill = fill && fill !== "none";
+    if (hasFill) ops.push(`${rgb(fill)} rg`);
+    if (stroke) ops.push(`${rgb(stroke)} RG ${fmt(width)} w ${dash ? `[${dash.map(fmt).join(" ")}] 0 d` : "[] 0 d"}`);
+    return hasFill && stroke ? "B" : hasFill ? "f" : "S";
+  }
+
+  function path(build, style) {
+    const op = paint(style);
+    ops.push(`${build()} ${op}`);
+  }
+
+  return {
+    ops,
+    text(x, y, str, { size = 10, bold = false, color = "#111", align = "left", vertical = false } = {}) {
+      const value = String(str ?? "");
+      const w = textWidth(value, size, bold);
+      const shift = align === "center" ? w / 2 : align === "right" ? w : 0;
+      // Vertical text reads bottom to top, as in the SVG drawing.
+      const m = vertical ? `0 1 -1 0 ${fmt(x)} ${fmt(Y(y) - shift)}` : `1 0 0 1 ${fmt(x - shift)} ${fmt(Y(y))}`;
+      ops.push(`BT ${rgb(color)} rg /${bold ? "F2" : "F1"} ${fmt(size)} Tf ${m} Tm ${pdfString(value)} Tj ET`);
+    },
+    line(x1, y1, x2, y2, style) {
+      path(() => `${fmt(x1)} ${fmt(Y(y1))} m ${fmt(x2)} ${fmt(Y(y2))} l`, { stroke: "#111", ...style });
+    },
+    rect(x, y, w, h, style) {
+      path(() => `${fmt(x)} ${fmt(Y(y + h))} ${fmt(w)} ${fmt(h)} re`, style);
+    },
+    polygon(points, style) {
+      path(() => `${points.map(([x, y], i) => `${fmt(x)} ${fmt(Y(y))} ${i ? "l" : "m"}`).join(" ")} h`, style);
+    },
+    // Four Bezier quarters; k is the usual circle approximation constant.
+    ellipse(cx, cy, rx, ry, style) {
+      const k = 0.5523;
+      const [x, y] = [cx, Y(cy)];
+      path(() => [
+        `${fmt(x + rx)} ${fmt(y)} m`,
+        `${fmt(x + rx)} ${fmt(y + ry * k)} ${fmt(x + rx * k)} ${fmt(y + ry)} ${fmt(x)} ${fmt(y + ry)} c`,
+        `${fmt(x - rx * k)} ${fmt(y + ry)} ${fmt(x - rx)} ${fmt(y + ry * k)} ${fmt(x - rx)} ${fmt(y)} c`,
+        `${fmt(x - rx)} ${fmt(y - ry * k)} ${fmt(x - rx * k)} ${fmt(y - ry)} ${fmt(x)} ${fmt(y - ry)} c`,
+        `${fmt(x + rx * k)} ${fmt(y - ry)} ${fmt(x + rx)} ${fmt(y - ry * k)} ${fmt(x + rx)} ${fmt(y)} c h`,
+      ].join(" "), style);
+    },
+  };
+}
+
+function pdfDocument(ops, { title }) {
+  const stream = zlib.deflateSync(Buffer.from(ops.join("\n"), "latin1"));
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+    Buffer.concat([Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`), stream, Buffer.from("\nendstream")]),
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title ${pdfString(title)} /Producer (Rock Creek Granite server) >>`,
+  ];
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const offset = length;
+    const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"), Buffer.from("\nendobj\n")]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+    "startxref",
+    String(length),
+    "%%EOF",
+  ].join("\n");
+  chunks.push(Buffer.from(`${xref}\n`));
+  return Buffer.concat(chunks);
+}
+
+// pieceDrawing's items scaled into the box at (x, y), w x h points.
+function drawPiece(pg, cfg, box) {
+  const drawing = pieceDrawing(cfg);
+  if (!drawing) {
+    pg.text(box.x + box.w / 2, box.y + box.h / 2, "No drawing available", { align: "center", color: "#888" });
+    return null;
+  }
+  const { view } = drawing;
+  const k = Math.min(box.w / view.w, box.h / view.h);
+  const ox = box.x + (box.w - view.w * k) / 2;
+  const oy = box.y + (box.h - view.h * k) / 2;
+  const X = (v) => ox + (v - view.x) * k;
+  const Y = (v) => oy + (v - view.y) * k;
+  drawing.items.forEach((item) => {
+    const style = { fill: item.fill, stroke: item.stroke, width: (item.sw || 0) * k, dash: item.dash?.map((v) => v * k) };
+    switch (item.type) {
+      case "rect":
+        pg.rect(X(item.x), Y(item.y), item.w * k, item.h * k, style);
+        break;
+      case "line":
+        pg.line(X(item.x1), Y(item.y1), X(item.x2), Y(item.y2), style);
+        break;
+      case "ellipse":
+        pg.ellipse(X(item.cx), Y(item.cy), item.rx * k, item.ry * k, style);
+        break;
+      case "polygon":
+        pg.polygon(item.points.map(([px, py]) => [X(px), Y(py)]), style);
+        break;
+      case "text":
+        pg.text(X(item.x), Y(item.y), item.text, { size: item.size * k, color: item.fill, align: "center", vertical: item.vertical });
+        break;
+      default:
+        break;
+    }
+  });
+  return { X, Y, k };
+}
+
+function sinkRows(cfg) {
+  return (cfg?.sinks || []).map((s, i) => {
+    const tpl = SINKS[s?.key];
+    return {
+      tag: `S${i + 1}`,
+      x: +s?.x || 0,
+      y: +s?.y || 0,
+      tpl,
+      template: tpl ? `${s.key} (${inches(tpl.w)} x ${inches(tpl.h)} ${tpl.shape})` : String(s?.key || "unknown"),
+      faucet: faucetDesc(s),
+      holes: faucetHoles(s || {}).length,
+    };
+  });
+}
+
+function splashStrips(cfg) {
+  if (cfg?.shape !== "rectangle" || !cfg.backsplash) return [];
+  const edges = Array.isArray(cfg.edges) ? cfg.edges : [];
+  const L = +cfg.dims?.L || 0;
+  const W = +cfg.dims?.W || 0;
+  return [["top", "Back", L], ["right", "Right", W], ["bottom", "Front", L], ["left", "Left", W]]
+    .filter(([side]) => !edges.includes(side))
+    .map(([, label, len]) => `${label} ${inches(len)} x ${inches(GEOMETRY.backsplashHeight)}`);
+}
+
+// Checklist lines for the order, skipping steps the piece does not need.
+function checklist(order, piece, sinks, strips) {
+  const qty = piece.qty > 1 ? ` (qty ${piece.qty})` : "";
+  return [
+    `Pull slab: ${piece.color}; check for cracks, fissures and color match`,
+    `Cut to size: ${piece.shape} ${piece.size}${qty}`,
+    sinks.length && `Cut sink cutouts: ${sinks.map((s) => s.tag).join(", ")}; check centers against the drawing`,
+    sinks.length && `Drill faucet holes: ${sinks.reduce((n, s) => n + s.holes, 0)} total`,
+    piece.edges !== "None" && `Polish edges: ${piece.edges}`,
+    strips.length && `Cut backsplash strips: ${strips.join("; ")}`,
+    "Final QC: measure against this sheet and inspect the finish",
+    `Crate and label for shipping to ZIP ${order.shipZip || order.quotedZip || "N/A"}`,
+  ].filter(Boolean);
+}
+
+// The work order PDF for `order` as a Buffer. `orderUrl` goes in the QR
+// code (the admin order page); `brandName` heads the sheet.
+export function renderWorkOrderPdf(order, { orderUrl, brandName = "Rock Creek Granite", now = new Date() } = {}) {
+  const cfg = order.config || {};
+  const piece = pieceView(order.config);
+  const sinks = sinkRows(cfg);
+  const strips = splashStrips(cfg);
+  const pg = page();
+  const right = PAGE_W - MARGIN;
+  const width = right - MARGIN;
+
+  // Header, with the QR code top right.
+  const qrSize = 84;
+  pg.text(MARGIN, MARGIN + 12, brandName.toUpperCase(), { size: 9, bold: true, color: "#666" });
+  pg.text(MARGIN, MARGIN + 38, "Shop Work Order", { size: 24, bold: true });
+  pg.text(MARGIN, MARGIN + 66, `Order ${order.shortId || order.id}`, { size: 16, bold: true });
+  pg.text(MARGIN, MARGIN + 84, `Placed ${String(order.createdAt || "").slice(0, 10) || "N/A"}  |  Status: ${statusLabel(order.status)}`, { size: 10, color: "#444" });
+  if (orderUrl) {
+    const matrix = qrMatrix(orderUrl);
+    const cell = qrSize / (matrix.length + 8);
+    const qx = right - qrSize;
+    const qy = MARGIN - 6;
+    matrix.forEach((row, r) => row.forEach((dark, c) => {
+      if (dark) pg.rect(qx + (c + 4) * cell, qy + (r + 4) * cell, cell + 0.05, cell + 0.05, { fill: "#000" });
+    }));
+    pg.text(qx + qrSize / 2, qy + qrSize + 8, "Scan to open the order", { size: 7, color: "#666", align: "center" });
+  }
+  pg.line(MARGIN, MARGIN + 96, right, MARGIN + 96, { stroke: "#111", width: 1.5 });
+
+  // Customer and piece facts in two columns.
+  const facts = (x, y, rows) => rows.forEach(([label, value], i) => {
+    pg.text(x, y + i * 15, label, { size: 8, bold: true, color: "#666" });
+    pg.text(x + 78, y + i * 15, value, { size: 10 });
+  });
+  const top = MARGIN + 116;
+  facts(MARGIN, top, [
+    ["CUSTOMER", order.customerName || "N/A"],
+    ["EMAIL", order.customerEmail || "N/A"],
+    ["SHIP TO ZIP", order.shipZip || order.quotedZip || "N/A"],
+  ]);
+  facts(MARGIN + width / 2 + 10, top, [
+    ["STONE", piece.color],
+    ["PIECE", `${piece.shape}, ${piece.size}`],
+    ["QUANTITY", String(piece.qty)],
+    ["POLISHED", piece.edges],
+    ["BACKSPLASH", strips.length ? strips.join("; ") : piece.backsplash],
+  ]);
+
+  // Drawing, with each sink's centre marked and tagged.
+  const box = { x: MARGIN, y: top + 82, w: width, h: 268 };
+  pg.rect(box.x, box.y, box.w, box.h, { stroke: "#ccc", width: 0.75 });
+  const placed = drawPiece(pg, cfg, { x: box.x + 8, y: box.y + 8, w: box.w - 16, h: box.h - 16 });
+  if (placed) {
+    sinks.forEach((s) => {
+      const cx = placed.X(s.x);
+      const cy = placed.Y(s.y);
+      pg.line(cx - 5, cy, cx + 5, cy, { stroke: "#c00", width: 0.75 });
+      pg.line(cx, cy - 5, cx, cy + 5, { stroke: "#c00", width: 0.75 });
+      const tag = `${s.tag} (${inches(s.x)}, ${inches(s.y)})`;
+      pg.rect(cx + 2, cy + 3, textWidth(tag, 8, true) + 4, 11, { fill: "#fff" });
+      pg.text(cx + 4, cy + 11, tag, { size: 8, bold: true, color: "#c00" });
+    });
+  }
+  pg.text(box.x + 6, box.y + box.h - 6, "Top view. Back edge at the top; sink centers measured from the back-left corner. Yellow = polished, dashed = backsplash.", { size: 7, color: "#666" });
+
+  // Sink schedule.
+  let y = box.y + box.h + 22;
+  if (sinks.length) {
+    pg.text(MARGIN, y, "Sinks", { size: 11, bold: true });
+    y += 14;
+    const cols = [MARGIN, MARGIN + 34, MARGIN + 232, MARGIN + 372];
+    ["", "Template", "Center from back-left (x, y)", "Faucet holes"].forEach((h, i) => pg.text(cols[i], y, h, { size: 8, bold: true, color: "#666" }));
+    sinks.forEach((s) => {
+      y += 13;
+      [s.tag, s.template, `${inches(s.x)} from left, ${inches(s.y)} from back`, s.faucet].forEach((v, i) => pg.text(cols[i], y, v, { size: 9, bold: i === 0 }));
+    });
+    y += 22;
+  }
+
+  // Fabrication checklist.
+  pg.text(MARGIN, y, "Fabrication checklist", { size: 11, bold: true });
+  y += 8;
+  checklist(order, piece, sinks, strips).forEach((item) => {
+    y += 17;
+    pg.rect(MARGIN, y - 9, 10, 10, { stroke: "#111", width: 0.75 });
+    pg.text(MARGIN + 18, y, item, { size: 9 });
+    pg.text(right, y, "Init ______  Date ________", { size: 8, color: "#666", align: "right" });
+  });
+
+  pg.line(MARGIN, PAGE_H - MARGIN - 14, right, PAGE_H - MARGIN - 14, { stroke: "#ccc", width: 0.5 });
+  pg.text(MARGIN, PAGE_H - MARGIN, `Order ${order.id}`, { size: 7, color: "#888" });
+  pg.text(right, PAGE_H - MARGIN, `Generated ${now.toISOString().slice(0, 16).replace("T", " ")} UTC`, { size: 7, color: "#888", align: "right" });
+
+  return pdfDocument(pg.ops, { title: `Work order ${order.shortId || order.id}` });
+}
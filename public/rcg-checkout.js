@@ -0,0 +1,96 @@
+/* =============================
+   RCG EMBEDDED CHECKOUT
+   - Mounts into: <div id="rcg-checkout" data-email="..."></div> on the
+     /config-checkout page, after https://js.stripe.com/v3/
+   - Reads the configurator payload from ?cfg= (see encodeCfg in
+     rcg-configurator.js)
+   - Shipping addresses go through POST /api/checkout-shipping; Checkout
+     refuses a ZIP other than the quoted one before the customer pays
+   - data-api-base: backend origin when it differs from the page's
+   - window.RCGCheckout.start({ config, email }) for pages that collect the
+     email themselves
+============================= */
+
+(() => {
+  const mount = document.getElementById('rcg-checkout');
+  const API_BASE = ((mount && mount.dataset.apiBase) || '').replace(/\/+$/, '');
+  const apiUrl = (p) => `${API_BASE}${p}`;
+  let checkout = null;
+
+  function decodeCfg(param) {
+    try {
+      return JSON.parse(decodeURIComponent(escape(atob(decodeURIComponent(param)))));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function showError(message) {
+    if (!mount) return;
+    mount.dataset.rcgStatus = 'error';
+    mount.textContent = message;
+  }
+
+  async function postJSON(path, body) {
+    const res = await fetch(apiUrl(path), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(data.error || `HTTP ${res.status}`);
+      err.details = data.errors || null;
+      throw err;
+    }
+    return data;
+  }
+
+  // Stripe waits on this for every address change; anything but 'accept'
+  // keeps the customer on the shipping form with our message.
+  async function onShippingDetailsChange(event) {
+    try {
+      const result = await postJSON('/api/checkout-shipping', {
+        checkoutSessionId: event.checkoutSessionId,
+        shippingDetails: event.shippingDetails
+      });
+      return result.type === 'accept'
+        ? { type: 'accept' }
+        : { type: 'reject', errorMessage: result.errorMessage };
+    } catch (err) {
+      console.warn('[RCG] shipping check failed', err);
+      return { type: 'reject', errorMessage: 'We could not confirm shipping to this address. Please try again.' };
+    }
+  }
+
+  async function start({ config, email, target }) {
+    if (typeof window.Stripe !== 'function') throw new Error('Stripe.js is not loaded');
+    if (checkout) checkout.destroy();
+    const session = await postJSON('/api/create-checkout-session', { config, email, uiMode: 'embedded' });
+    if (!session.clientSecret || !session.publishableKey) throw new Error('Checkout is not configured for embedded mode');
+    const stripe = window.Stripe(session.publishableKey);
+    checkout = await stripe.initEmbeddedCheckout({
+      fetchClientSecret: () => Promise.resolve(session.clientSecret),
+      onShippingDetailsChange
+    });
+    checkout.mount(target || mount);
+    if (mount) mount.dataset.rcgStatus = 'ready';
+    return checkout;
+  }
+
+  window.RCGCheckout = { decodeCfg, start };
+
+  if (!mount) return;
+  const cfgParam = new URLSearchParams(window.location.search).get('cfg');
+  const email = mount.dataset.email || '';
+  if (!cfgParam || !email) return;
+  const config = decodeCfg(cfgParam);
+  if (!config) {
+    showError('This checkout link is incomplete. Please return to the configurator.');
+    return;
+  }
+  start({ config, email }).catch((err) => {
+    console.error('[RCG] checkout failed', err);
+    showError(err.details ? 'Your design needs changes before checkout. Please return to the configurator.' : err.message);
+  });
+})();
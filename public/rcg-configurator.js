@@ -5,6 +5,9 @@
    - Mobile: launch button -> fullscreen modal
    - Checkout redirect: /config-checkout?cfg=...
    - Email DXF: POST /api/email-dxf
+   - Sink templates and the DXF writer: shared rcg-dxf.js
+   - Pricing: shared engine rcg-pricing.js + constants from GET /api/pricing
+   - Saved quotes: POST /api/quotes; ?quote=ID restores a saved config
    Improvements:
    - mount guard scoped to the mount node
    - preloader preserved and hidden only after real boot
@@ -16,6 +19,7 @@
 (() => {
   const mount = document.getElementById('rcg-configurator-launch');
   if (!mount) return;
+  const SCRIPT_SRC = (document.currentScript && document.currentScript.src) || '';
 
   if (mount.dataset.rcgMounted === '1') return;
   mount.dataset.rcgMounted = '1';
@@ -74,51 +78,15 @@
   const MIN_SINK_EDGE = 4;
   const MIN_SINK_GAP = 4;
 
-  function numData(name, fallback) {
-  const v = Number(mount.dataset[name]);
-  return Number.isFinite(v) ? v : fallback;
-}
-
-function parseDistanceBandsData(raw, fallback) {
-  try {
-    const parsed = JSON.parse(raw || '');
-    if (!Array.isArray(parsed) || !parsed.length) return fallback;
-
-    const cleaned = parsed
-      .map((x) => ({
-        max: x.max === 'Infinity' ? Infinity : Number(x.max),
-        mult: Number(x.mult),
-      }))
-      .filter((x) => Number.isFinite(x.max) || x.max === Infinity)
-      .filter((x) => Number.isFinite(x.mult));
-
-    return cleaned.length ? cleaned : fallback;
-  } catch (e) {
-    return fallback;
-  }
-}
-
-const DEFAULT_DISTANCE_BANDS = [
-  { max: 250, mult: 1.00 },
-  { max: 600, mult: 1.25 },
-  { max: 1000, mult: 1.50 },
-  { max: 1500, mult: 1.70 },
-  { max: Infinity, mult: 1.85 }
-];
+  const DEFAULT_COLOR = 'bergen';
+  const BUSINESS_EMAIL = 'orders@rockcreekgranite.com';
 
-const DOLLARS_PER_SQFT = numData('pricePerSqft', 55);
-const SINK_PRICES = { 'bath-oval': 80, 'bath-rect': 95, 'kitchen-rect': 150 };
-const DEFAULT_COLOR = 'bergen';
+  const ASSET_BASE = mount.dataset.assetBase || SCRIPT_SRC.replace(/[^/]*$/, '') || '/';
+  const API_BASE = (mount.dataset.apiBase || '').replace(/\/+$/, '');
+  const apiUrl = (p) => `${API_BASE}${p}`;
 
-const LBS_PER_SQFT = numData('lbsPerSqft', 10.9);
-const LTL_CWT_BASE = numData('ltlCwtBase', 35.9);
-const BUSINESS_EMAIL = 'orders@rockcreekgranite.com';
-const ORIGIN_ZIP_DEFAULT = mount.dataset.originZip || '63052';
-
-const DISTANCE_BANDS = parseDistanceBandsData(
-  mount.dataset.distanceBands,
-  DEFAULT_DISTANCE_BANDS
-);
+  // Shared with server.js; set by initShared() before bootstrap().
+  let pricing = null;
 
   const STEP_LABELS = {
     1: 'Define your shape',
@@ -152,11 +120,9 @@ const DISTANCE_BANDS = parseDistanceBandsData(
     kairos: 'https://www.rockcreekgranite.com/colors/kairos'
   };
 
-  const SINK_TEMPLATES = {
-    'bath-oval': { label: 'Bath Oval (17x14)', w: 17, h: 14, shape: 'oval' },
-    'bath-rect': { label: 'Bath Rectangle (18x13)', w: 18, h: 13, shape: 'rect' },
-    'kitchen-rect': { label: 'Kitchen Stainless (22x16)', w: 22, h: 16, shape: 'rect' }
-  };
+  // RCGDxf.SINKS, set by initShared(): the preview draws the same sink
+  // templates the cut file cuts.
+  let SINK_TEMPLATES = {};
 
   const el = (sel, root) => (root || document).querySelector(sel);
   const els = (sel, root) => Array.from((root || document).querySelectorAll(sel));
@@ -166,39 +132,11 @@ const DISTANCE_BANDS = parseDistanceBandsData(
   const isMobile = () => window.matchMedia('(max-width: 980px)').matches;
   const isDesktop = () => window.matchMedia('(min-width: 981px)').matches;
 
-  function areaSqft(shape, d) {
-    switch (shape) {
-      case 'rectangle': return (d.L * d.W) / 144;
-      case 'circle': return Math.PI * Math.pow(d.D / 2, 2) / 144;
-      case 'polygon': {
-        const n = d.n || 6;
-        const s = d.A || 12;
-        return ((n * s * s) / (4 * Math.tan(Math.PI / n))) / 144;
-      }
-      default: return 0;
-    }
-  }
-
   function polyCircumDiam(n, s) {
     const R = s / (2 * Math.sin(Math.PI / n));
     return 2 * R;
   }
 
-  function distanceBand(originZip, destZip) {
-    const o = parseInt(String(originZip || ORIGIN_ZIP_DEFAULT).slice(0, 3), 10);
-    const d = parseInt(String(destZip || '00000').slice(0, 3), 10);
-    const approxMiles = Math.abs(o - d) * 20 + 100;
-    return DISTANCE_BANDS.find((b) => approxMiles <= b.max).mult;
-  }
-
-  function shippingEstimate(area, destZip, originZip) {
-    const weight = area * LBS_PER_SQFT;
-    const cwt = Math.max(1, Math.ceil(weight / 100));
-    const mult = distanceBand(originZip || ORIGIN_ZIP_DEFAULT, destZip);
-    const base = cwt * LTL_CWT_BASE * mult;
-    return { weight, cwt, mult, ltl: base * 1.20 };
-  }
-
   const CSS = `
     :root{
       --rcg-black:#0b0b0b;
@@ -557,9 +495,7 @@ const DISTANCE_BANDS = parseDistanceBandsData(
               <div id="rcg-sinks-block" class="rcg-hidden" style="margin-top:8px">
                 <div class="sink-controls" style="margin-bottom:6px">
                   <button class="rcg-btn outline" id="rcg-add-sink" title="Add sink">+</button>
-                  <select class="rcg-input" id="rcg-sink-select">
-                    ${Object.entries(SINK_TEMPLATES).map(([k, t]) => `<option value="${k}">${t.label}</option>`).join('')}
-                  </select>
+                  <select class="rcg-input" id="rcg-sink-select"></select>
                 </div>
 
                 <div id="rcg-sink-pills" style="display:grid; gap:8px"></div>
@@ -586,6 +522,13 @@ const DISTANCE_BANDS = parseDistanceBandsData(
               </div>
 
               <div class="rcg-sub" id="rcg-zip-disclosure">Ensure ZIP is final delivery location; priced at checkout.</div>
+              <div class="rcg-sub" id="rcg-quote" aria-live="polite"></div>
+
+              <div class="rcg-row" id="rcg-save-row" style="margin-top:10px; width:100%">
+                <input class="rcg-input" id="rcg-quote-email" type="email" placeholder="Email me this quote (optional)" autocomplete="email" style="flex:1; min-width:180px">
+                <button class="rcg-btn outline" id="rcg-save-quote" type="button">Save quote</button>
+              </div>
+              <div class="rcg-sub" id="rcg-save-status" aria-live="polite"></div>
             </div>
           </aside>
         </div>
@@ -771,6 +714,8 @@ function syncMode() {
       disableNext = !/^\d{5}$/.test(zip);
     }
     next.disabled = disableNext;
+    const save = el('#rcg-save-quote', appRoot);
+    if (save) save.disabled = disableNext;
   }
 
   function showStepId(stepId) {
@@ -802,7 +747,10 @@ function syncMode() {
       updateBacksplashAvailability();
       maybeShowEdgeCallout();
     }
-    if (stepId === 4) updateColorLink();
+    if (stepId === 4) {
+      updateColorLink();
+      void refreshQuote();
+    }
 
     const sinkDisclosure = el('#rcg-sink-disclosure', appRoot);
     if (sinkDisclosure && isMobile()) {
@@ -843,7 +791,7 @@ function syncMode() {
       const sMax = MAX_DIAM * Math.sin(Math.PI / n);
       state.dims = { n, A: clamp(A || 12, 1, sMax) };
     }
-    state.area = areaSqft(state.shape, state.dims);
+    state.area = pricing.areaSqft(state.shape, state.dims);
   }
 
   function bindSteppers(container) {
@@ -1628,33 +1576,15 @@ function syncMode() {
     };
   }
 
-  function taxRateByZip(zip) {
-    if (!/^\d{5}$/.test(zip)) return 0;
-    if (/^63/.test(zip)) return 0.0825;
-    if (/^62/.test(zip)) return 0.0875;
-    return 0.0700;
-  }
-
-  function backsplashSqft() {
-    if (state.shape !== 'rectangle' || !state.backsplash) return 0;
-    const L = state.dims.L || 0;
-    const W = state.dims.W || 0;
-    const unpol = ['top', 'right', 'bottom', 'left'].filter((k) => !state.edges.includes(k));
-    const lenMap = { top: L, bottom: L, left: W, right: W };
-    return unpol.reduce((sum, k) => sum + (lenMap[k] || 0) * 4, 0) / 144;
-  }
-
   function computePricing(zip) {
-    const area = state.area;
-    const material = area * DOLLARS_PER_SQFT;
-    const sinks = state.shape === 'rectangle' ? state.sinks.reduce((acc, s) => acc + (SINK_PRICES[s.key] || 0), 0) : 0;
-    const bpsf = backsplashSqft() * DOLLARS_PER_SQFT;
-    const ship = shippingEstimate(area + backsplashSqft(), zip, ORIGIN_ZIP_DEFAULT);
-    const taxRate = taxRateByZip(zip);
-    const services = material + sinks + bpsf + ship.ltl;
-    const tax = services * taxRate;
-    const total = services + tax;
-    return { material, sinks, backsplash: bpsf, ship, taxRate, tax, total, services };
+    return pricing.computePricing({
+      shape: state.shape,
+      dims: state.dims,
+      sinks: state.sinks,
+      edges: state.edges,
+      backsplash: state.backsplash,
+      zip
+    });
   }
 
   function encodeCfg(obj) {
@@ -1668,7 +1598,7 @@ function syncMode() {
   function currentConfig() {
     const zipEl = el('#rcg-zip', appRoot);
     const zip = (((zipEl && zipEl.value) || '')).trim();
-    const p = computePricing(zip || ORIGIN_ZIP_DEFAULT);
+    const p = computePricing(zip || pricing.constants.originZip);
     return {
       shape: state.shape,
       dims: state.dims,
@@ -1689,16 +1619,143 @@ function syncMode() {
       },
       weight_lb: +p.ship.weight.toFixed(1),
       cwt: p.ship.cwt,
-      mult: p.ship.mult
+      mult: p.ship.mult,
+      pricing_version: p.version
     };
   }
 
+  let quoteSeq = 0;
+  let quoteTimer = null;
+  async function refreshQuote() {
+    const box = el('#rcg-quote', appRoot);
+    if (!box) return;
+    const cfg = currentConfig();
+    const seq = ++quoteSeq;
+    if (state.stepId !== 4 || !/^\d{5}$/.test(cfg.zip)) {
+      box.textContent = '';
+      return;
+    }
+    box.textContent = 'Pricing your piece...';
+    try {
+      const res = await fetch(apiUrl('/api/quote'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ config: cfg })
+      });
+      const data = await res.json();
+      if (seq !== quoteSeq) return;
+      if (!res.ok || !data.quote) throw new Error(data.error || `HTTP ${res.status}`);
+      const q = data.quote;
+      box.textContent = q.taxMode === 'stripe'
+        ? `Total $${fmt2(q.total)} including $${fmt2(q.freight)} LTL freight, plus sales tax at checkout.`
+        : `Total $${fmt2(q.total)} including $${fmt2(q.freight)} LTL freight and $${fmt2(q.tax)} tax.`;
+    } catch (err) {
+      if (seq !== quoteSeq) return;
+      console.warn('[RCG] quote failed', err);
+      box.textContent = `Estimated total $${fmt2(cfg.pricing.total)}; confirmed at checkout.`;
+    }
+  }
+
+  async function saveQuote() {
+    const status = el('#rcg-save-status', appRoot);
+    const btn = el('#rcg-save-quote', appRoot);
+    const emailEl = el('#rcg-quote-email', appRoot);
+    const email = ((emailEl && emailEl.value) || '').trim();
+    if (btn) btn.disabled = true;
+    if (status) status.textContent = 'Saving your quote...';
+    try {
+      const res = await fetch(apiUrl('/api/quotes'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ config: currentConfig(), email: email || undefined })
+      });
+      const data = await res.json();
+      if (!res.ok || !data.id) throw new Error(data.error || `HTTP ${res.status}`);
+      let msg = `Saved as quote ${data.id}.`;
+      if (email) {
+        if (data.emailed) msg += ` We emailed the link to ${email}.`;
+        else if (data.emailStatus === 'queued') msg += ` We will email the link to ${email} shortly.`;
+        else msg += ' We could not email the link; please copy it below.';
+      }
+      if (status) {
+        status.textContent = `${msg} `;
+        const a = document.createElement('a');
+        a.href = data.url;
+        a.textContent = data.url;
+        a.target = '_blank';
+        a.rel = 'noopener';
+        status.appendChild(a);
+      }
+      try { if (navigator.clipboard) await navigator.clipboard.writeText(data.url); } catch (err) {}
+    } catch (err) {
+      console.error('[RCG] save quote failed', err);
+      if (status) status.textContent = `Could not save this quote. ${err && err.message ? err.message : ''}`.trim();
+    } finally {
+      updateNav();
+    }
+  }
+
+  function restoreConfig(cfg) {
+    if (!cfg || !cfg.shape) return;
+    const icon = cfg.shape === 'rectangle' ? 'square' : cfg.shape;
+    if (!ICONS.includes(icon)) return;
+    state.dims = { ...(cfg.dims || {}) };
+    setShapeFromIcon(icon);
+
+    if (state.shape === 'rectangle') {
+      state.edges = (cfg.edges || []).filter((k) => ['top', 'right', 'bottom', 'left'].includes(k));
+      state.step2Initialized = true;
+      state.backsplash = !!cfg.backsplash;
+      const cb = el('#rcg-backsplash', appRoot);
+      if (cb) cb.checked = state.backsplash;
+      updateBacksplashAvailability();
+      state.sinks = (cfg.sinks || [])
+        .filter((s) => SINK_TEMPLATES[s.key])
+        .slice(0, 2)
+        .map((s) => ({
+          id: uid(),
+          key: s.key,
+          x: +s.x || 0,
+          y: +s.y || 0,
+          faucet: String(s.faucet == null ? '1' : s.faucet),
+          spread: s.spread ? +s.spread : null
+        }));
+      refreshSinkPills();
+    }
+
+    if (COLORS.some((c) => c.key === cfg.color)) {
+      state.color = cfg.color;
+      const sel = el('#rcg-color', appRoot);
+      if (sel) sel.value = cfg.color;
+    }
+    const zipEl = el('#rcg-zip', appRoot);
+    if (zipEl && /^\d{5}$/.test(String(cfg.zip || ''))) zipEl.value = String(cfg.zip);
+
+    showStepId(state.stepOrder[state.stepOrder.length - 1]);
+  }
+
+  async function restoreFromQuoteParam() {
+    let id = '';
+    try { id = new URLSearchParams(window.location.search).get('quote') || ''; } catch (err) {}
+    if (!id) return;
+    try {
+      const res = await fetch(apiUrl(`/api/quotes/${encodeURIComponent(id)}`), { headers: { Accept: 'application/json' } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      restoreConfig(data.config);
+      const status = el('#rcg-save-status', appRoot);
+      if (status) status.textContent = `Restored quote ${data.id}.`;
+    } catch (err) {
+      console.warn('[RCG] could not restore quote', id, err);
+    }
+  }
+
   async function emailDXFToOrders() {
     try {
       const cfg = currentConfig();
-      const dxfText = buildDXF(cfg);
+      const dxfText = window.RCGDxf.buildDXF(cfg, { label: 'RCG configurator design' });
       const dxfBase64 = btoa(unescape(encodeURIComponent(dxfText)));
-      const res = await fetch('/api/email-dxf', {
+      const res = await fetch(apiUrl('/api/email-dxf'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1714,107 +1771,6 @@ function syncMode() {
     }
   }
 
-  function buildDXF(cfg) {
-    const out = [];
-    const push = (...a) => out.push(...a.map(String));
-    const sec = (name) => push('0', 'SECTION', '2', name);
-    const endsec = () => push('0', 'ENDSEC');
-    const header = () => { sec('HEADER'); push('9', '$INSUNITS', '70', '1'); endsec(); };
-    const start = () => { header(); sec('TABLES'); endsec(); sec('ENTITIES'); };
-    const finish = () => { endsec(); push('0', 'EOF'); return out.join('\n'); };
-    const lwpoly = (pts, closed, layer) => {
-      push('0', 'LWPOLYLINE', '8', layer || 'CUT', '90', pts.length, '70', closed ? '1' : '0');
-      pts.forEach(([x, y]) => push('10', (+x).toFixed(4), '20', (+y).toFixed(4)));
-    };
-    const circle = (x, y, r, layer) => {
-      push('0', 'CIRCLE', '8', layer || 'HOLES', '10', (+x).toFixed(4), '20', (+y).toFixed(4), '40', (+r).toFixed(4));
-    };
-    const text = (x, y, h, msg, layer) => {
-      push('0', 'TEXT', '8', layer || 'TEXT', '10', (+x).toFixed(4), '20', (+y).toFixed(4), '40', (+h).toFixed(3), '1', String(msg));
-    };
-    const rect = (x, y, w, h, layer) => lwpoly([[x, y], [x + w, y], [x + w, y + h], [x, y + h]], true, layer || 'CUT');
-    const ellipsePoly = (cx, cy, rx, ry, seg) => {
-      const pts = [];
-      const count = seg || 96;
-      for (let i = 0; i < count; i += 1) {
-        const t = (i / count) * 2 * Math.PI;
-        pts.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
-      }
-      return pts;
-    };
-
-    start();
-    const shape = cfg.shape;
-    const d = cfg.dims;
-    let bbox = [0, 0, 0, 0];
-    if (shape === 'rectangle') {
-      rect(0, 0, d.L, d.W, 'CUT');
-      bbox = [0, 0, d.L, d.W];
-      text(d.L / 2, d.W + 2.0, 0.35, `Rectangle ${d.L}\" x ${d.W}\"`, 'TEXT');
-    } else if (shape === 'circle') {
-      circle(d.D / 2, d.D / 2, d.D / 2, 'CUT');
-      bbox = [0, 0, d.D, d.D];
-      text(d.D / 2, d.D + 2.0, 0.35, `Circle dia ${d.D}\"`, 'TEXT');
-    } else if (shape === 'polygon') {
-      const n = d.n || 6;
-      const s = d.A;
-      const R = s / (2 * Math.sin(Math.PI / n));
-      const cx = R;
-      const cy = R;
-      const pts = [];
-      for (let i = 0; i < n; i += 1) {
-        const ang = i * (2 * Math.PI / n);
-        pts.push([cx + R * Math.cos(ang), cy + R * Math.sin(ang)]);
-      }
-      lwpoly(pts, true, 'CUT');
-      bbox = [0, 0, 2 * R, 2 * R];
-      text(R, 2 * R + 2.0, 0.35, `${n}-gon, side ${s}\"`, 'TEXT');
-    }
-
-    if (shape === 'rectangle' && cfg.backsplash) {
-      const polished = cfg.edges || [];
-      const sides = ['top', 'right', 'bottom', 'left'];
-      const unpol = sides.filter((k) => !polished.includes(k));
-      const gap = 1;
-      const L = d.L;
-      const W = d.W;
-      unpol.forEach((side) => {
-        if (side === 'top') rect(0, W + gap, L, 4, 'BACKSPLASH');
-        if (side === 'bottom') rect(0, -gap - 4, L, 4, 'BACKSPLASH');
-        if (side === 'left') rect(-gap - 4, 0, 4, W, 'BACKSPLASH');
-        if (side === 'right') rect(L + gap, 0, 4, W, 'BACKSPLASH');
-      });
-    }
-
-    if (shape === 'rectangle' && Array.isArray(cfg.sinks)) {
-      cfg.sinks.forEach((s) => {
-        const tpl = SINK_TEMPLATES[s.key];
-        if (!tpl) return;
-        const x0 = s.x - tpl.w / 2;
-        const y0 = s.y - tpl.h / 2;
-        if (tpl.shape === 'oval') lwpoly(ellipsePoly(s.x, s.y, tpl.w / 2, tpl.h / 2, 120), true, 'CUT');
-        else rect(x0, y0, tpl.w, tpl.h, 'CUT');
-        const r = 1.25 / 2;
-        const holeY = y0 - 2;
-        const cx = s.x;
-        if (s.faucet === '3' && (s.spread === 4 || s.spread === 8)) {
-          const off = s.spread / 2;
-          circle(cx - off, holeY, r, 'HOLES');
-          circle(cx, holeY, r, 'HOLES');
-          circle(cx + off, holeY, r, 'HOLES');
-        } else {
-          circle(cx, holeY, r, 'HOLES');
-        }
-      });
-    }
-
-    if (shape === 'rectangle') {
-      const edges = (cfg.edges || []).map((e) => e[0].toUpperCase() + e.slice(1)).join(', ') || 'None';
-      text(0, (bbox[3] || 0) + 6, 0.35, `Polished edges: ${edges}`, 'TEXT');
-    }
-    return finish();
-  }
-
   const panel = el('#rcg-panel', appRoot);
   const handle = el('#rcg-panel-handle', appRoot);
   function setHandleMode() {
@@ -1931,6 +1887,9 @@ function syncMode() {
     });
   }
 
+  const saveQuoteBtn = el('#rcg-save-quote', appRoot);
+  if (saveQuoteBtn) saveQuoteBtn.addEventListener('click', () => { void saveQuote(); });
+
   const backsplashToggle = el('#rcg-backsplash', appRoot);
   if (backsplashToggle) {
     backsplashToggle.addEventListener('change', () => {
@@ -1951,7 +1910,11 @@ function syncMode() {
   }
 
   appRoot.addEventListener('input', (e) => {
-    if (e.target && e.target.id === 'rcg-zip') updateNav();
+    if (e.target && e.target.id === 'rcg-zip') {
+      updateNav();
+      clearTimeout(quoteTimer);
+      quoteTimer = setTimeout(() => { void refreshQuote(); }, 300);
+    }
   });
 
   let resizeRaf = null;
@@ -2042,6 +2005,40 @@ function onResize() {
 
 window.addEventListener('resize', onResize);
 
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const tag = document.createElement('script');
+      tag.src = src;
+      tag.async = true;
+      tag.onload = () => resolve();
+      tag.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(tag);
+    });
+  }
+
+  async function initShared() {
+    await Promise.all([
+      window.RCGPricing ? null : loadScript(`${ASSET_BASE}rcg-pricing.js`),
+      window.RCGDxf ? null : loadScript(`${ASSET_BASE}rcg-dxf.js`)
+    ]);
+    SINK_TEMPLATES = window.RCGDxf.SINKS;
+    // Large table; freight falls back to a ZIP-prefix estimate until it lands.
+    if (!window.RCGZipCentroids) {
+      loadScript(`${ASSET_BASE}rcg-zip-centroids.js`).catch((err) => {
+        console.warn('[RCG] ZIP centroid table unavailable; using estimated freight miles', err);
+      });
+    }
+    let constants = null;
+    try {
+      const res = await fetch(apiUrl('/api/pricing'), { headers: { Accept: 'application/json' } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      constants = (await res.json()).constants;
+    } catch (err) {
+      console.warn('[RCG] pricing constants unavailable; using built-in defaults', err);
+    }
+    pricing = window.RCGPricing.createPricing(constants);
+  }
+
   function markReady() {
     mount.dataset.rcgStatus = 'ready';
     requestAnimationFrame(() => {
@@ -2054,6 +2051,8 @@ window.addEventListener('resize', onResize);
 
   function bootstrap() {
     renderShapeIcons(el('#shape-icons', appRoot));
+    el('#rcg-sink-select', appRoot).innerHTML = Object.entries(SINK_TEMPLATES)
+      .map(([k, t]) => `<option value="${k}">${t.label}</option>`).join('');
     setHandleMode();
     setShapeFromIcon('square');
     refreshSinkPills();
@@ -2075,12 +2074,15 @@ window.addEventListener('resize', onResize);
     }
   }, 12000);
 
-  try {
-    bootstrap();
-  } catch (err) {
-    console.error('[RCG] bootstrap failed', err);
-    const errName = err && err.name ? `${err.name}: ` : '';
-    const errMsg = err && err.message ? err.message : 'Unknown error';
-    failBoot(`The configurator could not be initialized right now. ${errName}${errMsg}`);
-  }
+  initShared()
+    .then(() => {
+      bootstrap();
+      return restoreFromQuoteParam();
+    })
+    .catch((err) => {
+      console.error('[RCG] bootstrap failed', err);
+      const errName = err && err.name ? `${err.name}: ` : '';
+      const errMsg = err && err.message ? err.message : 'Unknown error';
+      failBoot(`The configurator could not be initialized right now. ${errName}${errMsg}`);
+    });
 })();
@@ -0,0 +1,399 @@
+/* =============================
+   RCG DXF CUT FILE
+   - The one DXF writer: the configurator's "email DXF" and the order
+     webhook both call it, so the shop gets the same file either way
+   - Browser: <script src="rcg-dxf.js"> exposes window.RCGDxf
+   - Server: import './public/rcg-dxf.js', then globalThis.RCGDxf
+   - Geometry rules (dimensions in GEOMETRY):
+       inches, y up, origin at the front-left corner of the slab, so the
+       back edge ("top") is y = W; the configurator measures sink y from
+       the back edge, so it is flipped here
+       sink cutouts are the nominal template size, centred on the sink
+       faucet holes sit faucetSetback behind the back of the cutout, three
+       of them 4" or 8" apart for a 3-hole faucet
+       backsplash strips go on every side that is not polished, as priced
+       circles and polygons are outline only, sitting on the origin
+   - Layers: CUT (slab outline), CUTOUT (sinks), HOLES (faucet holes),
+     POLISHED (finished edges), BACKSPLASH (separate strips), TEXT (labels),
+     each declared in the LAYER table with its colour and linetype
+   - Output is R12 (AC1009) with extents and handles, so it opens in
+     CAM/waterjet software without cleanup. R12 stays because it is the
+     one version every importer reads; AC1015 would need the OBJECTS
+     section and class data for no gain in geometry. One drawing unit is
+     one inch: the header says so with $INSUNITS 1 and $MEASUREMENT 0,
+     which current importers read and R12-only ones skip, and the TEXT
+     notes say so for the rest
+   - CNC mode (mode: 'cnc') writes toolpaths instead: outer profiles grow
+     and cutouts/holes shrink by half the kerf, each starts with a lead-in
+     from the waste side on LEADS, cuts run holes, cutouts, strips, then
+     the perimeter, and the nominal shape sits on NOMINAL for reference
+============================= */
+
+(function (root) {
+  const GEOMETRY = {
+    faucetHoleDiameter: 1.25,
+    faucetSetback: 2,
+    backsplashHeight: 4,
+    backsplashGap: 1,
+    ovalSegments: 120,
+    textHeight: 0.5
+  };
+
+  // CNC defaults, inches: kerf is the full cut width; leadIn is capped to
+  // fit inside small holes.
+  const CNC = {
+    kerf: 0.04,
+    leadIn: 0.25
+  };
+
+  // The one list of sink templates: the configurator's picker and preview
+  // read it from here, and the server validator, drawings and work order
+  // through lib/geometry.js.
+  const SINKS = {
+    'bath-oval': { label: 'Bath Oval (17x14)', w: 17, h: 14, shape: 'oval' },
+    'bath-rect': { label: 'Bath Rectangle (18x13)', w: 18, h: 13, shape: 'rect' },
+    'kitchen-rect': { label: 'Kitchen Stainless (22x16)', w: 22, h: 16, shape: 'rect' }
+  };
+
+  // Layer colours are AutoCAD colour indexes. POLISHED and NOMINAL trace
+  // edges that are already cut, so they are dashed to keep CAM from cutting
+  // them twice.
+  const LAYERS = {
+    0: { color: 7, linetype: 'CONTINUOUS' },
+    CUT: { color: 7, linetype: 'CONTINUOUS' },
+    CUTOUT: { color: 1, linetype: 'CONTINUOUS' },
+    HOLES: { color: 5, linetype: 'CONTINUOUS' },
+    POLISHED: { color: 2, linetype: 'DASHED' },
+    BACKSPLASH: { color: 3, linetype: 'CONTINUOUS' },
+    TEXT: { color: 8, linetype: 'CONTINUOUS' },
+    LEADS: { color: 4, linetype: 'CONTINUOUS' },
+    NOMINAL: { color: 6, linetype: 'DASHED' }
+  };
+
+  const LINETYPES = {
+    CONTINUOUS: { description: 'Solid line', pattern: [] },
+    DASHED: { description: 'Dashed __ __ __', pattern: [0.5, -0.25] }
+  };
+
+  const num = (v) => String(Math.round((+v || 0) * 10000) / 10000);
+  const inches = (v) => `${Math.round(v * 100) / 100}"`;
+  const size = (v, fallback) => (v == null || v === '' || !(+v >= 0) ? fallback : +v);
+  // TEXT values are one line of plain ASCII in an R12 file.
+  const ascii = (v) => String(v).replace(/[^\x20-\x7e]+/g, ' ');
+
+  // Collects entities, then writes an R12 (AC1009) file around them with
+  // handles on every table entry and entity, since that is the version
+  // every CAM and waterjet importer reads.
+  function writer() {
+    const entities = [];
+    const box = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+    const grow = (x, y) => {
+      box.x0 = Math.min(box.x0, x);
+      box.y0 = Math.min(box.y0, y);
+      box.x1 = Math.max(box.x1, x);
+      box.y1 = Math.max(box.y1, y);
+    };
+    const add = (type, layer, ...groups) => entities.push({ type, layer, groups });
+    const point = (code, x, y) => [code, num(x), String(+code + 10), num(y), String(+code + 20), '0'];
+
+    return {
+      line(layer, x1, y1, x2, y2) {
+        grow(x1, y1);
+        grow(x2, y2);
+        add('LINE', layer, ...point('10', x1, y1), ...point('11', x2, y2));
+      },
+      circle(layer, cx, cy, r) {
+        grow(cx - r, cy - r);
+        grow(cx + r, cy + r);
+        add('CIRCLE', layer, ...point('10', cx, cy), '40', num(r));
+      },
+      poly(layer, pts, closed) {
+        add('POLYLINE', layer, '66', '1', ...point('10', 0, 0), '70', closed ? '1' : '0');
+        pts.forEach(([x, y]) => {
+          grow(x, y);
+          add('VERTEX', layer, ...point('10', x, y));
+        });
+        add('SEQEND', layer);
+      },
+      rect(layer, x, y, w, h) {
+        this.poly(layer, [[x, y], [x + w, y], [x + w, y + h], [x, y + h]], true);
+      },
+      // Counter-clockwise from angle `start`.
+      oval(layer, cx, cy, rx, ry, start = 0) {
+        const pts = [];
+        for (let i = 0; i < GEOMETRY.ovalSegments; i += 1) {
+          const t = start + (i / GEOMETRY.ovalSegments) * 2 * Math.PI;
+          pts.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+        }
+        this.poly(layer, pts, true);
+      },
+      text(x, y, msg) {
+        const h = GEOMETRY.textHeight;
+        const value = ascii(msg);
+        // Extents only need to be close for text, so assume a wide font.
+        grow(x, y);
+        grow(x + value.length * h, y + h);
+        add('TEXT', 'TEXT', ...point('10', x, y), '40', num(h), '1', value, '7', 'STANDARD');
+      },
+      // The header goes last: $HANDSEED is only known once every handle
+      // has been handed out.
+      toString() {
+        let next = 1;
+        const handle = () => (next++).toString(16).toUpperCase();
+        const body = [];
+        const push = (...a) => body.push(...a.map(String));
+        const table = (name, entries) => {
+          push('0', 'TABLE', '2', name, '5', handle(), '70', entries.length);
+          entries.forEach((groups) => push('0', name, '5', handle(), ...groups));
+          push('0', 'ENDTAB');
+        };
+
+        push('0', 'SECTION', '2', 'TABLES');
+        table('LTYPE', Object.entries(LINETYPES).map(([name, lt]) => [
+          '2', name, '70', '0', '3', lt.description, '72', '65', '73', lt.pattern.length,
+          '40', num(lt.pattern.reduce((sum, v) => sum + Math.abs(v), 0)),
+          ...lt.pattern.flatMap((v) => ['49', num(v)])
+        ]));
+        table('LAYER', Object.entries(LAYERS).map(([name, layer]) => [
+          '2', name, '70', '0', '62', layer.color, '6', layer.linetype
+        ]));
+        table('STYLE', [[
+          '2', 'STANDARD', '70', '0', '40', '0', '41', '1', '50', '0', '71', '0',
+          '42', num(GEOMETRY.textHeight), '3', 'txt', '4', ''
+        ]]);
+        push('0', 'ENDSEC');
+        push('0', 'SECTION', '2', 'BLOCKS', '0', 'ENDSEC');
+        push('0', 'SECTION', '2', 'ENTITIES');
+        entities.forEach((e) => push('0', e.type, '5', handle(), '8', e.layer, ...e.groups));
+        push('0', 'ENDSEC', '0', 'EOF');
+
+        const ext = Number.isFinite(box.x0) ? box : { x0: 0, y0: 0, x1: 0, y1: 0 };
+        // $INSUNITS 1 (inches) and $MEASUREMENT 0 (imperial) are for
+        // current importers; R12-only ones skip them and go by the units
+        // note in the TEXT labels.
+        const header = [
+          '0', 'SECTION', '2', 'HEADER',
+          '9', '$ACADVER', '1', 'AC1009',
+          '9', '$INSBASE', ...point('10', 0, 0),
+          '9', '$EXTMIN', ...point('10', ext.x0, ext.y0),
+          '9', '$EXTMAX', ...point('10', ext.x1, ext.y1),
+          '9', '$INSUNITS', '70', '1',
+          '9', '$MEASUREMENT', '70', '0',
+          '9', '$HANDLING', '70', '1',
+          '9', '$HANDSEED', '5', handle(),
+          '0', 'ENDSEC'
+        ];
+        return [...header, ...body].join('\r\n') + '\r\n';
+      }
+    };
+  }
+
+  // Faucet hole x positions for one sink, centred on the sink.
+  function faucetHoles(sink) {
+    const spread = Number(sink.spread);
+    return String(sink.faucet == null ? '1' : sink.faucet) === '3' && (spread === 4 || spread === 8)
+      ? [-spread / 2, 0, spread / 2]
+      : [0];
+  }
+
+  function drawRectangle(dxf, cfg, labels) {
+    const L = +cfg.dims.L || 0;
+    const W = +cfg.dims.W || 0;
+    const edges = Array.isArray(cfg.edges) ? cfg.edges : [];
+    const g = GEOMETRY;
+
+    dxf.rect('CUT', 0, 0, L, W);
+    const sides = { top: [0, W, L, W], bottom: [0, 0, L, 0], left: [0, 0, 0, W], right: [L, 0, L, W] };
+    ['top', 'right', 'bottom', 'left'].filter((k) => edges.includes(k)).forEach((k) => dxf.line('POLISHED', ...sides[k]));
+
+    if (cfg.backsplash) {
+      const strips = {
+        top: [0, W + g.backsplashGap, L, g.backsplashHeight],
+        bottom: [0, -g.backsplashGap - g.backsplashHeight, L, g.backsplashHeight],
+        left: [-g.backsplashGap - g.backsplashHeight, 0, g.backsplashHeight, W],
+        right: [L + g.backsplashGap, 0, g.backsplashHeight, W]
+      };
+      ['top', 'right', 'bottom', 'left'].filter((k) => !edges.includes(k)).forEach((k) => dxf.rect('BACKSPLASH', ...strips[k]));
+    }
+
+    (Array.isArray(cfg.sinks) ? cfg.sinks : []).forEach((s) => {
+      const tpl = SINKS[s && s.key];
+      if (!tpl) return;
+      const cx = +s.x || 0;
+      const cy = W - (+s.y || 0);
+      if (tpl.shape === 'oval') dxf.oval('CUTOUT', cx, cy, tpl.w / 2, tpl.h / 2);
+      else dxf.rect('CUTOUT', cx - tpl.w / 2, cy - tpl.h / 2, tpl.w, tpl.h);
+      const holeY = cy + tpl.h / 2 + g.faucetSetback;
+      faucetHoles(s).forEach((dx) => dxf.circle('HOLES', cx + dx, holeY, g.faucetHoleDiameter / 2));
+    });
+
+    labels.push(
+      `Rectangle ${inches(L)} x ${inches(W)}`,
+      `Polished edges: ${edges.map((e) => e[0].toUpperCase() + e.slice(1)).join(', ') || 'None'}`
+    );
+    const splashTop = cfg.backsplash && !edges.includes('top') ? g.backsplashGap + g.backsplashHeight : 0;
+    return W + splashTop;
+  }
+
+  function drawCircle(dxf, cfg, labels) {
+    const D = +cfg.dims.D || 0;
+    dxf.circle('CUT', D / 2, D / 2, D / 2);
+    labels.push(`Circle, diameter ${inches(D)}`);
+    return D;
+  }
+
+  // Counter-clockwise vertices, shifted so the nominal outline sits on the
+  // origin. `grow` pushes every side out by that much, on the same centre.
+  function polygonPoints(cfg, grow) {
+    const n = Math.max(3, parseInt(cfg.dims.n, 10) || 6);
+    const R = (+cfg.dims.A || 0) / (2 * Math.sin(Math.PI / n));
+    const minX = Math.min(...Array.from({ length: n }, (_, i) => R * Math.cos(i * ((2 * Math.PI) / n))));
+    const minY = Math.min(...Array.from({ length: n }, (_, i) => R * Math.sin(i * ((2 * Math.PI) / n))));
+    const r = R + (grow || 0) / Math.cos(Math.PI / n);
+    return Array.from({ length: n }, (_, i) => {
+      const a = i * ((2 * Math.PI) / n);
+      return [r * Math.cos(a) - minX, r * Math.sin(a) - minY];
+    });
+  }
+
+  function drawPolygon(dxf, cfg, labels) {
+    const n = Math.max(3, parseInt(cfg.dims.n, 10) || 6);
+    const side = +cfg.dims.A || 0;
+    const pts = polygonPoints(cfg, 0);
+    dxf.poly('CUT', pts, true);
+    const width = Math.max(...pts.map((p) => p[0]));
+    const height = Math.max(...pts.map((p) => p[1]));
+    labels.push(`${n}-sided polygon, side ${inches(side)}`, `Overall ${inches(width)} x ${inches(height)}`);
+    return height;
+  }
+
+  const SHAPES = { rectangle: drawRectangle, circle: drawCircle, polygon: drawPolygon };
+
+  // The drawers above, with every entity put on `layer`.
+  function onLayer(dxf, layer) {
+    return {
+      line: (_, ...a) => dxf.line(layer, ...a),
+      circle: (_, ...a) => dxf.circle(layer, ...a),
+      poly: (_, ...a) => dxf.poly(layer, ...a),
+      rect: (_, ...a) => dxf.rect(layer, ...a),
+      oval: (_, ...a) => dxf.oval(layer, ...a)
+    };
+  }
+
+  // A rectangle as a closed loop starting mid-way along `side`, clockwise
+  // for outer profiles (the jet's good side stays on the part) and
+  // counter-clockwise for cutouts. Returns the points and the outward normal
+  // at the start.
+  function rectLoop(x, y, w, h, side, clockwise) {
+    const sides = ['bottom', 'right', 'top', 'left'];
+    const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+    const mids = { bottom: [x + w / 2, y], right: [x + w, y + h / 2], top: [x + w / 2, y + h], left: [x, y + h / 2] };
+    const normals = { bottom: [0, -1], right: [1, 0], top: [0, 1], left: [-1, 0] };
+    const i = sides.indexOf(side);
+    // Counter-clockwise, side i runs from corner i to corner i + 1.
+    const ccw = [0, 1, 2, 3].map((k) => corners[(i + 1 + k) % 4]);
+    return { pts: [mids[side], ...(clockwise ? ccw.reverse() : ccw)], normal: normals[side] };
+  }
+
+  // Toolpaths for the CNC file, in cut order. `o` is the kerf offset; the
+  // lead-in runs from the waste side to the first point of each path.
+  function cutPaths(dxf, cfg, o, leadIn) {
+    const lead = (x, y, [nx, ny], len) => dxf.line('LEADS', x + nx * len, y + ny * len, x, y);
+    const outer = (layer, loop) => {
+      lead(loop.pts[0][0], loop.pts[0][1], loop.normal, leadIn);
+      dxf.poly(layer, loop.pts, true);
+    };
+
+    if (cfg.shape === 'circle') {
+      const D = +cfg.dims.D || 0;
+      lead(D / 2, D + o, [0, 1], leadIn);
+      dxf.circle('CUT', D / 2, D / 2, D / 2 + o);
+      return;
+    }
+    if (cfg.shape === 'polygon') {
+      // Start mid-way along the first side; clockwise from there.
+      const pts = polygonPoints(cfg, o);
+      const n = pts.length;
+      const mid = [(pts[0][0] + pts[1][0]) / 2, (pts[0][1] + pts[1][1]) / 2];
+      lead(mid[0], mid[1], [Math.cos(Math.PI / n), Math.sin(Math.PI / n)], leadIn);
+      dxf.poly('CUT', [mid, ...pts.slice(0, 1), ...pts.slice(1).reverse()], true);
+      return;
+    }
+
+    const L = +cfg.dims.L || 0;
+    const W = +cfg.dims.W || 0;
+    const edges = Array.isArray(cfg.edges) ? cfg.edges : [];
+    const g = GEOMETRY;
+    const sinks = (Array.isArray(cfg.sinks) ? cfg.sinks : [])
+      .filter((s) => s && SINKS[s.key])
+      .map((s) => ({ s, tpl: SINKS[s.key], cx: +s.x || 0, cy: W - (+s.y || 0) }));
+
+    sinks.forEach(({ s, tpl, cx, cy }) => {
+      const r = g.faucetHoleDiameter / 2 - o;
+      const holeY = cy + tpl.h / 2 + g.faucetSetback;
+      faucetHoles(s).forEach((dx) => {
+        lead(cx + dx + r, holeY, [-1, 0], Math.min(leadIn, r * 0.8));
+        dxf.circle('HOLES', cx + dx, holeY, r);
+      });
+    });
+    sinks.forEach(({ tpl, cx, cy }) => {
+      const rx = tpl.w / 2 - o;
+      const ry = tpl.h / 2 - o;
+      lead(cx, cy + ry, [0, -1], leadIn);
+      if (tpl.shape === 'oval') dxf.oval('CUTOUT', cx, cy, rx, ry, Math.PI / 2);
+      else dxf.poly('CUTOUT', rectLoop(cx - rx, cy - ry, rx * 2, ry * 2, 'top', false).pts, true);
+    });
+    if (cfg.backsplash) {
+      const strips = {
+        top: [0, W + g.backsplashGap, L, g.backsplashHeight],
+        bottom: [0, -g.backsplashGap - g.backsplashHeight, L, g.backsplashHeight],
+        left: [-g.backsplashGap - g.backsplashHeight, 0, g.backsplashHeight, W],
+        right: [L + g.backsplashGap, 0, g.backsplashHeight, W]
+      };
+      ['top', 'right', 'bottom', 'left'].filter((k) => !edges.includes(k)).forEach((k) => {
+        const [x, y, w, h] = strips[k];
+        outer('BACKSPLASH', rectLoop(x - o, y - o, w + o * 2, h + o * 2, k, true));
+      });
+    }
+    // Lead in on an unpolished edge, so the pierce mark is not on show.
+    const start = ['top', 'left', 'right', 'bottom'].find((k) => !edges.includes(k)) || 'top';
+    outer('CUT', rectLoop(-o, -o, L + o * 2, W + o * 2, start, true));
+  }
+
+  // The DXF text for a config. `label` heads the text block, e.g. the order
+  // number. mode: 'cnc' writes toolpaths, with `kerf` and `leadIn` overriding
+  // the CNC defaults. An unknown shape still yields a valid file, holding
+  // only a note.
+  function buildDXF(cfg, options) {
+    const opts = options || {};
+    const dxf = writer();
+    const draw = cfg && cfg.dims && SHAPES[cfg.shape];
+    if (draw) {
+      const labels = [opts.label || 'RCG countertop'];
+      let top;
+      if (opts.mode === 'cnc') {
+        const kerf = size(opts.kerf, CNC.kerf);
+        const leadIn = size(opts.leadIn, CNC.leadIn);
+        cutPaths(dxf, cfg, kerf / 2, leadIn);
+        top = draw(onLayer(dxf, 'NOMINAL'), cfg, labels);
+        labels.push(`CNC toolpaths: kerf ${inches(kerf)}, offset ${inches(kerf / 2)}, lead-in ${inches(leadIn)}`);
+      } else {
+        top = draw(dxf, cfg, labels);
+      }
+      labels.push('Units: inches (1 drawing unit = 1")');
+      // Labels stack above the piece, first line on top.
+      labels.forEach((msg, i) => dxf.text(0, top + 2 + (labels.length - 1 - i) * GEOMETRY.textHeight * 2, msg));
+    } else {
+      dxf.text(0, 0, `${opts.label || 'RCG countertop'} (unknown shape "${(cfg && cfg.shape) || ''}")`);
+    }
+    return dxf.toString();
+  }
+
+  root.RCGDxf = {
+    GEOMETRY,
+    CNC,
+    SINKS,
+    faucetHoles,
+    buildDXF
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,296 @@
+/* =============================
+   RCG PRICING ENGINE
+   - Shared by public/rcg-configurator.js and server.js so the price shown in
+     the configurator is the price Checkout charges
+   - Browser: <script src="rcg-pricing.js"> exposes window.RCGPricing
+   - Server: import './public/rcg-pricing.js', then globalThis.RCGPricing
+   - Constants come from GET /api/pricing ({ version, constants }); the
+     defaults below are only used until (or if) that payload is unavailable
+   - Freight miles use rcg-zip-centroids.js when it is loaded alongside
+   - Sales tax comes from the server's rate table (TAX_RATES_FILE, else the
+     state-only lib/tax-rates.json): exact ZIP, else the state the ZIP's
+     3-digit prefix belongs to, else the
+     default rate. In Stripe Tax mode tax is left to Checkout and prices here
+     are pre-tax
+============================= */
+
+(function (root) {
+  const SCHEMA = 1;
+
+  const DEFAULT_CONSTANTS = {
+    dollarsPerSqft: 55,
+    lbsPerSqft: 10.9,
+    ltlCwtBase: 35.9,
+    ltlMarkup: 1.2,
+    roadFactor: 1.2,
+    originZip: '63052',
+    backsplashHeight: 4,
+    sinkPrices: { 'bath-oval': 80, 'bath-rect': 95, 'kitchen-rect': 150 },
+    distanceBands: [
+      { max: 250, mult: 1.0 },
+      { max: 600, mult: 1.25 },
+      { max: 1000, mult: 1.5 },
+      { max: 1500, mult: 1.7 },
+      { max: Infinity, mult: 1.85 }
+    ],
+    tax: {
+      mode: 'table',
+      version: null,
+      defaultRate: 0.07,
+      invalidZipRate: 0,
+      states: {},
+      zips: {},
+      zip3States: []
+    }
+  };
+
+  function num(v, fallback) {
+    const n = Number(v);
+    return v !== null && v !== '' && Number.isFinite(n) ? n : fallback;
+  }
+
+  function normalizeDistanceBands(raw, fallback) {
+    if (!Array.isArray(raw) || !raw.length) return fallback;
+    const cleaned = raw
+      .map((x) => ({
+        max: x.max === 'Infinity' || x.max === null || x.max === Infinity ? Infinity : Number(x.max),
+        mult: Number(x.mult)
+      }))
+      .filter((x) => Number.isFinite(x.max) || x.max === Infinity)
+      .filter((x) => Number.isFinite(x.mult))
+      .sort((a, b) => a.max - b.max);
+    if (!cleaned.length) return fallback;
+    if (cleaned[cleaned.length - 1].max !== Infinity) {
+      cleaned.push({ max: Infinity, mult: cleaned[cleaned.length - 1].mult });
+    }
+    return cleaned;
+  }
+
+  // { key: { rate, [label]: '...' } } with unusable rates dropped.
+  function normalizeRates(raw, keyPattern, label) {
+    const out = {};
+    Object.keys(raw || {}).forEach((k) => {
+      const entry = raw[k] && typeof raw[k] === 'object' ? raw[k] : { rate: raw[k] };
+      const rate = num(entry.rate, null);
+      if (!keyPattern.test(k) || rate === null || rate < 0) return;
+      out[k] = { rate, [label]: entry[label] ? String(entry[label]) : null };
+    });
+    return out;
+  }
+
+  function normalizeTax(raw) {
+    const t = raw || {};
+    const d = DEFAULT_CONSTANTS.tax;
+    return {
+      mode: t.mode === 'stripe' ? 'stripe' : 'table',
+      version: t.version ? String(t.version) : d.version,
+      defaultRate: num(t.defaultRate, d.defaultRate),
+      invalidZipRate: num(t.invalidZipRate, d.invalidZipRate),
+      states: normalizeRates(t.states, /^[A-Z]{2}$/, 'name'),
+      zips: normalizeRates(t.zips, /^\d{5}$/, 'jurisdiction'),
+      zip3States: (Array.isArray(t.zip3States) ? t.zip3States : [])
+        .filter((x) => Array.isArray(x) && /^\d{3}$/.test(x[0]) && /^\d{3}$/.test(x[1]) && /^[A-Z]{2}$/.test(x[2]))
+        .map((x) => [x[0], x[1], x[2]])
+    };
+  }
+
+  function normalizeConstants(raw) {
+    const r = raw || {};
+    const d = DEFAULT_CONSTANTS;
+    const sinkPrices = {};
+    Object.keys(d.sinkPrices).concat(Object.keys(r.sinkPrices || {})).forEach((k) => {
+      sinkPrices[k] = num((r.sinkPrices || {})[k], d.sinkPrices[k] || 0);
+    });
+    return {
+      dollarsPerSqft: num(r.dollarsPerSqft, d.dollarsPerSqft),
+      lbsPerSqft: num(r.lbsPerSqft, d.lbsPerSqft),
+      ltlCwtBase: num(r.ltlCwtBase, d.ltlCwtBase),
+      ltlMarkup: num(r.ltlMarkup, d.ltlMarkup),
+      roadFactor: num(r.roadFactor, d.roadFactor),
+      originZip: /^\d{5}$/.test(String(r.originZip || '')) ? String(r.originZip) : d.originZip,
+      backsplashHeight: num(r.backsplashHeight, d.backsplashHeight),
+      sinkPrices,
+      distanceBands: normalizeDistanceBands(r.distanceBands, d.distanceBands),
+      tax: normalizeTax(r.tax)
+    };
+  }
+
+  // JSON has no Infinity; the open-ended top band travels as "Infinity".
+  function serializeConstants(c) {
+    return JSON.parse(JSON.stringify(c, (k, v) => (v === Infinity ? 'Infinity' : v)));
+  }
+
+  function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i += 1) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  }
+
+  function pricingVersion(c) {
+    return `${SCHEMA}.${hash(JSON.stringify(serializeConstants(c)))}`;
+  }
+
+  function createPricing(rawConstants) {
+    const C = normalizeConstants(rawConstants);
+    const version = pricingVersion(C);
+
+    function areaSqft(shape, d) {
+      if (!shape || !d) return 0;
+      switch (shape) {
+        case 'rectangle':
+          return ((+d.L || 0) * (+d.W || 0)) / 144;
+        case 'circle': {
+          const D = +d.D || 0;
+          return (Math.PI * Math.pow(D / 2, 2)) / 144;
+        }
+        case 'polygon': {
+          const n = +d.n || 6;
+          const s = +d.A || 12;
+          return ((n * s * s) / (4 * Math.tan(Math.PI / n))) / 144;
+        }
+        default:
+          return 0;
+      }
+    }
+
+    function greatCircleMiles(a, b) {
+      const rad = (deg) => (deg * Math.PI) / 180;
+      const dLat = rad(b.lat - a.lat);
+      const dLon = rad(b.lon - a.lon);
+      const h = Math.pow(Math.sin(dLat / 2), 2) +
+        Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.pow(Math.sin(dLon / 2), 2);
+      return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+    }
+
+    // Road miles between ZIP centroids (great-circle x roadFactor). Unknown
+    // ZIPs use their 3-digit area; if even that is missing, or the centroid
+    // table is not loaded, fall back to the old prefix-difference estimate.
+    function distanceMiles(originZip, destZip) {
+      const table = root.RCGZipCentroids;
+      const from = table ? table.locate(originZip || C.originZip) : null;
+      const to = table ? table.locate(destZip) : null;
+      if (from && to) {
+        return {
+          miles: Math.round(greatCircleMiles(from, to) * C.roadFactor),
+          source: from.source === 'zip' && to.source === 'zip' ? 'zip' : 'zip3'
+        };
+      }
+      const o = parseInt(String(originZip || C.originZip).slice(0, 3), 10);
+      const d = parseInt(String(destZip || '00000').slice(0, 3), 10);
+      if (!Number.isFinite(o) || !Number.isFinite(d)) return { miles: null, source: 'unknown' };
+      return { miles: Math.abs(o - d) * 20 + 100, source: 'estimate' };
+    }
+
+    // Unknown distance prices at the farthest band.
+    function bandForMiles(miles) {
+      const bands = C.distanceBands;
+      if (!Number.isFinite(miles)) return bands[bands.length - 1].mult;
+      return bands.find((b) => miles <= b.max).mult;
+    }
+
+    function distanceBand(originZip, destZip) {
+      return bandForMiles(distanceMiles(originZip, destZip).miles);
+    }
+
+    function shippingEstimate(area, destZip, originZip) {
+      const weight = area * C.lbsPerSqft;
+      const cwt = Math.max(1, Math.ceil(weight / 100));
+      const dist = distanceMiles(originZip || C.originZip, destZip);
+      const mult = bandForMiles(dist.miles);
+      const base = cwt * C.ltlCwtBase * mult;
+      return { weight, cwt, miles: dist.miles, milesSource: dist.source, mult, ltl: base * C.ltlMarkup };
+    }
+
+    function backsplashSqft(cfg) {
+      if (!cfg || cfg.shape !== 'rectangle' || !cfg.backsplash) return 0;
+      const L = +(cfg.dims && cfg.dims.L) || 0;
+      const W = +(cfg.dims && cfg.dims.W) || 0;
+      const edges = Array.isArray(cfg.edges) ? cfg.edges : [];
+      const unpol = ['top', 'right', 'bottom', 'left'].filter((k) => !edges.includes(k));
+      const lenMap = { top: L, bottom: L, left: W, right: W };
+      return unpol.reduce((sum, k) => sum + (lenMap[k] || 0) * C.backsplashHeight, 0) / 144;
+    }
+
+    function stateForZip(zip) {
+      const p = String(zip || '').slice(0, 3);
+      const hit = C.tax.zip3States.find((r) => p >= r[0] && p <= r[1]);
+      return hit ? hit[2] : null;
+    }
+
+    // { rate, jurisdiction, state, source } where source says which row of
+    // the table answered: 'zip', 'state', 'default', 'invalid' (not a 5-digit
+    // ZIP) or 'stripe_tax' (Checkout computes tax; nothing is added here).
+    function taxLookup(zip) {
+      const T = C.tax;
+      const z = String(zip || '');
+      if (!/^\d{5}$/.test(z)) return { rate: T.invalidZipRate, jurisdiction: null, state: null, source: 'invalid' };
+      const state = stateForZip(z);
+      if (T.mode === 'stripe') return { rate: 0, jurisdiction: null, state, source: 'stripe_tax' };
+      if (T.zips[z]) return { rate: T.zips[z].rate, jurisdiction: T.zips[z].jurisdiction || z, state, source: 'zip' };
+      if (state && T.states[state]) {
+        return { rate: T.states[state].rate, jurisdiction: T.states[state].name || state, state, source: 'state' };
+      }
+      return { rate: T.defaultRate, jurisdiction: state, state, source: 'default' };
+    }
+
+    function taxRateByZip(zip) {
+      return taxLookup(zip).rate;
+    }
+
+    function computePricing(cfg) {
+      const area = areaSqft(cfg && cfg.shape, cfg && cfg.dims);
+      const material = area * C.dollarsPerSqft;
+      const sinks = cfg && cfg.shape === 'rectangle'
+        ? (cfg.sinks || []).reduce((acc, s) => acc + (C.sinkPrices[s.key] || 0), 0)
+        : 0;
+      const bpSqft = backsplashSqft(cfg);
+      const bpsf = bpSqft * C.dollarsPerSqft;
+      const ship = shippingEstimate(area + bpSqft, (cfg && cfg.zip) || '');
+      const taxInfo = taxLookup(cfg && cfg.zip);
+      const taxRate = taxInfo.rate;
+      const services = material + sinks + bpsf + ship.ltl;
+      const tax = services * taxRate;
+      const total = services + tax;
+      return {
+        area,
+        material,
+        sinks,
+        backsplash: bpsf,
+        ship,
+        taxRate,
+        taxJurisdiction: taxInfo.jurisdiction,
+        taxSource: taxInfo.source,
+        tax,
+        total,
+        services,
+        version
+      };
+    }
+
+    return {
+      version,
+      constants: C,
+      areaSqft,
+      distanceMiles,
+      distanceBand,
+      shippingEstimate,
+      backsplashSqft,
+      taxLookup,
+      taxRateByZip,
+      computePricing
+    };
+  }
+
+  root.RCGPricing = {
+    SCHEMA,
+    DEFAULT_CONSTANTS,
+    normalizeConstants,
+    normalizeDistanceBands,
+    serializeConstants,
+    pricingVersion,
+    createPricing
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
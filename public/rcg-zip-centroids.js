@@ -0,0 +1,55 @@
+/* =============================
+   RCG ZIP CENTROIDS
+   - Offline US ZIP centroid table used by rcg-pricing.js for freight miles
+   - Generated by scripts/build-zip-centroids.js (npm run build:zips); do not
+     edit DATA by hand
+   - Encoding: "zipDelta,latDelta,lonDelta" rows in base 36, joined by ";",
+     coordinates in hundredths of a degree
+============================= */
+
+(function (root) {
+  const COUNT = 41689;
+  const DATA = 'dx,35e,-5mx;17,0,0;cp,3h,17;1,u,g;1,2,-6;1,-1,1;1,3,14;2,-d,-u;1,-a,-1h;1,3,1o;1,-9,f;1,g,-28;1,b,g;1,-o,m;1,2,1;6,1,2;1,-1,-2;1,2,5;4,r,-11;1,-j,p;1,-k,g;1,c,-1i;1,-c,11;1,q,1c;1,b,-1o;1,-i,s;1,-f,-17;1,p,12;1,-u,e;1,t,k;1,3,-13;1,0,-8;1,-i,7;1,0,1;9,7,-p;3,8,h;1,c,k;2,-u,3;1,-7,f;2,v,-l;1,-9,-a;1,5,-1;1,-5,-5;1,0,5;3,9,2;2,-6,1l;1,-h,-s;1,x,-1n;1,-10,8;1,x,16;1,-q,-u;1,h,1q;1,-f,-1c;2,-j,-j;2,e,18;1,-1,-3;1,-c,g;1,k,-6;1,-6,6;1,j,-1v;1,-q,c;1,4,-a;2,m,k;1,-r,1;1,5,4;2,3,11;1,o,-16;1,-8,1f;1,-o,-v;1,t,-x;1,-p,-5;1,m,-a;3,-s,y;1,7,-1;1,-7,1;1,3,1;1,-3,0;1,-5,1;1,7,-4;1,-3,5;1,2,1;2,6,-5;4,-7,1;1,7,-1;2,-8,7;1,3,2;9,-3,2;1,3,0;4,-2,-a;5,7,-1;1,0,0;5,-7,1;7,5,9;1,2,-a;17,-7,2;4,2,-2;2,x,-1t;1,-6,2;1,0,0;h,n,b;2,-1k,-k;1,u,k;1,f,-7;1,5,3;1,-8,0;1,-1,-1;2,-j,-h;1,-8,-2;5,n,t;1,-g,-u;1,p,e;1,-m,0;2,6,-4;2,-2,2;1,2,o;1,-o,-o;1,7,4;2,1f,d;5,-1e,-11;1,-1,10;1,j,-r;1,-r,o;1,1b,a;1,-1c,-y;1,0,-a;1,-2,k;1,k,-2;2,2,-4;1,9,9;1,-h,3;2,b,-i;1,12,i;3,-j,g;v,8,16;1,-8,0;s,0,-j;1,8,1m;6,a,-z;1,-d,-o;1,4,-7;1,7,g;1,-h,3;1,3,9;1,a,-12;1,-3,1k;2,8,-15;1,-d,w;2,2,3;1,e,-1d;1,-i,19;3,a,3;1,-d,j;5,i,-e;4,-8,g;2,-c,a;1,l,-22;1,-3,21;2,-7,-1i;3,-c,c;2,-3,5;1,f,1;2,7,m;1,-a,-6;1,-2,1;14,3,1n;a,7,-d;1,2,b;1,-b,o;2,-2,-3;2,5,-19;2,-3,2;2,1,5;1,-2,8;9,6,z;1,-b,-2;1,-1,-16;1,4,o;7,1,r;2,5,-o;1,8,e;1,-a,-6;3,-8,4;1,6,-19;1,a,11;1,-4,c;1,0,0;1,-1,-6;1,-5,-s;1,c,g;1,1,-u;2,1,4;o,-1c,h;2,h,k;1,-z,b;1,v,-k;1,-e,-11;1,-6,d;1,1,-2;1,2,1;1,p,u;5,-k,-11;1,-h,u;1,15,-e;1,-y,-n;1,8,17;1,e,-f;1,-u,-v;1,y,s;1,7,i;1,-l,-n;1,-e,s;1,-1,-b;1,b,-1;2,-h,i;2,t,-1j;1,0,1c;2,-h,-1;1,c,-16;1,-4,12;1,-6,-j;1,-8,p;2,2,-n;1,y,-1;1,-p,-3;1,i,-4;2,-a,n;1,8,-i;4,-s,-e;a,a,z;1,q,0;1,-k,-u;2,k,l;2,-x,-u;2,7,1c;1,-b,-3;1,-2,-m;1,0,-4;9,l,s;1,1,-1;1,-1,1;1,a,-h;2,-c,-11;1,-7,z;2,-5,e;2,1,-a;b,d,-4;1,1,-4;1,-2,0;1,0,7;1,4,-2;1,2,-1;1,-8,1;1,3,-1;1,2,-3;1,-3,2;1,-1,-6;1,7,-5;1,-2,c;1,-3,0;1,0,0;12,a,-a;1,-a,a;1,a,-a;1a,-6,1b;1,-2,0;1,h,-3;1,0,0;1,0,0;d,4,3;1,0,-9;1,-1,7;1,-n,-1;9,n,i;1,-2,0;9,-2,-x;1,9,q;1,-7,-2;3,-h,-d;1,-9,6;1,-7,-a;1,9,1;1,h,-3;3,-4,2;2,8,9;2,-x,-a;1,5,2;3,e,h;a,-6,-2;2,6,-f;1,d,m;2,1,-k;1,-5,8;2,-3,7;6,-b,-k;h,o,14;2,3,-4;2,-1,0;1,-3,5;1,1,0;1,2,3;2,f,-4;2,0,-2;1,-h,3;2,0,0;6,7,-a;1,1,-2;2,3,-9;2,9,4;1,-1,-i;3,c,17;1,-2,-5;1,1,1;1,-5,d;1,2,-5;1,0,-5;5,-4,-8;1,0,-1;1,0,1;1,-2,0;1,4,-2;1,-5,7;5,-2,-k;1,-3,-2;1,0,3;1,0,-2;1,2,-2;6,i,y;2,-p,-t;1,5,-a;1,-5,u;1,-4,-i;1,-1,4;1,0,c;9,7,-b;3,7,-k;1,-h,z;5,l,1;1,-c,-12;1,-3,r;1,-8,2;1,9,4;1,-c,-3;9,l,0;2,-k,j;1,1,1;1,0,-1;1,2,-1;1,-2,-1;1,-1,-4;1,1,a;1,-4,-2;2,2,-4;3,15,3;2,-u,6;6,c,-d;1,8,7;1,-j,0;6,6,g;1,-1,b;1,0,1;5,2,-m;1,-5,-9;1,9,c;2,-f,-i;4,5,q;1,-8,-a;4,9,-e;1,m,d;1,-3,3;1,7,-1;8,-w,-a;1,b,8;4,-8,5;1,a,l;3,5,-t;1,-j,1;1,c,2;b,-2,2;1,2,-9;1,-4,7;1,j,-a;x,-1q,a;1,-a,-1o;1,1,2c;1,8,-1e;4,8,x;1,0,-z;1,-6,7;3,6,-k;1,-m,c;1,d,-5;3,-9,-2;3,3,-h;2,9,1u;1,-b,a;2,f,-o;1,2,0;1,5,1;2,-f,j;1,-c,-1h;2,9,1g;1,4,-3;1,3,-1l;1,-3,-c;1,2,6;1,7,1o;1,-c,-1l;3,2,1k;1,8,-2;1,-6,-3;1,3,-12;3,-9,1j;1,a,-a;1,-9,-17;3,-8,-l;1,7,b;1,3,h;9,1,-e;9,7,4;3,-f,-d;f,u,r;1,0,2;1,0,0;1,-1,-1;1,1,0;1,1,0;1,-1,-1;1,-2,-2;1,1,1;1,1,2;1,-2,-1;1,-1,-3;1,0,1;1,-3,2;1,0,0;1,4,f;1,-5,-f;1,1,0;1,-3,-2;1,6,5;1,3,1;1,2,-3;1,-7,-5;1,-3,-2;1,0,-3;1,8,a;1,-1,-7;1,0,-3;1,-a,3;1,-1,-1;1,e,1;1,-2,3;1,3,-3;1,-2,5;1,-1,0;1,2,-2;1,2,-2;1,-1,3;3,4,3;1,-2,1;1,-1,2;1,1,2;1,-3,3;1,4,-d;2,0,0;1,0,-2;7,-9,2;6,-8,b;1,2,-2;1,1,0;5,i,-4;4,2,-4;4,-r,a;1,-3,-9;1,7,1;1,2,1;1,-6,b;1,0,4;1,-3,-3;1,7,0;5,b,-b;3,-1,-2;2,1,2;2,0,0;1,-2,e;1,1,-d;1,-1,d;1,1,-d;3,0,0;1,1,-1;1,0,0;3,-1,-4;1,-1,3;1,0,f;5,2,-e;6,-1,0;a,3,-5;1,-2,1;2,0,4;p,0,0;3,-b,6;e,9,8;1,0,0;9,2,-e;2,-1,0;2,1,0;1,2,3;3,-u,-1;1,0,4;1,0,-2;1,0,0;1,0,0;h,5,-2;2,-f,7;1,1,0;2,5,e;3,-f,6;1,8,7;1,7,-2;1,-1,-m;1,-1,-j;3,-1,h;1,-1,c;1,c,-2;1,-1,4;1,-5,-5;2,9,-e;1,-q,a;1,0,x;1,0,-v;1,-5,-7;1,1,1;1,4,4;1,d,6;1,a,-a;4,-k,f;1,e,-v;1,0,2;1,3,u;1,-3,-1;1,-f,g;1,6,-6;1,-1,3;2,4,-7;2,-f,4;1,c,-a;1,k,-p;2,-4,e;5,-a,-j;4,0,8;2,-a,1a;1,f,-12;12,12,-s;1,-2,-1;o,-b,a;1,1,1;1,-1,0;4,7,-d;1,-1,3;1,-2,-1;1,-1,-2;1,0,4;1,9,-p;1,-f,k;1,5,7;1,-2,1;1,2,-3;1,-3,0;1,1,-5;2,-2,4;1,4,-1;1,-1,-2;1,-2,9;1,1,-7;3,4,5;1,0,0;2,5,2;1,0,-2;1,0,0;1,-5,0;1,3,0;1,-1,0;2,-8,-9;1,-2,-3;a,-1,5;1,8,-5;1,-7,7;1,7,3;11,-1p,1p;2,-8,-3;1,-v,-c;1,o,h;1,d,d;1,4,-l;1,-12,c;1,h,-9;1,-1,1;1,a,6;1,-c,-b;9,-f,2;1,y,3;1,-19,1g;2,11,-1h;1,-j,6;1,u,-a;1,-6,5;2,8,8;1,2,1;1,-8,4;1,-19,1g;1,11,-1w;3,-i,5;3,u,-c;2,-u,b;1,f,-4;1,-i,0;1,10,-c;8,-1e,1z;h,12,-p;t,4,0;1,5,n;1,-9,-s;1,3,12;1,-4,-12;1,-3,-9;1,2,a;1,6,6;1,3,9;1,-7,6;2,8,-3;1,a,i;1,-6,2;1,-a,-1j;1,2,19;1,-3,-1;1,-3,-o;1,3,-b;1,-5,-7;1,8,1g;1,c,-1;1,l,-b;1,-p,b;2,-f,-14;2,16,j;2,-11,h;1,3,-e;1,-2,d;1,7,5;1,g,-2;1,-p,-j;2,x,d;1,-7,4;1,-n,-z;1,-2,12;1,-2,-i;1,1,6;1,-3,-l;1,2,8;2,5,1;r,9,-2b;1,d,-o;9,2,7;1,-1h,u;1,y,-e;1,5,-7;2,-5,h;1,b,-5;1,-n,d;1,8,-p;1,-3,-2;1,1,1;1,-1,2;1,0,-4;1,3,-1;1,4,3;c,-5,13;1,-5,-6;1,-3,-c;1,1,1;1,0,0;1,6,2;1,-9,-1;1,8,-2;1,-3,1;1,-3,-7;1,-6,2;c,15,-z;1,0,0;1,3,0;1,-4,2;1,-c,g;2,c,-4;1,-4,e;1,-h,-2;1,9,-i;1,-9,14;1,8,-1b;6,-9,b;2,9,d;1,7,-2;3,-f,3;7,-e,-2;1,-a,2;a,1,-l;1,16,-h;2,-1h,-x;2,w,1a;1,-1l,-p;1,o,-i;1,r,1c;3,-l,-15;1,-7,2;1,1g,-2;1,-e,1;1,-9,9;1,-5,-6;1,1,h;4,-8,-e;1,g,6;1,r,-1;1,-m,-g;1,k,9;1,-r,-b;1,g,i;1,1,-3;1,a,-6;1,-n,9;1,-o,-h;1,-3,-4;2,4,13;1,-7,-o;1,7,1a;1,19,-v;1,-3,-h;1,-19,v;1,1,3;1,2,3;a,7,-j;2,0,1;3,p,-h;1,c,-3;1,0,-6;1,-9,w;1,1,3;1,-2,-1;1,3,-2;1,6,-3;1,-4,-1;6,-w,i;1,c,-4;1,-j,-1c;1,-1,x;1,-5,-k;1,1i,6;1,-1b,5;1,a,z;1,-j,-z;1,-6,-b;1,a,b;1,-4,7;1,1,-4;2,s,n;1,-3,-i;1,0,3;1,5,1;1,-4,2;2,-y,-16;1,e,j;1,j,a;1,-p,-j;1,1h,j;1,-1,-3;2,-1b,-b;3,w,p;1,0,-1;1,0,0;1,3,-2;1,-7,4;1,6,0;1,-4,-3;1,4,-1;1,-2,0;1,-4,0;1,7,-3;1,-3,6;2,-1,4;1,-4,2;1,7,-1;1,6,-g;1,-6,8;1,-1,-8;1,-6,5;1,-1,-4;j,6,a;2j,2w,-k;1,d,r;1,-p,-x;1,w,11;2,-9,6;1,h,-1;1,-p,-5;2,g,5;1,-g,-4;1,f,l;1,-5,-21;1,-1,1x;1,4,-19;1,8,-5;1,-f,-p;1,-k,b;1,0,i;2,2,h;1,7,-4;1,3,7;1,0,-d;1,-4,-f;2,7,-2;3,-e,l;1,1,0;1,-5,-2;1,5,-2;1,1,4;6,j,-m;1,-m,-i;2,9,1t;3,-b,-8;1,u,b;2,-p,-3;3,c,-1j;2,-8,-8;2,2,a;1,-3,18;e,i,-f;1,0,-3;1,-2,4;1,4,0;1,-1,0;1,6,1;1,-7,-1;1,1,0;1,-3,4;1,-3,-b;1,6,7;2w,2n,-5;1,-1g,-s;1,r,h;1,-11,w;2,c,-k;1,-k,-1b;1,10,l;1,n,8;1,-1c,b;1,0,w;1,z,-o;1,b,3;2,-1q,-p;1,v,-h;1,-5,c;2,-4,-j;1,-k,1n;1,m,-u;2,-2,o;1,1k,-1c;2,-15,-7;1,f,d;1,-1i,1;1,z,9;1,-16,-h;1,1r,u;1,-h,c;1,2,3;2,-4,4;2,1f,-q;1,-1n,d;1,g,4;1,a,b;1,-15,-1q;1,u,11;1,-l,-z;1,-h,1m;1,1p,2;1,-1c,-1i;1,-g,21;1,2b,-1d;1,-23,10;1,1b,-10;2,4,-g;2,-13,f;1,e,a;3,-p,-14;1,0,7;1,1k,d;1,-1y,12;1,u,-g;2,-g,-q;1,1s,-5;1,-25,-j;1,-a,12;1,28,-l;2,-12,-e;1,16,14;2,-1a,-r;2,5,14;1,-12,15;1,6,-3;2,28,-1j;5,-1a,o;1,0,0;2,-u,-8;1,9,-d;1,-3,0;1,-e,c;1,7,2;2,b,5;3g,-10,-2b;4,-3,2;5,d,y;1,-r,-1d;1,m,1f;1,-d,-1h;1,2,14;1,a,-f;1,-g,-d;1,-8,j;1,s,-d;1,-6,t;1,-4,-c;1,-e,-14;1,2,1b;3,8,-h;1,n,-1;1,-e,8;1,-a,i;3,-e,-7;1,g,-13;2,g,u;1,-o,-7;1,7,-x;1,7,7;1,-8,1f;1,-2,-13;1,-9,-2;2j,49,1k;9,h,1n;4,-k,-1d;1,-2,o;1,1t,-4;3,-b,y;1,-1n,-1p;1,j,1o;1,k,-10;1,-k,6;1,9,-b;1,-s,-y;1,1,a;2,11,1q;1,b,-l;1,1,-h;2,12,k;1,-1z,8;2,-b,-r;2,17,g;1,-x,-l;3,-39,-1y;1,-7,-3;1,d,-8;1,-d,2;1,8,j;2,-1,-7;1,-c,-f;1,6,-3;3n,2w,1b;1,-1g,-5;2,-t,-v;2,d,0;1,0,6;2,d,f;1,-5,4;1,d,-c;1,-s,e;1,-d,-5;1,l,-1;1,-d,-1;1,w,-e;1,-6,3;9,14,j;1,-14,-i;2,f,8;1,0,4;1,-q,-g;1,22,p;2,-2k,-f;1,23,g;3,-l,-8;2,a,2;1,4,7;1,-1c,-q;1,-g,i;2,p,-l;1,1f,q;g,-30,3f;1,0,5;1,0,0;1,0,0;1,g,-6;4,n,-15;1,2,-2;1,-1s,9;1,3g,-d;1,-9,n;1,-m,-7;1,-1f,2;1,16,-f;1,l,2;1,8,9;1,-2x,3;1,r,n;1,1,2;1,0,0;1,-3,-7;1,-5,2;1,8,-c;1,-v,-9;1,2,e;3,1y,-2;2,u,-7;1,-2l,d;2,15,-b;1,17,0;1,-11,-o;1,1t,b;1,-2c,l;1,-m,d;1,-g,-x;1,6,10;1,7,-j;1,-8,c;1,39,-n;1,7,-7;1,-9,7;1,-39,6;1,2t,-7;1,-l,-h;1,-t,t;1,8,4;1,e,-u;1,-1l,1j;1,11,-16;1,-14,g;1,3,2;1,-k,-8;1,-1,0;1,39,-8;1,-2j,c;1,-e,h;2,1z,-s;1,-2d,2;1,1a,b;1,0,0;1,2,4;1,-9,b;1,-m,6;1,-3,0;1,1l,-p;1,-1q,-h;1,-4,x;1,2r,-x;3,-1r,v;4,19,-a;1,b,-x;1,-1k,f;1,-n,q;1,2c,-10;1,-11,k;3,w,-d;4,-l,0;2,-1,-3;1,w,-d;4,-1q,1e;1,-8,l;1,-8,-e;1,-4,4;1,1,3;1,n,-1;1,-8,b;1,-2,-i;1,-8,d;1,2,5;1,-3,-4;2i,15,-s;1,-6,n;1,o,1y;1,-c,-1j;1,-c,6;1,-5,f;1,2,-h;1,1j,1p;1,4,-2a;1,-b,-j;1,-4,2l;2,-a,-9;1,-17,-1h;1,1n,7;1,m,-10;1,-18,25;2,-4,1;1,8,-1v;1,2,1g;1,i,-1h;2,-c,a;3,-14,-n;1,r,8;1,h,f;1,-u,0;2,q,1n;1,0,0;1,0,0;3,h,-2f;1,-z,1e;1,l,d;1,m,-v;1,-p,-k;1,-r,o;1,-k,6;3,0,8;1,10,-18;1,-5,c;1,3,b;1,-4,1g;1,1b,-25;3,-2g,x;1,1x,0;1,-v,-r;1,18,h;4,-1a,-3;1,g,w;1,-u,2;1,3,0;2,o,16;2,6,-2n;1,6,20;1,-v,-7;1,y,-i;1,-14,0;1,-9,-v;1,f,15;1,r,-s;1,-s,-k;1,y,v;1,-9,14;1,-4,c;3,-4,-16;1,-r,-13;1,y,x;1,-4,-g;1,l,1y;1,-15,-28;1,1q,2;2,-2g,c;1,1g,-f;1,-f,13;1,-4,-g;1,-n,-5;1,j,-x;1,k,21;1,4,-3;1,-g,-h;3,-2,b;1,0,-3;1,3,0;1,-3,3;1,7,0;1,-a,-1;1,-3,4;1,6,4;1,2,-1;1,8,0;2,-a,-6;4,-2,2;6,2,-2;1,0,0;1,0,0;2e,17,2;1,b,0;1,0,0;4,1a,-1k;1,-o,0;2,-2,g;1,-b,r;1,h,7;1,-1d,c;1,5,-b;1,1h,-d;1,5,j;1,1,-1b;1,-4,14;1,-h,h;2,-y,-k;1,k,-1k;3,10,1y;2,-17,4;1,v,-1l;1,-u,y;1,w,h;1,-16,2;1,a,-5;2,0,0;7,-h,d;2,-3,4;1,15,-e;1,2,7;1,-b,-1f;1,-l,q;1,19,-f;1,-15,k;1,7,v;1,-q,-r;1,21,-1z;1,-e,25;1,-r,b;2,0,9;1,8,-m;1,-d,-1f;1,-2,l;2,-a,5;1,f,1;3,-l,b;1,1p,-m;1,-c,5;4,-17,1d;1,b,-17;1,4,p;2,9,i;1,z,-z;1,-u,-18;1,-y,2h;1,b,-14;1,g,-k;1,g,d;1,-19,-1;1,x,0;2,m,m;10,-r,1a;2,9,2;1,-a,-3;3,1,-4;2,-1,4;3,-5,n;1,-i,-k;1,o,-f;1,-7,b;1,-4,0;1,2,4;1,6,-6;1,-7,u;1,m,-1k;1,-s,b;1,k,9;1,e,-c;1,-v,15;1,j,f;1,2,-1g;2,-u,d;1,u,o;1,-m,-i;1,11,-o;3,-p,16;1,2,-12;11,1e,39;1,-2,1;4,17,-27;2,-y,3j;2,k,-1q;1,-j,t;1,-b,-c;1,24,2t;1,-l,-3m;1,1,-2;1,-23,s;1,1r,14;1,-f,-r;1,-r,-y;1,-14,j;1,1,1;1,1t,-u;2,1o,3e;2,-1c,-3p;1,-l,j;1,-j,17;1,-7,-4;1,2j,5;1,-2z,-9;3,n,-1b;1,i,2;3,-11,i;3,2f,-1t;1,1,-b;1,-v,t;1,-17,1h;4,1f,k;1,-q,-m;1,-7,-4;1,1w,1x;2,-16,-1n;1,11,3m;1,-j,-24;1,-1c,-1x;1,1b,1b;2,i,g;1,8,-h;1,-1v,-b;1,20,-8;1,-16,-r;1,6,-1f;3,-i,2g;1,-i,-6;1,6,4;2,2h,26;1,-3q,-2g;1,y,1;1,-g,-7;1,19,k;1,-20,-c;2,3w,-39;1,-20,1k;2,b,m;4,b,-1g;2,7,47;1,-1j,-2s;1,3,16;1,1g,2m;1,d,w;1,-l,-p;1,-b,-2d;2,m,h;1,-28,-1h;1,2s,26;x,-4v,-4s;5,i,k;2,-k,0;1,-4,0;1,a,d;2,-7,2;2,f,-2;1,-k,-9;3,f,q;1,-h,-16;1,l,n;2,-1,8;2,4,-9;1,-j,2;1,n,3;1,-b,-e;2,-9,9;4,-c,-s;1,m,1i;1,-6,-k;1,-g,-13;3,a,u;2,f,4;1,-e,-g;1,m,v;1,-f,-i;1,w,h;1,-16,-q;1,-3,-2;2,j,-2;1,-6,-b;q,1o,3u;1,3,1y;1,-b,-12;2,-a,-f;2,e,1r;1,-r,-23;1,e,x;1,5,-1k;2,-i,3;1,d,-h;2,27,43;3,-1j,-1w;1,5,j;1,-q,-n;1,-g,-s;1,17,2t;1,-19,-3v;1,1v,3y;1,-1c,-3m;1,w,36;1,i,11;3,-v,-3f;1,-1d,-c;2,2y,1n;3,-1w,-1b;2,-h,-1k;1,s,2r;1,-j,-18;1,-10,-11;1,k,13;2,14,1t;1,-b,-2;1,-r,-33;2,1q,4n;1,-1u,-3m;1,1c,2e;1,-4,7;2,y,3;1,-1c,-1e;2,-l,-17;2,-4,3;2,q,f;2,16,2l;1,2,b;1,m,-1f;1,-28,-15;2,1u,2f;1,-1s,-36;1,-c,-15;1,-2,t;1,1,f;1,4,-13;1,f,1a;2,-l,-f;1,m,12;1,-w,-20;2,3,-3;1,s,j;1,-y,6;1,2c,23;5,-n,19;2,-11,-2b;1,1z,1p;10,2u,-13;2,1e,-1h;1,-29,-2;1,1x,1i;1,-8,3;1,19,-i;1,-q,-46;1,f,3y;1,p,-1n;1,-11,27;1,2a,-3o;1,-1y,3u;1,1e,-23;1,-2,1;1,4,j;1,2,o;1,-3k,-c;3,2i,16;1,-3,-b;5,18,-11;1,-1u,i;1,-f,t;2,-m,2;1,-k,-g;1,2e,-c;1,-2d,-1;1,t,-13;1,-13,6;1,2f,m;2,-a,-p;1,-a,1c;3,1k,-v;1,9,9;1,-j,-20;1,-1c,1j;1,-27,2;1,-1,-d;2,3i,j;1,-2p,b;1,2q,-13;2,-9,1a;2,c,j;1,-11,-i;1,-k,k;1i,-6w,-3a;2,a,3;3,-a,0;1,f,-7;1,5,o;1,-1,-h;1,0,-3;1,-17,m;1,-b,-17;1,12,19;1,-7,-m;1,-e,-g;1,q,g;2,-f,-5;1,-3,-3;1,-5,-6;1,c,4;1,i,-9;1,-m,18;1,9,-15;1,6,d;10,10,-1e;2,0,-9;7,-1,o;1,o,-1a;1,g,q;3,-1e,1u;2,3,-2d;1,6,-3;2,1i,0;1,-1e,23;1,b,-o;1,11,-6;1,-u,-b;1,1d,-13;1,-13,18;1,-l,-3;1,t,u;1,-h,-9;1,q,4;2,-w,i;1,c,-c;2,-11,-13;1,2h,-2u;1,-1x,2n;1,2,-19;1,y,2p;1,-13,-2k;1,-g,24;1,1f,-n;1,-9,8;1,-k,-h;1,2o,-1p;2,-1t,7;2,-1q,2d;1,18,-1f;1,-m,29;1,-i,-c;1,17,-c;1,4,-2b;1,-n,9;1,f,-b;1,-b,t;1,j,-8;3,5,-b;1,-18,14;1,3,-c;1,19,-2v;1,-b,3v;1,-2,-2q;1,-5,2o;2,-2,h;1,j,-40;1,-3,3j;1,-16,1n;1,-d,-15;1,b,t;1,d,-1u;1,g,-b;2,-f,-b;1,y,-2;2,-1a,2p;1,1o,-4c;1,-t,k;1,-c,-2;1,1w,q;1,-29,21;1,b,0;1,-8,-8;1,-g,-w;3,m,-1e;9,-2r,-67;8,-2,6;l,-o,-b;1,w,-j;1,9,-3;1,i,1f;1,-16,-1f;1,2,-3;1,17,8;1,-1l,b;1,1i,1;1,3,k;1,3,6;1,-a,-x;1,r,19;1,-16,-b;2,9,2;1,w,-3;1,-1j,-e;1,-a,-5;1,-2,-1;1,2j,s;1,-13,2;1,-1b,-n;1,c,-e;1,c,u;1,-a,-b;1,-o,-15;2,13,18;1,-o,-f;1,t,-p;1,0,7;1,-1a,3;3,t,f;2,-9,-b;1,d,1;1,13,15;1,-11,-q;1,-r,-h;1,v,i;1,-o,-d;1,11,8;1,-j,e;1,-1,-d;1,c,-8;2,4,g;2,j,r;2,-n,-m;1,-l,-f;1,z,u;1,6,-f;2,-19,-4;1,-j,-a;2,e,-d;a,-1b,7;14,0,-9;1,n,-5;1,-a,1;1,0,-3;2,-c,3;2,7,-j;1,g,9;1,-5,h;1,5,3;1,-d,-13;1,c,p;1,-o,d;1,3,-y;1,d,11;2,-m,1;1,1,1;2,k,-x;14,-15,-14;1d,l,3;1,h,8;1,-j,2;1,h,5;1,-8,-6;1,1,2;2,-o,-j;3,-c,-1;1,-2,3;1,h,0;13,-a,1r;1,-1,3;1,0,0;1,0,0;10,v,-z;1,-l,d;1,-h,-3;1,w,2;1,-b,7;1,-2,4;1,7,h;4,-q,-19;1,g,n;1,-i,-y;1,u,14;1,-u,g;1,r,-u;1,-8,-6;1,-2,p;1,-f,-d;1,z,3;1,-8,-g;1,-q,-1;1,f,n;1,-6,-k;12,4g,-10;1,-4,e;1,1,-a;1,4,-1;1,-5,b;1,0,0;1,0,0;1,7,-h;v,-1,8;1,a,m;1,j,i;1,-7,7;1,-1l,-11;1,1b,j;1,-v,-z;1,n,3;1,13,1e;1,-j,-i;1,-k,-r;1,10,10;1,-13,-q;1,-1,-4;1,-6,1;1,p,6;1,9,0;1,-1l,-n;1,23,z;1,-o,-15;1,m,t;1,3,-9;1,-1s,1;1,-1,a;1,1k,-y;1,-o,1g;1,-i,-e;1,-8,2;2,r,-j;1,-15,0;1,1u,1d;1,-2,4;1,-25,-1l;1,f,-4;1,1m,-7;2,d,1n;1,-1m,-q;1,16,-e;1,0,1;2,0,-6;1,-16,-8;1,1e,r;2,2,-3;1,-r,-x;1,-15,t;1,1x,-a;1,-12,j;1,-4,4;1,-11,-13;1,1m,1g;2,-9,-p;1,-i,-9;6,-4z,5c;17,0,0;1l,4b,-3u;1,6,-2;1,0,0;1,0,0;5,0,0;b,0,0;d,0,0;7,a,8;1,-h,1;6,l,i;1,-1,-g;1,-n,2;1,m,1;1,-a,-5;1,19,-a;1,-4,8;1,-1i,2;1,1b,-a;1,2,-8;1,-a,e;1,-j,i;2,-9,-14;1,t,f;1,-b,-c;1,-t,6;1,2,1;1,1e,5;1,-15,2;1,0,g;2,-i,-u;1,a,m;1,g,-q;1,d,7;1,-s,-e;1,-8,-3;1,-3,17;1,r,-z;1,3,7;1,-m,o;1,-4,-7;1,18,6;1,-b,8;1,-6,-g;j,-26,-15;1,0,0;s,-i,e;1,q,-1a;1,-5,8;1,h,c;1,e,-q;1,-x,i;1,-2,f;1,b,9;1,-j,6;1,-g,-e;1,1p,-a;1,-18,-9;1,-8,w;1,h,-13;1,9,j;1,c,3;1,-5,z;1,k,-c;1,-7,-9;2,-v,-y;1,6,19;2,x,-11;4,-1e,5;1,-4,w;1,a,-g;1,n,-x;1,-16,f;1,15,x;1,-5,-k;1,-j,-m;1,d,k;1,x,1;1,-b,k;1,-1q,-14;1,1s,c;1,-1,-l;2,-c,1h;1,-v,-l;1,-3,-l;1,-6,-3;1,-b,4;1,w,f;1,v,-g;15,1i,3b;1,v,-z;1,-16,s;1,16,-8;1,r,2;1,-1k,r;1,16,-13;1,-n,-b;1,4,1;1,-p,p;1,1g,-3;1,4,6;2,-12,e;1,m,-4;3,-u,-w;1,c,17;1,-l,-8;1,n,-q;1,1,1d;1,-8,-1k;1,-5,2;1,-4,-a;2,u,8;1,0,14;1,-1,-1l;1,-16,1h;1,c,-3;1,4,-7;1,2,-5;2,w,a;2,6,-o;2,0,-9;1,-13,1f;1,13,-1s;1,-c,x;1,-18,7;1,-5,-e;1,d,f;3,g,-a;1,3,a;1,p,-12;3,-o,18;1,l,-9;1,-16,-h;1,17,-m;1,-d,q;q,p,1b;1,1,m;1,-3,-7;1,-1l,-g;1,s,c;1,-m,-9;1,1g,-a;2m,-8w,-30;1,4,f;4,2,8;4,-h,-t;1,-1,-2;2,9,1;3,e,14;2,c,-26;1,-i,16;1,1,0;1,e,-k;1,-e,h;1,-o,l;1,15,-1l;1,-x,24;1,o,-m;1,7,-h;1,-e,w;1,5,e;1,-c,-q;1,h,-1s;1,-n,1g;1,-2,r;1,8,-f;1,h,-8;2,-y,5;2,x,-1x;1,-h,2k;1,0,0;1,2,-1;1,-3,9;2,1,-8;5,-b,-q;1,0,1;1,-1,-3;1,3,1;4,g,-m;1,e,-j;1,-9,v;1,c,5;1,-e,-d;1,-l,b;1,q,-5;1,-3,n;1,7,-x;1,-c,1j;1,-j,-k;1,y,-24;1,-d,-4;1,1,1u;1,c,y;1,-2,-3;1,-w,-8;1,h,1;1,f,r;1,-1,0;1,2,3;1,0,-12;1,4,-24;1,-5,23;1,-7,-c;1,8,k;1,-1,-2;1,-b,m;1,-c,-1g;2,1,0;1,f,t;1,-7,-n;1,c,-3;1,5,-b;1,-e,b;1,e,c;1,-b,-15;1,-4,1d;1,7,1;2,0,-16;3,-f,13;1,1,-4;1,-2,4;1,2,-4;1,-2,2;1,-2,1;1,1,-6;1,2,d;1,-8,-6;1,3,-5;1,-4,0;1,a,3;2,-5,2;1,2,0;2,3,-7;1,-4,e;1,1,-c;1,3,5;3,-3,-1;3,0,0;1,3,-3;1,0,0;1,0,0;2,0,0;1,-3,3;1,3,-3;1,-3,3;3,3,-3;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,0,0;1,0,0;1,-3,3;1,3,-3;1,-2,3;1,0,0;1,0,0;4,0,0;1,0,2;6,-1,-2;9,3,-3;4,0,0;3,-3,5;g,h,-1;r,-m,1b;4,e,i;1,-m,-x;1,a,-2;1,f,1g;1,-a,-9;1,2,-j;2,-a,-h;1,8,-2;1,2,19;2,5,1;1,3,-m;1,-3,t;1,d,-i;1,4,4;1,-5,5;1,-k,-i;1,-9,-x;1,-5,g;1,e,4;1,3,-b;3,-i,h;1,10,o;1,-n,-q;2,e,j;1,-2,-1;1,5,8;2,a,-4;1,-i,3;1,-e,-i;1,g,-l;1,-j,d;1,r,m;1,-e,-u;1,1,0;8,h,15;1,-9,-v;1,1,-b;1,-k,b;1,q,f;1,-4,-9;12,-1l,-2;a,s,3;1,5,8;1,4,9;1,-z,-w;1,i,6;1,-c,a;1,f,-d;2,-a,o;1,-4,-4;1,-8,-6;9,4,-3;1,o,2;1,-3,9;2,-d,-h;1,o,q;1,-10,-9;2,-3,-n;2,c,y;1,9,-l;5,-2,9;5,-5,-k;1,-e,-c;1,6,10;1,u,e;1,-1,-b;1,-s,-k;1,-a,-e;1,16,18;1,-z,-a;1,0,7;1,k,-k;2,-b,-6;1,e,7;1,-2,j;1,-n,-u;1,-2,2;1,15,m;1,-14,-7;1,m,-e;1,-u,a;b,8,-2x;2,a,1;1,-7,-k;1,-9,19;3,9,-c;1,-2,1f;1,g,-1d;1,-1,1;1,-a,18;1,-b,-7;1,s,-3;1,0,m;1,4,-x;1,-n,m;1,-6,-1r;1,5,1f;1,d,u;2,-3,-16;1,0,s;1,b,-a;2,-n,b;b,-3,-u;1,e,k;1,-4,9;1,1,-2n;1,4,26;1,-d,e;1,-3,-i;1,p,-v;3,8,1b;3,-b,-y;1,1,-2;3,0,2;1,-2,8;1,3,h;1,1,-c;2,0,1;1,-y,-13;1,1,-2;6,y,i;1,-o,-x;1,i,26;1,-c,-2g;1,-6,1i;1,7,0;1,-2,-8;1,k,1a;1,-t,1;2,-1,-1s;1,e,-a;1,g,n;1,1,t;1,-6,-9;1,-c,-1j;1,-2,h;1,-9,-5;3,h,-c;1,1,3;1,d,z;2,-m,-w;1,7,11;1,-9,-b;1,0,0;1,2,5;2,-k,-o;1,a,1u;3,2,-1b;1,0,0;1,0,0;1,6,0;1,-6,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,1,0;1,-1,0;1,0,6;1,5,-7;1,-3,-3;1,-6,1;1,8,5;1,6,0;1,-b,-3;1,1,1;1,0,0;3,c,-7;1,-c,7;5,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,6,0;1,0,0;2,-7,1;1p,-d,-s;1,1,1;2,0,-1;1,-1,-2;1,4,1;1,-3,4;1,1,-1;2,1,1;1,6,-4;1,-1,-8;2,-3,g;1,-4,0;z,0,-6;n,-1,-1;q,0,0;2,13,f;1,0,1;1,0,-1;1,2,2;1,-3,3;1,-1,-3;2,1,-3;2,2,1;2,-7,7;4,a,0;4,-4,-7;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;n,0,0;1,g,-k;1,-8,4;1,-b,-f;1,u,3;1,-1,-4;1,-h,-b;1,i,o;1,-a,-m;1,-5,m;1,7,4;3,-m,9;1,g,-7;7,-k,d;6,9,-10;1,b,a;1,2,k;1,-c,2;2,8,a;1,-1,-5;1,-b,-q;1,2,-j;1,d,2;1,-2,1a;1,0,-8;3,d,-3;1,-4,5;1,-2,1;1,-c,-n;1,3,-4;1,-5,l;1,q,-l;2,-w,c;3,-h,-j;3,9,0;3,-16,-j;3,y,e;1,3,-2;1,5,-3;1,-8,5;1,-8,9;2,0,0;1,8,-9;3,-v,-4;4,9,m;1,2,3;3,-2,1;1,9,-k;1,-m,-k;1,1,-3;1,-3,4;4,1,-1;2,9,v;2,3,-h;2,-1,0;8,-2,5;1,1,3;1,i,5;1,-o,-8;1,3,1;1,0,3;1,1,-2;1,k,6;1,-k,-6;1,-2,0;1,m,6;a,-r,-l;5,r,l;1,0,1;1,-1,-f;1,-q,-8;1,o,8;1,-e,f;1,0,-1;2,8,-1;5,9,1;1,-h,1;1,0,6;6,d,-a;1,-7,-5;4,-f,-a;1,1,0;1,8,-3;1,-9,3;1,4,0;1,-2,2;1,2,0;3,-5,-4;1,1,2;1,0,0;1,0,0;1,0,0;6,0,0;1,0,0;1,0,3;3,4,-4;1,-5,1;1,1,0;1,4,-1;21,-1f,-21;1,9,g;1,d,-7;1,8,-b;1,3,-b;1,-6,d;1,-1,0;1,-q,5;1,r,0;1,-3,o;1,6,-f;1,-3,-2;1,2,-1;1,-4,3;1,3,-2;1,-k,-f;1,b,a;1,-1,-1;1,1,2;1,6,n;1,0,-v;1,-1,s;1,-i,-13;1,l,16;2,3,-e;1,-n,-l;1,f,b;1,-6,6;1,0,c;1,5,-a;1,-3,-2;1,-8,-e;1,k,-9;1,4,8;1,-s,4;3,f,-6;1,-6,5;1,-1,-3;1,9,8;1,3,2;1,-1,-4;1,7,-c;1,-1,-8;1,-a,15;3,-2,-l;1,2,-1;1,0,-1;2,7,-f;1,0,s;2,-1,2;1,2,-o;1,-o,-g;1,-1,9;1,5,c;1,-4,-a;1,-3,-4;1,-3,j;1,4,-3;1,1,-3;1,-3,-1;1,n,2;1,-i,-f;1,j,y;1,-2,-1;1,3,3;1,0,-1;1,0,4;1,1,-3;1,-l,-s;1,-9,b;1,j,-7;1,1,7;1,-h,-f;1,c,9;1,n,-2;1,-n,7;3,7,p;1,0,-1;1,-5,-p;2,-7,-7;1,2,5;1,1,-6;1,b,z;1,0,-5;1,-n,-m;1,h,k;1,0,0;2,0,0;2,1,-f;1,-1,5;1,1,-2;1,3,3;1,-4,1;1,1,-7;1,2,4;1,-4,-1;1,7,4;1,3,0;1,-9,-7;1,-2,2;2,0,2;1p,3,2;7,-1,0;2,6,-8;4,-5,8;1,5,-8;2,0,0;1,-5,8;1,0,0;1,-1,0;1,1,0;3,5,-8;1,-5,8;2,-7,-3;1,-1,-2;1,-1,-4;1,2,-1;1,3,4;1,-5,4;1,1,-2;1,1,-1;2m,5,h;1,1,-3;1,-1,0;1,-2,-1;1,3,2;1,2,2;1,-2,-3;1,-2,5;1,2,-1;1,0,-4;2c,0,0;4,0,0;2,u,-5;2,-2,-k;2,-1,-a;2,-9,v;3,2,0;6,j,-1b;1,-b,12;1,n,-s;1,-9,-a;1,-c,t;1,e,-7;1,1,-9;1,-i,10;1,-c,-b;4,x,-x;2,-d,z;2,-8,5;3,6,-u;1,-3,l;2,0,-t;1,5,-8;1,-d,u;2,5,1;2,-3,-1;2,9,g;4,-8,3;1,0,-1;1,-2,-1;4,d,-e;1,-a,-4;1,5,l;2,6,-17;1,d,-7;1,-4,7;1,-i,15;2,4,-g;5,-a,3;4,0,1;3,-3,-3;3,h,-a;1,-9,k;e,a,1;6,-j,-1;1,1,-2;1,-2,3;1,1,1;1,1,-2;1,4,1;1,-1,1;1,0,-3;1,-3,1;1,0,0;1,9,-d;1,-b,8;1,1,7;1,1,0;8,1,-3;2,0,2;9,8,-e;5,-7,b;5,7,-b;1,0,0;1l,-c,p;1,0,1;1,-2,1;1,-1,-5;1,0,9;1,0,-6;1,4,-1;1,-4,0;c,9,d;1,-3,-7;3,5,4;2,-3,-1;1,1,1;1,-1,-3;2,4,-4;1,-9,5;1,-1,3;8,b,-3;1,-3,-1;1,5,-5;1,-g,0;1,3,-4;1,h,4;1,-c,2;1,8,8;1,-1,-2;1,-5,-7;1,-a,3;2,a,-7;1,0,-1;3,8,4;1,-k,4;3,3,-2;1,7,-2;1,-2,-4;1,-1,-2;3,-1,9;4,3,4;5,9,-3;1,-2,-6;1,3,0;m,-h,0;2,-1d,-1;1,-3,1;1,-1,2;1,4,0;5,-d,4;1,-1,-q;1,2,p;1,1,-4;3,-7,3;1,m,-1;1,-l,1;1,n,-7;1,-p,2;1,3,6;1,o,-n;1,-e,6;1,-5,i;1,5,-7;2,-2,-r;1,-8,g;1,5,-a;2,h,a;1,-r,-3;1,p,m;1,-1,-i;1,5,4;1,-1,-7;2,-1,e;1,-8,-6;1,0,8;1,-4,5;6,2,-r;1,9,2;1,-2,c;2,-6,e;1,2,-u;1,5,p;1,-j,-4;1,-1,4;1,6,1;1,-5,1;1,b,-1;1,b,-9;2,-6,a;2,-m,-3;1,d,-t;1,1,v;1,6,-n;y,-5,0;2,1q,-u;1,-5,-3;1,1,0;3,-1,0;e,5,-n;1,4,6;1,j,7;1,-w,-11;2,e,8;1,k,m;1,d,0;1,-17,1;1,-3,-p;1,-c,h;1,2,-c;1,k,-c;1,-5,0;1,0,1m;2,-4,-m;1,s,2;1,-s,-q;1,c,c;1,-c,-1;2,9,y;1,0,-h;1,-2,-w;1,-a,z;1,e,-p;1,-8,q;1,k,-7;1,-d,8;1,-4,-5;1,w,-j;1,-z,j;1,-9,-d;2,r,-7;1,-d,m;1,-3,-6;3,h,-b;3,-q,-j;2,-2,8;1,d,15;3,-7,-6;1,-5,-o;1,n,h;3,-b,-6;1,c,-h;1,-j,m;1,p,-k;1,-n,11;1,9,-v;1,-a,-b;1,r,-2;1,-11,-7;3,f,14;5,o,-g;b,-18,13;1,1,0;i,-4,-k;1,-2,-8;1,2,l;2,4,-f;2,8,1;1,2,b;1,-9,6;2,6,-s;1,-9,3;1,8,q;1,-9,-8;1,3,-k;1,2,m;1,8,9;2,-g,-n;1,1,4;1,9,d;5,2,-i;1,-b,8;4,h,4;a,-4,-1;1,0,1;1,7,-a;1,-7,a;7,1,-9;4,-b,h;2,3,-8;1,-2,-h;1,-7,1;1,6,-9;1,-2,n;1,e,8;2,0,1;g,5,-h;2,-3n,-25;1,11,x;1,-5,5;1,-c,a;1,0,1q;1,-1,e;1,c,-2n;1,-n,2f;1,e,-22;1,s,2;1,-8,k;1,-j,-x;2,1,-v;1,g,26;1,b,-s;2,-z,-5;1,8,11;1,0,-1x;1,0,l;1,q,w;1,-12,-28;2,2,x;1,e,j;1,-2,-v;1,-b,g;1,d,5;1,5,-5;1,-2,3;1,-9,3;1,c,2;1,1,4;1,-3,-7;1,b,o;1,-z,6;1,-h,-20;1,m,m;2,z,1m;1,-3,3;1,-g,-u;2,2,-7;1,g,f;2,-6,7;1,-c,-n;1,-e,26;1,8,-2k;1,g,j;1,-7,8;1,7,1;1,-9,8;1,-7,-17;1,i,u;2,-9,-e;1,d,u;1,-k,-16;1,-8,0;1,e,3;1,9,1j;1,4,-14;1,-h,-j;1,-9,-j;1,n,22;1,-r,-26;1,-5,-7;1,8,13;1,-i,-s;1,1a,1i;1,-t,-u;1,v,m;1,-2,-6;1,-1,1;1,-f,-7;1,-t,-12;1,j,10;1,-1,a;2,a,-4;1,-1,2;1,-8,-x;1,a,f;1,-q,2b;1,r,-v;1,-e,-j;1,8,-t;1,1,m;1,-f,1s;1,k,-2c;1,-j,g;1,-2,a;1,a,-d;1,6,-f;1,-g,-h;1,m,n;2,6,-3;1,2,0;1,-1,1;1,-2,0;1,3,2;1,-6,2;1,2,-1;1,1,2;1,3,1;1,2,-1;2j,-1j,1l;1,-w,-o;1,v,11;1,-18,-1k;1,1e,1a;5,-x,-w;2,-k,-j;1,1l,10;1,-w,-m;1,y,l;2,4,-a;1,-17,-d;1,-9,-5;1,18,1b;1,-e,-f;2,-9,-8;1,x,l;1,-m,-b;1,-a,-3;4,-5,-c;1,p,p;1,-8,-5;2,-2,-a;6,c,6;1,4,6;1,-1f,-13;1,d,i;1,h,a;1,-m,-p;1,8,9;1,-d,0;1,f,a;2,9,-9;1,-r,-j;1,2,8;8,-5,2;a,s,4;w,b,-10;8,g,r;1,-k,-v;1,w,b;1,-d,-d;1,-x,p;1,7,-c;1,0,b;1,d,f;1,h,-x;1,-j,y;1,0,-14;1,-g,8;1,14,a;1,-l,-s;1,-j,x;2,u,5;1,-q,-5;1,w,-7;1,-t,6;1,e,u;2,-6,-x;8,8,g;1,7,-8;1,-2,c;1,e,-x;1,-8,d;1,-s,-e;1,s,v;1,-6,-m;1,-j,a;1,-5,-7;1,n,h;2,-1,-p;1,-2,-h;7,2,t;1,-1,4;1,2,-6;13,-c,1o;1,-4,-8;1,-1,-3;1,4,c;1,0,0;1,-1,-5;2n,29,-c;1,t,-7;2,-4,-4;1,-r,0;5,1,9;1,-a,5;1,p,5;2,-g,5;1,-2,-i;3,0,-h;2,f,s;5,c,-o;1,-n,t;1,-4,i;1,q,-v;2,-1,-w;3,-u,16;1,q,-s;1,-6,7;1,6,f;4,4,-7;1,-2,-2;1,0,0;1,-7,-5;1,7,6;6,-8,0;1,i,-i;2,-5,j;1,-s,-e;1,a,v;1,k,-1g;1,3,5;1,-3,p;1,2,-r;1,-d,9;1,-7,t;1,-h,1;13,l,-e;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-6,-5;1,0,2;1,-2,4;1,2,-4;7,2,-4;1,0,8;1,-7,5;5,b,-6;3,-1,-b;1,-5,9;9,3,-3;2,-3,2;1,0,0;3,0,0;1,6,3;1,0,0;1,0,0;1,-6,-3;2,6,3;g,0,0;o,-5,5;1,-1,7;4,6,-c;6,-j,1f;j,5,9;1,-n,-4;1,2,-5;1,b,9;1,5,-1;6,2,6;1,-r,-e;1,a,5;1,9,-i;1,-h,g;1,c,a;1,e,1;2,-9,0;1,-3,0;1,-7,-8;1,0,-3;1,f,b;8,5,2;1,-i,-4;1,-3,0;1,6,-8;1,2,-9;1,0,3;1,-l,3;1,i,-6;1,-i,5;1,g,5;16,1w,-22;1,7,-e;1,-i,2;1,c,-9;1,-7,1k;2,2,-9;1,e,-16;1,-9,e;1,-q,14;2,l,5;4,-g,5;1,9,1;1,-9,-2;2,f,6;1,-6,-w;1,0,-h;1,-8,v;1,-2,-1;1,a,-1c;1,j,b;1,-3,-4;1,-u,1i;1,t,-1b;1,-a,1l;1,-p,-b;1,k,d;1,d,-1h;1,-9,-c;1,-2,10;1,6,3;1,-7,m;3,1,-1;4,-6,-s;2,a,d;2,1,-1o;2,-e,1u;2,-6,-c;1,e,-i;1,2,s;1,-c,4;2,-3,a;1,r,-17;1,-l,18;2,6,3;1,-9,-e;1,b,b;2,h,-2c;2,-b,j;1,-3,2;1,0,u;1,0,-a;1,-e,w;1,3,7;1,4,-f;2,0,1;1,9,-k;3,-d,16;1,9,-q;2,-b,f;2,-6,-1;1,k,-18;1,b,-s;1,-h,w;1,a,5;1,0,-3;1,-8,j;9,-2,g;2,-3,-3;1,-4,-3;1,6,3;1,-1,2;1,-2,-1;1,1,-1;g,-1,0;b,1,0;1j,-4,-3;1,-2,6;s4,w,16;1,-3,1;1,1,0;1,-2,-2;1,0,0;1,0,0;1,0,0;1,0,0;1,2,3;1,1,0;1,0,-2;1,-1,0;1,-1,0;1,1,-1;1,-2,1;1,3,2;1,1,1;1,0,-2;1,2,0;1,-3,-1;1,3,4;1,-1,-1;1,2,-1;1,1,0;1,1,1;1,0,2;1,1,0;1,-3,0;1,1,1;1,3,0;1,0,-1;1,2,1;1,1,0;1,2,2;1,-7,-2;1,-4,-5;1,5,5;1,-a,-6;1,c,6;1,3,1;1,-g,-8;2,1,0;1,5,6;1,-5,-6;1,0,0;1,0,0;1,0,0;7,7,3;5,0,0;5,-1,2;4,1,-3;3,-3,0;3,-4,-2;4,0,1;1,0,-1;1,0,0;1,6,3;5,1,0;3,0,0;4,-7,-2;1,0,1;1,0,-1;2,4,1;1,-4,-1;2,7,2;1,0,0;1,-2,0;1,0,0;1,0,0;1,1,0;1,0,0;1,1,0;1,0,0;1,-3,0;1,1,0;1,0,0;1,2,0;1,0,0;1,3,2;1,-3,-2;1,0,0;1,-3,-1;1,3,1;1,-3,-1;1,0,0;1,0,0;1,0,0;1,3,1;1,0,0;1,0,0;2,0,3;1,0,-3;1,0,0;1,0,0;1,0,0;1,0,0;5,0,0;b,-2,0;1,2,0;1,-2,1;1,0,0;1,0,0;1,0,0;1,0,0;1,2,-1;1,0,0;1,-3,0;1,3,0;1,0,0;1,0,0;1,-1,3;1,1,-3;1,0,0;1,-3,0;1,0,0;1,0,1;1,0,-1;1,0,0;1,0,0;1,1,1;1,0,-1;1,-1,0;1,0,0;1,0,0;1,1,0;1,0,0;1,-1,0;1,3,0;5,-7,-2;1,7,2;b,-7,-2;1,0,0;2,4,0;1,2,bez;3,-6,-bf0;8,7,3;1,-7,-3;1,0,0;t,0,0;7,0,0;7,0,0;1,0,2;1,0,-2;1,0,0;1,0,0;1,7,3;4,-7,-3;3,7,3;1,0,0;1,-7,-3;1,0,0;1,7,3;1,-7,-3;1,7,3;1,0,0;1,0,0;1,0,0;1,-6,-2;1,-1,-1;1,0,-1;1,0,1;1,1,0;3,-1,0;1,0,0;6,0,2;9,-8,-a;1,0,-5;1,0,-2;1,-2,7;1,-1,1;1,-3,-4;1,-6,-c;1,4,9;1,-1,-6;1,9,9;1,-2,-6;1,-6,0;1,1,3;1,4,0;3t,m,n;1,2,0;1,1,1;1,-4,-1;1,1,1;1,1,0;1,2,1;1,1,1;1,-4,0;1,2,1;1,1,4;1,-1,-2;1,4,-5;1,-3,c;1,-2,-3;1,6,-3;1,-2,-2;1,0,-3;1,0,5;1,3,-1;1,0,-5;1,-7,4;1,-1,1;1,-1,-2;1,6,5;o,-3,-4;2,19,b;1,-s,-8;1,2,-3;1,b,h;1,k,-5;1,-f,b;1,4,-5;2,i,9;1,-r,-n;1,c,-b;1,i,q;2,-r,-9;2,r,-g;1,-e,7;1,-3,q;1,8,-6;1,-d,-n;1,1,-4;1,-m,6;1,5,6;1,u,-b;2,-6,r;1,1,-a;1,-y,3;2,5,-9;2,9,1;1,-7,-6;2,u,7;1,-7,b;1,7,-k;1,-14,c;2,13,4;1,4,-3;1,0,-1;1,-16,3;2,h,0;1,8,-6;1,b,-6;1,-6,-9;1,-4,l;1,-u,-b;1,0,0;1,1,1;1,-1,1;4,-1,0;1,0,0;2,18,n;2,-h,-q;4,c,-7;1,-1,3;3,-e,b;1,-1,-1;1,0,0;1,-b,b;3,i,b;1,-g,-f;1,t,6;1,4,-j;1,-14,g;3,2,-b;4,y,6;1,0,-9;1,0,d;1,-7,g;1,-h,-u;3,3,7;1,-3,-1;1,g,-i;1,5,10;1,0,-j;3,-r,2;1,0,1;1,2,-2;1,1,4;1,-5,-2;1,1,-2;1,2,-3;3,8,8;2j,-h,-e;1,-2,-3;1,2,1;1,-3,3;1,0,-3;1,7,3;1,-3,4;1,-2,-2;1,2,3;1,1,-3;2j,-5,5;1,-1,1;1,-1,-3;1,5,2;1,-5,1;2o,m,-y;9,f,-3;1,-b,9;1,9,-p;1,-j,z;1,z,-o;1,d,-g;1,-a,b;1,-b,d;1,3,-f;1,g,-c;1,-11,19;1,i,-15;1,0,10;1,-d,-1;1,j,-x;1,-i,3;1,9,i;1,-a,f;1,g,0;2,-1,-f;1,-n,-5;1,10,-u;1,-b,-4;7,8,4;1,4,d;2,-5,-8;6,-b,n;1,0,0;2,-l,c;1,s,-1;1,-u,7;2,5,1;2,l,-18;1,-d,3;1,-e,1c;2,-5,-3;1,18,-1l;1,-1b,1p;1,5,-a;3,-2,a;1,p,-1l;1,-a,19;3,j,-18;1,-m,s;1,9,2;1,-m,q;1,9,-d;2,6,-r;1,5,w;1,9,-t;1,-l,j;1,-8,f;1,i,-7;1,11,-u;1,-w,x;1,-7,-n;1,b,-y;1,-i,1q;1,f,-16;2,f,k;1,-l,i;1,-b,0;2,t,1;1,0,1;1,-7,-1n;3,-1o,2c;1,0,1;1,-2,0;1,5,-1;1,1,-1;5,-6,4;a,7,-4;1,2,-1;1,-4,d;1,5,-d;1,2,-1;1,-2,2;1,-5,c;1,5,-d;3,-1,4;a,-6,1;1,0,0;1,3,-1;1,-3,1;1,0,0;6,b,-2;1,-9,a;1,0,0;1,0,0;1,0,0;1,0,0;15,-d,-f;3,b,7;2,1,-p;1,3,0;1,-1,2;1,-2,-1;1,4,1;1,-2,-2;3,-1,-3;b,-1,1;29,-5,-4;1,-4,5;1,0,1;1,-3,-6;1,7,2;1,1,3;1,-3,5;1,1,2;1,-5,-g;1,0,8;1,8,-1;1,-5,5;1,1,-3;1,-7,-6;1,7,2;1,1,3;1,0,-3;1,-4,0;1,-1,-2;1,1,-1;1,5,8;1,4,-2;1,-d,-2;1,-2,-2;1,8,4;1,-1,-1;2,-3,-5;1,-2,6;1,2,-1;1,6,-4;1,-3,0;1,3,8;1,-6,0;1,-4,-3;1,6,5;1,6,-2;1,-2,-4;1,-3,8;1,4,-a;1,-4,4;1,0,0;1,0,0;1,3,-5;1,-3,5;2,0,0;1,4,-5;1,-4,5;2,0,0;1,0,0;2,4,-5;1,0,1;1,-4,4;2n,d,b;1,-d,-4;2,c,5;1,-2,0;1,4,-2;1,0,3;1,-3,1;1,3,2;1,-1,0;1,-2,1;1,0,4;1,1,-2;1,-3,-1;1,0,-4;1,-1,1;1,0,-3;1,2,-4;1,1,-1;1,0,-2;1,1,2;1,-2,-1;1,-1,0;1,-1,2;1,-1,1;2,2,-6;1,-2,1;1,0,2;1,2,0;1,-9,1;4,5,-3;1,0,-1;4,7,7;f,-c,-3;6,4,d;1,1,-2;1,-4,0;1,0,-8;1,5,1;1,-3,-2;1,0,1;1,2,1;1,-1,1;1,-2,0;1,2,-4;1,-3,c;1,5,-3;1,-6,-a;1,0,0;1,8,f;1,0,-3;1,-1,1;1,-1,0;1,-6,-4;1,4,-7;1,2,6;1,-1,0;1,-2,1;1,2,-3;1,-2,1;3,4,1;c,-7,-8;1c,0,0;2,a,n;6,2,-1;2,-i,-8;1,6,c;4,a,0;2,-d,-c;2,2,6;2,1,8;a,7,-6;1,1,2;4,-1,-1;1,-5,-6;6,k,7;3,-4,2;2,0,-3;1,-2,1;1,-9,3;1,-2,-2;1,1,0;1,-2,-3;1,1,6;1,1,3;1,-1,-3;1,5,-1;1,-b,-a;1,-4,4;1,1,-7;1,r,e;1,-t,-7;2,7,-1;2,1,0;1,0,c;2,c,-4;1,-k,1;1,7,-6;1,0,0;1,-2,0;3,4,5;1,c,-6;1,-2,1;2,7,0;1,-i,-7;1,-2,0;1,1,0;8,a,e;2,-1,0;2,0,-1;1,0,0;1,1,-6;1,-1,6;1,-c,-d;1,a,8;2j,-c,-d;1,-1,0;1,-1,-3;1,2,-3;1,-3,-2;1,7,-3;2,-9,-4;4,c,1d;1,2,9;1,3,1;1,-2,-3;1,3,u;1,-3,-j;1,1,-b;1,-4,-6;1,n,-f;1,-o,2;3,a,1n;1,-3,-1i;1,1,19;1,2,-8;1,1,-d;1,-5,-1;1,5,11;1,9,-j;1,2,-u;1,-a,i;2,7,-o;1,-2,g;1,-g,-c;1,l,13;2,-d,-w;1,-3,f;1,d,-d;1,-1,-m;1,9,16;2,-l,-w;1,0,-1;1,0,-1;1,b,15;1,-b,-c;1,d,-k;1,-6,t;1,1,3;1,6,-11;3,-6,5;1,-2,-4;2,2,n;1,2,-k;1,-a,f;1,2,4;1,4,-z;1,a,t;1,-3,c;1,-d,-14;1,-4,f;1,-2,-9;2,c,4;2,-b,-2;1,e,19;1,c,0;1,-5,-1k;1,4,1i;1,-8,-e;1,6,-i;1,-h,k;1,-a,-3;1,n,-11;1,-b,1i;1,7,-1f;1,-a,6;1,6,2;1,c,11;1,4,-1;1,0,c;1,-e,-j;1,7,-3;2,-d,7;1,-7,-14;1,j,19;2,8,f;1,-a,-w;1,-3,1;1,e,n;1,-5,-g;1,-a,-11;1,e,1v;1,-q,-1w;1,o,11;1,-m,-g;1,2,k;1,9,-11;1,-7,9;3,1,-e;1,1,-1;1,1,5;1,-1,2;b,-2,-e;4,2,7;y,2,-1;1,-3,2;1,0,0;1a,h,2f;t,6,1j;1,-5,-1h;1,-1,w;1,0,-17;1,-d,-6;1,l,w;2,-2,u;2,e,-g;1,-w,-15;1,2,2;1,1,f;2,q,l;2,-n,-f;1,8,-6;1,2,3;1,-d,-p;1,-3,-6;1,-4,1;1,m,v;1,-b,-15;1,h,2t;1,-o,-2g;1,i,y;1,f,j;1,-a,-i;1,-m,-d;1,-1,-b;1,9,-i;1,3,1q;1,5,-4;1,8,-3;1,2,-2;2,-s,-1f;1,a,1a;1,-2,2;1,6,-j;1,c,f;1,-o,-s;1,5,-h;2,7,1s;1,-2,-b;1,-a,-w;1,1,2;2,1,-r;r,4i,-2t;1,14,3;1,-f,-c;1,n,-h;5,-1v,11;1,1u,-1e;1,-1p,2f;1,w,-a;1,s,-v;1,9,1;2,-w,1c;1,-8,-26;1,-b,1s;1,1l,-1u;2,-e,r;1,3,19;1,-1j,3;2,z,-2w;1,17,-6;1,-1t,29;2,k,-1s;1,-l,-x;1,-i,31;3,u,m;1,-7,-1n;1,-l,b;1,v,-1s;2,-k,1x;1,1,-c;1,t,l;3,-1a,-4;1,3,-7;1,16,z;1,-2,-20;1,-d,z;1,-1,-d;1,g,-b;1,l,21;1,-1r,-1k;1,r,-f;1,-j,1l;1,h,-j;1,-6,i;1,2,-d;1,7,-2w;1,m,2g;1,-8,-1e;1,-l,11;1,14,-1c;1,-2,b;1,4,4;1,-13,-j;1,v,8;1,-o,d;1,10,k;1,-20,12;1,b,-23;1,j,1o;1,1a,-1i;4,-t,2h;1,-10,-1l;1,t,c;1,0,-7;1,r,-j;1,-1i,z;2,18,1d;1,2,-4;2,-j,-2s;1,-k,-p;1,12,33;1,d,-2f;b,-1r,1t;1,s,-14;1,2t,-y;2,-2k,1y;5,-s,i;1,7,-3o;1,1o,1u;1,-m,1g;2,-1b,-15;1,13,1g;1,-s,-20;1,-3,20;1,-9,-i;1,4,15;3,p,-12;2,-t,9;1,5,-24;1,-2,28;1,1a,s;1,y,-2g;2,-2b,1w;1,15,-1l;1,-a,26;1,1y,-3b;1,-24,2p;1,4,-1r;2,-p,11;1,g,a;3,-d,-17;1,y,s;1,-l,-1y;1,n,1g;1,5,q;2,-s,t;1,r,-c;1,-w,-3b;1,-b,2y;1,i,-1j;1,-b,1d;1,a,-6;1,b,-1d;1,-n,1f;3,2p,-1g;1,-3b,2f;1,1i,-2n;1,-17,-g;1,d,3g;1,4,-5;1,15,-o;2,-1z,-7;1,7,-3;1,-2,3;1,k,-2a;1,-f,1n;1,1l,-x;3,-n,1q;1,1,0;1,4,1;1,-3,-3;1,-w,2;1,1a,d;1,-p,-14;1,2,-1l;1,f,29;1,-8,-1;1,1v,-1m;2,-2s,1a;1,c,-l;1,3,-16;1,-6,2r;1,f,-e;1,-4,-34;1,9,31;3,-4,-c;1,-1,0;1,6,-a;1,-2,c;1,4,-8;1,-5,5;1,-2,1;1,1,-4;1,-2,1;1,2,3;1,5,-1;1,1,-4;2,-7,5;6,0,0;2,4,-7;1,-4,7;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,1;1,0,-1;1,0,0;1,0,0;1,0,0;2,0,0;3,0,0;1,0,0;1,0,0;3,0,0;1,0,0;r,0,0;d,g,-i;1,7,-5;1,-a,5;1,0,3;1,4,-3;1,-3,-4;1,1,4;1,2,2;1,-1,5;g,2,-j;k,-2,c;1k,-2c,-d;1,-4,7;2,-c,-o;1,1g,f;1,-j,-1c;1,g,o;2,-q,h;1,3,-t;1,-j,15;1,c,-n;1,v,q;1,-8,b;2,-d,-11;1,-j,s;1,19,-h;1,-1f,6;1,-i,-s;1,1m,-g;1,f,10;1,-1,7;1,-e,-3;3,-9,2;1,-18,-t;1,b,18;1,z,-1m;1,k,1d;1,-y,b;1,-3,-k;1,z,-y;1,-1r,-3;1,1b,16;2,1,-1e;1,8,12;1,-1b,9;1,w,-10;1,9,p;1,-u,h;1,y,-l;2,-1c,-2;2,s,9;1,-8,m;1,e,-p;1,h,t;1,-6,-16;1,-e,17;1,k,-n;1,-b,-19;1,-f,1q;1,0,-p;1,-s,-d;1,19,-u;1,k,1h;1,-1h,-c;2,t,p;1,-9,-u;1,5,-g;1,-o,1e;2,15,-15;1,g,f;1,-g,g;1,-1a,5;1,0,-4;1,17,2;1,3,-1f;1,-s,1j;2,5,3;3,7,-14;1,-g,h;1,t,p;1,-1p,-1a;1,k,p;1,y,4;1,-11,7;1,4,7;2,-b,-10;1,10,16;1,-c,-h;1,k,-q;1,-14,12;1,h,-v;1,b,5;1,o,-2;2,-t,f;3,-j,1k;1,p,-9;1,-5,6;1,-3,-x;2,-d,m;1,c,-n;1,-1d,-4;2,g,k;1,-c,-k;1,0,-1;1,1w,o;1,-10,-4;1,-k,-t;1,18,1f;1,3,4;1,-20,-1h;2,1,3;1,23,z;1,-18,7;1,z,-j;1,-1j,-c;1,c,-r;1,1a,v;1,-1o,-7;1,k,-6;1,1b,18;1,2,-e;1,-1w,3;2,3,-d;1,1x,3;3,-1v,-i;1,l,3;2,-d,h;1,1c,-2;1,-1h,-n;1,-c,-n;1,25,1j;1,-1c,-2;1,h,g;1,-u,-19;1,0,-c;1,-c,-f;1,1,k;1,-4,4;1,0,0;1,-3,-5;2,3,5;6,p,-a;2,-q,1h;1,8,-1;1,1w,-6;1,-1r,-1w;1,11,1v;1,-z,-16;1,b,r;1,-d,d;1,13,-h;1,-8,-4;2,-1,-6;1,-1a,-m;2,-1,5;1,10,w;2,4,-a;1,4,l;1,-y,-4;1,1f,-h;1,-1o,-g;1,q,y;1,-g,-1a;2,7,-k;1,-1,o;1,-2,p;2,i,y;1,v,-3;1,-18,2;7,5,-z;1,6,h;1,-7,-c;1,7,c;2p,-b,-2o;i,-g,-m;1,i,3;1,-b,1a;1,3,5;1,i,-1w;1,7,b;1,d,16;1,-s,-18;1,-4,-1;2,-h,12;3,5,-u;1,k,s;1,0,-b;2,f,-u;1,-13,n;1,g,m;2,n,7;1,-4,-1i;1,-d,w;1,-i,-c;2,n,-i;1,-y,14;1,w,-4;1,4,-p;1,-9,8;1,4,-c;1,-5,t;1,0,-w;2,c,o;4,8,-8;1,-a,h;1,8,-17;2,-i,t;1,1,q;1,-a,-1b;1,q,14;1,-4,-11;1,3,-3;1,1,r;1,-k,u;1,-k,-14;1,-7,h;4,n,8;1,z,-y;1,-13,l;1,9,-a;1,4,i;1,-q,-8;1,i,r;2,b,-12;1,-6,k;1,-h,7;1,f,-v;1,f,4;1,-3,o;1,-5,1;1,-d,8;1,l,-13;1,-s,-4;9,4z,3l;2,-3,1;1,5,-5;4,13,-a;1,-1c,w;1,o,-16;1,d,-e;1,p,-16;2,-s,25;1,c,-5;1,-1t,y;1,1o,-17;2,-1,12;1,-h,-l;1,-1,o;1,-m,-18;1,-6,15;1,y,-r;3,-9,m;1,-g,-a;3,-9,-d;1,k,15;1,-o,-1i;1,-5,y;1,n,-z;1,17,w;1,-n,s;1,-h,-f;1,-4,-h;2,x,6;1,c,-25;1,-h,10;1,-b,t;1,-6,-7;1,-a,-c;1,1r,-1t;1,-2d,2n;1,z,m;1,-z,-20;1,1w,4;1,h,-f;1,-p,e;1,-p,1t;1,1i,-11;1,-r,-12;1,6,g;1,b,t;1,-20,-o;1,1k,6;1,3,15;1,-a,-1d;1,-1n,-2;1,1u,-13;1,-1j,2q;1,-b,-15;4,25,-3;1,-23,h;1,27,-d;1,-25,15;1,1n,-j;4,-s,-18;1,1j,-m;4,-c,21;1,-24,-f;1,15,-k;1,d,-f;1,-8,1j;e,36,-8;2,0,2;7,j,-j;1,-11,g;1,-6,-l;1,-5,-13;1,1j,-1f;1,-9,1k;1,-3,-1d;1,9,z;1,-n,1e;1,t,m;1,-7,-1q;1,-2,1q;1,-1o,-3f;1,1t,22;1,-1a,10;2,1a,-23;1,-1z,-1h;1,-s,3v;1,25,-p;1,0,-2b;2,-1e,2n;1,1v,-o;1,-5,-3;1,8,8;1,-1s,16;1,1x,-34;2,-1i,v;2,-6,1a;1,-b,-7;1,-6,2;1,u,u;1,-g,-25;1,-6,q;3,1b,-1w;1,-18,33;2,16,-11;1,c,-11;2,-5,w;1,-1z,19;1,24,-2w;1,b,2q;1,0,-9;1,-2k,g;1,2,0;1,1r,-7;2,-1h,-3;1,1i,-2z;1,f,q;1,-7,-p;2,-5,1i;1,-s,-e;2,e,22;1,-10,-2v;1,-i,31;1,1c,6;1,-6,-24;1,-j,9;1,y,r;1,11,18;1,-x,-37;1,4,25;2,-12,-12;2,v,1l;1,-14,-2l;1,b,1z;2,c,-s;3,y,1j;1,-1n,4;2,1o,-26;1,-19,2d;1,2,-18;1,-u,v;m,-3i,-72;1,b,-1d;1,0,-1;2,0,0;2,-i,-b;1,15,10;1,b,12;1,-4,-k;1,-7,h;1,-c,-v;1,5,1g;1,9,-28;1,-r,-e;1,3,2e;1,11,-y;1,-p,u;2,b,-m;1,-1r,k;1,1r,-r;1,7,w;1,-k,b;1,n,-q;1,-1v,-j;6,s,s;1,-d,5;1,-q,-17;1,1v,1q;2,-1c,-18;1,13,5;3,-4,-12;1,-h,1x;1,-11,-1r;1,10,14;1,1m,-m;1,-1p,-1o;1,l,27;2,-1h,-z;1,2a,-4;2,-1t,-e;1,9,28;1,-h,-1q;1,20,-j;2,4,14;1,-1w,-4;1,v,b;2,9,-12;1,-15,-g;1,18,1v;1,1i,-a;1,-23,-6;3,-i,-5;1,14,-3;1,-9,-1;1,d,-2;2,-1d,-k;1,2c,3;8,-2j,v;1,-4,-l;1,25,h;1,-x,f;3,1b,-i;1,-1c,-i;2,-8,5;1,11,-z;1,-i,n;1,8,-e;1,t,u;1,-6,-o;1,-w,1b;1,-7,-1x;1,-r,u;1,n,-4;1,-1,t;1,1g,-g;1,-1s,19;1,14,8;1,-1o,-4;2,28,-1s;5,-2,10;1,-g,-e;2,-t,1k;1,s,-1r;1,-1t,1a;1,1k,-1o;1,-q,17;1,-g,-1p;1,u,-1;1,-o,17;1,24,8;1,-x,-1m;1,z,1z;1,7,-d;1,-1k,-1r;1,-w,h;1,e,-k;4,2,12;1,6,-5;1,e,-v;1,-1b,2s;1,1v,-2i;1,-d,2m;1,-1d,-t;1,a,-c;1,2,-1h;2,10,2o;1,-b,0;1,1,-1m;1,-j,-1n;1,f,y;1,o,1a;y,-o,-7;1,-1,0;1,2,1;1,-2,-4;1,-3,3;1,6,4;1,-5,-6;1,5,2;1,1,-9;1,-4,b;1,6,1;1,2,-1;2,-8,6;1,-7,-g;2,5,3;1,0,0;1,2,-3;1,8,a;1,-7,-2;3,-1,5;1,-2,-a;a,4,5;9,-2,1;6,-2,-6;1,0,0;1,3,4;9,0,1;t,2,-2;b,z,2o;1,8,-24;1,-g,1g;1,-c,t;1,1v,-r;3,-1u,-q;1,p,z;1,-1n,-n;2,28,s;1,-29,2;1,-7,-5;1,-6,f;1,1n,-1m;1,-1b,37;1,4,-1u;1,b,-1;1,-o,1h;1,v,-1s;1,-b,d;1,8,-d;1,o,12;1,q,-1a;1,-2e,1i;1,3d,-17;1,-2l,-9;1,c,1w;2,20,-d;1,-32,-1v;1,b,22;1,2,-29;1,-f,13;2,3,p;1,22,-j;1,-1h,1i;1,a,-1b;1,0,-t;1,-15,l;1,32,-i;2,-4,4;1,-2f,-l;2,-c,1c;2,x,7;2,s,-d;1,8,12;1,-e,-1f;1,-17,-j;2,j,13;3,22,r;1,-2c,-h;1,7,-1l;1,x,1;1,-1e,q;1,o,13;2,22,-1k;1,-g,6;x,-10,-x;1,-11,i;1,q,n;1,1m,-j;2,-1o,1j;1,-f,-7;1,-8,-1u;1,8,6;1,-5,2q;1,-w,-22;2,19,6;2,-1c,9;1,1n,l;1,-8,-u;1,-p,-9;2,2h,1d;1,-1t,-24;3,6,v;1,-j,-e;1,1o,-1g;2,-1s,3z;3,t,-1e;2,11,-q;2,-r,i;1,1e,1d;1,-o,-38;1,-n,1u;1,-1e,j;1,12,-1c;1,1,4;1,-2,-5;7,3,-2;1,-1h,1w;2,v,f;2,e,-d;1,-o,-1l;1,9,9;1,-n,l;2,-2,1a;1,-7,-2h;1,12,-c;3,-12,-1;1,m,9;3,-7,1u;1,12,-17;1,-4,1p;1,g,-2k;1,10,1o;1,-6,-15;2,-22,1m;1,j,-21;1,-5,4;1,b,-5;1,-a,u;1,-c,-b;2,-n,k;1,1z,-1s;1,-1k,g;1,-6,z;1,1i,-1;2,-1t,1j;1,26,-22;1,-10,6;1,-m,r;1,o,-d;1,t,-1n;1,b,24;1,-15,-e;6,-2,5;1,2,0;1,-1,0;1,0,0;1,0,0;2m,0,0;2,2f,-1w;1,7,g;1,-d,-f;2,-a,-f;1,5,5;1,1c,8;1,-a,w;3,-1a,-1h;1,m,x;1,2d,2x;1,-u,-2k;1,-1i,-v;1,2,d;1,1k,1x;1,-1b,-38;1,-e,20;1,-a,e;1,2r,13;1,-27,-2x;1,10,10;1,-u,-u;1,10,35;1,-1q,-23;1,5,9;1,b,-9;2,19,13;1,-1n,-t;1,o,-1c;1,10,1m;1,-1d,-1m;1,u,29;1,-1l,-2f;1,y,t;1,-6,8;1,n,1p;1,7,-2g;1,-4,2;1,5,1h;1,-u,-p;2,s,r;1,e,-m;1,g,1y;1,-19,-10;1,24,1q;1,-2z,-49;1,2,6;1,1l,2q;2,f,-m;1,13,24;1,-26,-3m;1,-h,-8;1,1x,25;1,-2o,-1s;1,2t,25;1,-2x,-2m;1,3d,3c;2,-z,-25;1,-1g,f;1,g,1k;1,1q,-2;1,-9,-4;1,-6,-1c;1,-1e,15;1,a,-1j;1,u,2b;1,-17,-2k;1,-17,-y;1,1j,k;1,12,2g;1,-f,-m;1,w,l;1,-1f,-2b;1,r,1d;1,-f,-6;1,-1m,-1d;1,33,36;1,-1n,-11;1,-18,-2s;2,1k,3g;3,-y,-h;1,5,-25;1,8,-n;1,-n,-o;1,28,2z;1,-20,t;1,1l,1;1,5,9;2,-9,-h;v,-6r,-1k;1,-8,23;1,-a,-3s;1,p,1u;1,-o,-2j;2,o,l;1,-n,9;1,1d,-2;1,-m,3n;1,-8,4;3,-6,-4c;1,5,16;1,-9,4;1,b,2;1,n,2f;1,-1a,-2b;1,-3,2;1,19,2n;1,-2,-6;1,-g,-l;1,0,j;1,-m,-1f;1,0,15;1,-7,-a;1,15,m;1,h,-2a;2,-17,-y;1,-5,1;1,1,3;1,-1,-3;b,-d,2h;1,11,1;1,d,-i;1,-l,-1t;1,8,p;2,9,p;2,-p,1c;1,-j,-q;1,18,-2p;2,2,4a;1,-r,-2o;1,i,2p;2,-n,-3l;4,r,-5;1,-x,m;1,1b,1v;1,-k,-2i;4,h,r;1,-q,-t;1,k,1;1,-o,1v;2,g,15;1,o,-1;1,-6,-r;1,-e,-g;1,k,r;1,-12,-2v;1,-k,-j;1,d,28;1,18,2;1,-6,0;5,-8,1c;5,-5,-g;1,-s,-18;1,-2,-1o;3,x,1w;2,j,-5;1,-17,-e;1,x,27;1,-e,-3e;2,-10,35;1,s,-x;1,-7,a;1,-k,-33;1,10,1m;1,-2,31;1,f,-1u;1,8,-o;1,-1j,-20;1,u,3l;1,-g,-m;1,1,-19;1,c,13;1,-p,-1v;1,1,-4;5,9,2i;3,j,-a;1,8,t;1,5,-i;1,-g,-29;1,b,5;1,-f,-1d;1,-m,23;10,7,-p;1,-4,0;1,-3,-1;1,4,3;1,0,-6;2o,2i,-76;3,-c,-2;1,2,r;1,-s,-27;2,1v,15;1,-23,n;1,l,-1c;1,8,1p;1,1d,-q;1,-q,e;7,-8,l;1,0,1;3,-16,-8;1,5,-1c;1,v,5;1,-11,-y;1,23,w;1,-2d,1a;1,9,-p;1,16,-c;1,6,-2;1,-12,-5;1,-g,-k;1,-1,4;1,1d,1a;1,-h,-6;1,e,-2;1,-c,u;1,6,-m;1,-1c,-1n;1,8,1e;1,16,-m;4,-l,-s;1,-l,-z;3,1j,1r;1,-r,a;2,f,1b;1,-11,-1c;1,18,u;1,-y,-1l;1,18,1z;1,-q,-1a;1,-14,r;1,g,-20;1,-e,-8;1,-2,-h;2,6,2q;1,d,h;1,1n,-13;1,-j,-i;1,-16,b;1,-d,-t;2,1j,-3;3,-t,c;5,-9,u;1,-7,-1g;1,9,1v;1,2,-5;2,4,-1d;1,i,r;5,-10,-q;1,1r,-a;2,-1,x;1,1,0;3,f,v;3,-2j,-d;1,16,-5;1,13,h;2,0,-9;2,-3,-1e;1,8,r;1,-d,-w;1,-19,p;1,-a,-d;1,b,-3;1,-2,1o;7,11,-1f;5,2,1m;1,r,-18;1,-1m,-4;2,-t,-p;1,9,2d;1,1v,-23;1,-9,2;1,-1t,1f;1,4,-f;1,-4,-20;1,5,8;2,-h,b;1,y,1e;1,a,-c;1,-t,-1;2,1a,1n;1,m,-2n;1,-1c,1p;5,s,-16;1,2,-3;f,-1l,-1i;1,u,32;1,-n,-1w;1,p,1b;1,-6,-f;1,-s,5;1,2f,-j;1,-26,y;1,21,-1i;r,-z,e;1,-1,0;1,0,1;1,-1,1;1,1,-2;1,-1,7;1,7,-9;1,-3,5;1,-1,-2;1,-5,5;1,5,0;1,-2,0;1,3,-7;1,2,5;1,-1,3;1,2,-5;1,2,-2;1,-g,7;1,-2,-2;1,5,1;1,d,7;1,-5,-d;1,5,4;1,-d,9;1,9,0;1,4,-4;1,-8,4;1,f,-3;3,-r,-b;2,0,0;7,0,0;1,h,f;j,-h,-f;1,0,0;2,0,0;1,c,2;1,-c,-2;2,0,0;2,0,0;1,0,0;2,0,0;1,-1,b;3,d,-a;4,0,0;l,l,-g;1,-1,-2;1,0,2;1,0,8;1,2,-8;2x,9,3a;1,4,-z;2,-2,3f;1,-w,-23;1,-e,1z;1,x,-2m;2,-1c,23;2,1o,-21;2,-e,-c;1,-b,l;1,-9,1l;1,9,-3;2,-w,-22;1,17,m;1,c,-n;1,4,d;2,-r,27;1,d,r;2,-11,-28;2,-f,-4;4,b,23;2,m,-1a;2,l,-7;4,d,z;1,-f,-u;2,f,-1t;1,-n,1q;1,-m,-x;2,7,29;5,-6,-e;1,-c,-1r;1,c,1y;1,1f,-2f;2,-1h,z;1,r,-3;1,o,-i;1,-14,x;1,x,-1p;1,-17,1j;1,i,-6;3,-3,8;1,13,-1h;1,0,-b;1,-24,2u;1,1v,-3b;1,-15,1o;1,-6,-j;1,l,-9;3,-8,12;1,-1,-v;1,-8,q;1,1,2;1,q,1t;d,0,-z;2,-b,b;1,i,4;1,-f,-v;1,-u,m;1,1r,-20;2,-1t,d;1,v,1;1,-z,1b;1,15,u;1,7,-1z;1,e,6;1,-6,2a;1,-1p,-2s;1,y,2j;1,u,-u;1,0,0;1,-1i,1g;1,11,-17;3,-f,-29;1,n,1l;1,-1c,14;2,-c,-1l;1,i,-12;2,o,2o;1,-c,-2d;1,n,13;2,-1f,-1m;1,1b,2l;1,p,2;1,-19,-22;2,-8,2w;1,13,-2;1,-e,-29;1,-o,17;1,-a,-1a;1,10,-7;1,-d,1v;1,9,-e;1,-t,-26;1,-2,-6;1,1j,2v;4,3,7;1,-1l,-2d;1,10,-n;1,-i,11;1,x,-b;1,-1f,m;1,f,1a;2,13,-p;1,-n,-5;4,f,d;1,-14,-2d;2,1n,-a;1,-25,1t;8,1u,d;5,-v,-9;1,d,-e;2,-10,2a;1,1k,-u;1,-1,z;1,-14,-3i;1,5,k;a,15,k;1,-d,7;1,0,0;1,1,1;1,0,-8;1,-2,9;1,0,-4;1,2,7;1,-2,1;1,0,-9;1,b,-3;1,-8,3;1,-2,3;1,5,-4;1,2,-1;1,-1,6;1,-b,4;1,3,-9;1,-1,4;1,5,1;1,3,4;1,-d,-7;1,4,-a;1,3,m;1,6,-j;1,-8,7;b,g,-5;1,0,0;3,0,0;1,-e,6;1,e,-6;1,-e,8;1,e,-8;1,-e,6;2,e,-6;1,-e,6;1,0,0;1,e,-6;1,0,0;b,-e,8;9,0,0;a,0,0;9,e,-8;2,0,0;7,-3c,-4c;1,1,0;4,-1,22;1,-2,18;1,-6,0;1,w,7;1,-m,-3y;1,l,3o;1,-h,-3j;2,e,35;1,-m,9;1,w,-3l;1,-3,3h;1,-1,-34;1,-2,15;1,-m,-13;1,-a,2u;1,k,-3d;1,a,z;1,-p,-1j;2,k,1t;1,-7,22;1,5,-36;1,g,1w;1,-n,-l;1,d,t;1,-7,-19;1,-b,-8;2,x,31;1,-x,-4j;1,m,3l;1,-t,-1x;1,e,2r;1,2,-2u;1,0,1i;1,-9,-1x;1,8,2h;1,m,l;1,6,7;2,-x,-2o;1,0,19;2,-5,-1w;1,k,w;1,5,-v;1,-t,1x;1,-3,16;1,m,-1o;1,-5,-1p;1,4,-8;1,-n,5;2,7,2u;6,s,-12;1,-u,-1v;2,x,2;1,-10,35;2,d,-1r;2,-7,29;1,g,-4c;2,e,42;1,-v,-m;1,8,-q;2,0,-2e;1,9,w;1,-h,z;1,o,-1a;1,-g,-3;1,-4,3b;1,k,-3r;1,-q,3b;d,4,33;1,f,-1g;1,1,1;1,6,0;1,3,2x;1,-j,-2y;1,q,a;1,e,m;1,-j,1;1,-1,g;2,-8,x;1,-5,-2w;1,-8,2y;1,n,-e;1,-j,z;1,j,11;1,6,-1a;1,-n,-1p;1,-2,8;1,5,f;1,m,-1n;1,-k,l;1,2,2h;1,-o,8;1,1a,-2g;1,-w,10;3,-4,9;1,0,0;5,14,-2g;1,-3,2l;1,-w,w;1,-5,-2o;1,t,18;1,7,w;1,9,-7;1,-q,-1z;2,-f,2b;1,10,-37;1,8,3h;3,-i,n;1,2,-1;1,-1,4;1,0,-1;1,6,-d;1,-12,-2h;1,o,e;1,e,17;1,-1c,-l;1,8,1o;1,1d,-t;1,-1h,e;2,12,-2;1,-j,-d;1,8,0;2,2,p;2,0,-i;1,-j,-z;1,-d,o;1,j,1;1,t,-17;1,0,d;2,-9,o;1,-10,-23;1,12,22;1,-f,-r;1,-d,-26;1,n,4j;1,g,-i;1,-v,5;1,n,-3w;1,-17,y;1,1b,2g;1,-c,-10;2,-j,1a;2,h,-x;1,-10,11;1,19,-1l;1,-18,x;1,8,-39;2,-6,d;1,2,13;3,3,1p;1,5,6;1,-3,-e;1,-5,9;1,2,-4;k,-1,4;24,-45,-9s;2,1,b;1,-q,-h;1,u,i;1,-1,w;1,2,-5;2,5,-15;1,7,-2;2,-1p,1j;2,19,7;1,3,-y;2,-t,-4;1,-7,w;1,d,-1k;1,-h,15;1,e,-19;1,-o,1c;2,17,8;1,-p,-9;1,j,-15;1,f,b;1,-n,l;2,f,o;1,-n,-13;1,t,w;1,-1a,-1;1,h,-3;1,3,8;2,-b,-5;1,-2,-7;4,17,-s;1,-b,-s;1,6,1j;1,-u,5;1,n,-y;1,-p,16;2,p,0;1,0,-1r;1,1,1m;1,a,-1k;1,-t,6;1,-2,-5;1,-5,t;1,q,-9;1,-k,-5;2,v,-n;1,-v,k;1,u,0;1,-1g,15;1,4,-4;1,g,-m;1,t,15;1,a,-1l;1,-1h,z;1,z,o;1,1,-5;2,-h,-16;1,-q,w;2,1m,-14;1,-d,17;1,2,0;1,2,-1m;1,-r,2;3,m,f;1,-j,3;1,-f,16;1,12,0;1,-n,7;1,q,-10;1,-1a,n;1,8,-5;1,-6,e;1,14,-u;1,-2,9;4,6,-b;1,0,0;5,-8,b;1,-p,-7;2,8,i;2,0,-n;2,a,-b;2,-d,z;2,3,1;4,e,-c;4,-f,5;2,-3,4;1,7,-f;3,3,-o;1,c,k;2,-t,6;2,6,e;1,0,0;1,0,0;1,0,0;1,0,0;1,c,-n;1,-9,s;2,e,-3;1,-c,6;2,-2,-y;1,i,-4;1,-2,12;1,-d,-4;1,2,6;1,6,-7;1,-a,3;1h,9,-f;1,3,-c;1,-8,9;1,3,-8;1,-3,-4;1,4,j;1,-7,-2;1,5,3;1,5,-7;1,-9,-1;1,2,-3;1,1,1;1,0,4;1,5,-5;1,1,a;1,-a,-e;1,3,d;1,-1,3;1,2,-9;1,-2,-7;1,1,i;1,2,-c;1,6,4;1,-5,1;1,5,-i;1,-b,a;1,-2,5;1,-1,-7;1,f,0;1,-9,2;1,7,-n;1,-5,w;1,1,-a;1,-9,1;1,9,k;1,-c,-g;1,l,-7;1,-2,h;1,-5,e;1,-5,-s;1,-a,-6;1,a,6;1,-6,-5;1,6,5;6,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,1,7;1,-1,-7;1,0,0;1,1,4;1,-1,-4;1,0,0;1,1,3;1,-1,-3;1,0,0;2,0,0;2,0,0;1,-6,c;1,6,-c;1,2,-g;1,-2,g;1,0,0;1,0,0;1,0,0;2,0,0;1,1,2;1,-1,-2;2,1,3;1,-1,-3;2,1,8;1,0,-1;1,-1,-7;5,3,1;6,-t,-p;9,-z,-k;1,n,t;1,m,-t;1,-k,18;1,5,1;1,-10,3;1,-4,-r;1,1j,8;3,-13,k;1,18,-m;1,-z,e;1,f,-10;1,-2,y;1,-f,a;2,-j,-1;2,q,-s;1,h,k;1,-8,4;1,f,4;1,-q,-2;1,-j,3;2,19,-2;1,-z,-15;1,-b,1a;1,1e,-l;1,-1,-f;1,-18,-4;1,13,c;2,-v,h;1,a,-6;1,-9,3;1,s,-f;1,-n,o;1,-m,-3;1,1g,-i;1,-15,r;1,-d,-1g;1,l,e;4,-2,w;1,c,0;1,-i,-t;1,l,l;1,o,-j;1,-1n,5;1,1f,1;1,-v,-9;1,m,-9;1,0,15;1,c,-9;1,-r,7;2,-c,-j;6,m,-w;1,-c,6;1,t,h;1,-4,-f;1,-y,-4;l,-1,21;9,1,-j;1,-f,1l;1,z,-1e;1,-b,-1;2,-1,1;1,-c,e;1,g,-h;2,4,-2;1,-a,3;1,-b,r;1,d,-l;1,c,-7;1,-t,1g;1,m,-k;2,4,-15;1,-1,v;1,-5,-s;1,3,s;1,-7,2;1,f,-m;1,-e,-b;1,a,9;1,-e,3;1,-c,9;1,-1,i;1,t,-q;1,-10,2;1,0,p;2,r,-r;1,-8,-4;1,8,-3;1,-e,p;1,f,r;1,-7,-1j;1,i,k;1,-h,-5;1,4,-j;1,-p,c;3,b,-1;1,e,n;1,-7,-1;2,-4,-m;1,-d,15;1,5,-19;1,3,1;1,l,1f;1,-h,-18;1,9,11;1,-4,-j;1,f,-o;1,-t,-2;1,d,7;1,c,16;1,-j,-a;2,7,-k;1,e,-6;1,-w,-c;1,m,2;1,-9,-4;1,l,5;1,-t,6;1,11,7;1,-g,-3;2,7,0;1,1,-8;1,-j,6;1,-7,1a;1,k,-11;2,-4,-7;1,-2,7;1,b,r;2,5,-x;9,-a,1w;1,3,-i;8,-9,m;a,f,-3;1,8,19;1,-k,9;8,-7,-17;1,r,-8;1,-16,-2;1,m,29;1,-7,-19;1,-7,q;1,7,l;1,9,-e;1,-e,-1b;1,p,p;1,-w,-1u;1,l,z;1,-f,-g;2,s,-3;1,-y,10;1,y,-v;1,2,-2;1,-6,c;1,-8,-7;1,-4,11;1,-b,-1t;1,-8,q;1,j,q;1,f,f;1,-4,-1b;2,-f,-a;1,-j,b;1,u,17;1,-3,-q;1,8,-i;1,-z,-3;1,y,f;1,-10,d;1,2,-p;10,1k,-19;4,5,a;1,-6,-a;4,-i,d;1,j,-p;1,-h,6;1,16,2;2,-k,-f;1,-e,i;1,5,-b;1,p,h;1,-k,-1;1,0,g;1,-b,-f;1,-h,h;1,x,-u;1,-1,f;1,-9,-l;1,e,a;1,-8,p;1,-n,-5;1,1e,-i;2,-1f,-3;1,y,-2;1,-8,9;1,-3,-8;1,3,a;1,2,-g;1,-c,-6;1,2,w;1,-6,-i;1,2,-f;1,14,e;1,-v,-d;2,1,b;2,-o,r;1,q,-13;3,-6,w;5,-8,l;1,16,-16;2,-13,12;2,1,-1h;1,7,15;1,1,-c;1,-8,-k;1,6,6;1,2,-5;1,-g,g;2,s,-h;2,-5,q;1,-5,a;1,-d,-t;1,11,5;1,-11,7;1,b,-f;1,-9,j;1,-5,k;1,a,-1c;1,-d,a;1,10,d;1,2,a;1,e,-q;1,-1m,7;1,11,8;1,-b,7;1,q,-1;1,-1c,b;1,3,-o;1,5,9;1,16,-5;1,-z,-f;1,4,1;1,-8,r;2,-5,-s;1,8,w;1,-4,-l;1,-2,-a;3,14,1g;4,0,1;5,1,t;1,11,-b;1,-m,c;1,-l,-15;1,a,1b;1,u,-9;1,-1e,-v;1,-3,-6;3,9,h;1,s,t;1,-m,9;1,c,-1a;1,5,v;1,-q,-1g;2,5,5;1,c,v;1,3,a;1,y,-h;1,-1i,-9;1,m,-3;1,16,o;1,-16,-5;2,-3,-x;1,-8,1n;1,8,-4;1,-1,-12;1,s,e;1,-f,f;1,4,2;2,7,-m;1,-u,g;1,d,3;1,3,-r;1,-q,8;2,-4,-a;2,6,-a;1,p,1r;1,-n,-1e;2,1,-f;1,w,1k;1,-3,-s;1,-8,-1;1,-d,m;1,-1,-7;1,-4,7;1,u,-w;1,9,a;1,-11,4;2,x,2;3,5,-l;1,-h,j;1,5,5;1,-p,l;1,1,-1n;1,0,1j;1,11,-y;1,-v,f;1,r,-o;1,-1l,-2;1,1g,i;1,5,5;2,-11,-10;1,16,l;h,b,13;k,k,13;1,-1,-x;1,-4,-2;1,-4,-a;1,-8,-r;2,d,1l;1,3,-1s;1,-e,-5;2,h,1n;1,3,19;2,e,-9;6,-11,-1k;1,b,s;4,n,-f;1,-d,8;1,-r,-17;1,-4,t;1,g,g;2,-b,-v;2,q,g;3,-s,7;1,z,b;3,-c,-1e;1,7,2q;2,-11,-25;1,a,-x;1,-6,z;1,-2,3;2,o,t;2,u,-i;v,-3g,-n;1,-2,1;2,-3,3;1,3,-7;1,4,0;1,-2,2;2,8,5;6,-8,-5;5,d,-9;1,-e,v;1,k,-i;1,-f,-s;1,-q,11;1,u,f;1,-w,-k;1,19,5;1,-w,-f;1,p,-6;1,-i,s;1,j,-1;3,-k,-7;1,-5,-f;1,-8,4;1,6,-8;1,l,11;2,9,-1;2,-d,-l;1,9,0;1,-9,-q;1,-2,n;1,1,o;2,c,-d;1,-9,-12;2,-6,11;1,-4,-1;1,-9,-c;1,k,-c;1,-8,r;1,3,-4;1,l,-b;1,-i,e;1,-c,-g;1,n,5;1,-1,-7;1,-a,m;1,-g,-b;12,1u,-32;1,-5,7;1,2,-4;d,p,0;1,-j,-3;1,0,0;2,j,3;1,-4,-9;1,-1,q;1,-r,-3;1,-5,-s;1,l,t;2,-d,-q;1,f,12;1,-9,-m;1,p,5;3,-z,-q;1,8,w;1,p,-r;1,3,x;1,-t,-1a;1,v,g;1,-x,h;1,r,-1;1,-a,a;4,-f,-k;1,-f,-c;2,z,n;1,5,c;1,-6,-8;1,-9,-11;1,-5,7;1,-9,9;1,z,x;1,-19,-9;1,3,-a;1,v,-l;1,e,18;1,-1d,-v;2,u,4;2,-o,-n;3,-7,0;z,u,-m;1,-2,-6;1,2,8;2,3,-4;2,-3,4;1,0,0;2,1g,-7;1,2,9;1,-1j,-k;1,v,7;1,a,o;1,-1n,-s;1,n,0;1,-g,k;3,0,-k;1,y,-3;2,-14,s;1,1f,-6;1,9,-a;2,-p,t;3,s,-e;1,b,-g;1,-1i,-c;1,r,14;1,i,-z;2,-1r,c;1,14,a;3,-d,-r;1,-o,b;1,s,7;1,-5,-f;2,p,16;1,-b,-19;2,0,5;2,4,-2;1,h,q;2,-a,b;1,-2,-w;1,-p,-9;1,2,r;1,-l,-a;2,t,-b;1,-o,9;1,r,-e;b,-8,h;t,-u,2a;9,8,0;1,-b,v;1,-4,-12;1,12,2;1,8,i;1,-14,-e;2,1h,w;1,-16,-13;2,1b,w;1,-j,-i;1,-x,i;1,a,-9;1,7,8;1,n,4;1,-1h,-r;2,2,-3;1,-6,-c;1,w,12;2,k,-o;1,f,m;1,-h,-f;1,b,7;1,-1h,-e;2,1,0;1,1v,13;1,-1b,-d;2,1,-9;2,-f,-a;1,g,f;1,-m,c;2,p,-w;1,-p,k;1,-1,7;3,h,-b;1,u,-9;1,-e,-5;1,-r,w;1,1d,-k;1,-d,5;1,-q,-e;1,1a,m;1,-18,-o;1,-c,-g;1,-4,u;12,1r,-10;a,5,-x;1,1a,1z;1,-l,e;1,-l,-2h;2,a,-p;1,-c,17;2,-i,p;2,q,n;1,1,1;1,-j,-18;3,-3,16;1,q,-1k;1,2,o;1,g,1b;2,-1g,-v;1,9,k;1,z,17;1,-14,-1f;1,u,-1y;5,l,21;1,-p,-f;1,-n,-10;1,5,i;1,6,6;1,1c,1k;1,-1m,-1j;1,x,1t;3,p,-t;1,-p,-6;1,4,x;1,-n,-w;1,d,-w;6,5,-j;1,-v,1k;1,a,-1q;2,-a,18;1,1a,x;1,0,3;1,0,0;1,-3,-c;1,0,0;1,-o,-f;1,s,9;1,-1t,-1j;1,0,c;1,8,1;1,-6,b;d,18,-1h;d,n,-f;1,8,2d;1,-h,-1o;1,-8,r;1,m,m;1,-j,-25;1,h,1w;3,0,-1t;1,6,-c;1,-a,t;1,2,14;2,e,-1e;1,-m,27;1,h,-2f;3,-t,25;1,1c,-13;1,-1g,-12;1,10,-2;1,-14,-b;2,12,u;1,-c,i;1,w,e;2,-k,-1o;2,-m,1r;1,-5,-z;1,6,1b;1,2,-1y;1,b,2l;2,-3,-14;2,-d,-p;1,k,a;1,8,g;1,-9,-1q;1,-8,y;v,2,-p;q,o,s;1,-2,-1;1,2,4;1,-2,1;1,0,-a;1,-4,0;1,6,6;1,-3,0;1,-2,2;1,3,c;1,5,-7;1,-3,-7;2,5,3;1,0,0;7,-5,-3;8,0,0;1,5,3;1,-7,4;1,0,0;1,2,-7;4,0,0;3,0,0;3,5,3;2,0,0;4,-5,-3;3,0,0;1,-2,7;9,1,3;2,6,-7;10,-4m,4l;1,-1,2;1,-1,-2;8,5,v;2,0,-17;3,m,8;1,-h,b;2,8,-7;1,g,6;1,-1s,l;1,e,b;1,-5,0;1,s,-1l;1,-t,9;2,1b,-3;2,-n,1;1,-6,-6;1,-i,p;2,-c,b;1,5,5;1,m,-q;1,i,-9;1,-s,8;1,0,p;1,10,-u;1,0,-5;1,-l,0;3,o,9;1,8,-4;1,-d,-k;1,-q,1l;1,3,-o;2,-w,6;1,1z,-5;1,-x,10;2,-2,-1;1,-r,-1f;1,1n,-4;1,-18,11;2,-k,-i;1,o,14;1,17,-1a;1,-1h,b;1,1d,-5;1,-1n,-6;1,j,-1;1,1c,g;1,-1y,-o;1,19,-c;1,-2,1s;1,-y,-1f;1,1i,b;1,-1s,f;1,h,-e;1,-f,s;1,1d,-1l;2,e,18;1,-1n,-1;1,-6,4;1,1n,-j;1,o,-2;1,-20,-4;1,z,w;1,2,-g;1,-11,m;1,13,-g;3,-1h,i;2,-3,-8;1,1u,-1o;1,-10,1c;1,-n,c;1,5,-n;3,1p,2;1,-z,-z;2,43,5;j,-w,1k;4,c,-u;1,g,-q;1,-9,5;1,f,4;1,-1j,-b;1,1h,i;1,-e,7;1,e,3;1,-9,-l;1,-f,2;1,-9,-q;1,4,4;3,g,c;2,-a,4;3,a,10;1,8,-q;1,3,5;1,-g,y;2,j,-4;1,-g,-s;1,8,e;1f,-31,1c;1,1,-1;1,1,-3;1,-2,3;1,0,0;f,b,14;1,7,-22;1,b,1p;1,-i,-i;2,8,-1i;1,8,1z;1,-s,-i;1,5,b;1,n,-q;1,-4,-1f;2,-i,2r;1,d,-30;1,5,16;1,-c,n;1,k,-z;1,-f,-o;1,3,-c;1,2,1c;1,-8,-9;1,a,1h;2,-2,-27;1,-b,1h;1,m,-g;2,-c,-8;1,3,1s;1,-6,-1m;1,c,-h;1,-r,1b;1,c,w;1,1,-t;1,-5,v;1,b,-2h;1,-7,20;2,7,-1o;1,3,n;1,-8,-g;1,-8,-z;2,4,2;1,6,22;1,-q,-o;1,i,-m;2,-g,x;2,7,-j;1,13,5;1,-o,1q;1,c,-2n;1,-3,15;1,-i,12;1,a,-20;1,-m,l;1,l,-n;1,2,g;2,4,-h;1,-a,2p;j,2b,4;9,-3,1c;1,-5,-t;1,1,4;2,j,u;1,-8,-3a;2,-4,2g;1,j,-15;2,6,i;1,-o,-q;1,-3,-8;1,m,-m;2,2,32;1,-q,5;1,q,-2m;1,0,m;1,2,x;1,-15,-1;2,l,c;1,3,-7;2,6,-o;1,9,y;1,1,-22;1,-16,16;1,d,r;1,u,-m;1,1,-1g;1,-1,15;1,-e,-r;2,-3,24;1,a,-s;1,-d,11;1,7,-2m;2,7,j;1f,-4q,1o;1,t,-2k;1,-g,3m;1,p,-3c;1,0,2l;1,-r,-1y;1,-j,13;1,9,a;1,15,-1i;1,-10,2p;1,-4,-y;1,0,1;1,0,-s;1,15,-1;1,-1b,-2;1,a,2a;1,11,-1b;1,-r,-5;1,-s,-a;1,v,-2;1,-6,-1o;1,-j,2x;1,14,-o;1,-f,-1b;1,-c,11;1,g,1f;1,-t,-1l;1,k,x;1,j,-2o;1,6,2h;2,-d,-f;1,-m,o;1,-5,-e;1,m,-27;1,-f,2f;1,g,-1x;1,0,2i;1,-e,o;1,3,-2y;1,-b,26;1,b,e;1,-8,-1e;1,z,-1w;1,-2,1l;1,-k,1l;1,-1,-2p;1,m,1y;1,6,-1j;1,-18,n;1,t,-1x;1,-b,-o;1,-5,2r;1,g,-23;1,-w,20;1,10,-z;1,-y,1q;1,11,-1v;1,0,2;1,-a,-1g;1,9,2p;1,-1,-k;1,h,-17;1,-1b,31;1,-e,-20;1,s,-1v;1,-1,4b;1,4,-2g;1,3,m;1,-n,a;1,9,-1y;1,-8,1d;1,c,2f;1,d,-2o;1,-9,-1u;1,m,1f;1,-l,27;1,-a,-6;2,y,-l;1,-18,-1c;1,v,-f;1,-n,2r;1,13,-39;1,-13,3e;1,15,-21;1,-v,2d;1,-8,-2;1,-3,-1t;1,6,-o;1,-a,q;2,8,-1;1,s,-s;3,-2,1g;1,1,7;1,6,-2o;2,-12,1y;1,1,-1;1,0,3;1,-1,0;1,2,-2;1,1,3;1,1,-3;1,1,8;1,-2,-2;1,1,-7;1,-3,9;1,7,1;1,-a,-5;7,3,-4;1,2,-1;1,-4,2;1,2,-1;1,0,-1;1,0,1;1,-1,0;1,0,0;1,1,0;1,-1,0;1,1,0;a,4,3;11,-1,0;o,-11,-29;1,-2,2;8,q,-4;1,-15,-20;1,5,y;1,18,t;1,-1f,u;1,y,-17;2,f,i;2,-1,4;1,-4,-6;1,-b,-8;1,-g,t;1,h,-16;1,-d,5;1,-h,f;3,k,-x;1,6,7;2,-i,f;1,p,m;1,-h,-z;2,-8,t;1,-4,-l;1,2,10;1,3,-1n;1,r,s;1,-1,t;1,6,g;2,5,-1e;1,-h,r;2,-2,-1;1,-p,7;2,18,-w;1,-1e,12;1,11,-e;1,-j,-d;1,t,-m;1,-o,17;1,k,-t;1,-13,k;1,r,f;3,p,-z;1,-19,12;1,w,-m;1,-19,-1;1,1a,-r;1,-c,p;1,3,x;1,-w,-27;1,-1,1r;2,9,-m;1,q,-1;1,-y,h;t,c,1s;1,-7,1n;1,a,-2i;1,6,7;2,0,-2;1,-5,-4;2,-7,2a;1,3,-2h;1,-2,1o;1,8,p;1,-4,-e;1,-g,v;1,q,-1g;1,-5,-f;1,1,1d;1,5,-l;1,d,-7;1,-11,-1k;1,-3,2k;1,9,-f;1,o,-18;1,-4,-g;1,-l,-3;1,0,-1;1,-5,1c;2,-2,-7;2,3,-g;1,1,0;1,0,0;1,1,1;1,0,-1;2,l,-m;2,d,x;1,-14,-n;2,a,13;1,2,-1q;1,-7,v;1,r,t;2,0,3;2,-x,2;1,e,-12;2,-c,1k;1,c,-2g;1,-6,1c;1,-6,k;1,e,9;2,7,-8;2,-b,-5;1,-a,7;1,a,-l;1,-9,s;1,g,-s;1,d,-6;1,-e,12;2,8,3;2,c,-o;1,-m,-2;1,b,-w;3,-c,-a;q,7,1c;1,0,7;1,-1,-5;1,5,-6;1,1,h;1,-1,1;1,-c,-c;1,7,-9;7,1,7;2e,k,1h;1,-5,-1b;1,-9,11;1,0,-3;1,4,f;1,6,d;1,8,3;1,-8,-k;1,-m,i;3,e,-19;4,-a,d;1,t,o;1,-15,-d;1,w,m;1,-4,-w;1,a,0;1,-2,h;5,-i,i;1,d,0;1,-9,-b;3,-i,-j;1,11,4;1,-j,f;1,-3,6;1,-i,-4;1,g,-f;1,a,-i;2,1,n;3,8,-b;2,-1,-c;2,-a,-e;2,8,1b;1,-7,-1d;1,-8,m;1,b,-f;2,-7,8;1,9,19;2,-3,-a;3,-j,-e;2,8,b;1,-m,-7;1,p,-c;1,-b,-2;1,-2,h;1,w,3;1,-q,-b;1,w,d;1,-e,-1b;2,-b,14;1,1,0;2,3,-q;1,-2,n;2,i,4;1,-p,-2;1,f,-3;1,4,g;1,-h,-13;1,-2,f;1,0,1;1,8,7;g,3,-a;1,-5,3;1,-2,-9;1,6,3;1,-5,4;1,9,-1;1,-9,1;1,0,0;3,2,-1;b,0,1;25,-2,0;2,3e,-1y;1,-5,-5;1,5,5;2,9,-2;f,-e,-k;1,0,-a;2,o,-e;1,m,1o;2,-1h,-1l;1,15,-6;1,-l,16;1,f,-22;1,-10,2l;1,u,u;4,k,-t;2,-z,g;1,7,-2l;1,3,n;1,-b,e;2,-1,1v;2,1,-1j;1,-b,-t;2,-b,c;1,b,-5;1,-7,1j;1,-2,-1s;1,4,-2;1,9,1o;2,9,-2;2,-6,e;2,d,h;2,7,-2z;2,-d,2n;1,m,-p;1,-h,-26;1,o,28;2,-1d,-1f;1,1b,1y;1,-8,-23;2,-6,1d;1,-u,r;1,-c,-1w;1,p,2i;2,7,-2c;1,-l,1f;1,h,-30;1,-8,1j;m,-x,1o;9,r,-j;2,-12,-q;1,3,6;1,18,2b;1,-l,-a;5,-9,0;1,6,-i;1,-1,2;1,-l,-g;1,a,k;3,-9,-12;2,d,-m;1,-l,10;1,e,-4;1,-3,11;1,0,-1d;1,-1,1d;1,9,-21;1,-h,1l;1,q,-s;2,6,1e;1,-q,-3;1,-7,-2m;1,a,x;1,-5,-g;1,h,g;1,-4,-e;1,p,1v;1,-b,-w;3,-5,-2;1,-h,18;2,-8,-1n;2,g,2;1,h,9;1,-f,b;1,-2,13;1,m,2;1,-q,-q;1,-7,-18;1,9,2;2,-g,f;1,t,c;1,-k,o;1,-8,-e;1,o,6;2,-d,-o;2,-3,v;4,6,-q;1,3,f;1,r,u;2,-q,-24;1,-b,1a;1,2,-1i;1,e,m;1,b,w;1,-j,-1r;1,g,17;1,6,0;1,-r,1c;1,8,-1c;c,-l,1u;j,e,-e;1,-5,1;1,-h,l;1,6,-k;2,9,r;4,-c,-d;1,8,5;1,7,-9;1,0,0;1,-i,-1;1,k,2;1,-1,-7;1,-4,-5;2,-8,-d;3,0,-i;1,-5,1h;1,e,-q;1,-9,a;1,b,-a;1,3,e;2,0,a;1,-2,-a;2,-b,0;1,7,i;1,-2,-3;1,-4,-h;3,-a,-q;2,d,14;1,-1,h;1,-7,-d;2,-7,-p;1,d,-j;1,0,z;1,-d,-n;1,t,h;1,-m,-12;2,8,16;2,-9,2;2,7,-6;2,c,3;2,-j,-16;1,-8,16;1,3,-z;1,5,g;1,f,12;1,-e,-1h;2,r,z;g,-m,20;1,-2,4;1,2,-4;7,f,u;1,-x,-17;1,u,1;1,4,16;1,-9,-o;1,-g,3;1,9,-9;1,-3,8;1,-3,0;2,4,6;5,-4,-4;5,h,-t;1,-p,0;1,b,j;2,-c,5;1,l,-c;1,-o,f;1,g,-b;1,c,-2;1,-l,u;1,g,0;1,-x,-t;1,o,t;1,4,0;1,0,0;1,1,-7;1,-f,-r;3,-2,6;1,v,x;1,-p,-1d;1,7,g;1,5,-l;1,-10,r;1,n,b;1,-d,-m;2,19,7;1,-i,-5;1,-l,8;2,2,-c;1,p,14;1,-4,-f;1,-4,-t;1,-5,-d;1,5,p;1,-l,-3;1,d,-8;1,-j,7;1,13,-7;1,3,x;1,-1a,-m;1,-7,-1;2,6,2;1,k,q;1,a,-14;1,7,-4;1,-2,4;1,-h,x;2,j,3;1,-16,-j;1,15,k;1,0,-t;1,-j,-6;1,l,3;3,6,o;1,-z,-k;6,7,3;1,0,0;2,6,3;1,1,-1;1,-2,2;1,1,-6;1,1,3;1,-3,-a;3,6,f;1u,-4,-2;k,-2,-g;6,11,-y;1,0,-9;8,2,1b;1,-m,-p;1,3,c;2,3,-z;2,c,f;2,-b,0;1,h,-f;1,-f,-1;1,g,g;1,3,-7;1,-4,4;1,3,5;1,-4,-8;4,-b,n;1,5,-k;1,-2,-7;1,-7,d;2,g,-8;1,-g,q;2,7,-u;2,a,2;1,-e,g;1,8,-z;1,-3,5;2,-9,19;1,3,-11;1,c,-e;1,6,h;1,-d,-b;1,a,5;1,-h,k;1,h,-l;1,-k,b;2,c,0;1,2,e;1,0,-w;19,a,2q;1,5,5;i,-2,-c;1,-6,-6;1,-8,-b;1,q,e;1,-6,q;1,a,-p;1,-8,-2;1,-h,e;1,q,k;2,-r,-1f;1,-6,2;1,i,f;1,-j,-n;1,h,6;1,-2,o;1,w,1d;1,-5,-g;3,9,e;1,-15,-14;1,h,-d;1,-r,g;1,m,-o;2,2,-6;1,-2,-f;1,-9,p;1,7,-5;1,1,-c;1,-j,12;1,a,-o;1,-c,-3;1,3,5;1,f,-1;1,-7,m;1,m,-d;3,-o,-1;a,a,-a;1,5,w;1,-9,-t;1,9,w;u,z,-1h;2,b,15;2,-2,-13;3,-9,-i;1,0,-2;2,g,b;1,-b,-a;1,k,1l;1,-10,-16;1,17,10;2,-n,-1m;1,2,6;1,5,o;3,-15,-3;1,k,1d;1,-b,-r;1,7,-d;1,8,l;2,q,-t;1,-g,o;2,-1,-y;1,-a,2;1,1,1m;1,-4,-18;1,17,b;1,-19,6;1,14,-c;1,-r,-13;1,b,e;2,1,1f;1,-x,-15;1,-4,j;1,y,-16;1,-h,g;1,-1,0;1,z,f;2,-15,p;1,8,-13;1,p,j;1,9,-2;1,7,6;1,-v,4;1,-b,r;1,-5,d;1,k,-z;1,-10,-8;1,1v,3;1,-4,-d;1,-1j,6;1,6,l;1,17,-z;1,-1t,e;3,1g,p;1,1,-15;1,-j,-e;1,5,s;1,-4,l;s,-d,-18;1,1,-2;1,0,0;1,0,-3;1,-2,2;2,-3,-1;1,8,2;1,-1,1;1,-2,0;2,3,4;2,-7,-7;1,3,-3;2,-1,-1;1,-2,-2;1,4,8;3,2,2;i,-3,0;11,0,0;o,-x,-1i;1,c,1a;1,-c,-1g;7,-2,1z;1,f,-26;1,f,x;2,h,-16;1,-5,1i;1,6,-22;1,-10,1h;1,j,2;1,9,-1t;2,-k,1p;1,-6,-e;1,1c,9;1,-1q,1f;1,1a,-m;1,-8,-1v;1,-b,1e;1,a,-s;1,e,k;1,8,8;1,-1p,-t;1,19,-7;2,-s,12;1,-f,-k;1,11,f;4,-a,q;1,2,6;1,1,-3;1,2,-8;1,-5,-1;7,-7,-a;2,e,d;1,-4,-l;1,-k,-8;1,g,-2;1,n,i;3,-1b,-e;1,1,w;t,q,-j;b,-a,7;1,-2,c;1,2,-c;1,3,0;1,0,4;1,-7,-6;1,-6,-3;1,g,-3;1,-2,8;1,-1,1;1,0,0;1f,0,0;2,0,0;1,0,0;1,-3,-1;1,3,1;2,0,0;4,0,0;s,1l,0;9,b,-1p;2,2,1j;1,-m,d;1,3,-28;1,-5,12;1,2,x;1,b,-21;1,6,1o;2,-c,13;1,h,-a;1,-1,-4;1,-i,9;1,-9,-a;1,d,-1;1,-5,2;1,j,k;1,-k,-1f;1,8,-9;1,e,6;1,-8,-15;1,-j,4;1,-b,5;1,r,20;3,-1,-1m;3,c,-m;2,-p,2h;1,7,-q;1,-9,-1;1,6,-r;1,-h,-9;1,z,1v;1,-j,-2f;2,8,-3;1,a,t;2,-o,-8;1,8,-a;1b,-43,3f;1,4,5;8,8,-8;1,-6,-7;1,-5,j;1,7,0;1,-a,-f;1,-2,-5;1,8,d;1,3,-7;1,-6,-h;2,j,t;1,2,-a;1,-o,c;1,7,-b;1,-5,-j;1,-2,u;1,8,-4;1,-5,-f;1,2,l;1,-8,-6;1,r,-b;1,-k,b;1,-4,-g;1,4,g;1,2,3;1,9,-x;1,-m,h;2,e,p;2,-a,2;2,k,-k;1,-j,f;1,b,-p;2,-8,p;1,d,-a;2,-4,-3;1,3,7;1,2,-s;2,8,j;1,-u,g;1,q,-v;1,-m,t;1,4,-17;1,-1,1;2,7,c;2,-2,5;1,4,q;1,-9,-x;2,-a,x;2,p,-17;1,-c,9;1,9,-3;1,-6,0;1,j,p;2,-x,4;2,4,-5;1,3,q;2,3,-1l;1,-4,17;1,l,-11;a,-f,t;a,-l,-1;1,6,-b;1,-i,-8;1,1,7;2,c,h;1,-1,l;1,-f,-1f;1,h,u;1,-c,-r;2,4,n;1,-l,-r;1,1,-6;1,1,4;1,6,-2;1,-4,-7;1,3,j;1,8,h;1,b,i;1,-2,4;1,-m,-18;1,5,7;2,m,b;1,-j,-e;1,d,h;1,-b,-w;1,-b,f;1,v,19;1,-6,-10;1,-m,-7;1,0,-5;1,p,d;1,-9,-8;1,-f,-1;1,3,-c;1,i,q;1,-h,-w;1,o,10;1,-h,-k;2,-b,0;1,s,g;2,-8,4;1,8,k;1,-1,-1;1,0,0;1,-n,-y;2,-5,-j;1,q,1a;1,2,h;1,-2,-2;1,0,-4;1,-1,2;1,2,3;2,-v,-1v;1,-2,6;2,9,4;1,1,7;1,-1,-6;1,8,e;1,l,16;3,-u,-1d;2,b,6;1,-3,-f;1,-a,b;1,m,b;1,-m,-c;2,-1,-1;1,2,5;1,e,-c;1,-e,4;1,6,8;1,2,-4;2,6,-4;1,-f,-2;1,h,-3;1,-d,-1;1,b,2;1,c,q;1,-n,-s;1,7,t;1,0,0;1,-c,-n;1,l,k;1,-9,-d;2,-a,-3;1,5,f;2,5,4;1,-5,-5;1,0,0;1,1,-3;1,-1,4;1,0,1;1,0,-1;1,1,0;1,-1,0;1,0,0;1,b,8;1,-h,-a;1,-2,-a;1,j,s;1,3,-4;1,3,2;2,-5,-i;1,-2,1;1,-2,7;1,-5,-5;1,0,2;1,-1,0;1,5,6;1,-4,-4;1,8,-1;1,-3,-8;1,1,0;1,-3,3;1,-4,2;1,1,-6;1,2,6;1,-1,3;1,0,3;1,3,6;1,2,3;1,-4,-5;1,6,-9;1,-a,-7;1,5,8;1,3,0;1,-c,-8;1,2,0;1,9,6;1,-b,-1;1,2,0;1,0,2;1,-2,0;1,c,9;1,3,-a;1,-9,-8;1,8,k;1,-f,-j;1,i,q;1,-9,-e;5,0,0;1,0,0;1,0,0;8,0,0;1,-5,-4;1,0,1;1,0,-1;2,4,3;1,-4,-3;1,5,4;1,0,0;1,0,0;2,0,0;1,0,0;1,-5,-4;1,5,4;1,0,0;2,-5,-4;1,5,4;2,-5,-2;1,0,-2;1,0,-1;1,5,5;1,0,0;1,-5,-4;1,5,4;1,0,0;1b,0,0;b,0,0;1a,4,-10;9,-9,-1d;1,-d,k;1,m,w;4,2,-13;1,-k,p;1,-1,-m;1,7,t;1,6,-v;a,-a,-9;1,0,14;2,h,a;2,-3,-u;4,-9,v;1,-4,-b;1,g,-c;1,-f,e;1,i,-r;1,0,-b;1,-n,g;1,-4,-g;1,-6,6;1,a,c;2,-8,-8;1,-5,-9;1,6,-2;1,n,13;1,5,-o;1,-1,l;2,-k,-b;1,b,-g;2,-n,1;2,1,-p;1,4,6;2,j,5;1,-7,u;1,6,-q;2,3,0;2,b,1;1,-a,c;1,-a,n;1,-7,-n;1,7,3;1,8,-2;4,0,f;1,-2,-1;1,-2,2;1,2,-2;5,0,0;2,-d,-n;5,a,u;2,5,-l;1,0,0;1,0,0;2,e,16;2,3,-5;1,6,2;1,-b,2;1,0,-3;1,b,1;1,-5,-5;1,0,2;6,0,-2;5,2,-3;1,-k,-v;1,i,1b;1,6,-8;1,-7,9;1,-5,-11;1,9,k;2,-b,e;1,0,0;1,b,-c;2,-b,-e;3,p,-1;1,-d,w;1,-2,-1;1,9,-d;2,1,9;1,0,-9;1,-f,-i;1,b,n;1,-f,8;2,f,-4;4,-3,-6;1,0,0;2,-7,-e;1,8,o;1,-1,-2;1,-8,-i;1,7,-c;3,-7,5;2,-2,p;2,f,-y;1,-7,-5;3,2,e;2,-2,-k;2,f,f;1,-9,c;1,-2,6;1,-5,-h;2,0,y;1,a,-n;2,-i,-n;1,-1,o;1,-1,-1;1,0,5;1,d,5;1,-c,-b;1,b,h;1,-a,-h;1,-1,a;1,1,-a;1,9,b;2,a,-e;1,-j,3;1,0,0;1,0,0;1,0,0;5,e,-1n;2,h,1c;1,-3,1;1,0,-6;1,8,-1d;1,2,-f;1,-m,18;2,i,-5;1,4,e;1,-f,8;4,g,-z;2,-m,r;1,5,1;1,-g,-6;2,t,-3;1,-p,-2;2,b,o;1,o,-13;3,8,e;1,-b,7;3,-a,-l;1,f,d;1,-n,6;1,i,6;2,2,5;1,-4,0;1,-o,-t;1,m,-3;1,-m,r;1,-a,-g;1,q,-13;1,-8,1u;2,4,-e;1,-a,8;1,u,-y;1,-c,-m;1,-a,b;3,f,4;1,-1,e;4,-1,-m;1,-9,s;2,a,k;2,2,-h;1,-j,-m;2,4,-b;y,-2,q;1,-2,2;1,6,-4;1,-4,5;1,4,-2;1,-5,6;1,-4,-c;1,1,-4;1,2,4;1,1,1;1,-1,4;1,b,5;s,-8,-2;1p,-23,o;1,2,-3;1,h,o;3,-n,-e;1,l,-9;1,-k,0;1,-a,1;1,v,9;1,-9,-f;1,-e,e;1,b,-c;1,-b,c;1,0,0;1,d,-g;1,-1,1;1,-c,f;2,3,-5;1,-3,5;4,0,0;1,a,3;4,-k,-8;1,5,6;1,s,2;1,-n,-8;1,-i,-3;1,16,9;1,1,-9;1t,-7,d;1,2,2;1,4,0;1,-8,-9;1,2,4;1,2,2;1,3,-6;1,-5,-4;1,2,f;1,6,0;14,-q,-9;u,0,0;4,j,5;1,0,0;1,0,0;1,6,5;2,-7,-4;1,-i,-6;1,0,0;1,0,0;1,j,5;1,0,0;1,0,0;1,-j,-5;1,0,0;1,j,5;1,0,0;2,-1n,5;1,-3,2;1,-2,3;1,5,-f;1,0,8;1,0,-1;o,-1r,1a;1,4,-1j;2,h,1;1,10,1;2,c,2;2,4,-b;1,-1y,1c;1,-8,-11;1,x,h;2,l,-h;1,-1h,1g;1,3,-e;1,1f,-p;1,-z,6;3,e,-k;1,-f,11;1,p,-10;1,n,-b;1,-o,i;1,w,-f;1,-1w,a;2,j,13;2,c,-n;1,v,-5;1,-a,-6;1,-f,8;1,i,-u;2,-18,1c;1,-b,d;1,m,-i;1,-2,b;1,-j,9;1,g,2;2,-8,-1g;2,-h,18;2,2a,-18;2,-p,3;1,3,0;l,-g,-41;1,-1,3;1,-2,0;1,1,-4;1,2,0;1,-1,-1;1,1,-3;1,3,1;1,-2,2;1,1,1;1,2,1;1,3,-1;1,-9,2;2,8,-6;1,-3,-2;1,0,a;1,-1,1;1,-4,4;1,-3,-3;2,9,-7;1,-5,3;1,-2,-1;2,1,1;1,1,-4;2,-1,4;1,0,0;2,-6,1;1,6,-1;2,0,0;1,2,-3;1,-1,-1;1,-1,4;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,1,-2;1,-1,0;1,0,2;2,1,-1;1,-1,1;1,0,-2;1,1,-2;1,-1,4;2,1,-1;1,-1,1;1,0,0;1,0,0;1,0,0;1,3,-1;1,-3,1;1,1,-3;1,1,-1;1,2,5;1,-5,-3;1,1,2;1,0,0;1,1,-3;1,-1,3;1,0,0;1,0,0;2,1,-2;1,-1,2;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;6,0,-2;2,0,2;1,0,0;6,0,-2;1,0,0;3,b,-15;1,9,-l;1,-9,k;1,9,-k;1,-d,5;1,-s,-16;1,s,1e;1,-m,3;1,5,-4;1,-4,4;1,2,4;1,-a,3;1,a,-3;2,7,-18;1,1,3;1,c,c;1,0,0;1,-x,a;1,k,h;1,-2,1;1,1,h;2,-5,-9;4,-4,-1o;1,16,11;1,-g,-y;1,6,l;1,8,1;2,1,3;1,-7,-f;1,-z,u;1,9,-g;1,-j,2;1,2,-1;1,r,-g;1,k,8;1,1,1;1,-s,k;1,6,-14;2,i,w;1,-5,h;1,-3,-5;1,3,4;2,-f,4;1,1,-6;1,-7,m;2,-1,-x;1,-a,f;2,16,-j;1,-1,0;1,-3,-3;3,-9,q;1,1,3;1,3,1;1,-7,-8;1,3,4;1,-k,-l;1,6,0;1,b,r;1,-5,-2;1,4,0;3,7,-m;1,e,7;1,-6,-2;1,0,0;2,a,-a;1,-1g,b;1,0,-4;2,q,-t;1,3,0;1,-u,4;1,3,a;1,5,-8;1,o,12;1,-5,a;1,-3,-1;1,-a,6;1,a,-5;1,5,0;1,-f,5;1,0,0;1,10,-y;1,-w,-d;1,d,v;2,-b,18;1,0,0;1,2,-4;1,-2,4;2,0,0;1,0,0;1,1,0;2,-1,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,1,-3;1,-1,3;1,1,-3;2,0,0;1,-1,3;2,3,-5;2,-2,2;1,-1,3;1,0,0;1,1,-3;1,-1,3;1,-2,-2;2,2,2;1,1,-3;5,-1,1;1,0,2;1,7,-4;2,-7,4;6,0,0;1,0,0;1,0,0;3,0,0;1,0,0;2,0,0;2,0,0;7,0,0;c,0,0;a,0,0;2,0,-2;2,0,2;3,0,0;1,0,-2;3,0,2;4,0,0;3,5,0;1,-5,0;1,-2,-1;b,2,1;a,0,0;a,0,0;5,1,-3;f,-1,3;2,0,0;1,1,-3;1,0,0;1,-7,2;1,9,3;4,-3,-2;8,1,-3;1,-1,3;1,0,0;1,1,-3;1,-1,3;1,0,0;1,0,0;1,0,0;3,1,-3;3,-1,3;1,0,0;1,0,0;1,1,0;1,0,-3;1,-1,3;1,0,0;1,0,0;1,0,0;1,0,0;1,-1,-1;1,2,0;1,-1,1;1,-1,-1;1,1,1;1,0,0;1,2,0;1,-1,-5;1,-1,5;1,1,-2;1,-1,2;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,1,-4;1,-1,4;1,0,0;2,1,-3;2,0,0;1,-1,3;1,1,-3;1,0,2;1,0,-3;2,-1,4;1,2,-4;1,1,1;1,-2,2;2,-1,1;3,-1,-2;4,2,-1;2,-1,3;3,1,-3;4,-2,2;3,1,1;5,0,0;1,0,0;1,0,0;2,0,0;s,0,-3;1,1,0;1,0,0;1,0,0;1,-1,3;1,0,0;1,1,-3;1,-1,3;1,0,0;1,1,-3;1,-1,3;1,1,-3;4,-1,3;5,0,-4;1,0,4;1,0,-4;1,0,0;1,1,2;1,-1,2;1,1,-3;1,0,0;1,0,0;1,0,3;1,0,-2;1,-1,1;1,0,-1;1,1,0;1,-1,2;1,0,-2;1,1,1;1,-1,-1;1,0,2;1,0,0;1,0,1;1,0,0;1,5,-3;1,-5,2;1,0,0;2,0,-1;1,0,1;1,1,-1;1,-1,1;2,0,-4;1,0,4;1,0,-1;1,0,1;1,1,-3;2,-1,4;1,0,-3;1,0,3;1,0,-1;5,0,-1;1,1,-4;4,0,2;1,0,1;1,-1,2;1,0,0;2,0,0;1,0,-1;1,1,-1;1,-1,2;1,1,-3;1,-1,3;1,0,0;4,0,0;1,1,-4;2,-f,k;2,d,-h;1,1,1;2,0,0;1,-1,-1;3,1,1;1,a,-18;1,-a,18;2,-p,d;1,-6,-1;1,5,-9;1,-c,0;2,-q,n;1,16,-r;1,-9,v;1,-u,-4;1,p,d;1,-6,-10;1,4,u;1,i,-f;2,-r,s;1,m,-1h;1,-a,n;1,-q,6;1,2,q;1,-7,1;1,c,-q;1,d,-2;1,r,-4;1,-15,b;1,-8,-c;1,-2,9;1,4,6;1,-d,y;1,j,-9;1,-h,-2;2,r,-1e;2,-h,1b;1,4,-b;1,4,5;1,h,-m;2,9,i;1,-1,-1k;3,-a,1;2,-l,o;1,o,-8;4,-p,z;3,-3,j;3,b,-n;1,1,p;1,j,-21;1,-d,17;1,-5,3;1,-4,-i;1,b,-w;2,-c,s;3,-b,1c;3,6,0;4,-e,-6;1,19,-1f;1,-9,1c;1,0,-1f;1,3,18;2,-15,n;2,g,-1c;2,-e,18;1,v,-a;1,-q,8;1,-b,8;1,p,-c;1,w,-b;1,-1c,4;2,2,3;1,s,-1m;2,d,a;2,n,b;4,u,8;2,-u,-8;1,k,-3;1,2,-1;1,-8,6;1,e,-1;1,-6,4;1,5,-2;1,-g,-8;1,-e,r;1,e,-v;2,-n,17;1,r,-k;1,-5,3;1,-a,-h;1,0,0;1,0,0;1,g,9;1,-7,0;1,2,-g;1,i,b;1,-2,2;1,0,-3;1,0,0;5,-l,-7;1,-m,12;1,d,2;2,-5,-12;1,-5,t;1,q,-u;1,-d,3;2,h,-5;1,-h,5;1,g,-7;1,-a,6;1,-d,-9;1,5,-1;1,3,7;1,1,3;1,-3,-6;1,1,7;1,-3,-b;1,-2,18;1,7,-11;1,-2,4;1,-9,o;1,11,-b;2,-u,-k;1,-7,11;1,15,-z;3,-y,5;1,x,6;1,-u,v;1,0,-4;3,g,-x;1,-2,7;1,2,-7;1,0,0;1,-g,8;1,-2,5;1,5,-7;1,-4,-6;1,3,r;1,w,-10;1,-z,17;1,-6,-4;2,i,-z;1,1,-3;1,4,-1;1,-5,7;1,-3,2;2,7,-a;1,-2,3;2,-e,7;1,0,0;1,-1,d;2,x,-4;3,-w,-9;2,0,0;b,f,-m;1,0,0;1,-1,-4;1,h,-7;1,-e,b;1,-2,2;1,-2,-4;1,3,-3;1,-2,-1;6,1,6;1,2,3;2,e,-e;3,2,e;2,-1,0;1,4,1;4,-5,-z;1,8,3;1,-4,-3;2,3,9;1,0,-a;5,-d,r;1,6,-6;1,-6,6;1,1,-2;1,-1,5;1,-3,0;1,4,3;1,-5,-a;1,9,4;2,-5,0;2,6,-6;1,1,i;1,0,4;1,3,-3;4,-9,9;2,3,-4;3,c,-v;1,4,7;2,-e,-7;1,0,7;1,5,-3;1,-5,5;1,-3,-6;1,6,6;1,-3,2;2,9,2;1,-e,-1;1,5,-5;1,5,1;1,-1,1;3,-4,-2;2,-b,d;1,-3,-2;2,e,-b;1,-b,d;1,1,-1;1,a,-c;1,0,0;1,0,-1;2,-c,l;1,2,-3;1,-3,6;1,6,-2;1,4,-1;1,-3,-5;1,-9,3;1,0,0;2,1,0;1,-1,0;1,-1,3;1,0,-1;1,1,-2;1,0,0;1,0,0;2,0,0;23,4,4;4,-4,-4;4,1g,2d;4,-3,6;4,-1,-i;1,-7,3;2,-z,-m;1,1b,0;1,2,d;1,-1,4;2,-5,8;1,3,-f;2,1,-15;2,-c,d;1,d,-7;4,-h,11;1,k,c;1,-z,-1y;1,s,s;1,-1,1;1,-17,7;2,1o,10;1,-1z,-15;1,t,-10;1,-w,1a;3,1g,n;1,-j,-1r;1,3,8;1,-2,6;1,-4,-8;1,0,5;1,-4,-2;1,10,16;1,-3,-1c;2,8,1f;1,-b,-5;1,-q,0;1,1c,-r;1,-1t,4;2,4,p;1,12,-9;3,-t,-6;1,-1,-5;1,-j,4;3,1g,-6;6,-1,-g;3,d,-5;1,-14,b;1,-5,3;1,0,2;1,13,1m;4,-8,-z;2,f,0;1,-k,c;2,4,-6;1,q,-17;2,-1f,h;2,q,f;1,-4,-d;1,1,6;4,-p,-d;4,1c,-h;2,-y,-2;1,12,p;1,-2a,f;2,l,-b;3,1b,2;2,-1d,-a;1,-7,2;3,16,-a;3,l,b;2,-1g,i;1,-f,-a;5,17,e;2,7,o;1,1,-11;1,m,h;1,-x,-13;3,9,-1;3,-5,g;1,-1a,6;4,i,-b;2,-5,e;4,g,-12;2,v,q;1,-e,-3;1,p,y;1,-9,-17;1,-d,14;1,c,-1m;1,5,-5;2,a,1z;1,-5,-p;1,-r,g;1,-4,-18;12,-6,m;1,1,2;1,-2,-1;1,d,2;1,-b,2;1,4,4;1,-1,-j;1,5,0;1,-1,6;1,-2,4;1,-2,0;1,3,2;1,-5,3;1,4,2;1,-1,-c;1,-3,1;1,0,3;1,2,4;1,-a,f;1,b,3;1,-3,-3;1,-4,-4;1,2,-g;1,0,9;1,-6,-6;1,-2,6;1,2,-e;1,5,-4;1,1,5;1,-3,7;1,3,3;2,-1,-3;1,b,8;1,-b,-8;1,b,d;1,-5,-1;2,2,-9;1,-i,-8;1,a,5;3,5,-g;6,-7,7;1,i,c;1,-4,-1;8,-5,-a;1,-5,p;2,-2,-h;1,0,0;1,1,2;3,-8,-c;2,7,a;3,0,0;1,1,2;1,-1,-2;3,0,0;1,0,0;1,0,0;1,0,0;1,9,-a;1,-8,b;1,b,1;1,0,0;1,1,2;1,-b,-1;1,-2,-3;1,0,0;1,1,0;7,-1,0;1,0,0;2v,-t,7;1,0,8;1,-4,-2;1,3,0;1,5,-6;4,1,b;2,-7,-f;1,0,0;2h,1w,-61;1,-5,-8;1,5,8;1,-7,7;1,1,-f;f,5,-1b;1,-b,s;1,7,-j;1,-b,e;1,l,s;4,-5,-a;1,6,c;1,-1,l;1,-3,-2d;1,-2,1d;4,1,-j;2,-o,-a;1,g,n;1,-a,-7;1,9,-w;1,2,17;1,4,0;2,7,8;5,-r,-19;5,f,20;1,-1,-o;1,-5,-7;3,5,j;1,-9,-1g;1,1,n;13,-1z,85;5,-1,1;1,10,l;2,-13,-a;1,1r,-a;2,-1q,-m;1,-j,j;4,1e,5;2,-a,-o;1,p,k;2,-26,-9;1,20,i;1,-v,-s;1,3,r;1,-1i,-b;1,-9,6;1,2r,d;1,-11,8;2,-r,-c;1,c,i;2,-13,-18;1,2u,z;1,-w,8;2,-7,-15;1,1,13;1,b,2;1,-f,-f;2,-s,8;1,1c,-2;1,i,-a;2,-1c,-u;1,-y,4;1,1r,1c;1,k,-6;1,-4,-8;1,-1j,-12;1,3,a;1,-6,3;1,6,n;1,s,-h;1,-8,b;1,5,-g;1,-14,11;1,10,-b;1,h,-z;1,-16,2;1,7,-1;1,-h,r;1,d,-12;1,k,-1;1,13,t;1,-f,k;1,-20,-19;1,1w,1h;1,-17,-1l;1,-18,s;1,13,1;2,-11,-4;1,1d,-l;1,-s,c;1,28,8;1,-11,2;2,1,k;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,9,-l;b,16,-3g;1,4,-d;1,-d,0;1,-1,8;1,6,-3;4,6,2;1,-i,-7;1,10,-1j;2,-a,v;1,-d,j;1,-3,-f;1,-7,4;1,1,j;1,6,-k;1,v,d;1,-5,-8;1,-1,-6;1,3,-r;1,-z,2i;4,11,-x;6,-d,-16;1,5,6;3,-10,1w;1,3,1;2,z,-21;1,1,2;1,2,3;4,-a,-3;1,8,0;1,-1,1;1,1,-1;1,6,-1a;4,-11,2g;1,4,-o;1,9,-f;1,b,15;1,-m,-11;1,m,10;3,-9,4;3,-e,i;1,z,-3n;1,1,1r;2,-q,k;1,-9,u;1,4,8;2,e,-12;1,-c,r;1,f,-1;1,-4,j;1,-o,-17;1,x,k;1,-h,-x;1,o,j;1,-b,-t;1,-d,1;1,l,i;1,-j,1o;3,l,-k;1,-6,-n;2,-y,-b;1,v,12;1,-b,-6;1,1,-g;1,-j,12;1,u,-2c;2,-o,23;1,i,-o;3,-37,4n;1,1,0;1,0,0;1,-4,a;6,-6,-g;1,6,1e;2,8,0;1,-d,-1y;3,-w,5;4,h,-b;1,d,u;2,-t,-13;2,x,16;3,-m,n;1,u,-v;5,e,-q;1,-16,k;1,11,2;1,-1a,-2;2,o,-e;1,-2,1p;1,9,l;1,0,0;6,5,-13;1,-1,6;1,-v,-f;1,q,i;1,-e,-x;3,e,-8;1,-t,d;4,1e,-6;1,-e,1e;1,-l,-i;1,-e,-1;1,n,-18;1,-v,-h;1,d,n;2,12,-8;2,-12,d;1,v,1a;2,-2,-8;1,5,-k;f,-z,-x;b,47,-6;1,-5,-c;1,1,1;1,6,0;7,7,1;1,-q,p;1,-3,-7;1,h,-b;1,-6,e;1,e,-3;1,2,-m;1,1,-7;1,-p,m;1,n,b;1,-3,-2;1,-2,2;8,-o,-5;21,-1i,-3p;6,0,-8;6,-4,1;a,-j,-6;1,-3,5;1,x,7;3,-5,-a;1,1,6;1,-4,-3;1,6,-a;1,-5,a;1,3,-7;1,-c,s;1,9,-l;1,2,-1;1,-9,-1;1,c,e;1,-3,3;1,1,-5;1,4,0;1,-4,4;2,3,-3;1,-3,-4;d,-h,8;6,v,-h;1,-4,8;c,-r,3;2,i,-3;1,0,0;a,9,-f;1,8,-a;2,-7,9;1,-e,a;5,a,c;1,2,-6;1,-c,-6;3,a,b;1,0,0;1,0,0;1,0,0;7,-6,-5;2,-4,-6;1,0,0;1,4,7;1,-f,b;1,2,-7;2,f,-e;1,-l,6;9,-f,-8;1,-1,5;f,q,a;1,2,-2;1,-2,-2;1,-4,-1;3,9,-5;2,0,0;1,0,0;1,0,0;1,-4,a;b,-o,-d;8,y,7;1,1,-4;1,3,3;1,-a,-3;1,7,3;1,-7,-3;6,-j,2;1,4,-5;1,-4,-3;1,2,a;1,0,0;4,4,2;2,j,e;1,-3,3;1,1,-5;1,-1,1;1,2,-4;1,-4,5;1,6,-4;2,-1,5;1,-1,-3;1,1,3;1,-1,-3;1,2,-5;1,-3,9;1,1,-4;1,0,0;1,0,0;1,0,2;1,0,-2;3,-1,1;1,1,1;2,0,-2;1,0,1;1,0,-1;2,1,4;1,-1,-4;4,1,4;6,-3,2;1,2,-6;1,-3,6;1,1,0;1,-1,0;1,0,0;1,3,-6;1j,-6,5;1,1,-3;1,-4,1;1,2,-4;1,3,6;1,-8,-3;1,1,2;1,-4,1;1,-1,-5;1,6,-1;1,5,0;1,-1,-3;1,0,6;1,-1,4;1,-5,-a;5,4,a;1,0,0;a,0,-2;1,0,0;1,2,-2;1,0,0;2,-2,5;e,0,-1;1f,-1e,-17;1,0,-1;1,c,3;1,-c,0;1,4,2;1,4,-9;1,-b,-2;1,-2,8;4,-7,-j;f,-h,1c;1,4,-h;2,y,-2;2,-1g,2u;1,1b,-48;2,-10,3m;1,0,-13;1,-j,l;1,n,-m;4,c,x;1,4,-10;3,2,-13;2,e,z;3,-b,-i;3,-12,11;2,6,1c;4,-4,-n;3,1o,-2e;6,-15,28;2,y,-2k;1,-19,2m;1,-4,m;3,c,-1s;4,-11,1s;1,1j,-20;1,-1d,24;3,1k,-23;3,-n,1i;d,-3,-2l;2,-s,2u;1,3,-l;3,-1,k;1,1m,-3i;1,-q,20;2,-a,1j;2,-p,2;1,s,-2c;3,-s,26;3,12,-o;3,-w,h;1,x,-7;2,f,-12;2,-1c,1f;1,n,-e;1,-b,14;4,f,-3t;1,a,1c;3,5,-7;1,-z,2p;3,17,-4k;2,-b,2e;1,x,-1c;1,-1k,7;1,w,u;1,-19,1b;3,y,-2r;1,-f,1a;1,q,-15;1,j,l;1,-4,2;1,5,-a;2,-w,1v;2,-o,-7;5,n,-1p;2,a,-14;3,-t,3m;2,2,-f;4,-t,y;1,13,-c;1,-12,j;1,b,0;1,s,-30;1,4,1t;k,2z,-3v;1,-4,-9;1,b,7;1,-9,3;6,-z,-b;1,x,v;9,-8,-5;2,i,-5;1,-14,-7;1,16,4;1,a,-l;1,-13,-9;1,-m,u;3,h,-8;7,10,-g;2,-1a,z;1,-2,-d;1,r,-r;1,-k,y;1,2,5;1,4,-1b;1,a,j;1,3,o;3,-7,-l;1,-o,-e;2,8,-4;2,p,0;1,-1,o;1,c,a;1,-l,-p;3,-4,-9;3,b,w;1,-h,-15;11,-12,1h;8,-i,-p;2,c,-4;1,a,1g;1,-1,-12;1,-3,o;1,-a,-r;1,j,5;2,-d,u;1,4,-18;1,-4,1q;1,-8,-1s;1,6,3;1,-a,-d;1,s,1b;1,-k,-10;1,-3,18;1,-3,-1b;1,k,1n;1,-k,-u;1,0,-f;1,-3,-a;1,-3,7;1,3,e;1,j,p;1,-7,-10;1,-7,18;1,k,-v;1,-r,-r;1,j,1y;1,b,-1t;1,-i,11;1,3,i;1,3,-1q;3,f,t;1,6,-d;1,-z,-j;1,t,i;1g,-k,-1y;1,4,5;1,-4,-5;4,-1,0;3,11,9;1,-2,-j;1,-14,-2;3,m,k;5,e,-l;1,-s,-8;3,11,1c;3,-18,-3;3,n,-v;1,-6,-f;1,-a,y;1,6,-b;1,3,-4;1,9,18;5,-s,-s;1,-2,-g;1,18,m;1,-1a,-16;1,x,17;1,d,-e;1,-15,3;1,y,6;1,-y,-h;1,c,s;1,6,-v;1,1,15;2,8,-q;1c,-1k,l;1,-6,8;1,0,-1;1,1,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-2,4;1,2,-4;1,6,8;9,-e,-17;2,-r,-b;1,1g,1s;1,-l,-16;7,-9,2;1,m,0;3,e,f;1,-b,7;1,-z,-c;1,4,-f;1,p,-n;1,9,15;2,-1,14;1,-e,-1o;2,3,i;1,-l,3;1,j,n;1,v,m;1,-1l,-23;3,i,-7;5,q,24;1,-x,-20;1,3,q;1,t,1n;3,-x,-t;1,-i,-1w;1,1q,1j;2,-1g,-1e;1,19,1k;1,-1a,-s;2,-4,-c;1,18,1l;1,b,-o;1,-z,n;2,-c,-2a;4,o,h;7,4,o;2,h,1i;c,-2s,4p;1,5,-4b;1,9,3u;1,o,-4z;1,7,2j;4,8,t;2,-10,10;3,r,-2y;1,h,q;3,-1r,39;3,c,a;1,10,-5b;1,3,3p;1,c,-2e;1,-1d,40;2,o,-4y;3,-s,2v;1,n,1u;1,7,-l;3,-h,r;3,l,-4z;1,-4,13;1,-h,-1b;3,5,5b;2,-c,9;2,15,-3h;3,-y,2y;5,r,-4z;1,-w,56;2,8,-2w;1,k,-d;1,-7,2;1,-p,2q;1,-f,5;1,1f,-47;1,-r,4r;1,u,-4k;1,-u,4l;1,x,-4q;1,-y,4l;1,s,-2q;1,-m,2m;1,1,-a;1,-r,-1;3,q,-2c;1,-7,2u;3,p,-12;2,-1f,-9;2,a,-3o;1,1l,-2;1,-m,3g;1,5,-m;3,-u,k;1,-8,f;1,w,-8;1,-8,x;1,17,-49;8,-1d,7;1,j,d;1,-7,c;2,-t,-n;1,11,23;1,-17,27;1,y,-v;1,-j,10;1,h,-1a;1,2,-1h;1,-k,-v;1,8,1;1,-3,0;1,z,1y;1,-g,-13;1,x,-1j;2,-1j,4g;1,-2,-44;3,n,-1j;1,-b,3g;1,-l,26;1,1m,-2d;1,-1j,11;1,7,z;1,q,-3t;1,-u,46;1,-9,-n;7,8,k;1,f,-4g;1,-a,2g;1,8,-b;5,l,-1j;1,-z,1v;1,1b,-3;1,-q,1b;1,-7,-1x;3,n,-1r;1,-10,42;1,3,-6;1,a,-k;4,d,-34;1,6,2h;1,-3,-z;1,-x,2p;5,4,-1f;1,l,11;1,19,-4h;3,-1e,1p;2,9,2f;1,-7,g;1,j,-1n;1,-10,1l;2,v,-h;1,-f,-k;2,-k,t;1,-7,2;1,-2,-m;1,4,-2;1,0,0;1,1,-1;2,g,c;2,y,-2x;q,-u,k;1,3,5;1,0,-2;1,1,-2;1,1,5;1,-2,4;1,-5,-8;1,2,-3;1,6,-2;1,4,8;1,-g,4;1,0,0;1,d,-a;1,-d,a;1,6,-1;1,-6,1;1,-2,-8;1,7,-8;1,-3,-3;1,-8,d;1,c,2;2,3,-2;1,-3,-3;1,-6,9;7,6,-9;1,-1,g;5,-5,-7;5,9,-6;1,0,0;8,0,0;4,-2,-2;1,-1,-1;2,0,0;2,0,0;1,0,0;3,3,3;2,0,1;1,-3,-4;1,0,0;2,-6,9;1,7,-2;1,-1,-7;1,0,0;1,0,0;1,0,0;1,-6,9;1,9,-6;2,-g,-a;1,f,d;3,i,4v;1,f,f;1,4,2;1,-2j,-2y;2,1k,1y;1,-c,-1;1,13,q;2,-1j,-z;3,-8,2;1,-o,-1n;1,-l,-u;1,1i,2f;4,-1j,-r;1,6,-i;1,-g,i;1,c,-a;1,5,7;1,0,3;1,-3,0;1,-7,-4;1,0,0;8,3e,2k;1,-1,-d;4,-y,-11;4,-3,-2;2,-k,-7;3,g,a;4,-5,-5;2,1j,1e;1,-o,-r;1,-d,-j;1,o,q;u,-m,-n;6,v,10;1,-5,-9;1,-2u,-35;1,1q,24;1,14,v;2,-u,-e;3,3,9;1,-p,-o;2,19,y;1,-13,-s;1,15,l;1,-n,-b;2,f,f;1,-w,-q;1,z,s;1,d,7;1,-3,-3;1,-l,-l;1,-4,5;1,-10,-n;1,r,c;1,j,h;1,-e,-h;1,-9,7;1,-1i,-2a;2,2k,2g;1,1,-4;2,-1u,-n;1,-t,-1x;1,-8,-5;1,-3,d;1,4,7;1,-i,-a;1,c,c;1,4,-4;1,-o,-s;1,-6,a;1,g,2;1,2z,1w;1,-b,t;1,j,f;1,-1z,-16;7,-z,-f;1,2,c;1,-3,-a;1,-5,2;1,5,6;1,6,-c;1,-g,a;1,-b,2;1,n,4;1,7,-4;1,-b,-1;1,-3,7;1,6,-j;1,-4,e;1,0,-h;1,5,1;1,-5,g;1,0,0;4,0,0;8,0,0;1,28,w;2,-7,-j;1,15,12;3,-16,-v;1,-1w,-2k;1,33,35;d,-2x,-1p;1,-5,0;1,9,-4;1,-8,-2;1,6,-2;1,1,5;1,-7,-6;1,3,0;1,-1,4;1,-3,-3;1,9,-1;1,-a,2;1,5,4;1,-4,-5;1,8,5;2,-6,-5;1,5,7;1,1,-2;1,-9,-4;1,0,0;2,-1,1;6,a,3;c,0,0;a,0,0;1e,d,-m;1,5,-6;1,9,-6;1,-4,0;1,-e,f;1,6,-7;1,-9,8;1,g,-c;1,5,2;3,0,0;g,0,0;2,-d,d;l,-5,9;a,-1,-8;1,c,0;1,-a,6;1,3,2;1,2,-6;1,-3,-5;1,-3,8;1,0,-1;1,2,0;1,3,-5;b,0,0;9,g,-f;1,2,-1;1,-8,9;1,-4,1;1,9,-b;2,-3,d;5,-12,6;1,-1,4;1,7,-6;1,-4,8;1,4,-5;2,-3,2;1,0,4;1,3,-6;2k,11,-2p;2,-3,-f;1,-1,9;1,-2,0;1,5,0;f,-z,-1g;1,j,q;2,2,-y;1,-1,0;2,-1c,27;1,-2,-7;1,e,3;1,w,-k;1,u,2;1,5,-f;1,-j,-9;1,7,q;2,8,6;1,-1r,q;1,1p,-1j;1,-n,21;1,-5,-22;1,3,8;1,7,t;1,-w,-1g;1,-e,17;1,-c,-1r;1,1e,38;1,-12,-21;3,18,-i;1,-19,28;5,b,-26;1,-k,-g;3,1y,1n;6,-12,14;1,-9,-1n;1,-9,-x;2,8,y;2,j,-r;1,-j,-l;1,-k,2c;1,1q,-g;1,-s,-1j;2,-h,2c;1,-i,-1p;2,1n,1o;1,-p,-19;1,j,1v;1,-l,-1f;1,r,-t;2,-1q,-r;1,15,2e;1,-8,-27;1,d,1u;1,2,-a;2,-16,-23;1,1d,c;3,-s,1j;1,0,1c;1,13,-f;2,7,-41;8,0,2;6,-1m,b;2,-7,-a;2,-7,r;1,f,c;1,2d,-1p;1,-12,14;1,-b,-18;1,-s,i;3,-j,-a;3,1j,19;4,-1,-1i;2,p,m;1,-18,-d;1,-6,1j;1,15,-24;2,-14,s;1,k,i;1,c,-f;1,-v,y;3,b,-z;3,-12,13;2,r,-l;2,h,-a;1,2,x;3,f,-1n;1,-i,-e;1,m,o;2,-10,-g;1,o,-a;1,-16,i;2,1e,z;1,-10,-z;1,-i,a;2,-2,12;4,r,-9;2,-e,-10;p,17,-3s;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,2;1,3,1;1,-3,1;1,-4,-3;1,3,-3;1,1,3;1,2,-4;1,-4,-6;1,a,e;1,1,-3;2,-8,1;1,-1,-1;1,0,-2;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;2,0,2;1,0,0;1,0,0;1,0,0;3,0,0;2,t,f;3,-2n,-20;1,5,28;1,9,-u;3,19,-1p;1,-5,1e;1,b,-v;1,-8,8;1,5,-6;1,0,0;1,g,1n;1,-q,-e;1,16,p;1,-1g,-y;1,c,-11;1,-1k,24;1,26,-1b;2,-x,-a;1,a,-j;3,-1j,0;1,26,1f;1,-1t,0;1,y,-o;3,-18,2;1,27,l;1,-u,-25;1,1k,2f;1,-14,-29;1,-5,14;1,-u,k;1,-l,6;1,26,c;1,-1n,-1c;1,9,1k;1,12,-31;2,-g,34;6,0,-7;1,-11,-i;2,u,1e;1,-o,-31;6,r,i;1,-1c,1h;1,-1,0;1,0,0;1,0,0;5,5,-1h;1,19,23;1,n,-7;2,-9,-35;2,-p,g;1,16,1g;1,-i,-y;1,-l,-a;1,1g,1r;1,-5,-r;1,-11,-11;1,-1h,1c;1,1r,-1n;2,3,d;1,-15,2m;1,e,-1u;1,-9,2c;2,f,-30;1,2,1;1,-2,-1;3,-b,1t;1,12,-2j;1,-28,2n;1,18,-1l;1,y,-n;1,-12,27;2,u,-j;2,0,0;2,0,0;4,-u,1f;1,g,-1z;3,-1j,n;2,1t,-1x;1,-1g,26;3,-8,-t;3,1z,1n;1,4,-n;1,-13,j;1,-t,-1v;1,1n,1l;1,-3,-9;5,-k,c;1,-t,-1g;g,-h,-5a;1,4,-3;1,-6,2;2,0,1;4,0,-1;1,9,h;1,-2,6;1,2,-1;3,n,-2b;1,2,0;1,g,1p;1,-10,-2v;1,c,1a;1,s,1g;1,-1e,-23;3,o,1y;1,7,g;1,j,-l;2,2,-b;2,-k,-2;6,-w,1x;1,11,-1e;2,a,d;4,-x,-26;1,-7,a;1,b,x;1,5,-o;2,-p,-24;2,c,2h;1,-9,0;5,1l,w;2,-1l,-e;2,13,15;3,-z,-34;2,d,g;1,6,2g;3,k,-s;1,-10,c;1,3,-g;1,r,7;1,-8,-r;4,-j,-14;2,y,16;1,-d,1v;1,-u,-3y;1,h,u;1,a,1z;7,-w,-m;2,0,2q;1,11,-2t;8,8,52;a,-j,-1r;1,-5,1i;1,9,5;1,p,-13;1,-2,i;1,-j,-1t;1,-z,2s;1,14,-1x;1,-n,-v;3,4,1l;1,7,-b;1,9,13;1,-g,l;1,-8,-1m;1,5,-1r;1,-c,35;2,6,-v;3,-6,9;7,c,-2e;3,-4,2x;4,o,5;1,-z,-1d;2,k,i;1,-p,m;1,d,p;2,c,-2u;6,8,1p;1,-f,-2l;2,-f,19;3,1t,s;2,-12,-h;2,1,-19;4,-9,1k;1,-3,-n;2,l,-m;1,-c,e;2,1,2s;1,-8,-13;1,f,-l;j,3e,5m;1,0,1;9,-6,-q;1,-5,-1g;1,1b,s;2,-1n,o;1,-j,-3;5,1d,h;1,-15,-1r;4,-4,-i;4,u,1r;1,9,1g;1,1,-1m;1,p,-2;2,-1j,e;2,x,11;1,-1a,-2h;1,o,y;1,1,y;1,p,v;1,4,-1p;3,-x,-17;3,-g,8;2,-1,x;7,0,-16;1,1i,12;1,-v,m;1,4,-1b;3,c,1p;1,-v,6;1,1i,-1f;2,-f,1q;1,d,-1n;1,-j,1t;2,c,c;1,-12,-17;1,-4,-h;1,-9,-19;2,g,1q;1,4,j;2,f,-g;3,4,i;1,-10,-k;1,u,-1p;1,d,1e;1,2,14;1,-a,-1v;e,-2c,17;1,3,-6;1,6,2;1,-8,f;1,5,-9;1,-3,-2;6,7,-9;1,-k,c;1,f,-5;1,0,0;2,-s,-b;3,-1h,r;1,2t,-3;1,-p,n;1,-3,-1z;3,l,f;1,-2d,1;1,14,19;1,-1a,v;1,e,-2u;1,7,k;2,1z,1c;1,-1w,g;1,-p,-g;1,2g,-11;2,-f,y;1,-1d,6;1,-n,-1d;1,-4,-3;2,1,3;1,-1,2;5,g,-7;1,1g,n;1,8,-5;2,l,17;1,-15,-p;1,1e,-10;1,-q,6;1,-15,6;1,-l,14;4,2r,v;1,-1v,-1v;2,-m,b;1,-e,-9;3,y,g;1,t,-v;1,-k,a;1,u,m;2,9,-6;2,-t,4;1,-v,g;1,20,-1k;1,-6,0;1,-2w,2e;1,30,-e;5,-2w,-1d;2,1t,i;1,-1a,x;1,2t,w;2,-32,-19;1,1u,1;1,-21,-s;1,2k,c;2,-24,-4;1,-i,z;1,2v,4;2,-19,-84;1,-2,-1;1,i,-1j;1,-f,1s;1,5,t;1,3,-b;1,2,-2i;1,-k,2m;1,-1,-16;3,0,-7;1,i,1f;1,3,-27;5,-g,1j;1,q,-1b;2,-j,n;2,-1,-j;3,9,-4;1,1,-e;2,-c,1r;1,3,-19;3,6,9;1,4,1k;2,-p,-13;2,9,-g;1,-4,2;1,-2,6;5,4,-m;1,3,g;2,-9,-4;2,4,14;5,6,-1q;1,6,r;1,6,-h;17,-2,29;b,g,m;2,6,-l;1,-g,-c;1,l,-5;3,-5,6;5,-g,2;2,i,-4;3,-7,a;2,-4,b;1,-6,k;1,a,-s;3,-2,-3;1,-7,-1;1,-5,-5;1,7,k;1,1,-2;7,3,-6;4,-a,-f;1e,c,-p;7,-9,g;3,7,-10;2,-7,4;2,-7,7;1,j,-3;1,-b,-a;1,p,h;4,3,-5;1,4,-5;3,-13,a;1,19,-6;1,-p,4;1,-a,0;1,-4,b;1,5,d;3,g,-m;2,-i,8;3,j,-q;3,-c,m;1,3,-b;1,-2,-b;1,7,1;1,1,-9;1,4,1b;1,-s,-1;1,11,-d;1,-x,-r;1,q,-1;2,-f,x;1,u,-6;1,-x,e;2,t,-p;2,-a,e;1,6,-7;1,-t,o;1,d,-1j;4,-o,u;1,v,d;1,-f,8;1,f,-16;1,h,p;1,-13,b;1,d,-17;1,-f,1;1,p,10;4,-g,-b;1,-a,-c;1,u,m;1,-h,-h;1,h,-5;2,-12,f;3,d,m;1,0,-d;4,-7,-h;2,-1,-1;1,9,5;3,k,5;3,n,38;1,-4,-2;8,-3,-k;5,1z,2f;1,-1q,-26;2,-x,-j;2,2x,2o;4,-10,-x;1,-15,-q;2,1p,14;4,-19,-1s;3,16,25;1,-28,-2n;3,10,1b;3,-x,0;2,o,-12;1,1m,2k;1,-2f,-2g;1,1l,16;5,-1r,-10;3,26,1g;3,-12,-w;4,9,v;1,-v,-1p;1,-p,-5;3,1m,14;4,-p,-9;4,-7,1;2,-1,-9;1,m,-d;4,-n,-8;2,-7,n;1,-c,6;1,d,-t;1,j,18;5,j,-i;2,-16,-5;9,1n,-21;1,f,-1i;2,s,1i;2,-22,-g;1,b,8;1,o,-10;2,x,-d;4,-s,y;4,e,15;2,-19,-1o;1,-4,-e;2,q,j;1,h,n;1,i,2;2,-1i,-x;2,1e,1d;1,-u,-4;2,1a,-1w;2,-16,19;1,0,k;3,3,-d;1,-a,k;3,10,g;1,-1k,-r;1,1h,-2;2,-1e,-19;1,-1,11;1,k,-g;2,2,-b;2,-8,-c;1,6,12;3,-1,j;2,c,7;1,-t,-v;1,y,-5;1,-17,b;1,1x,1a;1,-j,-24;3,-g,u;3,x,-1e;1,-a,1a;4,-13,6;1,-i,-1d;3,1r,1f;2,-15,-11;1,1a,-o;1,-1c,1t;2,a,g;1,5,-m;2,h,i;2,-o,3;3,-g,-1d;9,k,x;1,2,-2;3,1q,-23;1,-1s,1h;1,-n,-o;1,1l,-1;1,-w,1d;1,e,o;1,3,-1s;1,g,22;1,-1l,-27;1,h,1p;3,-2,-b;1,-8,5;2,-c,-1r;2,26,-1;1,-8,e;1,-s,1p;1,-e,-l;4,-g,-16;2,m,16;1,n,p;1,-y,-x;2,2,d;3,-3,3;1,-r,-k;1,24,1a;1,-1c,-1y;1,r,-a;5,-11,q;1,-9,-p;3,9,1j;2,8,-17;2,r,o;3,8,-w;1,-j,1d;1,-j,-3;1,b,-7;2,s,j;1,-z,-1a;3,15,-o;1,-14,d;4,-5,1g;1,-p,-h;3,1h,-15;3,-1n,14;1,v,-l;2,-i,-j;2,w,1o;1,-6,-8;1,1h,-1x;6,-1y,19;8,w,6;1,1,-10;1,-v,-2;1,-a,q;1,b,-h;1,-7,8;2,-7,2;1,9,e;2,1c,1w;2,4,-2v;1,-w,x;h,16,0;3,l,14;1,-f,7;4,j,-21;2,-5,3;2,-b,11;1,7,-d;1,-6,-h;2,t,-r;1,-12,11;3,-1,11;1,s,-s;1,4,-19;6,-r,1y;1,z,-23;1,-l,2l;1,a,-20;2,-4,-6;1,d,-9;1,-12,29;1,r,m;1,-d,-g;2,e,-y;1,-8,-q;4,a,5;1,-c,w;9,-p,m;1,6,-t;1,10,-1t;e,-1p,16;1,5,5;1,-3,-c;1,-5,b;1,2,-2;1,-2,8;3,5,-h;2,-2,a;1,6,-7;1,0,-9;1,-8,9;1,-9,c;2,a,-6;3,k,-2;1,-j,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-5,8;1,5,-8;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;b,0,0;6,-5,8;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;2,0,0;1,0,0;a,5,-8;c,0,0;2,0,-1;3,0,1;4,0,0;5,33,a6;1,0,1;1,6,-1;1,-3,7;1,-8,-6;5,-9,8;1,n,-v;2,-m,e;1,-5,j;5,v,-3;1,-l,-m;1,0,-3;1,k,-j;1,-r,1h;2,1,3;2,k,-w;1,-f,7;1,-5,8;1,0,-2;1,i,-1n;1,-l,24;2,k,-1v;3,-5,-f;1,-e,23;2,0,-l;1,2,j;1,5,6;1,6,0;1,-6,-1y;2,-e,1k;1j,-2z,-b6;1,1e,-d;1,-6,0;1,-l,-j;1,-13,q;1,r,-n;1,d,-t;1,-17,1i;2,19,-5;1,-14,-10;1,i,a;2,-7,-m;1,1s,14;2,-1s,-r;3,1a,o;1,-11,i;2,7,-a;1,-q,0;2,14,b;3,-u,d;1,n,-1v;4,-r,k;1,o,-a;2,f,d;3,-u,c;1,n,3;3,-j,1;1,n,-8;2,-1g,p;3,2l,-e;5,-1r,-1b;2,-d,16;2,n,-9;1,c,z;2,-b,-1n;2,-8,1o;1,-f,-e;2,c,c;2,p,3;1,-p,-1j;1,6,p;1,-d,t;1,6,-7;s,-11,-3;5,-8,f;1,3,6;1,-m,-d;3,b,4;1,8,-c;2,6,9;3,-a,9;4,-9,-e;3,q,-4;1,-7,-7;3,-7,k;2,4,f;2,-3,-l;2,-4,8;1,1,-4;2,a,-d;1,-8,1;1,c,2;5,-h,-1;2,c,3;1,-5,-3;2,6,-7;1,-i,l;1,-a,-c;1,o,-8;1,3,5;1,-5,b;7,-9,-11;4,3,-5;1,k,6;1,-m,-2;2,o,-j;1,-m,r;1,f,-1;1,-d,9;2,c,-q;2,-6,8;2,-l,m;7,k,-s;1,-5,o;2,-b,-4;2,6,3;1,-4,-a;1,0,8;4,2,2;3,s,-l;2,1a,-b;1,2,5;1,-1,-3;1,-4,-8;1,3,d;1,0,9;1,0,0;1,1,-h;1,0,0;1,0,0;1,-1,h;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,1,-h;1,0,0;1,0,0;1,-1,h;1,1,-h;1,0,0;1,0,0;1,0,0;1,-1,h;1,0,0;1,0,0;1,0,0;1,0,0;q,1,-f;f,-1,f;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;m,-1q,2z;1,-4,-1;8,-g,-d;1,1,3;1,1i,m;1,-13,3;4,2,-z;1,a,n;2,-13,8;3,k,-a;2,-1,c;1,-a,-r;1,h,b;4,m,v;1,-n,-h;1,v,5;3,-q,-k;1,r,n;2,-r,-x;1,s,r;1,-1f,-4;2,7,3;1,l,-t;1,-d,-e;1,n,12;2,-l,-s;1,1,f;2,7,0;2,-g,-3;1,1b,z;1,-h,-j;2,-w,-7;3,l,7;2,q,9;2,-k,9;1,-g,-y;1,s,g;2,6,i;2,-17,-16;1,d,i;2,-2,0;2,-f,-x;1,4,8;2,8,m;1,q,d;1,-a,-a;2,-u,-i;6,v,m;d,8,2;1,-12,-4;2,w,-7;2,-7,d;1,1,5;1,-i,-i;1,h,6;2,-8,3;2,-5,-w;2,-8,m;1,5,-n;1,r,z;1,-l,e;1,6,-h;1,-b,-f;1,2,8;1,-p,e;4,x,-7;1,3,3;1,-o,-i;4,i,2;4,k,o;2,i,4;4,-9,4;1,-19,-z;8,6,1b;7,y,d;4,-3,-4;3,-e,0;1,-i,-a;3,-3,-c;2,-d,2;1,1j,q;4,-g,-d;1,-7,-7;1,-i,-2;1,-a,-1;2,1h,o;3,-9,4;1,-l,-k;1,c,7;3,-j,-r;e,6p,16;r,d,0;1,-l,-8;1,j,i;1,-13,-2;1,26,1;1,-p,1;1,-11,0;1,z,-3;1,-11,-f;1,-b,6;1,e,-6;1,-8,0;6,1p,e;3,9,-1;5,-2h,-g;1,29,i;2,-y,-9;1,-c,7;1,2,4;2,w,-1;8,-g,-3;4,-8,0;1,2,-7;q,-2l,-2f;1,-4,4;1,2,-4;1,4,5;1,5,-5;1,-b,4;e,0,0;1,0,0;c,-9,-j;1,p,17;2,-15,c;1,2,7;1,4,-b;3,-9,-6;1,r,-o;1,-f,8;3,18,y;1,-1l,-2;1,f,-a;1,15,r;1,-u,-1o;1,-10,12;1,i,-8;3,1t,z;4,-6,-7;1,-1r,-1e;1,k,j;1,15,1a;2,-1r,-2p;3,1r,2s;2,-1e,-2a;1,v,14;5,h,j;3,-1d,-8;2,b,-x;1,3,-r;3,b,s;3,6,-8;e,-14,3e;1,-22,-14;1,u,7;2,-l,-7;1,8,a;2,-2,-5;1,2,1m;1,1d,-m;5,-j,-g;2,-d,-4;1,w,k;1,0,0;3,-p,-f;2,c,o;4,-1,-n;1,p,7;1,-z,9;4,c,-b;2,-3,8;1,b,8;1,m,2;3,-f,t;9,9,-a;3,-j,8;1,8,g;3,0,-r;2,-b,8;1,t,18;1,-2f,-30;2,21,32;1,-14,-13;2,-d,-1v;1,1e,15;1,-h,s;1,x,g;1,-g,d;1,f,-b;2,-13,-z;2,u,3;1,5,h;2,-f,-k;2,-f,0;2,-i,-e;1,1j,x;2,-h,-i;2,h,t;1,-1q,-25;1,1s,2h;2,-21,-17;1,24,1d;1,-12,-17;1,-o,-a;2,m,19;2,-q,-20;3,28,-4;1,-2,3;4,2,-8;e,g,-1c;1,-15,i;2,m,14;2,-h,-1n;2,5,-5;3,g,1x;5,-1g,-16;2,19,-1e;1,-e,1l;1,w,-5;3,-12,-l;1,-g,15;3,17,-1q;1,-3,2l;1,k,-14;1,-o,15;2,-t,-1z;3,14,28;7,3,-t;1,-m,-1z;4,n,1x;3,-5,1;3,-10,-4;2,1c,1d;2,-1v,-1m;1,24,-i;1,-17,l;6,-f,-u;1,l,z;1,l,1;i,-3,5;1,-d,16;3,-1,-13;2,j,1a;1,-l,-2g;1,-w,c;3,15,-15;1,-c,2n;3,16,-1q;2,-13,-q;1,a,1e;2,-2,r;1,4,1a;1,-3,-2e;4,-11,-j;1,1c,1b;3,1,-1d;1,-d,1w;1,2,-1s;1,m,h;1,-g,o;2,-2,15;3,-p,-2c;1,s,2s;3,-1f,-21;1,1k,-1;3,-l,9;1,-g,-7;4,o,-w;5,1,14;2,f,4;12,h,11;1,2,1;2,-5,-c;1,7,f;1,0,-2;1,3,c;1,-8,-8;b,-3,s;1,-7,-i;1,l,-15;3,-h,17;1,b,i;2,2,-18;4,-6,g;3,4,-9;3,-h,s;4,l,-r;1,-c,j;1,9,-m;1,-8,-8;2,9,6;1,-g,m;7,-2,-15;1,2,0;4,0,5;1,3,3;1,4,-18;1,7,g;1,-h,f;3,-5,e;2,-1,-f;2,j,3;1,-b,-1;1,-2,-5;2,8,d;1,d,-t;1,-k,k;2,-4,9;3,l,-13;1,-e,l;3,9,-6;1,-9,x;1,0,-l;1,4,g;2,b,-i;1,-m,3;a,-28,-13;9,-g,-7;1,10,-8;4,-1,a;2,-z,-a;2,p,a;2,-2,8;2,-9,-l;1,6,7;3,7,f;2,-i,-7;2,l,c;5,-5,-z;2,2,-6;d,-1a,g;5,-5,-w;4,9,19;2,-8,-3;5,6,-9;4,0,0;4,-8,-b;1,-8,q;2,2,-n;1,-1,b;1,-6,-8;1,a,i;3,-5,-g;6,7,-r;1,h,1a;d,2i,5s;1,2,-2r;2,-5,m;3,7,18;1,-6,1a;3,-9,-e;2,a,-2j;1,7,10;2,e,12;1,-m,-1k;2,m,1y;4,-5,-q;5,-t,-f;8,b,-j;4,9,i;7,c,0;3,8,q;2,-12,6;2,g,-2;4,-6,5;2,i,1;1,-1,-2e;3,g,25;y,-1i,1;1,-17,-18;2,-2,-x;3,2,j;1,1m,2j;2,-o,-u;2,-b,-e;2,-d,-1k;1,-p,8;2,2f,2p;1,-s,-1s;5,6,1j;a,-7,-1z;3,-8,m;2,-i,-a;7,y,c;2,-g,-i;4,7,1f;1,l,-t;3,-w,-11;a,n,25;1,-12,-23;i,3,-d;2,-3,-6;3c,-7r,-2s;1,12,-e;2,-g,1e;1,-5,-p;1,5,-u;1,-k,o;1,-t,-v;1,7,f;2,1t,y;1,-9,-1d;1,-h,i;1,7,u;1,-f,-1m;1,i,19;1,l,f;1,-15,-l;1,14,-11;1,-d,2a;2,6,1;1,-1f,-1m;2,1m,-7;1,-a,-a;9,-n,x;1,o,-b;1,-6,18;1,-2,-13;2,-a,f;1,q,k;1,-j,-1d;1,h,1w;1,3,-21;1,-r,o;1,-5,n;1,e,1;1,f,-m;1,-1w,-o;1,y,-4;13,b,10;4,0,0;1,0,0;2,-e,7;1,-7,-i;1,4,a;1,2,-2;1,5,8;1,0,-7;1,-a,c;1,-1,-2;1,0,0;1,0,0;1,7,-3;2,0,0;1,0,0;1,0,0;1,0,0;1,-7,3;3,7,-3;7,-6,-2;3,-1,5;k,0,0;1,8,-3;1,-8,3;3,0,0;1,b,-1;1,-b,1;15,0,0;1,7,-3;2,-7,23;1,g,-2;1,-1a,-s;1,6,7;1,-f,-d;2,-3,1c;1,-4,-f;1,-l,-q;3,33,1e;1,-2a,-d;1,1j,-u;1,-h,m;1,2,1;1,8,7;3,-b,-7;8,-o,z;1,-1k,-1u;1,1m,-9;1,14,1z;2,-r,-1h;2,h,-v;2,-1r,2c;2,f,-2l;3,-s,1b;1,23,18;1,1,-w;3,-1t,-r;1,y,7;1,x,e;3,-1k,n;1,1b,-4;3,-1b,a;2,1h,-8;1,-1o,-c;1,1a,-1f;1,d,-3;1,-b,1;1,-3,7;1,e,-8;1,-8,2;3,-3,1;a,b,2i;3,-2d,-1m;1,25,-q;1,-5,t;1,h,-18;1,0,1;3,12,v;1,-b,-1;2,3,1m;1,-1o,-2z;1,6,-2;1,-6,3;1,5,-6;3,0,21;1,-b,-27;2,10,1y;1,-2,14;3,16,6;1,-3l,-26;4,2m,1;1,w,1f;1,-20,t;1,i,-1l;1,y,1h;1,k,-i;1,-26,-p;1,e,-f;3,1d,e;1,1,0;1,0,0;1,4,-b;2,-2m,j;1,2r,2;4,-2p,13;1,1,-1;1,-3,4;8,1e,-j;1,-16,-11;1,1j,8;1,17,1h;1,-25,-11;5,h,3;1,-8,-1b;1,-h,-12;4,e,21;1,-12,-n;1,2c,-j;1,-4,8;1,-k,1h;1,-f,-21;1,1,-j;9,-4,t;1,-1a,8;2,1r,-n;1,-b,-c;1,1d,1d;1,-36,n;1,26,-6;2,10,p;g,-w,-18;6,0,2;1,0,-2;1,-1,-3;1,1,3;1,5,2;1,-a,-1;1,1,-8;1,8,4;1,-3,-9;1,2,3;1,-3,9;1,0,-2;1,0,2;2,0,0;1,0,0;1,0,0;2,0,0;1,4,1;5,-4,-1;2,0,0;2,0,0;6,0,0;3,0,0;h,b,-2;p,-b,2;f,0,0;2,1,-4;1,-1,4;1,0,0;2,-1m,2z;1,n,-c;1,18,-5;1,-24,z;1,2,-1e;1,-1,u;1,32,i;1,-1j,v;1,i,-1f;1,-n,-x;1,-f,v;1,5,-6;1,-1,5;1,c,-p;1,-1,-2;1,1,-4;1,0,a;1,-j,n;1,8,-c;1,-i,18;1,-m,-l;1,1z,-3;1,-14,-f;1,-w,16;1,1y,-3;1,-1g,-y;1,8,15;1,0,-8;1,2,-e;1,-v,1f;1,-3,d;1,3,-9;1,0,0;1,0,d;2,2o,-1c;1,3,1;2,-1s,-19;1,-9,-1;1,1q,-n;1,-1s,2m;1,-d,-1w;1,20,14;1,-16,-7;1,-19,-17;3,21,1u;2,19,q;1,-31,-2l;1,2w,1r;2,-2i,a;1,2c,-c;1,-1r,b;2,-e,-2f;1,k,n;2,-f,-9;1,28,23;1,-11,-1d;1,m,7;3,-2a,11;1,-5,7;1,2q,-7;1,-1g,-n;1,w,-17;1,h,-7;1,-2,-2;2,-2b,21;1,-5,-9;4,1x,-11;1,p,f;1,-g,-11;1,k,1g;2,-6,16;1,-19,-1i;1,-1,9;1,12,t;2,-1j,-n;1,-p,-s;1,4,v;1,2i,j;2,-1b,-u;1,-j,f;2,m,-27;2,-s,1c;1,-1,-4;1,-5,1;1,c,8;1,-4,-7;1,-3,-6;1,4,2;1,1,4;1,4,2;1,-8,3;1,3,-3;1,5,-5;1,4,-3;1,6,7;1,-6,0;1,-2,a;1,3,-k;2,-5,b;1,-5,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,2,8;5,-2,-8;1,0,0;1,0,0;4,0,0;a,0,0;6,0,0;2,0,0;3,0,0;7,0,0;7,0,0;1,0,0;e,0,0;5,0,0;2,-3,-1;1,3,1;1,0,0;2,k,-r;1,5,4;1,-7,2;1,6,-4;1,-2,-7;1,-2,1;1,-4,1;1,7,1;1,2,6;1,0,0;1,0,0;1,4,-7;1,-i,1;2,e,6;2,0,0;5,-6,-4;27,-5,36;1,0,-2;1,-2,-5;1,7,-2;1,g,22;1,-2d,v;1,1f,-3l;1,-y,3o;1,1i,-2m;1,-1k,2z;1,d,-2f;1,l,e;1,-f,-1k;1,-q,2t;1,1g,-2f;1,j,-s;1,-1p,2q;1,2u,8;1,-1w,-18;1,1o,k;1,-32,11;1,1d,-2q;1,13,f;1,-1x,4o;1,w,-36;1,-q,2m;1,d,-3k;1,-c,-7;1,9,-6;1,-b,-w;1,2k,13;1,2,-7;1,-2k,p;1,4,-1;1,-3,5;1,-1,-4;1,-2,d;2,22,-u;1,-10,z;1,-3,-7;1,1q,-1l;1,-1b,18;1,k,-1g;1,d,1f;1,-1p,1g;1,15,-t;2,-a,5;1,x,-1z;1,-26,-h;1,b,z;1,25,y;1,-c,a;1,3,d;1,-19,-2e;1,-2,1u;1,-11,-5;2,3,1t;1,k,-1p;1,1v,c;1,-2s,-25;1,u,w;1,-l,2b;1,2m,-1z;1,-g,s;1,-v,-1v;1,n,1p;1,h,-11;1,-1r,15;1,12,0;1,-1j,-1g;1,1c,z;1,-1u,2l;1,2u,-2j;1,3,m;1,-1t,-1t;1,-t,1k;1,g,-29;1,n,1s;1,-4,-1u;1,-y,r;1,c,1l;1,-t,2q;1,1c,-3h;1,y,4;1,-1t,-k;1,0,1k;1,2b,-1a;1,-y,-c;1,-q,1q;1,-9,-2a;1,-1,2;1,0,-3;1,5,-4;1,1k,24;9,-4,2s;1,-1,-5;2,2,2;1,0,-24;5,-2n,45;1,2n,-13;1,6,-8;2,-5,-1k;1,-2w,2s;1,2y,-1p;1,0,-20;1,5,2m;1,-j,-2k;1,-s,1q;1,1p,-11;1,-k,27;1,-19,-1p;1,1l,15;1,-p,-1a;2,-a,-f;3,y,-n;1,-3c,3g;1,3j,-37;1,-9,3;1,-i,2d;2,-d,6;1,j,-2o;1,-2z,31;1,2n,-1w;2,i,-p;1,-i,24;1,-g,i;1,5,-3;1,1a,-q;3,-1y,c;1,7,i;2,1f,-x;1,-v,-26;1,14,1v;1,-1o,1f;1,-23,-t;2,1z,-2d;2,n,2m;1,j,-b;1,-f,8;1,b,-32;1,-1s,42;1,2f,-3q;1,-1k,n;2,-z,33;1,2b,-1q;1,-c,5;2,j,-q;2,-23,1h;1,21,-2c;1,-i,-3;1,-13,2s;1,-t,h;1,19,-42;2,k,1a;1,g,-1b;f,-2u,-92;1,-1,0;4,6,-2h;1,-v,2q;2,v,-1;1,v,-26;2,-1c,-e;4,4,-p;1,-3,-12;1,k,-e;1,-h,1;1,n,g;1,-e,t;2,k,24;1,-x,-3b;1,d,3h;1,-2,-1;1,6,-8;4,6,-p;1,-n,-l;1,i,-n;1,-9,c;1,h,y;1,-1,6;1,-1,-k;1,-s,-1j;1,1c,32;1,-z,-3p;1,p,3n;1,-f,-2w;1,-a,-z;9,-9,1r;1,4,1;1,-3,8;1,3,-6;1,-6,6;e,j,t;1,e,1f;1,6,-b;1,-17,-2u;1,4,-17;1,a,3f;1,-6,-36;1,e,1o;1,0,x;1,-w,l;1,13,-19;1,3,1b;1,-f,a;1,d,-6;3,-n,-26;2,t,25;1,-m,-2x;1,c,d;1,-1b,4c;1,1g,-3d;1,-1,-6;4,-l,2a;1,0,-1w;3,-1,2;1,-19,32;1,l,-14;1,4,-w;1,5,0;1,f,-a;1,-1,r;1,-v,-e;1,1i,12;1,-1a,-p;1,-1,-2;1,-c,1;2,y,-3c;1,z,2l;2,0,-5;2,-21,2f;1,1a,-2v;3,n,i;1,-d,17;1,n,-u;1,-10,0;1,f,1f;1,-k,7;1,2,-k;1,1,-1a;3,-p,1g;1,6,-1p;1,-9,22;1,16,-44;1,5,3r;1,a,-e;1,-i,-4c;5,s,45;1,3,1;1,-6,8;1,6,-g;3,-11,-2s;1,-2,2;1,-2,1;7,16,32;1,-x,-46;3,-f,45;1,e,-1u;2,y,m;1,-m,-31;1,5,1f;1,-g,3;1,-12,3s;3,-5,-1u;1,5,s;r,s,-z;1,-3,-4;1,-2,-2;1,0,4;1,1,3;1,3,-4;1,-6,0;1,5,-7;1,-6,4;1,-5,0;1,4,7;1,2,5;1,9,-2;1,-1,-k;1,-3,m;1,4,-d;1,-b,-4;1,9,b;1,0,0;1,0,0;1,0,0;1,0,0;1,4,7;1,-4,-7;2,-h,-2;1,a,e;1,7,-c;1,0,0;1,0,0;1,0,0;1,0,0;1,-3,-4;1,3,4;1,0,0;1,-3,-4;1,3,4;4,-3,-4;1,3,4;1,-3,-4;1,0,0;2,0,0;1,-g,-1;3,g,1;3,3,4;1,0,0;1,0,0;1,0,0;2,0,0;2,-3,-4;2,9,9;1,-9,-9;2,0,0;1,0,0;3,6,2;1,-f,5;1,8,-7;1,1,0;1,-a,-9;1,6,a;1,4,-1;2,-h,2;1,f,-e;2,2,c;1,0,0;1,-1,0;2,1,0;1,0,0;2,3,4;1,-3,-4;1,0,0;1,3,4;6,-3,-5;1,3,5;2,0,0;2,-j,5c;1,-4,-3;1,4,-5;1,-4,-1;1,3,7;1,-6,-4;1,e,-6;1,-8,b;1,-2,5;1,1,4;1,8,-a;1,-i,g;2,b,-r;1,6,-17;3,-2,2c;1,-1x,-19;1,g,r;3,22,-6;2,-g,21;1,g,-3g;1,0,-5;1,-t,2z;1,-2,1;1,-9,-46;1,9,2d;1,-y,o;1,1r,1y;1,3,-1n;1,-1,1;2,-1u,4;1,18,-3a;1,o,2y;1,-2e,-19;1,1t,2u;1,7,-1h;1,-18,-2l;1,19,2k;1,-v,-2w;2,e,e;1,-8,1q;1,7,2w;1,m,-3x;1,-16,-o;1,-6,8;1,2,-1;2,1p,t;1,-g,13;1,-z,-r;1,-p,6;1,-2,0;1,6,-a;2,-t,-2;1,1p,-19;1,-q,r;1,1c,3d;1,2,-q;1,-6,-3s;1,j,1p;1,-2j,8;1,25,-16;1,-w,19;1,-l,-i;1,15,-t;1,9,0;1,-20,17;1,1g,-i;1,-i,6;1,4,a;1,8,-1z;1,6,0;2,-3,3i;1,-11,-23;1,l,t;1,p,1e;1,-f,-1z;1,r,-m;1,b,-3;2,-a,19;1,-f,t;1,-s,-c;1,o,1o;1,n,-2x;1,-6,1i;1,-q,-1w;2,c,3t;1,-p,-1y;2,-1i,27;1,b,4;1,-c,1;1,1,-5;1,4,7;1,-i,2;1,0,0;1,e,-9;1,-6,7;1,-8,2;1,l,5;1,-e,-b;8,-9,-1o;1,1a,y;1,-1e,0;1,s,-h;1,-2,-10;1,q,24;3,-1f,4;1,s,-1;1,-2,-2t;1,2,9;1,-e,7;1,w,d;1,-7,m;1,2,w;1,-h,-h;2,e,-1r;1,-c,-d;2,1d,1n;1,-1b,-h;1,7,2m;1,t,-1m;1,-i,1w;2,c,-1v;1,-g,-6;1,-1b,12;1,z,-1o;1,-7,19;1,-r,-1d;1,2i,1f;1,-o,x;1,-1i,-2n;1,n,14;1,8,y;1,13,-a;1,-2h,-13;1,1p,2t;1,-1l,-1s;1,5,-p;1,a,-1h;1,1t,28;1,-2d,-b;1,2b,j;1,-2d,-1r;1,-2,5;1,1,9;1,7,2;2,10,-v;6,10,1y;1,-1g,-4;1,6,r;l,2y,k;1,-2,1;1,6,-1;1,-b,-7;4,-9,-j;1,2,2x;1,-d,-1;1,-c,1a;1,-j,-13;1,24,-1v;2,-v,1u;1,-13,d;2,h,-37;1,j,23;1,-b,1y;1,-i,-40;1,i,o;1,j,m;1,-14,2c;1,10,-3f;1,a,x;1,-1,v;1,-1g,1f;1,y,-x;1,v,-1j;1,-1w,2e;1,k,-x;1,0,-1;4,z,x;1,j,-2s;1,-22,10;1,4,-p;1,-5,7;1,-3,-7;1,8,8;1,-1,6;1,-4,-7;1,8,1;1,-8,2;4,1q,-15;1,0,3b;1,-1m,6;1,23,-2z;1,-1p,10;1,p,1k;1,-13,-8;3,13,-n;1,-2,-a;1,0,-2;1,1,4;1,0,0;6,-z,f;1,s,l;1,2,-2r;1,-4,1a;1,-g,-10;1,-h,1y;2,j,1e;1,x,-48;1,-19,3u;1,1w,-39;1,-1o,3j;1,-6,-1y;1,10,13;1,-18,-14;1,11,-w;1,o,t;1,-c,1f;2,-14,f;1,22,-2g;4,-2e,10;7,31,-by;1,-7,-3;1,-1,7;1,1d,-1j;1,-3,e;1,-8,13;1,f,-10;1,1,0;1,-1i,1q;1,4,-8;1,r,-1o;1,-p,m;1,-1,t;2,20,-17;1,-17,-s;1,18,1h;1,-p,-c;1,-19,-8;2,1h,22;1,-d,-32;1,11,2q;1,-14,-15;1,-q,1e;1,15,-1q;1,g,1d;1,-1z,-24;1,1p,15;1,-1i,-6;1,22,-2;2,-1r,-9;1,5,26;1,z,-10;1,-10,7;1,-n,-11;1,c,-7;2,1l,5;1,-18,-19;1,q,32;1,t,-22;1,-8,r;1,-1h,-s;1,g,-x;1,-b,-7;2,z,23;1,-21,2;1,1r,-8;1,-b,-22;1,-3,9;1,1,20;1,-z,-1g;1,1f,1t;1,-i,-2g;1,-15,1x;1,1j,b;1,-o,s;1,4,-1z;1,3,-x;1,1e,1n;1,-1d,-1y;1,g,1t;1,-1b,-c;1,5,4;1,1o,15;1,-j,2;1,2,7;1,-1a,-1n;1,21,j;1,-2g,u;1,1j,-b;1,10,0;1,-h,r;1,-1i,-2;1,7,-h;1,13,-26;1,-1f,e;1,f,1d;1,-w,p;1,26,3;1,-4,-1u;1,1,1l;2,-1j,d;1,d,8;1,d,-9;1,-u,-1v;1,1b,-l;1,5,1;1,k,m;1,-8,6;3,-o,x;1,i,-1n;1,-1d,22;2,-c,-4i;1,-y,-2m;2,9,2v;1,1l,11;2,-1o,-2k;1,-k,l;1,1i,16;1,-w,h;1,f,0;1,-12,-19;1,k,-1y;1,1c,37;1,-10,-15;1,-3,-e;1,-15,-p;1,5,19;1,10,-1v;1,-7,2z;1,c,-1w;1,-v,20;1,-1,-2n;1,9,25;1,4,-2g;1,-9,2c;1,b,8;1,b,-11;1,-i,b;1,l,k;1,-o,1;1,g,-b;1,-3,-3k;1,-o,13;1,u,2w;1,-t,-22;1,1j,2v;1,-r,-2m;1,-f,1e;1,1v,o;1,-2k,-2o;1,r,1u;1,1b,-y;1,-1r,-1c;1,z,15;1,-8,27;1,-u,-22;1,1e,l;1,k,1q;1,-1p,-f;1,s,-2d;1,g,2z;1,i,-1x;1,-1,i;1,6,w;1,-1m,5;1,v,-g;1,-r,-h;1,2,-8;1,-1,9;1,t,1l;1,-5,-q;1,-1l,-3e;2,2f,3k;1,-1v,-1f;2,1,-5;2,10,11;1,-t,-45;1,-j,2p;1,a,1d;1,-h,-1v;1,-4,-x;1,19,29;1,17,19;1,-t,-y;1,-r,-27;2,-d,-19;1,0,3x;1,4,-2b;1,-4,1t;1,v,-1j;1,-3,-2;1,l,18;1,-10,-1v;1,a,-7;1,-n,2b;1,d,-6;1,1,9;1,-7,-7;8,v,-6;1,2,-b;1,-8,f;1,a,-4;1,-4,7;1,-2,-c;4,4,8;3,-c,3;1,g,1;1,-4,-4;1,0,0;2d,-16,-3l;1,-h,-e;1,-4,-l;1,5,12;1,b,-f;1,-2,-a;3,-d,e;2k,-3f,ac;1,10,-2x;1,-2d,l;3,1n,-1h;3,1j,3a;1,-k,9;4,10,-2c;1,-8,-n;1,-v,11;2,-2c,v;2,2k,8;1,3,-2;9,-21,-a;1,2s,-25;1,-n,2q;1,-12,-1l;3,h,-q;1,6,-1h;1,-2a,2i;1,6,7;1,1m,16;1,-15,l;1,-s,-2g;2,1o,18;1,o,-b;1,-5,1t;1,-1m,-15;1,-e,p;3,1b,j;1,-1,-1q;1,-2,-11;1,d,-r;1,1p,1c;1,-2p,2l;2,2s,-21;1,-3j,v;2,1o,-18;1,9,r;1,9,-1r;2,g,-7;2,t,20;2,-11,19;1,-s,-3s;1,7,m;1,-1,0;1,-b,0;1,1o,19;1,-t,-1r;3,6,1z;1,6,1o;1,-o,1;1,-2n,-2k;1,-6,8;j,3y,1x;1,-2c,4;2,x,-1;1,-e,-3u;2,-s,1c;1,23,-1e;3,-1c,4h;1,-i,-2x;1,-h,-5;1,1c,3b;1,-17,-2m;1,0,4;1,-1,-4;1,8,-6;4,1v,-15;1,-1a,8;2,-2,23;1,1j,-2n;1,-d,-8;1,-7,2w;1,-o,-39;1,19,21;2,-1,-k;1,-2m,u;2,x,-4;2,-a,-19;1,16,-1a;4,-1i,3m;1,z,14;2,13,-4p;1,-1x,1g;1,1k,s;1,-1e,1p;2,w,1;1,-1,-2;1,2,3;1,2,2;1,-6,-8;6,-f,-1x;1,11,37;1,-l,-8;1,-1c,-18;1,o,-2m;2,n,-x;2,2,3f;1,9,-1n;1,-3,-5;1,-3,-b;1,-3,g;3,1i,1d;2,-t,-1u;1,z,-z;2,-c,1e;l,-12,8;1,0,0;1,6,0;1,-3,3;1,-4,0;1,3,5;1,0,1;1,-2,-9;1,-3,9;1,8,-h;1,-5,8;1,7,-f;2,-7,f;1,1,6;1,-1,-6;1,0,0;1,0,0;1,1,6;1,-1,-6;1,1,6;1,0,0;1,8,5;1,-8,-5;1,-1,-6;1,1,6;1,0,0;1,-8,-s;1,l,10;1,-3,-h;a,-a,9;a,0,0;a,0,0;u,0,0;2,0,0;9,2l,-2s;1,-5,e;1,9,-9;1,-6,6;1,3,-7;1,-6,1;1,9,9;9,7,-f;2,-b,6;1,1,-1;1,1,-6;1,-o,v;1,13,-1a;1,1,r;1,-e,5;1,-1f,-6;4,1g,5;1,5,1;1,-14,-4;1,-11,-c;1,1y,7;1,-5,-m;1,-p,l;1,t,-9;2,h,0;2,-7,10;1,4,-6;1,-a,6;4,-6,-j;2,e,-t;1,-3,8;2,-1s,n;2,14,i;2,-17,-e;1,26,-17;4,-1u,k;4,t,1j;1,i,-1w;3,b,s;1,-m,-g;1,-1g,6;2,1k,k;1,2,2;1,-d,-b;1,7,-q;1,1,g;1,6,-f;1,4,d;1,-o,z;5,-13,-1b;1,1p,0;1,-6,c;2,-d,-7;2,h,-a;1,0,0;4,-8,16;6,-5r,4y;1,0,1;1,2,-2;1,a,-c;1,-5,8;1,9,-4;1,-e,2;2,0,5;1,c,-6;2,-k,7;1,d,9;1,-3,-k;1,3,9;1,0,b;1,0,0;1,4,-j;1,-4,8;1,8,-d;2,-8,o;1,0,0;1,-7,-8;1,1,-1;1,-1,-12;3,n,1v;1,j,-c;1,7,-9;1,-1,-2m;1,-k,i;1,8,23;1,-i,-1o;1,12,t;1,-m,-l;1,-1l,9;1,b,12;1,25,1p;2,-3,9;3,-y,-26;1,-14,-1g;1,19,-6;1,b,e;1,-1f,i;1,x,1d;1,-p,1;1,-6,-1x;1,1d,2b;2,-17,-1c;1,k,-2;1,-k,2;1,x,1o;3,8,-1f;3,-z,k;1,-6,-4;1,8,6;2,1j,-t;1,-k,5;1,-17,-i;1,14,-19;1,-8,10;2,-h,-q;1,7,-o;1,13,2c;1,-m,-1o;2,g,1t;2,-o,-2h;1,-y,2p;1,r,-x;1,-3,-6;1,-2,5;1,4,0;1,-11,0;1,q,-1d;4,6,2a;1,6,-2r;8,37,2z;1,2,-1;1,-e,d;1,-2,-4;1,8,0;1,a,4;4,-25,9;1,1h,12;1,1t,-1f;4,-b,5;2,-21,-l;1,o,1e;1,1u,-1l;5,-b,11;1,-1z,1d;1,-9,-9;1,g,n;2,5,-2b;2,v,-c;4,b,1d;4,-3,-1a;1,-t,5;2,k,1i;1,-n,0;1,b,t;1,-q,-14;1,1l,1;3,-a,-21;1,-1,-5;3,-1r,1w;1,9,-3;1,-e,-u;4,i,4;3,1b,1j;1,-2b,-1w;1,2b,17;1,-1a,27;1,1w,-26;1,-1t,1s;1,f,-d;1,1p,-1s;1,-1f,h;1,-14,1n;1,23,-1v;1,-v,m;1,-1l,s;1,-8,-8;1,f,e;1,4,-9;1,0,2;1,-8,-1m;1,1m,14;1,-15,1e;1,g,-2l;1,1l,-1b;1,-33,2l;2,h,h;1,a,-2;1,13,-y;1,-1j,-1f;1,11,6;1,x,t;1,j,-15;1,j,u;2,9,-l;1,-2j,34;1,0,0;3,2v,-ad;1,-5,1;1,4,3;1,1,-8;1,-5,6;1,5,-6;1,-2,a;1,2,-a;1,4,5;1,-4,-5;1,0,0;1,0,0;1,7,2;1,-5,7;1,0,4;1,-2,-7;1,6,-8;3,-21,9;1,z,-p;1,-3,-2;1,-6,-j;1,0,l;1,9,-8;1,-7,-5;1,5,p;1,-15,-7;2,1s,-l;1,-6,-3;1,0,-2;1,0,0;1,0,0;1,13,n;1,-u,q;2,-18,1;1,0,-6;1,1e,-i;1,-2,-7;1,-2,6;1,-s,-14;1,f,23;1,-6,d;1,-16,-5;1,0,0;1,3,-1;1,1,1;1,1w,-b;1,5,5;1,-1,-1;1,-1t,2;1,f,-m;1,-c,-n;1,v,-b;1,g,7;1,-3,-1m;1,-1j,1r;2,2a,e;1,-p,l;2,7,-29;1,-d,k;1,-1j,2g;1,1n,-21;2,-b,t;1,-1,-r;1,q,3;1,-d,-o;1,-5,1c;2,4,-1q;1,b,d;1,-r,k;1,8,-i;1,1,-1;1,1,1u;1,5,4;1,8,-1m;1,k,y;1,-1r,-k;1,1l,-c;1,-7,-n;1,2,20;1,d,-3;1,-1h,-1j;1,1c,1b;1,-o,-1r;1,-10,27;1,u,-2g;2,-15,2j;1,1a,-28;1,-d,1h;1,t,16;4,k,1o;1,4,s;1,-u,s;2,-e,-t;1,r,10;1,7,-d;1,-w,2h;1,12,-34;2,-v,n;2,-a,8;1,v,-2;1,0,-2;1,-4,-1c;1,-w,2z;2,a,-14;1,-5,-2;1,7,c;2,1,-z;2,9,-n;1,-d,2s;1,3,-g;1,-9,-1n;1,o,-2;1,7,-h;1,-2,d;1,2,-d;1,0,0;7,-p,2r;1,h,-3a;1,c,-2;1,-h,1i;1,d,-11;1k,-40,-1e;1,1,0;1,-5,2;1,3,a;1,g,-5;3,-g,5;1,-d,-9;1,-14,11;2,m,-3;1,4,a;3,n,-1q;1,-e,1o;2,1v,-2l;2,-12,5;1,-f,t;2,v,-b;2,-17,1n;1,-17,c;1,1l,-1l;1,4,2;2,-m,1;1,1c,0;2,-u,-4;1,13,-17;1,-28,25;2,1o,-20;1,-k,1q;1,1e,-2l;1,-1c,1n;1,-6,8;1,-t,1y;1,1p,-2x;1,4,-4;1,-29,2u;1,1v,-1q;1,u,-19;1,-2h,31;1,1f,-1o;1,-8,1;2,-e,12;3,8,-9;4,d,-1a;1,-a,0;12,y,-z;2,-3y,4v;1,1,-a;1,1,-7;1,-5,8;1,-6,-3;1,5,-7;1,5,9;2,-a,-h;1,-8,-3;1,1x,-v;1,-z,p;1,x,-f;1,-11,14;1,-18,-j;1,1p,-9;2,2,-q;2,-11,1w;1,v,-1t;1,-8,-5;1,q,0;1,1,e;1,-1u,u;1,0,5;1,5,-w;1,-9,v;1,26,-d;2,-14,f;1,q,-1e;1,e,l;1,-10,-8;1,-k,17;1,9,-u;2,-9,w;1,t,-1n;1,-b,1h;1,-3,-9;2,-7,-10;1,10,e;1,-j,m;1l,35,-9l;1,j,m;1,f,-q;1,-3,7;1,-d,-w;1,-4,-1;1,-1,-3;1,i,t;1,-c,q;1,6,l;1,-u,-h;1,-8,3;1,-b,c;1,7,-1;1,-9,0;1,12,-a;1,-h,g;1,r,-8;2,-i,-10;1,m,0;1,5,-5;1,-4,q;1,-10,z;1,u,-19;2,v,-5;1,-v,5;1,-l,-g;1,0,-1;1,-3,4;1,7,-2;1,-b,3;1,3,4;1,4,-9;1,0,0;1,-9,e;1,e,e;1,15,-e;1,-3,6;1,-r,0;1,7,9;1,-6,-6;1,0,b;1,1,-3;1,-8,-8;1,9,3;1,-1,5;3,-7,9;2,-l,3;1,-o,8;1,8,8;2,n,-13;2,k,-18;1,-1,-2;1,7,a;1,-3,-5;1,-4,-a;1,-2,5;1,d,6;1,-b,3;1,4,3;1,-6,-c;1,-y,1u;1,11,-u;1,-f,-1;1,-9,-4;1,5,c;1,t,-q;1,-2,8;1,0,-5;1,-g,z;1,-7,-p;1,9,-o;1,-2,-l;1,0,h;1,-7,y;1,7,-2;1,-1,0;1,4,f;1,-8,-a;1,-5,-1;2,j,-11;1,1,1f;1,1,-i;1,-6,4;1,-u,b;1,16,-6;1,-5,-2;1,5,0;1,-7,b;1,0,-6;2,c,-1j;1,-1,6;1,t,-x;1,-t,-f;1,11,-b;1,-1o,1j;1,1e,p;1,-28,-2f;1,b,b;1,8,1;1,i,1l;1,-x,-1g;1,p,-7;1,16,1u;1,-5,7;1,-1o,-1r;1,-2,-3;1,-1,-2;1,5,3;1,1l,p;1,2,5;1,-18,c;1,1b,-k;1,-c,-1d;1,-b,9;1,-i,1t;1,8,-9;2,16,-1i;3,-15,14;1,-n,9;1,7,-1;1,-6,0;2,16,-1;1,-h,-1r;1,1d,1x;1,-1k,-1h;1,-1,1a;1,u,r;1,t,2;1,-17,-c;1,m,-14;1,-1,1i;1,-7,-20;1,r,2g;1,-g,-2g;1,-1s,0;1,22,29;1,-12,-s;1,0,-15;1,-p,v;2,r,d;1,-c,-o;3,c,o;1,n,-1h;1,4,-6;1,4,-2;1,0,0;1,-5,1;3,-1e,1q;1,19,b;1,-28,-1w;1,2j,17;1,-1,-1d;1,-h,9;2,12,1t;1,-26,-29;1,1s,2k;1,-s,-1n;1,-z,-4;1,-5,8;2,-4,-t;1,1s,1u;1,-5,-i;1,-24,-j;2,f,7;1,19,z;1,2,-6;f,-30,16;1,p,-x;1,-k,3;6,i,g;1,s,-t;1,-9,a;1,-8,1;1,-e,1k;1,3,-3e;1,-f,1j;1,f,-1i;1,-3,t;2,-k,9;1,k,1b;1,-1,0;4,h,-2;1,-i,-s;1,-7,-10;3,c,2n;1,4,-5;2,k,-x;1,-2,1;1,-1,-3;2,-1b,-1x;1,0,b;7,w,2e;2,a,-l;1,-n,-17;1,r,1x;1,-3,-a;3,-18,-h;1,d,e;1,-e,-s;1,r,-u;1,v,18;1,-1h,-21;2,w,n;1,-1,1;1,4,a;1,-d,15;2,p,-12;1,-d,c;1,1,-3;1,-5,-h;1,s,o;1,-5,o;1,-3,-c;1,-c,-1b;1,-f,s;1,c,-6;4,g,17;3,-l,-7;1,-12,5;1,-7,-9;1,1o,-2;1,e,1;1,-v,-u;1,e,5;1,b,4;1,-16,h;1,-i,-m;1,1s,v;1,-1g,-2;1,1b,-d;1,4,7;1,-b,2;3,y,-c;1,-9,8;1,0,0;1,a,-4;1,-2,4;1,-4,4;1,-2,1;1,0,-4;1,3,-1;1,-7,-3;1,-1,-5;1,3,9;1,2,-1;1,-1,-4;1,-5,5;1,1,5;1,3,1;1,4,-d;1,8,b;1,-l,-8;1,9,3;1,5,7;2,2,-3;1,2,-c;1,1,b;1,1,-6;1,7,2;1,-b,8;1,-c,-b;1,2,-9;1,6,c;1,b,x;1,-e,-w;2,-1,-g;1,-a,9;1,x,e;1,-a,-e;1,2,l;1,0,-4;1,-1,-9;1,-d,-1;1,-6,-6;1,g,g;1,8,-4;1,-b,0;1,2,-e;1,-n,-1;1,11,e;3,-n,-5;1,-8,0;1,h,-8;1,5,14;1,-5,-14;1,-9,8;1,e,w;1,5,-k;1,-a,-k;1,5,14;1,-a,-x;1,5,-7;2,5,14;2,-5,-14;1,0,0;1,-9,8;1,9,-8;3,-9,8;1,9,-8;1,-3,c;1,3,-c;1,0,0;1,-a,9;1,a,-9;4,0,0;1,0,0;1,-k,8;1,a,1;1,a,-9;1,-a,9;1,0,0;2,1,-1;2,0,0;2,9,-8;2,0,0;1,-a,9;2,-39,5n;9,-10,-d;1,-8,-v;1,-5,v;1,26,1;1,-1z,1e;1,e,y;2,-c,-s;3,9,-m;1,-7,2;2,-4,s;1,17,b;1,7,-12;1,13,13;1,-31,-o;1,l,-21;1,0,23;5,2e,-19;2,-2d,7;2,-1,t;1,o,-4;2,1a,-e;1,-7,o;3,-1p,-1r;1,14,33;1,-8,-2s;1,-2,b;1,5,2c;1,3,-12;1,-h,-5;1,-5,9;1,-t,-s;1,y,-1o;1,x,2o;1,q,2;1,-1n,-2a;1,5,2a;1,1,-1;1,-3,0;1,3,6;3,-1,-1e;3,u,1n;3,-16,-2l;1,t,10;2,-1k,-v;1,e,a;1,-1,4;2,1x,-3;m,-26,s;2,66,-4r;1,-a,4;1,e,-g;1,-8,7;2,9,-1;1,-a,c;3,k,h;1,0,c;1,16,-1f;1,-2,-y;1,2,11;1,-2k,-8;1,18,2r;1,-q,-21;1,-3,-m;1,-3,7;1,r,28;1,1,-c;1,16,-36;1,-d,2f;2,n,b;2,-14,-12;1,a,4;1,-11,u;1,-4,5;1,z,-f;2,1,-17;1,-8,-h;1,d,1m;1,8,-27;1,w,2w;1,-1c,6;1,i,-3d;1,0,-1;1,n,-6;1,-21,1s;1,c,m;1,q,e;1,d,-k;1,m,1;1,-1j,n;1,-r,-s;1,2,l;3,1t,h;1,-v,t;1,-6,-1k;1,1m,-24;2,-1c,3h;1,-o,-12;1,1w,-1x;1,-6,4;2,5,2a;1,-z,-8;1,-e,-16;1,-x,1b;1,e,-1b;1,-6,n;1,26,r;3,-o,-u;1,1,-10;1,1,1t;2,-1i,-w;1,1q,t;1,-p,c;3,b,-d;1,c,2;1,g,-19;e,-1g,s;1,9,-13;1,6,1q;1,-13,-a;2,-m,a;1,-4,-1;1,2,-1;1,-2,-1;1,-1,4;1,2,-7;1,6,-1;1,-7,4;1,1,1;3,-1,-1;7,-6,g;1,5,-1e;1,-c,p;1,c,-3;1,-j,0;1,19,1c;1,-1t,-v;2,19,y;1,5,-m;1,5,a;1,-i,-4;1,-y,r;2,1o,-13;1,2,y;1,-8,a;3,-z,-1m;1,1f,r;2,-1f,-18;1,-k,16;1,28,o;2,-1k,-1n;1,p,l;1,c,2;1,-t,k;2,-t,-11;5,k,-o;1,5,-1;4,-5,24;2,1d,-j;1,-1u,-1a;1,-6,29;1,-2,-t;1,16,-1f;1,-j,1b;1,b,11;1,-p,-y;2,b,-8;2,-1,17;4,c,-1v;1,-13,x;2,1i,-1r;3,-5,16;i,1j,-4k;2,0,-2;2,q,g;2,a,-1h;1,a,1u;2,-3,-t;1,1,j;8,-h,-l;1,-1,-2;1,2,6;1,-2,-2;2,7,j;1,a,-1n;1,5,l;2,-t,-c;2,-t,-e;1,j,-8;1,-2,25;1,-g,-w;1,d,u;1,4,-i;1,y,-o;2,-b,-z;1,0,q;1,-4,i;1,i,-o;1,0,6;4,-14,l;1,-6,-v;3,18,-4;1,5,1s;1,-8,-26;1,-z,l;2,u,q;1,5,8;1,8,-1a;19,-3r,8q;1,-1d,-m;2,f,v;1,o,-v;1,-8,-e;1,-4,p;1,d,q;1,-t,-18;1,-g,z;1,s,k;1,8,-h;1,-3,-b;1,-8,m;1,-h,-9;1,1p,-q;1,-1f,b;1,j,-q;1,-p,-9;1,r,-6;1,-1l,2h;1,s,-1p;1,t,-3;4,-7,-f;2,-v,1t;3,b,-13;1w,p,15;2,-7,-c;1,8,8;1,-6,-c;1,-5,c;1,g,-8;2,-5,1;2,0,c;1,0,-3;1,0,3;1,-8,-d;2,0,0;1,e,-f;2,-e,f;28,0,0;2,-3z,-3e;1,1o,22;1,5,-1s;1,y,-1n;1,-14,k;1,2,-1r;1,-12,u;1,17,e;1,-u,24;1,-14,-24;1,i,21;1,u,-b;1,-6,-1g;1,6,11;1,-18,-1a;1,2m,-s;1,-t,29;1,x,1r;1,-1e,-17;1,s,-15;1,-q,1g;1,7,-f;1,-w,-a;1,32,-h;1,-2q,-11;1,2s,z;1,-26,1f;1,8,-29;1,16,-q;1,-1e,5;1,x,1n;1,e,-o;1,3,b;1,-3,i;1,-i,1h;1,-1k,-25;1,-l,1m;1,2z,-21;1,-1i,-22;1,-6,43;1,-h,-3k;1,18,2u;2,-7,-m;1,1k,1p;1,-i,-2w;1,-1t,l;2,o,30;1,1,-43;1,-1l,c;1,1r,6;2,7,1q;1,-26,u;2,12,-2w;1,6,-1a;1,1l,38;1,-34,i;1,34,-i;1,-3,2;1,-23,-26;1,2t,t;1,-23,1j;1,q,-2h;1,4,32;1,-1m,-35;1,i,z;1,-q,1;1,-b,k;1,-f,-4;3,18,1n;1,h,-35;1,-1p,2k;1,26,-2f;1,-25,1p;2,1c,-2b;1,1j,3z;1,-2l,2;1,-9,-26;1,44,-3;1,-19,-p;1,r,27;1,-1v,-1j;1,w,28;1,-9,-o;1,-1k,-1u;1,-h,-5;1,1j,f;1,1d,2c;1,-1s,-2f;1,n,2m;1,k,-3z;1,-u,1n;1,3,-8;7,3b,-2a;1,0,0;c,5,14;1,-f,-v;6,a,-9;5,0,0;5,-9,9;3,9,-9;2,5,14;3,d,-1j;1,-d,1j;1,0,0;4,-5,-14;6,0,0;d,-18,-d;m,13,g;1,5,-3;1,0,0;2,0,0;1,0,0;1,-a,9;1,0,0;1,0,0;2,-2l,24;1,3,-1;1,-3,-6;1,3,1;1,-3,-1;1,-2,1;1,4,3;1,-2,-4;1,0,0;1,8,-6;1,0,f;1,-6,-5;1,1,1;3,-9,-b;1,6,j;3,5,-o;1,-2,h;21,0,0;1,-3,6;1,0,-c;1,-b,3;4,-2l,5o;1,z,v;1,13,0;1,-2s,-6;1,-d,-6;2,27,3;1,-4,-a;1,-r,8;1,-5,-2;2,1e,5;1,-1a,-m;1,2,-2;1,2,4;1,-c,-g;2,12,12;1,-1x,0;1,y,-2;1,12,-s;1,-7,16;1,-11,-m;1,g,i;2,14,5;1,-2i,-4;1,1p,17;1,10,-1f;2,-28,-6;2,k,-k;1w,u,1h;1,1,-1;1,-b,3;1,8,2;1,-1,-7;1,-5,2;1,g,-6;1,-4,-1;1,-a,1;1,1,g;1,-9,-4;1,f,-6;2,-b,3;1,b,-6;1,-7,8;2,-4,-2;1,3,-h;1,-3,h;1,0,0;28,-23,-3l;1,-1,0;1,0,0;7,y,-a;2,-1,-1i;1,o,1t;2,0,0;1,-1d,9;2,j,5;1,h,-1x;1,-1b,3x;1,-3,0;1,8,e;1,-1,-k;1,0,7;1,6,-5;2,-l,c;5,1t,-3q;1,-m,-a;1,1,0;1,-5,-1;2,-1p,2d;2,2t,-1m;3,-20,1b;1,i,g;1,1h,-2t;1,-p,30;1,-7,9;1,-22,o;1,1,-f;1,35,-2s;1,-2a,e;1,11,z;1,-n,-16;1,-7,1v;1,r,-1r;1,p,1p;1,-t,-d;1,-2,-1;1,-1u,1m;2,27,-1d;1,-w,1z;1,-1w,-1z;1,35,-g;1,-14,-r;1,-l,2i;1,k,-n;1,11,-2k;1,-1p,2m;1,-6,a;t,1s,-k;1,0,0;2,-2b,-41;1,e,0;1,-6,8;1,0,0;1,c,0;1,-f,6;e,x,-n;2,q,l;1,-w,1l;1,n,-9;1,-t,-27;1,-m,-s;1,p,15;2,-r,-t;1,m,29;1,-v,u;1,v,-28;2,6,1p;1,-1,-x;1,-z,-9;1,1m,-r;1,-x,-5;1,r,r;2,-v,b;1,15,q;1,-1h,-1y;2,u,z;2,a,-o;1,-1b,17;1,v,1;1,x,-3;1c,-1e,-p;1,d,7;2,1n,-2m;1,2,-3;1,-1,3;1,-3,a;1,0,-2;1,1,-a;1,2,-3;1,1,8;1,19,-9;2,c,6;1,-v,17;2,-e,7;2,-w,-19;3,1x,-j;1,-3b,1k;1,1q,-1l;1,-18,1x;5,11,c;3,-m,-21;3,w,1w;2,16,-15;3,-2p,8;1,h,-j;4,27,4;1,-1s,a;3,-d,y;2,j,n;1,z,b;3,-1f,-1r;3,1,-9;1,-11,8;1,-1,-9;2,2f,1l;3,-3,-23;1,r,8;1,-2h,0;3,c,w;1,18,1f;2,-11,-14;1,1h,-w;1,-29,-8;1,1q,27;1,-q,-y;1,-g,-j;2,-n,5;1,j,-16;1,2i,-k;1,-1d,1m;1,0,-18;1,q,1y;1,-1i,-1g;3,1q,-j;1,-27,1j;1,16,-6;1,f,d;1,-c,-p;1,-1y,-b;1,1q,12;1,0,9;1,1,-f;1,10,-r;2,-n,29;1,-24,-2f;2,4o,-1p;2,-r,a;1,11,-17;1,-w,g;1,-6,1a;1,13,-1d;1,0,-l;2,-5,19;1,g,-x;1,-d,16;2,-17,-11;1,-e,3;1,2b,h;4,-v,-n;1,-18,-b;1,23,7;1,-5,8;1,-23,r;1,1,-c;1,21,-3;1,-d,f;2,-c,-j;1,z,2;1,-n,-2;1,-20,g;1,2f,-1i;3,-4,1j;1t,-w,-15;1,5,2;1,-a,1;1,a,-3;1,-d,5;1,7,-2;1,2,5;1,5,-1;1,1,-2;5,-5,6;3,0,0;24,-1,-b;2,2,2;2,-1,9;1,0,0;1,-3,-c;4,-6l,93;1,f,x;2,-d,-x;1,-v,9;1,e,-3j;1,1c,2l;2,d,g;2,-10,-44;b,-8,1o;1,5,5;1,-9,19;4,4,16;3,-w,v;1,2g,0;1,0,0;3,-23,-3f;2,11,1d;1,x,1p;1,-1t,-1h;1,3,10;1,-e,-13;2,2b,m;4,-1q,7;2,17,-2z;1,5,-k;1,-1j,23;1,r,-p;1,-8,-1;2,-e,1h;1,z,-39;1,-m,p;1,-a,1d;1,7,-17;1,c,2c;1,3,-2d;1,-g,3d;1,-a,-3u;1,d,40;1,-9,-f;3,-4,-2z;1,g,1e;1,-4,1y;6,-i,-7;1,-i,1i;1,w,-f;1,0,5;1,-5,-2c;1,-f,2b;1,2,-5;1,-b,a;1,16,-2n;4,-t,f;1,-1,1n;2,n,-3o;1,-h,40;1,x,-3t;1,s,3b;2,-s,-i;3,-39,n;3,3,d;5,q,9;1,-14,-1t;1,11,15;1,-4,-1j;1,-j,2z;1,1,2;1,-a,4;1,d,-9;1,-2,6;1,-6,-2;1,5,1;1,0,0;1,0,0;1,-7,2;1,0,-e;1,7,c;1,0,0;1,-7,2;1,0,0;1,0,-2;1,-2,-x;1,1i,-o;1,-1w,1w;1,3,-2s;1,12,5;1,8,1m;1,1,f;1,8,-9;1,h,-1y;1,-z,u;1,12,-o;1,-29,2o;1,1g,-12;1,c,7;2,c,-s;2,-9,-w;1,1,-8;1,-1,0;8,-e,w;1,-1k,-z;1,1,-1;1,2c,-6;2,-2c,3;1,0,-3;1,1k,27;4,-1b,o;1,0,7;1,1,-4;3,q,-d;1,-1,-3;1,1,3;1,3,0;1,y,-1o;1,-1,2;1,-1n,-p;1,g,19;1,s,-f;1,-1,-11;1,-17,5;2,1w,-5;2,-f,11;2,-3,-5;1,-o,b;2,1,-1l;1,g,19;2,-1f,-o;3,n,2f;3,3a,-1u;1,-6,3;1,-1,a;1,0,-e;1,0,-3;1,3,7;1,-6,2;1,a,-6;1,-3,0;1,-9,-6;1,8,g;1,-e,-a;2,d,1;1,-1,3;1,-5,7;1,-4,-4;1,l,-4;1,-5,-a;1,-7,-6;1,-5,0;1,-5,1;1,-8,i;1,f,j;1,5,-7;1,c,-3;1,-9,c;1,0,-2;1,-4,-o;1,-1,3;1,1,-3;1,0,0;1,1,q;1,-7,-1j;1,6,t;1,0,0;1,0,0;1,0,0;1,0,0;1,-5,t;1,5,-t;3,-c,-8;1,c,8;1,-5,h;1,5,-h;3,-6,q;4,6,-w;1,-1,8;1,-b,a;1,-3,-4;1,-4,3;1,-7,2;1,-e,d;6,12,1;1,6,0;a,-1,-i;d,-4,-6;b,a,-79;1,1,-2;1,5,-4;1,-4,0;1,-c,3;1,b,-1;1,-1,1;1,5,7;1,6,8;1,-e,-j;1,2,e;1,a,-7;1,-4,-9;1,0,0;1,0,0;1,0,0;1,-1,o;1,-3,-h;2,-1z,-21;1,1x,6;1,-1j,v;1,1,4;1,28,-n;2,-1e,19;1,3,6;1,-1a,-1e;1,-2,-h;1,2c,o;1,-c,32;1,h,-2t;1,-1,p;1,-p,-14;1,-y,-h;1,10,39;1,a,-l;3,0,1p;1,0,2;2,1,-31;1,3,1n;1,3,2;1,-1h,-1g;1,f,25;1,-k,-4;2,1r,w;1,-1,-3j;1,6,2;1,-a,-2;2,-13,14;1,-v,25;1,18,-j;1,-m,-2a;1,-14,30;1,1w,-41;1,1,2b;1,-4,-s;x,g,-8;4,-4,7;2,-s,-3t;1,7,-4;1,-h,b;1,b,0;1,2,-9;1,4,-2;1,-3,-c;1,-3,a;1,e,2;1,-11,s;1,t,-s;1,0,0;1,8,-m;4,-f,p;3,1c,s;1,-b,l;1,i,-2e;1,o,2l;1,-1f,4;1,15,-1r;1,b,v;1,-p,-16;1,0,p;2,-z,10;1,18,-j;1,-8,u;1,d,-34;1,-b,-b;1,-2,j;2,-s,n;1,4,1a;1,1,-22;1,19,1u;2,-n,1d;1,g,-a;1,-1r,-1h;1,20,1d;1,-g,-7;1,-4,3;1,-9,-1;1,-q,1;3,1l,-16;2,-1p,-1d;1,x,g;1,-2h,1t;1,0,0;2,1k,-2n;1,10,3o;1,-19,-32;1,z,r;1,0,h;1,o,-w;1,-26,1z;1,o,-w;z,9,-4q;1,-1,0;1,5,1;1,3,2;1,-4,-7;1,-4,-5;1,-4,0;1,-2,4;1,b,-7;2,-5,5;1,-2,-1;1,h,4;1,-4,4;2,-a,0;4,-1,2;1,1,-2;1,0,0;1,0,0;1,0,0;2,6,-a;4,c,t;1,n,z;2,-m,-1t;1,-8,5;1,18,-4;1,-l,21;1,-2,-7;1,n,z;1,-j,-h;1,-13,-2;1,0,3;1,f,-e;2,-c,-9;3,3,7;1,-3,0;1,0,1;1,-3,r;9,-3,-2l;1,m,-1;1,-m,d;1,0,0;1,4,d;1,y,v;1,g,-15;1,-1c,o;1,1h,1d;1,-8,-2x;1,-1a,1z;1,p,-v;1,1,-d;1,-1,d;5,3,-y;1,-h,2j;1,-7,-9;1,6,7;3,7,-1l;5,8,1c;2,-m,-1n;1,-2,-4;1,2,4;9,-27,di;1,-2,-8;1,2,5;1,-8,-5;1,b,3;1,2,-3;1,-5,0;1,-4,1;1,9,8;1,-2,-4;1,0,0;1,0,0;1,-1,2;1,1,-2;1,d,-c;1,-2,-3;1,-1d,11;1,q,-12;1,m,-10;2,-w,n;1,1a,y;3,-23,-20;1,v,e;1,h,1k;1,-1,-2g;3,a,32;2,-p,-d;1,-e,-5;1,x,-7;4,-18,-13;1,x,1r;1,b,-9;2,g,-16;1,-12,-o;4,3,-14;5,s,2g;1,-w,r;1,11,-1d;1,-2,1p;2,4,-15;4,-x,u;1,-h,-b;1,a,-2;2,t,k;1,-m,-s;1,-n,-i;1,12,-a;b,1,-15;1,-p,26;2,-b,-1l;3,7,1j;6,-5,-2i;1,s,w;1,i,1u;2,-13,-x;1,1h,6;4,-3i,2z;1,z,-r;1,-12,e;1,4,-2;2,t,r;1,-v,-7;1,2,3;1,-d,r;1,6,-1d;2,a,-1;1,h,k;1,-m,-a;1,0,4;1,8,f;2,0,0;1,0,0;1,t,-b;1,-3,3;1,9,-5;1,-6,4;1,1,2;1,-e,4;1,-4,-17;1,0,1;1,g,1e;2,-11,-h;2,a,n;1,-e,-f;2,s,-1c;1,2,m;2,0,x;1,b,2;5,-4,-6;1,-l,-c;1,-1,0;1,7,2;3,-c,-3;1,-8,0;1,b,e;1,e,-9;1,-i,18;2,b,-26;1,-4,1;2,a,26;3,-d,-10;1,l,-8;1,-b,e;1,-j,-5;1,1,a;1,y,-13;1,-u,-7;3,a,t;1,1,3;1,-5,-3;1,j,-2;1,-i,17;1,3,-1u;1,-3,-a;1,3,-a;1,-8,w;1,-f,1n;1,4,1;1,0,1;1,0,-1;1,w,-2f;5,-x,x;1,-3,9;1,h,4;1,-e,-8;1,-3,4;1,6,-a;1,b,e;1,-b,12;2,9,-22;1,2,10;2,-k,-f;1,0,-1;1,2,3;1,2,-5;1,-5,0;1,-2,4;1,4,5;1,3,-d;1,-c,5;1,g,-4;1,-a,-2;1,-2,c;2,7,0;1,-q,1s;1,q,-1l;1,2,3;1,-1,-p;1,-d,1;1,c,z;1,-h,-z;1,9,i;2,-a,-7;1,g,a;1,3,7;1,-f,-f;1,c,g;1,-8,-6;1,-9,-x;1,9,16;1,-9,-4;1,d,c;1,6,-j;1,-4,-m;1,-c,-5;1,-2,b;2,a,1;e,8,f;1,0,0;1,-3,-c;1,1,-4;1,2,g;1,0,0;1,-d,-e;1,d,e;1,0,0;1,-3,-c;5,3,c;1,0,0;1,0,0;3,-3,-c;5,3,c;1,0,0;7,-2,-c;1,-1,0;1,3,c;3,-b,-c;1,b,c;2,-f,-4;3,c,-8;1,0,0;1,-1,1;1,-m,1w;2,-o,7;1,1,1;1,3,3;1,-4,-a;1,-4,8;1,4,-5;1,-5,-2;1,-4,-2;1,-1,4;1,6,6;1,0,0;1,5,-2;7,0,0;1,v,1;2,-2,-f;1,6,-8;1,-c,e;1,-e,b;1,m,-l;1,7,-1;4,-d,j;1,-1,0;2,-j,-a;1,1,6;1,-6,4;1,a,1;3,3,-8;1,-t,g;7,-g,-8;1,h,7;1,5,-5;1,4,4;1,q,-c;1,b,-7;1,f,6;1,-n,-6;1,2,0;1,-1d,o;1,-5,1;1,1g,-l;1,-1w,t;1,-1,-2;1,-3,3;1,a,1;1,-5,-2;1,0,0;1,0,-8;1,6,4;1,-a,0;1,b,-d;1,4,d;1,-3,2;5,f,-c;2,-g,-3;n,-80,-n;1,2v,1g;2,j,e;4,-7,-1;1,1,1;1,-g,-e;1,3,0;1,1,-3;1,-1,4;1,4,-4;1,4,-1;1,-6,-2;1,-2,6;1,5,-b;1,a,r;1,1,-3;1,0,-4;1,-1,5;1,-2,-8;1,4,-3;1,-4,-2;1,3,-3;1,-2,-2;1,2,-2;1,-3,-7;1,-1f,-7;1,5,-3;1,0,c;1,-4,-5;1,-l,-i;1,i,g;1,-1i,-h;1,h,i;2,15,5;1,-2m,-3u;1,0,0;1,b,r;1,1,f;2,-c,-16;5,h,22;1,-1,2;1,0,-4;2,3b,29;1,4,-3;1,-1,3;4,t,d;1,2,-1;1,-2,4;1,4,-c;1,1,9;1,-1,-e;1,-2,8;1,5,-6;1,-8,2;1,1,6;1,-3e,-10;1,3f,q;1,-1,h;1,7,-9;1,-6,6;1,3,-f;1,5,-1;1,-8,g;4,-n,-3;1,-1,-7;1,1,7;1,0,0;6,-19,-v;2,0,0;1,1w,p;4,1,3;4,-1b,-2;1,-1,1;4,8,-b;1,-6,-1;2,-3,h;1,9,-6;1,-8,1;1,3,-j;2,-8,b;2,5,8;3,1,6;2,1,-i;1,1,3;2,-3,9;1,1,-4;1,0,-6;1,3,8;1,-3,0;1,-2,1;1,1,-1;1,-1,2;1,3,1;1,-5,-4;1,3,-5;1,0,4;1,2,3;1,3,1;1,3,1;1,-6,2;1,3,3;1,3,-1;1,-4,-9;1,-b,-7;1,6,-1;1,-1,8;1,-3,-4;1,d,3;1,-6,-7;1,-a,f;1,g,-5;1,-2,0;1,-3,-a;1,7,c;1,-8,6;1,-5,-i;1,-7,1;1,-6,-4;1,3,2;1,d,c;1,h,6;1,-5,-4;1,4,0;1,2,-3;1,-i,2;1,-4,-h;1,a,7;1,6,6;1,0,2;1,5,0;1,-12,-p;2,l,a;1,-7,0;1,6,0;1,-3,-5;1,-7,5;1,-6,-4;1,l,5;1,f,h;1,0,4;1,-6,-2;1,-b,-q;1,-9,1;1,6,1;1,-3,-5;1,-6,4;1,-7,-a;1,h,w;1,-k,-f;1,-1,-1;1,l,g;1,0,0;1,-7,-p;1,-e,-2;1,l,r;1,-b,-p;1,b,p;1,0,0;1,0,0;7,0,0;g,-1,-i;9,1,i;2,0,0;1,0,0;4,0,0;1,2,6;3,-2,-6;1,0,0;2,0,0;2,0,0;8,0,0;1,0,0;1,0,0;4,0,0;4,0,0;1,0,0;3,0,0;b,0,0;3,0,0;d,0,0;3,0,0;2,z,6;1,0,-1;1,8,4;1,-6,-2;1,1,0;1,2,1;1,-5,-3;1,-2,-4;1,8,1;1,-4,-4;1,0,4;1,-4,-1;1,5,-3;1,-8,-1;1,3,7;1,0,2;1,1,-a;1,1,-2;1,6,1;1,-2,-2;1,5,-1;1,-6,0;1,0,-5;1,-2,6;1,-2,-6;1,1,-5;1,0,-5;1,-5,f;1,5,d;1,-5,-j;1,-2,-4;1,1,-4;2,c,s;1,-9,-l;1,3,k;1,1,-c;1,-1,c;1,0,0;1,0,0;5,5,-g;1,-5,g;2,0,0;1,0,0;2,6,-d;4,-6,d;4,0,0;t,1,-9;6,-1,9;7,1o,7;1,0,2;1,8,-3;1,-2,2;1,-b,0;1,-3,-2;1,b,1;1,8,1;1,-b,-4;1,a,-4;1,-g,-3;1,f,-8;1,-f,9;1,0,-8;1,0,b;1,1,4;1,5,-3;1,a,-2;1,-a,9;1,0,0;1,-1,-i;1,1,i;2,-j,-2;1,0,0;1,-1,-1;1,-e,-3;1,-4,-a;1,2,d;1,w,-1n;1,-u,1l;1,-3,2;1,0,-8;1,3,-1;1,f,b;1,1,-5;1,-1,-3;1,x,-1d;1,-2,2;1,-c,-y;1,-15,2d;1,0,-4;1,1,4;1,e,2;1,0,-3;1,-1,-5;1,1,9;1,0,0;1,e,-e;5,2,8;1,1a,-2;3,-f,3;1,-o,-1x;1,-7,23;1,0,-3;1,-5,1;1,3,-5;1,-o,5;1,r,-5;1,-1,6;1,-1,-a;1,w,8;1,5,-2;1,-o,-h;1,9,-2m;1,-t,2v;1,-3,0;1,2,c;1,1h,-7;1,-p,-1g;1,b,1m;1,0,-d;2,-k,h;1,-10,-4;1,a,1;1,-1,0;1,0,-6;2,-a,2;1,6,2;1,-5,1;5,v,-1t;3,-r,1j;1,-4,a;1,3,-e;1,-3,e;4,3w,-63;5,h,-2;1,1,0;1,2,-1;1,-5,1;2,23,d;1,0,g;7,e,-7;2,-12,-f;1,-o,7;1,f,-9;1,-2,-1;1,-w,4;3,-8,3;4,-7,-j;3,1r,k;1,x,3;1,-1n,-3;1,1,2;1,1,-6;1,0,3;1,1,-f;1,0,0;1,3,4;2,-18,f;1,v,-y;1,0,2;1,-g,f;6,g,-s;2,1,7;1,3,a;4,-h,t;1,2,0;1,4,-3;1,-6,5;1,-9,-1;1,-5,-w;1,-2,d;1,-f,-d;1,2,-1;1,5,4;1,-6,6;1,1q,8;1,-1q,-g;1,1r,e;2,-1c,-6;1,-6,7;4,7,-g;1,c,f;1,23,n;1,-2y,-16;1,s,r;5,a,-a;1,14,c;1,-1g,-5;1,0,0;1,-5,0;1,1u,g;1,-2d,-o;3,u,-q;1,-4,c;1,2,0;1,4,0;1,-5,3;1,-2,-3;1,1,-3;1,-c,0;1,a,-2;1,6,b;1,-b,-b;1,g,6;1,3,0;1,-7,-5;1,0,-8;1,-e,6;1,h,d;1,4,-a;1,-e,b;1,c,-3;1,-l,-8;1,a,3;1,0,0;1,d,-7;1,-1,-3;1,-2,-6;3,-d,b;1,-5,7;1,0,0;2,0,0;1,e,-c;1,2,-4;2,0,n;9,6,-3;1,2,3;3,-o,-7;1,8,-9;4,0,7;5,-8,2;1,0,0;1,0,0;1,0,0;1,0,0;8,8,-2;1,-8,2;1,0,0;1,0,0;2,0,0;2,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,8,-2;1,-3,-3;4,-5,5;7,-a,-k;1,7,0;1,-2,1;1,-2,-1;1,-6,0;1,1,-b;1,0,3;1,6,-8;1,1,7;1,-3,1;1,-4,3;1,-1,2;1,5,-1;1,3,0;1,-f,-3;1,k,7;d,1,-2;1,-b,-2;1,c,-4;1,0,0;1,-c,4;1,c,-4;2,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,-8,-6;3,8,6;8,9,-6;1,-3,-1;1,-6,7;1,0,0;1,9,2;1,-8,-2;1,d,0;1,-e,5;1,d,-8;1,-a,2;1,7,-1;1,-a,2;1,7,-b;2,-7,b;1,3,-8;1,-1,4;1,-6,-4;1,3,5;1,0,-8;1,-4,4;1,1,-4;1,2,a;1,1,-7;1,-4,3;1,5,5;1,-5,0;1,3,1;2,2,-1;1,0,-c;1,3,0;f,c,2i;1,-2,-5;1,-1,4;1,3,0;1,3,-1;1,-3,1;1,0,0;2,e,-1;1,-3,-8;1,-g,3;1,-2,c;1,-1,-5;2,9,-7;5,-5,13;3,7,-j;2,-1b,v;1,0,-1;1,m,0;3,8,-u;1,0,-3;3,-u,-1;1,a,-a;1,1b,w;1,3,2;1,-i,-1;1,-4,-e;1,3,-f;1,-q,d;2,-3,r;1,13,-b;1,-b,0;1,-4,-p;1,-e,5;1,1a,v;1,-8,-1h;1,-b,v;1,-5,a;1,-23,r;1,1p,-m;1,7,-c;1,-h,y;1,6,-7;1,-18,n;1,2a,-11;1,-10,-5;1,2,-12;2,-1p,1s;1,1o,-1v;2,-1c,a;2,10,21;1,17,-1p;2,-1z,11;1,0,3;1,-2,-8;1,8,-w;2,-8,z;1,-4,b;1,1j,-q;3,1,-f;1,6,3;1,-2,0;1,-1,0;1,-4,6;1,2,5;3,2,-a;2,-1i,-2;6,25,9;1,6,-1;1,-19,9;2,-3g,-r;1,0,-3;1,0,-1;1,7,-3;1,-8,-4;1,6,j;1,-c,-j;1,2,8;1,-7,-6;1,j,-2;1,-e,0;1,5,7;1,-a,6;1,2,b;1,4,-v;1,a,d;1,-1,5;1,9,0;1,-7,-4;1,-b,-2;1,f,q;1,4,-1q;1,-9,c;2,-e,-4;3,15,-4;1,-1d,15;1,0,0;1,a,11;1,-9,-1f;1,a,0;3,i,1g;1,-e,-n;2,v,-y;6,5,1x;1,-t,-2b;1,h,-c;1,5,-1;1,a,d;1,1,4;1,-7,5;1,5,7;1,2,-c;1,1,-b;1,2,a;1,-k,g;1,-t,-e;1,-8,0;3,1v,1y;5,-1u,-12;1,c,-6;1,-b,2;3,9,j;1,8,-8;1,1,8;1,-5,-b;1,-3,d;1,j,g;1,-g,-o;4,x,-11;1,1,-j;1,3,t;1,4,-7;7,-12,5;1,0,-5;2,5,-1;1,-d,8;2z,-15,f;1,-1,0;1,6,0;1,-4,6;1,4,-2;1,-5,-4;1,0,0;1,a,-1;1,1,5;1,3,0;2,-g,2;1,-8,2;1,-3,d;2,i,-c;1,-7,j;2,f,-j;1,6,c;d,1,-j;1,2,-4;1,2,9;1,-4,-5;1,-13,16;1,-e,0;1,5,-2;1,6,-r;1,-5,1d;1,v,-q;1,s,-8;2,-1g,-k;1,0,-2;1j,42,-23;1,1,8;1,4,-f;1,-2,a;1,5,-e;1,2,1;1,-6,-1;1,3,7;1,1,-b;1,-3,-2;1,0,q;1,5,-3;3,-3,-r;1,6,-5;1,-4,2;1,1,0;1,6,v;1,-4,-h;1,2,1;1,0,6;1,-1l,e;1,-5,6;4,1d,-10;1,-n,h;1,g,-5;1,-7,2;1,6,5;1,-4,-1;1,8,-5;1,0,5;1,-4,-6;1,1,3;1,-a,3;1,7,-4;1,3,h;1,-6,-7;1,-2,-c;1,f,1;7,g,-5;1,-l,14;9,7,-q;4,2,-b;1,-q,22;1,0,-6;1,0,6;1,-3,-7;1,-9,-b;1,y,-1j;2,-q,b;2,-1,-3;1,0,1;1,k,-8;1,0,0;1,-1,0;2,a,9;1,0,0;1,0,0;2,-q,6;1,-8,-7;1,-2,r;1,-2,-6;1,0,b;1,3,-2;1,-3,-a;1,5,4;1,-1,-g;1,-3,2;2,3,-9;3h,5g,14;1,j,-5;2,-11,-1c;5,9,-3;1,-b,-7;1,k,l;1,9,-7;1,-4,j;1,-b,-i;1,0,a;2,-q,b;5,k,-6;1,-1,-2;3,5,-3;1,-m,-9;1,5,-6;1,-1,0;1,v,-9;1,-r,12;1,1,-5;1,0,0;1,3,-2;7,-1,-g;1,-1,2;3,7,3;1,1,-3;5,r,14;1,-4,-4;1,-3,c;1,-c,-h;1,f,-3;1,a,5;1,-e,-8;1,7,a;1,0,3;1,6,0;1,-e,1;1,2,-k;1,d,8;1,-2,d;1,-x,3;3,-d,-1k;1,1c,1v;1,-4,-f;2,-l,7;1,-1,1;6,3,-1y;2v,-1a,z;1,-6,7;1,5,-c;1,-c,-4;1,7,4;1,-4,-i;1,4,-3;1,-3,7;1,0,5;1,-7,-3;1,f,c;2,-1,-a;1,b,0;m,0,p;1,-12,-j;1,-3,-4;1,-2,5;d,0,-s;1,1,3;1,6,7;1,-9,-5;1,3,-4;4,-h,-6;1,1l,1g;6,-s,-16;1,-6,-1;1,5,6;4,-8,-9;1,9,3;3,-v,1;2,12,2;1,-l,-6;1,-d,-6;1,-1,2;1,-1,0;1,1,3;1,2,3;3,5,2;1,-1,-6;1,5,1;1,0,-3;1,0,3;3,-i,3;2,-c,-2;1,e,-6;7,1w,2y;6,-g,-4;1,0,-1;1,0,0;1,-e,-1;1,m,5;e,-1,3;2,o,-k;3,-w,12;2,2,-z;1,e,7;2,-2a,23;1,1v,-1o;1,-o,n;1,-1,0;1,3,7;1,-2,-2;1,-1,-5;1,-3,-5;1,3,-c;1,1f,-u;1,0,1;4,-n,-1;2,-1,e;1,3,7;2,-14,j;1,-b,-1;1,1a,-d;1,3,a;1,h,-13;7,-1e,1r;1,0,1;1,2,8;1,-8,-6;1,-6,o;4,15,-1n;1,3,2;7,s,-18;1,-z,1d;1,4,-5;1,z,-j;1,-8,-a;8,-7,5;44,-3m,3v;1,6,8;1,-5,0;1,-7,-5;1,1,f;1,6,-8;1,9,-7;1,-p,b;1,-3,-8;1,c,-3;2,-w,-7;1,i,p;1,0,1;e,i,-21;1,-i,c;1,-4,-1;5,i,17;2,2,5;1,-1,4;1,-8,-2;1,-4,0;1,2,-1;1,3,-5;1,-6,-8;1,d,-2;2,-m,l;1,0,2;1,-3,7;2,6,-5;1,-2,1;1,1,2;1,-5,1;7,hy,-he;1,-1,-1d;1,-g,-l;1,-o,12;3,-r,2d;1,7,-2;2,2l,-1d;1,-1g,m;1,i,-15;1,23,f;3,-6,-d;1,-2e,-x;1,d,2;1,-m,-4;1,f,-c;8,1q,1g;1,-2b,n;1,1z,-1u;1,-2v,-l;1,a,q;1,1o,3;2,7,-h;2,-1o,x;1,1h,-g;1,-1x,-k;1,z,1a;1,-5,u;1,-15,-s;1,8,a;2,26,-6;1,s,4;2,-28,-6;1,15,n;1,1d,-1u;1,-1j,23;1,1t,-1h;1,-1,-1;1,-8,-a;1,c,j;2,-1t,-i;1,-9,-3;1,r,-9;1,9,3;1,-10,a;4,d,9;2,15,8;1,-t,-7;1,-1t,22;1,1m,-2i;1,-16,-f;3,2a,z;1,-21,y;1,1r,-v;1,-1w,-f;2,-f,24;1,2z,-1c;2,-3d,-a;2,3m,h;2,-3m,1e;2,27,-24;3,-o,o;2,8,1a;1,u,-1g;1,n,-14;d,-2e,-7;1,15,1r;2,-1a,-14;1,-b,1;1,1q,9;1,-6,-a;1,-e,-i;1,b,s;1,3,10;1,p,-6;2,-j,-i;1,-19,-c;1,v,17;1,d,-v;1,-o,-x;1,a,1s;2,7,-24;1,8,2m;2,8,-18;2,-k,14;1,-22,-4;1,x,-1i;2,1e,-k;3,-u,b;1,-x,w;1,f,-r;2,1f,12;1,-t,-5;1,w,-1j;1,-1g,2c;1,-8,-7;1,1,-9;9,q,p;1,-2,1;a,-1e,-1q;1,2i,-2;1,-j,e;2,26,e;1,-2l,-4;2,-8,a;1,2e,-1f;1,-15,9;1,-v,-b;1,h,1v;1,-1x,-4;1,c,-2c;1,k,1o;1,-b,1;1,-f,-z;1,d,-r;d,v,z;1,0,0;1,0,-1;1,0,-3;1,-2,3;1,7,9;1,-1,-a;1,-6,-6;1,-3,7;1,8,e;1,-7,-j;1,6,b;1,-3,1;1,5,-f;1,9,i;1,-n,-8;1,h,3;1,-8,-d;1,3,-4;1,0,0;1,-9,4;1,7,c;1,-2,4;1,2,-k;1,-6,c;1,-6,-2;2,6,-8;1,0,c;1,0,-2;1,8,-c;1,0,0;1,-3,d;1,3,-1;1,9,g;1,-9,-s;1,-2,d;1,2,-d;2,-8,c;2,-8,b;1,7,-5;1,-a,-8;1,b,2;1,6,1;3,0,0;4,2,-d;1,0,0;1,0,0;4,0,0;1,0,0;1,0,0;2,-1,f;3,-g,-7;4,f,5;7,-8,7;1,2,-8;1,-4,3;1,9,-2;1,0,0;1,3,-d;1,-2,d;2,2,-d;1,-c,f;1,a,-2;1,-7,-d;1,6,d;1,3,-d;1,-2,d;1,0,0;1,2,-d;1,0,0;1,-2,d;1,2,-d;1,0,0;1,0,0;1,-3,d;2u,-v,-24;1,b,b;1,-b,-8;1,-2,5;1,-2,-3;1,b,-3;1,4,9;x,0,q;1,-19,-1h;1,q,-19;1,-z,e;1,1f,20;2,-5,-18;1,2,-12;1,-y,e;1,n,1t;3,f,-z;1,-b,u;3,-c,-5;1,n,-y;1,-3,-1;1,-1e,-1g;1,-9,j;1,23,-a;1,-1h,t;1,j,n;1,-q,-1a;2,1h,q;2,-1,1o;1,-10,-1d;1,-14,-14;1,1w,a;2,1,1f;1,-10,-1;1,1d,3;1,-h,-3;1,-10,-1t;1,18,27;2,-i,-v;1,r,-q;1,-9,1l;3,-8,-9;1,-2,-3;1,a,-2;3,-e,x;1,-p,-2b;a,2j,29;1,0,0;1,9,-3;1,-3,e;10,w,-2;1,-f,1;1,-10,-1f;1,1a,-5;1,-m,-s;1,-t,9;1,4,v;2,z,-e;1,-d,m;1,-e,10;1,14,-17;1,-e,-1k;1,b,25;1,-l,-m;1,-n,-l;4,m,9;1,-o,1e;3,t,-1u;1,u,4;1,-4,r;5,-8,-16;1,j,5;1,-m,1y;1,-m,-t;1,-s,-18;1,17,19;1,-1f,-1u;1,1j,1o;1,-g,h;1,-n,6;1,2,a;1,1r,-19;1,a,-13;2,-1r,2v;1,1o,-21;1,-1l,-y;1,0,1z;5,-9,-1u;1,1p,2;1,-18,s;7,1u,29;1,2,1;1,-6,-2;6,6,2;1,x,-t;1,-e,u;1,-3,-6;1,6,e;1,2,-h;1,-j,i;1,8,-31;1,k,k;1,-r,1a;1,-s,g;1,1i,i;1,-1o,l;1,2,-f;8,1c,-23;1,4,-5;1,0,0;1,1,-3;1,4,d;6,-1b,1x;3,k,-q;2,p,-x;1,-j,-1;1,p,16;1,0,-t;1,-x,1g;1,-c,-z;1,-3,-q;1,11,g;1,-y,-15;1,-4,8;6,t,-5;1,0,7;1,-2,-4;8,-o,2f;1,i,-g;1,-3,-1b;1,-6,y;1,a,-1n;3,p,-s;m,-x,2q;14,11,f;1,-4,32;1,-m,-22;1,5,-w;2,-h,2g;1,v,-q;1,-8,j;1,-x,-s;1,l,-d;1,c,-10;1,c,g;1,-f,w;1,-7,w;2,-n,-1u;1,0,1b;1,e,-1w;1,e,8;1,-7,0;1,f,g;1,-v,i;1,z,-5;1,-b,-c;1,-h,b;1,8,f;1,-2,1a;1,j,-14;1,-a,-n;1,-2,y;1,-d,8;2,-8,7;1,y,e;1,3,-2d;1,-f,1b;1,-m,-1a;1,d,1a;p,6,-y;1,-6,1;1,-5,1;1,b,-4;1,-2,-3;1,3,-5;1,-1,f;1,-5,-d;1,5,d;1,5,-9;1,0,7;1,-5,2;1,0,0;1,0,0;1,0,0;1,1,-a;8,-8,-b;1x,7,e;1,0,7;1,0,-7;1,2,-6;1,-2,d;1,0,0;1,0,-d;2,-1w,21;1,-4,-9;1,-3,a;1,4,-e;1,-8,9;1,-1,-d;1,-3,7;17,11,-j;1,5,2;1,-p,-2;1,-n,-5;1,j,g;2,b,-5;1,5,-4;1,24,1k;1,-1z,3;1,-d,-1;1,g,-p;1,-1,-h;1,a,a;1,-j,-13;2,1s,1p;1,-11,0;1,5,-6;3,-5,-g;1,-18,-u;1,10,1v;1,0,-1a;1,8,-2;1,-a,-o;2,s,1j;1,m,b;1,-1t,-1y;1,1j,1w;2,-1j,-d;1,14,j;2,-9,-q;1,-1k,-13;1,1q,18;1,1,g;1,-1e,-1w;d,-4h,-14;2,-1q,2j;1,2a,-2k;2,-g,f;1,-2l,u;1,d,19;3,1n,-g;2,-1t,-23;1,p,3k;1,-k,-e;3,2a,-22;2,a,-7;1,j,1o;1,-f,-n;1,-a,-t;1,q,l;1,-2i,2m;1,-14,-3c;1,1z,1c;1,-11,-2n;1,14,31;1,-p,-2b;1,-11,-f;1,3,1k;1,d,4;1,n,0;1,-l,-1d;1,-14,e;1,2i,1o;1,-b,-25;1,-r,z;1,-5,-a;1,y,1;2,14,18;1,-1t,-x;1,c,-l;1,-u,2l;1,-8,-1y;2,2p,-n;1,-1j,19;1,-3,1f;1,14,-2b;3,-r,f;4,-e,1f;1,-o,-1f;2,1d,b;1,-r,4;1,15,-11;1,-1,-5;1,-1,2;1,-13,l;2,-10,-c;1,i,3e;3,1d,-25;3,h,2;1,-27,-b;1,2l,-n;1,-2i,r;1,1,2;1,1r,q;4,-2,-5;1,0,1;1,-r,2;2,1p,-28;1,-g,t;1,-3,c;8,-k,-g;1,-d,5;1,c,-8;1,2,-2;1,-4,0;1,2,4;1,3,-1;1,-4,-7;1,4,b;1,4,-3;1,-8,0;1,4,-8;1,0,5;1,2,5;1,1,0;1,-a,1;1,6,6;1,-e,-3;1,0,0;1,0,0;1,0,0;2,e,-9;1,-e,9;1,0,0;5,0,0;1,0,0;1,0,0;1,c,-7;1,0,0;1,-c,7;5,0,0;1,0,0;1,0,0;z,0,0;e,0,0;a,3y,11;1,b,0;1,-i,1;1,i,-1;1,-2,5;1,-2,-5;1,-4,d;3,-3,-6;14,d,-c;1,-1h,6;2,1f,-1;1,-a,e;1,-18,-1;1,-j,-4;1,21,-9;1,-u,g;2,e,-s;1,b,19;1,6,7;1,-v,b;1,f,-q;1,m,-j;1,-1e,5;1,-e,-k;1,z,-1;1,l,1k;2,3,-1t;1,6,12;1,-s,r;1,-15,1;1,2b,-i;1,-2b,0;1,1p,-q;1,-1a,y;1,1g,-16;1,-19,1d;l,-66,3;1,7,-2;1,5,-1;1,-b,4;1,6,-c;5,10,k;1,0,-17;1,-13,1a;1,-2,-1i;1,-g,4;2,h,-6;1,1a,16;1,-1e,-1h;1,k,25;1,-t,-h;1,f,2;1,8,-17;1,d,-z;7,-7,o;1,-4,-6;9,-q,2;3,6,24;1,-1,-1o;1,q,13;1,m,-1s;3,-19,15;1,k,7;1,5,-19;1,-4,y;1,b,r;7,0,-v;1,2,0;1,-b,-8;8,-l,1k;1,h,-11;2,j,16;1,7,-17;1,-1b,-4;1,h,x;p,j,-4o;j,-g,18;1,2,-2;4,15,-1u;1,-1o,7;1,-2,3;2,f,u;3,4,-p;3,1n,-11;1,-d,-w;3,-x,11;2,-13,7;1,-2,2l;2,1y,-32;1,-u,6;1,11,-y;3,-19,t;2,11,-z;2,-1g,4j;1,f,-2w;1,-x,2c;1,1i,-13;1,-j,-1y;1,f,3;2,1,7;1,0,0;1,-1,2;5,-n,2y;3,n,-3f;1,8,n;2,-s,5;1,d,1o;1,-1,-1k;1,-8,1r;1,-p,1b;3,l,-46;1,1e,p;1,-h,-y;1,-1q,2v;i,18,-32;1,-14,o;1,-4,0;1,0,-1;1,-8,-1g;2,-8,q;2,-19,-1d;2,-a,1f;1,1y,-s;1,f,1;2,i,h;3,f,-17;3,-1e,e;1,5,-c;1,-1t,4;1,3v,e;1,-2g,5;1,-s,d;1,8,0;1,-19,-m;1,2p,-l;1,-2b,21;2,b,-t;1,-2,2;2,-8,h;1,2,-2;2,3f,-16;1,-u,-p;1,8,1y;1,-2l,-1t;1,-n,1l;1,2n,u;1,-22,-26;1,2v,11;2,-3i,h;1,3g,-r;1,-31,1e;1,2a,-s;1,-1o,-1;2,1q,-t;2,-2c,r;1,27,-n;2,18,-z;1,-2z,1a;1,1i,-d;1,-2a,19;1,24,-9;2,-1l,-p;3,9,s;1,-6,-1p;1,2v,k;2,-1y,-4;1,2,4;2,-z,1m;1,p,-28;1,-n,1g;1,f,-h;1,8,e;1,q,-8;1,-1h,g;1,2h,-v;1,-2b,-h;1,2f,0;1,-f,-l;1,f,w;2,-1o,-q;3,-w,8;b,k,l;1,0,-1;1,0,-1;1,-1,-1;1,-5,-1;1,4,-2;1,3,0;1,-2,-j;1,-2,d;1,7,8;1,4,0;1,-2,-3;1,5,-7;2,-g,c;1,3,-7;1,4,4;1,2,-9;1,-e,-1;2,a,f;1,0,0;3,-1,0;3,1,0;2,-1,0;3,-2,-e;7,0,0;1,0,0;3,3,e;8,0,0;8,-3,-e;3,3,e;7,-3,-e;1,0,0;4,3,e;a,-3,-e;3,4,0;1,-4,0;1,3,e;1,0,0;2,-6,-c;2,2,-7;6,4x,3d;1,-1,0;1,1,1;h,-q,-y;1,-9,-l;1,0,0;1,1,s;3,-8,-1;1,-8,-20;1,q,1h;4,v,-10;4,-16,9;2,z,d;2,j,-m;1,-1o,2e;1,1g,-20;2,j,b;1,-v,-v;3,-a,a;1,k,2r;1,t,-6;1,-2n,-1y;1,18,2k;1,-o,-1p;1,9,-18;2,1f,11;2,-3,12;1,-j,-w;2,-o,l;1,-l,-2l;1,r,4;1,-e,-4;1,18,17;1,-1o,1d;1,y,-f;1,-10,m;1,4,-1m;4,x,l;2,-2,12;1,1c,-23;6,-1w,-i;1,h,w;1,-y,-g;1,15,2i;1,d,-1r;4,s,1n;2,g,-1;1,-3,-5;8,-l,4e;1,-7,3;1,7,-3;1,-7,7;q,-3,-g;1,6,-1;1,-2,-4;h,1,3;1,i,-g;1,-1r,1m;1,1r,-l;1,4,-1d;1,-1,1o;1,n,-f;1,-22,w;2,-2,-u;1,-5,t;1,2,-13;1,1r,-19;1,5,15;1,-7,m;2,-q,-11;1,-6,-a;1,-4,1v;1,-4,0;1,-4,-6;1,6,-4;1,-v,-1;1,15,-m;2,4,h;1,-v,1;2,n,7;2,m,-15;m,-v,-7a;3,-11,-8;3,x,-f;1,-1i,3;2,10,g;2,-1,-f;1,-t,-e;2,6,c;1,m,t;3,-18,-q;2,f,g;1,12,0;3,h,-c;2d,bd,37;1,-1e,19;1,1,1r;1,-1,-1q;1,-k,0;1,15,-12;1,-y,2l;2,-t,-9;1,-n,-1f;1,n,w;2,2g,8;1,5,-3z;1,-1i,2o;1,-8,-1g;1,-o,3d;1,u,-1y;1,1p,-2z;1,-1l,1j;1,n,3s;1,a,-10;1,h,-1x;1,-25,-1c;1,-e,28;1,22,-17;1,-f,-h;1,-1h,2j;3,2a,-2q;1,-4,-3;1,b,-4;1,-8,e;1,2,-7;2,-23,1o;1,-18,-8;1,37,n;1,6,-8;1,-i,-2n;1,-a,o;1,b,-3;3,-u,2;1,7,5;1,u,3m;1,4,-53;1,-1g,5h;1,-m,-20;1,1k,-2x;1,-x,1j;1,-w,21;1,r,-1c;1,0,1;1,19,16;1,-1b,-w;1,-4,-e;1,b,0;1,y,k;1,-g,15;1,i,-16;1,8,-7;1,-3,1q;1,-8,-18;1,-d,1;1,c,-2;1,-12,-3b;1,1l,d;1,-g,24;2,-n,-k;1,18,32;2,-1n,-t;1,6,-p;1,k,q;1,0,1;1,-z,-d;1,q,g;1,-1u,-1g;4,1j,29;1,-16,-59;1,g,3;1,a,1g;3,r,-x;9,-18,57;1,0,0;4,1m,-2l;1,-7,-9;2,-r,1p;1,1z,-10;2,-17,2;1,-1,2;5,-17,d;1,9,-c;1,2,7;1,-2,3;1,1,-3;1,0,0;1,-1,3;1,g,-4c;1,-8,3j;1,n,12;1,-s,-3d;1,10,2i;2,-11,-2y;1,22,2p;1,-j,-27;1,-v,1a;1,-2a,13;1,2y,20;1,3,-34;2,j,1h;1,-25,r;1,20,11;1,-h,-g;1,5,-22;1,-1u,n;7,-p,8;1,-1,0;1,3,1;3,26,-2u;1,-10,4n;1,4,-1y;4,13,-29;1,e,17;2,-26,-2;1,1o,-2p;3,1,9;1,-1g,2h;1,-j,x;1,1o,-2i;2,-1z,35;1,1n,j;1,0,-4m;1,1c,4c;1,-19,-2q;1,x,1j;1,-j,-g;1,-1a,26;1,1y,-45;a,-y,24;1,h,-5;1,-j,4;1,-4,2;1,0,-a;1,7,d;1,4,-3;1,-4,-4;1,-3,-5;1,-1,c;1,-7,2;1,6,-8;1,4,3;1,-1,b;1,-6,-g;1,b,9;1,-a,7;1,a,-j;1,-4,7;1,-b,1;1,1,-j;1,a,i;2,2,-1;3,0,0;1,0,-2;1,0,2;1,0,0;2,0,0;2,0,0;1,0,0;1,0,0;1,-3,1;1,3,-1;2,0,0;1,0,0;1,0,0;1,-2,1;1,2,-1;1,-3,1;1,0,-1;1,0,1;1,0,0;1,0,0;1,3,-1;1f,-24,2v;1,-16,22;1,19,16;1,-b,-1i;1,c,-1j;1,-x,-1c;1,3,48;1,i,-v;1,-3,m;1,-6,-3;1,-d,-a;1,7,2;1,f,-2d;1,-a,3w;1,-k,-24;1,-5,x;1,2,10;1,g,-4l;2,-1,38;1,x,-f;1,1,k;1,-11,-4;1,9,-3d;1,3,42;1,-n,m;1,z,-2t;1,-z,-2o;1,14,57;1,-g,-4m;1,6,4h;1,t,-1d;1,-1c,1y;1,1,-69;1,-9,g;1,n,46;1,1b,5;1,-v,-w;1,-8,-18;1,-z,b;1,f,16;1,k,-2g;1,-l,23;2,-b,-2x;2,5,1w;1,0,-2g;1,14,14;1,-1f,20;1,b,9;1,h,-33;1,-i,3u;1,14,1t;1,1,-4u;1,-q,q;1,10,-a;2,-15,-1e;1,o,g;1,-x,4b;1,i,-1j;1,-k,k;1,9,k;1,k,-1y;1,-6,-s;1,x,1r;2,-1a,1v;1,j,-g;1,7,b;2,-5,-1f;1,-n,-1i;1,4,-r;1,-f,-2;1,a,1n;1,1d,-1e;1,-13,1w;1,-m,-1k;1,1u,2i;1,-d,-39;1,-12,9;1,4,1x;1,e,2i;2,-9,-3z;1,8,-1c;1,f,f;2,-13,4s;3,17,-47;2,-1j,10;1,l,0;1,-1,-1p;3,-e,28;1,0,-1;1,0,2;1,-2,3;1,5,-4;1,-2,6;1,-6,-3;1,3,-3;1,-3,-2;1,0,2;1,3,7;1,-3,0;2,5,-7;1,8,3;1,-4,a;3,-6,-j;2,0,m;1,2,-g;2,0,0;q,0,0;1f,c,-d0;17,-2,-6;1l,3a,lf;1,-6,-g;2,4,c;1,1,0;9,-g,-i;1,o,b;1,-h,-u;1,v,12;1,-6,d;2,9,6;1,-7,-8;4,a,7;f,-r,k;1,-7,-1y;1,s,-4;1,-k,1h;1,1,-1;1,l,-18;5,-17,n;6,t,-l;1,-15,7;1,p,11;1,4,-u;1,p,-7;2,0,0;1,-8,8;1,5,-4;1,6,-5;4,-3,1;b,3,2b;1,-x,-2h;1,5,v;1,h,1e;1,-g,-1k;2,e,4;1,-r,p;1,z,h;2,-s,-1r;1,c,26;1,-g,-1k;2,g,5;5,5,-3;2,-1r,-4o;4,14,-7;2,10,12;1,-n,10;1,-g,-11;1,0,-1q;1,c,3i;2,-n,-e;1,p,-2u;1,r,q;1,-1c,-p;1,2,2;2,-8,-p;2,9,1p;1,-t,1n;1,c,-4g;1,1o,36;1,-1j,q;1,m,-3w;1,-y,51;2,1r,-2w;1,4,7;1,-5,2i;1,-h,-49;1,2,-a;4,-1o,1o;1,-2,1q;4,-7,-1w;1,1b,3m;1,4,2;1,8,3;3,-w,-4q;4,1t,2j;1,-23,1f;1,t,-2m;1,v,-1e;1,-3,b;1,-7,o;3,-l,1z;2,1a,-1t;1,-21,-11;1,c,2g;1,1o,1l;1,-f,-2w;3,-m,-5;1,-5,-1l;1,-y,18;1,-2,5;1,1o,1s;1,-1u,-24;3,b,x;1,11,21;1,-1,-1c;m,-1f,-w;1,7,b;1,-b,-3;1,f,b;2,s,f;1,f,-a;2,-8,29;1,4,-6;1,h,-c;2,-g,-7;1,2,-3;1,-1,3;1,0,0;2,-3,v;1,10,-3d;1,-1a,1p;1,-d,11;1,2,1;2,1c,-14;1,-3,-6;1,-2c,-2k;2,1q,1c;1,-j,-1d;1,1,w;1,9,6;9,-7,-f;1,1b,-i;2,-1f,42;2,a,-3t;1,-16,1;1,27,e;1,-n,1p;1,-k,-10;2,1j,e;1,-o,-1x;1,-1g,1t;1,3,-22;3,1k,4n;3,-g,-i;1,-1,-w;1,-14,-3;1,-6,-2;1,6,-5;1,2,-e;1,1e,-6;1,l,g;1,-1y,9;1,1t,v;1,-5,-1k;1,-15,f;1,j,-2w;1,l,57;1,-2f,-4j;2,r,2q;1,t,7;1,-1m,-1m;1,2h,17;1,-26,-31;1,1y,3k;1,-1z,-13;3,-e,-16;1,l,10;1,z,-23;1,l,2q;2,-n,t;1,i,f;1,u,-3k;9,-1h,1j;1,-7,-4;7,-1,-a;3,6,4;2,-2,d;1,-2,-5;1,-1,-3;1,4,1;1,5,0;1,-d,-8;1,-3,6;1,9,-6;1,-c,-c;1,7,4;1,a,s;3,-4,-g;1,0,0;1,-3,4;1,-6,-3;1,9,-h;1,-6,-3;1,6,j;1,-b,-l;4,n,m;1,-c,-1;1,0,0;a,0,0;14,-d,-g;5,a,k;1,3,-4;1,0,0;1,-5,l;3,-e,-f3;1,-1g,-1j;2,g,-5;2,s,1z;1,18,-11;1,-2j,18;2,4,-1d;1,j,-o;1,d,1b;2,-y,-1f;1,r,-5;1,-12,4;1,-a,a;1,a,-a;1,14,d;2,v,1c;2,-16,-23;1,1n,1i;1,-1,-1;2,-2r,-r;1,c,-2;1,7,-f;1,27,w;4,-b,q;2,-1m,-11;1,1b,n;2,-23,k;1,2c,-m;1,-n,-t;1,-1e,1l;2,6,u;1,7,-14;1,-o,-1;1,2w,-q;1,-2m,2;1,t,-7;1,14,w;2,-24,x;1,o,-2t;1,1,4;1,1,-3;2,-s,1i;1,14,-1a;1,1s,1l;1,-2f,-r;1,-k,1z;2,20,-20;3,-1v,-4;1,-3,1d;1,n,-v;1,h,6;1,1e,9;1,-1i,-1m;4,-9,1x;1,-g,-o;1,39,-a;2,5,1;1,-c,-3;3,-2y,-1c;5,-4,j;d,-1,-r;2,-1,0;1,-1,5;1,2,-3;1,-5,0;1,8,1;1,0,5;1,-e,-a;1,1,d;1,6,-1;1,4,-2;1,-2,-1;1,-3,0;1,-4,c;1,-3,-f;1,8,b;1,-6,-3;1,3,8;1,4,-2;2,4,-6;2,4,-4;1,-h,g;1,a,-n;1,c,1;1,-3,9;2,-2,-3;1,-d,-2;1,0,0;1,e,j;1,-3,-6;1,5,1;1,-3,-c;1,0,0;1,-b,g;1,0,4;2,-7,-8;1,c,-j;3,6,7;2,-a,-3;1,5,-5;2,0,0;1,5,8;1,0,0;5,0,0;2,-5,-8;2,5,8;2,0,0;2,-6,-7;1,6,7;1,0,0;1,0,0;5,-5,-8;1,5,8;1,0,0;2,0,0;4,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;2,0,0;3,0,0;1,0,0;3,0,0;4,2l,42;j,-g,-b;1,q,1k;1,i,-9;1,-c,-10;1,6,5;1,-5,-o;1,i,1;1,-m,-1r;2,-5,1y;1,-6,-d;1,5,x;1,g,-2h;1,-h,t;2,-l,19;1,k,s;1,g,-1l;1,0,1;2,-7,-17;1,c,1v;1,-9,u;9,f,-4;2,-e,-20;1,7,-s;1,-e,1e;1,3,1y;1,l,-21;1,-1a,r;1,i,-1m;1,e,3;1,9,9;a,3,-g;a,-4,h;k,-29,p;1,0,-3;1,0,0;2,7,1;3,-7,-1;2,-z,17;1,j,s;2,e,-1f;1,2,-k;1,-12,k;1,2b,-g;1,-3,1j;1,-9,-4;2,c,i;1,-k,-18;3,1,g;2,-2b,a;1,i,-3;1,18,a;1,-a,9;1,1f,-2h;1,-a,-b;1,-1h,1z;1,1v,18;1,-24,-1p;2,14,-18;1,3,4;1,9,e;1,-2e,x;1,16,-c;1,1b,1j;1,e,-i;1,-k,-1s;1,h,1d;1,-14,-a;1,16,-t;1,-1j,v;1,12,-d;3,-l,o;1,-b,-f;3,r,-m;1,-12,-e;1,-11,1a;1,2f,-x;1,-1k,14;2,-7,5;1,16,-1a;1,-5,1u;2,-1r,-b;1,18,-1e;1,-16,d;1,19,p;1,1q,-1r;1,-23,21;1,6,-6;1,-o,b;2,v,-4;1,-y,-10;1,-5,o;1,o,-1b;1,15,f;1,-1n,o;1,1p,15;1,-17,-2j;1,1p,-1;5,-9,1u;1,-b,-f;1,11,-1v;1,-r,21;1,-v,-1o;1,-8,-5;1,-1c,12;8,1q,4h;1,0,0;n,-o,-2j;o,-w,2z;1,a,-2c;1,v,20;1,-15,-27;1,6,2q;1,1r,-1j;1,-1y,1b;1,s,-15;1,-u,0;2,f,19;1,-6,-s;1,1b,-k;1,-6,-g;1,-1b,-g;1,j,u;4,-b,3;1,-7,-b;2,4,-1a;1,r,2b;1,-x,-9;1,1c,-5;1,-q,-2c;1,1i,27;1,-22,n;1,e,-2;3,-h,-1a;1,20,z;1,-x,-h;2,-b,-16;1,-i,k;1,1f,v;1,-1o,1n;d,39,32;1,-6,4;1,0,0;1,m,20;1,-m,-20;1,2,6;z,w,c;1,-i,c;1,6,5;1,-q,-1d;1,b,-2;2,-c,-10;1,7,q;1,13,1p;1,-28,-1b;1,26,c;1,-z,-x;1,1,2d;1,3,-j;1,-s,c;1,1a,b;1,-17,-7;1,2,e;1,-h,-1t;1,14,-10;2,a,o;1,-g,-10;1,a,p;1,-2,23;2,-e,-2i;1,u,19;1,-w,-15;1,t,1i;1,-y,v;1,-k,-c;1,1p,-9;1,-v,-3;1,19,-17;2,-2,1s;1,-1o,-g;1,-f,-z;1,19,p;1,-1f,-12;1,x,-5;1,-g,t;2,-l,1;2,e,-j;1,1t,-7;1,-o,1o;c,-51,-c4;1,m,-1u;1,e,2p;3,-1g,-28;3,-7,-z;1,17,3k;1,m,-1v;3,-1r,-2n;3,b,b;1,w,1h;1,-i,7;1,-p,-2;1,j,-n;1,-s,3;1,j,-d;2,t,42;1,-b,-4c;1,-a,3b;1,-5,-30;1,19,3n;1,-1m,-4s;1,b,3;1,18,1r;1,-j,2a;1,f,-q;1,-2,-4;2,k,-1k;1,-p,m;1,-14,-1o;2,1n,r;1,4,2c;1,-23,-2m;1,s,-o;1,-l,0;1,1,m;1,1y,2x;2,-1,-t;1,-15,14;1,10,-2h;1,-15,2t;2,19,-2d;1,-1p,11;3,-e,-1g;1,15,1w;2,t,-o;2,-e,1s;1,6,-3v;1,-m,f;1,-g,o;2,k,3;1,-17,-2c;1,i,1g;1,1o,l;1,-3,7;1,-1v,u;1,1q,1z;1,-1i,-1k;1,x,-2h;1,-w,2c;2,1e,-b;1,9,-1c;3,-1,3d;2,-14,-1y;1,15,-1i;f,-4e,-2i;1,5,6;1,-2,-3;1,-g,a;g,2g,i;1,-38,-9;1,u,-5;1,-4,-h;2,15,2;1,f,5;4,-a,k;1,-1n,-w;1,1s,11;1,-c,-9;3,1,t;1,o,-1;1,5,4;1,e,0;1,-1,-r;4,-2u,-o;1,-5,3;1,2o,5;2,-27,3;1,u,o;2,0,0;2,-a,5;1,-a,1;2,f,-s;3,18,f;1,-13,-q;1,3,1c;1,15,-m;2,-a,-d;1,-20,-1;2,2z,8;1,-i,v;1,-c,-1f;2,-c,18;1,-g,-1d;1,4,r;1,z,1;2,-1i,-f;2,f,10;2,-t,-1c;1,1s,s;1,-15,-v;j,23,6i;1,-2,-5;1,-4,-1;1,9,b;g,-b,-10;1,-j,1k;3,1j,-h;1,-1u,i;1,18,-13;1,k,1q;1,-8,-1r;1,o,w;4,j,n;1,2,-s;1,4,7;3,-11,v;1,-1x,-31;2,1c,t;2,-7,1r;1,-14,c;2,2t,-i;1,-14,q;1,-1n,-d;1,1l,-13;1,-14,-z;1,-g,8;1,2j,25;3,-1d,-t;1,i,4;1,-m,-e;1,-k,-2;1,19,m;1,-1k,-11;2,n,d;1,2,-10;1,-6,-j;1,1s,1o;1,-16,-9;2,-q,-6;1,o,-b;1,-u,19;1,p,-24;2,y,2l;1,-16,-2v;1,-w,t;1,w,20;1,-o,-1u;1,-7,-t;1,r,1b;1,16,e;l,-2b,-3f;1,-1,0;b,w,13;1,-o,-2;1,g,9;1,-h,3;1,-w,-1r;3,13,-9;1,6,-7;1,-5,17;1,-1j,-v;1,-6,-o;1,p,1n;1,d,-c;1,18,-o;1,-r,-t;1,-e,1z;1,-k,-1n;5,0,-1;5,o,f;1,-s,-v;2,b,1d;1,g,-1a;1,-a,b;1,-r,-f;1,f,19;1,1j,1;1,a,17;1,-16,-23;1,i,2f;1,-w,-2u;1,v,1b;1,-1g,-t;1,x,28;2,o,-2t;1,-5,k;1,-1j,-g;1,15,1h;1,k,-7;1,-8,-t;1,a,-p;1,8,5;1,6,22;1,-k,-1y;1,-1a,1p;1z,-v,-24;1,-10,l;1,-c,-9;1,-w,-8;1,-8,1d;1,-3,-3;1,-r,2;1,27,a;1,-h,-e;1,-n,5;4,14,18;3,2,-3x;2,-1b,1p;1,d,2x;1,-d,-2x;1,-z,-5;1,w,-3;1,24,-14;1,-30,2i;1,31,4;3,-24,-22;1,28,35;2,-3x,-4f;2,2d,22;1,-f,a;1,-q,9;1,k,1u;3,-16,-2k;1,-7,i;1,35,r;1,-1e,19;1,-23,-4c;1,n,2m;1,-b,-u;3,a,-17;1,1f,3o;1,11,-3c;2,k,37;2,-1x,n;2,t,-l;1,1d,-1f;1,-3l,-2w;1,37,1f;1,-16,2g;9,1f,7;1,8,v;1,-1b,-3;1,-m,-23;1,-1q,10;2,2x,-3k;1,-2n,3e;1,32,-24;1,-3c,2s;1,1j,-2;2,-1s,-7;1,-l,-4q;1,-8,-4;1,9,0;8,2i,3k;a,-21,a;4,c,-29;1,1b,2w;1,1l,-i;2,-2b,-2;1,-n,-2;1,d,-2p;1,f,3c;1,g,m;1,-m,5;1,f,-2p;2,t,-v;1,-8,1v;1,2,-1;1,18,-23;1,d,34;1,-1e,-b;1,b,-21;1,3,1f;2,-39,-3n;1,4e,2j;1,-2o,18;1,-p,1t;1,3o,-2d;1,-2x,-7;1,23,1t;2,-a,-1x;1,-10,l;1,-s,-19;1,3d,2c;1,-1y,-31;2,h,23;1,-1b,-23;1,2,-1;1,0,0;1,4,2;6,m,3z;1,-2v,-59;1,b,2h;1,46,1s;1,-2o,-u;1,1r,-x;7,-1l,l;1,2,1;1,0,-2;1,-3,-3;1,2,5;1,7,1;1,-7,-1;1,-4,9;1,6,-f;1,0,6;1,5,5;1,-d,-d;1,c,4;2,-6,4;1,4,1;1,-4,-4;1,-7,5;7,7,-2;7,3,9;3,-4,-9;1,1,0;e,0,0;j,0,-1;2,0,1;1,-b,-8;a,b,8;1,0,0;1,0,0;2,0,0;2,-3,5;1,3,-5;7,0,0;2,2,j;3,4,3p;1,0,-4;1,4,5;1,2,0;1,2,-3;2,-7,-6;2,i,d;b,-8,-b;2,-2l,j;1,29,-17;1,-24,q;1,2p,-h;1,-1,l;1,-b,-1a;1,s,13;2,-1k,-c;2,g,-g;3,i,1f;1,-l,-25;1,l,r;1,-14,-m;1,2t,j;2,-1,19;1,-1w,-7;3,-a,-1h;1,1u,6;1,-2o,n;1,0,-h;2,22,-6;2,-c,1q;2,o,-x;1,-29,f;1,8,-w;2,1x,1f;1,-r,-2d;1,-1p,1q;1,2u,g;1,-4f,4;1,25,-p;1,r,s;1,l,-1q;1,-1x,e;1,-r,t;y,-11,-1r;1,0,-7;1,5,0;1,-j,9;2,0,0;1,0,0;e,x,-15;1,18,1b;1,-25,v;2,-b,-g;1,-18,-1e;1,2e,-p;1,j,t;1,-15,-q;7,k,1e;1,c,8;2,u,m;1,-h,-d;1,2,5;1,-5,4;1,3,-4;8,-1n,1g;1,-p,-9;3,d,-28;1,9,1t;1,-16,-2f;2,29,z;1,y,e;1,-1s,1a;1,2,-w;1,-1s,-1g;1,2j,1g;1,-c,-i;1,-29,-1b;4,v,d;4,24,-v;1,-1a,15;1,j,1j;1,19,-d;1,-22,-26;1,1c,y;1,n,h;1,8,5;1,-1c,-w;1,-b,-z;i,-2f,2b;1,4,3;1,4,-2;2,-4,2;1,0,0;1,-2,3;d,-a,-16;1,a,-4;1,0,0;3,-3,c;4,3,-c;1,0,1o;1,0,-6;1,b,-1;1,-b,8;1,1,-3;1,1,-f;5,2,h;c,0,r;1,-4,-1;2,v,c;1,-m,-2i;2,-p,-4;2,c,u;1,y,1;1,-f,1u;1,-c,-3;1,1,-q;1,a,9;1,-d,-e;1,-4,r;1,7,-7;1,-7,7;2,3,-20;1,-f,-w;1,1g,1a;1,-h,-1;2,-v,-n;1,1l,p;4,-1d,1o;e,0,-3;6,3e,-59;1,-6,-4;1,8,4;q,-f,-2;1,0,-12;1,-11,-p;1,2,1p;1,i,-1x;2,-a,21;3,0,-1b;3,l,21;2,-g,h;2,-a,-1x;2,z,-7;1,-v,12;1,6,-5;3,-c,-3;1,v,-12;1,9,21;2,-8,f;1,-16,-1e;4,1c,-1m;1,-c,25;1,k,r;1,-l,-1u;1,s,1c;1,-z,-r;1,-f,z;1,1k,-1z;1,-1k,-1c;w,6a,7t;1,7,e;1,0,8;1,7,-a;1,0,-b;5,-3,3;k,v,-8;5,-1c,-1u;1,6,1k;1,o,-1v;2,-16,21;1,1a,r;1,-7,-1g;2,-u,q;1,n,-20;1,-q,-b;1,19,2r;1,-w,-38;3,f,1f;1,e,-5;1,-h,-2;1,-6,1d;1,o,-v;1,-c,0;1,i,t;3,-x,-g;1,1,-1;2,-4,9;4,f,15;1,-6,-37;2,-f,17;2,p,-n;1,-z,0;1,z,1r;3,k,-12;11,-6l,bz;2,-1x,o;2,j,-b;1,-6,2;1,2,0;4,1c,-11;1,e,7;1,-1i,d;1,2d,12;1,-2g,f;1,-7,0;1,-d,-a;3,16,-21;2,-t,1o;2,27,-19;1,-1e,g;3,1o,-6;1,-1b,7;1,1b,k;3,-20,-10;1,1f,e;5,7,-v;1,-2b,1e;2,31,-1k;5,-2g,u;2,h,-k;1,u,1e;4,6,-9;1,t,-x;3,-1f,1n;7,1l,-h;8,-h,g;1,4,-q;b,-2g,t;4,8d,p;2u,c5,-2s;1,-19,-13;2,26,f;1,-e,t;1,-1i,-r;1,-18,f;1,2i,-v;1,f,t;1,-1q,-4;1,1,-r;1,16,1;4,-a,0;1,e,s;1,-18,-l;2,n,4;1,1,-8;2,d,-m;1,b,8;1,-8,-6;4,7,o;1,0,-7;1,-2b,j;3,2d,v;1,-26,-19;3,c,z;1,1d,-1o;4,18,t;1,-1t,l;1,1,-14;1,-k,9;1,-j,8;1,26,l;1,-28,-11;1,-1,4;3,2d,j;1,-i,-g;1,6,11;1,d,-1;1,-d,-1d;1,-2a,i;1,n,n;1,-h,-n;1,-2,7;2,1s,e;1,-2,1;1,3,-e;1,g,8;1,-1u,6;1,24,-4;1,-18,-d;4,1e,s;1,-18,-3;1,12,-w;1,-1t,v;q,k,-38;3,-u,1z;1,n,-1g;1,8,y;1,-c,b;1,-g,-2p;4,-3,13;2,h,9;1,k,14;1,-1k,-21;2,y,1h;1,0,-1;7,j,s;b,-u,-1w;2,c,e;1,-f,-n;1,5,4;1,-f,b;1,n,0;4,-3,1m;2,-n,-21;1,i,4;2,e,16;2,9,-16;2,-v,17;1,b,4;1,i,-1a;1,-q,14;3,p,v;1,-1,-3;4,-9,-28;1,6,6;4,-a,19;1,6,-x;1,8,13;1,-w,-1c;n,1f,23;1,6,-7;1,0,-2;1,-1,5;1,-2,3;1,3,-1;1,1,3;1,-4,-9;1,-3,1;1,4,-4;1,1,-2;1,3,1;1,-9,9;1,-2,-7;1,3,0;1,0,-5;1,3,9;1,-3,9;1,-5,-5;1,7,8;1,-2,-6;1,8,6;1,0,6;1,-8,-c;1,0,0;3,-5,5;1,-5,-2;2,a,-3;1,0,0;1,0,0;8,b,a;1,-2,-1;1,-4,5;2,3,6;5,-8,-k;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,-4,-i;1,a,a;2,-6,8;5,0,0;2,0,0;1,0,0;1,6,-8;2,-h,-9;8,h,g;1,-6,1;1,0,0;1,0,0;2,0,0;2,0,0;2,6,-8;1,-6,8;1,-6,a;1,6,-a;1,6,-8;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-7,o;b,-17,23;1,1l,22;1,-1b,a;1,s,1d;3,-l,-a;1,q,r;2,-4,-q;3,-j,-8;2,q,-2n;4,-1r,-1g;2,m,m;4,m,31;2,-x,-m;1,r,d;2,-2,-26;1,-7,6;2,f,-z;4,-4,3b;1,h,-2n;1,f,1i;2,-1,q;1,-9,19;2,-f,-1e;2,1m,-2m;1,-23,w;1,r,19;1,-7,15;1,16,-33;1,-z,2x;1,6,-1c;1,0,-1;1,v,-24;3,-17,3h;4,u,-26;1,-t,2j;1,-i,-3f;2,t,2p;2,-15,j;3,1d,-2q;1,-1b,2h;3,m,-2m;1,1,0;1,-v,1n;1,s,-1o;1,-4,3j;3,-c,-3c;1,d,1d;1,0,0;a,-1w,l;1,r,-u;1,-1,-3;1,-2,9;4,-h,-m;1,x,-m;9,-q,g;3,k,-s;1,0,0;b,-p,2b;3,6,-2j;3,c,5;2,-k,9;2,s,b;1,-z,11;1,u,-y;1,-i,1i;1,2,-1v;4,f,-p;4,-k,1p;4,-3,9;1,o,-i;3,-3,-1e;4,6,-4;4,5,2v;1,-u,-13;2,10,3;1,0,1;5,-q,k;3,3,-1o;2,-f,2b;2,a,-i;1,-c,-1r;3,7,11;3,s,m;7,w,-15;1,-2,-4;1,4,-1;1,2,8;1,-3,-5;1,2,1;1,0,0;1,-4,7;1,6,-g;1,2,9;1,-6,3;1,-2,-b;1,-3,0;1,-1,b;1,8,c;1,-7,-d;5,5,1;1,0,0;1,0,0;2,0,0;7,0,0;3,0,-4;8,0,4;2,0,0;4,0,0;5,0,0;j,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;5,0,0;3,0,0;7,5,-6;3,f,-y;1,0,0;1,0,0;1,0,0;e,0,0;1,0,0;1,0,0;1,-3,0;1,0,0;27,-3j,25;1,1,0;m,f,n;5,g,-r;1,-1j,0;4,p,g;3,7,-g;3,1,b;1,c,-7;1,-1,-2;1,-1,7;1,-3,-6;1,4,-1;5,-1,4;4,-1c,-3;1,1g,-1;4,-z,2;4,-c,f;6,5,-j;2,b,b;u,1,22;2,e,-h;3,-e,f;1,9,10;1,2,-r;2,-5,-a;3,-l,-u;2,6,x;1,n,-6;2,-j,b;1,0,-n;1,-6,t;3,l,k;1,-d,-14;2,m,1p;1,-1,-1x;1,-l,o;1,-4,-4;1,-3,-7;1,-1,-2;9,j,-4;3,-7,14;1,k,-14;1,-v,-h;2,8,14;2,4,2;5,-4,-l;1,b,17;1,-k,-1u;2,o,h;4,1,1h;1,-q,-1m;2,f,m;3,j,-f;2,-f,r;3,-c,-u;1,g,-5;s,-f,-h;1,1,-j;3,3,-6;7,7,x;1,m,-1;1,-r,-q;6,-c,-7;2,f,5;4,-5,29;3,1,-1y;1,n,-1;1,b,-4;3,-13,2;4,-4,3;1,-i,-l;1,1f,k;2,-f,-a;1,c,g;2,-m,-e;3,2,-4;2,n,9;2,-i,-2;2,-h,9;3,4,c;4,y,-j;2,-11,19;1,-g,-13;7,1t,7;5,-1j,-c;2,u,p;2,v,d;1,-14,-u;1,14,-8;5,-1e,o;7,-7,-t;2,d,g;2,b,-e;2,5e,-1n;1,-i,13;1,-o,-10;1,e,s;1,10,-1x;1,-m,17;1,b,2;1,-o,-2d;2,-e,1n;1,1i,6;1,-d,0;2,c,1;1,-4,1;1,7,-5;1,-6,-1;1,-2,-4;1,-7,8;2,9,-a;1,-7,-d;3,a,c;5,-t,3;1,-11,v;2,10,-k;1,-7,1q;1,1,-23;2,-s,27;2,0,-4;1,o,-1c;1,-n,1s;1,1k,-2l;1,-o,1c;1,-b,h;1,8,-2z;1,0,p;2,10,b;1,-27,2v;2,1t,-2g;1,-u,-n;1,n,w;1,-s,-c;1,-7,20;1,a,5;3,13,-1i;2,-17,j;1,d,o;1,d,-1n;1,-w,1a;1,-h,1g;6,1z,-2n;1,-a,b;1,e,-b;1,1,1;1,-3,2;1,-5,1;4,1,-14;1,-1x,34;2,v,-3h;2,11,1m;1,-u,-1d;5,l,f;1,-a,4;1,-1e,35;1,1j,-2z;1,-b,-m;1,-h,2w;1,2,-24;1,-1,-1e;1,y,1y;2,-1d,4s;1,-5,-7;3,-5,3;9,0,0;7,6,-c;3,-14,-4;4,14,-s;1,-5,1e;3,-c,-n;3,a,-17;4,g,1l;2,7,-1c;1,-u,c;1,4,d;1,l,3;2,-q,2;3,-n,-f;a,-3,9;1,1,-1;4,r,-k;2,x,6;2,-w,10;1,l,5;2,-13,-12;2,d,-k;1,19,q;1,0,8;4,-o,-x;1,-v,1c;1,4,-c;2,z,h;6,2,-2a;c,-1e,2a;2,-n,u;1,-2,-n;a,1,c;2,-7,-r;3,g,-a;3,-e,8;2,a,v;2,b,-17;4,b,z;1,-r,l;1,a,-x;2,-c,-1;4,0,-k;2,1,f;a,-8,y;4,e,-s;1,1,-b;1,-6,-4;1,9,8;3,-a,5;2,5,f;1,-2,-g;1,9,9;1,-j,-4;2,d,r;1,-9,-y;3,4,5;3,4,-8;r,-e,-1w;6,-i,-8;3,9,x;1,-4,-1b;2,e,l;1,-o,-g;3,-5,1b;f,z,-n;1,-p,-z;5,-j,1;1,d,1b;8,5,-v;1,-a,u;3,-d,-t;1,1f,q;8,-5,-u;2,-h,3;2,-l,-8;1,w,5;1,-c,15;1,-j,-1;1,i,-16;h,7,r;1,-p,-w;4,1,x;7,s,-u;b,a,14;5,k,i;8,-2,-3;4,-8,-w;1,-b,17;7,-f,6;i,o,-v;8,3,p;5,-m,-1;1,5,-1;7,j,-n;5,-1,3;o,-13,1z;1,-4,0;1,j,n;9,-15,-h;1,9,c;1,t,8;3,-19,-y;2,14,r;1,-v,-p;2,3,h;2,c,f;2,0,-p;1,l,l;1,-9,g;3,4,-9;3,-u,-o;1,v,j;2,-15,-11;1,d,7;1,j,p;1,-f,2;2,-5,-f;1,p,i;1,4,b;3,-7,8;1,-f,-i;1,-9,-x;4,l,18;1,-5,-e;1,a,4;2,-6,-g;1,5,l;1,-h,-h;1,1,-i;1,-5,a;1,8,-1;1,-i,-6;1,12,h;2,-l,f;1,j,-6;1,-8,j;3,c,-10;1,-v,-h;t,t,-b;1,d,-4;1,-h,8;1,-j,-1;1,i,6;1,-l,-b;1,s,-a;5,-s,c;3,k,5;1,3,-k;3,-9,b;2,d,4;1,-a,-9;8,-4,-2;1,-2,h;1,d,-t;3,-5,w;1,-e,-a;4,b,-c;2,9,k;1,-d,-i;2,7,3;2,-a,8;2,d,-6;1,-m,a;1,a,-8;2,l,0;2,-f,5;4,6,8;1,-f,-1;3,f,-1;3,-d,-f;1,-c,a;2,1,-2;w,-3,-1b;1,-5,0;a,b,4;1,-d,-c;1,-4,-n;5,b,p;2,0,-o;1,2,x;1,-6,-e;2,7,r;2,2,-x;2,-9,e;2,-d,e;4,-b,-2;1,10,-e;3,-4,b;1,1,8;3,-4,-4;2,3,-y;1,-d,y;1,3,-b;2,-5,-m;2,3,s;3,8,-i;5,-8,q;1,-2,-2;2,2,-16;1,-f,13;1,5,-e;2,7,-i;6,m,15;1,-l,-5;1,-4,-7;1,-5,-m;1,6,7;1,-b,5;1,m,-8;q,-c,w;6,3,u;2,5,-7;3,-8,-3;2,k,-d;2,-11,-e;2,9,7;1,q,2;2,-f,a;1,3,g;1,-5,-l;2,e,d;3,7,-f;1,-n,0;1,-d,-4;1,m,4;1,-3,s;1,6,-p;1,-e,i;1,5,-1;1,p,-f;1,-o,j;3,a,-g;1,6,0;1,-m,-3;2,9,-4;1,-b,0;1,7,k;6,1,-5;3,-5,-6;1,q,7;2,0,-5;1,-5,4;3v,-t,-gb;1,3,-5;1,-5,c;h,-z,u;1,a,-20;1,10,6;1,-t,-7;1,j,-2;1,-h,1x;2,5,-r;1,v,s;1,-n,-4;2,-y,-1n;1,9,-d;1,1f,2u;2,-11,-27;1,-i,1r;1,18,6;1,-9,d;1,-t,-22;1,-i,r;1,-5,-z;3,16,1o;1,b,1;2,k,-b;1,-1e,b;1,-o,-7;1,2,-2e;1,t,1f;2,o,-k;1,-16,1a;1,13,r;1,2,-2a;2,-2,1e;2,-9,-10;1,-8,6;2,-x,k;1,25,1b;2,-1o,-1j;3,j,-a;1,-c,-f;1,-j,1o;5,-6,k;2,1z,-h;1,-1x,-v;2,1v,k;1,-y,-e;1,p,o;1,s,4;1,-2e,-1l;1,1g,5;1,-c,-q;1,-y,s;d,13,6d;1,-a,6;1,5,0;1,-3,-6;g,-q,j;2,i,-a;1,-5,12;1,6,y;3,p,-u;1,-e,-19;1,2,26;1,-9,-h;1,-a,-e;2,-9,-3;1,1,-1q;1,-1,-1;5,-7,25;1,y,-b;1,1,1;9,-z,y;1,19,-p;1,-17,-n;1,13,z;2,-l,-z;1,-8,n;2,n,-17;1,9,k;3,-2,-9;1,-v,-5;2,d,1c;1,-h,1;3,e,-2e;1,k,11;u,j,-1d;1,-1k,-i;2,3,-l;2,g,z;1,16,18;3,-8,-1;1,-16,-4a;3,w,5x;1,-h,-5g;1,5,1f;1,3,-y;2,e,20;1,-q,-14;1,-7,-d;2,-j,-g;9,l,-j;2,-f,1e;2,0,-1a;4,f,c;1,1,0;b,12,2q;2,-1n,-37;2,y,1v;3,s,2a;2,-8,-1g;1,-1h,-22;3,9,19;1,2,-12;7,16,1e;1,-s,q;1,y,j;1,-15,-1b;4,8,-m;3,-6,19;2,13,z;1,-1h,-2o;1,1m,22;1,-d,-b;d,1l,-1h;1,0,5;1,1,3;1,-1,-3;g,-10,o;1,-m,-j;1,19,-y;1,-19,11;1,-2,5;1,j,-p;1,-e,n;1,12,-s;1,-h,r;2,-b,-b;2,-5,3;1,9,w;1,14,-1k;3,-1h,s;1,y,r;1,-1b,-n;4,1j,s;1,-12,-1l;1,-4,c;2,r,q;1,11,g;1,-17,6;1,3,-1b;1,1a,r;1,-15,-m;2,-c,j;1,1a,-7;1,-f,-w;5,-g,1r;3,m,-c;2,-3,-d;1,-1c,-l;1,1e,15;1,-12,-r;1,9,r;1,6,-1i;1,-9,1;2,-8,d;1,1c,-a;1,-k,i;1,8,-n;1,-2,16;o,j,-1n;1,-17,-1b;1,4,9;2,q,e;2,-1i,2;1,v,-2;1,-o,j;1,-6,-1e;2,n,1h;6,11,-c;1,2,4;b,-1e,6;5,8,-6;1,s,-12;3,-18,1c;1,c,-n;1,-j,n;2,1a,-i;1,-1g,-m;5,t,b;1,19,12;1,-i,-g;1,-1g,-4;2,17,4;1,-8,2;1,w,-s;1,1,11;1,-t,-1m;1,-6,7;1,s,0;1,-3,c;1,-p,-6;1,-v,1f;11,-8,7u;1,-1,-6;1,7,8;d,7,-o;2,-s,d;1,-1,9;9,p,-18;5,-c,13;6,o,-12;2,5,e;3,-u,b;9,b,7;5,-m,7;6,g,-1;1,5,-t;1,f,7;1,-5,k;z,-1l,-1h;1,9,b;q,j,-7;2,-n,1q;2,d,-z;1,-4,13;1,-f,4;3,-1,-7;4,13,-1l;5,-z,1g;2,-9,9;4,a,-4;1c,2o,-3x;1,1,2;a,-g,-s;1,-g,o;2,-15,1e;1,1j,-u;1,-1y,u;1,1i,5;1,-1,2;1,-g,1;1,o,-37;1,-f,23;2,14,-x;2,-o,-g;2,-v,2m;1,j,-29;2,-1c,1h;1,26,-1i;1,-r,2i;7,q,-1y;1,-1n,1s;1,8,-l;1,f,-6;3,-2,-n;2,z,3;1,-13,-g;4,5,1z;1,n,-37;1,2,3;2,-6,1k;1,-5,1h;1,-1i,-u;3,1p,-2i;2,-1,26;1,-e,-u;b,n,0;6,-i,u;2,c,-t;4,8,-d;5x,75,9j;1,-4,-1l;1,z,n;1,-14,e;1,q,1h;1,i,c;1,-c,-3i;1,-15,2n;1,p,-3a;1,-i,3;1,t,2m;2,-5,-2;1,m,18;1,-h,-29;1,-j,-8;1,1,4;1,-f,17;1,1i,9;2,-u,-s;1,i,1d;1,-u,-e;2,-d,3;1,8,-1t;1,m,1q;1,h,j;1,-t,-35;1,-h,2x;1,i,-t;1,j,-q;1,-11,10;2,n,-13;1,g,-r;1,-8,2i;3,-2,-2s;1,-1,-1;3,-i,-k;1,c,d;1,-s,2j;1,u,-34;1,f,2u;2,3,e;4,-u,-v;1,-1,14;1,-5,1;2,4,-1;2,g,-38;1,5,10;1,-r,1h;2,a,-1o;1,8,i;1,l,-9;1,-5,-t;1,-12,1v;1,0,0;1,q,-38;1,-4,4g;1,-7,-4g;1,-b,3d;1,r,-a;2,-11,18;1,o,-2l;1,-3,-17;2,d,3s;1,-d,-1e;1,4,3;1,-5,-2o;1,8,t;1,-8,1h;1,-d,1;7,d,1h;5,-e,-1;3,-1d,-q;1,g,-1;1,a,-i;2,d,w;1,-n,-27;1,6,2s;2,n,-16;1,-9,3;1,-x,1k;1,u,-1b;1,-k,-m;2,-b,-n;1,s,a;1,0,-f;2,h,3;4,-6,a;2,-2,j;1,-5,-s;1,-x,2c;1,i,-3g;2,6,2p;5,-o,-c;1,w,-9;1,1,-h;1,-r,1l;2,10,-2v;2,-v,-f;1,d,v;1,-l,33;1,5,-30;1,o,a;1,b,13;1,-9,q;1,-r,-6;1,m,d;1,-4,-2x;1,-v,2h;1,w,-2t;1,-d,26;1,2,t;1,-8,-p;1,t,n;1,-12,j;2,8,-31;2,14,g;1,-i,2d;1,-f,-1x;u,k,g;1,5,8;1,0,0;2,0,0;1,b,-c;2,3,1;1,2,-1;1,-5,4;1,-2,-b;1,1,c;1,-2,-1;1,-4,0;2,5,4;1,5,-9;1,1,5;1,-2,-8;1,-2,m;1,8,-j;1,-8,2;1,0,-1;1,-e,8;1,e,-8;1,6,a;1,2,-g;1,-3,-1;1,-6,5;1,-2,-2;1,a,8;2,-7,-4;1,-3,c;1,2,-o;1,c,g;1,-5,a;1,5,-7;1,-g,7;2,5,-e;1,e,4;1,3,-4;4,1,3;b,-i,-3;9,0,0;5,-1,2;1,1,-2;2,0,0;2,0,0;1,0,0;1,0,0;7,0,0;8,0,0;4,0,0;8,6,f;2,1n,-l;1,-3,-6;4,-1,1;1,0,0;3,-8,-1t;1,-e,1;3,r,25;1,-c,6;1,18,-19;1,-1b,1y;1,-h,-3g;1,0,x;1,s,1x;1,-d,7;1,7,-12;1,m,-2;1,-v,-1k;1,n,2n;1,-3,-25;4,h,j;1,-v,-1e;1,8,1j;1,-f,-1j;1,-4,33;1,s,-a;1,-12,-1v;1,15,12;1,-g,13;2,-2,-1w;1,9,h;1,-e,e;1,-i,-27;1,f,1u;1,8,-q;1,5,-s;1,-a,j;1,0,-n;1,e,3f;1,-8,-g;1,t,-1c;5,-10,n;1,-k,-1w;1,e,n;1,1a,6;1,-1i,-i;16,2y,-1;1,0,1;3,-5,j;1,-6,k;1,u,-b;2,-r,11;2,z,-u;1,-15,-z;1,m,3;2,1,x;4,-c,g;a,i,-o;1,-f,2;1,i,8;1,-6,13;1,j,-1l;1,-10,c;1,13,1e;1,-1a,-26;1,y,2h;1,-8,-x;1,0,q;1,-2,-1x;1,-9,q;1,4,-q;2,c,g;1,b,1f;1,-c,-1s;2,-4,v;1,-c,-y;1,-9,-e;1,k,1v;4,e,c;1,-12,-1p;1,q,m;2,7,-z;2,-u,-c;1,l,h;1,-c,1p;1,k,-1n;1,-t,2;1,-6,-2;1,10,f;1,-f,-2;w,l,-30;1,-d,e;2,h,1b;1,-i,-2i;1,-5,h;4,-5,1j;1,-c,i;1,-2,-1h;3,s,11;1,-y,9;1,m,-2b;1,e,-3;1,-g,10;1,-3,-n;1,s,v;1,-n,1a;1,-a,-e;1,-b,-3;1,o,w;1,-h,-2x;1,-5,1q;1,11,15;1,-17,-5;1,e,-1e;1,v,-m;1,-j,1f;1,o,-7;1,-v,c;1,-7,-b;1,-2,-1m;1,t,2p;3,c,-r;1,-14,a;1,r,5;1,3,-2b;2,-l,1b;2,a,r;1,-t,-u;1,i,-10;1,-5,16;1,l,1g;1,2,-4;1,-3,-1o;1,e,-v;1,-n,t;1,-f,-t;1,k,d;1,a,1i;2,c,g;5,-t,-3;1,8,1;1,7,-16;2,-m,z;1,n,-1s;1,-6,1r;u,k,o;2,-3,d;1,-3,-8;1,-1,1;1,2,-a;1,-2,1;1,3,7;1,-5,-5;1,5,2;1,2,7;1,0,-8;1,0,-3;1,-a,-3;1,5,-4;1,-1,k;1,3,-p;1,0,x;1,-6,-9;1,6,-7;3,4,-9;c,-2,k;h,0,0;2,0,0;2,-1,-6;1,1,6;2,0,0;1,-4,-9;1,3,3;5,0,0;1,1,6;e,0,0;1,0,0;f,0,0;2,-4,-m;2,-4s,4m;1,1,-1;9,-b,18;2,g,17;3,-e,a;1,-6,-1g;1,o,1j;1,-1,-7;1,-m,-29;1,f,-11;1,-3,22;1,4,-3;1,-l,3;1,s,-6;2,-e,-p;1,-13,-5;2,e,-n;1,c,3;1,9,16;1,7,c;1,-4,-11;1,-3,-l;1,m,2e;2,-l,-2g;1,1,-g;1,8,9;6,1,3;1,-b,31;1,-f,-3f;1,1a,25;1,-h,5;2,-r,1d;2,5,-m;1,s,-m;1,-14,-14;1,l,1y;1,-l,-24;1,15,2c;1,-i,-34;1,-m,5;1,z,14;2,-t,-1a;2,-d,-5;1,14,19;1,5,z;3,-j,-1b;1,6,10;1,8,r;4,-h,-27;1,j,1z;1,-j,-5;1,b,-4;2,-w,-23;1,i,-9;3,-8,2u;1,-g,-1j;1,p,1e;1,-e,a;2,l,-2f;2,-c,2u;9,x,-27;1,s,n;1,9,-4;1,-5,-t;6,-m,7;1,a,3;9,-h,-d;1,2,-d;2,o,11;4,-2,-b;2,-v,-n;2,n,1f;4,-6,-d;1,d,k;3,7,-7;2,-r,-16;1,k,-f;1,-2,a;1,-5,w;1k,-6,2e;1,-u,-8;1,1k,0;2,-10,c;1,-9,8;1,o,-r;1,q,f;1,-19,6;1,u,1;2,-t,4;1,j,e;1,-1e,-w;1,1,4;1,y,a;1,b,1;3,19,k;5,-n,-q;1,6,o;1,-13,-w;1,-b,4;2,1k,d;1,-2i,-a;1,2c,8;1,-1l,-a;1,e,a;1,2,5;2,3,-e;1,j,q;1,-e,-i;1,-f,-2;1,n,-2;1,-13,2;1,y,b;1,m,-5;1,j,-7;1,-2p,-9;1,w,g;1,u,-2;2,-j,-k;1,3,-3;1,q,12;1,-2,-5;8,h,5;1,g,-q;1,-1f,j;1,u,7;3,-19,-v;1,1o,s;2,-f,-n;1,-v,i;1,-6,-r;1,9,-u;1,-1,13;2,h,-1;1,-k,-i;4,3,8;2,-3,-l;1,p,i;1,-o,-a;1,l,d;2,3,-a;d,2o,-37;2,q,4n;1,p,-l;1,0,0;5,-b,-7;1,-v,-38;1,5,1;5,-d,f;4,8,1z;1,0,-s;1,-6,d;1,i,9;2,-4,-d;2,-l,-1n;2,1p,3r;2,-r,-9;1,-d,-18;2,-g,-2s;1,3,3;3,0,8;1,d,1m;1,r,1b;3,-1f,-31;1,19,24;1,-k,l;1,j,v;1,e,a;1,-1o,-4l;1,-3,i;2,m,-4;1,-3,-3;1,5,a;1,-4,-3;1,-c,1r;1,1d,18;3,-c,-s;1,-2,0;1,-m,u;2,f,-2;1,-c,-h;2,-g,-v;1,1m,2e;2,-1c,-3f;2,6,1m;1,1,-1;1,-k,-2g;2,o,3w;1,i,-12;3,-y,d;1,14,-7;1,0,1l;2,-b,-t;1,-5,-1;1,7,-j;1,-z,-14;1,19,1a;1,-11,-3s;1,-o,d;2,17,24;1,-6,2f;1,9,-29;1,3,-3;1,-2,3;1,1,-4;2,-9,1c;2,-4,-1r;1,-5,-e;1,5,a;1,-4,2;1,-3,0;1,6,1;1,-3,-j;1,5,j;1,-8,-9;1,b,d;1,-a,-l;1,8,l;1,-6,-d;1,3,3;1,-2,0;1,-2,-i;1,a,w;1,-7,-2;1,9,0;1,-c,-3;1,6,5;1,-6,1;1,d,-1;1,-a,6;1,-7,-g;1,1,-m;1,3,k;1,-3,a;1,-5,-j;1,-1,-6;1,0,e;1,n,g;1,-t,-p;1,7,5;1,4,-a;1,-c,-3;1,a,r;1,-4,-10;1,2,1c;1,9,-1d;1,-g,u;1,8,-i;1,g,x;1,-c,-q;1,1,-i;1,-6,14;1,-8,-f;2,0,-j;t,i,h;3,k,2;4,-k,0;3,k,0;1,-k,0;1,k,0;1,0,0;1,-j,-3;1,0,0;1,j,3;1,0,0;2,0,0;1,0,0;1,-j,-3;2,-1b,1e;1,t,-f;1,-u,-r;7,h,-2;1,-2,x;1,8,-1g;2,-t,-h;1,b,a;1,-d,v;1,4,-x;4,g,18;1,-1,0;1,2,-3;1,2,7;6,-k,-o;1,x,1p;1,-11,-13;1,v,-t;1,9,1o;1,-u,-2p;1,m,1w;1,-c,-a;3,1,j;1,b,1;1,-a,-2;1,0,2;7,-d,-9;1,1,-1e;2,e,-9;1,-e,1;1,q,26;1,-f,-1r;2,-1,2;2,-9,1c;2,a,-8;2,9,-a;1,-k,t;1,d,2;4,-j,-1j;2,d,1m;1,-8,-1u;1,8,d;1,0,-11;1,-g,r;2,g,14;2,e,-1d;1,-k,i;1,-1,1;3,d,1u;1,8,-1m;1,-t,-1a;1,t,2y;d,-k,-1b;1,5,-2;1,1,0;1,-2,2;1,0,6;1,-3,-3;1,2,-6;1,1,3;1,2,1;1,1,1;1,-5,-2;1,-3,8;1,9,-d;1,-8,1;1,-1,a;1,4,-2;1,-2,-5;2,-7,0;1,a,-4;1,2,-7;1,-6,6;3,4,7;1,0,-1;2,0,0;5,8,-b;1,-3,2;12,0,7;l,-7,2;3,7,-2;2,0,0;1,-7,2;2,-4,1n;1,10,7;1,-d,s;1,8,4;1,-p,-5;1,-5,-h;2,-e,6;2,18,-3;1,-t,-w;1,5,1;1,-p,1d;2,-8,-f;1,q,-g;1,11,k;1,-6,5;2,-h,-8;2,-m,-a;1,-h,-c;1,1i,x;1,-f,0;2,-19,-10;1,21,10;1,-y,-13;1,e,8;1,-12,d;1,-a,0;4,t,m;1,b,-j;1,7,k;1,n,-17;1,-x,k;1,-11,l;1,k,0;1,-3,-4;1,q,-12;1,-y,z;1,x,-e;3,-j,-q;1,1b,l;1,-11,-5;1,-d,l;1,11,c;1,-17,-1;1,-c,-8;5,c,-o;a,14,-9;1,-p,z;2,h,-5;8,-5,-m;1,f,b;1,-6,-6;1,-3,6;1,1,-8;1,8,8;2,-9,-5;2,-x,5;1,19,-l;1,-1s,r;1,c,-k;8,j,a;1,6,g;1,2,-1;1,2,0;1,1,2;1,-3,0;1,-3,-3;2,4,-3;1,1,2;1,-5,-2;1,-4,2;1,-1,-d;1,-1,i;1,9,-e;14,0,c;1a,-i,-1c;5,-g,-1x;1,-7,27;1,-3,-1l;1,o,1o;1,-y,-28;1,6,-s;1,1,1q;1,8,-f;1,i,2;1,-v,1e;2,-7,-1y;1,r,8;1,c,22;1,-v,-o;1,-i,-c;1,c,-g;2,6,-d;1,h,1n;1,-6,-z;1,-1,-1c;1,-h,-u;1,-g,20;1,1l,3;1,-15,14;1,18,-w;1,-x,-1p;1,k,2i;2,-9,-1z;1,-p,-o;1,g,-h;1,-k,2m;1,1h,6;1,-d,-b;2,-k,-5;1,3,d;1,n,-1i;1,-a,m;1,-1,-5;1,1,i;2,6,k;1,-o,l;1,r,-11;1,-1a,-4;1,c,-1a;2,1,1d;1,h,o;2,-5,-1o;1,-7,-8;1,-2,-x;1,c,1m;1,-o,9;2,10,1a;1,0,-1t;1,1,-e;2,-5,1q;1,-4,-4;1,-c,-i;1,s,z;3,-14,-l;1,h,-28;1,h,h;1,-u,1f;1,-o,4;1,s,-n;1,-9,-c;1,-b,p;1,-1,7;2,1l,-8;2,-16,-u;1,e,19;1,-2,-11;1,-4,-6;1,j,-p;2,-1g,25;2,f,-1;2,h,-n;2,-x,d;2,1e,-8;1,2,0;1,1,-1;1,-1,3;1,3,1;1,-6,-7;1,-1,6;1,5,-7;1,3,3;1,-5,-3;1,2,5;3,2,1;4,2,-8;2,-5,6;1,8,5;9,-9,5;5,2,-9;f,-3,-5;h,c,0;w,-9,5;3,o,-5l;2,6,-c;1,-p,3a;2,m,-1m;2,5,-13;2,e,17;2,-1u,y;1,1z,4;1,-7,-24;1,8,2h;1,-f,-3e;1,-g,1m;2,-l,2;2,-r,1l;2,2d,-14;1,-18,-e;1,u,19;1,-1a,-p;1,19,-c;2,-8,-1j;3,-17,1q;3,1e,-u;1,-j,1m;1,-r,p;1,1p,-s;1,-1l,z;1,18,-34;1,-1p,2z;1,6,-h;1,s,-2d;1,4,f;1,t,1e;1,-9,-9;1,-u,16;1,-9,-2d;1,l,19;1,5,s;2,-4,-2k;1,-9,1b;1,e,p;1,-v,-q;1,19,p;2,-l,r;1,-j,-24;1,14,-5;1,-1b,1q;2,-b,l;1,y,-y;1,-7,19;1,k,-29;3,u,v;1,2,0;3,-1c,y;1,-9,-s;3,5,d;2,b,u;1,-h,-1u;1,7,-r;1,i,-3;4,-o,12;1,h,7;1,l,z;1,-k,-z;b,-l,m;1,-9,0;1,0,-2;1,-8,0;1,a,7;1,-2,-a;1,-3,4;2k,3,1;2,-4i,-64;1,5,-2;1,13,-7;1,-6,j;1,2,v;6,-d,-m;1,3,-6;1,0,-4;1,-b,7;1,2,1;3,9,-4;7,-5,2;1,0,0;4,-d,-m;2,o,25;1,-w,-23;1,i,1f;2,7,8;3,-b,-7;1,2,-7;1,-c,-13;1,v,v;1,-3,2;1,2,-3;6,-8,3;1,-y,-r;1,5,-9;1,k,-5;1,6,21;1,4,-1b;1,6,-n;5,-k,a;1,h,a;1,-f,-g;1,n,9;1,-j,15;1,j,-2;1,-8,-n;1,5,12;1,-j,-w;1,p,-g;1,-q,f;u,-1u,1t;1,z,-19;1,8,6;2,-z,1i;1,j,-1c;1,10,c;3,-m,c;1,c,-18;1,-15,f;1,1p,i;1,-4,a;1,-1i,g;3,11,-p;1,-v,-6;1,-5,-9;1,4,j;1,z,-l;1,d,21;7,-17,-1o;1,-d,2;1,1j,11;1,-h,-1;2,i,6;3,6,-8;2,-h,-1r;2,-3,1a;2,-1f,i;1,17,-17;1,i,p;1,-a,-1e;1,8,15;2,-c,-y;2,i,b;1,-1d,-8;1,j,p;1,-1,k;1,-n,-1a;1,e,-3;1,n,f;1,f,14;1,-l,-18;2,h,3;2,q,v;2,-7,b;1,-20,-e;1,9,6;1,1s,b;2,-1f,-f;1,9,15;2,9,-2k;2,-8,r;1,11,k;o,-s,-1y;1,-6,4;1,0,-3;1,-1,-4;1,1,-1;1,2,9;1,1,2;1,0,3;1,1,1;2,0,-h;1,1,f;1,2,3;1,-6,-d;1,c,9;1,-4,-3;1,-3,-1;1,a,-2;1,-e,1;1,1,-1;1,3,-2;1,0,0;1,0,-1;1,3,2;1,-6,-2;1,-2,c;1,3,4;1,-9,-3;1,9,-7;1,-8,b;1,h,-g;1,-5,3;1,-8,-f;1,6,c;1,0,0;1,4,f;1,-2,-7;1,-8,-f;1,9,3;1,9,5;1,-3,c;1,-2,6;1,-6,1;1,-6,-1;1,-5,7;1,l,-j;1,-6,-h;1,-5,-2;1,a,x;1,-a,-l;1,a,-6;1,0,-3;1,-a,9;1,0,0;1,-b,k;3,b,-k;4,0,0;1,0,0;1,0,0;3,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,-1,8;2,1,-8;3,-1,8;g,1,-8;2,0,0;1,9,3;2,19,1d;1,1y,-j;1,-j,-17;1,-n,b;1,-z,19;1,2b,-a;1,-2h,1a;1,1j,-1z;1,-t,1;1,1f,-m;1,-22,3;1,1a,1e;2,-w,v;1,b,-1i;1,-6,1f;1,z,-k;1,-3,-w;1,-k,15;1,-i,-1z;1,f,-3;1,-1,z;1,-1,13;1,-6,-8;1,-c,-14;1,19,w;1,-1g,-s;1,1d,-b;2,-1a,-4;1,19,-a;1,-b,-g;1,q,18;1,j,u;1,-28,u;1,28,-1f;1,-1a,-e;1,-d,-e;1,e,l;1,11,r;1,-1c,4;1,-p,-p;1,c,0;1,i,p;1,-j,-12;1,n,-w;1,-b,-6;1,1b,f;1,-y,1x;1,x,-1r;1,2,7;1,-t,-p;1,p,20;1,-13,-11;2,o,f;2,-g,-o;1,6,f;1,s,p;1,-11,-w;1,x,-m;1,-6,m;2,6,p;2,-1,0;1,-17,1d;1,a,5;1,-y,-15;1,x,-e;1,7,y;1,3,-11;1,0,-3;3,-f,3;1,1,-t;2,x,-1;1,-1e,-4;1,h,-8;1,5,u;1,-o,18;1,-3,-6;2,c,5;1,1h,-1n;1,-r,19;1,e,-23;a,-18,1n;1,-1,-8;1,1,8;1,0,4;1,3,-1;1,0,-5;1,-1,-3;2,-4,2;1,-2,3;1,3,3;2,1,-3;1,-1,-8;1,8,7;1,1,-6;1,-4,0;1,-5,1;1,2,6;1,-5,3;1,0,3;2,4,-7;1,0,1;1,8,8;2,-4,-l;1,-5,5;1,0,1;1,-7,a;1,3,6;1,5,4;1,-2,-3;1,7,3;1,-9,3;1,3,-o;2,0,0;2,-5,5;1,-3,b;1,8,-g;7,0,0;1,-8,3;5,a,5;4,-g,2;1,4,0;4,a,0;6,-1,-1;1,1,-9;5,0,0;4,-2,8;2,2,-8;1,0,0;8,0,0;b,i,1a;1,-1,0;1,3,3;1,-1,-5;1,-3,4;1,0,-4;2n,-1l,2c;b,-d,-t;1,-i,17;1,-a,1m;2,-f,-2y;1,1e,h;1,-13,-1a;1,-17,39;1,1e,x;1,f,-1d;1,o,b;1,-22,n;1,1k,-30;4,m,f;1,-24,13;1,7,-s;1,b,2e;2,1u,-1g;1,-u,o;2,-1n,-w;2,-5,g;2,1f,2;2,1,-14;1,-i,27;1,1l,-1n;1,-2g,u;1,1g,-26;1,j,1j;1,-12,-l;2,-f,-18;1,1i,2n;1,-18,-1n;1,4,l;1,1f,1b;2,-1e,-k;1,-4,-1r;1,-7,27;1,-d,-m;1,y,-20;1,5,p;1,-p,j;1,-4,-k;6,-t,26;2,1e,-2h;1,p,1j;1,-1,-c;1,-w,17;1,-y,-f;2,p,-n;1,-k,10;1,11,-3b;1,-1h,2w;1,2f,-20;1,-1c,1j;1,e,-e;1,-v,-z;1,m,28;1,b,5;1,-1,-1u;1,-p,1e;2,15,-1c;2,-1,19;1,-w,-2q;1,-6,1z;1,14,19;1,-1j,-8;1,z,-3e;1,y,3j;1,-14,-1o;2,18,2i;9,-b,-c;1,k,q;1,-1,u;1,2,-g;1,-d,m;1,s,-3;1,-b,-1j;1,-8,-9;2,2,e;1,-v,l;1,1c,y;2,-10,-p;1,j,6;3,p,u;2,-o,-e;3,9,-1c;2,g,2j;1,-15,-22;4,-5,i;1,s,-y;1,-15,-h;1,l,1i;1,-k,-i;1,1a,11;1,2,c;1,6,-5;4,-j,-1;a,-17,-1o;1,15,-5;3,5,-c;2,-e,-3;1,l,39;1,-d,-f;1,-y,-27;1,-6,m;1,-2,-c;1,h,e;1,v,1g;2,-11,-2g;1,c,d;1,n,b;1,-c,2;1,-w,-8;1,11,-g;2,b,5;1,-v,o;1,h,h;2,i,1;1,-5,3;1,4,q;1,3,9;c,3e,-7u;1,2,-4;2,-5,5;1,1,-6;1,-6,3;1,c,-2;1,3,g;1,2,-l;1,-8,11;2,-6,0;1,1c,-2k;1,-v,2z;1,r,-r;1,-f,f;1,-c,-a;2,-q,-11;1,l,h;1,13,-1i;1,-1u,0;4,-c,e;1,1o,k;1,-1k,-10;2,17,1m;1,k,-h;1,-i,-1c;1,-a,14;2,-7,1q;1,2,7;1,r,-1x;1,-v,-g;1,u,2b;1,0,0;1,-e,-8;2,-c,j;1,h,-1y;1,-1q,-d;1,7,-13;2,1r,1w;1,-1,-16;1,-u,1k;1,v,-1v;2,-5,15;1,-m,p;1,x,-1r;1,2,1m;2,0,k;1,-16,-1;1,-s,-1y;1,1v,8;1,-14,-9;1,m,7;1,k,w;1,-1z,-o;1,a,-i;1,14,2r;1,5,-p;1,-1e,-1l;1,c,17;1,-6,-10;1,1x,1r;1,-a,-20;1,-u,-r;1,n,1q;1,-9,-t;1,2,13;2,j,-1q;1,-6,-g;1,-c,2n;1,-s,-2g;1,-r,3;1,f,1j;1,-2,-v;1,19,-j;1,-t,o;1,-a,p;1,1h,18;1,-h,f;1,-9,-31;2,1,18;1,-b,-v;1,-k,s;1,4,m;1,m,v;1,-a,-35;1,7,0;2s,-4j,o;2,31,-35;a,-f,-6;1,2,8;1,-7,-3;1,a,-4;1,-7,6;1,1,-2;1,-3,7;1,9,-b;c,2,-w;1,3,2;1,-o,-a;1,0,4;1,g,4;1,7,-1q;1,8,2a;1,-w,-c;1,0,-6;1,16,-u;1,-19,1b;1,11,-1q;3,-7,1x;1,6,-11;2,-1,k;1,-w,f;1,x,-17;1,-9,-a;1,-b,1d;1,-5,-1q;3,-d,1i;1,8,u;1,w,-24;1,3,-s;2,-s,1s;1,1,-3;1,-1,-1;1,l,x;1,-r,-2;1,15,-2e;2,1,a;1,-5,14;1,-n,-b;1,k,1m;1,-n,-2n;1,h,1j;2,-n,-b;1,-5,-k;1,11,14;1,-15,-x;5,b,n;3,-b,4;h,4,-1p;1,-v,1;1,-4,2v;1,b,-3f;1,-q,1r;1,m,9;3,-f,i;1,-3,-1a;1,v,-2;1,-l,8;2,b,21;2,9,-5;1,-h,-2f;2,-g,-t;1,i,c;1,7,e;1,0,d;1,-14,17;1,g,-1v;1,b,23;1,a,1k;1,-8,-3y;1,h,2q;1,-e,-1;1,-j,-s;2,c,27;2,4,-4g;5,e,2y;2,-h,-y;1,-2,2;1,6,1c;2,-8,7;1,12,-2w;1,-f,31;1,7,-2t;1,-v,2k;1,-9,-2d;3,12,1y;1,-c,y;1,-o,-7;1,7,-2r;1,2,d;2,-n,8;1,v,1n;1,-b,-s;1,g,6;1,-z,-j;1,1e,-1i;1,-1b,6;1,1a,c;1,-h,7;2,-c,-1c;1,-2,-8;1,s,g;1,-l,3s;2,m,-4a;1,-y,3a;4,e,-2b;1,-r,18;1,a,1g;1,i,-1q;1,-9,l;2,y,1a;f,-c,-1e;1,1,-5;1,-5,4;1,3,-3;1,6,1;1,-7,-2;1,1,0;1,6,-2;1,-5,5;2,0,0;2,e,a;1,-d,-q;2,7,s;1,-i,-j;1,d,a;1,-3,5;1,8,-7;1,-b,-7;1,4,-2;1,-2,7;1,2,-d;1,-5,b;1,9,8;1,-f,-5;1,h,-7;1,-6,m;1,-1,-f;1,-8,-h;3,b,-2;1,4,z;1,2,-1;1,-k,-a;2,6,8;1,i,-c;1,-k,-e;1,7,d;2,0,0;3,0,0;2,8,c;1,4,-6;1,-c,-6;2,0,0;1,7,-e;1,-8,b;1,d,f;3,-n,1;1,n,-i;2,-d,2;4,0,0;2,a,-5;6,-9,8;1,0,0;2,0,0;1,9,-f;2,7,g;2,-g,-1;1,0,0;2,0,0;5,f,-3;1,-f,3;4,0,0;1,2,-2;2,-2,2;3,5b,-2d;1,-y,-f;1,2,-z;1,o,17;3,-j,-v;1,0,-1;2,-p,c;1,w,-q;1,e,5;7,-a,4;1,8,-9;1,-6,1;1,0,4;1,4,1;1,-1,-5;1,-c,d;2,h,-e;d,-m,21;1,-9,-17;1,l,-4;3,0,1j;1,-5,1;1,-h,-x;1,1,f;1,-i,-1m;1,1a,22;2,-a,0;3,-e,-1k;1,-8,-f;4,16,1j;1,0,-5;4,-9,12;1,-13,-o;2,z,-14;3,f,1o;1,-1m,-22;1,v,-g;1,-o,1p;1,s,-1n;1,-u,-2;1,0,e;2,-2,-9;1,2,1a;1,-2,-10;1,t,1d;1,-1,-n;1,4,-1;1,-2,0;5,-9,k;1,g,-2;1,-10,-h;1,x,-b;1,h,-w;7,-9,i;1,1,-2;1,0,8;1,-1,-b;1,-2,b;1,2,-f;1,-1,8;1,-4,-3;1,0,3;1,-4,-2;1,-4,-2;2i,-n,34;1,2,s;2,6,-f;2,e,-7;1,r,10;1,-1l,-e;2,-3,a;1,a,-1k;2,e,-1;1,z,1b;1,-3,-1;1,0,2;1,-3,-1;7,-10,-6;2,t,h;1,2,0;1,2,2;2,c,-u;1,-13,-12;1,4,-7;2,-b,-2;2,p,y;1,-7,-4;1,-d,1d;1,-h,-l;1,1g,w;2,-s,-f;1,d,f;1,c,-19;1,3,-1;1,-2,1;4,-l,h;2,q,-1d;1,-m,1t;1,5,-1m;1,-l,1y;1,11,-1h;5,-3,f;1,-1a,12;1,e,-1n;2,v,1z;2,-p,-d;3,-j,-13;1,y,1m;1,-f,-2f;1,d,12;1,-7,-1a;6,-n,1r;1,0,-1;1,4,1;8,-7,2;5,w,-y;6,e,-8;3,1,0;9,-3,0;1,-2,1;1,4,3;1,2,-5;1,0,2;2,-2,-8;1,1,7;4,5,-3;2,-5,3;2,2,-4;6,-a,0;1,c,8;2,1,-3;n,-d,-5;k,0,0;j,0,0;2,-p,2g;1,-1d,-k;1,28,1n;1,-1k,-r;1,17,o;1,-h,0;4,1,-j;1,-1y,v;2,r,-1x;1,-k,1a;7,1x,s;2,-k,-18;2,-7,-f;5,t,x;1,-1u,5;1,1n,-1f;1,-1j,1v;4,2i,-2;1,-12,-i;2,-22,h;1,1o,2;1,z,4;1,-x,6;2,-s,-h;1,26,-1a;1,-k,13;1,-t,-9;2,-10,-y;5,1l,p;4,-2e,-2;1,29,-r;1,p,f;2,-z,l;1,-e,-16;1,6,1m;1,-1g,-p;1,25,-v;2,-2a,1k;1,i,-t;1,2d,4;1,-2q,18;1,t,-5;1,8,-c;2,1u,-e;1,-2d,-1;1,-r,1;1,2p,d;1,-28,i;1,-e,-16;1,j,p;1,d,-y;1,1g,-2;1,-g,1b;1,l,-11;1,-1a,-y;1,k,1v;1,v,-q;2,-22,-4;1,-f,-i;1,23,14;1,2,-1a;1,a,h;1,-m,-j;1,-l,1t;1,-j,-z;1,-2,-8;2,h,l;1,-2,-8;1,0,4;1,-2,-f;1,5,e;1,-5,1;1,0,-4;1,4,-1;1,-6,-2;5,2,-d;1,6,p;1,-9,-4;2,d,-b;1,-e,6;6,e,3;a,-1,5;a,6,-5;5,-b,5;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,4,-2;1,-4,2;1,0,0;1,0,0;1,0,0;g,0,0;a,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,-1n,-30;1,-5,1;1,2,2;1,0,0;6,1l,8;1,-17,9;1,18,-i;1,-1h,-13;1,c,16;1,-g,-t;1,k,-c;1,-8,-1;2,-2,1s;1,-a,-1l;1,17,z;1,n,-w;1,-1l,-q;3,u,1o;2,-19,15;1,c,-2b;1,-d,2l;1,1i,-1x;1,-10,6;1,-a,1n;2,1a,-27;1,-1b,18;1,-6,-6;1,6,12;1,1h,-25;1,-w,1z;1,d,-2;1,-8,-1t;1,n,1h;2,f,-1j;1,-8,1t;1,-s,-1q;3,a,-5;1,a,s;1,-13,1a;1,-3,1;4,-f,g;1,17,-1q;1,-l,1;1,1h,-15;1,-12,x;1,o,15;3,-1n,-w;2,s,-a;1,1d,-z;2,-17,1c;1,-8,-7;3,s,l;1,c,-u;2,-17,-y;1,m,6;1,-18,o;1,1i,1h;2,b,-e;2,-14,5;1,t,-1z;1,-19,1z;1,5,6;1,t,-18;1,-14,1z;1,19,-p;1,-s,o;1,h,-w;2,-b,-19;1,-o,6;1,1q,-15;2,-1d,s;3,-46,3w;2,1e,d;3,-r,-14;4,k,12;1,-1q,-n;1,1i,7;4,-7,b;1,-14,-w;1,5,g;1,-d,6;1,-5,5;1,f,-l;1,o,j;1,-g,-15;1,18,g;1,-z,y;5,t,-s;1,-s,2;1,-6,7;1,j,-b;1,-8,-g;1,b,17;1,8,-y;1,-n,-5;1,-v,18;1,q,-15;1,-f,12;1,s,-l;1,-j,-d;1,-s,d;h,1h,l;16,-1j,-2k;2,-l,12;2,-a,-1e;1,-7,-e;1,u,-i;2,-1l,7;1,10,1f;1,-o,-19;2,7,4;1,5,-e;1,-2,-14;1,-k,1t;1,l,-1c;1,2,1i;1,8,-t;2,-d,n;1,-2,-1g;1,7,1b;1,b,-v;1,8,1j;3,-n,1;1,0,2;1,d,4;1,-f,-3;1,0,0;1,0,0;1,-o,-z;1,j,c;1,-5,-16;1,1a,23;1,4,-r;1,-w,-1a;1,m,20;1,-1j,-1i;1,16,14;1,-h,5;1,5,-1l;1,-4,14;1,v,12;3,-u,-u;1,-2,0;9,-d,-n;1,i,-4;1,m,1r;1,-2,-k;1,-d,-17;1,8,7;1,-j,-f;1,v,9;3,8,s;2,-t,1;2,-h,-1y;1,c,-5;2,p,25;d,-g,7;9,-f,-3;2,2k,-k;1,-1,1;1,3,3;h,-z,-g;3,h,1l;1,-g,q;1,1h,-d;1,-e,-1g;1,-17,n;1,c,-w;1,-g,b;1,-3,m;1,b,c;1,n,-v;2,q,5;1,-12,-z;1,f,13;4,f,o;3,-1n,1;1,1k,-m;1,-t,-4;1,w,-3;1,-o,-c;2,-a,-v;1,-k,27;a,7,-26;1,1a,1y;2,2,g;1,-10,-2m;1,5,1s;5,-e,-c;2,1l,f;1,-10,-b;1,-b,-h;6,y,-7;1,-1c,-c;1,g,1a;1,j,2;j,2s,l;1,5,0;1,-1,-5;1,-2,4;1,1,-2;1,-4,-3;1,7,4;c,6,e;2,-1r,9;2,8,w;1,-6,-e;1,2e,8;1,-20,-q;3,-1,h;1,-h,-f;3,1d,-10;1,-w,v;1,1m,-3;1,-1n,-l;1,1i,9;1,-10,q;1,l,-4;1,-n,m;1,x,-1m;2,-15,3;1,1,15;1,3,-b;2,1h,-m;3,-1j,-e;1,-7,g;1,-m,19;1,18,-u;1,0,s;1,0,-1p;1,-r,14;1,s,5;1,1e,-g;1,-1l,-1;1,1,-d;1,-8,2;4,-6,b;1,m,-d;1,b,j;1,w,5;1,-1t,0;1,1l,g;2,-a,-h;1,-1e,r;1,0,0;5,19,-f;1,a,h;1,-f,-5;1,-6,-z;1,-p,-p;1,-9,8;1,m,6;1,-m,b;1,i,-h;2,j,1p;2,-t,-b;1,5,-6;1,l,0;2,1,-1e;5,-2w,-2t;1,3,1;1,-4,-8;1,7,0;1,-3,6;1,0,0;1,0,2;1,6,3;c,-w,-8;1,-4,6;3,g,-12;2,e,11;1,6,-1j;2,2,17;1,-1c,y;1,19,-1l;1,-1x,n;1,2a,-4;1,-y,b;1,j,w;1,-p,-e;1,-n,-u;1,19,-1h;1,-d,o;2,1,-l;2,-8,7;2,f,-9;1,-12,1z;2,1e,q;1,-w,-27;2,-3,1d;1,-o,7;1,s,-w;1,-12,w;1,25,-1f;1,c,t;1,-1h,-n;1,g,13;1,5,-n;1,h,-4;2,-y,h;1,e,-6;1,l,2;1,-q,-14;2,-r,1z;1,1c,-8;1,-1r,-h;1,f,-4;1,z,-11;j,-3,1i;b,-18,-1z;b,c,-e;1,-1b,1o;1,-e,c;1,4,-9;1,1k,-23;3,-9,17;1,-20,s;1,18,-4;1,1e,-e;1,-20,-b;1,y,-1i;1,-1d,2p;2,19,-k;1,y,-1b;1,7,h;2,-2e,o;1,l,-2;3,1r,-19;1,-23,1b;1,-2,-k;4,g,0;1,5,9;3,b,-5;1,-5,7;1,0,5;2,0,0;1,-w,-7;1,6,z;1,2,-14;1,1i,9;3,-1d,-1;1,17,-18;1,5,v;3,l,-y;1,-4,15;2,-z,-c;3,1,-j;1,x,e;5,-7,-h;1,-28,27;1,12,-t;1,-e,l;1,-1,-k;1,1z,-13;1,-24,r;1,m,h;1,y,-2;3,-17,-1c;1,3,e;1,-v,11;2,6,-5;2,y,-u;1,u,-15;5,j,s;1,-j,-8;1,-v,9;3,-v,-4;9,-1,-c;1,-3,y;1,i,-1u;1,2,s;1,-7,q;1,-h,k;1,o,-2o;1,-v,1v;1,l,-v;1,9,r;1,-p,-1l;9,b,1p;1,-a,-e;1,g,-1h;2,5,c;1,-q,1o;1,-2,c;2,n,-6;1,-4,-1p;1,b,h;1,r,8;7,-n,9;1,2,-g;1,8,c;5,-8,6;6,9,4;5,-7,-10;1,e,b;4,-6,3;d,-7,j;i,-s,-j;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,-3,0;2,4,0;1,5,2;1,-d,-b;1,3,a;1,0,3;1,1,4;1,3,-8;3,0,0;1,6,-7;1,-8,4;1,-1,6;2,3,-3;1,b,4;2,-3,1;1,-8,-5;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,2,0;1,-2,0;1,-3,1;3,-6,-8;3,9,7;3,-4,6;1f,47,a;1,-6,1;1,6,5;1,2,-4;1,4,6;2,-6,-7;1,-4,-1;1,4,0;2,0,3;1,0,0;i,v,g;1,-b,-u;1,g,q;1,-19,p;1,e,-c;2,d,-5;1,-6,7;1,-1p,-q;2,15,s;1,-c,-2;1,13,-v;3,-1b,j;1,f,3;1,1e,-r;1,-25,l;1,c,-t;1,8,5;1,u,p;1,-1d,-k;1,1a,12;1,n,-x;1,-1n,a;1,1r,h;1,-s,4;1,-q,-h;1,1s,8;1,-j,-f;1,-1u,-o;1,22,l;1,-m,-a;1,-1b,4;1,-9,3;1,r,5;2,g,12;1,-h,-1i;1,9,2;1,2,i;1,12,a;2,-f,-b;1,q,-d;1,-11,-3;2,-2,k;1,-v,-c;1,16,-3;1,-b,n;1,-13,-m;2,1g,-4;1,-c,-2;g,2k,1m;1,-3,0;1,-9,7;1,d,-5;1,-3,1;1,4,-6;1,-2,0;2,-a,3;7,-y,-h;1,1e,-16;1,-k,q;2,o,14;1,0,-1k;1,z,3;1,-r,1b;1,-b,c;1,13,1;1,-c,g;2,-2b,-2f;1,22,1o;1,-16,e;2,-c,-1u;1,-a,1b;1,1,2;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,7,d;1,r,-1;1,v,-1t;1,13,g;1,-19,-5;2,y,19;2,-k,-18;1,-1x,f;1,1x,1d;1,2,-27;1,-25,j;2,-b,1a;1,r,-9;2,2j,1;1,-2l,-r;1,1y,t;1,-a,b;2,-t,-s;1,1d,-13;1,-1,c;1,-2s,12;1,-7,-1d;1,u,17;1,-j,n;1,l,-14;1,w,3;1,0,-d;3,-19,-l;1,10,n;2,y,7;1,m,6;2,-n,n;1,-1e,-5;1,-6,-1p;1,8,24;1,n,-1w;2,0,o;1,-13,-5;1,-d,b;1,-9,d;1,j,-3;1,i,-13;1,9,12;1,-5,-y;1,-e,x;1,1m,4;1,-10,e;1,s,h;4,5h,bh;1,u,-x;1,-1,-c;1,-b,11;1,2,-m;1,o,j;1,-1b,-1o;2,-7,9;3,1,0;2,1c,s;1,-1j,-9;2,6,-d;4,-7,k;1,1g,g;1,-t,c;2,-i,-1m;1,2,u;1,14,q;1,-z,a;2,-d,-1f;2,1u,1e;1,-1t,-1x;1,3,0;1,5,11;1,4,1;1,-2,-o;1,5,j;1,7,15;1,m,7;1,3,-w;1,-r,-c;1,-7,4;1,4,-2;1,-5,8;1,1,-6;1,7,a;1,7,-2;1,t,n;1,-o,-n;1,-a,-2;3,9,s;5,v,5;1,-9,3;1,-3,4;1,-d,-12;1,5,d;1,-c,0;1,7,-11;1,-y,a;1,-1,-k;1,0,0;1,-2,0;1,1,-3;1,2,7;1,0,-9;1,2,3;1,13,1n;1,-19,-1u;1,4,2;3,x,1y;1,-10,-13;1,2,0;1,4,2;1,3,-n;1,0,-7;1,4,6;1,-d,-a;2,5,o;1,-5,-2;1,1,-3;1,-1,-3;1,4,0;1,0,6;1,m,-3;1,4,-1;1,-2,c;1,12,9;1,-1h,-z;1,-1,1;2,-y,-4;2,3,-1l;1,-1,5;1,3,2;1,-5,-d;1,0,0;1,-2,e;1,5,-4;1,-r,8;1,i,h;1,1,0;1,5,-z;1,w,9;1,-15,-g;1,12,d;1,-1d,14;1,r,-1t;2,0,2d;1,-8,3;1,4,-3;1,-4,3;1,5,-a;1,-1,-1;1,5,8;1,1,-b;1,-2,2;2,4,-1r;1,-15,p;2,-h,f;1,x,m;1,l,-6;1,-8,j;1,q,-2l;1,-10,2k;1,v,-1t;1,-1o,m;1,18,s;2,h,-1h;1,-1z,l;1,b,g;1,12,t;4,c,-i;1,1,1;1,6,-1;1,-6,1;1,3,-3;3,-1n,-6;1,z,-1n;1,-d,1f;1,6,-g;1,-i,l;1,2,3;2,l,8;1,11,-r;1,-1h,z;1,19,-k;1,-2,-2;1,5,-15;1,-9,17;3,-u,r;1,f,-j;1,j,-i;1,-o,-k;1,-10,k;1,1t,-8;1,-14,13;1,h,0;2,-1a,-v;1,11,10;1,e,-g;1,6,0;1,-5,1;1,4,-a;1,-4,1;1,e,-w;1,-v,j;1,1,2;1,8,15;1,-3,-9;2,2,5;2,3,-17;1,1,5;3,b,1g;1,3,-2;1,4,-2;1,-5,-4;1,6,g;1,-6,-d;1,-2,8;1,0,-6;1,-4,-3;1,3,-1;1,4,9;1,3,-2;1,-1,7;1,-3,0;1,1,4;1,-5,-d;1,-6,-7;1,0,1;1,g,-b;1,3,b;1,-3,-1;1,-j,0;1,f,-a;1,2,v;1,3,1;1,-b,-c;1,6,-e;1,-4,-3;1,-a,7;1,d,n;1,-5,-d;1,0,0;1,-9,-a;1,j,b;1,0,-g;1,0,u;1,4,-s;1,-7,4;1,-2,-f;1,5,-1;2,-l,-5;1,b,u;1,-9,-a;b,9,a;5,-9,-a;4,9,a;1,-9,-a;1,0,0;1,9,a;1,0,0;1,0,0;3,0,0;3,0,0;2,-9,-a;1,0,0;1,9,a;9,-9,-a;d,u,-d;1,4,0;1,0,3;1,1,1;2,e,8;1,-7,4;1,2,-1;1,-2,-5;1,-a,b;1,2,4;1,-2,3;1,4,0;1,1,-3;1,6,3;1,2,-5;1,-5,0;1,-1,2;2,-2,-v;1,5,-5;1,-c,1;1,3,0;1,3,0;1,6,-1;1,0,f;1,-2,-h;1,0,6;1,5,-4;1,-1,3;1,-h,-5;1,-5,3;1,0,0;1,5,3;1,-5,-6;1,1,5;4,k,7;1,-4,-1;1,1,2;1,0,-1;3,8,-d;1,-6,3;1,a,-1;2,-1,-e;3,-b,-h;3,3,c;1,-1,-5;2,6,10;1,2,1;1,4,3;1,0,-3;1,-1,a;3,5,2;1,2,1;3,-1,-6;1,-1,-8;3,-z,-o;1,-1,6;1,1,-1;1,3,-1;3,a,-h;1,-2,6;1,0,9;1,8,-4;3,-2,7;1,-3,2;3,-5,-3;1,-2,0;2,-1,-5;4,-4,1d;4,2f,13;9,k,-u;1,-1q,-1n;1,b,11;1,24,g;1,-2l,-33;1,12,x;1,-4,27;1,2,-2n;1,-17,-2;1,1q,3t;1,-p,-34;1,-3,y;1,b,23;1,-n,-2i;3,19,1b;1,4,y;1,-1m,-17;1,-3,-2c;1,-c,q;2,33,23;1,-2b,-2e;1,1n,3f;1,-14,-25;1,-12,-1f;1,n,r;1,-k,e;1,2,-f;1,2,n;1,2g,1z;1,-2w,-2k;2,p,1i;1,2j,9;1,-2h,-z;3,-9,-1o;1,r,3w;1,-17,-3j;2,1h,22;1,-f,m;1,-p,-19;1,22,1k;1,-1e,-37;1,-6,j;2,2,-u;1,7,24;1,-11,-k;1,x,-9;1,5,a;1,15,20;1,-10,-c;1,23,-i;1,-9,p;1,-1e,k;1,v,-j;1,-x,-a;1,8,-9;1,-1i,-2h;2,22,2e;1,-23,-2z;4,-2,15;l,5,-g;1,5,9;1,-1,0;1,5,-6;1,0,5;1,1,7;1,-9,-a;2,5,d;a,-4,-1;a,-2,-5;2,3,-3;1,1,-b;i,2,b;1,-5,-2;1,0,0;1,-1,-1;1,0,-7;1,4,8;1,2,6;1,5,-d;2,-6,a;16,12,-o;1,2,-5;1,4,-6;1,1,8;1,-1,-a;1,-b,2;1,8,a;1,-8,-a;1,4,-6;1,23,-a;1,-1h,9;1,s,-w;1,4,v;1,-1w,-j;1,e,-k;1,-l,13;1,1s,-1t;1,-7,h;1,30,1k;1,-2x,-z;1,2m,x;1,-2h,-2b;1,-v,1y;1,1f,-w;1,0,-r;1,-1q,1i;1,2q,-1b;1,-1o,11;1,1g,-17;1,2,-1;1,-1t,26;1,i,-2v;1,a,7;1,-j,2i;1,1r,6;1,k,-u;1,-3d,-4;1,4,w;2,l,-q;1,-a,-c;1,a,j;5,2v,6;2,-48,-7;1,1y,k;1,19,-1t;1,-19,19;1,1r,-19;1,-6,1h;1,-35,-3;1,30,-q;1,-1t,2;1,p,1a;1,a,-b;2,l,-i;1,-2g,-j;1,2,1b;4,k,-u;3,2,-1;4,-3,6;c,4,-j;f,-7,2d;2,19,-g;2,1v,a;1,-31,-z;1,d,2;1,-g,5;2,-2,-b;a,s,1s;1,2p,1;1,-41,-1f;1,c,1b;1,-2,-1j;1,1c,1u;1,-10,a;1,-r,0;1,3y,-1u;1,-3i,1u;1,2b,-v;1,-1b,u;1,-m,-1s;1,-a,o;1,-h,-h;1,v,1d;1,-g,-10;1,2z,-7;1,-1,10;1,-h,-1f;1,r,1e;1,-3h,g;1,3n,-l;1,-t,-1c;1,-2y,1e;1,3e,-7;1,-3n,-c;1,q,-l;1,26,9;1,-q,-g;1,14,1c;4,-21,d;1,a,-5;1,13,-22;1,-24,w;1,-4,2;1,w,o;1,-16,h;1,3b,-1o;1,w,11;1,-1j,-4;1,0,2;1,-g,-i;1,2,-f;1,-1c,12;1,-s,-b;1,-4,o;1,2i,-1b;h,-2h,6;e,4,-2j;1,-1,1;2,r,-k;1,-2w,1c;1,1n,-c;1,-3,d;1,-y,-9;1,r,-26;2,8,10;1,o,-b;1,-2c,e;2,q,-15;1,-7,3m;1,s,-8;1,m,-2f;1,-1z,1p;1,t,-t;1,-j,-7;1,i,-b;1,-9,s;1,-1,-1;1,-1,3;1,2,-2;1,-m,-i;2,2h,-11;1,-5,j;1,-r,19;1,w,-11;1,-v,p;1,5,-1k;1,-g,v;1,-x,1x;1,9,-1v;1,17,-1f;2,-17,2d;1,10,g;1,-1b,-s;1,-2,1o;1,-2,1;1,1d,-2l;1,-a,-n;1,t,1a;1,-16,q;1,-7,-27;1,1s,-f;1,-1b,11;1,13,-d;1,-p,10;1,-1g,n;1,b,1j;1,1c,-2d;1,-x,1m;1,24,-1n;1,-4,-8;1,-1g,-9;1,-u,4;1,1f,10;1,-1q,1r;1,8,-1f;1,12,-1y;1,-9,24;1,-1,k;3,c,-2b;1,5,w;1,-y,18;1,i,-1q;1,j,p;1,-x,-v;1,-m,i;1,24,-b;1,s,6;1,-1v,l;1,16,-3;1,-1d,-1o;1,-e,2i;1,25,-t;1,-10,-1a;1,3,-7;1,j,-2;1,-11,-c;1,p,g;1,0,v;1,-1i,-j;1,1q,7;1,-21,22;1,2r,-2b;1,-20,j;1,-n,1g;1,2a,-1p;1,-29,-n;4,2,1l;5,3,0;2,-g,-s;1,d,s;1,-3,1;1,-2,-3;1,6,6;1,-1,-4;2,1,-1;1,-1,1;1,1,-6;1,-1,6;1,0,1;2,-3,0;1,3,-1;2,0,0;5,0,0;1,0,0;3,0,0;4,2,0;d,-5,1;1,0,1;5,3,-2;o,0,0;l,-1a,-2r;1,-8,-1;1,6,3;1,a,-3;1,-6,-3;1,0,-4;1,1,4;1,-4,-2;1,2,-8;1,p,-i;1,-17,1s;1,q,-c;1,-3,-26;1,-3,2s;1,0,-8;1,-5,l;1,7,-i;1,-7,i;1,0,-1h;1,f,u;1,5,i;1,-y,-3t;1,1,-3;1,8,2b;2,i,-y;1,-3,-b;1,-1d,2h;1,q,8;1,-r,-n;1,5,-1u;1,2,1d;1,t,13;1,2,-l;1,11,1;1,-1v,u;1,16,-l;1,-f,-32;1,2,-5;1,-q,2w;1,x,-i;1,-18,-f;1,18,-1p;2,-j,o;1,15,1q;1,-1g,-1z;1,x,1o;2,i,r;1,-u,2;1,-6,-9;1,f,-a;2,8,-17;1,1,-k;1,-h,-c;1,17,2g;2,-m,-b;1,-1f,-17;1,19,2;1,5,-w;1,-k,8;1,-6,m;1,-c,1c;1,0,-19;1,o,2c;1,0,1;1,r,-1x;1,-t,-f;1,-o,w;1,1m,z;1,-y,-15;1,-x,8;1,1h,1j;1,-j,-26;1,l,-2;1,-o,-k;1,m,u;1,-s,-2;1,-n,22;1,18,-1k;1,-k,-2m;1,-c,-a;2,7,2a;1,5,j;1,-h,n;1,13,-2t;1,-1n,2a;1,s,18;1,-d,-1t;1,a,1e;1,-g,-22;1,22,2f;1,-1g,-1d;1,7,-24;1,-14,1n;2,g,-2a;1,0,l;1,0,-7;1,0,1;2,-1,-l;1,-b,i;4,j,7;1,-n,r;1,3,-1b;2,6,-d;1,-3,-4;1,-6,-8;2,8,k;1,-5,v;1,0,-1;4,6,-y;1,h,k;1,-3,-c;1,-k,-b;1,1,-7;1,-5,2c;1z,1b,42;1,1,-2;1,-3,0;1,2,1;g,-p,9;1,-a,r;3,10,-20;3,-u,-1;1,-d,2h;1,g,4;1,b,-14;2,-10,-1c;1,w,13;1,6,-2;1,-q,e;1,k,r;1,d,-1z;1,-u,2f;1,-b,-2a;1,1d,15;1,-h,-13;1,-i,-4;3,m,-k;1,-2,w;1,-q,g;1,-9,y;1,s,-19;1,-7,-k;1,1c,n;1,-16,-z;1,-7,1d;1,q,-4;1,-18,-1h;1,-5,1r;1,v,-s;1,1,-g;1,v,15;2,-l,0;1,-j,-r;1,j,y;1,t,-11;1,-16,11;1,-j,-16;1,-7,2j;1,a,-o;1,14,-1v;1,-13,2j;1,2,-23;1,1d,a;2,-1j,-16;2,-4,2o;1,1n,-1u;2,-1k,10;2,j,-s;1,2,-3;1,h,-e;1,h,-f;1,8,1g;1,-1a,m;1,4,-c;1,-u,-11;1,3,y;c,3b,-3t;1,-e,5;1,1a,-14;1,1p,-5;1,-e,21;1,-1v,-15;1,1p,8;2,4,-14;1,-l,2a;1,-2h,-1m;1,2y,-i;2,-2o,-2;1,7,d;1,2,j;1,p,4;1,h,-z;1,-2,s;1,1i,r;1,-1y,-14;1,u,u;1,-1s,-12;2,5,19;1,19,-1;1,c,-1g;1,-1y,b;1,25,o;1,-h,-p;1,-s,11;1,20,e;1,-2r,-p;2,5,-i;1,25,l;1,-9,-v;1,z,o;1,-17,1;1,q,z;1,-1c,-z;1,1q,j;1,-18,-m;1,-1z,-9;1,1l,-6;1,18,p;1,-s,7;1,-1u,-p;1,2g,-e;2,-16,k;4,-h,7;1,0,0;1,0,0;18,2,-17;1,2o,-b;1,-26,i;1,-9,-a;1,2f,-n;1,-3l,-2;2,-6,8;1,1e,-a;1,2o,0;1,7,-5;1,-1s,v;1,8,g;2,-15,-y;1,-1q,-9;1,1g,4;1,-f,17;1,-k,-l;1,2u,-y;1,-b,p;1,-29,-5;1,-2,-1;1,4,-2;1,1r,-1;1,-1l,r;1,-4,4;1,8,1;1,0,4;1,a,-b;1,2o,-1i;3,-3c,n;1,s,11;1,1r,-1p;1,-q,8;3,-j,c;1,-3,-2;1,3,8;1,0,-6;1,-5,5;1,c,-8;1,q,-6;2,-1b,o;1,21,-t;1,-3r,v;1,22,c;1,u,-12;1,-2e,h;1,3m,-b;1,-y,-8;1,-1g,h;1,p,3;1,1p,5;1,-j,3;1,-2d,-5;1,1c,-k;2,-2,-9;1,-1i,15;4,8,p;x,7,d;1,-2,-4;1,1,2;1,0,-8;1,4,a;1,-7,1;1,-1,-3;1,-4,3;1,2,-9;1,c,g;2,-f,1;2,f,-1;1,0,0;1,0,0;2,0,0;1,-d,-h;4,6,5;2,5,7;3,-d,-2;2,f,7;4,-2,-k;a,0,2;2,-8,i;2,-6,-b;2,a,-1;5,-1,0;5,7,c;s,0,0;b,0,0;2,3e,c;9,1i,-6;1,i,1g;1,-9,-p;1,-10,-2r;1,-9,7;1,1j,2j;1,-12,-2f;1,3,a;1,-y,13;1,1,-13;1,m,v;1,y,-c;1,l,1i;1,-3a,-11;2,1k,-p;1,-l,-14;1,2f,2m;1,-1d,-2g;1,s,2a;1,-9,-1n;1,-2k,22;1,10,o;1,w,-n;1,-z,-2w;1,15,7;1,o,n;1,-n,s;1,-y,-3;1,-19,x;1,2d,-1r;2,-29,q;1,24,-2;1,-1j,-e;1,r,-b;1,11,2l;2,r,-n;1,-17,-i;1,f,-w;1,-z,24;2,1p,-1s;1,9,-q;1,-2v,1k;1,0,-p;1,h,19;2,1x,h;1,-1t,-34;3,g,24;1,18,-1a;1,-29,21;1,1m,-12;1,-t,1n;1,7,-25;2,1z,9;3,-g,d;1,a,-a;1,-1y,-1q;1,1c,2k;1,-2n,-m;2,-1,10;1,24,-a;2,x,-13;1,-19,-v;1,h,r;1,d,a;1,-6,-4;2,-1t,d;1,a,-1b;1,1n,1h;6,2,-f;5,2o,2d;4,-16,q;1,8,-w;1,-10,3p;2,-9,-1x;1,3l,-7;1,-2k,-2g;1,-f,8;1,0,d;2,3a,j;1,-2g,-5;1,-7,4;1,u,-6;1,q,16;1,-21,-2g;1,y,22;1,-j,-12;1,l,-h;1,1y,1t;1,-y,19;1,2,k;1,-2e,-3w;1,3i,d;1,-3h,-p;1,-a,14;3,-m,i;1,j,1;1,-2,0;1,2z,1h;1,-1e,-2p;1,-2j,16;1,1,8;1,2d,-14;3,-n,38;1,-t,k;1,2t,-26;1,-2n,1c;1,-i,y;1,46,-4d;1,-2o,1m;2,-15,l;1,3i,-c;1,-3g,24;2,1o,-2x;1,-27,1e;1,2t,-w;2,-17,1h;1,1p,-2k;1,-1c,1d;1,1l,-2l;2,-1z,1q;1,-8,1q;1,-17,23;2,4p,-4k;1,-2v,q;1,-l,-7;4,28,1i;1,-15,-8;1,-1h,29;1,8,e;2,b,-y;1,2d,-2o;1,-q,a;1,-x,-2d;1,23,3i;1,-1,-5;1,-n,-7;1,n,7;2,-f,-c;2,9,-1e;1,-2f,11;1,-c,t;1,2b,-20;2,-2w,11;1,c,-s;1,-14,r;2,16,5;2,1h,-9m;1,-2,-1;3,45,-x;1,-2d,46;1,-22,-u;1,34,-1g;4,-3f,j;2,2g,-t;1,-w,-p;1,k,37;1,-19,14;1,1,-1x;1,e,-r;1,f,4q;1,-1z,-52;1,2m,1k;3,-8,8;1,0,-6;1,-f,3z;2,-17,-45;2,n,-22;2,t,1d;1,-z,-16;1,-j,3a;1,1d,1u;1,-10,-3c;1,j,3v;1,1m,-p;1,-1s,-4;1,w,-3y;4,-1s,9;2,2,-r;1,-y,0;1,2z,-9;3,-1u,-b;1,1g,5t;1,-t,-1h;1,1l,-3b;3,-41,-h;3,3w,-1b;1,-d,3v;1,-27,-2d;1,n,2h;1,24,-2n;1,-a,3;2,-g,5r;2,-1j,-6n;1,1t,w;1,-19,1e;1,-f,-14;1,-g,-5;2,c,-1a;1,x,p;1,-m,2e;1,1a,-33;1,-w,2e;1,3,-2m;2,v,5u;1,-4,-1f;1,0,-25;1,-1t,-q;1,-s,-c;4,25,1w;1,-17,-2f;1,-1a,o;1,1c,1f;1,1l,18;1,-1x,-25;5,4j,-2r;1,-3h,1;1,j,-7;2,2e,-l;3,-t,8;2,-l,-2u;1,-b,-19;1,5,2g;1,1z,1z;2,-3a,-h;1,2m,8;1,s,g;1,j,1e;1,-2l,-1t;1,-17,j;1,2q,-n;1,3,7;3,-1m,-28;2,-1d,20;2,21,-1g;1,10,1i;1,-2,1;3,5,d;1,-30,-m;3,11,-47;4,29,4u;3,-9,c;1,-15,-c;1,-15,-3i;1,13,1q;2,1o,25;2,-1m,-1n;1,6,-1b;2,l,1w;3,-p,4;1,-w,-3t;1,s,28;1,-p,1d;1,11,1i;1,k,-1c;1,-2r,2;1,2b,-m;2,-16,-i;1,-1,-2j;1,-n,21;1,t,1p;1,l,-2q;u,-ey,-ak;1,e,-3i;1,b,1o;2,1d,2x;1,15,-13;1,-1y,-n;1,-34,o;1,2n,-a;1,13,-d;1,0,d;1,-2,-i;1,0,1;1,3,-5;6,-1o,-31;1,r,3d;1,-w,-40;1,w,3u;2,1,-3l;1,a,1c;1,-y,5h;1,x,-1x;1,3,-3w;2,j,16;1,-11,1o;1,-v,-p;1,35,d;1,-27,l;1,11,-17;1,-1,0;1,-1i,0;1,v,-c;1,y,-b;1,1a,2f;1,-30,-4t;1,2f,4f;1,-3d,1c;2,1x,-1r;1,-16,4;1,3,-2v;1,-1d,3e;1,36,-3b;1,-7,3o;1,-42,-s;2,2x,j;1,m,-4;1,b,-1;1,-2b,f;1,1z,-48;1,f,s;1,-3i,2z;1,1y,-16;1,-p,1f;1,1a,-21;1,16,-r;1,-44,17;1,3c,-15;1,-31,13;1,k,z;1,1m,-1j;1,0,-i;1,36,1y;1,-3b,-1q;1,w,1p;1,-2m,-1k;1,41,1h;1,-20,-3n;2,10,5k;l,c,-2u;2,1r,s;1,-18,k;1,-44,-l;1,20,3e;1,1q,-3h;1,-l,2b;1,d,-3y;1,-3e,s;1,2n,d;1,8,-38;1,-e,3c;1,4,2x;3,-6,-4w;1,-1d,49;1,1a,-5g;1,-j,48;1,-g,1b;1,1r,-5;2,11,-v;1,-41,-m;1,2x,-9;1,-1n,1;1,3c,w;1,-21,6;1,6,-33;1,h,-7;1,u,23;1,-1s,-6;1,20,-3;1,-4q,-x;1,3i,14;1,-n,23;1,-q,1v;1,f,-1u;1,-t,-k;1,-c,-s;1,-1m,-1j;1,3i,2s;1,d,f;1,-1t,-3;1,-1q,-2l;1,1b,o;1,17,-22;1,-2w,23;1,4e,1f;1,-2y,-30;1,1,35;1,-7,-1j;1,2g,-10;1,-11,2x;1,1o,-1p;1,-2o,-26;1,1v,y;1,-b,3m;1,r,-11;2,-1v,-2b;1,1h,y;1,3,v;1,-1y,-f;1,u,-39;1,-1w,32;1,18,-e;1,1b,-1k;1,3,20;1,-d,-8;1,-e,r;1,7,1l;2,12,-h;1,-2l,-3h;r,2q,1e;5,p,r;1,-29,1e;1,o,-11;2,-1f,-1t;1,u,4;1,1j,-z;1,-2t,o;1,16,22;2,p,-3p;1,1b,9;1,-2a,13;1,6,2o;1,17,-3a;2,-1r,g;1,2n,-7;2,-27,22;1,12,-16;1,2d,q;1,-2t,j;1,-l,-1d;1,2m,v;1,-8,-i;1,-1u,1m;1,1,-39;1,x,2t;1,1,-2v;1,n,1y;1,-1p,9;1,-1o,o;1,3c,0;1,-2e,-1s;1,2,8;1,q,2w;1,t,-2s;1,2,2;2,15,-a;1,-s,1p;1,h,-17;1,a,-u;1,-26,-16;1,7,43;1,-b,-19;2,-1a,-25;1,19,4t;1,-h,-1i;1,-7,-2o;1,2w,26;1,d,-j;2,-2j,-1v;1,-1p,b;1,21,-5;1,-20,c;1,1z,0;1,-1,-6;2,-h,41;1,2f,-1v;2,m,-1g;1,-3v,s;1,o,-23;1,4,-2b;1,-12,3f;1,2d,-u;1,-7,-18;1,11,2y;n,-1c,-s;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-7,-4;1,7,4;1,-8,-5;1,4,-5;1,-3,0;1,-1,0;1,5,5;1,-4,-1;1,-6,1;1,7,2;1,0,7;1,6,-4;1,-8,-3;1,-4,2;1,0,-8;1,8,-6;1,0,-5;1,-3,5;1,1,-3;2,-3,n;1,9,-5;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,0,0;1,0,0;7,-7,-3;c,7,3;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,0,0;1,0,0;1,0,0;b,0,0;1,0,0;a,0,0;1,-8,-6;1,8,6;1,0,0;1,0,0;1,0,0;1,-7,-3;1,3,-b;3,48,1f;1,0,0;i,-y,-o;1,4,-i;2,p,-g;1,r,-g;2,5,2l;1,-1n,-l;1,v,-g;2,-f,-1m;1,-p,1n;1,1c,-16;1,-u,23;1,y,-12;1,-c,1y;1,d,-2k;2,-g,5;1,-h,1;1,11,1e;1,-1l,-d;3,1i,-h;2,a,-7;1,-18,-w;1,15,1k;1,-y,-12;1,15,6;1,-4,-1k;1,-1q,22;1,1m,-y;1,5,2o;1,6,d;1,-g,-1o;1,-12,-s;1,o,1c;1,u,-o;1,-l,1g;1,5,-9;3,-4,-v;1,n,-28;1,-b,3s;1,-g,-1h;1,-f,e;1,-6,-r;1,-o,-y;1,12,1v;1,r,-3;1,6,-20;2,-1n,16;1,1l,1a;1,-1d,-1j;1,17,-18;1,-16,y;1,s,-1r;1,b,3h;1,-n,-1w;1,-3,-1h;1,c,9;h,-1z,-r;9,r,-28;1,t,23;3,x,-q;1,-10,-10;1,-17,1y;1,1w,-6;1,-25,-g;1,z,9;1,-9,-c;1,-18,t;1,2f,-a;1,-2e,-7;1,p,-3;1,d,1m;1,0,-1;1,n,-2y;1,j,t;1,-17,v;1,-1a,e;1,3d,-1k;1,-2u,1k;1,l,g;2,-l,-3j;1,1u,1d;2,-2c,q;1,2p,2;1,-1r,-17;1,a,16;1,5,1d;1,-1c,-12;1,-3,a;1,1j,c;1,4,-1t;2,-c,1g;3,-n,-1j;1,-3,u;2,12,-13;2,1n,1y;1,-30,c;1,1g,-e;1,u,-j;1,-i,q;1,-1l,-24;1,1g,j;1,-15,e;2,x,-19;1,-17,1u;1,9,-25;1,a,a;1,-m,2d;1,1c,-o;1,-o,-g;2,o,-8;1,-f,-5;1,-i,-1;1,s,-1d;1,2,38;1,19,-1g;1,-2i,-a;2,15,b;1,-5,p;1,-x,-1z;2,1c,-g;1,-1j,1x;2,t,-23;2,23,2g;1,-1z,s;1,4,-37;1,-7,t;1,-a,2f;1,-9,k;2,1d,-1r;1,a,3;1,-1c,1p;2,-3,24;1,l,s;1,13,10;1,-1k,-1a;1,o,-e;1,-a,3r;1,-b,-6;1,-4,-3f;1,-y,e;2,1h,-7;1,-1f,1c;1,q,-4;1,-5,e;2,1o,-11;3,-r,2;1,10,7;1,-2l,-u;1,18,1j;1,-e,c;1,-6,-13;1,r,-10;1,-g,29;1,-m,-2m;1,2k,1y;1,-1u,11;1,y,-h;1,-8,-b;1,-27,-12;1,1n,-18;1,-q,2k;1,-o,-1e;1,20,-9;2,-1h,2;3,o,2f;1,-l,-2h;1,-1,z;1,8,1l;1,1l,-1p;2,-13,1;1,-h,17;1,i,-2e;1,-7,3g;1,-p,-1g;1,-8,-1e;1,1y,-k;1,-1c,3m;1,u,-u;2,-18,-26;1,1p,e;1,b,m;1,-1c,-v;1,1i,l;1,-18,1e;2,2,-h;1,-d,-1x;1,s,q;1,-12,t;1,m,0;1,-12,-11;1,14,0;1,-7,26;1,-m,-3h;1,b,z;1,v,1n;1,-1u,-10;1,1r,l;1,-4,-d;3,-w,-1i;1,x,2l;1,-t,s;j,-1,-1s;1,-1,3;1,4,1;1,-4,2;2,-7,5;1,8,-2;2m,-3z,-5r;t,-1,g;1,-b,-3;2,-q,-1f;2,4,10;1,-9,-d;1,1s,-h;2,-l,-f;1,-q,x;1,k,-p;1,5,s;1,m,-15;2,-18,1f;1,1b,-i;1,-f,-18;1,-z,n;1,1g,v;2,-17,-c;2,11,-k;1,-1i,1h;3,o,-1s;1,r,1e;1,-g,-m;1,-19,n;1,t,a;1,-a,-12;1,5,19;1,9,-27;20,21,3x;4,0,0;7,0,0;3,0,0;u,0,0;1,0,0;1,-7,-4;1,0,0;i,3g,-83;1,-g,3d;1,u,-1z;1,-1n,d;1,u,19;1,-10,-g;1,a,-1o;1,12,-6;1,d,1z;1,-2f,-10;1,2d,-1o;1,-h,2n;2,6,-f;1,-1a,-12;1,c,v;2,-1,a;1,-j,-5;1,o,u;2,1a,-1b;1,3,-1l;1,-14,h;1,-b,22;1,-k,-1g;1,1w,-o;1,-z,y;1,o,17;1,-10,-1v;1,u,5;2,7,2k;1,-1z,-1i;1,1u,-1;1,e,-11;1,-h,1h;1,-9,-1n;1,-m,g;1,-18,-4;1,2q,5;3,-24,k;1,1k,-k;1,f,z;1,-4,11;1,-14,-1j;1,a,p;1,i,-v;1,-1p,-3;1,d,-v;1,i,2t;1,-b,-2z;1,-g,c;1,0,s;2,22,1b;2,-2k,-n;1,1g,-2;1,c,-24;1,-1j,v;12,z,-m;1,-d,8;1,e,-b;1,2,3;1,-3,2;1,-3,3;2,8,-1;1,-3,-c;2,-b,b;2i,25,1h;t,e,-19;1,-k,1j;1,j,-3;2,-b,-l;1,9,-m;2,5,l;1,-q,8;1,c,-n;1,a,-u;1,e,1;1,0,9;1,1,19;1,-l,-5;1,-g,t;1,z,-1h;1,-n,-d;1,-1,1t;1,m,-8;1,-x,-18;1f,7,2v;u,l,2;2,-l,e;1,p,h;4,-o,-1e;2,-8,h;1,-6,b;1,l,v;1,-k,-x;1,10,10;1,7,-22;1,-s,-4;1,r,g;3,-h,-r;1,4,17;3,7,-10;1,0,12;2,-y,-d;1,9,13;2,t,-n;3,0,g;1,-b,-2;1,0,h;1,-11,-k;z,-2g,d;t,-1,-h;1,s,-x;1,-17,n;1,11,r;3,-a,-d;3,-b,-1o;1,-g,27;1,l,-1d;1,-a,-6;1,4,1t;1,-6,-q;1,y,-1d;1,-1k,r;1,-5,-8;1,19,-4;1,9,1k;1,5,-u;1,-e,10;1,-5,-9;1,d,m;1,-11,-1w;1,2,i;3,14,-j;1,-r,1q;1,9,-2m;1,3,d;1,-f,2h;1,-a,-12;2,c,-p;1,o,9;1,-g,-4;y,-2g,-23;1,3,2;1,0,3;7,3,-8;a,1u,19;1,-1b,b;2,18,-21;2,-1w,1u;1,c,-15;1,19,1c;1,a,-e;1,-5,-e;1,-7,l;1,-l,z;1,-19,-9;1,-a,-p;1,2,-x;1,j,1o;1,e,-k;1,q,3;3,-1r,-j;1,c,4;1,x,-16;1,i,2a;1,-y,0;1,1f,-2p;1,-h,o;2,-z,b;1,-a,p;1,1e,-18;1,-1w,t;1,18,1c;1,2,-19;1,-x,-f;1,16,-j;1,8,-a;1,7,-2;1,l,i;1,-1a,f;1,-f,u;1,-s,-16;1,1y,v;1,-h,-8;1,q,-z;1,-h,15;1,-1s,s;4,1g,-m;1,-16,-i;1,2g,-f;1,-2s,1w;2,o,-1f;1,d,-2;1,a,15;1,q,-i;1,2,-u;c,-1z,1i;2,1b,-k;8,-22,0;1,-1,0;1,2,-1;r,-g,g;1,-1,l;1,f,-4;4,-8,-i;1,-5,a;1,m,-h;1,-c,-j;1,-b,-f;5,p,j;1,-c,1j;1,-d,-16;1,d,-1e;1,d,p;1,-l,-2;1,0,1k;1,9,-1q;1,f,-3;1,-6,-9;2,-a,1o;9l,4y,cg;1,-1,-6;1,-5,6;1,4,2;q,-z,7;1,b,f;1,7,-16;1,-4,-f;2,z,-j;1,-g,-b;1,-1c,1y;1,1n,-2m;1,-4,1x;1,-7,-q;1,2,-e;1,f,-d;1,k,-2;1,-9,9;1,-w,13;1,1,-8;1,1e,-x;1,-k,8;1,d,4;1,-t,-a;2,h,k;1,-i,f;1,-s,z;2,s,-18;1,-a,-13;3,-14,25;4,2,y;1,1b,-24;1,b,f;2,-o,e;1,-13,15;1,2,k;1,p,-t;1,1o,-2h;1,-u,1l;1,-1j,y;1,a,-1;1,1f,-2y;1,b,0;1,-14,17;1,-b,10;k,m,9;2,2a,-35;v,-c,-c;1,-6,p;1,x,-24;1,-1a,24;1,z,-1b;4,8,1q;1,-1d,-e;1,-a,-g;2,s,-a;2,4,1x;1,-m,-22;2,1f,r;2,-9,16;3,-s,-2f;1,11,-d;1,-15,29;1,-3,r;1,2,0;1,-1,-k;1,1a,a;1,-z,-1c;1,-e,m;1,m,-1i;1,-10,l;1,18,-c;1,-n,7;2,d,-1;1,-y,s;1,z,10;1,-h,-21;1,m,1j;3,-w,-z;q,-4i,s;1,2c,-9;1,-x,-p;1,-3,2;1,v,1m;1,-c,-1n;1,8,2y;1,-h,-40;1,1,i;1,16,7;1,-1o,-16;1,13,3q;1,7,-1x;1,1,t;1,-t,-2k;1,-2,3r;1,j,-3o;1,k,2c;1,-4,c;1,-1f,-1m;1,-9,-z;1,-7,-1;1,2e,2v;1,-q,-2r;1,-g,-1;2,-c,24;1,3,-l;1,o,-12;2,-27,c;1,18,-v;1,n,1v;2,-1c,f;1,h,-z;1,1p,1r;3,-1y,-p;1,5,-9;1,-3,4;1,0,2;1,-9,-d;1,9,e;1,-2,-5;1,-g,-e;1,-d,-p;1,1v,-q;2,-q,3;1,17,2o;1,-r,-g;1,5,1k;1,-b,-b;2,5,-3g;18,-c,b;1,p,1c;3,-4,r;1,-a,4;1,-a,-1q;1,-n,-q;1,1f,3k;1,f,-w;2,-m,-5;1,p,-2c;1,-x,1u;1,6,-1j;1,-1b,-b;1,m,1c;1,g,-s;1,-k,t;1,u,1a;1,b,c;1,-1a,-23;1,y,2a;1,5,-2c;1,-1b,-m;1,2b,o;1,-2k,k;1,1n,-9;1,u,-i;1,-3,10;2,-q,-13;1,-r,10;1,-5,-16;1,-v,-e;1,1p,1r;1,-g,r;1,-7,-1e;1,d,-2j;1,-q,2i;1,14,-5;1,-9,-2c;2,s,2h;1,-5,-l;1,-m,-l;1,-t,-i;1,q,-a;1,i,13;1,-e,1l;1,-f,-16;1,15,6;1,-2r,8;1,1o,-u;1,-1a,-i;1,3,y;2,k,1h;1,-v,-1e;2,s,-l;1,16,2v;13,-9,-1v;1,5,0;1,-4,3;1,-3,-6;1,3,-2;1,3,7;1,7,4;1,0,0;1,0,0;1,0,0;1,-3,-d;2e,3,d;1,0,0;1,0,0;2,-2x,-29;t,-3,9;1,3,-1b;2,-4,1t;1,s,-1i;1,-15,21;1,a,-1v;1,-n,m;1,-4,-l;2,1a,26;2,-1e,-m;1,1k,-1a;1,-1c,-10;4,10,y;1,-1a,-13;1,1x,1m;1,-1c,p;1,-1,-16;1,w,-b;1,-m,13;1,-t,-1o;1,10,2f;1,2,-1;3,-g,-z;1,z,-c;1,d,q;1,-g,-d;2,-18,y;1,14,-1h;1,-j,1c;1,o,-p;1,-m,-22;1,-u,2f;1,l,-1z;1,-j,h;1,-4,26;1,e,-2v;2,15,27;1,9,-1e;3,-h,1l;1,-y,-2p;2,-2,-b;1,-7,2h;1,1e,t;1,e,-1e;2,-1b,u;2,-j,-2p;1,1u,2m;2,-1j,-1i;1,6,5;1,19,7;6,-1c,46;i,-s,-19;1,i,-m;1,1e,p;2,-10,n;1,-b,-3;1,-8,-n;1,-2,-h;1,-1,14;3,l,-11;1,-7,a;1,-10,l;3,1o,-10;2,0,1r;1,-i,-d;1,-w,-g;1,1n,g;1,-e,-u;1,2,-d;2,6,s;1,-c,1;1,i,10;1,3,-1e;1,-11,0;1,a,-9;1,8,19;1,-8,-1r;1,o,q;1,b,12;1,-7,-1d;1,-v,1c;1,-b,-q;1,5,-8;1,-6,t;1,16,-l;1,-f,e;15,2s,2x;j,-16,-2k;1,i,k;1,-j,1c;4,-4,-p;1,19,14;1,-1e,-12;1,z,-2;1,-2,1b;1,j,-l;1,-d,r;1,-1,2;1,0,0;2,0,0;1,-1m,-3a;1,3,7;1,9,-5;3,19,2b;3,-c,-o;1,0,8;1,-a,-n;1,5,z;1,-v,-1k;1,1r,22;1,-d,-t;1,-1l,-1g;1,x,2b;1,-w,-2c;1,l,-o;1,m,2h;1,8,k;1,-6,-a;1,-s,-10;1,a,-s;1,-d,4;4,s,j;1,-n,-17;1,9,2f;1,c,5;1,-a,-1d;2,15,1s;1,-o,-2k;1,-b,15;1,q,d;2,-y,-1v;1,q,17;1,-o,-h;n,-7,18;1,0,-4;1,2,5;1,0,-5;1,7,0;1,-4,1;1,-1,6;1,5,-7;1,0,0;5c,5l,76;1,-f,-w;1,-q,-h;1,t,1v;1,-18,-p;1,1i,-16;1,-1d,19;1,-5,-4;2,1i,-g;1,6,i;1,-10,9;1,s,g;1,18,-y;1,-a,15;1,-1p,-2m;1,-b,1b;1,-f,-g;1,1t,7;1,e,z;1,-10,2;1,-q,-g;1,1j,2;1,-19,f;2,1a,-d;1,-1a,-t;2,-k,3;2,1g,16;1,-j,-1z;1,-m,14;1,a,-11;1,6,6;1,-o,-5;1,i,17;1,-p,-1q;1,u,a;1,e,1d;2,15,j;2,-j,l;1,-1v,-10;1,8,-1;1,b,-1b;1,w,i;1,u,g;1,-12,-q;1,-y,18;1,2,-1;4,-3,-j;1,1u,7;1,-1y,-h;1,j,-b;1,d,1a;1,1f,-3;1,d,-d;1,-9,18;1,-2a,-1n;1,1h,-j;1,-1m,7;3,0,6;1,1f,1r;2,-1i,-1b;1,1v,t;1,-z,a;1,h,-a;1,-u,-o;2,4,-n;1,1e,r;1,-16,m;1,z,o;1,-2,a;1,a,-f;2,-9,-5;1,-14,-1a;2,22,-2;1,-2l,7;1,u,3;1,6,-p;1,-q,1b;1,16,1;1,-1b,-23;1,n,1i;2,-h,i;1,3,-20;1,9,k;2,-2b,t;1,-4,f;1,13,-d;1,-10,g;1,e,-m;3,g,z;1,-t,-m;1,15,s;4,-z,-2h;1,2,c;3,13,g;1,-d,0;1,-8,6;1,-a,-e;1,z,1a;3,-1f,-1c;1,p,1m;1,h,-12;1,-17,2;1,15,10;1,0,-6;2,-4,4;5,b,-1u;1,-q,10;1,-5,j;1,-9,t;1,-3,1;1,-2,-5;1,0,4;1,5,-5;2,10,-s;1,-12,-u;1,6,a;1,n,1;1,2,n;1,8,3;1,-15,-e;1,11,-g;1,-5,1d;2,-1,-1x;1,-y,n;1,-1,1b;1,3,-15;8,i,8;1,-h,9;2,-2,-3;1,9,q;1,r,4;4,-r,-1k;1,6,1g;1,u,-1y;1,-1c,1a;2,0,-c;1,h,m;1,w,-y;1,-1b,-m;1,m,14;1,o,-2;1,1,-1;1,0,-4;1,-6,-3;1,-c,-18;1,-p,k;1,-7,10;2,5,i;1,-5,-1c;4,4,v;2,1d,q;1,1,1;1,-1,-2;1,-2,-1;1,3,-1;1,3,1;1,-a,4;1,7,-7;1,7,1;1,-5,-2;1,1,8;1,-1,-2;1,-2,-9;1,-3,-2;1,-1,8;1,8,-3;1,5,6;1,-3,-8;1,-b,0;1,-4,0;1,-1,5;1,d,-9;1,8,4;1,0,-4;1,-4,0;1,-7,-1;1,-6,0;1,-2,0;5,7,a;1,0,3;1,-7,4;2,7,-4;7,-a,0;f,a,0;4,3,-f;4,-3,f;1,0,0;6,0,0;4,0,1;a,0,-1;2,0,0;3,0,-1;2,0,1;2y,-v,n;1,4,-c;1,-6,0;1,3,-1;1,-2,-1;1,0,-4;1,1,8;1,0,a;2l,-c,-3v;1,b,-11;1,17,-1e;1,-19,8;1,-4,2v;1,1e,-42;1,-e,13;1,-f,10;2,-e,-28;1,-h,3h;1,-5,6;3,1q,-1z;1,-w,-c;1,k,3;1,n,-24;2,-1r,3e;1,n,-1;1,-s,-14;1,17,24;2,-18,f;1,16,-42;1,b,35;1,3,-18;1,d,d;1,-1j,-1o;1,11,2u;1,j,-p;1,-s,-28;1,-d,30;1,d,-3c;1,-k,2p;1,-a,8;1,p,10;2,u,-40;1,-1s,r;1,5,2e;1,16,-3c;1,-h,19;1,-e,2f;1,-7,4;1,6,-3;1,-4,-a;1,v,w;1,-17,-1x;1,1f,1n;2,-g,-3t;1,-2,-g;1,17,2g;1,-b,-1w;1,c,41;1,-x,-1e;1,f,l;1,2,-1w;1,l,d;1,-s,c;1,-x,1k;2,7,-3d;1,-p,1g;3,12,-28;1,-o,2b;1,1i,p;1,-s,-12;1,l,-20;1,-14,2a;1,c,p;1,-u,e;1,1u,-29;1,1,v;1,0,2h;1,-18,-48;1,1f,-5;1,-10,18;1,q,p;1,1,-1j;1,-24,4c;1,6,-46;1,0,y;1,1p,-i;1,-q,2d;1,q,0;3,-j,-x;1,i,1l;1,-k,-38;1,l,2g;1,-1,-j;1,3,b;1,-1k,-1g;2u,16,18;1,0,0;1,1,4;1,4,3;1,-5,-a;1,1,4;1,-1,-1;1,0,0;3,-3,-3;2,0,5;1,6,9;1,-3,-9;1,-1,9;1,1,-k;1,3,o;1,-7,-n;6,4,8;1,0,0;i,0,0;u,-2,5;3,2,-5;1,0,0;1,3,a;3,-3,-a;1,9,d;1,-b,-5;1,2,-8;1,0,0;2,1,4;1,-1,-4;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;7,-f,-4l;1,-c,i;1,-p,1i;1,w,-1k;1,r,k;1,-15,-p;1,-d,1d;1,3,-c;1,10,-6;1,-h,-z;1,-s,1d;1,4,-9;1,q,-b;3,d,-g;1,-3,-9;1,-k,1b;2,-5,-l;1,z,-16;3,-1g,1m;1,14,-7;1,j,-v;1,-5,a;22,1d,3r;9,z,-z;1,-1l,1a;2,f,-13;3,-2,2j;3,r,6;1,-5,-28;2,-h,2e;1,6,-14;1,-7,-38;1,-h,3h;1,y,-g;1,t,-23;1,-1h,27;1,w,-36;1,-5,2b;1,5,1n;1,-z,-j;1,i,g;1,15,-2j;1,-14,23;1,u,-1t;1,-1d,-19;2,t,2v;1,-a,-1u;1,-2,-y;1,-a,-3;1,-6,d;1,s,e;2,2,2g;1,4,-d;1,4,-2k;1,-2,1y;1,c,-27;1,-1c,u;1,11,t;1,-2,a;1,-n,d;1,-d,-9;1,e,16;1,0,-1;1,-f,-2n;1,e,-4;1,-b,24;1,5,-1w;1,m,-z;1,-6,49;1,r,-24;1,-p,-r;3,-2,-1b;1,-d,2m;w,55,-8m;1,-12,3;1,-k,-7;1,1i,u;1,-7,-d;1,w,-z;1,-13,q;2,i,-k;1,-1q,9;1,0,-2;2,x,v;1,-17,-11;1,y,a;1,1,-s;1,e,j;3,k,-g;1,-1l,-5;1,b,c;1,d,7;1,1g,-5;1,-12,-8;1,7,e;1,-p,z;1,-1,-8;1i,d,-1c;j,-s,d2;1,1z,a;1,h,-1h;1,-p,v;2,-2n,-r;1,n,0;3,-1g,11;1,1r,-y;1,q,10;1,-28,-p;1,2r,n;1,-2a,0;4,38,-3;1,e,-v;1,g,j;2,-4p,9;1,1x,-i;1,23,-4;1,-3s,x;1,1f,-o;1,5,-1g;1,-20,1m;1,h,-6;1,c,-j;4,1d,-i;1,-1s,u;1,1d,8;1,1k,-o;1,-10,17;1,-1w,-o;1,18,u;2,11,y;6,b,-27;1,-m,-11;1,27,28;1,-3c,-17;1,w,1l;1,-1,-r;1,-10,-3;1,31,m;1,-1k,g;2,e,0;1,-2z,-t;1,2t,-4;1,-1b,-c;3,-f,-6;1,s,-s;3,-1p,w;1,w,-s;1,l,19;2,-7,8;1,12,-x;1,t,-p;2,4,1y;3,-2u,-q;2,14,-k;j,-c,2j;1,19,t;2,-v,-19;1,-h,0;2,-1d,-11;1,r,g;1,1t,1j;1,p,n;1,-a,-c;1,-4,-4;1,-16,-v;1,-1e,-k;1,2,-8;1,m,o;1,b,-g;3,-19,4;1,3,8;5,1q,c;1,-1a,-x;1,-3,h;1,u,-i;1,-14,-f;2,-f,5;2,3a,29;1,-z,-r;5,-1f,-o;1,-g,3;4,-d,-t;1,3p,2q;1,-3d,-2l;1i,w,-j;1,2,4;1,5,-a;1,-5,5;1,-4,2;1,6,-1;1,-6,1;1,6,-1;3,-3,9;2,6,-h;b,-9,9;k,-3,-a;1l,1i,-4g;1,-7,-6;1,5,o;1,-s,-1s;1,t,-d;1,-1i,2s;1,9,0;1,1e,-6;1,c,m;1,-1n,-2i;1,18,3;1,-y,0;1,-y,-9;1,1r,2h;1,-v,-1z;1,v,2m;1,a,-1v;1,h,1t;2,-1l,-3s;1,s,5;1,5,-f;1,-13,2w;1,1v,n;1,-o,-39;1,-a,z;1,-7,24;1,1p,a;1,-1u,-a;1,12,11;2,-19,-12;1,1c,-4d;1,g,3;1,-1,3o;1,-26,-2p;1,i,-h;2,1f,-h;1,-16,3x;1,-j,-20;1,1z,18;1,-23,-8;3,d,-23;1,y,-o;1,-e,2h;1,-r,-y;1,z,35;1,e,-3m;1,3,1u;2,-1m,-k;1,k,l;1,-p,-2l;1,-r,21;1,m,1l;1,2m,-2n;1,-1c,-t;2,14,49;1,e,-g;1,-19,h;1,v,a;1,-2k,-3k;1,1,1t;2,-a,-x;1,2n,-v;1,-12,23;1,-p,-22;1,-1,2b;1,m,-s;1,-15,-i;1,18,m;3,-h,-21;1,y,3;1,-1k,20;1,4,4;2,n,-1i;1,1p,2c;1,-1v,g;1,25,-1v;1,-1w,-1n;1,-z,y;1,2f,-x;1,-h,4b;1,-1u,-25;1,m,-3e;1,-z,2m;1,1,-b;3,1n,-1w;1,-g,3z;2,2g,-m;a,1,1m;1,14,-2a;1,-1k,-1d;1,1b,-10;1,-1f,-3;2,1t,-13;2,-c,4m;1,-1e,x;1,12,-y;3,-b,-3c;1,1q,m;1,-2m,-1q;1,1s,q;2,-19,2m;1,-g,-2y;1,p,2o;1,-m,3;2,2h,-1c;2,-4,-c;1,-2e,-r;1,17,1y;1,-h,u;1,10,r;1,-1p,1t;1,10,5;1,-j,-2m;2,18,-t;1,e,-29;1,-d,1n;1,-u,v;2,1k,-1d;2,-1d,-h;2,c,3q;1,-10,-3o;1,-f,b;1,1t,1j;1,-s,p;1,1m,-2n;1,-1f,2k;1,7,3;1,-q,10;1,-x,-56;1,b,2s;1,28,-16;1,-2n,4v;2,1d,-2w;x,-5w,-48;1,b,5;1,-6,-8;7,1m,-1k;1,2,2f;1,-k,-1i;1,-k,4e;1,-i,-30;1,17,f;1,0,-13;2,-v,2q;1,-o,-1g;1,y,-8;1,-15,-o;1,1n,-1x;1,-1j,24;1,-o,-c;1,1u,-13;1,-2m,1e;1,2p,-o;1,-25,m;1,22,-1s;1,-5,w;1,-28,1d;1,r,-s;2,4,20;1,28,-1p;1,-16,-l;1,-a,2q;1,-9,-a;1,-j,-r;1,-z,-16;1,2h,23;1,0,-21;1,5,14;1,-g,-16;1,-1z,d;1,1z,2f;2,-m,-1q;1,g,w;1,-7,-2f;1,-i,1p;1,-r,-e;1,1a,-g;1,-1s,-4;1,c,j;1,1k,-4;1,-23,-5;1,1d,-x;1,1o,8;1,-v,1s;1,4,-2o;1,-2,2f;2,-1e,-a;1,4,-n;1,1q,13;1,-1e,-11;2,p,-m;1,-8,1l;v,2n,-2p;1,3,-1;1,2,-2;h,-3,8;1,-h,-1q;1,6,2m;1,-7,-3p;1,1c,2o;1,-4,-1h;1,-c,2r;1,2,-e;1,10,-1c;1,-12,q;1,6,-z;1,z,1w;1,-j,-b;1,9,-1v;1,-f,-r;1,-x,i;1,-e,0;1,9,-5;1,-c,1e;1,r,-k;1,-b,-1g;1,-g,3d;1,h,-u;1,-u,-13;2,26,1j;1,-1z,o;1,-e,-1k;1,1x,j;1,-e,-2a;1,-y,-k;1,q,z;3,-17,34;1,5,-2f;1,-6,-w;1,29,1c;1,-1w,u;1,-a,-2k;1,-4,2l;1,m,-2p;1,1p,l;1,-6,9;1,-1b,j;1,19,0;1,f,26;1,-1c,-3u;1,d,3r;1,-1a,-3l;1,6,2d;1,13,1m;1,b,-31;1,-1x,1n;1,1k,-9;r,2j,-1h;4,-17,-8;1,36,3i;4,-32,-4n;2,-6,1k;1,m,-h;1,3e,3c;2,-y,-q;1,-2e,-1e;1,-4,-9;1,-f,12;1,35,-q;1,-10,x;1,-2a,-1f;2,5,-2a;2,4,1a;1,3r,2r;1,-2s,-j;1,-u,-22;1,17,-q;2,y,2s;2,-1l,-j;1,-6,q;1,29,-2l;1,-2a,-k;1,1k,1j;1,d,1x;1,-1k,-4e;1,-j,2j;1,2h,-8;1,-1i,1m;1,2e,5;1,-2t,-2j;1,1l,3w;1,k,-1w;1,-33,v;1,2v,-1r;1,z,36;3,-3l,-52;1,2y,20;1,-l,2e;1,3,-t;1,-2d,-1b;1,-6,-2i;1,1l,1t;2,1a,3f;1,-25,-1d;2,27,-20;1,i,18;2,-2r,g;1,-q,-1f;2,k,-2;1,4,-k;1,3,-17;1,1s,1m;1,f,-d;1,-1q,q;1,-c,h;4,2f,-1m;8,-23,n;1,-1h,-w;1,23,12;1,1f,2h;2,-29,-3x;2,-18,2h;1,14,16;5,-51,6v;1,-3,1;1,8,-b;1,-4,3;2,4,-3;3,m,-20;2,-1,2o;1,e,-6;1,-7,3;1,-8,0;1,-3,7;4,i,-a;2,-b,-2z;1,m,27;1,-1j,-l;3,1s,-7;1,-1g,11;1,1r,-o;1,-9,f;1,-1p,-23;1,o,29;1,-17,4;1,2b,-6;1,-1v,-e;1,-n,14;1,1,0;1,-1,-h;3,1b,-n;1,-14,-d;1,1a,17;1,-h,-2r;1,k,2i;1,k,-1f;1,-j,-1;1,-e,19;1,1m,-h;1,-v,-5;1,l,4;2,-1b,1a;4,-3,-6;1,1,2;3,-t,-25;1,1d,1b;1,4,-n;1,-13,o;1,-e,4;1,q,-x;1,5,-16;1,-8,1c;1,-t,-e;1,17,y;1,-n,-w;1,-j,q;3,-6,k;2,13,-1b;1,s,-5;1,y,q;1,-2l,13;1,c,-q;1,10,-y;1,-s,-g;1,p,x;1,-e,-q;1,-b,1w;1,5,-k;4,13,-15;b,10,-a9;1,1s,-7;1,-1d,b;2,11,-19;1,x,3;1,n,d;1,-13,-m;1,-2y,17;1,5,-t;1,27,-8;1,b,18;1,-9,-a;1,-l,-p;2,-w,k;1,2d,-1e;1,-3h,1c;1,-3,-o;1,g,-d;1,-r,5;3,11,d;1,1p,i;1,-23,1p;1,-c,-l;2,3g,-1r;1,m,c;1,-3i,d;1,2s,-9;1,-2h,i;3,38,-q;1,f,m;1,-2c,-5;2,t,-s;1,-2w,2n;1,1k,-1r;1,-5,e;1,-r,-1d;1,20,16;1,-2m,-1n;1,23,1o;2,-2v,-15;2,4t,-5;1,-4n,-g;1,c,10;1,l,-o;1,v,x;1,1s,2;1,-2x,-j;3,-12,-5;3,4w,w;2,-3n,-c;1,2,1b;1,3d,-15;1,-2u,-h;1,2n,g;1,-u,-13;1,-1k,11;1,3m,14;1,-2e,-o;1,9,7;1,-1b,-t;1,-6,1;1,0,-5;1,1l,a;1,0,-3;1,r,-m;2,-1p,13;1,-4,-d;1,18,p;1,-27,-o;2,-16,-16;1,p,1;1,a,1t;1,19,-n;2,t,-1;9,-13,-c;1,-1,-3;1,2,0;1,-1,-4;1,-2,-1;1,4,c;1,-4,-4;1,5,-9;1,3,f;1,7,1;1,-k,-i;1,k,1;1,-7,3;1,-4,-4;1,a,q;1,-g,-n;1,9,7;1,-a,0;1,4,9;1,-7,-d;1,-2,-1;1,-6,-7;1,2,8;1,-6,-6;1,h,q;1,f,-k;1,1,5;1,-9,e;1,-9,3;1,7,-g;3,4,-3;b,0,0;1,-7,2;1,0,1;4,-5,-8;5,6,6;6,6,-5;3,-2,4;1,2,0;1,-7,1;2,0,0;1,0,1;1,0,0;1,0,-1;1,7,-1;3,0,0;2,0,-4;a,0,4;1,0,0;3,6,-8;32,i,-1a;1,0,-1a;1,3,1x;1,-4,f;1,-t,-h;1,-m,f;1,-b,-27;1,2a,o;1,-9,a;1,-1o,-35;1,w,3x;1,-y,-2f;1,19,1b;1,-15,-21;1,-5,2i;1,19,v;1,-u,-g;1,-6,-7;1,1v,-10;1,-9,-8;1,-w,-e;1,-v,13;1,j,m;1,f,-2c;1,0,9;2,a,2e;1,-h,-x;1,r,-28;1,1,2u;1,-15,0;1,-11,-37;1,1,-g;1,1,1x;1,1,-z;1,m,13;1,-2,2g;1,-8,-21;1,5,5;1,z,12;1,8,-9;1,-15,-2w;1,g,3i;1,-5,1;1,5,-4;1,-3,0;1,-5,4;1,i,-m;1,5,-15;1,-h,-v;2,-m,24;1,1v,-1w;1,-1b,o;1,q,-1b;1,-e,2n;1,c,-9;1,b,-t;1,-o,q;1,-8,-j;1,4,u;1,10,-l;1,-q,-b;1,-a,p;1,10,-e;1,-1r,-17;1,n,q;1,-d,5;1,10,1a;1,-10,-1n;1,2a,19;1,-2g,j;1,12,-v;1,8,e;1,-r,-h;1,v,9;1,x,-g;1,-26,1c;1,2,-i;1,1i,-1a;1,-15,-m;1,12,-1;1,-1g,s;1,h,u;1,-l,-2a;1,d,27;1,-1,-c;1,b,-7;1,z,-1m;1,-o,1a;1,-9,17;1,4,7;1,-2,-j;1,-m,-p;1,i,-f;1,-16,-v;1,p,19;1,1v,x;1,-1w,-w;2,k,1s;1,0,-1;1,-1,0;1,-1,2;1,1,-4;1,-3,8;1,0,-3;1,1,-4;1,-2,1;1,-2,-4;1,9,2;1,2,0;1,-2,4;1,-2,4;1,-1,-4;1,-2,-8;1,-4,a;1,b,0;1,-c,-5;1,-6,1;1,l,3;1,-4,-9;1,-d,8;1,3,-8;1,-7,a;1,c,-e;1,4,-1;1,6,1;1,0,4;1,0,4;1,-n,-1;1,r,7;1,6,-8;1,1,7;1,-u,-8;1,3,-4;1,-7,2;1,0,-2;1,4,-1;1,b,c;1,3,-g;1,4,-1;1,7,9;1,0,3;1,0,-7;1,-8,-b;1,-4,0;1,j,j;1,-2,b;1,-t,-3;4,9,-2;1,0,1;3,1,-3;1,0,0;1,0,0;7,1,-1;1,-1,1;2,0,0;2,0,0;1,0,0;1,0,0;4,0,0;1,0,0;1,0,0;3,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1q,-h,-1f;1,0,0;1,-3,-e;1,3,e;1,0,0;1,-3,-e;1,0,0;1,0,0;1,3,e;1,-3,-e;1,0,0;1,1d,b;1,-1d,-b;1,1d,b;1,-1d,-b;1,1g,b;1,-1g,-b;1,0,0;1,3,e;1,v,11;1,-a,-7;1,0,0;1,7,-q;1,-7,q;1,0,0;1,4,-1o;1,-4,1o;1,0,0;1,0,0;1,0,0;1,s,-x;1,0,0;1,0,0;1,-1d,3;1,1d,-3;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-a,-9;1,-i,16;1,-l,-u;1,l,u;1,0,0;1,0,0;1,0,0;1,0,0;2,68,5v;1,5,-1e;1,b,1t;1,10,2f;1,i,1s;1,-d,-z;1,-h,-41;2,-1z,-s;3,21,36;1,-e,-t;1,-i,-t;1,l,12;1,-1h,-2c;2d,-k,-1i;1,e,-y;1,26,-8;1,-4c,-b;1,3m,1f;1,l,s;1,-3b,-1v;1,2t,t;1,-o,-2v;1,11,22;1,-2a,-1;1,-1k,2;1,3d,-e;3,-h,-1g;1,-o,2a;1,-17,-1;1,2d,-13;1,-23,w;1,1g,-32;1,2,l;1,1j,1z;1,-1x,s;1,33,-5;1,-4f,-12;4,1l,-1u;1,1u,4n;1,-n,-z;1,-2o,-f;1,22,-h;1,-3g,-15;1,1y,2;2,10,o;3,m,s;1,-u,-23;2,4,-10;1,1,-2;1,i,1n;1,1,0;1,-17,-1u;1,-1h,3f;1,2x,n;1,-b,-1c;1,-17,-1x;1,16,n;3,-2u,1e;1,c,-w;1,2t,g;2,-2i,-1l;3,21,2p;1,-2,-2n;1,-m,1e;1,f,12;1,-28,-y;1,2y,d;1,-9,-1o;2,20,10;1,-3,-n;3,-27,-a;2,k,1t;2,-1s,f;1,-k,-u;1,2r,-z;1,f,27;1,-40,-1l;1,1x,-12;1,-f,-1j;1,14,10;1,-1w,q;3,39,2c;1,-2k,-7;1,1t,-h;1,-14,-23;2,-2d,19;1,4k,2v;1,-3q,-1l;1,8,-1s;3,b,2i;1,-1,2;1,a,0;1,-1,8;1,-6,-8;1,-3,-4;1,-3,-4;1,-6,-5;2,8,-5;1,5,7;1,0,c;2,-3,-3;1,0,0;1,0,0;2d,-7l,-12;1,-5,1;1,0,-6;1,1,e;1,1,-7;1,9,6;3,-1j,-w;1,1m,24;2,-1b,-2t;5,n,-8;1,-i,j;1,-5,4d;1,11,-3p;1,-16,37;1,-5,-17;1,r,-p;1,l,-2b;1,-e,4g;1,-j,-3q;1,v,-d;2,-3,20;2,-1d,1w;1,1r,-27;1,-1f,-1a;1,12,19;1,-s,c;1,-2,-17;3,-e,1k;1,w,-29;1,-e,43;1,r,-x;1,-n,c;1,n,-3b;1,p,1s;1,-1,-2j;1,-17,4p;2,-b,-1u;1,3,-2q;1,-m,1a;1,18,1s;1,-18,-2y;1,1,37;1,1h,-2q;1,j,o;1,-2,p;2,-g,1h;1,7,-22;1,-1j,6;1,i,1m;1,17,-2a;1,-5,1e;1,-1e,6;2,d,-17;1,1p,18;1,-u,r;1,-1e,-2t;1,m,30;1,e,-u;1,-f,-1z;1,-p,34;1,c,-21;1,i,-c;1,-v,-e;2,15,1x;2,15,-a;1,-1k,-2b;1,1e,6;2,-g,-7;2,-c,3a;1,0,-7;2,-w,-1e;1,1h,-g;1,6,-o;9,-f,-3p;1,1,-1;1,6,-8;3,-6,a;1,-1f,1q;2,0,-l;1,o,-1o;1,20,16;2,-2p,-x;1,-7,r;2,j,1e;1,1k,-1f;2,-l,-30;1,-1d,3u;1,1u,-2a;1,-n,-1d;1,-s,2a;1,12,f;1,-12,-3;1,b,1m;1,-10,-26;1,1y,14;1,-1z,m;1,2a,-35;1,-1x,g;1,d,2h;1,-l,-12;1,1d,-o;1,-n,2j;1,-q,1;1,18,-29;2,-t,-q;2,18,-g;1,-z,2t;1,-g,o;1,2h,-1x;1,-25,21;1,k,-8;1,-n,-2o;1,13,1h;2,g,-o;1,-22,o;1,25,e;2,a,-2f;1,-t,m;1,-5,-10;1,w,2e;1,7,-h;2,-1i,-1i;2,d,2;1,h,1m;2,-t,-c;3,-a,c;1,1p,p;2,a,0;1,-1t,8;1,15,-2o;1,-3,r;1,-1h,-p;3,r,1u;2,7,-8;1,-9,-24;1,z,1s;1,-c,-37;1,1,1y;1,5,-u;2,-5,-p;1,-15,1j;1,-q,2t;1,15,-27;1,-3,1f;2,e,j;3,e,-7;1,-1c,-f;1,4,-17;3,a,-2q;9,-q,-27;1,-3,2u;2,2a,-3l;1,-18,1o;1,q,-s;1,-1p,-1d;1,-9,20;1,10,1o;1,-j,-17;1,r,1w;1,-17,j;1,12,-3o;1,h,n;2,-4,f;2,-1e,24;1,x,-3s;1,-z,e;2,z,15;1,z,-h;2,-18,-19;2,1z,-j;1,-1y,30;1,-r,-2v;1,1j,h;1,-h,-i;1,-1,1o;1,1k,-1c;1,-29,3i;1,l,-3v;1,l,3f;1,-1d,-2m;1,i,-2;2,1g,-i;1,-1r,33;1,10,-28;1,n,1z;1,-14,-22;2,-b,4;1,-7,-p;1,22,u;1,-24,-g;1,u,37;1,-6,g;1,-g,-1l;1,e,1t;2,d,-4e;1,-s,1h;1,1h,12;1,-1w,-9;1,6,-x;1,1y,-g;1,-f,-f;1,-1f,3s;1,x,-2v;1,-1a,-1c;1,1g,2m;1,i,-w;1,-19,2i;1,a,-49;1,14,c;2,-5,1r;1,-1k,2j;2,14,-2b;2,-u,-15;1,m,-t;1,-10,1f;e,47,1k;6,16,-2s;1,-z,6;1,-a,3c;1,19,-4x;1,-1,-f;1,-13,13;2,-1j,2s;1,1y,-q;1,-10,1g;2,-a,-2g;1,24,-2f;1,-2h,1h;1,2b,b;1,-1n,2a;1,-j,-1c;1,-12,26;1,2z,-3t;1,-8,22;1,-9,-1e;1,-x,44;1,-10,-2r;1,j,1n;1,1d,-1q;1,-z,-x;3,25,-1;1,-3,-z;1,-2w,2r;2,-c,-1b;1,2x,-1h;1,-23,2f;2,y,2e;1,z,-33;1,-2a,c;3,35,-1a;1,-1i,m;2,-d,2s;1,7,-13;1,-o,15;2,-1k,-1f;1,1m,-23;1,-3,-p;1,-1f,1r;2,1b,u;2,j,-13;1,-1v,w;1,c,-17;1,15,u;1,-1m,24;1,3c,-2s;3,-2u,2h;1,1t,-11;2,7,19;1,1o,-3a;2,-1r,-k;1,-1d,3s;1,1k,-45;1,-k,3k;1,-1b,-2q;1,s,2p;1,8,-3;1,-1c,a;1,o,-8;1,2,-f;2,-w,2;1,22,16;1,e,-t;2,-24,-2d;1,-9,1s;1,-a,f;1,-a,5;1,21,-1q;1,25,-1u;1,-39,2n;4,2i,3s;1,2,2;1,1,-4;1,-2,7;3,7,-18;1,q,-29;1,k,-18;1,-1b,3u;1,t,-40;1,-15,2j;1,t,3y;1,3,-2f;1,g,-3a;1,-1b,1c;1,14,2v;1,-1,-1p;1,8,-1p;1,-1g,2f;1,d,2;2,6,-3l;1,1h,-l;1,-1p,2p;1,1a,-23;1,-u,3;1,o,36;1,-r,1q;1,1,l;1,-3,-2q;1,v,-2b;1,-t,41;1,-5,-3p;1,-4,1i;1,n,a;2,o,2f;1,-p,-5c;1,-a,3q;1,b,-30;1,y,5r;1,-z,-66;1,m,4j;1,-6,-u;2,-1,-1f;2,-q,-1u;1,1d,5z;2,-1i,-40;1,c,39;1,r,-4o;1,-b,9;1,-v,1d;1,7,2l;1,f,12;1,o,-p;1,-l,-40;1,r,-k;1,-23,1p;1,u,2z;1,v,-18;3,-r,-8;1,-s,-11;1,1,k;2,-4,-u;1,d,1c;1,u,-6;1,-t,-c;1,e,6;1,-l,-13;1,d,1a;1,a,-24;1,-d,29;2,-1,-3u;1,z,2j;2,-d,5;1,-a,-1u;1,14,4u;1,-1k,-20;1,1,0;1,o,-2e;4,-o,2k;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,27,6;o,-1,-i;5,21,-s;1,-1n,2j;2,1g,-2z;1,-1q,-m;1,1d,1i;1,t,-t;1,-2j,-z;1,-g,l;2,5,-d;1,11,2p;1,h,-c;1,-1c,-1f;1,o,22;2,-w,-3e;1,1r,37;1,0,-c;1,-1i,-i;1,2,16;2,24,-1v;1,-1u,-1j;2,f,2z;1,h,-z;2,1l,-1v;1,-20,23;2,22,-1h;3,-1c,-t;1,-m,2m;1,-p,-17;1,1s,-t;1,-18,1j;1,k,22;1,p,-44;2,-v,25;1,-r,-m;1,x,4;1,-1q,-5;2,1k,-1l;1,0,j;1,-s,c;2,g,-l;1,-7,-g;2,1t,1j;h,-r,-3j;1,0,0;8,1f,-23;1,-1a,1p;3,-m,-17;1,-y,1z;1,36,-o;1,c,-1e;1,-30,3f;1,1y,-3p;1,-2j,-1;1,21,1q;1,-2f,-1e;1,4a,-17;1,-3w,3g;1,13,-33;2,-s,3y;1,h,-18;1,w,-2m;2,-2g,21;2,12,-g;1,b,7;1,39,5;1,-1n,-1e;1,-27,16;1,0,1;2,3i,-k;1,-12,f;1,16,13;1,-3o,-1m;1,1e,28;1,1p,-1y;1,-r,-1f;1,-m,h;1,1c,-o;1,-12,13;1,t,-13;1,-2m,3x;1,1v,-2i;1,-1k,-14;1,12,1q;2,2b,i;1,-v,0;3,-1b,-2f;1,0,-1;1,0,0;1,0,0;2,-2a,19;1,3d,1x;1,-1y,n;1,2q,-3s;1,-18,2c;1,-h,1w;1,-1f,-u;1,i,-1h;1,0,1d;1,1m,-3c;1,-h,42;1,-1l,-1b;1,1h,-3;1,-8,a;1,-12,-1l;1,q,-v;1,1x,-i;2,-41,16;1,3g,b;1,-g,-3;1,-24,18;1,y,5;1,-19,s;1,2p,-12;1,-35,-m;1,2w,r;1,18,-f;1,-22,1s;1,-o,-3i;7,2t,51;i,-a,-8;2,2,-1h;2,3c,29;3,-3q,z;1,29,1g;1,-15,6;1,2f,-1e;1,-2g,-x;1,-k,1y;2,-j,-29;1,10,-25;2,-x,49;1,l,8;2,q,j;2,-1s,-1w;3,1i,-3g;2,2,-e;1,-4,2r;2,2f,3g;1,-1v,-35;1,-15,-32;1,l,13;1,1u,4r;1,d,-u;1,-46,-10;2,1h,1m;1,1i,-l;1,-1c,-o;1,y,-8;1,-b,-5;1,-2s,q;1,1r,-1i;3,1l,-18;1,-u,-6;1,2f,4j;1,-10,-17;1,-12,-38;1,0,-c;1,-26,36;1,4u,-3b;3,-3p,-d;2,5,c;1,2w,4s;1,-2n,-1g;1,0,-n;1,3d,-2z;1,-3b,1j;1,9,-31;1,17,3i;1,1q,-1a;1,-3m,-4;1,p,2w;d,11,-66;9,8,-29;1,37,5d;2,-2u,-51;1,1a,25;1,-2q,9;1,-3,-1m;4,27,-v;1,-1s,-c;1,5,12;1,-i,-g;1,1p,2t;1,-y,6;1,1r,-1a;1,-13,1j;1,1a,-3m;1,-a,y;2,p,-1d;1,-x,1i;1,4,-15;1,f,w;1,e,0;1,-3i,1a;1,26,6;1,-f,-d;2,1z,-2n;1,v,6j;1,-44,-2t;2,12,-3i;4,-u,38;2,-3,-v;1,2a,1g;3,-1x,-1b;1,2m,-2n;1,-a,4j;1,-14,-3p;1,0,14;1,a,12;1,-w,-12;1,16,24;1,-13,-2y;1,1t,3y;3u,-rt,1ev;1,-1,1;2,0,0;b,1,-1;5,0,0;d,0,0;b,0,0;1,-1,1;5,0,0;f,0,0;7,1,-1;t,be,-1if;1,3k,-7;1,-1j,-6;1,-1s,-2;1,1e,j;1,20,-k;1,6,0;3,-4h,-6;2,2b,-18;1,-t,1y;1,-i,-11;1,t,-2;1,1d,0;1,6,g;1,-g,-e;2,-d,e;1,-12,-g;1,1h,q;2,h,7;1,-3h,-4;1,46,j;1,-2w,-1;1,2f,-b;1,-1z,-2c;1,10,2m;1,-2c,-1u;1,1l,1d;1,h,-q;1,-1d,16;1,1c,-1i;1,-w,-c;1,-j,-7;1,-1e,1w;1,23,-u;1,-v,-20;1,1x,21;1,s,-o;1,-1n,-h;2,-j,-s;1,-p,n;1,1i,c;1,j,2;1,-3b,1w;1,4j,-1c;1,a,-s;1,-2o,-19;1,b,1n;1,20,-a;1,-1c,1g;1,-c,g;1,1j,-14;1,-x,-17;1,-1q,-z;2,34,1x;1,-3t,-2h;1,7,o;1,1h,2f;1,16,j;1,-2i,-3f;1,3,1d;1,1k,2f;1,-26,-17;1,12,-i;1,36,i;1,-3s,-p;1,4,b;2,2r,b;1,1,-14;1,-1v,1o;1,-19,-1s;1,-1,1;m,1w,1y;2,-1,0;1,1,-5;1,-3,1;1,0,-6;1,4,-1;1,-8,a;1,j,-9;1,-c,g;7,c,-g;1,0,0;1w,-d,6;2,6,3;1,0,0;3,0,0;1,7,-9;1,-7,9;1,0,0;1,-6,-2;1,d,-7;1,0,0;3,3f,-x;b,-1h,5;1,k,1h;1,-8,-1w;2,28,1u;1,-l,-30;1,-15,2s;1,1q,-39;1,-2a,2i;1,d,-1i;2,d,17;1,37,-9;1,-2s,-1q;1,-c,2w;1,1o,3;4,-2p,-2i;1,3f,j;1,-35,-4;1,b,1g;1,1a,-14;1,-8,-t;1,-f,30;1,5,-10;1,1r,-19;2,-2d,8;1,a,-8;1,d,-d;2,0,1g;1,f,n;1,1t,-1u;1,-33,f;1,-l,-i;2,2i,1b;1,-6,s;1,0,0;2,1u,-s;1,-1o,-s;1,p,j;1,-1u,-2k;1,m,3s;1,28,-g;1,-12,-2a;1,h,1b;1,-1l,8;1,0,i;1,-6,2;1,v,-p;2,-25,x;1,1t,-b;1,1q,-1d;1,-33,-m;1,y,8;1,u,g;1,-6,-o;2,-2j,2k;2,m,-2y;1,26,29;m,-4q,-39;a,-4,r;1,1e,-1s;1,-2d,6;1,1y,x;1,-2q,-2;2,3,-2o;2,1c,48;2,y,-6;1,25,-13;1,-1f,l;1,m,-v;1,-1l,-3l;1,1,-2;2,-13,2p;1,-16,j;1,q,1;1,l,g;1,a,z;2,-2,-y;1,-1f,-2c;2,2m,2w;2,7,-4h;1,-t,49;1,v,-3a;1,-29,10;2,h,g;1,32,-2k;1,-s,0;2,x,2s;1,-1i,2h;1,w,-1u;3,-1,11;1,-2u,9;1,16,-3c;1,-1q,1a;2,2m,7;1,-i,q;2,-2i,-q;1,47,-1k;1,-26,21;1,-t,-z;1,11,-26;1,-14,3y;1,-x,-1j;1,1v,5;1,-v,-1c;1,z,-n;1,26,-5;2,-4,z;1,-24,3l;1,-i,-2k;1,-y,1i;3,2x,-19;1,-3d,e;1,3p,-15;1,-y,1;1,-v,-3;1,1s,o;1,-y,n;1,1a,k;d,-g,-h;2,33,-s;1,c,e;i,-q,-4x;1,17,63;1,-y,1;2,-11,-1c;2,1w,-a;1,-r,e;1,-1,-3l;1,-t,3p;1,1s,1m;2,-d,-u;1,-2,-s;1,-1f,h;1,3,-27;1,-z,2d;1,2n,-3g;1,-1w,d;1,o,34;1,-1g,-l;1,2w,-n;1,-2a,-42;3,16,57;1,16,-8;2,-u,-3m;1,n,3v;1,-1l,-4o;1,m,25;1,0,-29;2,h,5n;1,-1p,-5f;1,1z,28;1,e,-r;3,-1q,1t;1,-8,8;4,0,-i;1,4,-28;1,-11,z;1,1v,3m;1,-1r,-1y;1,1,-10;1,1j,-1a;1,5,-20;1,-19,1n;1,q,3a;1,-c,-3q;1,-18,2z;1,v,19;2,v,-12;2,w,-a;k,-3m,-4u;j,1b,p;1,-2n,-39;1,1p,3l;1,-3o,1u;5,5,-14;1,1,i;2,1x,-2s;1,15,b;1,-35,2w;1,17,-x;2,2g,-5;1,-f,-3k;1,-3j,50;2,3y,-11;1,-2o,-y;2,s,-4i;1,5,4q;3,-15,-4e;1,1p,52;3,-2k,-5w;1,2i,1l;1,10,-1n;2,-36,37;4,1p,-b;1,-17,-18;2,16,q;1,-1h,1f;1,3r,s;2,-3w,-2j;1,23,-1w;1,-g,4i;1,-2,1b;1,-1t,-3h;1,-e,4w;1,5,-52;2,-2,-1k;2,2b,3a;1,-13,-3z;2,1,2q;1,-o,2m;4,c,-s;1,9,-10;g,5k,1;j,-2,-5p;1,p,3w;1,-38,-16;1,14,-d;2,-1,14;1,-1,-2a;4,1a,35;1,8,1t;1,w,m;1,-19,-3v;1,z,-18;2,-22,19;2,2j,-24;1,-o,3v;1,e,-5g;1,-b,4h;1,h,q;2,-1h,-3v;1,1n,1k;1,-q,4n;2,l,-o;1,-v,-70;1,s,-n;1,-x,-3;1,-x,6v;4,j,-18;1,8,v;1,n,k;1,l,-1k;1,2,-16;1,-1u,1q;14,-35,-6g;1,-e,-f;1,5,i;3,9,a;3,-6,-o;5,-27,3v;2,-i,-r;1,4c,-4k;1,-1g,1d;1,-3,s;1,41,-1f;2,-5r,q;2,5y,-1z;1,-4p,3g;5,-t,-1s;2,20,-u;3,-31,-8;2,3l,3h;1,-2k,-1t;3,23,-p;3,-1n,p;1,c,-11;2,-1g,a;1,38,42;2,-2d,6;1,f,-40;1,-19,3e;2,2b,-4p;1,4e,1g;1,-78,2g;2,4z,-x;1,-2a,-22;1,1h,f;1,-1t,1m;1,1m,-21;1,-47,w;1,3,1c;2,k,-18;1,1v,1q;2,h,-29;1,-34,25;2,d,r;1,11,-3i;2,1d,4d;1,39,-49;3,-20,-h;1,-23,3a;2,-1e,-1w;1,3b,-1s;2,-c,1e;2,s,1r;1,-3,-1t;2,-1s,38;1,p,-l;1,13,-2;1,-g,-3b;1,-3o,3j;5,3s,-46;5m,5f,ju;1,1h,-1w;2,4,l;1,9,t;1,-1,-u;1,-9,-p;1,-24,1d;1,30,-s;2,-14,-t;1,-3,x;1,-25,-k;2,18,1p;1,27,-1p;1,-3l,-15;1,13,2n;3,o,-m;6,-9,-1g;2,1e,n;1,-2z,23;1,21,-37;1,-1y,8;1,12,-l;2,2a,1e;1,-e,16;2,9,-3;2,-2r,-1s;1,-h,24;1,2i,-7;1,-2s,-1s;2,3y,1j;1,-6,-1t;1,-1p,2a;1,1c,-x;1,-1b,-24;2,-7,2q;1,1,-r;1,-1o,9;1,14,-1a;2,25,-t;1,-2a,1q;1,-p,z;1,1y,-g;1,-1u,-10;1,7,1o;1,14,-2j;1,r,0;1,l,j;1,4,-g;2,-34,l;1,1c,a;1,-u,-12;2,1u,h;1,2,-y;2,-1u,3v;1,7,-i;1,-7,i;1,v,-13;1,v,7;1,-6,-16;2,-1i,m;l,1r,u;1,-6,2;1,-7,-3;1,b,3;1,-2,2;1,0,0;1,0,0;1,-6,-2;c,6,2;1,0,0;2,0,0;1,0,0;1,0,0;23,2u,-p;1,2,-3;1,1,0;1,4,-u;1,-2,-1;1,-2,z;1,0,0;1,0,0;2,1d,-2y;2,-20,b;2,l,1d;2,2o,1;2,-3h,13;1,-e,l;1,3n,-2b;2,-k,4;1,-2x,1w;1,1q,-2p;1,19,22;2,-b,-1v;1,-1m,1r;1,1k,-2n;1,-2n,1b;1,1x,-6;2,1,y;2,-e,-1;1,1r,0;1,-v,6;1,12,-6;1,h,-3h;1,-3o,3l;1,30,-r;2,-k,8;1,-11,-2;5,1s,-20;1,-1d,z;1,-13,12;3,-f,-1j;1,3g,-i;1,-2j,39;1,-1n,-d;1,1f,-b;1,1,-1x;1,1o,a;1,-10,1z;1,17,-1l;3,t,y;1,-2s,-t;1,-m,n;2,2j,-1j;1,-r,15;1,1a,19;1,-2e,-1x;1,u,s;1,-28,w;1,l,h;1,2k,-o;1,-2u,-1a;1,h,29;3,36,-42;1,-4,24;j,-25,-2y;9,1f,-1r;1,3,2j;2,-1c,-42;3,1v,r;1,-l,13;1,m,-2x;1,-35,2z;2,1f,2s;2,1q,-1g;1,-10,-x;1,-k,7;2,-k,1l;2,25,-41;1,-17,4d;1,l,-1u;1,-1o,-1t;3,-6,21;3,1i,12;1,12,-26;2,-3c,-w;2,1s,8;1,-11,3r;1,x,-9;1,-1,-2v;2,-x,-9;3,b,q;1,1o,17;1,-4,-24;2,-5,3f;1,-2e,-1h;1,n,-o;4,-i,29;1,1a,-22;1,1g,-11;2,7,q;1,-c,-1y;1,g,r;1,-1p,-12;1,1x,n;1,-2n,2h;2,2o,-d;2,-35,-6;3,1r,l;2,-1h,3;1,-7,11;1,4,-n;1,17,-j;2,t,-3z;1,-d,1s;1,-m,6;f,-3q,2d;1,6,-l;3,-7,q;8,-2e,-1q;2,x,2b;1,3b,e;2,-e,-3r;2,-16,28;1,19,1;1,h,-1f;1,-i,-16;1,-1k,1x;1,1k,2q;1,-m,-14;2,-10,-3c;1,v,4f;1,13,-5u;1,-2v,4z;2,-i,-p;3,-z,l;2,4i,-35;1,-4i,2b;1,10,-10;1,-h,26;1,13,-2b;1,2f,1h;1,1,-3z;1,8,3n;3,-h,1a;3,6,-4f;1,a,4q;2,-2r,-1r;1,20,f;1,-2o,-m;2,7,1m;2,-c,-2r;1,13,38;2,2c,-6a;1,7,58;2,-2t,k;1,y,-2m;5,-l,1t;2,-1l,17;1,2t,-3m;1,8,1g;1,-5,-47;1,2,25;1,-a,4a;1,-e,-2;1,6,-t;1,-e,-3x;1,-f,1r;1,1x,2f;2,5,-2p;1,-1p,-k;1,x,-13;2,-27,5a;2,25,-y;2,1,-58;1,-2o,1y;1,2p,r;1,-13,2d;4,4,-6d;1,8,a;1,-5,-a;1,-c,a;1,a,-a;1,-1,0;1,0,0;d,-b,-22;1,p,24;2,w,-2x;1,-1z,4q;4,-h,-1d;1,7,-2m;1,1x,12;1,13,-6;1,-1x,30;1,-1c,-4i;2,n,18;3,-1f,1v;2,4e,-2o;1,-12,-19;1,-3f,5t;2,17,-u;1,2c,-3q;4,-24,4k;3,-12,-q;2,1s,-1w;4,-1,12;1,1v,-j;1,-29,16;1,-j,1h;1,-b,-63;1,17,1h;1,-1b,f;1,38,-9;1,-2j,1b;2,-1j,-p;1,e,-b;1,j,1c;1,2m,-1p;1,-1b,34;1,-22,6;2,40,-1v;1,-8,-v;1,-f,i;2,-e,m;1,c,-36;1,-3k,60;k,28,-8b;1,7,-3;i,-16,-1b;1,1b,-20;1,-b,2d;1,-1t,-r;2,35,3c;1,5,-16;1,-c,-1x;3,-15,26;1,0,1z;1,-b,-5y;2,21,1v;2,-9,2n;2,-1a,u;1,-2b,-23;1,3r,1;1,-22,s;1,1a,-i;1,-28,-3c;1,29,4b;1,-k,-3f;1,-1l,3f;1,e,-1f;2,-14,-a;1,v,11;1,-p,-36;1,1v,3y;1,-23,-2d;1,22,-1u;1,-2,26;1,c,1s;19,3m,30;1,0,0;1,a,-2;1,9,0;1,0,-1;2,-h,3;3,-12,2x;1,31,-30;1,-2r,29;1,1l,-8;3,-23,-1a;2,1g,-1r;3,1h,-1n;1,-1l,2d;1,-1a,25;2,1q,-2x;2,15,-31;3,4,-1b;1,-1b,68;2,-f,-1i;1,n,-x;1,-1q,13;1,3,35;1,2q,-5k;3,-15,37;1,-l,16;3,-g,o;2,1q,-48;2,-3,3y;2,-6,-20;2,m,-38;3,-p,-12;1,-1s,35;1,-n,-2g;1,5,74;1,4,-39;1,2n,3;1,-4,-z;1,-3,1s;1,-21,-46;2,2k,-1i;3,-1s,5o;1,9,-3j;1,-12,a;1,6,i;1,2o,-1n;1,-w,-d;2,-2o,2e;1,1p,-21;2,-1j,4n;1,m,-27;2,b,1o;1,2f,-1r;1,-9,2o;1,-1g,-4o;1,-b,3m;2,1k,-22;1,-18,3t;1,m,-o;1,-1f,-k;2,-8,d;1,2k,-n;1,-1p,-4u;1,r,-12;6,-y,-1e;1,-6,4;1,-2,-1;r,17,f;1,-27,-i;2,2v,i;2,-2t,2;3,-1,-1e;5,1c,1l;1,1o,-10;1,-z,-i;2,-1n,2v;2,12,-s;3,4,l;1,-t,-2g;1,-r,1m;2,26,-14;41,-8i,-g5;1,15,26;1,-z,6p;1,1,1;2,10,-55;1,-27,-2w;1,-b,8;2,2n,4x;1,-h,-7d;1,-1i,9l;1,h,-74;1,-h,g;1,27,a;1,-1h,5e;2,s,-af;1,-k,3s;1,-1p,-1t;2,1p,6p;2,1e,-a;1,-2n,21;1,s,-5i;1,-j,-5e;1,d,3d;1,0,1v;1,-w,-4m;1,18,8l;1,47,-3r;1,-3j,-2n;1,-1,61;1,-18,-x;1,36,-5a;1,-1k,4c;1,13,2p;1,u,-6;2,-31,-4i;2,b,6q;1,7,-64;2,1u,-n;1,-1w,-4c;3,-x,8v;2,s,-75;1,2e,-1d;1,e,74;1,-1e,-5b;2,-o,29;1,2w,3a;1,-12,-u;2,-30,-4u;1,-z,a8;1,1i,-7q;1,z,2t;1,-1t,-7r;1,a,62;1,1j,-23;1,-26,1;1,1i,-p;1,-11,y;1,-a,-13;1,37,2v;1,3,0;1,-i,-22;1,-2f,3v;1,2h,27;1,29,-13;1,-1z,-5v;1,-18,3i;2,-2n,-4l;1,22,-o;1,2g,7g;1,16,-2x;1,-1q,-43;1,-1b,-1i;1,2r,6d;1,-2o,h;1,-2f,20;c,1u,-2z;1,1,-7;1,0,7;1,0,0;1,h,-a;1,-h,-5;1,5,q;1,-5,-b;3,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;2c,6h,7z;a,1n,3a;1,-1i,p;1,5,-1t;1,-2o,-2l;1,i,h;2,f,3r;1,1l,-p;1,1a,r;2,-20,1;1,2e,-2l;1,-22,-3l;2,t,16;1,3,49;4,-d,-5v;1,k,7;9,19,t;1,-19,-24;1,4,75;1,-1x,-g;1,2b,-4o;3,-9,54;1,-10,-5c;2,22,-1;2,1,4j;1,-a,-2y;1,0,3g;1,-1t,-1r;1,23,1p;1,-f,-10;1,-e,v;1,-2p,-13;1,2v,-32;1,-1,-3n;1,-34,8r;1,3j,-36;7,-30,3i;3,1s,-7n;1,-1g,3y;1,2v,3t;1,4,-2w;p,-6x,-1v;a,-3h,4d;1,4d,-5e;1,-11,5d;1,-3i,-2z;1,6f,12;1,-5y,-7;1,-1,-n;1,61,-5l;1,-5j,8w;3,4p,-6r;1,-3c,-e;1,-5,5y;2,2j,-1q;1,-1f,-4e;3,2a,5h;2,-49,j;1,1z,-4m;3,d,2r;1,2j,-4q;1,-23,3h;1,1r,19;2,-1g,p;2,-35,-1l;1,2e,2o;1,-1t,-1j;2,1w,-3f;2,13,2q;2,-2r,-v;2,34,45;1,-25,-i;1b,3o,-j6;1,-1,-3;1,0,0;1,1,-4;1,-1,9;1,c,1;4,-h,-37;1,3z,-2q;1,-46,6u;2,f,-11;2,1e,-1b;1,1h,-3i;1,-4u,8u;1,39,-6t;1,-l,3m;1,-1d,-22;1,1j,-1c;2,-1d,5v;1,2b,-55;2,1c,-17;3,-3q,6x;2,2f,-7a;1,-x,29;1,1n,-49;1,b,32;1,-2n,c;4,5,2g;1,-1v,5o;1,2l,-49;1,-15,-3c;1,3m,y;2,-3d,3b;1,-y,-k;1,2u,-6l;2,-1y,5q;1,-x,3z;1,-p,-1g;1,-y,k;1,5t,-6d;2,-1d,1m;1,-3c,5h;3,2h,-30;1,1g,-21;1,-3u,3q;1,-2,-2q;1,-9,39;1,-4,-2v;1,50,-33;1,-1t,-1d;1,-15,1p;1,-16,2u;2,b,54;1,3,-6f;2,32,-1v;3,-2s,-5;2,-z,4p;1,h,-2l;2,49,-1p;1,-3t,2;1,48,-o;1,-4l,10;1,2l,-1y;1,-20,20;2,8,6i;c,2k,-19;j,-15,-13;1,d,q;1,h,-38;1,d,4w;1,-i,2p;1,j,-5n;1,-5,47;1,-1j,8;1,1o,-4u;1,r,4w;1,-r,-5m;1,6,-a;1,-9,22;3,-1o,26;2,2c,3w;1,-17,3;2,m,-7k;2,o,60;2,-7,25;1,f,-9o;1,-36,70;1,29,-18;1i,-5h,-8b;1,a,6;2,-4,-1;g,-8,-7;3,0,0;1,0,0;1,1,0;1,-1,0;5,-q,-g;1,-a,9;1,1h,-h;1,-t,t;1,d,8;1,2,-k;2,-p,9;1,1n,-1t;1,-l,11;1,-1i,1v;1,6,2a;1,-a,-26;1,g,a;1,u,18;2,-i,-1o;1,1s,-1e;1h,-31,-19;1,-9,-4;1,0,0;4,9,b;3,-29,1b;1,2m,-2j;2,1b,11;1,-2a,42;1,-b,a;1,-13,-x;1,z,1b;1,4,-y;1,-4,y;1,-1d,-23;1,23,-d;1,1e,-2p;2,-4n,5;1,1f,6;2,1l,-h;1,1y,15;1,-37,1z;1,-1,18;1,3h,-49;1,-33,9;1,33,-s;2,-2d,34;1,-11,-47;3,-21,28;1,25,26;1,13,1b;2,-h,-3t;2,-a,2r;1,-g,-3z;1,t,3f;1,z,-28;1,-1n,1g;1,1m,-1j;1,-u,1b;1,i,1z;2,-z,-29;1,-o,14;1,2h,-2b;2,-48,4o;1,3e,-2u;1,-a,1d;1,-d,-54;1,9,1b;9,-2,58;1,-8,6;1,3,3;s,3b,-8c;1,4,3;1,-8,-3;1,3,-e;2,2,i;1,4,3;1,7,-a;4,-b,7;8,b,-1e;1,l,15;2,-w,m;1,1l,-v;1,-1v,1b;1,22,-1;1,-4f,-z;1,13,-4;1,-s,-9;1,3s,-38;1,-8,2w;1,-1t,2z;1,-3,-2d;1,16,-i;1,-2d,d;2,12,2l;3,-y,-2o;1,9,-5;1,2x,-3a;1,-1j,6u;1,3e,-8c;1,-1a,3k;1,-1g,o;1,-v,v;1,2p,-1j;3,-2e,26;2,3d,-5i;1,-2z,7p;1,1n,-2v;1,-l,-1w;2,-2z,45;1,37,-4e;1,m,23;3,-15,-4;1,r,7;1,-m,3;1,1,-31;1,7,-y;1,-n,5n;2,-1t,-1l;1,-1x,i;1,3p,-2u;1,17,-1b;1,l,-k;1,-3x,3v;q,50,-d;2,2,-d;1,2,h;6,-18,-4;1,q,n;1,t,-b;1,8,c;1,-1l,-m;1,-3,-7;1,19,22;1,1k,-3v;1,-8,c;1,-11,2a;1,-w,-19;1,n,1k;1,-s,-s;1,10,-3n;2,-u,28;1,v,1y;1,g,-1j;1,r,l;1,-2g,0;1,2q,-2b;1,-2s,2r;1,g,-2;1,1n,-1h;1,4,-a;1,-n,-2t;1,2,5a;1,-a,-11;1s,-gw,1zy;1,e,x;2,-z,e;1,-5,-1;1,3,1;1,-8,-1;1,6,-3;1,-7,5;1,g,-h;1,g,1h;1,-5,-1z;1,-5,8;1,1,-9;1,-6,1b;1,-c,-3;1,-2,0;1,-1,2;1,0,-4;1,11,-p;1,-k,-6;1,-6,1a;3,-5,-6;1,-1,3;3,-1,0;1,t,-q;1,2,a;2,5,-1t;1,4,i;1,-s,1p;2,3,0;1,-b,-k;1,m,-18;1,-c,1s;1,g,-z;1,-9,-3;1,-i,1b;1,j,-e;1,-4,1;1,e,-f;1,-g,-8;1,6,d;1,-b,-4;1,g,-v;1,2,7;2,-v,18;2,6,-m;1,-4,7;4,k,-6;1,-3,3;1,-a,c;2,j,-1;1,-j,3;2,-2,-l;1,-a,k;1,j,-9;1,-9,-1;1,10,-z;1,-7,-2;1,-3,m;1,-m,7;1,y,b;1,-19,i;1,-1,-2;1,8,-s;1,p,j;2,8,-12;1,-w,15;1,x,-9;1,-j,-n;1,9,q;1,8,9;1,-3,-8;1,-a,0;1,-e,-a;1,-3,3;1,-5,l;1,k,-n;1,-h,k;1,0,-s;1,0,0;1,11,k;1,-a,-1g;1,-6,-a;1,c,1p;2,-1f,-h;1,n,-u;1,-i,a;1,-a,x;1,8,-6;1,-1,0;1,7,-n;1,-7,9;1,a,-1a;1,7,s;1,-b,-1l;1,-9,e;1,1,-r;2,-3,l;1,1,1q;1,-7,4;1,q,-k;1,-m,-h;1,g,k;1,0,-2;1,3,-2;1,-3,-2;1,-1,-5;1,-c,p;1,-2,i;2,-5,-f;1,i,-2d;1,-f,35;1,6,-6;1,-9,-m;1,g,-6;1,-b,-g;1,l,-12;1,0,w;1,-n,v;1,1,-1;1,4,-1;1,g,-18;1,-m,1w;1,w,-1n;1,-l,15;1,-d,-1e;1,r,-p;1,-1,-a;1,-g,19;1,-7,14;2,5,-2d;1,0,r;1,w,-1;1,-10,25;1,-3,-4;1,1,2;1,w,-1b;1,-k,s;2,5,-3;1,-d,m;1,0,0;1,-3,-4;1,2,-1;1,3,2;1,-2,1;3,d,-k;1,2,-3;1,-3,-w;1,-9,1n;1,5,-p;1,8,4;1,-e,-q;1,3,-8;1,1,1g;1,4,-17;1,-1,-13;1,9,1b;1,d,-v;1,-x,1j;2,6,-18;1,1,h;1,-6,5;1,-1,0;1,-1,9;1,5,-3;1,-8,5;1,3,-6;1,9,h;1,8,-a;1,-3,-1;1,2,-3;1,5,1;1,-2,4;1,-f,-6;2,-7,4;2,l,14;1,-2,0;1,2,-3;1,-1,3;4,2,1;1,-1,0;29,-k,3;b,4,-f;1,0,1;1,0,1;1,-2,-1;1,3,-3;2m,5,-c;2,-1p,x;1,1d,-i;1,-s,-v;1,-4,-c;2,f,1i;1,-17,-1n;1,4,5;1,z,1v;1,-j,-1u;1,8,1q;1,0,-5;3,j,-e;1,-15,-1e;1,f,1w;1,k,-e;1,-1,e;1,-1i,-2a;1,y,x;1,b,15;1,-3,-e;1,-x,-1g;1,11,21;1,6,-4;2,-1,-4;1,-3,1;1,-1,2;1,-9,-s;1,7,-c;1,-3,0;1,2,-2;1,2,-5;1,-6,-3;1,-x,-13;1,15,2t;1,e,-18;1,-1,-b;1,-b,4;1,-g,7;1,8,o;1,-s,-1w;1,15,1w;1,0,-x;1,-i,-l;1,7,13;1,-b,c;1,-5,-1t;1,e,1a;1,a,l;1,a,0;1,a,6;1,-7,-c;1,-1,8;1,0,-a;1,1,0;1,0,6;1,-20,-23;1,1d,2d;1,b,-h;1,4,5;1,0,-6;1,4,2;1,-m,f;1,c,-l;1,-q,a;1,t,a;1,-1c,-2o;1,x,2l;1,g,1;1,-4,c;1,-17,-1x;1,u,1s;1,a,3;1,1,-j;1,-2,8;1,-v,-28;1,1d,1s;1,-17,-r;1,12,10;2,-p,8;3,c,-c;3,c,-v;1,-8,i;8,l,r;2,-3,-d;1,0,-18;1,-6,1;1,3,0;1,1,-5;1,1,-4;1,-1,2;3,9,1;1,-9,-n;1,-6,a;1,c,1n;1,-2,-b;1,0,-5;1,-4,-1;1,-1,-3;1,-g,-2e;1,j,1v;1,-1,-14;1,3,1z;1,4,-g;1,0,d;2,-6,9;1,5,0;1,-9,-6;3,5,-2w;1,-i,k;1,i,1w;2,2,r;2,-l,-21;1,-4,-5;1,g,r;1,a,0;1,-5,j;1,-o,-13;1,s,k;1,-d,-2;1,-8,f;1,7,-y;1,h,20;2,-k,-2a;1,-e,-b;1,q,-d;1,-o,l;1,c,-1;1,l,-y;1,-8,1m;1,6,p;1,-8,-1n;1,-v,1;1,10,2f;1,-3,-8;1,-d,-1a;1,a,1a;2,5,-j;1,-9,-3;1,3,7;1,b,4;1,-5,-6;1,-3,-h;1,5,a;1,3,w;2,-8,-16;d,-a,a;1,-a,0;b,k,0;1,8,d;1,0,0;2,5,1b;1,-1,-1;1,0,0;1,0,0;1,-1,0;1,2,-1;1,-2,-2;1,-2,-1;1,-4,2;1,9,2;1,0,1;1,-2,-7;1,7,3;1,-3,1;1,-c,5;1,4,-3;1,-b,7;1,m,-e;1,-k,9;1,-1,-4;1,4,1;1,c,-4;1,-5,-4;1,3,0;1,9,2;1,4,3;2,-w,5;1,9,-9;1,j,-5;1,3,-5;1,-j,a;1,-f,f;1,t,-p;2,-h,e;1,0,6;1,0,-g;1,e,2;1,5,9;1,-2,-9;1,-5,a;1,-k,-1;1,i,-a;1,d,7;1,-2,-7;1,-7,6;2,-g,d;2,e,-h;1,-f,3;1,7,a;1,7,-3;1,-k,-6;1,s,-h;1,-3,m;2,6,-7;1,-1,6;1,-b,2;2,-1,1;1,-6,-6;2,4,4;2,-4,-4;1,0,0;1,0,0;3,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,6,6;1,-6,-6;1,0,0;1,3,1;2,-3,-1;1,0,0;1,7,5;1,-7,-5;1,6,2;1,0,3;1,-6,-5;1,0,0;2,4,4;1,-4,-4;1,7,6;1,-1,-3;1,-6,-3;2,0,0;2,0,0;5,f,-d;1,-4,0;5,9,8;2,2,-7;2h,-10,7;1,h,-2;1,-c,6;m,-7,7;22,-1h,-o;9,-4,6;1,-k,-d;1,9,w;1,j,-18;1,1,i;1,-2,2;2,-b,-w;1,-18,e;1,12,-f;1,4,-c;1,-r,2;1,s,13;2,-18,2;2,-2,8;1,11,-c;1,-k,7;1,e,-17;1,-6,t;1,7,13;1,-17,-l;1,0,-1a;1,1f,-9;1,k,i;1,-1y,-i;2,u,11;1,-k,l;1,1w,d;1,-k,-18;1,-1n,16;2,1o,5;1,-n,4;1,8,-1r;2,-13,c;1,-f,-5;1,2g,t;1,-y,b;1,-y,-1g;1,6,1l;1,1h,3;1,-19,-y;1,q,s;1,-1f,-12;1,1o,1f;1,-u,-1o;1,-u,u;1,1s,-w;1,-1c,3;1,-q,1f;1,1x,1;2,-r,9;1,-h,-2;1,7,-1f;1,17,-5;1,-y,16;3,-o,7;1,j,-7;r,4v,-6n;5,-1p,2j;1,x,-12;1,7,22;2,-d,-16;1,p,z;1,3,h;1,-3,-2h;1,-12,-q;1,-1,1x;1,n,p;2,i,-1n;1,4,e;1,-y,x;1,-p,-15;3,1m,i;1,6,-3l;2,-g,2c;1,-2,-18;2,-j,1q;1,-q,q;1,18,-v;4,c,-27;1,-1r,1u;1,1a,2u;1,-3,-21;2,4,-2a;1,-1k,20;1,10,1b;1,q,-2a;2,-n,a;1,6,16;1,n,-17;1,-x,28;1,12,-21;1,-1a,-2;1,e,24;1,0,-2o;1,-6,1j;3,-m,4;2,1r,-1k;1,1,v;1,-1a,u;1,p,-1e;1,5,1d;1,-w,-p;1,11,24;2,-6,-1q;1,-11,13;2,1c,-15;1,-1s,-l;1,1w,1o;1,-3,a;1,-w,-37;1,11,-c;2,-n,2i;1,-8,-13;1,s,1j;1,4,h;1,-1v,-1w;3,v,1g;1,n,-2b;2,e,3;1,-m,23;1,l,-1l;2,-1m,r;a,13,16;1,-4,0;1,5,4;1,-4,0;1,1,-1;1,6,-8;1,-5,d;1,-3,2;1,-3,-3;1,b,-c;1,0,e;1,-8,6;2,7,-3;1,3,-4;a,-2,-d;1,0,0;4,0,0;1,0,0;1,0,0;1x,-2c,-3v;3,6,-6;q,m,15;1,-1l,-1h;1,o,2;1,-e,17;1,a,12;1,2,-b;1,9,-y;1,-h,-1d;1,-3,1v;1,i,-l;1,-5,-8;1,5,f;1,k,1;1,-6,1p;1,-c,-21;6,f,z;1,7,3;1,c,-a;2,-12,-2;2,9,-o;1,3,i;1,-7,w;1,-d,-2q;1,-g,4;1,1d,2l;1,-17,-15;1,-3,-s;1,h,4;1,6,7;1,2,-2;4,v,1j;2,-1o,-2u;1,e,1p;1,0,b;1,o,-6;1,-u,-q;1,x,1s;1,-5,-13;1,-p,-u;2,-3,f;1,k,8;1,f,1q;1,-r,-2m;1,1o,1t;e,-1a,-1a;2,-i,40;9,10,-p;1,-1u,1d;1,14,-10;1,-11,1l;1,o,-2v;1,-2,v;1,-3,p;1,h,-9;1,q,c;1,-1u,w;1,w,-14;1,-14,l;1,10,-11;1,d,-7;1,x,-1;1,-1h,1n;1,2,-14;1,-2,-a;1,r,-e;1,-d,o;1,g,-8;1,l,2;1,-1k,u;1,-k,a;1,g,-j;1,2,-f;1,-5,-1;1,u,-e;1,4,-u;2,-j,16;1,6,1k;1,l,-16;2,-e,-1z;1,-b,3;1,m,7;2,-m,1u;1,p,-14;1,-j,1q;3,y,-d;1,-10,-g;2,3,-u;2,-12,13;1,12,-n;1,-4,1u;1,7,-32;1,-6,1f;1,-7,2;1,-e,z;3,1f,-15;1,-y,-r;1,-t,12;1,n,4;1,r,7;1,-3,-6;1,-b,8;1,j,-z;1,-1g,a;1,1f,-10;1,-1d,1l;1,1w,-f;1,-z,-12;m,-17,-28;1,0,0;8,-f,-3;1,-15,-a;1,1u,-4;1,e,g;1,-8,m;1,-1a,-t;1,-g,-b;1,t,5;1,7,-z;1,z,22;1,-1t,-22;1,1o,3d;1,-1o,-2e;1,y,1;1,j,2f;1,-w,-3z;1,10,3r;1,-1q,-1b;1,1a,4;2,-2,-h;1,-y,2;1,4,c;1,-8,-1;1,1p,d;1,-i,-1e;1,-b,12;1,-4,-2a;1,-s,w;1,1b,v;1,-1y,-p;1,3,v;1,22,-1r;1,e,2s;4,-12,-2a;1,5,1a;1,k,x;1,-1h,-2t;1,z,2w;1,-1y,-1x;1,27,-c;1,-y,-u;1,-m,10;3,w,1c;1,-s,-j;1,q,-1b;2,f,m;3,t,i;1,-a,-1;1,-2,n;1,h,-f;1,-v,-1i;1,-w,1a;1,8,-10;1,15,18;1,-13,-q;1,1,r;1,-f,-z;1,1d,-a;1,-1m,1i;1,r,-1b;1,n,33;1,-o,-3k;2,-11,1f;1,20,1k;1,-27,-1k;1,20,x;1,h,-1e;2,-i,w;1,-9,o;1,p,-p;1,-c,1e;a,-2b,-1k;f,1o,3e;1,1,-26;2,-11,-j;1,9,7;3,y,1f;1,-15,-1g;1,z,13;1,b,5;2,-h,-d;1,-1,-l;1,-5,1u;1,-4,-24;1,-w,k;1,m,2;1,-g,g;1,h,c;1,9,-r;1,17,17;2,-1j,-14;1,1a,11;1,-4,g;1,-1o,-2k;1,1,g;1,v,-q;1,i,2h;1,-1a,-16;1,j,7;1,h,t;2,-h,-3;2,l,-b;1,-j,-1a;1,-6,15;1,-1,-3;3,1,1;1,y,-d;1,s,x;1,-13,n;1,7,-u;1,-12,-1i;1,0,14;1,1g,j;2,-1w,-1b;1,i,19;1,h,-17;1,n,1r;1,-l,-e;1,9,-1p;t,-a,18;1,0,0;1,2,1;1,0,-5;1,-3,0;1,2,2;1,-7,-8;3,1,9;1,3,5;1,7,-h;1,0,9;1,3,3;1,0,-4;1,-2,7;9,-5,-5;4,-1,3;1,5,-d;3,-1,c;1,-4,1;1,-2,1;1,3,-2;1,0,1;1,a,-2;1,-9,5;2,-7,-9;2,a,-7;7,0,0;1,0,0;1,e,l;1,-e,-l;1,0,0;1,0,0;1,0,0;19,-q,21;1,4,d;2,-5,-8;1,-3,-d;4,2,c;1,2,0;a,6,16;1,-i,-27;1,5,1x;1,-f,-1o;1,8,1z;1,q,-1n;1,e,13;1,-1n,-o;1,16,y;1,5,-1m;1,-8,1b;1,6,o;1,-6,-1y;1,8,-e;1,-p,-k;1,-j,25;1,m,-b;1,4,d;1,u,-r;1,0,1d;1,e,-y;1,-d,19;1,-c,-2e;1,p,1d;1,-e,-a;1,-15,-a;2,a,-18;1,j,18;1,-1g,-b;1,2,n;1,a,-17;1,d,1h;1,t,-5;1,-v,-z;1,l,-j;1,-1f,13;2,1d,d;1,-8,-1d;1,1a,t;1,-13,4;3,11,10;5,1,m;1,-1a,-b;1,t,-1p;1,-u,5;1,g,1y;1,-e,-2c;1,l,2a;1,-a,-1d;1,-w,-8;1,1,-e;c,r,b;1,1,e;8,-3,-8;2,-12,22;1,-4,3;1,4,-5;7,-j,t;1,12,w;1,-8,-s;1,-u,-1w;1,y,2o;1,-f,-24;1,-k,12;1,g,s;1,-k,-2u;2,o,1d;1,0,-4;1,2,-1;2,-1,5;1,0,0;1,-1,-c;4,-b,-y;1,m,2i;1,-8,i;1,-4,-2;1,6,-3;5,-5,-2p;1,k,10;1,-r,18;1,k,-2a;1,6,u;1,-i,1c;1,o,-1i;1,-12,26;1,w,-13;1,0,x;1,-r,-q;1,-a,m;1,2,-1z;1,-5,11;1,u,-v;1,1,-d;1,-t,-e;1,b,9;1,9,21;1,0,6;1,2,-j;3,h,1;1,-13,-v;1,9,b;1,u,y;1,0,-x;4,-13,1g;1,r,-y;1,-n,-11;1,g,t;1,-5,-k;1,4,-i;1,-k,1p;1,b,-p;1,m,-b;2,-p,-8;2,d,-1d;1,-7,33;1,5,-2g;q,-15,m;1,2,-g;1,-i,17;1,r,-16;1,-h,-u;3,6,2a;2,b,-m;1,-v,-3;4,v,1g;1,-9,-36;3,-n,s;1,v,-6;1,-9,17;1,-a,-g;1,k,18;1,-p,-7;3,p,-27;1,-8,9;1,-o,q;2,w,1m;1,0,-s;1,-2,8;1,-d,-3;1,-4,x;5,4,-g;2,-6,-22;2,l,w;2,-m,1x;1,t,-1l;1,-18,-17;18,-1j,-37;1,3,-16;4,g,-1e;3,2,2e;1,-i,-n;1,k,2a;1,-7,-2l;1,-9,-19;1,9,1r;1,h,17;1,9,-2g;1,-l,2u;1,-i,-1x;1,c,1n;2,-5,-1d;1,5,-w;1,8,1f;1,-n,-t;1,-7,c;1,0,1;1,1b,-1m;1,-w,i;2,j,j;1,-4,-11;1,-1,3g;1,3,-1j;1,-11,-d;1,j,-o;1,-5,-z;1,a,d;3,-r,w;4,1q,-a;1,-d,-1d;1,-x,2d;1,q,-25;1,-w,1h;1,w,1o;1,w,-2u;1,-q,32;1,-9,-2k;1,j,-u;1,-b,q;2,-2,20;2,-l,-c;1,-1h,-l;1,o,-i;1,a,12;1,-7,-j;1,1d,-i;2,4,-1b;2,-v,1u;2,e,m;1,m,-2t;1,-1s,1n;3,w,16;1,x,19;1,4,7;1,-v,-u;1,19,-2o;1,-10,10;1,2,2t;1,e,-37;1,k,-9;1,-b,37;1,-1g,-2g;1,n,s;1,-b,n;1,-f,-1d;1,j,r;1,c,u;1,-1a,-1w;1,12,1i;1,12,-25;1,-10,1i;1,i,1g;1,-13,-23;2,8,o;1,18,-18;2v,-22,f;1,-2,-2;1,-2,9;1,3,-2;1,-2,-4;1,-6,-2;1,4,2;1,1,c;6,-m,17;1,f,-4;1,8,2;1,-17,-o;1,10,12;1,7,3;1,-a,-1j;1,3,2;1,-a,-2;1,b,-6;1,-6,p;1,5,-7;1,0,-e;4,8,1b;1,-1,f;1,2,-1r;1,-1z,j;1,24,-h;2,-p,-l;1,-p,1j;1,-e,8;1,1c,-1s;1,1,-1;1,-1g,w;1,8,-2;1,w,0;1,-n,-s;1,11,1u;1,y,d;1,5,o;1,-1s,-2a;1,1a,v;1,-m,15;2,6,-2;1,i,-1;1,-h,-1e;1,-v,1;1,0,-z;1,-5,13;1,m,-4;1,-1k,-5;1,1h,-p;1,-13,7;1,2g,25;1,-1n,-d;1,-2,-1d;1,l,i;1,-4,1;2,-n,8;1,v,-u;2,-e,12;1,-16,-a;1,25,2;1,-1x,l;1,1x,-d;2,-1y,-1m;1,b,b;1,-4,-e;1,-w,1f;1,2g,-h;1,-z,8;2,1f,12;1,-19,-1u;1,-t,t;2,-c,3;1,1n,-8;3,-13,6;1,15,5;1,a,-n;1,-18,-18;2,-q,1c;1,u,-w;3,4h,-3f;4,3,8;1,-2,-b;5,t,19;1,-1h,-7;1,1r,-h;1,-1l,w;2,1b,-j;3,-8,w;1,-c,-x;1,12,-2;2,-1o,18;1,k,-u;1,5,-l;1,10,13;3,f,-13;1,0,4;4,-h,-c;2,7,8;2,-1c,-8;1,d,m;1,-15,v;1,1x,-1q;2,-1w,b;1,17,12;1,-19,-v;1,1a,i;1,-r,-b;1,t,-t;1,-3,h;2,-6,-8;1,-1h,1s;1,16,-9;1,1j,-1n;1,-33,1k;1,l,-w;1,7,p;1,2i,-1a;1,-1k,9;1,-m,-5;1,-12,1q;1,y,-b;1,-i,-6;2,k,-x;1,-z,q;1,2f,-9;3,-27,0;3,24,-14;1,c,1f;1,-14,-1;1,7,-1e;2,-j,1y;1,1a,-24;1,-9,p;l,-36,7a;9,-1o,2c;1,1i,-2v;2,6,2n;1,6,-2s;3,-1b,2v;1,s,-3a;1,-z,2n;1,1u,1;1,-1k,2;1,1d,-2k;1,m,3m;1,-16,-2a;1,-k,v;1,7,-1k;1,1,2q;1,10,-18;3,-5,-2e;1,-a,2c;1,-1,1b;1,-s,-1t;1,1i,8;1,-g,-1;2,a,-1q;1,-1m,3b;1,1v,-1l;1,2,1k;1,-a,-i;1,-10,-23;1,v,-b;1,-b,14;1,-1s,b;1,28,-n;1,-y,s;1,2,s;1,-r,-j;1,r,1a;1,-15,-18;2,16,v;4,2,-33;1,-a,2b;1,-y,12;1,1o,-2r;1,3,g;1,5,-f;1,-s,27;1,11,-27;1,-1s,25;1,15,-1q;1,f,n;1,b,-a;2,-19,-23;2,5,1i;1,1b,1k;1,-1k,-a;1,-12,a;1,20,z;1,-5,-6;1,-h,-1p;1,-4,u;1,f,1;k,28,-28;9,-16,-n;2,1r,-f;1,-18,8;1,6,6;1,9,-y;2,-q,-3;1,1b,n;1,-c,-l;1,-8,-6;1,-2,1f;1,0,-4;1,0,4;1,1,-3;1,0,0;1,1,4;4,-t,-20;1,9,s;1,c,14;1,-y,-1s;1,8,2f;1,14,-m;1,-t,-1x;1,n,1m;1,-1d,-1a;1,1c,t;1,-r,-h;1,13,7;2,0,i;1,-r,i;1,8,-16;1,-10,-4;1,z,k;1,n,-4;1,-n,16;1,-f,-f;1,o,-f;2,-1l,9;1,1t,n;1,-1a,-z;1,-1,-h;1,-7,r;1,l,-1b;2,-u,-2;1,1k,8;2,-f,-5;2,-q,23;2,i,-12;1,-9,-a;2,4,-g;1,-k,1d;1,-2,-1x;1,1m,1m;s,-k,-2q;9,-j,-12;1,y,7;1,4,s;1,5,15;2,-14,-7;2,1k,-17;1,-f,-p;3,-r,-b;1,p,i;2,f,-2;1,-l,1w;1,-1r,-i;1,23,-p;1,-r,-t;1,-a,1y;1,-15,-11;1,1k,-t;2,15,1c;1,-m,18;1,t,-2;3,-1w,-1q;1,19,-y;1,-1x,1m;2,20,a;1,f,u;1,5,-1p;5,-2k,-1;1,z,-g;1,-3,-3;4,1a,q;1,-1,1r;3,-c,-16;1,-h,-15;1,-j,y;1,-c,1;1,-1,-1c;1,1u,1r;1,-12,-2b;1,s,2n;1,-1q,-14;1,9,-q;2,k,13;1,14,t;1,-25,-o;1,1y,-g;1,-1w,-7;1,1n,i;2,-i,-2;4,s,-1v;1,j,2d;1,-2a,-15;1,17,1f;1,-1z,-11;3,22,2;1,-14,i;1,-3,-2;1,18,-17;1,-10,r;1,10,13;1,-w,-2k;1,0,p;6,h,1l;1,3,0;1,-7,2;1,1,-6;1,3,5;1,0,-1;1,5,0;1,-4,6;3,-4,-e;1,-2,f;1,5,-6;2,0,0;1,5,a;3,-a,-7;2,3,-3;1,-3,3;1,0,0;3,0,0;a,0,0;3,5,-3;7,0,0;a,-5,3;1,5,-3;4,5,a;1,-a,-7;1,0,0;1,0,0;1,5,-3;1,-5,3;1,0,0;2,5,-3;7,-5,3;1,0,0;4,0,0;5,0,0;5,0,0;3,0,0;2,0,0;5,-3f,1b;2,-7,-h;2,-1b,1k;1,13,1x;1,z,-2e;1,-15,-v;1,-3,2f;1,-6,-14;1,g,2d;1,-12,-2t;2,z,g;1,a,24;1,-p,-2k;1,-p,19;1,17,1c;1,-14,-2v;1,n,29;1,-d,4;1,-a,-2h;1,1i,1q;1,f,9;1,-1w,-20;2,i,2t;1,3,-1m;1,-l,f;1,18,-1c;1,-l,-o;1,-l,-2;1,10,32;1,-13,1;1,b,-l;1,-2,-1g;1,v,1d;1,1b,-14;1,-i,r;1,-1w,-19;1,-d,-6;1,1m,1n;1,-8,k;1,-a,l;2,-b,-2h;2,t,-r;1,h,13;1,-9,n;1,-f,-b;1,-2,26;1,g,-2w;1,p,a;1,-10,2r;1,-18,-2u;1,2n,-3;1,-e,10;1,-1w,-2;1,-8,-h;1,3,1t;1,k,-s;1,h,1i;1,-9,-34;1,-z,-l;1,k,f;1,-r,2c;1,29,-9;1,-21,-a;1,1r,-22;1,-20,25;1,13,-1c;2,-10,-l;1,2b,-b;1,-1d,-b;1,f,2;1,h,20;1,i,a;1,b,-1e;1,-o,-9;1,-2,-g;1,-18,2;1,-8,3;1,23,-2;1,-19,1j;1,-m,g;1,-3,-2d;1,s,z;1,-1i,a;1,e,-r;1,26,-4;1,-x,5;1,-q,-1;1,c,1a;1,-17,-z;1,j,3;1,t,-h;1,q,18;2,-2k,-1n;1,-6,a;1,1,-g;2,-a,-4;1,-a,a;1,15,-p;1,-1j,1g;1,c,7;1,-u,z;2,v,-19;2,-19,-k;1,25,6;1,e,-1a;1,-o,2n;1,9,-1b;1,-u,2l;1,7,-30;1,r,h;1,-j,o;1,-p,-d;1,18,-p;2,-18,9;1,1l,-b;1,-1a,1u;2,x,e;1,-y,f;1,19,-2m;1,-f,l;1,-4,1w;1,a,-s;3,-1b,d;1,m,-1c;1,g,-1b;1,-1d,17;1,12,-1d;1,-p,22;3,z,m;1,-h,a;1,o,-1m;1,4,-c;1,-a,-14;1,8,1q;1,-11,-11;1,-o,19;1,1d,1n;1,-k,1;1,-l,-21;1,1,-1c;1,w,o;1,b,s;1,-1j,k;1,g,-1g;1,-o,-a;1,-1,j;1,3,-4;1,1t,1w;1,0,-29;1,-j,1m;2,-15,-1o;1,2,q;1,1w,-t;1,-x,1p;1,-n,-v;1,1d,r;1,-f,-1k;1,-18,h;1,1q,1v;2,-3,r;3,-12,-9;1,1a,-24;1,-h,2l;1,-o,-1m;2,h,e;1,-15,-1u;2,-1,-i;2,6,s;1,-d,-f;1,24,0;1,-1d,18;1,-q,-t;1,2a,-15;1,-1b,f;1,13,13;2,1o,-4i;4,d,6;1,3,3;4,-n,j;1,i,-h;1,-r,f;1,9,-24;1,l,-h;1,-o,1k;1,-4,d;1,t,b;2,-16,g;1,-b,-h;1,1a,2;1,2,-2;1,-s,-e;1,s,e;1,-9,-8;1,-1,g;2,-v,4;2,-2,-u;1,1s,13;1,-h,-9;1,f,f;1,4,-1;2,-2b,-b;1,z,-2h;1,o,1r;1,-9,-h;1,7,k;1,-w,-g;1,1h,16;1,-6,-8;1,3,3;1,2,-5;2,-1l,-1;1,6,9;1,l,-e;1,-l,-5;1,f,2;1,0,c;1,-4,8;2,f,-1g;1,-6,-z;1,-c,2a;3,-7,-1c;1,-1,9;4,-1,w;1,3,-h;2,t,-1m;1,-8,1c;1,-l,y;1,-d,-16;1,n,3;1,k,2;1,f,13;3,-14,-1m;2,-6,-e;1,-4,-5;4,m,e;3,-19,1m;1,1k,-5;1,-a,-13;1,9,-e;1,-g,-12;8,p,2p;2,-1,o;1,1,0;1,-1,-3;1,-2,0;1,4,-b;1,-1,c;1,2,0;1,-2,-4;1,-5,-4;1,3,3;1,-6,1;1,a,-3;1,0,3;1,4,-b;1,-2,c;1,-a,-2;1,5,-7;1,-4,a;1,0,-c;1,a,9;1,2,-5;1,-d,-c;1,-3,b;1,9,-6;1,-c,8;1,3,-8;1,-1,-3;1,-5,3;1,-3,5;1,l,1;1,-5,-d;1,5,8;1,1,7;1,6,-4;1,1,4;1,-3,3;1,3,6;1,5,0;1,-j,-8;1,d,-4;1,-8,-c;2,-5,d;1,1,-3;1,2,-8;1,6,-3;1,1,m;3,-8,4;1,1,-n;4,-1,n;1,2,-4;1,0,0;1,0,0;2,0,0;3,0,0;1,0,0;2,0,0;1,-1,-j;2,-1,n;2,2,-4;6,0,0;1,0,0;1,0,0;1,-2,4;2,0,0;6,0,0;2,-1,1;5,3,-5;1,-3,4;1,1,0;1,2,-10;1,0,w;2u,f,-r;1,-2,3;1,-2,-7;1,-2,-7;q,1g,-k;2,-1x,-6;1,17,-1b;1,x,f;2,2,q;2,-1o,t;1,1m,-1y;2,-1v,1g;1,-5,-h;1,1j,i;1,8,-j;1,3,-1l;1,-1g,2w;1,u,-o;1,-t,-f;1,m,-j;1,-9,-p;1,-2,7;1,11,-z;1,j,1m;4,-26,-8;2,1a,-o;2,-d,-c;1,-3,1o;1,-5,-1m;2,-i,1p;1,a,e;1,-3,-5;1,-4,6;1,i,-5;1,f,-1a;3,-f,2d;3,-f,-n;1,y,-16;1,-1c,-f;1,10,n;1,-j,-h;1,g,-8;1,w,-s;1,-1c,w;1,r,-13;1,-s,1z;1,8,1p;1,v,-26;1,-u,-23;1,a,2n;1,-i,-l;b,2i,-z;t,1r,-e;1,-1o,-29;1,23,x;1,-2l,2a;1,x,-2d;1,p,1c;1,-1q,1;1,m,-1z;1,m,1m;1,-g,-j;1,k,e;1,-1f,16;1,2o,-2d;1,-23,r;2,21,g;1,-t,-t;1,-2,9;1,-8,14;2,-x,-1r;1,k,-4;1,i,11;1,14,-7;1,-1k,s;2,-s,-b;1,1b,1;1,-d,-q;1,-14,1l;1,16,-29;1,-m,1v;1,-11,-c;1,16,-9;1,e,-y;1,1i,15;1,-9,-1;1,-26,16;1,4,-25;1,c,-1;2,a,1g;1,1d,-5;1,-f,-l;1,c,-c;r,-i,-1w;t,-s,c;1,y,o;1,-1e,-x;1,19,d;1,-1a,-l;1,2b,0;1,-8,r;1,-v,m;1,-o,-1d;1,-3,-d;1,j,10;1,15,-i;2,-f,1m;1,-9,-2f;1,-1,-7;1,8,13;1,-i,s;1,11,-p;1,-1f,2;2,1d,-l;1,-24,q;3,1z,r;1,-s,-2n;1,-p,m;1,-h,f;1,1f,5;1,7,-13;1,8,1i;2,-9,1b;2,f,-2i;1,-18,7;1,11,o;y,-74,64;j,-19,-i;1,9,6;1,u,-p;1,-b,6;1,7,k;1,-k,-13;1,1e,10;1,0,z;1,-d,-s;1,-18,-1r;1,1h,19;1,-p,0;1,-1a,1b;1,d,-1z;3,-d,z;1,17,d;1,-1d,-1a;2,1i,1j;5,-t,7;3,y,-10;2,-l,a;1,6,n;2,i,-m;1,-12,-p;1,-5,1v;1,8,-1v;4,15,c;2,-19,1v;1,g,-1o;1,w,-j;1,-1r,-6;1,8,-h;4,1b,2h;3,-4,k;1,j,-1v;1,-1z,-6;q,1,38;1,3,4;1,-4,-1;r,-m,-13;2,1i,y;3,-1q,-n;1,6,n;1,1n,-8;1,-1m,-u;1,s,d;1,-j,h;2,-1,k;1,10,-11;1,-w,8;1,4,4;1,1b,1;1,-e,-f;1,a,i;2,-1g,-1g;1,h,d;1,-1,z;3,8,5;3,-k,9;2,7,-10;3,-e,-1g;1,j,1a;2,d,j;1,-14,i;2,1d,-e;1,7,5;1,-1f,3;3,0,-b;1,1r,-9;1,1,6;3,-n,h;1,-t,c;1,x,-15;1,-1b,-8;1,1i,x;1,-1q,-1;1,t,-c;2,-e,-r;e,-p,1e;j,-6,p;1,-26,-2i;1,1q,o;1,m,1i;1,b,-8;1,-a,-16;1,-20,c;1,9,-4;1,1c,i;1,-1z,-1o;1,e,1q;3,1f,-a;1,n,18;3,-1b,-1s;2,-14,g;1,e,-7;1,1o,-8;4,-1,1n;1,3,-1b;1,-11,-j;1,1,c;1,-t,-2;1,1v,h;1,-1o,1;1,g,-r;1,-x,f;2,0,-l;2,i,3;3,17,1d;2,-8,-5;1,-2,-10;3,-5,10;1,k,-2;1,d,-5;1,-o,e;1,-2,-s;3,-g,c;1,c,-c;1,-1a,-j;1,4,-f;1,-4,x;1,15,1;1,-f,0;1,-4,-z;1,17,2o;1,h,-1;j,-e,-3c;1,-6,1;t,-5,-18;1,3,1o;1,-h,h;1,1x,-r;1,-1k,-1a;1,g,1x;1,e,-1r;1,-18,1c;1,g,-10;1,b,15;1,e,-2k;1,-10,7;1,r,s;1,s,y;1,-18,-b;5,19,c;1,1,j;1,-6,-16;1,-1d,6;1,-1,b;1,2,-j;1,1o,e;1,-3,-f;3,-m,1i;1,-10,-a;1,q,-2;1,n,-4;1,e,-c;1,-l,-1k;1,-6,21;1,2,-m;y,5y,-8h;1,-h,-2e;9,9,w;1,-k,-19;1,k,p;1,0,2;1,0,-5;1,b,a;1,7,i;1,p,-1z;1,-1u,2f;1,j,t;1,c,-6;1,9,-3;2,f,-1k;4,-6,-1o;1,-p,1q;1,-f,-v;4,-2,o;1,1d,18;1,-b,-a;1,-h,n;3,-z,-s;8,1z,-12;2,-x,-4;1,-1,-1;1,-1,-3;1,2,-1;1,1,2;1,-6,4;1,7,4;1,-5,1;1,7,0;2,n,-1;1,-1j,v;1,1q,-f;1,-1h,-f;1,9,-2;1,-5,-4;1,j,s;1,3,q;1,8,-1j;1,0,0;1,-10,q;1,g,w;1,k,-19;1,6,0;1,-k,m;1,-b,-7;1,-2,g;1,n,-e;1,-1d,-w;1,1s,-z;1,-1l,1j;1,c,-h;1,-6,2;1,-5,-6;1,1n,16;1,-b,5;1,-y,-v;2,m,b;1,n,-12;1,-1q,14;2,1a,-1t;1,-1a,30;3,18,k;1,-8,-1a;1,w,-2k;3,-z,v;1,-1,-1;3,1,2;1,1,2;2,-3,-2;1,-1,2;1,-3,0;1,2,-2;1,-2,0;1,-3,0;1,-5,-1;2,j,3;1,2,4;1,4,-4;1,-1,5;1,-8,-3;1,-2,-3;2,1,6;1,0,-2;1,-1,5;1,-1,-1;1,0,-4;1,-2,0;1,-3,4;1,0,-5;1,-7,-3;1,2,3;1,4,8;1,-a,-3;2,9,a;1,-9,-e;1,2,7;1,2,6;2,d,-h;3,i,h;1,-12,-j;1,0,2;1,-5,2;1,p,-2;1,-o,c;1,w,-h;1,3,-1;1,1,-8;1,4,2;1,-1,6;1,3,7;1,1,4;1,-1,7;1,-5,-1;3,-6,1;1,-1,-2;1,i,-l;1,0,5;1,-3,a;1,2,2;1,-1,3;1,2,-10;2,-o,r;1,0,0;1,-1,1;7,1,-1;1,0,0;3,-1,1;1,1,-1;1,-2,0;2,2,0;1,0,0;2,o,-r;1,-o,r;1,-f,6;1,d,-6;1,0,0;1,q,-r;1,-o,r;1,0,0;1,0,0;1,0,0;5m,1l,-e;1,1m,13;i,o,4;1,-1m,-1q;1,-3,14;1,v,-u;1,7,27;2,o,c;1,-14,-2q;1,z,-i;1,-20,2a;1,8,-u;1,1z,-1b;1,-q,y;1,-2,-2;1,3,0;2,-15,-1;1,r,-1r;1,7,2l;1,-1w,-11;1,6,-g;1,2c,1q;1,7,v;1,-22,-1u;1,-s,2;1,2x,-1c;1,-j,-q;1,-z,2w;1,-13,-19;1,16,-h;2,-2,-n;2,z,26;1,-22,-j;1,1o,-15;1,t,1p;1,-w,-u;1,z,1h;1,-1n,-1c;2,1q,-h;2,-1c,u;2,-1j,l;1,1w,-26;1,h,2l;1,-3,-1z;1,-17,1g;1,n,-2e;1,a,2v;2,-q,-2m;1,-j,20;1,1t,-m;1,2,-m;1,-2h,15;2,27,-p;1,-u,-2;1,y,22;1,3,-4d;1,-13,1y;1,-1b,-l;1,z,l;1,1l,q;1,-k,-1f;2,-6,1i;1,-17,2;1,1s,-2e;1,-2n,2b;1,e,p;1,z,-s;2,1e,-2w;1,-1j,3u;1,1p,-2z;1,-f,2f;2,-1q,-14;1,0,-1;1,-4,3;1,-2,-5;1,9,3;1,-1,4;1,-3,-2;1,-8,-4;2l,c,3n;j,a,-1i;2,-14,1j;1,-2,l;1,b,-1a;1,h,-2;3,2,22;2,p,-9;1,-n,r;1,1u,-2f;1,-31,r;2,1j,1;1,i,-1j;1,-1i,a;1,b,x;1,-t,12;1,1g,-24;1,o,1m;1,1,-17;1,-1j,1d;1,e,-1t;1,1l,1s;1,-k,5;1,-b,-1u;1,-2,i;1,-k,-w;1,-d,2;1,d,2j;1,n,-r;1,-a,p;1,-6,-1n;1,1n,1d;1,-26,-15;1,19,-1o;1,-14,3r;1,7,-z;1,-k,l;1,2m,-17;3,-26,-k;3,1q,15;1,-2v,-11;2,1z,-19;1,-1c,6;1,2r,25;1,-g,-s;1,-18,15;2,-t,c;3,1m,-1i;1,-2a,-h;1,o,1i;1,-b,-o;1,1h,-f;3,-y,-2;2,6,o;1,5,-24;c,-3d,-i;j,-n,-4;2,-f,-k;1,e,-1;1,-m,1k;1,w,-y;1,3,18;2,-2c,-1l;2,1m,i;3,y,18;1,8,-1y;1,-t,27;3,-1g,c;1,1r,-17;1,-r,10;1,-16,-2b;1,1w,-3;1,h,10;1,-28,m;1,u,-1e;1,19,1;1,-5,w;1,-39,8;2,1j,-4;2,e,-18;3,-23,s;1,w,t;3,-e,-x;2,2y,1t;1,-2t,-2b;1,1l,29;2,-e,-21;1,-16,s;1,g,-e;2,-t,-s;1,29,1m;1,-1f,-19;1,9,9;4,j,1p;2,-c,-29;1,i,k;1,-1,n;1,-b,w;2,4,-z;1,-x,-9;4,24,r;1,-1a,w;1,-9,-1l;b,-27,-s;1,-2,0;1,0,0;1,-3,0;q,j,9;1,-1n,-2;1,1s,-d;1,-9,18;1,-2,-16;1,-3,b;1,1,d;4,-f,-1;1,7,-9;1,-p,w;1,-a,-v;1,i,e;3,-u,-k;1,1k,17;1,9,-15;1,-13,5;3,1,k;1,-y,-u;1,21,0;1,-1y,b;1,1v,-6;1,-y,-9;1,m,11;2,-14,5;1,z,-1;1,-1i,-1c;1,1d,d;1,-i,-b;1,4,17;1,-d,-6;1,-8,-15;1,1l,3;1,-a,c;3,-c,16;1,-p,0;1y,62,-1g;1j,f,-1;2,-28,74;9,1d,-n;1,-13,-16;2,-d,2m;1,4,a;2,o,-u;1,-1c,-1i;1,1j,-8;2,-1o,-m;3,1p,11;1,2,1r;1,-1,-2i;1,-u,a;6,0,j;2,n,-16;1,-l,2f;1,v,11;1,-15,-3i;1,-6,-1;1,1g,1i;1,-12,-3;1,p,2a;1,8,-33;1,-4,1d;3,f,-10;1,-1q,-a;1,k,1h;1,-g,-1q;1,z,-1;1,-8,2e;1,-15,-2e;1,1d,u;1,-8,16;1,k,-1t;3,-16,1b;1,19,p;2,-9,n;1,-b,1;1,l,-17;1,-u,-19;1,-r,-e;1,l,3a;1,10,-n;1,c,-2g;1,-4,2v;3,-1e,-36;2,l,s;1,-n,h;1,c,7;1,11,14;1,-w,-3c;1,-s,k;1,1c,2a;1,1,-29;1,-17,x;1,-7,2;1,t,-14;1,-1,27;g,c,-b;1,3,-2;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,-7;1,0,7;1,-5,-8;2i,15,-5;1,5,-1;1,-6,-5;2,b,1;6,-9,2;1,-1,0;3,1,1;1,0,-1;1,0,0;1,0,0;c,v,-12;1,-p,2a;1,b,c;1,-h,-2p;3,1d,-12;1,-1t,w;2,20,10;1,-v,t;3,8,-j;1,f,-x;2,-3,-w;1,p,1f;1,-1f,-i;2,-7,-h;1,-m,2f;3,12,-2f;1,-c,1p;1,1,-m;1,j,-8;1,i,13;1,-5,-16;1,e,c;1,-a,-1e;1,-1g,2q;1,1e,-s;1,-10,1l;1,7,-n;5,p,-1j;4,-14,-u;1,1b,21;1,-1q,-2k;2,1b,1g;1,-10,-a;1,n,27;1,m,-30;1,-3,2p;1,g,0;1,-z,-1b;1,0,u;1,t,-3b;1,-1o,1q;c,0,1b;2,-k,-35;1,0,0;3,3,-y;f,y,1q;1,3,-1c;1,-d,1a;1,-1c,-1w;1,-z,1y;1,v,-o;1,-q,4;1,26,-y;2,-10,1d;1,1r,1;2,-1q,-19;1,t,b;1,-6,b;1,-z,-a;1,r,-o;1,1,d;1,-11,6;1,22,-1;1,1,e;4,c,4;1,-24,-3;2,1d,k;1,-t,2;1,1e,-4;1,-1k,-6;1,v,-v;3,-w,1h;1,-15,-1d;5,t,-f;15,-1m,4x;1,0,-1;7,0,0;r,-x,-e;2,-1v,15;1,1z,12;1,-2,-9;1,1h,-1;2,-2,-2g;1,-23,5;2,15,2a;3,1,-x;3,c,-1z;1,f,2e;3,-u,k;1,6,-2d;2,d,-3;2,-w,8;1,8,c;1,9,-2d;1,-1s,2b;2,-3,1a;2,9,-x;2,10,-1l;3,g,o;6,-1d,17;4,4,-r;1,3,-r;2,25,-8;f,-1r,21;s,18,-15;3,-f,u;2,-8,-1o;1,13,2q;1,-14,-3r;5,-4,2h;1,-e,-a;1,0,-1a;3,-1g,22;2,0,-d;2,2j,-h;2,-13,-t;3,-f,10;1,1d,-1n;1,-x,q;2,1d,1h;1,-13,8;4,-12,-17;1,1t,1u;1,-h,h;1,f,-3u;3,-15,16;1,-v,15;9,2n,-a;2,9,-g;1,-16,-r;1,6,8;2,3,1y;2,-2c,c;1,l,-1f;1,z,-33;1,15,12;a,-1c,-2t;2,4,-u;1,-n,s;1,-z,-e;1,-s,6g;1,32,-6o;1,-2d,34;1,-15,1h;1,1h,-3w;1,-1f,l;1,1v,-k;1,13,d;1,-2c,1d;1,-b,-w;1,1,-1;1,28,-b;1,-1z,2o;1,14,-2u;1,-g,19;2,1s,-c;1,-2h,-2a;1,-2,y;1,-5,-s;1,-8,4y;1,-3,-2n;2,z,-3;1,-8,-i;1,k,-l;1,1b,1t;1,-1m,-22;1,31,x;1,-1f,-1e;1,-y,2d;1,-15,1p;1,h,-d;2,25,-37;1,-37,-l;3,2g,1z;1,5,-1g;1,-e,-g;1,-1u,-r;1,1x,2b;1,q,-1b;1,f,g;2,-1s,1i;1,-18,-k;1,w,-27;1,-17,44;1,n,-2y;1,2,1a;1,-s,-1o;2,25,3s;1,9,-4e;1,7,3g;1,b,-1s;1,-15,-13;2,-1o,3i;1,1w,-f;1,1r,-26;1,-2o,3;3,-x,4;1,1,1;1,39,-10;1,-2e,8;1,-10,2h;3,1,-1g;1,9,9;1,-9,-15;1,29,-1e;3,10,27;1,-33,-s;2,1,4u;1,1c,-15;1,-1i,2c;2,2,-10;9,f,-3a;1,y,x;2,3,-b;1,-d,-2x;1,x,20;1,-b,-2k;1,-u,-9;2,1j,1e;1,-v,37;1,-6,-48;1,u,2u;1,-z,-1g;1,-v,20;2,x,h;3,-d,-1i;1,8,-p;1,1k,1a;1,-1p,-3i;1,2f,1u;1,-12,8;1,-2c,2;1,33,-6;1,-2d,-5;1,-10,23;1,a,-4e;1,4,2y;1,3k,-5;1,-3x,w;1,s,-2z;1,3c,19;2,-3o,d;1,17,-e;1,-1o,k;1,j,b;1,8,24;1,y,-1x;2,-1e,i;1,-a,-2u;1,1s,37;1,-1j,-2b;5,23,-m;1,-13,21;1,-c,-h;1,-1,1y;1,p,-3t;1,i,2c;2,-1i,8;1,-f,25;1,-1,-14;1,b,1;2,37,-x;1,-1u,-i;1,-1s,2i;1,3n,-2h;1,-2g,2d;1,-3,-46;1,19,u;1,-1q,t;1,-j,-26;1,i,44;1,35,-2v;1,-38,4n;1,-b,-9;1,-9,-3;1,-1,20;1,3v,-5x;2,-1p,-3;2,16,1d;1,-2v,1p;1,2v,-43;1,o,2c;1,e,5;1,-3l,3e;1,3,-m;1,-d,-d;1,-i,1e;2,1b,-14;8,q,-3w;1,-5,4;1,5,1;1,-9,4;1,9,-9;1,-6,4;1,-3,-1;1,9,-3;1,-7,d;1,-8,-8;4,f,-5;3,0,0;21,0,0;7,-6,6;1,2,-2;1,-4,4;2v,6m,-57;4,-24,-a;1,x,r;1,1n,-m;2,-4j,h;2,2q,9;1,-y,n;1,-1g,-u;1,-d,-y;1,3w,4;1,o,2;1,-25,u;1,-1,2;1,14,-f;1,-1k,9;2,22,-13;1,o,1g;1,-2b,-m;1,-1g,n;1,2m,-6;3,-1i,1;1,1,2;1,-1h,-10;1,6,e;2,47,-e;1,-3c,15;3,-1j,-y;1,2m,4;1,1j,-f;1,-39,m;1,2a,i;1,-m,-v;1,-7,-4;1,-2,1;1,0,-4;1,10,z;1,-x,-z;1,5,-g;1,-c,1p;1,a,-l;1,-13,10;1,1k,-1i;2,-2t,14;2,3u,-1y;2,-d,k;1,-1g,1e;1,-2,4;1,3,-5;1,-15,-d;2,21,-z;1,-1p,4;3,1o,-h;1,-1s,1j;1,-o,-a;1,24,-12;2,-2j,1u;1,18,-22;1,28,x;1,-2m,-g;1,9,g;1,-g,-d;3,z,17;2,3,g;1,v,-19;1,1x,-3;1,-18,-x;2,15,1i;1,-4f,-12;1,1i,m;1,-1i,-12;1,4z,h;1,-43,-c;2,2b,f;4,-k,1s;1,-1,-4;1,-4,4;1,7,-5;1,-5,4;1,-2,-8;3,7,-7;1,-4,4;1,-2,-3;1,4,2;1,-5,4;2,7,a;2,-3,-1;1,-1,2;1,0,-e;15,0,0;15,-7,9;1,0,0;1,1,-6;1,-5,4;1,4,2;1,-6,4;1,-1,-3;1,3,2;1,-2,1;1,-4,-9;1,4,9;1,-1,-6;1,-6,-2;1,6,-2;1,-1,-1;1,9,1;1,0,0;1,0,0;1,-9,-1;1,0,0;1,-9,2;1,h,5;1,-h,0;1,0,3;1,4,-k;1,e,b;1,-9,-1;n,0,0;1,-5,-a;p,0,0;3,b,h;3,-b,-h;1,0,0;2,5,a;1,9,1;37,-3,-4d;1,-9,1b;1,2n,-19;1,1,9;2,2,-p;1,-1v,o;1,21,n;1,-2u,12;2,21,-2y;1,l,-b;1,-34,2j;1,6,f;1,2k,-1a;1,-m,u;1,e,-i;1,-13,7;1,8,z;1,-13,-v;2,y,-e;1,-19,-4;1,2c,1x;1,f,-u;1,-14,-28;1,t,-1;1,-6,1k;1,-1l,16;2,-v,-16;1,1y,-c;2,u,1c;2,-z,-f;2,15,-24;1,-h,2q;1,-16,-g;1,-n,-37;1,3,5;7,u,-7;2,-20,3a;1e,15,-1k;1,e,-z;1,6,-4;2,5,-5;1,-a,a;1,-g,1i;1,28,-1o;1,-1d,2n;1,-2d,6;2,1y,8;2,-3,-3s;1,25,3c;1,-x,-2;1,-1d,-2q;1,2c,9;2,-1j,2;1,8,17;1,11,n;1,-3f,b;1,g,r;2,t,-1q;1,1s,1e;1,-36,e;3,20,-3k;1,1g,3s;1,-1v,-1e;1,23,f;1,-1x,-1q;1,-1,10;1,-15,w;1,2y,-s;1,-22,h;1,13,-b;1,1c,-10;1,-2o,27;1,-12,-6;1,2x,-1w;2,-27,1m;1,v,-1q;1,1d,-17;1,-t,v;1,n,1q;2,-4,k;2,-b,-38;1b,-18,32;2,1,0;1,-2,-4;1,-2,8;1,4,-7;1,-2,7;1,5,-5;1,-a,2;1,-1,-8;1,3,5;1,3,2;2,-2,-7;1,2,-4;1,2,f;1,7,0;1,0,-6;1,-i,-2;1,9,-5;1,-1,7;1,1,-7;2,0,0;1,1,9;1,0,0;2,-2,-1;1,2,1;7,0,0;1,-4,-1;5,5,3;5,-2,-b;5,1,a;1,0,0;e,-1,-a;8,0,0;8,1,9;9,0,1;7,0,-1;2,-3f,2p;9,-u,-2m;1,b,2s;1,-7,-4;1,-1h,-5;1,1m,-2o;2,v,1v;1,-m,-1v;3,-3,o;4,-u,1q;1,-k,-5;3,0,j;4,1r,-19;1,-k,-a;1,2,14;1,-a,e;1,5,-2w;2,18,2v;1,-2n,6;1,15,-1z;1,p,1z;1,k,-1x;1,-15,1d;3,f,-d;2,e,-17;1,c,2;2,0,a;2,-1l,q;1,1v,h;1,-9,-t;1,-13,1c;1,-b,-2s;1,1i,d;1,-14,-13;1,-n,3o;1,1m,-2k;1,-1g,2b;1,5,2;4,1q,-1;2,-n,-i;1,-24,g;1,18,-19;1,n,2;1,-1b,y;2,14,-x;1,-n,-x;1,z,-1b;1,-28,32;1,2d,-e;1,-p,-7;1,-v,w;1,0,-k;1,1n,-28;i,1i,-1a;t,m,9;3,1,-7;1,l,-v;1,-z,m;3,6,-1m;1,-x,33;1,-c,-35;2,-9,j;1,n,-f;2,a,s;1,y,-1;3,e,-3;1,-1a,-9;1,-e,-q;1,-e,2w;1,-c,-s;1,u,h;1,-h,-3;1,v,l;1,-x,k;1,14,-3q;1,8,-2;1,-18,2e;1,n,-2i;1,-m,1b;1,-v,1b;1,1k,6;1,-d,-h;1,-9,-2l;2,10,35;1,-c,-1h;1,-1f,1d;1,1c,17;1,15,-38;1,-f,8;s,2j,-2q;t,f,l;2,7,-42;1,-9,5o;2,e,-24;1,7,-20;1,-r,31;1,-4,-f;1,l,-1c;1,1,18;1,-4,-2s;1,2,1a;1,-7,2t;1,e,-x;1,4,18;1,7,-a;2,-10,-2h;1,7,-t;2,a,-2g;1,4,1b;1,-d,43;2,u,-q;1,-k,-2f;2,8,2w;1,7,-10;1,3,c;1,-d,-n;1,-l,1i;1,1,-2o;1,v,n;2,-f,6;1,1,-2s;1,2,4t;2,c,-2q;v,-60,13;1,-8,1g;1,-1j,-2j;1,d,r;1,-l,20;3,10,r;1,-i,-42;1,17,3j;2,-2,17;1,-p,-24;3,1c,-n;1,-a,16;1,-1z,-26;1,o,34;1,1z,-2j;1,-p,-3f;1,-21,3k;1,r,2o;1,-j,j;1,1f,-3m;1,-d,q;2,0,-3q;1,-q,-1a;1,1h,4x;1,-13,-9;4,o,-21;1,-10,1d;1,s,1q;1,-13,1k;1,10,-u;2,1h,-e;1,-n,s;3,1,1j;2,-l,q;2,-17,-52;1,1d,k;1,-1o,1c;1,1m,-14;1,1n,n;1,-1s,-5f;1,h,5t;1,n,-u;1,-2q,-36;1,q,1r;1,w,-33;1,-5,4x;1,-1a,-2w;1,2w,2n;1,k,o;2,-2h,-3p;1,t,-k;1,5,43;1,-j,-2e;2,-1m,-10;1,y,-w;1,h,5x;1,2d,-1q;1,-1y,1j;r,9,-20;1,-1h,1r;1,1,-1y;1,3,-2w;1,-2,2l;1,i,-b;1,25,p;1,-y,-f;1,-u,-50;1,-9,67;1,d,-20;1,-i,-1b;2,1q,30;3,2,-1;1,-1q,-1g;1,-i,1x;1,o,-g;2,d,2p;1,u,-1t;1,-t,-4r;3,-19,-23;4,o,6v;1,10,10;1,-m,-1b;1,-7,-4a;1,15,3g;2,-u,3b;1,-11,-62;2,-k,2t;2,13,-26;1,-6,-22;1,16,5d;2,-15,-c;1,1b,-f;2,-t,-11;1,-1l,-1j;1,34,2m;1,-2c,-f;2,1w,q;1,-1r,-5p;1,-9,64;3,k,-3n;16,p,2n;1,0,0;1,1,-2;1,5,0;1,1,-7;1,-6,k;1,-3,1;1,3,-6;1,-2,-e;1,-4,g;1,3,-6;1,3,-c;1,-3,8;1,4,5;1,-8,-b;1,-1,b;1,1,-5;1,4,8;1,a,-4;1,0,4;1,-g,-2;2,d,-k;3,0,p;1,-b,-o;1,e,w;2,-9,1;2,-4,-1;3,7,-x;p,1,l;f,-3,-j;1,0,0;1,0,0;1,0,e;n,-1a,4i;t,-4,16;2,-d,9;1,-4,-1y;1,1,-r;1,o,1q;1,-n,1c;1,0,-1j;3,2,-8;1,q,u;1,-q,7;2,p,-1l;1,6,-t;1,0,-o;1,-s,1e;2,13,-w;2,-w,1u;1,n,-1c;1,-3,-n;1,-f,2h;1,-h,-1n;1,e,2g;1,g,-e;3,-s,-2f;1,7,-3;2,k,19;1,-t,-a;11,4y,-52;1,2,3;8,a,14;6,-r,-15;1,26,9;1,-r,-1i;2,q,-5;2,-16,1g;1,-4,-12;2,-j,c;2,-t,-1i;1,-b,2p;2,34,-2s;1,-1i,3x;1,15,-b;4,-b,-1s;1,n,-25;1,-2s,3k;1,n,-2n;2,i,32;1,-p,-1t;1,-s,m;1,c,-1t;1,2e,z;1,e,-1c;1,-2,3n;1,-26,-16;1,-2,1i;1,-9,-49;1,9,3n;1,1k,-3l;2,-1h,o;1,13,-5;1,-1g,1i;1,-h,-y;1,25,24;1,-1p,-2w;1,-j,1q;4,i,-h;2,27,12;1,-m,-l;1,x,16;2,-1k,-r;3,1g,-3a;1,d,1;1,-2p,4h;1,-3,-z;2,2c,-1e;2,-1b,1m;1,b,-2u;1,0,33;1,-1c,8;1,18,-1t;1,z,-1r;2,-c,40;3,-15,-3y;1,-17,1i;1,17,2m;9,-23,-2p;1,6,4;2,-h,-k;1,8,f;5,-7,-r;1,1d,-28;1,-m,1y;1,n,-3f;1,-1o,3u;1,26,-59;1,-i,z;2,-2,-1d;1,-1f,32;1,1n,-b;1,a,-1h;1,-1d,5g;1,8,-4w;1,f,39;1,i,-i;1,-i,-4;3,-u,-1u;1,x,1a;d,-1d,2s;1,1m,-2q;1,-x,c;1,7,2c;1,-u,-4h;1,1p,a;2,-y,l;2,-s,-f;1,23,-7;1,-x,36;2,r,-3t;1,-1u,1o;2,1e,-1b;1,0,-1c;1,-u,53;2,-q,-44;1,1s,1p;1,2,-b;1,-1l,2p;1,v,-2i;1,-v,1w;2,-j,v;2,2e,-5e;1,-z,48;1,-8,-2r;1,o,9;1,-19,1j;2,-4,h;1,p,12;2,-p,-k;2,-e,5;1,2a,-4y;1,-1y,6b;g,2m,-42;k,2k,k;1,9,-1l;1,-18,23;2,-7,-21;1,-1e,2q;1,5,-1g;1,21,s;1,8,-3g;2,-22,9;1,w,1f;2,-1d,2t;1,26,-54;2,-1u,2g;1,1x,1w;1,3,-19;1,-28,t;2,1d,-2b;1,w,-18;1,-1,38;1,-6,-2g;1,5,17;1,t,3;1,-2h,2s;1,4,-f;1,m,-3u;1,-c,31;2,1s,-3e;1,0,v;2,-2d,g;1,q,h;1,-h,1s;1,r,-2x;1,-1r,28;1,2w,-g;2,-1h,3;1,1p,-r;1,-2o,1z;2,-h,-1b;2,21,4;2,-1m,f;1,h,-22;1,6,32;1,-m,-u;1,1l,-2;q,-6,-5e;t,15,1;1,-3,-1e;1,-13,g;1,-1,-f;1,7,1r;1,-8,-2b;1,-1a,3f;1,l,2;1,-1,-j;1,29,-f;1,-1l,x;1,1,-48;2,4,27;1,1c,p;1,-7,-10;2,-1z,t;1,3,h;1,20,x;2,-23,i;1,-4,c;1,13,-1g;3,p,-38;1,-g,3u;1,-1r,-3d;3,-2,h;1,-1,-12;2,k,21;11,-3m,3c;u,-1m,q;3,11,d;1,q,-1z;1,l,-4n;1,-19,3w;1,18,-1h;1,1a,1w;1,-3z,1c;1,1o,-r;1,-1,1d;1,a,-i;1,-12,-q;2,1r,-1u;3,d,39;1,1a,-2l;1,-1m,-11;2,-g,1c;1,o,1m;1,-1e,-4z;2,10,h;2,-21,2d;1,22,-1l;1,1k,-9;1,-2n,-1j;1,2m,1y;1,-3d,2f;1,g,x;2,g,-18;1,v,-u;1,-1s,i;1,h,-14;1,2w,6;5,-1u,39;1,-u,-30;1,1a,-2n;1,1g,0;1,-2k,16;2,k,42;j,-22,-2w;4,-2,-1;19,0,-2o;1,f,1l;1,f,9;1,-4,-1a;1,-h,6;1b,bs,d0;1,9,1t;1,-13,-8;1,2q,-n;1,-2g,1z;2,l,-p;1,j,0;1,-1,-2;1,-s,5;4,1,-2b;1,b,13;1,-y,1b;1,3,-1i;1,m,3;1,1c,m;1,n,d;2,-20,2;1,g,l;2,0,-1a;1,-1,-1;2,-u,p;1,1g,-4;1,1w,-i;1,-1x,-5;2,-1b,-1;1,s,y;2,-4,-23;1,-15,23;1,2m,-s;1,i,b;1,-2a,-11;1,-6,n;1,-f,7;2,1a,-1;1,t,-3;1,-1x,17;1,2p,-1w;1,-34,29;2,u,-2k;5,24,y;1,-2p,14;1,1l,-1j;1,-1t,13;1,7,b;2,1y,-9;1,15,-1a;1,-19,j;1,-16,f;1,-o,-1a;1,d,j;1,2m,e;1,-23,r;1,-d,-a;1,-9,-1a;1,2x,u;1,-1q,-3;1,-12,b;s,3,19;1,0,0;1,0,0;1,3,-6;1,-5,4;1,0,-4;1,-3,4;1,3,3;1,2,-1;1,3,0;1,1,-2;1,3,0;1,-7,2;1,1,-b;2,2,-a;1,-8,f;1,5,-h;1,0,n;1,0,0;2,7,-b;1,-l,b;1,b,-b;3,-2,-1;1,-3,-1;2,6,-a;1,2,l;1,1,-4;1,-d,-1;1,f,-4;1,-8,-c;1,-4,-4;1,4,a;1,-6,-3;1,b,k;3,8,-f;2,-b,-3;1,3,i;2,-8,-2;5,f,-4;2,-7,-c;1,0,i;2,-8,-5;7,c,-b;8,-4,g;3,0,0;1,0,0;2,1,-1;1,-1,1;1,0,0;1,-2,1;1,2,-1;1,0,0;e,0,0;1,0,0;2v,-28,-1o;2,-k,-2e;1,1s,2s;1,-1g,1j;2,18,-p;2,-25,-1c;1,m,-g;3,1g,-1j;1,l,m;1,-23,-1d;1,23,-4;1,-w,31;1,-1i,-f;1,26,-32;1,-18,4y;1,-8,t;1,-7,-57;1,-i,3d;1,15,b;1,-1h,-48;1,r,9;1,-r,5;1,18,24;1,3,1z;1,m,-3b;1,-m,1q;1,-i,v;1,u,-1j;2,-v,-2c;1,1t,33;1,-2a,2e;1,i,-43;1,16,1a;1,-1o,-2h;1,p,28;1,-r,-2;1,1h,-g;1,-7,1z;1,-1i,y;1,1q,5;1,g,-16;1,-1g,t;1,1i,-f;1,-27,-27;1,1m,-10;1,-1c,q;2,1d,-15;1,-1l,5k;2,m,-2m;1,r,-8;1,8,-1u;1,u,u;1,-15,-1s;1,-12,i;2,1w,l;1,-j,-1g;1,x,3n;1,5,-2q;1,-19,1p;2,-14,-29;1,1p,-j;1,-h,3a;3,-1k,-2d;1,b,4a;1,5,-31;1,j,2v;1,c,c;1,-t,-1h;1,-f,-8;1,1g,1a;j,e,-4d;1,h,21;1,1,1x;1,-r,-1l;1,b,-w;1,-q,-y;1,16,34;2,0,10;1,-p,6;3,g,-d;1,-1f,u;1,-r,-33;1,10,-1s;1,x,3n;1,-3,-r;1,-b,-b;1,-1d,10;1,11,16;1,-a,-2s;1,17,-m;1,-1f,-5;4,1r,l;1,-2f,-1n;1,1p,22;1,-1q,3d;2,1,-u;1,2d,-3t;2,-1e,-1p;1,-i,5m;1,14,-2y;1,z,-18;1,-2m,h;1,i,27;1,1,1a;1,n,-1q;1,-4,-3c;1,-4,1f;1,s,2i;1,-1b,a;1,11,7;2,-j,-j;2,3,-4m;1,3,1i;1,q,2w;1,d,12;1,a,-3z;1,-26,4h;1,9,-27;2,1x,-2m;1,-c,2j;1,c,1;1,-5,12;1,-19,-2x;1,6,m;1,-11,w;1,24,-2k;y,0,24;1,-8,d;1,3,1;1,2,3;1,-2,2;1,-4,-1;1,7,1;1,-4,-7;1,-3,1;1,3,4;2,-5,-4;2,i,3;2,-i,1;1,h,5;3,-g,3;1,8,-e;1,-6,-4;1,-5,-1;1,b,-3;2,-c,k;1,a,5;1,-1,-l;1,6,-3;2,2,6;1,-b,-e;a,-1,h;2,0,0;13,0,0;5,4,0;d,1p,-1w;1,0,0;i,r,-1r;1,-o,3r;1,15,-5b;1,-15,1b;1,-b,2a;2,-h,s;1,12,-39;1,-x,v;1,1b,22;2,1,-p;1,-1a,n;1,1a,n;1,-w,-1n;1,-u,1e;1,2g,-31;1,-j,-1l;1,-16,1w;2,9,l;1,s,24;1,-6,-1e;1,4,q;1,-2,-17;3,-l,6;1,-6,2a;1,5,1;2,-r,-26;1,1u,-1g;1,-w,1n;1,-1a,-t;1,1k,-1a;3,-17,2m;1,q,13;1,a,-2p;1,-b,2a;1,-r,-11;1,d,-o;1,12,2g;1,-1,-4e;1,-1m,28;1,0,q;2,-3,b;w,2n,-m;1,0,0;8,15,1k;1,-q,-5z;2,11,3;1,3,-1k;1,-1n,5e;1,-5,27;1,1a,-13;1,k,-19;1,z,-2k;1,-1o,1k;2,1k,-2c;1,-1r,4m;1,w,-1w;1,-15,-2f;1,-6,1j;1,12,2r;1,-d,m;1,9,-2j;1,r,z;1,-10,31;1,4,-1h;1,-d,q;1,i,-5u;1,-s,16;1,1i,2w;2,-1q,-9;1,1f,h;1,-1c,-3;1,m,1z;1,2,-5e;1,7,5h;2,-2,-1g;1,15,-3s;1,-19,2p;1,-1k,1;1,1r,0;2,n,1d;1,-1w,-23;1,2j,-4s;2,3,12;1,-29,2x;1,1c,37;1,-2f,-2i;1,2d,-4d;1,e,3y;1,-1v,-5;2,16,-1w;1,-f,15;1,1,1u;1,6,-2a;1,-m,2f;1,-l,19;1,11,-1y;1,m,2z;1,-j,-1s;2,-2,-25;1,18,2a;2,-x,2g;1,15,-6d;1,-3,-32;1,-2m,78;1,1u,-5d;1,-1g,3o;2,1k,-q;1,-y,3c;1,j,e;1,4,-2a;1,-r,1i;1,-12,t;1,1w,-3j;1,-10,2a;1,-h,q;1,22,-p;9,-52,-39;1,-5,-g;1,6,b;7,-6,-8;2,-2,-27;1,25,-1o;1,-w,1e;1,d,o;1,-p,2s;1,9,-1w;1,-16,26;2,p,-1w;1,2d,-35;1,-1i,j;1,14,1i;1,-29,1c;1,p,-3t;1,-d,5j;1,-d,-m;1,1l,-2v;3,-18,1y;1,-z,h;1,2w,-4r;1,-28,15;1,s,32;1,-1k,-27;1,2n,10;1,-1a,10;2,-1c,-k;1,3,1z;1,26,-13;1,-1r,1t;1,h,-3b;1,-y,-6;1,x,3g;1,-11,-3b;1,-2,1;1,g,0;1,-7,-1w;2,13,1p;1,b,g;1,-r,2q;1,i,-3m;1,p,-1e;2,-1e,17;1,1k,1m;1,-10,-2p;1,-18,1e;1,2i,w;1,-2d,-1n;1,17,3l;1,-s,3;1,8,-2k;3,4,n;1,-h,-q;1,q,u;1,-2,1e;1,d,-8;1,17,-2m;1,-h,1x;1,-1z,-5;2,i,-26;1,2o,7;2,-1d,7;1,0,2q;1,-1p,-l;i,-m,m;1,0,-1;i,-1b,-2o;2,i,-1i;1,7,17;1,g,z;1,-9,1w;1,-v,-3t;1,17,n;1,-q,2q;1,-g,-15;1,h,1m;2,-1,-v;1,l,1y;1,-g,-a;1,2,h;1,-9,-52;1,t,-4;1,-e,4s;1,-w,-2c;1,13,-t;1,-1,2r;1,-15,-9;1,-5,15;1,1o,-f;1,-6,-1z;1,-1a,-3a;1,l,2j;1,-2,-2n;1,f,1s;1,0,20;2,-z,-1;2,1d,18;1,0,-t;1,3,-f;1,-y,16;1,k,-3i;1,3,1k;1,-12,-j;1,7,2y;3,4,h;2,-9,-4c;1,b,-h;2,5,y;1,-l,25;1,0,-1z;1,0,18;1,10,n;1,-w,1x;1,1a,-7;1,-2,-4z;1,-1a,f;1,-9,46;1,1m,m;1,7,-15;1,-10,-1r;1,5,-p;j,-h,-44;j,6,y;1,-g,-3g;1,i,3s;1,i,-4e;1,-o,2i;1,13,y;1,-1l,9;1,17,-32;1,j,45;1,5,-i;1,-1t,-4t;2,1a,2j;1,1,-1q;1,-t,3e;2,-j,f;1,f,-35;1,1a,27;1,-8,v;1,-o,-2a;1,-k,-1p;1,z,3s;1,-z,-2c;1,3,k;1,r,-10;1,-x,3i;1j,2u,-1t;2,-8,2;h,14,1n;1,c,-49;1,-1e,-14;1,-2,4s;2,1h,-6t;2,-1c,2j;1,b,-5k;1,-b,42;1,-o,6u;1,1j,-8a;1,-1p,5g;1,17,-6v;1,-11,5v;1,3u,33;3,-3m,b;2,-9,-4d;1,1b,-3i;1,1p,7g;1,-20,-22;1,5,-1n;1,-3,-5n;1,9,59;1,2,-11;1,h,-15;1,-y,-b;1,-w,34;1,l,2t;1,2o,-1g;1,-2h,-1u;1,s,-1r;1,-s,2q;1,a,-5f;1,2c,8h;3,-2d,-7m;1,2a,61;1,-2i,-60;1,z,6z;2,-x,-1u;1,2a,1m;1,-15,-1a;1,-24,-2o;1,2,29;1,-3,1a;1,9,1s;j,1g,-6b;b,3w,4s;9,-r,24;1,t,-3z;1,a,1g;2,-10,1z;2,y,-2l;1,-11,3l;1,a,-5q;1,t,1u;1,1,2c;1,-v,-3;28,-1g,-78;u,-m,-j;2,9,34;1,-m,-3q;1,q,3d;1,-y,-2q;1,36,7;2,-e,-15;1,-1q,35;1,-o,-3u;2,2r,42;2,-3i,-47;1,36,-h;1,-5,3c;1,-v,-12;2,-w,3n;1,4,-1x;1,-g,-4d;1,-e,1n;1,1x,c;1,-1u,-m;1,7,3;1,a,-v;1,2,-c;2,25,41;1,-2f,-3b;2,0,-1;2,35,34;1,-2w,2v;1,28,-4s;hm,-zh,10b;1,2,1;1,-1,-5;1,-2,6;1,2,2;1,1,-6;3,-3,4;1,0,0;1,0,0;j,-h,-t;1,d,f;1,2,t;1,2,-f;3,-s,4;1,d,b;1,-1g,1q;1,1n,-2t;1,-g,1b;1,-13,14;2,1o,-18;1,2,1;3,-1,-16;2,7,-l;1,-1t,2r;1,1v,-2v;1,0,-7;1,-e,1s;1,0,0;1,7,-a;1,-9,c;1,8,-12;1,-a,y;1,3,-1;1,8,-7;2,1,-a;1,0,1;1,0,0;1,4,-1;2,-w,e;1,11,-12;1,1,1;1,-g,b;1,b,-x;1,-i,1n;1,4,1;2,3,i;1,d,-20;2,-8,p;1,3,-3;1,-d,-2;1,-1y,3a;1,10,-1d;1,-7,7;1,1n,-2f;1,-k,1z;1,h,-2u;1,-7,1j;3,1,-14;1,-1y,3p;1,1r,-1g;1,-5,-9;1,5,-l;2,1,6;1,5,-c;f,0,i;1,-2,0;1,0,5;1,-1,-7;1,4,4;1,0,3;1,-2,-9;1,2,3;2,-1,-7;1,5,a;1,-6,-f;1,6,a;1,-6,1;1,5,6;1,3,6;1,2,2;1,4,b;1,-g,-m;1,-1,7;8,3,-8;1,0,1;1,0,-1;1,0,0;1,0,0;2,0,0;1,0,0;2,8,1;1,-8,0;1,0,-1;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,-3,1;1,3,-1;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,0,0;2,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,-r,-1;1,r,1;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;5,0,0;2y,-f,-21;1,0,-1;8,0,0;t,f,-11;1,-s,9;1,10,6;1,-y,-l;1,-e,1s;1,-9,1;1,6,q;1,1m,-1u;6,-14,6;1,-x,o;1,6,14;1,s,-i;1,-5,-1e;1,-s,20;1,-f,p;1,1a,-25;1,-a,3;1,1,3;2,-4,3;1,7,-4;7,o,d;1,-4,-10;1,-q,1m;1,5,-6;1,7,-b;2,-m,1;3,n,-21;1,-1,1;9,o,n;1,6,-3;1,-t,-m;1,u,q;1,-s,16;1,-1,-p;2,-q,8;4,2z,s;1,-1,1;1,-2,1;1,1,1;g,-2,1a;1,-j,-14;1,18,-b;4,j,1t;1,-f,-1;2,2,2;2,-i,-b;2,-c,-e;1,-1,0;1,9,-1;1,o,-15;1,-k,x;1,p,7;3,0,-1p;1,-h,13;1,-5,-j;1,p,6;1,-1l,1i;1,r,-17;1,-g,i;1,-6,d;1,-a,-1t;1,1w,16;1,-14,-l;1,-g,20;1,v,-2s;1,-q,x;1,7,a;1,q,-i;1,-o,15;1,-p,y;1,f,-b;1,-e,7;1,-2,8;1,f,-2d;1,n,1x;1,-c,0;1,z,-1q;1,-v,3;1,w,1t;2,-1p,5;1,f,-a;1,-1,-i;t,-k,-5f;1,2,0;1,-2,-1;1,-4,-3;1,3,3;1,-1,0;1,1,-5;1,7,5;1,-c,0;1,0,2;1,-l,-o;1,2,b;1,17,k;1,-1e,2;1,-5,10;1,1t,-2u;1,-g,m;1,-5,1g;1,-h,-c;1,-4,4;1,o,-d;1,2,j;1,-1n,15;1,d,-9;1,1x,-27;1,-h,a;1,-j,-g;1,2,8;1,-s,v;1,o,-g;2,6,-z;1,m,-k;1,-1g,1v;1,n,-17;1,x,6;2,-o,-f;1,-1c,2x;2,-3,3;1,1u,-1m;1,-13,-1c;1,u,3;1,-17,2d;2,w,-2t;2,-o,10;1,b,-12;1,17,1e;1,-4,l;1,-15,v;2,1m,-24;1,-1m,v;1,c,-1a;2,-9,1d;1,3,-14;1,-d,1u;2,0,0;1,2,7;6,-a,-3;1,1n,-v;1,2,1;4,-1m,-8;1,2b,-q;1,-n,1d;1,-w,-y;2,19,-g;1,-17,-v;1,-3,2o;1,3,-w;1,e,1;1,1c,-v;1,-i,d;3,-1,o;2,-18,-27;1,-e,29;1,b,-9;2,1,8;1,0,0;2,-1,-8;3,2,-31;1,3,-e;3,-9,b;1,9,-b;1,-e,f;2,e,-f;2,6,c;1,-6,-c;3,0,m;1,0,-m;d,0,0;1,-f,t;1,-w,-14;1,7,18;1,1k,-16;1,15,f;3,-e,t;1,g,k;1,c,-22;1,-1o,1p;3,-1p,-2;1,2w,-2;1,-2a,-16;1,c,1a;1,c,-c;1,o,g;2,-m,-5;1,w,-4;1,2,-t;1,9,-v;1,4,1t;1,-9,g;1,v,-k;1,-1a,-s;1,5,i;1,14,-m;1,-13,-j;1,-m,-k;1,1g,1s;1,-1p,-y;1,4,3;1,-6,-b;3,0,-d;1,6,u;z,q,63;2,9,i;1,-15,3;3,g,-13;1,f,1u;1,1a,-2s;2,-13,1a;1,p,-1j;3,-1r,2a;1,j,-12;2,-h,g;1,1o,g;1,-28,a;2,b,-e;1,x,7;1,-c,6;1,-4,-b;1,p,-1b;1,q,v;2,-l,-1f;1,-u,2a;1,-8,-l;2,16,-x;1,-13,16;1,-b,0;1,1a,-5;1,-l,-1b;3,-11,1u;1,1i,b;3,v,-2t;1,-6,1c;1,-i,-n;1,-9,-x;2,4,y;1,z,-w;1,-1a,2p;1,8,-24;1,1,-b;1,-a,d;2,q,-9;1,-2,g;1,p,12;1,-z,-14;1,-1k,20;1,n,-1f;1,2,2;2,i,-2;2,-g,v;1,u,-5;2,-h,-1b;1,g,8;1,-10,1i;1,1r,-1m;1,-1q,x;1,1d,2;1,-1j,l;2,b,-w;2,1u,-10;1,-s,e;1,o,4;1,-14,1e;1,3,-a;1,14,-1e;1,-28,s;1,28,b;2,-t,-7;1,-1r,y;9,16,-13;1,-1,1;1,-3,-1;1,-2,6;1,a,-2;1,-4,2;1,d,-9;1,-h,7;1,0,7;1,-5,-1;1,h,-3;1,-2,0;1,1,-7;1,-4,c;1,-2,1;1,-3,2;1,-4,4;1,f,-5;1,-7,3;1,-9,-f;1,8,d;1,6,-4;1,0,0;2,0,0;1,0,0;1,-9,0;4,9,0;2,0,0;2,0,0;1,-d,-1;1,d,1;10,1,-4;1,6,-9;5,-7,d;4,-8,-a;1,8,a;7,-7,-7;1,0,0;1,-4,-2;1,b,9;1,0,0;1,0,0;2,0,0;2v,5o,-54;1,-16,-h;1,1f,7;1,a,-2b;2,-5,g;1,-x,-v;1,-c,31;1,w,-2q;7,-w,28;2,1l,-y;1,-28,h;2,2n,-j;2,-1c,5;1,3,j;3,-s,-1c;1,t,1q;1,u,-24;1,-1s,3;1,-j,2c;1,a,-2b;1,y,-i;1,-q,1v;3,11,-r;1,12,1e;1,-1c,-m;1,w,q;3,d,-2d;1,9,-2;1,-1r,20;1,-k,-25;1,g,6;1,1h,2s;1,-2e,-2z;1,b,1;1,t,19;1,-11,-k;3,1p,15;3,-1,0;2,4,-1w;1,9,-1;2,-2d,16;1,2t,-d;1,-32,i;1,6,v;1,1z,-w;1,-p,m;1,1s,-1x;1,-25,2z;1,22,-1g;1,3,e;1,-1a,0;2,1d,-g;3,-20,-y;1,1s,2q;1,-1j,-s;2,1b,-2d;j,-y,k;1,b,0;1,-c,-2;1,-1,4;1,-2,2;1,-7,0;1,l,-g;1,-f,9;1,2,-2;1,4,g;1,3,-6;1,-5,2;1,e,7;2,-t,0;3,6,-j;1,8,-7;1,d,c;9,-k,-c;1,k,c;3,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;a,0,0;1,0,0;1,-a,1;1,a,-1;1,0,0;1,0,0;1,0,0;2,0,0;5,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;5,-9,2;1,b,c;t,-a,46;1,-e,4;1,g,3;4,-4,-8;1,-2,5;1,4,-1;1,-4,-8;1,0,0;1,2,4;1,-2,-4;4,2,8;1,-f,v;1,-7,6;1,1e,-k;1,-3,4;1,6,-27;1,9,2q;2,-13,-1t;1,-n,-b;1,r,-8;2,e,1u;1,-1a,r;2,f,c;1,-6,1i;1,w,-40;1,4,-v;2,-7,3b;1,-m,-2e;2,o,v;1,b,-s;1,7,2k;1,-26,-17;2,1c,-2h;2,-o,0;2,-p,2p;1,2m,f;1,-20,-31;2,22,3t;1,-i,d;2,e,-46;3,-1q,2h;1,1i,-1d;1,-a,1g;2,a,y;1,-p,-x;2,a,u;2,-10,-3h;1,9,2p;1,8,-2i;2,0,-1;1,8,0;2,-7,-f;1,4,4l;1,12,-40;2,-1b,21;1,m,-o;1,-m,-6;1,-6,32;2,-2,-d;2,q,-4;5,-e,-2n;1,-7,-1;2,3,3;1,-x,19;6,-2f,-23;1,-2,4;1,3,-9;3,1,6;1,-b,-8;2,a,-9;6,-g,m;1,g,1m;4,-j,-9;2,-p,-o;1,13,-6;1,2d,1f;1,-30,-1o;1,1y,26;1,-21,-1i;1,11,-b;1,-17,m;1,i,-t;1,c,e;2,-v,3;1,22,1g;2,11,-4;3,-2s,-y;1,23,c;1,-21,-x;1,1q,3;1,2,o;2,-2o,-b;1,12,-15;2,o,6;2,-t,s;1,8,-3;2,-1c,w;1,27,4;1,-z,-f;1,-r,-h;1,3g,26;1,-3s,-1t;1,1p,-1g;1,-a,b;1,f,-a;1,-17,18;1,1y,-3;2,-19,-o;1,21,2p;1,-2u,-2u;1,2n,1q;1,-2f,-f;2,1v,-11;2,-7,21;2,n,8;2,-k,-13;1,12,a;n,-l,-v;2,-1l,-3v;1,1l,1m;1,-10,15;1,t,-33;1,-j,2t;2,-k,-k;1,1t,-9;1,-7,-v;3,-8,6;1,l,2h;1,-1d,-26;1,-3,q;1,1n,1i;1,-11,-4d;3,y,2t;1,-1b,b;1,-19,-f;1,24,2c;1,-16,-4e;1,-b,1m;1,n,-m;1,-i,-16;1,-15,2t;1,o,-h;1,1d,s;1,-20,-m;1,14,-w;1,1s,25;3,-2i,-1l;1,f,-1r;1,1q,25;1,2,16;2,-1q,-2r;3,-l,0;1,t,y;1,-15,s;1,1m,-2j;1,i,6;2,-g,17;2,6,d;1,-r,-d;1,q,-5;1,a,-7;1,-1,1;1,-1y,-d;1,16,-10;1,-10,u;1,1m,-19;1,-2f,2y;2,2x,18;1,-1u,-1g;1,t,y;1,2,-23;1,p,-h;2,-1,10;1,-1k,h;1,2f,z;1,-29,-1m;1,-6,-b;2,k,1h;2,1a,n;1,1,8;3,5,-z;2,-24,b;1,19,-35;a,-1b,14;1,1p,i;2w,6u,31;1,6,-a;1,-8,5;8,7,8;1,1,-d;1,-b,2;h,-1j,2c;1,-6,-2v;4,-13,q;3,10,1k;1,11,-5;1,-25,m;2,o,-1s;1,1v,x;1,7,-d;2,-2h,-9;1,i,-10;4,0,-e;1,1b,0;1,-1h,2u;1,u,-b;1,0,-14;1,0,0;1,0,0;1,-w,r;1,2c,-s;1,-13,-13;1,-1s,1t;1,20,4;1,-1p,-1;2,20,-1p;1,-j,2c;1,i,-1n;3,-o,17;1,-9,-1s;3,s,28;1,-r,-1t;1,-1k,10;1,1x,b;1,n,-o;n,-13,-37;a,0,1;9,e,m;1,g,-1m;1,-j,4;2,-11,1p;1,23,-1;1,-15,-18;2,y,-a;2,-28,18;1,0,-1;9,-c,-1h;2,21,26;1,9,-20;1,-11,1p;1,-3,d;2,-1a,l;1,2e,-n;1,-2h,-u;1,i,o;1,m,-u;1,-6,-15;1,-a,-5;1,-2,1;4,7,t;1,1,s;3,2,-8;1,1l,-b;1,-19,-h;1,-y,1u;1,1u,-d;2,-1w,0;2,q,-28;2,1b,g;t,-g,-1c;1,0,2;i,c,-1w;2,-b,d;1,d,1;2,6,1j;1,-24,-5;1,r,i;1,w,g;3,9,-1g;1,p,-1h;1,9,w;1,-2u,7;1,1m,1h;1,3,-2p;1,-16,1d;1,x,9;1,-t,8;1,4,-i;1,26,-15;1,-m,2;2,-q,2o;1,-v,-q;1,1k,-1h;1,-1,1e;4,-6,-t;1,a,5;1,-12,-h;1,-f,g;1,1b,b;2,-a,14;1,-l,9;1,h,-1o;1,-14,12;1,-p,5;1,1s,-m;2,-5,12;1,5,-2e;1,b,-p;z,1v,40;1,5,-e;1,0,0;6,7,c;1,2,-2;3,-e,-6;1,-2,9;6,-s,-15;1,3,-4;1,-m,0;1,8,z;6,j,-c;3,n,-2j;1,-g,20;2,1,-12;2,3,-1r;3,-14,2f;1,k,1p;1,0,-9;1,a,-1k;1,-8,-25;1,p,-4;4,m,3p;1,-1a,-1y;1,p,1x;1,-j,-28;1,r,-11;3,2,2z;1,-4,-16;1,-1a,-e;1,d,-i;1,n,m;1,f,-f;1,-1j,1h;2,12,5;1,k,-1e;1,-2,-4;2,-a,1d;1,d,-12;1,2,d;1,-12,-1d;1,a,-m;1,-8,-9;p,-j,3l;1,0,0;2,2l,f;1,-16,17;1,-m,2w;1,-a,-14;1,3h,20;1,-s,-o;1,-t,-1r;3,w,17;1,-28,-2l;1,1m,1l;1,12,-1b;1,-4,3j;1,-2m,-44;1,1d,-4;1,-b,3g;1,-v,-3c;1,4,-4;1,2b,33;1,-1j,x;1,-r,-3m;1,y,1a;1,-g,s;1,o,-3m;1,-1g,4v;1,2h,-3i;1,i,1;1,-2k,3l;1,22,-40;1,k,m;1,-1g,6;1,3,7;1,-3,-c;1,3,c;1,-9,34;1,-1c,-1s;1,-9,1o;1,2k,-36;1,-13,2i;1,-o,1;1,-19,h;1,3q,7;1,0,-2i;1,-1g,7;1,-1j,e;1,1t,-q;1,-2p,2z;3,49,-38;1,-1r,1g;1,-17,-19;2,-1n,2d;2,1,-2l;1,32,-5;1,-7,2u;1,-5,-s;1,l,-1v;2,-3,-1d;1,-1f,3c;1,-q,-1y;1,1b,1i;1,1m,-13;1,-12,16;1,-1n,1h;1,18,-47;2,-1j,2l;1,-9,8;1,1t,1j;1,1n,-i;1,-20,-2b;2,-5,3;1,-1c,-9;1,3a,-1r;1,-o,3a;1,-9,-2;1,-1s,-y;1,-15,-1n;1,39,25;1,-1m,-9;1,-m,-2j;1,2w,1k;1,-2s,-m;a,v,z;2,y,2o;1,-e,-1s;1,-1a,-1k;1,-t,-19;1,8,-6;1,1h,1d;1,h,-f;1,-15,41;2,18,-4k;1,6,1q;1,11,2e;1,-23,-37;1,-8,f;1,0,-1;1,4,4;1,-4,8;1,6,-i;1,-3,7;1,8,3;1,1i,17;1,-1r,-2n;1,1b,47;1,-1f,-37;1,t,-15;1,-7,-5;1,j,n;1,-2e,1;1,1,a;1,3s,16;1,-q,-4;1,-2o,-5;1,-s,1p;1,1a,j;1,p,-36;1,y,19;1,a,1;2,4,1j;1,-2p,10;1,34,-40;1,-2a,1b;1,1j,13;2,4,0;4,-3,0;1,-2l,-1s;2,4,12;1,3l,-w;3,-12,-11;1,0,d;1,-1r,-b;2,-f,33;4,k,-1x;1,2h,27;1,-45,l;1,10,-3x;1,-1,21;1,2m,1y;1,-28,-o;3,1d,-20;2,-1w,17;1,1k,-f;2,p,t;1,v,-p;1,-2q,-z;1,1r,-o;1,-21,13;1,h,-d;6,1t,2r;1,-1e,-3b;8,2,c;1,6,-1;2,-8,0;1,-1,1;1,e,-c;1,-f,5;1,2,-1;1,-7,7;1,9,-8;2,-a,1;1,4,-c;1,3,5;1,5,0;2,-3,j;1,-1,-g;1,7,f;1,1,7;2,-8,-m;2,0,0;1,0,0;1,4,-b;2,-4,b;2,3,2;4,2,i;o,-5,-a;5,-1,-5;z,1,-5;6,14,65;2,0,0;7,25,12;1,-3c,-32;1,-h,d;1,2r,1s;2,13,l;1,0,0;3,3,-5;1,-33,-1l;1,2p,1o;1,-24,-2h;2,y,7;1,-9,1g;1,-m,-1t;1,c,1j;1,-30,-1s;1,46,2p;1,-3,-l;1,-w,-n;1,-i,e;1,-27,-1m;2,1y,a;1,0,0;2,19,1o;1,-5,-8;1,-1b,-24;1,-6,q;1,-z,e;4,1l,h;1,u,-1g;1,-19,1f;2,1k,w;1,g,5;1,-2i,-1u;1,-18,-l;1,3k,1r;1,-2t,-15;3,38,2b;1,-21,-27;1,-p,-7;4,17,1m;1,w,-m;1,-2q,-1g;1,-x,-1;1,1m,-6;1,-z,o;1,3h,27;2,-21,-2k;1,t,y;1,-20,-w;2,1i,1r;1,1n,-9;2,-4g,-1v;4,15,-1;1,2e,20;2,f,-5;1,-h,-16;2,-2p,-c;1,k,o;1,35,13;1,-24,-2d;2,e,1c;1,1f,1n;1,-y,-23;5,1o,9;1,-2,5;1,2,-5;1,-5,-7;6,g,-v;1,-j,1h;1,12,-e;1,f,-g;1,-18,19;1,r,-20;1,-k,y;1,1,k;2,-g,o;2,7,-1o;1,1n,z;2,-3,-d;1,-j,-1;1,-y,1x;1,0,-2i;1,-d,24;1,-m,-25;1,2a,20;1,-1w,-2c;1,-8,11;1,1a,-r;1,h,-m;1,c,1n;1,-8,c;1,-16,4;1,b,o;1,e,-1i;1,-9,-1h;1,1a,2h;1,-1o,k;1,10,-k;1,o,-1d;1,-1b,-f;2,-7,1w;2,s,-1c;1,-c,t;1,0,3;2,m,-h;1,b,1c;1,-b,-29;1,f,20;1,-y,-27;1,-1,-8;1,c,-b;1,b,5;1,-4,2m;1,a,-1e;2,8,1q;1,-1d,-23;1,d,-11;1,-p,1o;2,d,-1q;1,1c,1k;1,-1q,-14;1,-o,1l;1,e,-1s;1,v,1h;1,-1c,-p;1,1a,-1;2,1a,-c;1,-2d,c;3,1q,-19;j,-1b,-q;2,-5,b;9,1b,-n;1,2,c;2,7,-15;2,-f,a;2,-2,-o;1,s,1a;1,-19,j;1,-d,a;1,-i,-13;1,i,1d;1,1d,-q;1,-18,-f;1,-d,5;1,1c,-16;1,8,1n;1,-1s,-15;1,1u,-f;1,-n,1d;1,-a,-1q;1,-13,1d;2,1l,-5;1,t,-19;1,-2,d;1,-f,z;1,-10,-g;2,13,1e;1,-29,-1r;1,2i,-g;1,-2f,i;1,4,9;4,e,j;3,-3,q;1,20,-a;1,-1r,-t;1,s,-4;4,-o,-d;1,g,q;1,-r,y;2,-a,-3;1,1o,-1a;1,-4,-i;1,-y,l;1,-o,r;1,1d,f;2,-16,-5;1,m,n;1,j,-1d;2,-12,j;1,1x,-s;1,-v,o;1,14,-p;1,-20,12;2,-k,-1a;2,2c,-2;1,-n,e;1,3,-g;2,4,j;e,1,-3l;1,-1,0;9,7,-h;2,d,-16;2,-c,1v;1,4,-1h;1,-y,39;2,10,-k;4,a,q;1,-11,-2q;2,h,25;2,-16,-26;1,-c,24;1,21,-10;1,-2,-2d;1,-2,3;1,-r,2b;1,c,x;1,5,b;1,-x,-p;2,x,-1x;1,-w,2j;1,2,-1j;1,-2,-f;1,11,1u;2,1,-1a;1,-1j,17;3,o,-1n;2,-e,1g;1,1a,f;2,-6,b;1,1,-1;1,-14,-1w;2,-2,2m;1,t,-e;1,0,-1;1,p,-37;1,-2,2d;1,2,-1p;1,-1g,2c;3,1,-2k;2,1d,1f;1,-11,-d;1,-5,-1b;2,n,1g;3,-q,5;2,q,a;2,-1g,-f;1,f,1j;2,q,-1a;1,-j,-x;2,d,b;1,-v,a;1,1a,f;e,-i,-3z;1,1,-1;1,4,-1;1,-1,-e;7,v,o;1,-4,-f;2,b,0;1,0,-a;1,-a,b;1,-1g,-n;1,16,m;1,a,-9;2,-1f,1e;1,1b,-1s;5,-v,18;1,j,-o;1,-17,-l;1,q,l;2,13,u;1,6,2;1,-m,-1j;1,-i,1f;1,x,-1f;1,-17,u;1,f,w;1,u,-1c;1,-y,1p;1,3,-18;1,-8,1v;2,-9,-2l;1,u,u;2,c,-19;2,-1f,e;2,1m,w;1,-1q,1e;1,g,-1y;3,z,l;1,-1,-1;1,-1,-3;2,-1b,16;1,x,-28;1,0,z;2,-1,e;1,0,-b;1,2,2;2,t,-w;1,-1b,-5;1,e,q;3,-e,13;1,-a,-12;2,3,1p;p,-1u,1d;1,3,6;9,-3,-6;1,e,8;8,-1,-1w;1,2,-3;2,-j,29;1,-e,-1e;2,3,-q;1,-n,c;1,2,7;1,i,y;1,13,-v;2,-5,-i;1,-13,s;1,f,k;1,8,-g;2,d,l;1,-1g,-1i;1,21,15;1,-i,-y;1,-1k,-f;1,k,g;1,1b,1s;2,-i,-14;1,6,0;1,-6,9;4,-5,-h;1,13,-c;1,-1w,z;1,1r,-m;1,-11,-u;1,1e,1t;1,-2a,-n;1,r,p;2,-t,-y;3,15,-f;2,-4,-5;10,5,-29;1,2,0;1,-5,3;1,7,-1;1,-2,-1;1,0,0;2,-7,0;5,7,0;1,0,0;2,-e,3;1,e,-3;1,0,0;1,0,0;2,b,j;2,-h,-a;3,-1k,p;1,11,d;1,g,-2;2,d,-9;2,h,-x;1,-t,y;1,12,-h;1,-k,6;1,-t,-b;1,-1,-f;1,-h,2;2,8,5;1,r,e;2,-l,13;1,-c,-16;1,5,-d;1,1k,k;1,-d,g;1,f,-16;1,-f,1l;1,-20,-b;1,1d,6;1,q,-14;3,2,-e;1,-c,a;1,-1,-2;1,-1i,r;1,2l,-4;16,-1r,-bs;1,-o,1o;1,1z,q;1,-1g,-z;1,-8,-13;1,-h,-d;1,23,2x;1,-f,-w;1,-j,-1v;1,-j,1v;1,-p,-7;1,23,o;1,0,0;1,-7,-1w;1,-17,-17;1,1w,2i;1,-2f,-1b;1,a,k;1,i,1f;1,q,h;1,-d,-3w;1,s,1x;1,-1l,4;1,x,-2c;1,y,3j;1,-1d,m;1,1v,3;1,4,-y;1,-2w,-1p;1,-14,32;1,1f,-1g;1,-1p,1m;1,2j,-47;1,10,30;2,-e,-1c;2,-15,-1b;1,-1p,3o;1,33,-3k;1,-1i,-1d;1,b,1o;1,1i,-a;1,a,2m;1,-z,r;2,-1,-38;1,-2,-n;1,d,3j;1,10,3;1,-2i,0;1,-m,-y;1,1j,-27;1,t,3b;1,-2u,-22;1,47,w;1,-3q,l;1,2w,g;1,-1i,-20;2,2q,2n;1,-3e,-4r;1,2q,3o;1,-1u,-w;1,-e,b;1,o,t;1,-1m,-1o;1,n,1n;1,8,-c;1,-3,6;1,4,-1;1,-3,-7;1,2m,8;1,-3n,e;1,-9,4;2,4b,-6;1,-1q,-1a;1,-1g,-o;1,-e,1j;2,-o,-1f;1,2i,1b;1,-f,c;1,-3,-14;1,-2q,25;3,24,-24;1,c,-k;2,-v,-e;1,5,1n;1,-3,-2d;1,-i,2t;1,1p,-3t;1,-d,2x;1,-24,1b;1,2e,-1j;2,-1,h;1,-2,4;1,2,0;1,-1,2;1,3,0;1,-2,-4;1,0,-3;1,-5,1;1,-1,3;1,3,d;1,4,-8;1,2,-9;1,3,g;1,2,-c;1,-d,8;1,b,-b;1,-7,9;1,3,-6;1,-9,-3;1,g,0;1,-7,b;1,1,-h;1,-5,a;1,8,b;1,-8,-b;1,8,b;1,-7,-m;1,-4,1;1,-1,d;1,3,f;1,c,-d;1,-2,-h;2,6,8;1,-l,c;1,6,-8;1,8,b;2,-h,-d;1,e,b;1,-3,6;1,b,-q;1,-5,m;1,0,0;1,-c,1;1,c,-1;1,0,0;1,0,0;1,-f,-9;1,1,h;1,g,-8;1,-2,0;1,0,0;1,-3,-c;1,3,c;1,0,0;1,0,0;2,-g,-f;1,-6,8;2,p,-g;1,-3,n;1,0,0;1,-m,6;2,e,-h;2,-8,-e;1,-6,a;2,j,-6;1,-i,-1;5,l,m;1,-d,-o;5,d,o;1,-8,-b;4,8,b;1,-8,-b;3,-2,1;1,a,a;1,-8,-b;1,8,b;1,-9,-a;1,6,-5;1,-7,5;2u,-e8,-q;17,0,0;1l,an,1n;1,d,-7;1,-c,b;m,s,-16;5,-1e,o;2,v,2e;1,11,-2n;1,1,-e;1,-t,6;1,-6,1a;1,9,-14;1,-f,-6;1,-s,26;1,2,-k;1,-9,-1g;1,18,-o;1,-e,14;1,t,-c;2,-13,1r;1,b,-c;1,-p,-n;1,5,1m;1,l,-1;1,-3,-1o;2,-c,1;1,c,-1;1,7,13;1,-7,-2d;2,d,1c;1,-1f,-2;1,1b,1b;1,d,m;2,-p,-2q;i,v,-8;6,3,5;1,1,-8;3,-3,-d;a,d,-1y;1,2,-2;1,5,-1;2,-4,-6;1,1,0;1,-1,7;d,-12,16;1,15,-3r;1,-1,-1;1,-4,-b;3,i,b;1,-h,1z;1,-i,-3;1,-5,1v;1,-d,-30;1,-5,1c;1,1b,-2p;1,-g,4h;1,1,-3;2,-3,c;1,-2,-50;1,u,3g;1,-q,-2j;1,-5,24;1,w,10;1,-12,-29;1,8,1q;1,j,-3v;2,-18,31;1,22,-1y;1,-22,3k;1,14,-2v;1,7,-26;1,-z,2w;1,r,f;1,-n,1;1,1g,-22;1,-14,1c;1,m,-15;1,0,2h;1,5,-8;1,-8,-12;1,-f,-1b;1,-1g,4y;1,e,-29;2,1w,-1g;1,-2b,2v;1,1r,-2s;1,a,26;1,-1d,-7;1,-w,17;1,1l,-3o;1,13,-21;1,-1i,4b;1,-j,v;s,3q,-2q;j,7,2;2,-j,-3;2,-4,-k;1,s,-5;1,-n,-4;1,-i,-k;1,13,-j;4,-x,20;6,1k,-2e;1,-f,2i;2,-15,-o;1,1k,-24;2,-17,1d;1,-i,-18;1,1n,3c;1,-11,-1f;1,-4,-n;2,o,0;1,-1q,v;3,2c,-q;1,-2h,a;3,2n,1i;1,-8,-p;1,-j,-2o;1,-1f,2f;1,f,-1n;1,2b,23;1,-2p,-s;2,t,-21;1,1j,2k;1,-26,-2t;1,1g,3h;4,-1v,-28;s,3p,4o;1,0,-2;1,0,-4;2,-6,2;1,4,c;a,d,-1w;1,t,-l;1,-1k,1d;1,1y,-7;1,-22,11;2,1y,-1i;2,-2e,-g;2,1i,c;1,-9,16;1,r,-w;1,-z,-8;1,-a,2e;1,z,-2t;2,-15,2i;1,-r,-m;1,u,-d;1,6,10;1,-5,-2k;1,f,2u;1,9,-1l;2,1,-d;1,-19,13;1,1b,-a;1,-1n,-y;2,20,-y;1,-1a,x;2,1a,h;1,-2b,m;3,1u,a;1,-d,-m;1,-r,-1c;1,-f,17;1,v,1v;1,1x,-1n;1,-g,w;1,-17,-18;1,w,d;1,-2n,a;1,11,-14;1,-r,e;2,29,13;2,-s,-1b;2,-w,-w;1,2a,1t;1,-2v,-1c;1,17,1g;s,f,-46;1,b,a;u,-1d,-z;2,28,a;1,-2b,r;3,o,14;2,c,-22;1,j,5;1,o,18;1,-1d,-1r;1,1k,-v;4,-h,i;3,-9,a;1,-i,1p;1,-n,7;2,1v,-27;2,-1p,1i;1,2,-1g;1,-f,1p;1,19,16;15,h,-67;u,-g,11;1,n,j;1,-a,-5m;4,-g,-q;1,y,6a;1,-o,-39;3,3,n;2,-a,x;1,l,-7;1,9,-4v;1,-a,21;2,-r,14;1,y,2o;1,9,-i;9,-19,-20;15,-2,fw;1,5,-7;1,k,e;1,-3,a;1,4,-9;1,-1,5;2,-28,5;2,-c,-1e;1,h,1l;1,5,0;1,1,2;1,0,7;1,c,-1;1,11,s;1,-m,-f;1,2,-1;1,-6,1;1,-2,-2a;1,b,1l;1,1i,-6;1,-2l,-2c;3,-r,-2;1,2z,37;1,-2u,-2f;1,2w,1k;1,-29,-1n;1,18,2s;1,-l,-3v;1,-q,2j;1,r,-1k;1,i,h;1,-q,2f;1,-e,-1a;1,i,-1n;1,-r,z;2,3,g;1,2l,18;1,-2o,-i;1,h,-1k;1,f,-w;1,-1c,b;1,d,1c;1,28,19;2,-1q,-16;1,1g,9;1,-1g,-1r;1,12,2i;1,-h,-1w;1,1,1k;1,14,-1d;2,-z,-1c;1,-10,-p;1,r,25;1,x,11;1,-1m,-2s;1,d,24;3,-d,3;1,2,2;1,-b,-1d;2,1a,1l;1,-1m,-r;1,3b,1v;1,-1w,-11;1,-k,-30;1,4,0;1,-7,0;1,5,0;1,0,-1;1,-12,14;1,28,2o;1,-z,-26;1,q,1p;1,1d,a;1,-13,-1j;1,-18,-11;g,-7,2b;1,b,-c;1,0,-1;1,0,5;1,-6,-2;1,a,-2;1,-9,-3;1,5,n;2,3,-g;2,-3,4;2,-2,-3;1,5,3;1,-1,6;1,7,-5;2,-a,-9;1,0,2;1,0,-6;5,a,4;1,-8,-4;1,-1,i;1,-2,-2;1,b,-9;1,-i,-a;1,0,3;1,-1,f;1,7,6;1,-2,-a;1,-4,-3;1,-3,2;4,b,-a;4,-5,e;1,2,4;1,3,-i;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;2,0,0;1,g,7;1,-g,-7;1,0,0;1,-6,-5;a,6,5;1,0,0;1,1,4;1,0,0;a,0,0;1,-9,5;1,0,0;2,9,-5;1,0,0;2,0,0;3,0,0;1,-1,-4;1,1,4;2z,1c,2d;t,-m,-d;1,m,x;1,-a,-s;1,r,c;2,i,o;2,-29,-1c;1,6,1x;1,1y,-m;1,-19,-f;2,-7,a;1,x,9;1,-f,7;1,1,3;1,-g,-5;1,-m,-3;2,u,-l;1,-6,-3;2,-s,-c;2,1y,u;1,-5,-1;3,9,0;1,-23,3;1,29,3;1,-1x,-1d;1,0,9;1,1s,1c;1,-21,-m;1,b,-g;1,8,7;1,2,-3;1,-k,n;1,1x,-s;1,-c,17;v,-2z,-28;1,5,j;1,-2,-3;i,5,-1x;1,-d,11;1,0,1a;2,-1e,-16;1,s,9;1,r,1q;1,-f,-22;1,14,0;1,-2b,-1;1,x,-t;1,-h,u;2,1e,16;1,-p,c;1,r,-1l;1,-z,-x;1,7,p;1,f,1m;1,-15,-c;1,1u,d;1,-28,-1t;2,2k,2d;1,-13,-2e;1,j,1f;1,-m,-1t;3,0,1c;1,h,1f;1,w,-e;2,-q,-13;1,-1e,p;1,z,-21;1,w,3f;1,-f,-2b;1,-10,a;1,-1,-1b;1,-d,p;1,-b,1o;1,1d,-18;1,f,1l;1,-1,-6;2,5,-v;1,-y,-l;1,-c,p;1,2,e;1,11,u;1,-1q,-13;5,1y,-p;o,-2v,-p;1,0,-1;j,-s,1w;1,p,-1o;1,-1v,6;2,b,-1f;3,13,15;1,x,g;1,-1s,-2k;1,1a,m;2,-1u,1;1,13,-8;1,-d,-9;1,b,2x;2,-6,-2c;2,1,1f;2,-g,-15;1,-4,1m;2,1h,7;1,-2,-b;1,0,1;2,-u,1r;3,1l,-u;1,-13,-1x;1,k,l;1,-1u,-p;1,l,-m;1,-e,1h;1,h,19;1,16,0;1,-n,-1r;1,19,11;1,-2i,d;1,1x,p;2,-a,-23;2,-14,12;2,3,-1i;1,15,-e;1,-e,36;1,-i,-3z;2,a,3b;2,1,-27;1,2,36;1,m,-19;n,4z,-4u;1,0,-6;2,3,9;q,-l,-11;1,s,d;1,d,-2;1,-n,1g;3,a,-20;1,-o,29;3,0,-2m;1,s,24;2,-f,-1w;1,-d,15;2,q,-s;1,2,11;3,-y,s;1,-3,-12;1,v,1e;1,-a,-1t;1c,-7f,2l;1,-9,j;i,-8,-h;1,4,k;1,1f,3g;1,-15,-32;1,12,3a;2,-11,-3o;1,3,w;1,1,30;1,9,-46;1,-j,-h;1,-6,-e;2,-1,7;1,i,5e;1,1,-1x;1,-d,q;1,b,9;1,-a,-1n;2,-f,2e;1,2,-4t;2,l,2d;2,-c,1z;2,-c,-4c;1,12,0;2,-h,3s;2,16,-1;1,-1d,-48;1,r,42;1,-5,-5;1,-a,-o;3,1,-x;1,b,v;1,-d,i;3,-1,d;2,7,8;z,3e,-5h;1,3,3;2,6,0;e,-h,q;2,-18,-2;1,-1,1;3,36,-j;1,-2w,19;1,b,-1a;1,-2,1i;2,1h,-d;1,-y,-k;1,-q,-17;1,2k,8;1,-y,1s;1,n,-1e;2,-3k,p;1,2k,i;2,-9,13;1,1,-22;2,-1t,h;1,5,-e;1,l,h;1,13,21;3,-i,-1f;1,-b,-z;1,b,1q;1,z,-2p;1,-v,5;2,1,r;1,13,-o;1,-3d,l;1,2y,-15;2,9,2f;1,6,-o;4,-1,-d;1,-2h,-e;1,18,0;1,-b,u;1,u,-d;1,10,-f;2,-2o,t;1,c,-19;1,1c,1;2,1r,1;3,-2g,-8;2,y,2l;1,y,-2n;2,-18,2a;1,-9,-13;h,j,63;1,-a,-4;s,-5,-v;1,1d,3;1,-1h,p;3,-k,-13;1,18,l;1,-1j,7;2,-9,-2;1,k,0;1,v,-q;1,-10,-8;1,j,-c;1,5,9;1,1a,k;1,-l,10;1,-14,-6;1,15,-c;1,-22,-9;2,1d,5;2,-9,6;1,13,8;1,4,-p;1,-10,b;1,-1r,-3;2,23,7;1,1k,0;2,-r,-10;1,-34,17;1,4q,-7;1,-d,4;1,-2v,-j;z,-5k,-5q;1,d,j;4,-c,-n;1,3,0;2,v,b;1,-s,-b;1,-8,-1;2,h,l;1,-z,-a;1,d,-j;1,0,0;1,-d,j;2,k,-k;1,25,17;1,-2,3;1,-1x,-1o;1,3,12;1,2,-4;1,0,5;1,-6,3;1,j,-16;1,-h,5;1,1,8;1,-f,17;2,-1,f;1,11,-1c;1,-b,7;1,-1,7;2,-10,-5;1,9,-j;1,0,5;1,5,w;1,-4,-2;1,4,-4;1,-6,8;1,9,-7;1,-4,4;1,0,-1;1,0,0;1,5,4;1,-5,-4;1,-f,-11;1,-5,0;1,-5,-2;1,9,3;1,-g,-4;2,1e,g;1,-4,-c;1,14,r;2,-1t,-n;1,3,0;1,2,-1;1,7,1;2,k,-6;2,-a,3;1,g,3;1,2,y;1,0,0;1,0,0;3,-h,-6;1,0,-6;1,26,5;1,-21,-12;1,g,r;2,-r,5;1,-2,4;1,4,2;1,-m,-9;2,0,0;1,p,8;1,-7,q;1,-5,-b;1,3,0;1,1z,-6;1,0,0;1,0,-1;1,-1p,-h;1,-2,h;3,y,-4;1,-z,c;1,-5,-1b;2,-1w,v;1,-h,7;1,15,21;1,8,-2w;1,-t,1j;1,t,-1l;3,-1o,1i;1,a,-6;4,1i,2;1,-3,-15;1,6,-4;1,4,2v;1,-a,-16;1,-r,-w;1,0,-1;1,24,l;2,-1e,-18;1,-t,2d;1,m,-1t;1,n,k;1,-7,1v;5,q,-1n;2,-w,-14;1,19,1i;2,-18,-1v;1,e,d;2,-b,2z;1,-2,-2s;1,-9,16;1,-u,7;1,-c,-1;2,1a,-1i;1,-m,1y;1,-k,6;1,1o,-1o;1,5,-2;1,-24,g;1,12,-l;1,-w,z;1,14,-1c;1,-t,z;1,7,y;1,g,-x;1,2,6;1,h,-h;1,a,s;1,-2,9;2,-1n,b;1,2k,-n;1,-1w,-1h;1,1r,14;1,-1r,-1c;1,-1,k;1,10,1z;3,-d,-1v;1,1a,t;7,-x,-n;1,0,5;1,7,1;3,-6,0;2,3,-m;2,j,16;c,-h,-18;1,-1,-1;1,-3,0;1,5,2;1,3,1;1,0,1;1,-4,-6;1,-4,-1;1,a,1;1,-8,9;1,-4,-h;1,5,4;2,4,c;1,-6,-1;1,-5,-4;1,1,c;1,d,-2;1,-4,-b;1,6,-5;1,-6,7;1,-4,1;1,2,3;1,-8,-9;1,f,5;1,-7,2;1,-2,9;1,6,0;1,7,-i;1,0,7;1,-2,4;1,-m,-9;1,4,-3;1,m,-2;1,-9,5;1,-e,-8;1,-3,4;1,m,h;2,6,-8;1,-r,1;1,a,0;1,e,5;1,2,-b;1,-b,1;1,-3,6;1,3,-a;1,f,8;1,-x,-g;1,d,h;1,f,0;1,8,-1;1,-w,j;1,r,-m;4,-f,-6;2,-3,a;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,1,-2;5,-1,2;2,0,0;6,0,0;1,0,0;1,0,0;1,1,-2;1,m,-3;e,-n,5;2,0,0;7,1,-2;2,-1,2;1,0,0;2,0,0;5,0,0;3,j,-2;3,-j,2;8,-a,h;2,a,-h;3,0,0;1,-1,-8;2,1,8;1,-1,-8;1,2,7;9,0,-1;1,-1,2;1,0,0;1,0,0;1,0,0;1,2,1;1,-2,-1;1,0,0;3,g,-1;1,-f,-1;3,-1,2;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;4,1,-9;1,0,7;1,0,0;1,-1,2;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,1,-2;1,-1,2;1,0,0;3,16,1t;1,-9,4;1,c,4;1,-g,-3;3,a,-16;2,i,-6;1,-1l,2o;1,31,-1;1,-2,1a;1,-15,-2u;1,j,-p;1,-e,1t;1,l,13;1,-m,j;1,b,-2r;2,-1a,19;1,1e,4;1,-1b,-p;1,b,-r;1,5,-i;1,1k,2a;1,-p,1g;2,-11,-2e;1,-1,0;2,-n,18;1,11,-j;1,-r,-d;1,u,16;1,b,0;1,e,d;1,-14,-k;1,u,-1q;1,2,-l;1,-1y,1h;1,1j,9;1,-q,-20;1,u,q;1,-22,1j;2,2f,-z;1,g,-l;1,-1a,w;1,c,-f;1,-1,1d;1,-17,z;1,14,-36;1,-13,v;1,t,-1r;1,-b,4g;1,-1,0;1,1,-p;1,7,-2z;1,t,-13;1,d,36;1,0,-2;1,2,7;6,-b,a;1,-f,-18;1,j,4;1,-1k,14;1,-f,-1e;1,2g,10;1,-2g,-1o;1,1m,-c;1,n,a;1,-h,15;1,-10,14;1,17,-2t;1,-1k,37;1,s,-h;1,-k,-m;1,1,-1;2,m,-2e;1,14,26;1,-17,1r;1,1b,-2r;1,-s,-18;1,-a,e;1,a,-b;1,4,19;1,-13,2h;1,-q,-g;1,1g,-3k;1,-7,1c;1,-17,1i;4,1c,3r;2,6,a;1,-4,3;1,3,-2;2,-3,2;17,c,-2d;1,-18,22;3,16,-1r;1,-1k,1t;1,g,8;2,b,-29;1,r,p;1,-x,r;1,z,8;1,-1m,2;1,5,-b;1,-d,9;1,8,j;1,m,-1a;1,h,m;1,-f,-11;1,o,1l;1,3,-w;1,-s,-w;1,-2,1p;1,k,-b;1,-2,-t;p,9,1e;2,-2j,-1w;1,-5,2;1,-4,0;1,a,-9;1,2,2;1,-5,4;1,1,-4;1,6,-7;7,-6,7;f,y,k;1,-1o,c;2,-a,b;3,2f,-1b;1,-2k,x;1,2l,-p;1,-26,1o;1,1g,-1k;1,-12,c;1,-2,14;1,-y,-k;1,1x,-1n;1,-c,c;2,-4,-8;3,-5,14;1,f,6;1,-19,-v;1,-6,-2;1,-2,5;2,2h,d;1,-l,p;1,-1p,-1i;1,v,28;1,7,-1s;1,4,1j;1,-o,-1v;1,1,-3;3,-4,-1;1,-14,4;1,2q,h;1,-2h,g;1,1d,i;1,1,-1;1,-2,4;8,-1g,-12;1,-9,9;1,y,-v;1,1i,i;1,-1g,-k;1,9,2e;1,1o,-2f;1,-29,0;1,14,20;1,-11,-1y;2,f,y;1,j,1a;1,2,-20;1,b,1g;7,-w,-2n;1,3,-2;1,-8,1;1,9,-b;1,1,s;1,6,-k;1,-e,e;1,c,-2;1,-b,-j;1,4,9;1,0,1;1,6,1;1,0,0;11,-h,n;1,-5,-26;1,3,5;2,j,f;1,l,1j;1,-w,-1f;1,-j,r;1,f,-l;1,-m,c;1,-o,1l;2,15,-1i;1,-g,-d;1,-g,11;1,23,-7;1,-1w,-5;4,k,-w;1,z,j;1,-1z,a;1,2f,-j;5,-y,-s;1,-1a,r;1,b,15;2,a,-1e;1,20,g;1,-2j,16;1,-8,-9;3,2,i;1,s,-k;1,16,-1h;1,-v,16;1,p,b;5,b,-1;1,-h,-g;1,0,0;2,-1t,-y;1,0,0;1,0,-2;s,-z,-y;1,1j,2;1,-1x,5;1,-1,2g;1,6,-z;3,h,-2d;1,g,1w;1,9,-1o;4,-o,20;1,-17,y;1,u,-31;1,-3,2w;1,17,-3a;1,-11,2e;1,-q,-1a;1,-8,12;1,-8,-g;1,2i,-2;2,-u,-c;1,-12,1o;2,j,b;1,1e,-38;1,-q,2;1,g,12;1,-2d,1k;3,9,v;f,29,-29;2,-5,i;2,5,-i;2,0,0;f,-1l,3b;1,9,-b;1,-8,j;1,7,-q;b,-1,a;a,r,-z;1,-12,a;2,-1i,3d;1,1p,-19;1,4,m;1,-p,3;1,-8,v;1,-18,-h;1,x,-2k;1,2h,1k;1,-2d,-11;1,1l,d;1,-1p,4;1,e,-16;2,g,4;1,-12,y;1,2c,-18;1,-u,1a;2,19,-c;2,-1d,22;1,-4,-26;2,-15,1l;3,2z,-6;2,-3k,g;2,2q,-1f;1,-l,1k;1,-1f,-2s;1,1s,z;1,e,-b;1,-a,-5;1,7,-3;1,5,7;1,-2g,2f;2,14,-n;1,j,-2d;3,9,1y;1,j,g;1,n,-s;1,-6,-f;1,-13,-1i;1,-19,36;1,1a,-20;1,-20,a;1,12,3;a,-12,-3;b,55,-7l;1,0,7;1,b,-f;1,0,c;1,3,-i;1,1,l;1,-1,-l;1,-7,-v;1,-q,13;1,s,d;1,4,-2;1,-1,-3;1,-3,-1;1,-2,5;1,-1,-4;1,0,-6;1,-3,3;1,-1,7;1,9,-2;1,g,-17;1,-5,14;1,-2,-1;1,n,-18;5,-1h,s;3,-i,-2;2,0,-8;1,1i,q;1,-10,-1b;1,5,p;3,s,t;1,-3,-2;1,-1m,s;2,-2,-2m;1,k,n;4,-1,-o;1,3,4;1,-i,1j;1,1u,a;1,3,-q;1,-e,g;1,4,0;1,-1y,3;3,v,-p;1,-8,7;1,p,c;1,-d,2;2,7,5;1,-s,b;1,i,4;1,r,-2p;1,6,-f;1,0,0;2,-1i,19;1,22,h;2,7,-l;4,-28,-1;1,25,n;4,-8,-k;2,-1i,1l;1,y,-1s;1,-2,-4;1,0,a;1,a,-h;4,a,1z;1,-1y,-m;1,1g,8;1,7,f;1,-7,-f;1,-n,-3;1,10,-o;1,3,1c;2,-g,-l;1,-1,-4;1,-1,7;1,-2,-6;1,-1,5;1,8,-9;1,-6,-3;1,4,-b;1,-8,c;1,1,4;1,7,4;1,-3,8;1,2,-7;1,1,-a;1,-a,6;1,4,-c;1,9,i;1,-1,7;1,-b,-7;1,7,9;1,1,-b;1,0,0;1,-e,-8;1,e,8;2,-d,-p;1,9,m;2,4,3;1,0,0;1,9,-5;1,-j,-7;1,-2,3;1,0,5;1,h,-c;1,-5,g;1,a,0;3,-p,2;7,f,-2;1,9,4;2,-9,-4;5,5,o;6,-5,-o;1,0,0;1,0,0;1,1,-6;2,-3,1;b,j,3;2,-3,-c;1,-7,l;1,-7,-7;1,b,8;3,-b,-8;5,-3,-4;1,3,4;1,0,0;1,0,0;2,-4,-3;1,4,3;1,0,0;1,0,0;1,0,0;2,1a,g;1,0,2;1,-2,-2;1,0,1;1,-2,-1;1,-2,-2;1,6,-3;1,-2,c;1,2,-5;1,-9,4;f,n,-1q;1,-q,1h;1,i,h;1,u,-39;2,-3,w;3,0,2m;1,-w,-1v;4,q,i;1,4,-j;1,b,16;1,-4,c;3,-1w,-o;1,2i,18;1,-16,-1r;1,-y,g;1,-e,6;1,y,-2;1,11,5;1,2,-1f;1,0,11;1,-4,5;2,i,-16;3,-17,27;1,-j,-y;2,1s,-1u;1,-28,21;1,19,-o;1,q,1p;1,1,-20;1,-12,12;1,2,-l;1,p,1q;2,-i,-2s;1,2,2e;1,3,-w;1,g,z;q,-1v,-z;2,2k,-3j;1,-5,1;3,e,a;1,-5,-c;1,-4,2;1,-5,-4;1,3,0;1,-3,-5;1,c,7;14,-16,-b;1,b,13;2,16,-y;3,-2,13;3,-3,-22;3,-1l,-1p;1,1p,1e;1,-q,25;1,0,-18;1,c,3;2,-8,-e;1,-15,-c;1,1,-1y;1,-r,2h;1,2m,-14;1,-25,14;3,1t,1f;2,-10,-n;1,-6,-28;4,1k,-4;1,1,3;3,-2c,-14;1,q,3f;c,-3s,m;1,0,1;m,1h,-1y;2,18,35;1,-3,-1p;2,-1b,-r;1,3,-1u;1,1o,48;1,-49,-2v;1,1e,26;2,-2,-26;1,-12,1t;1,1d,-29;2,o,2y;3,-1z,-1w;1,o,-1m;1,-4,1s;1,h,-2;1,-j,m;2,v,-1a;1,1g,1b;1,i,-o;2,-3q,l;1,27,1;1,-x,-w;1,-11,s;2,b,12;1,3j,-f;1,3,-m;1,1,-b;1,-2v,c;1,r,17;1,3,-1b;1,1,-23;1,-g,2s;1,5,-1k;1,-h,2a;1,-s,-1g;1,12,-25;1,a,1h;1,-y,-w;1,1b,29;2,-1v,-1n;1,1u,r;1,-l,1q;5,1r,-29;2,h,-1d;1,-15,2g;1,a,17;1,g,-k;1,-6,m;3,-1,-h;1,b,-2v;a,-5i,4s;1,-2,-6;1,-2,7;1,4,-4;1,0,0;3,-5,-d;3,-o,6;2,r,-4;5,-i,z;1,8,g;1,-c,-2;2,z,-2n;1,-15,1u;1,1g,-1;1,d,-25;1,-e,1b;1,-1d,-k;1,1p,-5;2,-1w,12;1,2m,-1u;2,-1r,1q;1,-h,a;3,-7,-k;1,23,-q;1,-1b,-g;1,3,s;1,0,0;1,-8,5;1,8,1;1,1,-b;1,-2,6;1,0,0;1,1,-1;1,-9,c;1,-2,-n;1,6,-y;4,-8,2a;2,-q,1c;1,1g,-1h;1,a,-n;1,-r,5;2,10,4;3,-o,k;1,1b,-2q;1,-j,y;1,-2a,2q;2,u,-l;1,d,o;1,-e,-1j;2,-d,2;1,-p,a;3,4,n;1,-2,-b;1,1n,0;h,l,-1f;1,0,0;1,0,0;1,8,7;m,16,1u;1,-3,-g;1,z,18;1,-1j,-k;2,16,t;1,3,-1v;1,-6,15;1,-2h,t;1,h,-1k;1,1u,p;1,-1w,-b;1,10,-l;1,c,-m;1,-5,2e;1,16,-1o;1,-15,-1j;1,-j,16;1,y,1w;1,-n,-14;1,10,y;1,-1d,p;1,-8,-1w;1,14,-i;1,f,q;3,-h,w;1,d,-30;1,2,2t;1,j,-1;1,-8,-1u;1,-27,2k;1,16,-14;1,-w,-l;1,-m,h;1,p,-x;3,1c,1e;1,-1q,0;3,p,5;1,12,-28;1,a,22;1,-z,14;3,1b,-1a;1,-d,-1o;2,-q,1v;3,a,-5;2,-k,d;1,t,m;1,-24,-l;1,1z,10;1,-14,-1f;2,m,-h;1,-10,b;1,13,1b;1,-y,4;2,p,-2r;1,14,-q;1,-s,1q;1,j,-m;1,-i,2l;8,-o,-20;1,0,0;1,0,-6;1,3,8;1,6,2;1,-c,-2;1,3,-4;1,3,-2;2,-4,-1;1,-2,4;1,-1,-8;2,4,3;1,0,0;1,0,0;27,-8,-4;2,8,4;1,0,8;1,-1,-4;2,o,-53;1,1,7;1,-5,-3;1,3,-e;g,-2s,4;1,2q,-2j;2,0,28;1,-1s,1w;1,4,-2e;2,11,l;1,1c,-d;3,-3m,u;1,s,u;2,2d,-25;2,-17,-h;1,-i,-o;4,-13,-o;1,9,2o;2,1h,1j;1,a,-2j;3,-1v,-7;1,-14,-k;3,2c,11;1,-a,2q;1,-1i,-3a;1,2h,-1e;1,-2b,2d;1,3e,q;1,-24,-1p;1,-t,-k;2,1y,-14;1,-j,1a;2,f,2y;1,v,-43;1,-12,m;3,-1p,2h;1,23,1d;1,-y,-12;1,0,-p;1,k,-l;1,-2v,-20;1,39,7;2,-1c,3l;1,1k,-1n;2,-p,2s;2,x,-3r;1,-43,-o;1,3y,10;1,-2g,1z;1,1p,-3y;1,-1c,31;1,1n,-1a;2,8,29;b,-j,-4m;1,-2,4;1,1,0;1,-5,-4;1,4,9;1,0,-5;2,-3,4;1,3,-4;l,-u,-23;2,q,-z;1,1a,3g;1,-p,-11;1,-14,f;1,-10,-7;1,1d,1e;2,-b,-1e;1,k,1a;1,-h,-1x;2,-1k,-16;2,3a,21;4,f,-i;1,-45,6;1,3k,-11;2,-a,1z;2,-17,g;2,6,-i;1,s,-15;17,-54,f1;1,-5,-5;1,-1,2;1,-3,-2;1,0,-7;1,2,4;1,3,-1;1,3,-1;1,-1,4;1,-4,1;1,-1,5;1,-3,3;1,7,5;1,k,-n;1,-j,r;1,7,-b;1,-h,4;1,e,-h;1,-8,2;1,3,a;1,-8,-5;1,d,-2;1,-b,6;1,5,-k;1,-8,9;1,b,a;1,-6,-c;1,9,g;1,-7,3;1,-6,-e;1,-4,-e;1,s,l;1,-r,-1;1,-3,c;1,1,-r;1,5,-5;1,j,f;1,3,-5;1,-1,b;1,-4,-k;1,-1,-5;1,-c,2;1,7,0;1,5,10;1,-n,-o;1,a,1;1,-a,6;1,0,3;1,j,g;1,8,-a;1,-o,-9;1,a,1;1,-g,-a;1,9,6;1,b,-a;1,-6,3;1,0,-2;1,-h,13;1,3,-1;1,x,-t;1,-q,c;1,-a,f;1,g,-13;1,j,-4;1,1,-5;1,3,c;1,-1,4;1,6,-4;1,-2,-3;1,-1,-6;1,-x,6;1,5,-7;1,w,i;1,-x,-a;1,-7,p;1,o,-c;1,-b,-m;1,a,y;1,-8,-y;1,5,8;1,-b,4;1,1,-f;1,-3,-2;1,f,-1;1,-m,i;1,u,-1;1,-n,j;1,j,-f;1,-t,n;1,17,-n;1,-h,1;1,-2,-3;1,3,d;1,-9,-11;1,c,6;1,-m,g;1,9,d;1,-2,-5;1,-7,-i;2u,9,n;1,7,-7;1,-7,7;1,7,-7;1,0,0;1,0,0;1,0,0;1,-7,7;1,0,0;1,0,0;2,0,0;1,7,-7;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-j,0;1,0,0;1,j,0;1,0,0;1,-d,-a;1,d,a;1,-7,7;1,0,0;1,7,-7;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-g,j;1,g,-j;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-8,7;1,8,-7;1,-7,-8;1,7,8;1,0,0;2,0,0;2,0,0;1,-8,7;1,-8,0;1,g,-7;1,0,0;1,0,0;1,0,0;1,0,0;1,-9,a;1,9,-a;1,3,j;2,-a,-c;1,0,0;1,0,0;1,7,-7;2,1c,-2;1,-9,9;1,g,-1;1,-6,-g;1,-3,f;1,-6,9;9,-14,-e;1,1h,-q;2,8,f;2,15,-6;5,-27,16;1,1a,10;1,-j,-k;1,7,-h;3,k,8;1,3,1c;1,-t,-36;1,17,13;1,-g,16;1,-1j,-f;1,6,-1d;1,-c,w;1,6,a;1,1m,-14;1,7,3;1,7,-5;1,-6,5;1,0,0;1,-1x,t;1,-3,9;1,0,-9;1,20,-t;1,0,0;1,e,1x;1,-i,-4;2,-1b,-2d;1,2,k;1,-7,-j;1,s,3;1,-s,1f;1,12,-p;1,h,e;1,b,k;2,-1u,-1l;1,e,-h;1,1a,1q;1,-1s,-4;2,21,-d;1,-14,1k;1,1,a;2,4,-q;1,-r,-k;1,-i,-i;1,x,22;1,-v,-2q;1,10,2m;1,-11,-2s;1,12,n;1,-14,-8;1,a,6;1,3,-3;1,4,-3;1,-d,b;1,f,-7;1,-4,6;1,-6,1;1,-1,0;1,-7,-5;1,5,-4;2,-2,9;2,p,-4;3,-12,k;3,2f,13;2,-34,-1n;1,d,3;2,-2d,-1i;2,1u,h;1,2,7;3,v,3;1,-q,a;1,-e,-2d;1,l,25;1,-2k,-o;1,8,i;2,1i,-n;1,1d,-s;1,-33,3;1,13,p;2,-n,12;1,27,-13;3,11,-p;2,-41,6;1,3h,1h;1,-1w,-6;1,-d,-c;1,-b,-13;1,2a,1f;1,-u,-1s;1,-b,m;1,-6,-c;1,-l,-3;3,-v,d;1,2b,o;1,-o,-1n;1,-d,u;1,-2,16;1,24,-u;1,-1,8;1,-1,i;1,-1u,-s;1,16,z;1,-8,1;1,-u,-r;1,1o,-x;1,-2b,u;1,w,-k;1,-17,-h;1,-g,v;1,-q,c;1,p,-q;1,1r,1x;1,-g,-2d;1,0,1k;2,-x,8;1,1f,-m;1,-2f,-p;1,32,l;1,-1p,-d;1,-3,n;1,11,i;1,-2,-2d;1,2,26;2,p,-u;1,-2,-6;1,-t,-1f;1,j,1x;1,-6,15;1,0,-4;1,-4,0;1,-1i,-9;1,17,c;1,-19,-v;1,-j,-1;1,3g,-3;1,-17,-c;1,-1e,12;1,1c,4;1,-u,-1a;1,s,1m;2,j,-v;1,0,0;1,8,-1;1,-d,0;2,-l,7;1,9,k;1,2,-9;3,5,18;1,-1,1;1,1,4;1,-4,-3;1,0,4;1,5,-5;1,-8,f;1,-5,-6;2,-h,4;1,1,-i;1,1,1;2,o,1t;1,-1c,-2e;1,-1,2;1,k,t;1,e,f;1,20,12;1,-1c,-10;1,2,0;1,-3,-1;1,3,c;7,2,-r;1,-24,-r;1,2h,y;1,j,16;1,-2g,-1y;1,26,1a;1,-x,-o;2,w,1j;1,-1i,-1a;2,-16,-v;1,-9,-2;3,1m,-a;1,-1,r;1,m,-5;2,-l,4;1,-n,15;1,-2,-4;1,-6,-b;1,b,e;1,-b,-g;1,b,g;5,1j,l;1,r,-e;1,-w,-v;1,-1d,5;1,29,z;1,-1r,-13;1,-1c,-15;2,x,1b;3,w,-8;1,-2,3;1,-f,-8;1,-1,4;1,1m,w;2,-2a,-1j;1,k,-6;2,12,1a;1,-t,-12;1,1d,1n;1,-1r,-25;1,c,d;1,22,27;1,-1y,-1f;1,8,-j;1,-f,-2;2,-b,x;1,-1,-7;1,-6,j;5,1h,c;1,-u,-1a;d,1a,3n;1,13,-g;1,-14,-11;1,s,1p;1,2,-w;1,q,-b;1,-2x,-u;2,16,1k;3,-7,-14;1,-w,-b;1,35,8;1,-v,2;1,-h,18;1,-n,-b;2,3,-16;1,7,1j;1,2,d;1,9,-a;7,-c,-2;1,-j,-a;1,-2,-h;1,7,k;1,4,6;7,-1h,-2a;1,1j,21;4,-p,7;1,1n,-u;1,-4,-3;2,-d,-f;1,1d,k;1,-2e,-m;1,11,13;1,11,-19;1,8,4;1,-26,7;5,v,w;v,-6,-8;1,2,-3;1,2,1;1,1,-3;1,-a,3;1,7,-4;1,-2,-2;1,7,2;1,0,2;1,-5,4;3,0,-g;7,0,g;5,0,0;1,2,-9;23,1g,-62;1,3,3;1,3,-3;2,-4,3;1,2,-3;1,0,-b;1,f,h;m,-s,v;1,h,5;2,-1h,-19;1,-1,0;1,1,-j;1,z,-c;1,19,4;1,-12,-a;2,0,1a;1,-3,-2;1,8,-1;1,0,0;1,0,0;1,-e,2;5,28,x;2,-2g,-25;1,-7,-6;2,28,1y;1,-g,-14;1,-m,-k;2,9,e;2,-e,1d;1,6,-h;1,-14,-u;1,1k,1t;1,s,-x;1,-26,2;1,s,-y;1,-11,1e;1,-1,0;1,1y,-11;1,2,v;1,-e,3;1,-z,j;2,3,-6;1,0,7;2,-e,-1n;1,-6,-6;1,-9,w;1,l,-8;1,11,-9;j,-5t,-1p;1,c,-a;1,-c,a;1,6,0;1,-c,-3;19,-z,i;1,p,-4;3,18,-13;3,-e,1r;3,-p,-1n;1,g,2i;1,h,-g;1,-x,-2g;1,22,1a;3,-d,-11;1,-15,1d;1,-d,f;1,7,j;1,-7,-2;2,-m,-1h;1,11,-t;1,1t,k;1,-1q,1;1,-q,q;1,-2,s;1,-7,-8;3,-f,m;1,-4,-t;1,2u,-1a;2,6,11;1,-f,-t;1,-1d,j;1,f,-q;1,-1i,q;1,z,t;2,4,-2d;1,x,-1;1,a,x;6,-2u,-5z;1,2t,1i;1,1a,-v;1,a,1b;1,-26,-s;1,2c,h;1,-3x,y;1,t,9;1,1n,-1q;1,1m,-g;1,-30,x;1,-7,m;1,3a,-15;1,-49,-x;1,3l,1l;1,-1m,-p;1,-1b,-q;2,-1s,-j;2,19,1f;1,-h,21;1,3n,-1r;1,11,-21;1,7,l;1,-39,21;1,2w,2;1,a,-1q;1,-1,0;a,-20,x;1,-4z,-1x;1,4,1;1,1,1;1,2,q;1,-n,-q;1,s,-b;1,-o,c;3,d,-1;1,4a,2s;2,h,-v;2,9,a;1,1g,-1r;1,-v,14;1,-1c,-a;1,33,-1a;1,-2o,1q;1,-24,24;1,18,-2r;1,-f,2j;1,2m,-25;1,-1x,1b;1,b,-e;1,10,-p;1,-6q,-1l;2,62,25;1,1y,t;1,-40,k;1,-6,-13;1,2e,-a;1,1v,-c;1,-3n,1h;1,-4v,-2r;p,6x,2r;1,-2o,1e;2,-3,-2;3,e,j;1,2x,-1s;1,-6,-9;2,-1b,1l;1,i,-1q;1,-p,z;1,j,-h;1,12,f;1,-1e,l;1,-b,-e;1,-6,6;1,-8,6;2,1j,-q;1,5,z;1,k,-t;1,-3,-a;1,-2t,l;5,38,-d;1,-2,-5;1,6,-8;1,f,-4;2,-l,c;5,-14,11;1,-13,g;1,-12,-j;1,20,-5;1,-t,-7;1,-v,-9;1,-3,i;1,18,-r;1,1d,-m;2,-h,y;1,-1d,p;1,1j,-1d;2,e,-8;1,-2,w;1,5,-1;3,-y,z;1,-4,-w;1,6,-b;1,-20,p;1,3d,-1u;1,-27,2n;11,1c,-2v;1,-4,8;1,-2,0;1,0,-5;1,1,2;1,2,3;1,-2,-7;1,2,7;1,4,0;1,-8,-1;1,-5,-9;1,9,7;1,8,-4;1,-g,4;1,8,1;1,9,-2;1,1,8;1,-4,2;1,-5,6;1,-4,-7;1,-8,-a;1,5,b;1,-2,-4;1,-2,-a;1,5,2;1,0,-3;1,1,-9;1,6,7;1,4,0;1,4,2;1,3,1;1,2,6;1,-3,c;1,-e,-d;1,-7,5;1,7,-5;1,0,-7;1,3,-6;1,7,q;1,0,-o;1,-8,e;1,-9,-f;1,9,f;1,4,b;1,-6,-y;1,2,n;1,f,5;1,0,-b;1,-3,-9;1,-5,-6;1,-5,1;1,-b,1;1,b,-a;1,a,1;1,b,5;1,-5,6;1,3,2;1,1,b;1,-3,6;1,7,-4;1,1,6;1,-t,-7;1,-6,h;1,-j,-f;1,r,1;1,m,f;2,-m,-f;1,0,0;1,0,0;5,9,4;3,-9,-4;1,0,0;1,0,0;3,0,0;1,0,-3;1,0,3;1,-2,-3;1,3,-1;1,-3,1;1,2,3;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;v,-4m,1j;2,-4,-h;1,1,1;2,g,2g;1,0,3;2,-2w,-1p;1,2m,-2;1,t,1m;1,-1f,-3c;1,6,x;1,-6,u;1,-g,-2y;3,h,3u;2,-m,-2d;1,2d,z;1,-1k,l;1,u,7;1,-2x,-1f;2,u,5;2,1u,-1b;1,i,4d;1,-e,-p;1,-2w,-4g;1,16,l;1,1l,43;1,-19,-1r;1,a,-2;4,1k,5;1,-1r,-3b;1,1d,3y;1,-1b,-3u;1,1c,2q;1,-i,2f;1,c,-l;1,-1i,-29;1,7,-12;1,2i,3f;2,-2s,-1e;1,1c,8;1,l,1p;1,2,2;1,0,-28;1,-q,-12;1,-1q,13;2,2g,y;2,i,-j;1,-n,v;1,j,-z;2,5,17;8,-17,-8;1,4,1;1,-5,-7;1,-1,6;1,1,-3;1,-1,-8;1,3,7;1,-1,0;1,2,-9;1,4,-7;1,-c,l;1,-2,4;1,-2,-5;1,-1,4;1,5,-5;1,2,-2;1,-2,-2;1,-a,e;1,7,4;7,8,-j;1,2,6;x,0,0;1,-1,-2;2,-1,-4;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,2,7;1,0,0;1,-6,-j;1,5,j;1,1,0;1,-1,0;1,1,0;1,0,0;1,-1,0;2,-1,-7;l,-4c,-26;1,4,4;1,-8,-5;1,8,2;1,-6,0;b,-1,b;4,-q,1o;1,-1,6;1,-2,-4;1,8,-2;3,-1,5;9,s,-r;1,17,-1v;1,-1f,10;1,g,9;1,-5,-m;1,2,2;1,f,-c;1,2,l;1,-h,8;2,q,-36;2,-m,18;1,-5,4;1,i,1p;1,-r,z;1,4,-3;1,-6,-3;1,1,5;4,-9,-1j;1,j,l;1,-c,l;1,7,-1s;1,m,1k;1,-g,-1;1,x,-x;1,8,-2e;1,-1b,1j;1,-c,37;1,-7,-x;1,e,k;1,m,-o;1,-q,-e;2,7,-15;1,7,3;1,3,-7;1,-s,2a;1,o,-2i;1,-a,q;1,-d,2g;1,4,-1s;1,13,f;2,-9,-2t;1,-g,3i;1,j,-41;1,a,-b;1,-13,43;2,1n,-29;1,-1g,u;1,u,1f;1,8,-2f;1,-1e,1u;1,i,2;1,8,2;1,-7,-23;1,-a,1l;1,7,28;1,v,-n;1,-13,-1l;3,b2,1y;2,-1q,-13;1,3e,-11;1,-1t,-10;1,22,-a;1,a,1i;1,-i,-1a;1,-1u,1m;1,1x,-15;1,-1w,24;1,15,-w;1,-30,r;1,2y,i;1,-1i,-l;1,m,-3;1,t,-4c;1,-z,36;1,c,-7;1,9,21;1,-1k,-15;1,k,-17;1,w,-1v;2,z,3d;1,0,-1;1,1,-7;1,-35,u;1,2s,-11;1,-n,-3y;1,-1p,4v;1,2x,-q;1,-j,i;1,-u,-2p;1,6,h;2,-1q,1i;1,2s,-1q;1,-1v,1q;1,1m,-3;1,8,-7;1,6,-1w;1,-2b,2l;1,1k,-t;1,d,c;2,-2i,k;2,1q,15;1,3,-1h;1,-l,-7;1,m,v;1,o,-23;1,-22,17;1,6,4;1,1s,-1k;1,-2m,26;1,1n,1b;1,p,-1f;1,-20,-b;1,r,x;1,19,-2v;1,7,25;1,0,0;1,-1r,-r;1,h,-6;2,y,-5;1,-1q,n;1,18,-27;1,1t,f;1,-c,2f;1,-7,0;1,-m,-2z;1,-16,1j;1,-1u,1j;3,3l,-4;1,-f,-8;1,f,8;1,0,0;8,-m,-2;a,-h,-c;1,-1,2;1,3,-4;1,-5,-1;1,5,3;3,4,-3;1,0,0;1,2,5;1,-2,-5;1,-4,3;1,-2,0;1,0,0;1,0,0;1,5,-c;1,j,b;1,-i,-2;1,-f,a;1,f,-a;1,-6,8;1,2,-2;1,2,3;1,-1,4;1,-4,2;1,h,-l;1,0,b;1,1,4;1,1,-9;1,-9,-5;1,-1,6;1,3,-e;1,-5,3;1,4,-7;1,-c,a;1,-1,-8;1,-3,-2;1,c,-4;1,-g,a;2,6,g;1,0,5;2,-4,-8;1,2,-5;1,9,-2;1,-i,8;1,5,-8;1,5,-3;1,k,5;1,-b,8;1,2,2;1,3,2;1,-2,1;1,-1,-a;1,-1,3;1,2,1;1,4,2;1,2,-4;1,-7,-2;1,0,0;1,0,0;1,1,l;1,b,-a;1,-c,-b;1,-6,3;1,0,0;1,0,0;1,6,-3;3,0,0;1,0,0;1,0,0;4,0,0;1,0,0;1,-7,3;1,0,0;2,7,-3;2,-7,3;1,9,9;2,-9,-9;1,0,0;9,b,6;1,-a,-6;2,-2x,-5p;1,0,1;p,-26,3;1,3v,-z;1,-2i,1d;1,-10,3;2,22,-2c;1,11,15;1,-37,f;2,-h,r;1,3v,-4n;1,-p,4b;1,-29,-c;1,20,-2y;1,-6,-4;1,6,0;1,-5,3;4,0,0;3,-2,4i;1,1y,-7v;1,-3q,4j;1,-2,0;7,-h,h;1,2c,39;9,-6,-1e;1,1g,-5c;1,-2e,4r;1,2a,a;4,-2c,-2c;2,20,2f;1,11,-1f;1,-1x,23;2,w,n;1,-5,-v;1,f,0;1,-1p,16;19,2h,7i;1,b,-p;1,-13,u;1,-5,-g;1,1,6;3,e,-l;2,4,5;1,-i,-19;1,1b,h;1,-1c,y;1,t,b;1,-9,-15;1,y,d;1,i,-t;1,-a,8;1,-1g,-d;1,b,1o;1,-v,-x;1,x,-e;1,-1,-y;1,c,1m;2,-z,-i;1,x,-o;2,-x,-f;1,12,14;1,0,k;1,-13,-5;1,r,-t;12,es,-fn;1,-4,5b;1,12,1u;2,2b,-16;2,-25,-2g;1,0,0;1,-38,-44;1,2u,1r;1,6,5s;1,-w,-5d;1,25,a;1,-e,4i;1,-2k,-4a;1,0,0;2,1y,-15;1,-1m,2n;2,-34,-1t;1,5t,-1d;2,12,63;1,-4a,-57;2,-12,-a;2,3r,x;2,-4k,-19;1,4,1h;1,5m,2j;1,d,25;1,-4z,-6z;1,2s,36;3,-16,19;1,2z,-s;1,-66,-1a;1,1t,4;1,-x,-t;1,46,-s;1,-2x,0;1,3m,6e;5,10,-5y;1,-5x,1e;1,1,-2d;1,2y,4y;2,26,1i;1,-2r,-x;1,15,-3s;1,8,3i;2,-j,s;1,1h,-2x;1,-48,-1s;1,-10,-3;1,3s,3a;1,-1,0;2,-f,-1b;2,2r,1p;2,-61,-2j;1,-d,-a;4,2q,4b;1,1t,-3h;1,-1d,3k;1,10,-2k;1,1q,-3;1,-5f,-33;1,4g,2e;1,1d,-1i;1,-4f,-1g;1,3j,1y;1,10,-39;1,-51,3a;3,y,-s;1,w,-y;1,2x,3u;1,-44,-1f;1,8,3p;1,1k,-4;1,0,-2j;1,-o,-2w;3,1,11;1,0,-1;1,-2,5;1,1,0;1,l,-a;1,-k,1;1,3,8;1,5,-2;1,-b,-6;1,-2,3;1,8,j;3,-i,-f;2,k,-i;1,6,g;1,-n,1;1,-2,-e;1,e,h;1,-3,-d;3,a,-1;z,-5,b;7,i,-7;2,0,0;4,0,0;2,0,0;4,0,0;7,0,0;2,-e,j;2,e,-j;c,-2r,4m;j,-1s,-1k;1,11,-21;2,9,2z;2,1,2m;1,1z,-3u;1,-2o,3c;2,-10,-34;1,35,27;1,-2a,-2y;2,1n,1s;1,-u,-1j;1,-q,-x;1,-z,2t;1,3h,-10;2,-k,-5;1,l,-4;1,-21,-1u;2,-15,19;1,v,e;1,1u,v;2,-10,33;1,-x,-2g;2,-e,-3m;1,2w,39;1,-1q,1w;3,8,-3m;1,-1c,k;1,1k,-1b;1,-o,1;1,g,2k;2,2,-19;1e,-1j,-2u;1,f,-1m;1,-k,r;1,-k,-2d;2,-17,22;4,1x,-13;2,-k,40;1,-1x,-4g;1,2i,7;1,1g,-n;1,-y,26;3,-14,1h;1,-1n,1d;1,-w,-25;5,2c,-15;2,1,1;1,x,4;3,-2s,-a;1,23,2h;1,i,-3t;1,-1g,1t;1,14,-1f;1,1d,1;3,-1d,2j;1,-23,1;2,2b,-22;2,-1q,-q;1,1,40;1,1d,1;1,-n,-26;1,-1h,-16;1,-l,-a;3,2p,1y;1,-p,y;2,9,-4;1,6,-1d;2,y,1;1,-19,3m;1,1n,-4n;1,-1q,4;1,-p,1v;3,-2,-24;1,-p,19;1,c,-u;1,1j,-j;1,e,s;1,-15,1r;1,i,-u;1,-g,9;i,o,6;1,0,1;1,3,4;1,-9,-2;1,4,-1;1,1,-4;1,-1,-6;1,0,1;1,1,7;1,-1,-3;1,0,3;1,-2,0;1,0,-3;1,0,-3;1,5,4;1,-1,-6;7,-8,6;1,1,-5;6,9,b;m,0,0;1,-3,-4;4,0,0;7,-9,-f;q,c,j;1,0,0;2,0,0;6,0,0;2,-2e,5c;1,12,-x;1,-p,1h;1,-1d,w;1,3b,-15;1,-46,-1g;2,l,1e;2,9,t;1,-9,-50;1,b,1a;4,h,-3;1,s,-l;1,1f,15;1,-3n,2t;1,2b,-19;1,s,14;4,-1g,-j;1,-1,-2b;1,-5,-p;1,1v,16;1,h,25;1,-3k,7;2,r,-2p;1,1a,35;1,-9,-1s;1,-1m,-s;1,o,1f;1,-f,-m;1,-v,1h;1,3v,-h;1,-o,-l;1,-2p,o;2,1k,-1m;1,1n,1i;1,-2g,-1w;1,17,7;1,w,1m;1,-a,-7;1,-x,-2o;1,-3,0;3,n,35;3,-1c,-1p;4,p,f;1,-n,d;1,-p,u;1,l,-5;2,-9,-39;1,-x,2k;1,-7,g;y,1f,o;1,-5,0;1,5,-4;1,-2,3;1,-2,-4;1,-4,0;1,3,-5;1,3,9;2h,0,0;1,3,0;1,-1,2;2,-1c,-6j;1,-3,-2;1,1,-6;1,-a,b;1,g,-6;1,-f,8;1,e,-e;1,-f,c;2,0,0;1,d,-5;1,-d,5;1,1u,v;1,-l,-2a;4,-3q,-3c;1,1c,y;1,2a,5e;1,-1,9;9,-2w,-4o;1,h,1y;2,1z,2q;1,-46,-75;1,s,2y;3,56,3z;1,-2i,-8;1,-27,-2e;1,2h,-n;1,-1o,-o;1,-8,h;1,-z,25;1,2m,-39;3,1j,40;1,-b,-n;3,-39,-y;2,1m,-3u;1,-h,4o;1,4,-2q;2,18,1i;1,-g,-12;1,-9,13;1,9,0;1,3,0;1,-6,-7;1,5,-2;1,6,5;1,-g,5;2,7,-3;1,0,0;1,1,-4c;2,-15,z;4,s,2r;1,-j,-1i;1,-v,3b;2,-j,-4q;1,-z,4y;1,41,5;1,m,-f;2,-30,-55;1,-y,2;2,1r,26;1,i,-f;w,o,-9k;9,-4t,87;1,5,-2;1,5,2;2,-2z,z;1,7c,-95;1,-12,13;1,11,2r;1,-19,-2n;1,-h,v;3,-33,7b;1,a,-2e;2,-21,-s;1,-9,z;1,6j,-3d;1,-4q,7u;1,3z,-ap;2,-10,2l;1,-57,4w;1,5w,-70;1,-2a,4g;1,16,-y;1a,20,-4m;1,2,-1;1,1,5;1,6,0;1,-8,1;1,4,1;1,-a,9;1,c,-6;2,-e,9;1,k,-o;1,-5,0;1,a,-3;1,-p,r;1,5,-7;1,7,-4;1,-c,b;1,c,-b;2,1,-5;2,0,-b;1,-d,r;1,l,-b;1,-c,5;1,-9,6;1,-5,3;1,2,d;1,3,-g;1,b,-g;1,-b,g;1,h,-t;2,8,i;1,-h,8;1,0,3;1,-8,0;1,b,x;2,-b,-x;1,7,-j;1,-7,j;1,7,-j;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,0,0;2,0,0;1,-7,j;7,8,-k;8,-8,k;2,7,-j;2,-7,j;a,0,0;5,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,mj,3d;1,-1,-1;1,4,3;1,-2,-5;1,3,1;1,-4,2;1,6,-8;3,-c,v;1,0,4;1,-4,-2;1,-4,6;1,1,-5;1,-4,4;1,-3,5;1,9,-5;1,2,8;1,6,0;1,f,-z;1,-3,-5;1,-6,k;1,d,-a;1,-c,9;1,9,-11;1,7,j;1,-2,-5;1,-3,1;2,-c,a;1,5,1;2,-b,-7;1,0,2;1,7,4;1,0,0;1,-3,b;1,b,-g;2,-j,q;1,1,16;1,-1,-16;2,1,16;1,1,-17;1,-1,17;1,0,0;1i,-w,17;1,y,-19;1,-6,n;1,-x,-1u;1,m,27;1,-1d,-1e;1,s,-2;1,7,-q;1,-9,-5;1,t,-b;1,-4,d;1,-3,-2;1,6,-6;3,-r,n;1,-5,s;1,-c,-14;2,14,-f;1,1,5;1,-3,-1;1,4,-d;1,-7,k;1,-7,-h;1,6,9;1,5,-g;1,0,5;1,-5,7;1,0,9;1,-6,-9;1,-12,g;1,2,-6;1,11,7;1,-i,-n;1,1b,28;1,-2,-v;1,-p,-e;c,e,-r;1,0,0;4,0,0;5,-4,-3;1,0,0;1,-9,-k;1,-h,n;2,q,-3;1,0,0;z,c,g;1,2,-d;1,-2,1;1,0,-5;1,3,6;1,-3,2;1,3,3;1,-2,-6;1,-3,1;1,-3,1;1,9,-6;1,0,-3;2,-3,-1;1,0,-4;1,4,d;1,-4,-1;1,-1,1;1,-3,-6;1,3,c;1,b,-9;1,-h,7;1,3,-7;1,-1,9;1,1,-l;1,1,3;1,-4,0;1,2,-7;1,i,o;1,-f,2;1,-4,2;1,1,-l;1,l,f;1,1,-7;1,-q,-7;1,0,4;1,-1,e;1,a,-8;1,5,f;2,8,-e;2,-d,-1;1,0,0;2,-3,5;1,-1,5;1,4,-a;1,4,m;1,-4,-m;1,0,0;1,0,0;4,1,-1;1,-1,1;2,1,-1;1,c,-1;1,-d,2;1,-1,4;1,1,-4;1,0,-1;1,0,1;1,1,-1;5,-1,1;2,-1,-1;1,1,0;5,2,c;1,0,0;1,-2,-c;9,0,0;1,0,0;2,1,0;1,0,0;1,1,c;4,-2,-b;2,v,-n;1,-3,-8;1,-3,5;1,5,-4;1,-6,3;1,c,-d;1,-1,1;1,-6,-2;1,-1,c;1,0,0;4,7,-a;7,-7,c;1,0,0;1,0,0;5,0,0;1,0,0;20,-t,6;1,3,-3;1,6,-6;g,-u,6;1,-o,-2c;1,h,1n;1,11,-1;1,5,-3c;1,-13,1u;1,-9,23;1,1c,-4i;1,-7,3u;1,2l,-3x;1,-46,1p;1,3n,-m;2,-3u,1z;1,10,1e;1,3q,-2r;1,-3i,y;1,g,11;1,-o,12;1,o,-1a;1,-c,y;1,-15,-1u;2,20,i;1,-13,-v;1,f,17;2,10,-n;1,g,7;1,-25,k;1,-1d,-m;2,32,-j;1,-x,1b;1,-7,10;1,-4,-1;1,1d,-e;1,-2c,-u;1,11,15;2,15,-34;2,-29,a;2,1u,-17;2,-u,4c;1,10,-v;1,t,-41;1,-v,2c;1,o,-2g;1,-20,4g;1,1a,-6;2,1i,-24;1,-1j,1x;1,-1e,-5;1,s,-k;1,27,-30;1,-1f,2p;1,8,-2n;1,1t,1h;1,-1s,25;1,-i,-r;1,o,-35;4,1e,-2;1,-1,7;9,-2q,23;1,c,-b;3,16,34;1,-1,0;1,-1,-6;1,-3,l;6,a,-1l;1,14,-5;1,0,v;1,-x,f;1,-m,i;1,z,-19;1,-11,v;1,v,-18;3,-q,1l;1,1b,-g;1,6,4;1,-5,-2;1,1,2;1,-6,1;1,1,-6;1,4,3;1,-9,8;2,-14,7;2,10,-1g;1,-s,m;1,g,v;1,t,-n;1,o,-n;1,-1d,t;1,5,0;1,-3,2;1,-g,-p;1,p,b;1,-q,l;1,a,e;1,-n,-v;1,25,-1g;1,-y,2c;1,0,-e;2,k,-4;1,-p,d;1,0,0;2,b,-i;1c,-1t,t;1,2,-c;1,-1,e;7,1s,3;1,5,19;1,n,-1o;2,-2n,-7;1,1p,p;5,-f,1;1,-r,-a;1,17,y;1,-p,-w;1,i,s;7,-8,-i;1,-1,-8;1,4,5;1,-1,-4;4,1,4;1,-2,1;1,-1e,-h;2,g,m;1,4,k;1,u,-8;1,-8,-k;1,g,2;2,p,-7;1,-11,1w;1,s,-1u;1,-17,-4;1,-c,1g;1,s,v;1,-l,-8;1b,9,p;4,2,-3;f,-9,1o;1,1e,2y;1,-h,-32;1,-p,-10;3,1p,26;1,-24,11;1,1h,-13;1,n,-3s;2,-n,4i;1,y,-4q;1,-1r,28;1,n,3f;1,-24,-f;1,2n,-1v;1,k,2c;3,-3a,-37;1,26,-6;1,c,-11;1,-1d,2i;1,23,1j;1,-7,-2q;1,-r,2i;1,y,-1t;2,-4,1n;1,-1m,-2z;1,u,12;3,6,-16;1,-24,3o;2,-c,-3i;1,q,3b;1,6,-w;16,-18,-17;1,-2d,2n;2,1a,-30;1,4,2c;2,-3,h;1,-z,-5u;1,-6,-1p;1,-8,79;2,2e,-1r;1,-2d,-60;1,d,-5;1,z,5y;1,-1a,-69;1,-f,1p;1,1s,3g;1,-14,-4b;1,-d,-1l;1,r,5s;1,1m,2a;1,-2n,-2a;1,2j,2u;1,-2a,-y;1,1a,-2f;1,-n,-4u;1,o,4u;1,-16,-3e;1,s,2s;1,-i,-1s;1,c,17;1,-v,a;1,1k,36;1,-b,-3b;1,a,43;4,-m,-3e;1,0,0;j,-12,-3o;1,1p,6o;1,-1g,-y;1,k,-5i;1,-m,2c;2,l,-2c;z,-g,o;1,-8,1;1,9,0;1,1,-5;1,-1,2;1,-5,2;1,9,0;1,e,d;1,-h,-8;1,-3,0;1,-7,5;1,8,-a;1,-a,7;1,9,5;1,4,-1;1,-5,-3;1,8,0;1,2,-3;1,2,-8;1,2,8;1,a,-4;1,-e,b;1,1,0;1,5,-2;1,-n,7;1,-4,-k;1,n,j;1,-v,k;1,i,-f;1,3,8;1,0,-t;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,7,g;1,-2,-2;1,0,1;1,-5,-f;1,0,0;1,3,6;1,-3,-6;1,3,6;1,-3,-6;1,0,0;2,0,0;1,0,0;1,6,g;9,-6,-g;2,0,0;8,0,0;7,0,0;i,0,0;2,0,0;4,-1i,o;1,-4,-3;1,3,-1;1,-4,-1;1,0,-3;1,0,d;1,f,-p;1,-8,f;1,-i,8;1,0,0;1,0,0;1,0,0;7,-j,-t;1,-1j,g;1,2u,3n;1,-v,-38;1,-2,-18;1,-2f,p;1,2x,1a;2,-3d,13;2,7,3o;1,2r,-2o;3,8,-z;1,0,0;2,p,3n;2,-1c,-1g;1,g,-2o;1,-x,-37;1,q,7x;2,7,b;1,-g,-27;1,1d,-e;1,-39,-3d;1,22,66;2,-1x,-3f;1,1q,-t;2,d,2w;2,-g,-1b;1,-15,-5h;2,1m,61;1,2,-2r;1,-1n,-y;3,1w,s;1,1,e;1,-2m,2h;3,26,-2a;2,-d,-3c;2,1j,7c;2,-2y,-x;2,-c,18;1,2n,-44;1,-n,3;4,-2l,-1d;1,j,-12;2,p,5r;3,-f,-1;2,s,-6i;1,-u,71;1,-i,-75;1,2r,5v;9,-1x,-8t;1,1,0;i,-13,-g;1,-6,-3u;1,n,-j;1,h,5t;1,-f,-1n;1,19,2;1,-1l,1z;1,5,-5g;1,-h,1e;1,6,29;1,20,-2i;1,d,3g;1,-v,-20;1,-l,2t;1,-17,-d;1,1m,-1l;1,e,n;1,-1n,-4x;1,-d,5m;2,t,-13;1,-b,8;2,2f,9;1,-1c,-u;2,7,x;1,-13,-3f;1,-8,2x;1,2l,-k;2,-2c,t;1,-f,16;1,1,c;1,1j,-3h;1,1r,1e;2,-2v,-2i;18,3i,2t;9,t,-1u;1,2,1f;1,-13,2l;3,3,-q;5,-9,-5k;1,-3,6h;1,2,-1r;1,-1,9;1,1e,-3j;1,3,0;1,-1f,54;1,g,-39;1,1c,3;2,-1c,-1v;1,0,0;1,-s,3o;1,e,-g;2,-16,-49;1,20,3a;1,-c,-1c;2,-5,-4;1,-b,4j;1,j,-46;1,-b,17;1,-n,-2v;1,9,5f;3,h,-4w;1,-e,1e;3,1y,-2;1,-2q,2t;1,0,s;11,r,3;b,-32,-7m;1,-1,-2;1,-g,-1;h,1o,-2i;1,-11,l;2,c,b;1,t,-19;1,h,-1;1,-24,29;1,z,-1h;1,-h,z;1,-q,h;1,e,-z;1,10,-x;1,a,26;2,-1c,-1x;1,w,0;1u,2m,2c;1,2,-1;1,-d,-5;7,18,-3;1,-1j,-2t;2,1u,2x;1,-c,-6;1,-a,12;1,4,-19;2,c,a;1,-4,l;1,-3,-3;2,-1k,-27;1,-b,t;1,g,-r;1,x,1k;1,-22,g;1,h,g;1,2c,7;1,-1e,-3t;1,-z,2k;1,h,-y;1,-5,1s;1,-x,8;1,36,t;1,-2t,-18;1u,36,-21;1,-6,7;1,1,4;1,5,-5;1,3,-b;1,-1,5;1,-8,-6;d,6,g;1,8,-r;1,-1c,-p;1,v,j;1,o,-3;1,3,-c;1,-g,1k;1,-d,-3;22,1k,2z;1,2,1;8,1z,-4l;1,-2y,5z;1,2,-6;3,0,-5;5,15,16;1,-s,-1d;2,-a,-k;1,0,-20;1,3j,10;1,0,1;4,-3d,-1w;1,w,43;1,1,e;1,22,-4y;2,-2l,z;1,-2,3;1,n,2x;1,1v,-1p;1,g,w;1,i,-33;1,-1r,1c;1,-20,3f;1,-g,-40;2,16,4o;1,-13,-4k;1,12,1g;1,1f,-3i;1,-1l,6r;1,4,-3y;2,-5,c;1,46,x;1,-4x,v;1,1b,z;1,-16,-m;1,11,1m;1,-3,-i;9j,48,4q;1,0,-2;1,8,g;2,-8,-k;1,0,4;1,-3,1;1,3,-1;1,4,2;1,-4,-2;14,t,1v;1,e,-42;1,-19,v;1,8,2q;1,-g,4;1,u,-4r;3,2e,v;1,-37,1h;1,g,1u;1,n,-1t;2,-12,-2f;7,12,l;1,-d,l;1,b,b;1,-b,-e;8,n,3p;1,-10,m;1,1l,-5a;1,-1y,1g;2y,af,-ec;b,-7n,fo;9,-u,f;2,1a,u;1,t,-1c;1,-n,p;1,6,2;2,-1i,1b;1,e,b;1,1l,-10;2,-2e,v;1,3v,-18;1,-2i,v;1,2j,-1b;1,-r,x;2,-4,-n;2,2,-v;b,-1x,2a;2,1s,5;1,-20,-n;1,-7,2;1l,-b,-80;9,22,-1s;b,-47,k;1,3c,b;1,-3b,6;1,1t,31;1,-1c,-11;2,1u,p;2,3,x;2,-14,-1j;1,-1a,-1v;2,22,u;1,-2,s;1,-a,-3n;1t,6j,j;9,11,-8;1,6,-13;1,y,-b;2,-q,-1i;6,10,1q;1,5,-e;1,-16,l;1,1a,-n;3,-1c,1i;2,-o,1b;2,-19,-1l;1,2v,-n;1,-1k,19;1,-7,-2r;1,l,1t;1,z,-1c;5,-4,-8;1,-c,2z;1,-1o,11;1,-m,-2o;7,1x,-2y;1f,-3z,3g;9,-7,-t;2,14,-29;1,i,-z;1,-1j,23;1,-9,w;1,10,-z;4,-z,y;3,18,-b;1,-12,s;25,-d,5u;1,4,-4;2,-6,-3;1,4,8;4,-3,3;6,-34,-20;5,29,o;a,1t,-1e;3,-16,57;2,1t,-2f;1,-1f,8;1,-c,v;1,y,-43;1,1o,26;1,-f,13;2,-o,-44;1,8,3t;1,-1l,-9;2,j,-18;2,0,-i;1,m,-33;1g,1o,ar;9,2i,4;1,-6,-p;1,-f,11;2,-2,-1q;1,-18,1j;1,k,-3s;1,2,0;1,-11,-5;2,29,2l;1,-w,-m;2,-16,16;2,27,-3s;2,-1c,1h;2,a,2f;1,-w,-q;1,1w,-20;1,-2u,-d;1x,2v,-43;u,-9,2d;1,-9,-1x;1,5,-m;1,-u,v;1,v,p;1,m,-2c;1,-g,2v;1,p,-2y;1,-5,g;1,-16,u;2,8,-3;2,l,-w;1,-4,1h;1k,-8q,-72;1,-2,3;k,4j,-36;1,-1h,28;2,19,-12;4,-4g,6;1,-s,-32;1,0,4;1,2a,46;1,-24,-2o;1,r,15;1,-7,1e;1,-1a,-1x;1,r,-d;1,-t,16;1,j,-1b;2,4i,1c;1,-39,2z;1,-1,-14;1,-1l,-3n;1,1u,49;1k,4p,-4x;1,3,-2;9,d,m;1,b,-k;1,n,j;1,-19,-w;b,9,4;24,-50,u;9,2k,-15;1,a,-5;1,6,5;1,-m,2a;1,-1n,-28;1,2e,27;1,-36,-15;2,3i,-1b;1,-z,3;1,x,-5;1,-3d,1d;1,2r,-12;1,-1j,1z;1,-1b,-7;2,2c,-1s;1,v,-9;1,n,-1;21,-r,-3y;1,5,-3;1,9,4;1,-i,-1;1,-4,3;1,6,-4;3,-n,e;1,10,-1h;1,-10,-b;1,-e,13;1,36,-24;1,-30,37;1,2g,-1s;2,-20,2p;1,1o,-w;2,-2s,25;1,2f,-2p;2,-2t,2n;3,6g,-7q;1,-n,-m;1,-5p,6p;1,7z,-67;1,-6l,7b;2,-1o,-13;1,6,25;1,o,-2h;1,6b,-5e;1,-3v,59;1,-3j,11;1,s,20;1,h,-u;2,7,-11;2,-13,-2j;1,4v,-18;1,-33,2c;1,-i,n;4,1,-g;1,3k,-3z;1,-4t,3r;1,6q,-4l;1,-69,77;1,3u,-5x;1,-1f,2t;5,-2s,2u;1,2j,-3d;1,-2u,25;8,19,-2r;1,-19,42;2,3j,-20;2,-1z,1i;1,15,-32;1,3l,-63;3,-5p,80;2,6,u;2,1t,17;1,-2r,-20;1,1,1f;e,1f,-8d;1,-y,-c;1,y,d;8,-h,2i;1,-v,-7;1,3s,-1q;1,-1e,-1u;2,-y,d;2,-8,2r;2,23,-a;1,-23,-2q;1,2t,e;1,-2t,3m;1,13,-2c;1,-w,2;2,26,-1i;1,-28,i;2,11,-a;2,-d,-i;1,1z,1m;1,-2s,1;1,8,h;1,-4,10;1,22,-3k;1,-1m,1j;2,2n,1;1,-36,c;1,-q,2q;1,1e,-c;1,-t,-1t;2,-t,t;1,17,7;1,1x,-t;1,-p,-6;1,-11,1e;2,q,-21;1,22,5;1,-a,1;1,-2b,-14;1a,27,7v;1,-6,-h;1,-2,3;1,1,2;1,-1,-2;1,0,6;8,16,2u;1,-16,-30;5,1j,1o;1,-2,-b;1,-r,16;1,1a,-3d;1,-w,36;1,6,-2s;2,-14,q;1,-e,1w;1,2y,-c;2,-26,-1t;2,1t,16;1,-1n,-12;1,q,-1o;1,-a,2q;2,7,-g;2,-f,-3;1,-3,a;1,-b,-l;1,-f,11;1,j,-1n;1,p,16;1,14,-1d;2,-1f,1e;1,-13,z;1,14,-30;1,3,25;1,-b,18;2,-j,-23;1,2,2b;5,m,-1u;2,3z,-5r;1,v,-d;1,-2b,1e;1,b,-d;1,1l,-16;1,-q,g;1,-j,6;1,15,-1a;w,2q,-76;j,i,1i;2,-1e,-5;1,l,-a;1,d,-i;1,-1n,37;1,y,-2i;4,-k,t;1,3,-f;2,g,-1;2,1a,-19;1,-10,1x;1,15,-1l;2,-1f,1t;1,t,-2c;1,d,s;1,-2q,o;1,1x,3;1,p,0;1,-2,-h;1,1,1o;1,-3a,-1i;1,2v,-i;1,-2m,n;3,1o,11;1,12,-1;1,-1r,-z;1,1d,-x;1a,-6n,3t;1,n,-2f;2,-43,s;1,2x,-2e;1,6,-a;1,-a,5;3,2p,7;1,a,2w;1,7,-29;3,-9,15;1,-2o,-w;1,k,-d;2,9,-16;3,9,31;1,-35,1e;1,3,-25;2,1w,-22;1,-20,3s;1,1u,-44;1,v,25;1,-w,-1p;1,s,30;1,1v,-21;1,-4d,3h;1,1f,-3b;1,3q,u;1,-2l,-1l;1,l,34;1,26,-1j;1,-3r,-22;2,-g,r;1,o,f;1,2t,-5;1,-2j,-g;1,20,-9;1,-27,r;1,-1f,21;1,1t,-1y;2,-2m,-o;1,21,6;1,d,-4;1,-c,-d;1,3w,1a;1,-2v,-1f;1,-n,0;1,1f,1h;3,-19,-1v;1,t,2;5,-c,2m;3,-q,-1g;1,t,i;1,3j,1s;1,-2t,-3l;4,-1n,6;1,3n,3x;3,-3s,-2h;6,-7,-i;1,5,3;e,1,r;1,3,6;1,3,-4;1,-3,-5;1,-4,8;1,0,3;1,2,-1;1,-f,-4;1,b,-5;2,-b,5;1,e,8;1,3,-i;1,a,6;1,-r,4;1,7,r;1,-7,-r;2,0,0;1,0,0;1,f,4;1,-f,-4;2,g,4;1,-g,-4;1,0,0;1,f,4;1,0,0;1,-f,-4;1,f,4;1,-f,-4;1,0,0;1,f,4;2,0,0;l,-f,-4;1,f,4;16,0,0;2,c0,-1h;1,-1u,2e;1,1z,-1w;1,4,-18;1,1z,1u;1,-57,-6;2,1a,w;1,21,-1g;1,-1e,f;1,1n,r;1,-35,-8;1,33,-15;1,-17,-c;1,3,-1;1,-4,1;5,2c,-6;1,-10,-e;1,-3r,1a;1,w,-11;1,34,s;1,23,17;1,-66,0;3,y,-k;2,-1j,-1j;1,2l,j;1,-1k,4;1,2e,-4;1,18,1a;1,-1y,f;2,1,-g;1,24,-m;1,-e,-p;1,-1z,j;1,-21,-16;1,0,-1;1,5m,2a;1,-3k,13;1,35,-1h;1,3,-1r;1,-33,2l;1,-2,-o;1,-h,-1p;1,2q,y;1,1w,5;1,-3j,-1a;1,-26,3;1,3f,0;1,-3j,8;1,2k,-6;2,12,y;1,-2i,-2;3,2t,4;1,5,-a;1,-3d,k;1,z,1a;1,4,-o;1,17,-1u;1,-28,-3;1,-17,d;1,c,-k;1,1r,2t;1,e,a;2,-k,-2x;1,t,-4;3g,-kh,ij;1,5,-1;1,-1,-46;1,7,2;1,-8,-m;1,i,-b;1,-k,58;1,-y,2w;1,1i,-7n;1,w,6;1,1,-1;2,-1n,-l;1,1r,l;1,k,-h;1,-2,2;1,-r,1z;1,n,-k;2,-1l,-10;1,-y,44;1,b,-6d;1,1u,96;1,6,-5q;1,0,-18;1,-1x,5n;1,-e,-2o;1,4y,-1n;1,-3q,-2x;2,-f,4l;1,4,-1o;1,1h,-9;1,-2q,-6x;1,y,cw;1,q,-5b;1,14,-1v;1,25,1u;1,-3x,43;1,1w,-5x;1,1,-4;1,-23,q;1,6,-e;1,u,-n;1,-z,i;1,1q,62;1,-z,-61;2,-b,15;1,1k,-o;1,-1w,3l;1,-k,12;1,q,3;1,13,-5a;1,-c,1v;1,14,-22;1,-29,t;1,-3,-2;1,-a,i;1,1b,4;1,7,g;1,-z,-13;1,-f,5k;1,40,-42;1,-38,-23;1,-j,5d;1,2e,-5n;1,-1e,1h;1,-v,-2o;1,m,1n;1,-e,-1c;1,-6,4m;1,-6,q;1,n,-56;1,1i,p;1,-1t,65;2,0,t;1,2,2;1,-12,-82;1,1g,13;1,-n,1m;1,11,-76;1,-b,5r;1,-g,5o;1,2u,-3i;1,-1o,-1z;1,-t,-6;1,10,-g;1,-t,l;1,0,0;1,-9,g;1,1,-8;1,-2,-3;1,-2,-9;1,-4,-8;1,-l,10;1,14,c;3,6,-z;1,0,4;1,2,-1;1,-3,-6;1,-1,7;1,-3,1;1,-5,-4;1,8,6;1,-4,2;1,-3,-a;1,8,3;1,2,4;1,0,0;1,-a,-7;1,4,2;1,8,-4;1,-d,a;1,-1,-i;1,4,1;1,0,0;1,-7,m;1,5,-d;1,-1,-1;1,2,b;1,-1,-a;1,0,0;1,0,0;1,2,-9;1,-4,3;1,2,6;1,0,0;1,a,7;1,0,-5;1,-a,-2;2,a,2;2,-1,0;1,0,0;2,-9,-2;2,c,1;1,-3,1;1,-9,-2;2,9,2;1,0,5;2,-9,-7;1,0,0;1,9,2;5,-9,-2;1,a,f;7,-a,-f;5,0,0;1,0,0;9,a,1;4,-9,-6;5,8,7;1,-9,-2;9,6,-3;2,1f,-7;17,2,5;1l,z,-g;1,-a,a;2,v,2;1,a,-5;1,-e,-2;1,-n,-8;1,13,i;1,-o,-c;1,-11,n;1,1c,-q;1,-7,-3;1,-3,-4t;1,-6,4y;1,-1c,-4;1,1o,-q;1,-1e,1s;1,1h,-5;1,-h,-4;1,y,-3;1,-m,6;1,-b,-8;1,a,7;1,-o,-b;1,l,-4;1,-3,g;1,i,-h;1,-u,g;1,u,-48;1,2,3d;1,a,-a;1,-s,17;1,n,0;1,-e,-y;1,5,u;1,d,-2g;1,-r,1j;1,l,p;1,-s,0;1,-n,-a;1,12,m;1o,-1k,-f;1,4,0;1,-7,1;1,7,-3;1,-9,0;2,7,1;1,-4,2;1,6,-1;3,0,0;2,5,-1;1,-5,1;2e,-4m,37;9,-6m,4i;1,11,-u;1,-v,-6;1,5d,-43;2,-o,4q;1,f,-4y;2,n,p;2,k,18;1,-f,-14;1,-1c,-18;1,f,a;2,-7,2r;1,1v,-1y;2,-y,-a;1,10,f;1,-3u,4c;1,-3b,-22;1,41,1a;1,-2a,-1y;1,-1e,34;1,1v,-l;1,-2e,-33;1,61,-1q;2,w,1u;1,-1m,1w;2,1l,-2u;1n,1x,-2n;1,d,-5;1,-g,a;1,6,-2;1,-8,b;1,5,-a;e,-3n,-t;1,d,b;1,8,0;1,z,q;1,-a,-2p;2,1n,1l;1,-1p,12;1,1n,-1i;1,-w,1w;1,-14,-15;1,-p,-1c;1,1t,1x;1,w,-q;1,-28,8;1,i,-2d;1,-n,13;1,-r,-i;1,1y,g;1,-1,10;1,-3,-1a;2,-m,24;1,-f,-5;1,-n,-20;1,2n,1k;1,-v,q;1,-1,9;1,h,-y;1,-w,-1d;2,1v,1o;1,-2v,-d;1,2s,q;1,-2x,-s;1,2t,8;1,-20,-v;1,-14,e;3,3i,w;2,-1s,i;1,1x,-d;1,-3,2;1,-2m,-b;2,u,6;y,-23,-18;9,-3j,-1c;1,3h,1c;1,-1q,8;1,i,-1s;1,-12,-2v;1,17,5x;1,-15,a;1,-u,-22;1,-8,c;1,g,-27;1,-2,-m;1,0,0;1,-q,-1k;1,24,3v;1,1e,8;1,-32,-4a;1,j,5t;2,38,-6r;1,-4h,3z;1,40,1p;1,-1f,-20;1,k,29;1,-38,-56;1,2o,87;1,-1o,-4i;1,-a,17;1,-14,-3t;1,3,-y;1,40,44;1,-12,1;1,-3b,-v;1,1d,-1t;1,1w,2q;1,t,w;1,-3k,-3s;1,1,-c;1,3c,4w;2,-4,1;1,4,-1u;1,-b,-22;1,-c,7;1,-15,-2s;1,2e,4z;1,-3x,-1h;1,18,-2p;1,-n,10;1,-j,1r;1,1i,k;1,8,-x;1,-5,-6;1,-w,h;1,-10,-12;1,1a,2f;1,-1d,-47;1,41,3t;1,-3v,-1y;3,-9,-1l;1,0,0;1,1y,1s;1,1d,47;1,-2w,-55;1,2x,57;1,-1v,-1v;3,-17,-33;1,-6,-v;1,p,-2;1,-3,-f;1,-8,1;1,-s,1w;6,8,-1m;1,2,-2;5u,-a5,47;1,0,0;1,0,-1;1,1,1;1,-1,0;1,2,2;1,-2,-4;1,2,9;1,-1,-d;1,-1,6;1,0,0;1,6,0;1,0,-1;1,0,2;1,0,-4;1,-1,7;1,2,-9;1,-2,d;1,1,-f;1,5,8;1,0,-3;1,7,4;1,0,-6;1,3,7;1,-l,-3;1,0,0;1,n,-3;1,-9,9;1,1,-b;1,-f,5;1,4,-a;1,d,h;1,-d,-l;1,-5,h;1,3,-e;1,-2,b;1,4,-i;1,-4,i;1,0,0;1,-4,4;1,-2,-7;1,-1,7;1,7,-h;1,-c,l;1,-3,-d;1,f,5;2,-d,0;2,11,7;1,-d,-d;2,7,0;1,4,i;1,-m,-2;5,0,-a;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,a;1,0,-a;1,0,0;1,0,0;2,0,0;1,t,-6;2,1,4;1,7,-3;1,a,-1;9,-1c,4;1,1,2;1,0,0;1,0,a;i,-c,1s;1,0,-2;1,7,-f;1,-1,-8;1,-p,-x;1,-p,g;1,-d,8;4,19,-3;1,-p,h;2,-e,-i;1,-7,d;1,p,m;3,0,1l;2,6,-c;1,-5,-2u;1,-5,-c;1,n,1g;1,-1g,8;1,1m,-i;1,-6,a;2,-1p,j;2,1i,-14;p,-o,-n;1,15,2f;5,c,-19;c,c,g;1,-1j,-5;1,3,1v;1,-f,-2v;1,4,h;7,1h,-m;1,-4,-2;1,5,6;1,-4,2;1,4,8;1,-4,-1;1,3,8;1,-3,-1;1,-2,1;1,1,-k;1,8,0;1,-d,k;1,a,-d;1,-3,-6;1,6,b;1,-6,-b;1,-9,1f;1,3,-9;1,5,-5;1,1,-b;1,-t,-x;1,-p,h;1,-d,5;1,1n,-i;1,-2,4;1,0,-a;1,3,t;1,-12,b;2,-9,-n;1,-g,i;1,p,q;1,12,-1f;1,1,4;1,-10,2s;1,v,-2k;1,-l,21;1,-9,-2o;1,2,-b;1,k,1f;1,-1f,4;1,1f,-c;1,-7,7;1,h,-z;1,-1y,1g;1,1x,-1b;1,-l,9;1,f,-b;1,-1,9;1,s,-d;1,-3,-2;1,1,5;1,5,-9;1,7,0;1,8,7;1,-l,4;1,-2,-7;1,9,3;1,3,5;1,1,-5;1,-9,-1;1,r,c;1,-6,a;1,-b,0;2,g,-o;1,-q,2;1,a,i;1,0,0;2,-a,-i;1,-1u,-7;1,17,2e;1,d,-20;1,0,0;2,0,0;1,0,t;1,-1q,x;1,1p,-20;1,2,0;1,-3,1;1,-2,-1;1,-3,1;1,7,1;1,-e,8;1,g,-a;2,-3,-3;1,5,x;1,-1a,j;1,-5,20;1,-9,-2z;1,7,i;1,13,-d;1,3,0;1,-6,3;1,-3,1;1,a,-9;2,i,-13;1,4,0;1,-4,-3;1,6,4;1,-6,-8;1,9,7;1,-8,-d;1,b,e;1,-b,-2;1,g,3;1,-g,-3;1,0,0;1,6,3;5,-6,-3;2,12,-2u;1,-4p,1k;1,30,-e;1,c,19;1,1t,l;1,-c,-57;1,-1n,3y;1,1a,1r;1,-1f,-7j;1,c,6k;2,19,11;1,t,-2c;1,-3n,-1x;1,23,-2x;1,-1,63;1,-2y,-6u;1,12,5n;1,1f,11;1,-a,l;1,h,-o;1,-4j,-15;1,5i,k;1,-1f,-6;1,28,-4h;1,-1l,5q;1,f,-5g;1,-2q,k;1,2s,16;1,-3i,-3d;1,7,7;1,2x,6r;1,-2k,-4q;1,22,4q;1,-1,-1v;1,f,1f;1,-2g,-4s;1,3r,1y;1,-7,21;1,-u,-47;1,2v,1r;1,-2m,2s;1,1d,-f;1,-1u,1a;1,-2h,-6i;1,1,f;1,-a,-e;1,5,n;2,7,-m;2,3i,m;1,-13,5x;1,6,-5;1,-3,-1;1,6,-4;1,-3,3;1,g,17;1,-j,-16;1,-3,-4;1,-2,d;1,2,2;1,3,1;1,9,-3;2,-e,0;2,d,-k;1,-a,-1;2,s,-15;2,-15,1j;3,0,-8;1,-1,-9;2x,-7,4p;1,-1,0;s,-q,1v;1,-q,x;1,1j,-2u;1,-t,4c;1,-p,3;1,8,-1w;1,7,-7;3,11,-2i;1,-w,46;1,36,-5c;1,-2j,2b;1,-14,1o;1,3z,-4o;1,-1y,1l;1,-29,3q;1,3z,-4m;1,-42,4a;2,1j,-1y;1,-1i,2a;1,4,-c;1,2q,-4a;1,r,x;1b,-6z,-10;1,14,2v;1,-1m,12;2,2k,16;1,-n,-17;1,-23,12;1,7,-6;1,1p,-18;1,-w,16;1,-5,-2j;2,-a,j;1,t,-1u;1,-19,28;1,q,-d;1,-f,1d;1,3d,-28;1,-y,-c;1,-2w,2a;1,4,-2s;1,19,-e;1,25,s;1,-2y,a;1,z,31;1,-1h,5;1,1s,-21;1,-1b,-1q;1,16,-9;1,-5,26;1,20,-12;1,-1m,3z;1,-1j,-6l;1,1i,-1b;1,-1d,4u;1,d,-1;1,0,-y;1,5,1k;1,9,-4x;1,-o,26;1,17,y;2,11,2d;1,-c,3;1,-1m,-3j;1,-6,5;2,-a,-3;2,-2,2e;2,2l,-2h;1,-2,-g;1,1,b;1,-2z,4h;3,31,-4g;4,-2i,o;8,z,38;1,-x,-1j;u,1u,-1v;1,1,4;1,0,0;1,c,-6;1,-7,1;1,-d,3;1,3,7;1,1,1;1,2,-3;1,1,8;1,0,-6;1,4,-1;1,-6,-8;1,-2,0;1,8,f;1,0,-a;1,-3,-1;1,9,1;1,-6,-3;1,-3,2;1,1,-2;1,-1,2;1,0,0;1,2,-1;1,-2,1;1,-2,-2;2,2,2;2,-4,b;1,4,-b;1,0,0;1,0,0;1,-f,-1;1,2,-15;1,-j,-2;1,1f,16;1,a,3;1,-4,3;1,-p,-4;1,d,-b;1,6,-2;1,-7,-c;1,-c,p;1,2,-9;1,-a,-3;1,-4,w;1,c,-5;1,5,1;1,3,-7;1,-8,-9;1,0,0;2,0,0;1,k,-5;1,-y,8;1,5,-k;i,9,h;2,-d,2;3g,65,2j;1,0,-4;9,-q,-19;1,n,t;8,-18,2z;2,-i,6;1,1z,-3f;1,9,1r;1,-y,12;1,-w,-1y;1,m,1g;1,14,-34;1,-o,1o;1,-9,e;1,11,-2t;1,-1e,4l;1,1a,-3r;1,-b,v;1,-i,x;1,12,1i;1,0,-1y;1,-x,23;1,r,-24;1,-i,14;1,-1a,-u;1,2q,-5;1n,15,-4i;1,1,1;1,0,0;1,3,8;1,-8,-b;6,5,3;4,4,-i;1,1f,l;1,-29,-2;1,w,-v;2,21,19;1,2s,-44;1,-9,1c;1,-2o,11;1,-3k,27;1,p,3c;3,x,1q;1,-q,-1i;1,2n,-1p;1,-1g,1n;1,-17,-q;1,4r,7;1,-2g,-1;1,-1b,-1z;1,3w,-2b;2,-53,10;1,2o,2c;1,2w,-2c;2,-2x,2z;1,-7,-c;1,2k,-x;1,-1p,-17;1,-1k,-2i;1,-1g,43;5,3b,-3s;1,j,1z;1,m,1y;6v,-5n,-4y;1,-2,-6;1,-7,b;1,a,-b;1,m,-1b;7,-f,1t;1,4,-9;1,-b,7;1,b,7;5,1f,-o;1,-1s,-1w;1,-1,3o;1,l,-1p;1,-1,15;1,-4,f;1,-2,-a;1,-h,-p;2,-4,2;1,h,-s;1,8,15;1,-u,-27;1,-8,25;1,1u,-15;1,-13,24;1,j,3;1,1d,-3c;1,-29,q;1,10,2l;1,-g,-1s;1,7,1r;1,-e,-2;1,-16,-1i;8,1k,1i;1e,z,-5b;1,d,-10;1,-26,-t;1,8,2;1,-8,1;1,-6,k;3,2c,a;2,b,t;1,3,-b;1,-a,-12;d,-t,-z;1,-1,-1;2,h,4;1,-2,0;1,o,w;1,46,t;1,-56,-19;1,1f,2o;1,1w,21;1,-40,-4z;1,1o,2f;1,-1f,-1i;1,s,-16;1,-q,-3;1,1w,m;1,-1a,-l;1,a,15;1,25,a;1,-k,-16;1,-2l,-9;1k,13,e3;1,2h,-8;1,-13,1g;1,-3,-1a;1,-17,x;1,36,-3;1,-2z,j;2,23,-39;1,-1a,34;1,-16,-n;2,4c,-3;1,-33,s;5,1e,-2f;f,1p,9;3,-11,n;2,-1f,i;4,-1u,-7;1,44,-b;2,-l,g;8,-e9,-8;1,dp,x;cd,-2k,7z;1,-22,-z;2,1w,h;1,-7,-42;1,-24,3b;1,1j,-1v;1,8,33;1,-24,1u;1,2x,-17;1,-3s,i;1,5o,-20;1,-5,-1g;1,-2o,-x;1,-1,3p;1,-v,6;1,4b,-1s;1,-b,-1x;2,-2y,-13;1,2,-4;1,-q,3c;1,-w,-7;1,2v,4;1,r,-5;1,-2l,-1a;1,38,o;1,-4u,i;1,5e,-o;2,-4a,y;1,8,1u;2,4,-49;1,9,48;1,-1b,-k;1,4k,-47;1,-34,z;2,a,4;1,17,2w;1,-22,-z;1,1c,g;1,z,-e;1,-v,-3z;1,2b,36;1,-2t,1s;1,6,-u;1,-f,-2q;2,3,-s;1,16,4a;1,3,-17;3,-17,22;3,-9,-s;1,-u,-16;1,-5,15;1,-k,-18;1,9,21;1,4h,-1h;4,-3n,-e;2,d,2v;2,1o,-1w;b,4,1;i,-19,-u;1,-c,-1;1,-4,-2;1,6,0;1,-6,-2;1,4,7;1,5,-2;1,-6,7;1,8,0;1,-4,-1;1,2,6;1,-3,0;1,8,-8;1,1,-7;1,-e,c;1,1,0;1,-4,0;2,2,-c;1,a,-3;1,-9,-3;1,d,m;1,-b,0;1,i,-h;1,-l,1;6,0,0;d,s,-4;7,-u,-f;2,2,j;1,0,0;4,4,2;7,0,1;9,-4,-3;2,0,0;5,0,0;3,0,0;1,0,0;2,0,0;3,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,4,2;1,0,0;1,-4,-2;2u,1b,-5r;1,2,0;3,-8,-3;5,z,j;1,-r,-2;1,-b,s;1,u,t;2,-2r,-1u;1,27,k;1,6,-r;2,-8,-7;1,s,1;1,-1t,x;1,14,-g;1,-d,1d;2,1o,-1a;1,-1t,-8;1,-s,-d;1,2a,-j;j,-15,2c;a,-1c,-n;7,36,-u;1,-1u,1h;a,0,0;q,3i,0;1,3,3;8,5,e;2,-a,i;1,-2,-f;2,a,-a;1,-b,-y;1,5,7;1,m,h;1,-9,1h;1,-l,-31;1,a,m;y,-1c,-j;6,e,-g;12,z,28;2,-2z,5t;1,-1,4;1,0,0;1,0,0;1,-7,7;1,k,-c;1,-g,-3;1,-d,9;1,-1,-5;1,1u,-q;1,-9,j;1,2d,1o;1,-10,-o;1,-6,g;1,-4,-2j;1,-u,0;1,i,1v;1,b,-29;1,s,2p;1,f,-2p;1,-25,2c;1,-d,-l;1,1,9;1,2k,j;1,-x,m;2,-16,-15;1,1w,-3c;1,-17,45;1,-7,-1t;1,-e,x;1,-n,-i;1,0,0;2,-1a,w;2,1i,-13;1,-1t,1m;1,2x,-2u;1,-2w,1s;3,1z,q;1,-r,-1n;1,-1,-3;2,-3,a;1,z,2;1,f,i;2,14,-1l;1,-38,2i;1,1p,-4;1,x,-u;2,j,16;1,-10,-2;1,x,e;2,-3q,0;2,g,-l;2,34,4;1,-37,k;1,1n,-1r;1,-6,4;2,-1n,1z;2,2s,-q;2,-1r,-9;1,2,-p;1,2h,-1s;1,-1j,28;1,1g,-l;1,-1p,g;1,9,o;1,18,0;1,-4,-1l;1,-11,h;1,-2h,1p;9,p,-1q;2,0,0;1o,-71,-2r;1b,78,4u;9,27,-1;1,-3a,a;1,1z,-b;1,n,-e;1,w,w;1,-1b,-10;3,1i,f;4,-13,4;1,-a,-e;1,-2f,u;4,3t,1g;1,-j,-n;1,-m,1k;1,-1c,-2x;1,w,-5;1,-h,3z;1,u,-39;1,-4,-5;1,-8,-9;4,2k,26;2,-30,-2g;1,d,38;2,-j,-2o;1,9,2w;1,1h,-1g;2,i,-1g;1,-22,j;2,g,n;1,-j,-t;1c,-4u,-5b;j,-g,-4m;1,f,1h;2,c,34;1,-y,-5p;1,t,4r;2,l,-35;1,-b,41;1,6,-54;1,-1k,0;1,1g,56;1,-15,7;1x,-1u,-18;t,-v,-5;1,b,-9;2,-h,d;2,16,6;1,-19,-5;1,-a,b;2,22,-t;1,-22,13;1,5,-g;1,15,-7;1,j,-12;1m,-2u,2k;1,9,q;1,-b,-q;1,f,-7;1,-a,2;1,-1,1;1,1,-1;1,-1c,c;1,m,-5f;2,q,5g;1,q,-a;1,0,0;7,-1h,-5y;1,-5,6e;1,26,-4e;1,-2,6;1,-1x,46;1,2r,-5r;1,-s,1j;1,-22,42;1,2k,-5c;1,-35,2p;1,14,-b;1,1,1;1,f,2l;1,-9,-7;1,q,-36;2,k,1;2,l,-1l;1,x,-j;1,-3x,18;1,2j,12;1,c,w;1,-r,-1g;1,-1f,3r;1,i,-5c;1,-5,5b;1,-6,a;1,-6,4;1,24,-3s;2,k,-2f;1,-1w,6d;1,17,-4h;1,-11,3n;1,k,-53;1,-2d,-t;2,w,6e;3,1r,-4a;1,-6,d;1,-2j,4a;2,2h,-4q;7,-1n,4l;9,a,13;k,63,8g;1,-1,1;1,-2,-b;9,16,j;1,-2u,4;1,-p,-r;1,15,2;1,0,-t;2,v,5;1,l,-1t;1,z,2l;1,-b,-1q;1,-2e,f;1,-c,1q;1,21,-1c;1,-2d,z;1,o,-6;4,y,0;2,-q,f;1,1k,-s;1,-f,-1j;1,7,2o;1,6,-4p;1t,-2a,12;1,-y,-6;1,7,-a;7,-1h,c;1,-9,8;2,1s,1x;7,-2q,-1o;1,-7,-5;9,2d,-9;1,-23,3e;1,1v,-39;8,-13,3b;1,3,-8;1,6,6;2,-b,2;6,c,-4f;2,-1z,49;1,2h,-39;1,-10,1;1,i,12;1,-1j,-b;4,1w,22;2,j,3;1,-2o,-23;1,1w,v;1,-r,1d;2,1v,-4;1,-30,-2z;x,43,-45;9,-24,-8;1,1,-1;1,1h,s;2,-s,-i;2,15,x;1,-1v,-e;1,3k,e;3,19,5;2,-34,-4;1,-b,8;1,-19,-12;5,-a,-q;6,1j,29;1,-15,-1w;1,1f,1l;1,-1m,-e;1,v,-p;1,s,7;1,-35,-12;1,2q,2m;1,-1z,-s;1,1z,-n;1,1,b;1,-1j,-8;1,1m,r;1,-1g,-17;1,-o,9;1,22,1a;1,-u,-26;1,4b,2a;1,-51,-w;1,1g,-i;1a,54,5h;9,21,1f;1,-25,5;3,4l,-2c;1,-y,29;1,-2y,-2u;1,-z,-k;1,4q,1i;1,e,3;2,-48,-1o;1,2n,1b;2,7,1a;2,-2s,7;1,-1w,-y;3,2l,1t;1,-1i,-33;2,-g,1a;1,k,1e;1,-r,-3n;1,3u,41;3,-25,-4a;1z,-ah,-4i;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,f,-d;1,-f,d;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;3,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;5,0,0;8i,cv,-no;4,-13,-f;2o,3w,-y;1,-3p,z;1,2a,-4l;1,-25,3d;1,-8,1l;1,-4,-e;1,2c,2c;1,2c,-12;1,-4o,-1a;1,55,-8n;1,-4n,8s;1,-a,-c;1,4q,-64;1,-4l,60;1,-2,b;1,-b,0;1,4m,-q;1,-2u,-18;1,-2b,d;1,28,-2t;1,5,5s;1,5f,-78;1,-58,30;1,f,5c;1,-c,-1m;1,-2j,-1v;1,2v,3c;1,-4l,-1r;1,-3,b;1,30,-1c;1,5,-5;1,-4,0;1,6,4;1,1h,2z;2,-1p,-2y;1,-4,j;2,-2j,6;1,3o,14;1,-10,-47;1,4e,4f;1,b,-1;1,-5k,-26;1,7t,-59;1,-8w,62;1,65,-83;1,-4b,50;1,5a,-3f;3,-5s,5v;1,-6,f;1,1,-o;6,w,-2b;1,-e,a;6,1i,3j;3,-9,-2s;4,-1h,1m;3,0,b;4,m,-d;3,2,-4;1,3,-5;1,-3,7;1,-6,-2;e,-5,3;1,-3,-8;1,-3,-2;1,4,b;1,-6,-4;1,9,-1;1,-1,-6;1,3,0;1,-7,7;1,4,8;1,0,-7;1,-1,b;1,-7,-n;1,-8,g;1,l,3;1,-5,-7;1,-4,-e;1,-5,6;1,2,8;1,-1,5;1,3,0;1,0,4;1,-8,-a;1,13,-x;1,-l,l;1,-5,d;1,0,0;1,3,-c;1,4,-1;1,1,5;1,5,-2;1,-s,9;1,f,1;1,4,-f;1,-7,-4;1,4,j;1,-1,0;1,0,-m;1,-g,f;1,8,6;1,-8,-6;1,e,h;1,h,-p;1,-e,-3;1,-1,4;1,-3,6;1,-3,-6;1,-5,-3;1,m,2;1,-b,f;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,3,a;1,-3,-a;1,0,0;1,0,0;1,0,0;1,-h,-m;1,h,m;1,0,0;1,0,0;1,g,-j;1,0,-1;3,-l,k;1,5,0;3,0,0;4,0,0;1,-h,-f;1,p,-o;1,-8,13;3,-h,-2;2,h,2;6,7,b;2,-7,-b;2,0,0;4,0,0;2u,8k,p;9,q,-63;1,-1j,7w;3,-3,-43;1,14,2h;1,q,-39;1,-21,2q;1,1i,n;1,-c,-l;2b,-5,-dx;1,5,1b;1,7j,2i;1,-3u,-20;1,-36,1k;1,0,1;1,d,-19;1,-21,3n;1,0,-4p;1,g,-l;1,4i,1a;1,-4g,-1m;1,5a,6t;1,-6q,-37;3,5m,1p;1,-11,-18;1,-4n,t;1,9m,1f;1,-9y,-18;1,1r,-4i;1,29,11;1,54,41;1,-g,y;1,-73,-3d;1,v,-2e;1,b,11;1,-1p,-3;1,26,-1a;1,-2,1;1,7,-3;1,-5,6;1,-2,-3;1,a,4;2,38,76;1,-3j,-7x;1,-m,w;1,10,-4;1,-1,15;2,-29,-6;1,5x,4g;1,b,-1;1,-5t,-3w;1,3,-23;1,-6,0;1,u,-4;1,0,0;1,0,-1;8,-y,n;10,1j,2n;5,6,-2v;1,-3,3;1,4,-6;1,-1,3;1,-1,-3;1,c,-3;1,-a,5;1,e,-c;1,-i,c;1,r,m;1,-z,-h;1,d,-3;1,-2,-1;2,0,0;4,-5,-5;1,5,5;1,-f,c;2,e,-l;a,2,-1;m,-2,a;2,1,0;d,0,0;p,0,0;4,0,0;2u,-12,6;1,-1,-1;1,3,-2;1,a,-4;1,-l,1;1,e,6;5,-3,-3;1,0,0;1,0,0;1,0,0;7,0,0;28,4u,bt;1,-8,-n;1,0,0;c,-8,g;5,-d,-3s;1,-l,12;1,v,1b;1,z,2c;1,-5,-e;1,2f,1x;1,0,-1u;2,-36,2;2,1f,39;1,1m,-4y;1,b,-d;1,-4b,2f;1,2j,-2r;1,-k,3i;1c,-11,2h;3a,-it,-bm;1,-2,0;1,2,-2;1,b,-3;1,-2,0;1,-1,1;1,-2,0;1,-2,-5;1,4,a;1,1,-6;1,-5,4;1,5,2;1,-2,0;1,0,-1;1,0,-2;1,-1,-8;1,3,8;1,-3,-5;1,2,-1;1,2,3;1,-4,6;1,-1,8;1,0,-4;1,4,-o;1,-2,-1;1,4,j;1,2,-3;1,0,-4;1,-1,4;1,-4,5;1,3,3;1,0,3;1,-3,-3;1,-2,-j;1,2,2;1,2,3;1,-7,6;1,9,-3;1,2,6;1,-c,b;1,e,-6;1,-2,2;1,-c,-e;1,-3,4;1,0,-a;1,f,2;1,-f,6;1,b,-6;1,0,-a;1,-2,n;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-6,-d;1,7,9;1,-6,7;1,-7,-4;1,c,1;1,-d,-3;1,8,-4;1,5,c;1,-1,-o;1,7,k;1,-b,-k;1,6,2;1,6,8;1,-3,-5;1,-4,e;1,0,-1;1,0,1;1,-q,-6;1,q,6;1,0,0;1,0,0;1,6,-l;1,-6,l;1,-q,-6;1,q,6;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,-q,-6;1,s,6;1,-2,0;2,0,0;1,-8,-j;1,-i,d;1,q,6;3,0,0;2,-6,8;1,2,-3;1,-2,3;2e,6,-a;c,-8,b;1,1,-4;7,9,-l;1,2,-1;1,-2,3;1,-1,-2;1,1,0;7,-k,g;1,1,2;1,3,-2;1,-1,2;1,-b,-8;6,k,-a;1,3,0;1,0,0;1,0,0;6,-8,r;1,2,1;1,-2,-1;1,-2,-1;3,0,-r;2,-3,b;1,-1,2;1,2,-4;1,1,-3;1,1,0;3,-6,-5;1,c,i;5,-9,-d;1,0,0;1,3,f;1,9,-1p;1,0,0;1,3,7;1,-f,y;1,-a,a;3,k,b;2,6,-y;2,-s,f;1,-2,1;2,8,-1;1,4,1;2,8,h;a,g,-14;1,-c,e;1,-1,1;1,-2,1;1,3,-2;1,-k,g;1,0,0;5,h,-6;1,1,1;1,-3,2;1,0,-3;1,2,3;1,0,-2;1,-h,5;1,h,-5;1,-h,5;1,0,0;1,h,-5;1,0,0;1,0,0;2c,0,0;1,0,0;3,6,-e;1,1,-1;1,0,1;1,0,2;1,-2,0;1,1,-2;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2i,-j,i;1,0,2;1,1,-6;1,3,2;1,-6,-2;1,-2,5;1,0,0;1,0,0;1,0,0;1,0,0;2j,l,q;1,-3,1;1,-3,4;1,-1,-2;1,1,-3;1,4,-3;1,0,4;1,0,0;1,0,0;1,0,0;2,-2,1;8,-c,1;1,4,2;1,-3,-1;1,0,-4;1,1,4;6,-4,-4;1,b,9;1,-2,0;1,2,0;4,-1,-6;1,-1,0;1,0,-1;1,a,-9;a,-a,3;1,-1,0;1,0,0;7,0,1;1,9,-2;1,-1,-1;1,0,0;8,-3,2;1,0,-1;9,-f,9;l,7,-7;1,0,-1;1,0,1;1,-1i,-r;2,1k,l;1,-1,1;3,-8,-i;1,-1,0;1,6,f;1,0,4;1,0,-2;1,-1,5;1,-1,1;1,-4,-p;3,1,q;1,0,-1;2,a,-9;8,-h,-d;1,1,-2;1,5,1;1,0,0;6,-3,m;2,-4,1;1,1,-1;1,6,-i;1,3,-1;1,4,1;1,1,1;1,-9,-1;1,1,-4;6,1,d;1a,-3,-2;1,0,1;1,-1,5;1,3,-1;1,7,-4;1,-6,-1;1,3,1;1,-1,7;1,-3,-j;1,3,7;3,-4,5;1,-1,3;1,2,3;7,0,-4;9,-2,-4;1,0,1;1,0,-1;1,0,0;1,0,0;5,1,8;2,1,-i;2,-2,b;1,0,1;1,5,3;1,-3,-f;1,0,0;5,0,0;z,-2,c;7,7,-4;4,-7,3;2u,16,5;2,0,1;3,-6,a;1,-1,-2;1,3,9;1,-1,-2;1,0,2;1,8,-p;1,-2,2;4,-6,j;1,1,0;3,6,-n;1,0,1;2,2,f;1,-6,2;1,-1,0;5,-5,-a;1,1,0;9,e,-j;1,1,4;1,-2,2;1,0,-1;3,-4,5;k,-7,k;b,0,0;o,1,-a;1,0,0;1,2,-2;1,0,3;1,-3,-3;1,0,3;1,1,4;1,-3,-2;1,3,-3;1,0,0;4,0,0;1,0,0;1,0,0;1,0,0;1,-3,3;3,3,-3;2,0,0;1,0,0;1,0,0;1,0,0;3,0,0;2,0,-1;1f,0,1;2,0,0;1,0,0;3,0,0;1,0,0;2,0,-1;8,0,1;2,2,-f;1,0,2;1,-2,1;1,-1,0;1,0,2;1,2,1;1,0,-2;1,3,2;1,-5,-3;1,0,0;4,9,1;7,-9,-1;1,0,0;2,8,2;1,-8,-2;1,0,0;23,-2,-1e;1,2,a;1,6,6;1,2,-1;1,-2,1;1,1,3;1,-1,-7;1,0,0;1,0,4;1,t,-2;1,-n,3;2,0,-1;3,-9,8;3,1,-13;1,0,-3;1,k,16;1,0,-1;2,-e,-2;1,0,3;1,2,-6;1,-3,4;1,0,0;1,0,0;1,0,0;1,3,c;2,0,-1;1,0,0;1,-6,-b;2,0,0;3,9,a;1,-1,0;1,3,1;1,-7,-5;1,4,-2;1,-2,4;1,0,-1;4,h,-3;1,0,5;1,-l,8;1,0,0;1,n,-h;1,-5,-1;1,-n,1;1,0,-1;1,0,-t;1,-2,3;1,6,-6;1,-6,3;1,4,2;1,-5,2;1,2,k;1,1,-1;2,1,-1;4,-1,1;1,-1,-3;4,-2,-d;1,5,0;3,k,n;1,-1,-7;1,1,7;1,0,0;1,9,-9;1,-4,2;1,-2,e;1,-1,4;1,-l,-4;2,r,-6;2,-g,8;1,-7,-3;1,2,-4;1,0,5;1,-5,-a;3,-5,-3;2,2,h;1,5,-2;1,-8,-1;1,4,1;1,1,0;1,0,-4;1,-1,4;1,0,0;1,0,0;1,0,0;1,-1,-1;1,4,1;1,-7,0;3,1,-5;7,-1,7;3,1,-7;a,-1,1;y,4,4;c,0,0;d,-4,0;1,4,0;1,1,-2;2,-1,2;2,0,f;1,-2,-1;1,1,0;1,2,-2;1,-3,-1;1,0,2;1,1,1;1,0,0;2,0,0;b,0,0;1,0,0;1,0,0;3,0,0;23,-1,-6;1,-2,0;1,2,-1;1,-3,-1;1,7,-1;1,-2,1;1,-2,-1;1,-3,5;1,3,-3;1,-12,8;1,12,-8;1,0,0;2,-2,-2;1,2,2;1,0,0;1,-1,-2;1,1,2;2b,-3,26;1,-2,-u;4,-2,-7;2,-f,x;1,3,-9;1,3,5;1,a,-4;3,-9,-o;1,0,0;1,0,0;6,8,5;1,-1,3;1,0,2;5,2,r;1,0,0;1,-3,-19;1,-1,3;1,-1,-3;1,1,1;1,0,0;2,8,19;2,2,6;1,-4,-y;1,2,2;2,-8,p;1,-4,-z;1,-3,-3;1,4,-2;1,-2,4;1,-4,5;1,4,-5;1,a,i;2,-d,p;2,6,-1p;1,0,2;1,1,-1;2,0,1b;1,-r,-1t;2,o,1w;1,3,-5;1,1,-3;1,1,7;1,-7,-i;1,3,5;1,4,2;1,-1,-4;1,-1,3;1,1,-y;1,1,2;1,0,0;1,2,p;2,2,-r;1,-3,-1;2,1,-1;2,0,6;4,4,13;1,-3,0;1,0,0;2,-9,-l;1,0,2;1,5,-9;1,0,4;1,-5,0;1,5,-4;2,-5,9;2,6,-b;1,-2,z;1,-1,-e;2,4,-12;1,1,0;1,-3,-1;1,3,1;11,-1,1;1j,1,-1;3,0,0;2,-3j,3u;1,-g,-r;1,h,p;2,-h,19;1,-1,-h;2,0,-1i;1,-2,-5;1,0,1;1,-3,1;1,3,-2;1,1,9;1,1,2;1,-3,3;1,o,y;1,-p,-d;4,2,-z;a,l,1g;1,-r,-1j;1,0,0;1,4,2j;1,a,-1r;6,4,-i;1,2,-1;1,-1,0;1,0,0;1,-4,-1;1,1,0;1,-8,-4;1,l,1t;2,-k,-1v;1,1,-1;b,g,1n;1,-m,-9;d,c,-14;1,-2,0;1,1,4;1,1,-4;1,-f,12;7,-1,-1;3,2,2;d,1x,-1m;1,-5,2c;3,-m,-2k;1,e,-5;1,-6,6;1,6,-4;1,-5,1;2,5,-6;1,-j,a;4,j,-a;1,-12,17;1,1,-5;1,3,5;1,-3,-4;1,p,-x;1,1,2;1,6,k;1,5,-3;1,-2,5;1,n,-i;1,-s,c;1,3,2;3,0,0;3,-7,1g;1,-k,-1w;1,0,-2;1,0,0;1,1,z;6,q,-h;3,8,-t;2,0,0;1,0,0;2,1,2;1,3,-2;1,-4,a;1,4,-2;1,-4,-8;1,i,v;1,-6,j;1,-1,-8;3,-x,-8;1,5,j;1,i,x;1,-k,-1y;1,m,-a;1,-9,f;1,1,1b;1,-u,-t;1,-1,2;2,c,-7;1,3,-m;3,d,8;1,2,1;2,2,-7;1,9,n;1,-5,-o;1,1,3;1,-1,-2;1,b,1n;2,7,-1o;2,-1n,t;1,h,-9;1,-b,-m;1,0,0;3,t,a;5,-16,1;1,-1,4;1,4,-4;1,0,3;1,-1,4;1,-1,-e;1,1,-1;1,4,b;1,2,-b;1,-4,4;1,4,3;1,-8,1;1,-2,4;1,1,7;1,5,-2;1,0,-5;1,6,-8;1,-e,3;1,c,e;1,0,-4;1,9,-d;1,-3,-1;1,-6,7;1,2,4;2,a,-4;1,b,5;1,-2,2;1,-4,-5;1,-1,-b;1,-5,e;1,-r,-5;1,8,-7;1,0,6;1,0,-1;1,-4,4;1,h,0;1,-d,-4;1,-4,b;1,6,-f;2,-2,4;1,1i,1n;2,-11,-1h;2,-h,-6;2,0,0;1,0,0;2,0,0;1,0,0;1,-e,9;1,9,-a;3,5,1;1,0,0;1,0,0;1,f,-7;1,-g,b;1,1,-4;1,2,4;1,-2,-4;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-g,c;1,g,-c;1,0,0;1,0,0;1,0,0;1,-3,-2;1,3,2;3,6,8;2,-7,-8;2,1,0;1,0,0;3,0,0;1,0,0;1,0,0;1,0,0;1,8,3;1,-8,-3;1,0,0;1,0,0;1,0,0;1,3,-3;2,2p,2p;1,3,g;1,0,-l;7,-3,-7;1,4,0;9,h,-1j;2,-37,6h;1,39,-6p;2,-y,6l;1,-1,-5;1,-1q,-2g;3,2l,-3g;1,-3f,3j;1,0,0;1,1d,-1;1,1s,-2o;1,-3,0;1,-b,t;3,e,29;1,e,-37;1,-7,h;1,t,5n;1,-3u,-3h;1,0,-c;3,2g,-1p;1,0,0;1,-2n,2e;1,9,6;1,4,-j;1,3m,-21;1,-1c,-1;1,-c,t;1,h,-10;1,y,-j;1,-1w,2f;1,1i,-2c;1,-3a,1j;1,2q,-13;1,-6,-3;1,i,-c;1,-8,-1;1,4,2;2,-17,4y;1,2k,1o;1,-a,-6k;2,-17,8;3,-2p,21;1,25,-1b;1,-p,k;1,1e,-15;1,y,v;1,9,0;2,-8,45;1,-34,-2u;1,2n,-2z;1,-2t,5h;1,3a,-4u;1,f,-9;1,-d,h;6,-z,-j;9,23,-2g;3,-2,4o;1,-15,-3d;2,12,-q;1,-6,2;1,2h,35;1,-a,-1s;1,-11,-y;1,1,2;1,-2f,-t;1,n,1e;1,-2,-a;1,-h,-1d;1,e,w;1,-g,-f;2,-6,j;1,q,-b;1,0,-i;1,2r,53;1,-3d,-4z;1,l,1;1,0,8;1,1r,v;1,4g,0;1,-5o,-1w;2,-y,b;1,1e,58;1,-x,-3t;1,-h,-1c;1,-1,-3;1,4,2;1,-7,-3;1,1v,3n;1,-1r,-26;1,y,-10;1,-k,n;1,1g,-r;2,-x,-7;1,0,b;1,-t,9;1,28,3;3,-2g,-8;2,l,6;2,-l,-5;2,14,x;1,-14,-y;1,l,-q;1,-i,15;4,1y,70;1,1x,-1w;1,-1m,-44;1,1m,3d;2,-2d,-4z;1,-1c,b;2,u,-u;1,0,-c;1,-14,1a;1,3,1;1,-1,-1;1,5,-k;1,5,-2;1,7,i;4,-2,b;2,4w,2c;1,-4t,-2j;1,0,z;3,4m,1w;2,-4m,-30;1,o,-i;1,6,c;1,2,-6;1,-6,6;2,-e,-x;1,1j,28;1,-2g,-n;2,8,-o;1,0,0;1,0,0;1,3,3;1,0,-4;1,-3,1;1,b,-a;1,-e,c;2,3,-3;1,1,-2;1,-4,6;1,3,-3;1,7,3;1,-7,-3;3,0,0;5,0,0;1,3,-1;3,-3,1;22,-c,-8;1,-4,-3;1,-3,-6;1,1,5;1,-1,-8;1,3,b;1,3,4;1,-9,4;1,b,-e;4,-5,4;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;8,-t,5;1,1,2;1,2,3;4,-o,1e;3,c,9;4,h,-q;1,0,5;1,0,-a;1,1,5;2,0,-e;1,-2,14;2,f,-1g;1,6,0;1,-2,-1;1,2,1;1,0,4;1,0,-4;1,2,-2;4,-q,1g;1,-e,-1i;1,1,9;1,-2,-3;3,q,b;3,-2,-m;1,2,a;1,-3,-1;9,0,r;1,1,-2;1,1,5;1,-e,-o;1,9,0;1,-5,-3;1,1,-4;2,-m,9;1,0,-3;1,3,5;1,-2,3;1,-1,-5;2,b,-b;1,2,h;3,g,-e;3,-4,-1g;1,-c,-4;1,7,0;1,3,-m;1,-2,j;1,-h,b;2,9,2;1,5,3;2,-1,-h;2,2,0;1,-2,-e;1,-1,d;1,-1,0;1,7,d;1,-4,-5;1,3,0;3,-1,-5;1,-n,f;1,e,-l;1,8,-4;1,-3,-1;1,-1,0;1,-h,m;1,h,1;7,-3,-4;9,6,-o;1,5,-3;1,-4,-1;1,4,-4;1,-4,t;1,-e,-2;1,0,0;1,5,8;1,1,-2;1,e,-q;1,-h,r;1,2,-c;1,5,-3;1,-2,-6;1,1,5;1,-3,-3;1,1,1;1,1,-4;9,-i,v;1,2,-2;1,-2,2;1,7,-4;1,o,4;1,-o,-9;1,f,c;1,0,0;4,9,-14;1,1,-2;1,-1,1;3,-a,15;2,-4,-5;1,0,-2;1,0,2;1,-b,-3;1,5,5;3,a,-m;1,2,0;3,8,-1;1,-1,-2;1,1,-4;1,-3,0;1,3,c;1,2,-a;1,-6,2;1,0,-8;1,-4,m;1,3,-8;1,7,1;1,-2,-7;d,0,1;3,-4,-7;7,1,8;19,2,3;1,0,0;1,-1,3;h,-1,-c;2,c,-4;1,-3,3;1,3,-2;1,-2,-3;1,2,6;1,0,4;1,1,8;1,1,4;1,-2,-j;2,3,b;1,-5,-a;2,0,-3;1,1,5;1,1,2;1,1,a;4,8,-9;1,-1,-1;1,0,9;2,-8,-b;6,5,2;1,-2,-4;1,1,-3;1,0,6;1,2,-1;1,-2,1;1,-1,-6;1,2,3;2,-a,0;1,-1,-5;1,0,3;1,-1,2;1,0,-4;1,1,-6;1,1,0;4,5,7;6,-6,c;1,5,-1;2,-3,6;1,c,o;1,-a,-q;1,-3,a;1,3,-c;1,-1,0;1,2,-2;1,-4,1;1,2,-1;1,-2,-3;1,0,9;1,8,-6;1,1,-1;6,0,t;1,0,0;1,0,3;1,4,-7;1,-a,9;1,2,-8;1,-9,d;2,e,-z;1,2,3;1,-3,6;c,-4,-e;2u,1d,-45;1,-5,7;1,0,7;1,0,5;1,0,-c;1,0,0;1,0,0;2,8,e;1,-d,a;1,-1,1;1,0,5;1,i,-1h;1,0,0;1,0,1o;1,0,0;4,-b,4;1,-1,0;1,c,-16;1,5,4;1,0,2;6,-o,7;1,-i,4;1,h,-5;1,-3,1;1,-e,4;1,f,-9;1,6,4;4,k,13;1,-s,-15;1,-5,9;1,5,-a;1,-1,1;g,k,d;1,0,1;1,-8,s;1,3,a;1,-4,-3;1,1,-6;1,1,-o;1,e,-1n;q,-f,2h;1,0,-7;5,0,0;2,f,-2l;1,0,1;1,1,2;2,1,-5;1,-1,-b;1,-1,-2;1,2,o;1,-4,-a;1,4,-4;1,1,-4;5,-1,-3;1,-1,-3;1,1,3;2,-2,d;1,0,0;9,0,0;a,0,0;a,0,0;a,0,0;u,0,0;9,-g,-f;2,4j,10;1,16,-m;1,-33,2g;1,27,-3l;1,-14,4k;1,-j,-2r;1,1c,29;1,q,5;2,2,-4u;2,-7,27;3,-w,v;1,0,0;2,c,k;1,-2,-n;1,-1g,15;1,2n,-q;1,-41,-3;1,41,-5;1,-34,-x;1,-z,1e;1,2j,w;1,1q,-1z;3,-3,-m;2,0,0;2,-9,-19;1,f,2g;2,8,w;1,-1z,1e;1,p,-4c;1,-y,46;1,-15,-19;1,3a,-29;1,-4c,2e;1,4i,-d;1,-n,-2b;1,-d,-7;1,7,28;2,-1n,-1o;1,6,1a;1,-12,-15;1,-o,o;2,-6,-16;1,1w,4s;1,s,-38;1,b,n;1,-4,2;2,-m,z;1,0,-1b;1,27,16;1,-32,-1l;2,1s,1c;1,4,-2u;1,-3,22;1,-2s,-12;2,29,17;1,1c,e;1,-13,-16;2,f,-3;1,1,-1;1,-2j,-1;1,2t,5;1,2,2;1,0,0;1,-1w,-g;2,1c,-7;1,-1d,3f;2,8,-h;1,1z,-1r;1,-20,p;3,1q,-19;1,3,-1;1,-3,1;9,-2m,r;1,-2,0;1,-8,b;1,5,-b;1,5,3;1,0,5;1,-6,-4;1,9,-6;1,-8,-2;2,-4,-5;1,9,-1;1,-9,7;1,9,-c;1u,-a,q;1,8,-a;1,-c,1;1,4,9;1,8,-b;1,-8,b;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;b,-3,-4u;1,6,-i;1,-4,h;2,1,-2;1,-1,2;1,0,0;1,0,0;1,-6,2;1,d,i;2,-4,-11;8,-e,10;1,-5,-c;1,10,-7;1,-5,-b;1,-p,4;2,1r,-o;1,-3b,26;1,2m,-2h;1,-1z,1j;1,1n,-10;2,4,19;1,-10,-i;1,-g,5;1,1h,-15;1,-2b,1h;1,9,-7;1,-b,6;2,b,q;1,-8,9;1,1z,-21;1,-1,-1;1,-y,10;1,7,-c;1,1i,-9;1,c,1;1,-1q,5;1,2,-1;1,2b,-l;1,-9,r;1,-n,-1j;1,-v,2g;1,-15,-h;1,-c,0;1,c,-1;1,0,0;1,0,-6;2,-x,17;1,2v,-u;2,-2s,k;1,2,6;1,2h,-1o;a,-1a,a;8,2,-1;i,-7,6t;1,0,0;2,e,s;1,-6,-8;5,-1t,-n;2,9h,-10;1,-20,r;1,x,-b;1,-e,0;1,-6k,22;1,92,-4b;1,-81,23;1,-6,1d;3,2q,11;1,-3s,-y;1,0,3;2,5b,-t;1,-3c,y;1,-r,m;1,6p,-40;1,-3l,3d;1,-3h,-22;1,-1k,7;2,1,13;1,2,r;1,4,-1d;3,-5,n;2,95,-2q;1,-5p,3d;1,-41,-6;1,0,m;1,5t,-v;1,2v,-29;3,-3u,2j;1,-52,-d;1,j,-e;1,-3,l;1,-f,b;1,2p,j;1,n,5;1,0,0;2,-r,5;2,-1c,-20;1,q,-b;1,1q,2z;1,-3r,-12;i,21,-1x;3,-17,v;2,0,0;4,-c,2;1,2,v;1,38,18;4,-24,-s;3,-16,-1b;2,7v,-4g;1,-y,q;1,-18,19;1,1x,-1j;1,-c,v;1,-14,-25;1,-l,c;1,-a,-18;1,5,1e;1,1k,-17;1,-r,1n;1,-2,-3;1,2,1;1,13,-5;1,-1y,1a;1,d,-u;2,-c,k;1,v,-q;1,g,-2q;1,-q,4a;1,d,-3u;1,1p,2b;1,-36,-1b;1,t,18;1,15,-1;1,-1f,-16;1,m,36;2,-2,-33;1,-m,1h;2,m,1m;1,1g,-l;1,-j,-4o;1,-b,2p;1,-1,-k;1,a,5;1,-8,-3;1,-m,-z;1,-5,3s;1,1s,3;1,-c,-1d;1,e,-d;1,-j,-3;1,-1h,z;1,-8,4;1,6,-q;1,n,j;1,0,-19;1,f,r;1,-13,-11;1,1w,2;1,-1w,18;2,-h,-17;1,t,w;3,-b,-1s;1,1m,-1a;1,-1q,2v;2,1l,z;1,-i,-3u;1,-15,3n;1,18,-5;1,-x,-2f;1,1q,1y;1,-29,u;3,-1,-m;2,p,u;q,4,-1p;1,-1,4;1,3,-1;1,3,-4;1,-1,-3;1,-e,-h;1,a,10;1,0,0;1,0,0;1,7,-c;1,1,-7;1,-8,j;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,b,-d;1,-c,-1;1,5,-a;1,0,-7;1,-4,v;1,-d,-9;1,h,-3;1,-4,5;1,1,-a;1,-1,h;1,e,-c;7,-e,-1;3,0,d;1,0,0;3,0,0;1,0,0;2,0,0;3,0,0;5,0,0;5,0,0;1,0,0;3,0,0;1,0,0;6,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,-2,-g;4,9,4;2,-7,c;4,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1e,0,0;18,0,0;d,-8,-5m;1,1,0;3,0,4;1,3,-2;1,5,-3;1,-g,0;4,8,1;3,0,0;5,-17,-4;1,v,-m;1,-2,-1;1,1,4;1,-7,h;1,c,t;1,-b,2;1,-h,g;1,-z,7;2,n,5;2,-p,7;1,21,-21;7,-a,-5;2,2,-5;1,0,2;1,1,-4;6,1,-1;3,-3,-2;1,-1a,2k;1,1d,-25;5,-k,1b;2,l,-y;14,2h,-1r;3,g,-b;5,-b,3;1,1,0;2,c,-8;1,-1,1;1,-1,-4;1,3,2;1,0,0;1,-k,-1;1,-3,2;1,-l,k;1,0,-3;1,b,f;1,1,2;1,-4,2;1,9,-a;1,-6,-e;1,8,d;1,-9,-2;2,n,-i;5,-l,w;2,f,-17;1,-1,0;1,-e,17;1,0,-1;1,0,1;1,0,0;1,2,0;1,l,-14;g,-15,c;1,p,d;1,-4,-7;1,6,9;1,-a,-c;1,f,8;1,9,-i;4,-c,g;4,-h,-9;6,x,-6;3,-1,1;2,-q,13;1,-1,0;1,-3,-1;1,2,-1;1,3,4;c,11,-15;1,1,-1;1,-1,1;1,2,1;1,0,1;1,-2,-2;1,-1,1;1,3,-1;1,0,-1;1,-4,0;1,5,2;1,-8,-4;2,4,1;1,3,-1;1,-5,-5;1,3,5;1,1,-2;1,-1,4;1,0,0;1,1,-7;1,-2,1;1,4,5;1,-7,4;1,4,-3;1,0,0;1,-3,-4;1,-c,7;1,i,-7;1,2,9;1,-8,-7;1,-2,-4;1,8,7;1,-8,0;1,5,0;1,0,0;1,0,-1;1,2,2;1,-2,-2;1,0,0;1,0,0;1,0,0;1,-1,-4;1,1,4;1,0,0;1,0,0;1,0,0;3,0,1;1,0,-1;1,0,1;1,0,0;1,0,0;1,0,0;1,1,1;2,-1,1;1,0,-3;1,0,0;1,0,0;1,1,2;1,-1,-2;1,0,0;7,0,1;1,0,-1;3,0,1;2,0,-1;b,0,0;b,0,1;4,29,2k;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;i,0,0;1,0,0;2,0,0;2,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;4,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;2,0,0;2,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;4,0,0;1,0,0;1,0,0;2,0,0;2,0,0;1,0,0;3,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,-36,-1u;1,0,1;1,3,0;1,-4,-4;1,-1,2;1,0,3;3,2,-1;2k,d,-i;1,-2,-1;1,-1,3;1,1,3;2l,-2,-6;4,o,7;1,-3,2;1,17,-2;2,-r,1t;1,-7,-v;1,2,-a;1,21,-17;1,-1n,1s;1,8,-z;1,-4,1g;1,c,-k;1,-m,f;1,-a,7;1,23,-2o;1,-23,16;1,9,p;1,3,-c;1,3,2;1,0,-3;1,-2,7;1,2,-6;1,-3,-4;1,3,4;1,7,-j;1,-o,p;1,e,1;1,-b,-1;1,e,-6;1,-6,-r;1,5,1g;2,u,-q;1,-3,-9;1,3,i;1,-1z,-5;1,c,8;1,-f,-5;1,-1,4;1,g,1;1,-1,-h;1,-1,4;1,1,-3;1,-3,1;1,-1,-3;1,7,2;1,v,-i;1,-4,1n;1,-7,-18;1,-m,z;1,7,-1;1,-4,-r;1,s,-9;2,-16,8;1,r,-7;1,-g,k;1,25,-y;1,-g,-2;1,-23,p;1,19,x;1,19,-1y;1,-1k,n;1,c,-c;1,0,11;1,-x,4;1,2n,-1j;1,-2i,1f;1,x,-r;1,-r,n;1,12,q;1,-d,-1k;1,17,-g;1,5,-4;1,-21,1e;1,25,-1g;1,-2b,w;1,-2,4;1,-1,-3;1,-1,2;1,1q,-g;1,-1i,11;1,0,-3;2,1c,-9;1,-1r,e;1,-2,-f;1,a,f;1,1b,-12;1,-5,3;1,-1,4;1,0,-6;3,-m,k;1,3,2;1,1,-2;1,0,4;1,1c,-x;2,-1q,e;1,2,1;1,-6,4;1,6,-a;1,-4,b;1,4,-8;1,1,-5;1,3,1;1,0,2;1,-3,2;1,4,2;1,-4,-5;1,-3,8;1,-5,-1;1,8,-a;2,0,3;1,3,3;1,-5,5;1,3,-4;1,-6,4;1,4,-4;1,0,-4;1,0,0;1,0,-4;o,0,4;a,0,0;1,0,0;1,0,0;1,3,-2;4,-3,2;z,6,-3;1,1,1;1,-1,2;1,1,1;1,-1,1;1,3,-5;1,0,2;1,0,2;1,-1,-1;1,-1,-3;2,0,3;8,0,2;29,7,-b;1,0,1;1,3,6;1,-4,-4;1,1,1;1,3,-2;1,-3,-1;1,0,0;c,4,5;u,-4,-5;1f,3,-g;2,6,-8;1,-8,5;8,2,1;1,0,0;1,-2,-3;1,c,0;5,-j,a;2,1b,-1f;1,-2,-7;1,-16,z;1,1,i;1,16,-j;1,0,0;1,1,1;1,-a,-s;1,-q,12;1,y,-b;2,-w,1;4,a,-k;1,-a,j;1,-7,g;1,o,-z;1,-s,10;1,1,-1;3,l,-3;1,-7,-d;1,5,c;1,5,1;1,-9,3;1,-1,-n;1,r,c;1,-8,-3;1,-1,4;1,2,2;1,-2,-2;1,-g,-h;1,-b,q;3,2,-2;3,3,-9;1,-7,i;1,-8,-1;1,0,0;4,4,-f;1,y,-r;1,8,-1;1,-v,s;1,-7,g;1,t,-g;1,-u,b;1,0,-1;1,6,-5;1,-2,3;j,f,-1;1,f,-9;2,-3l,24;1,19,-7;1,-19,8;1,-a,q;1,l,-1a;1,6,-5;1,-4,4;1,h,f;1,1,0;1,-v,-1;1,v,0;1,-1g,k;1,18,2;1,b,-u;1,0,-1;2,-s,-g;1,3,f;1,-d,s;1,7,k;1,0,1;2,-i,n;1,3,-6;2,u,-1n;4,7,1;1,-7,1;1,8,1;1,-9,-2;2,t,9;1,-2,-2;1,-s,q;1,1,-2;1,-x,-b;2,n,-s;1,d,o;1,-1w,2d;1,1u,-2u;1,-v,1a;1,o,-7;4,q,-z;1,0,-3;1,0,2;1,0,2;1,4,-2;1,-4,-2;1,5,2;4,-11,-g;1,-6,9;1,0,4;1,1,-2;1,2,-5;1,1,8;1,5,-4;1,-1,1;3,m,-1;1,-1,-1;2,-q,8;2,-n,1t;1,e,-1a;1,0,0;o,1c,-d;2,-5,0;3,0,0;2,0,0;1,0,0;1,0,-1;1,-6,7;1,7,-6;1,-2,0;2,1,0;1,1,4;1,-4,-b;1,-5,7;1,-3,a;1,-2,-7;1,9,5;1,3,-2;1,-8,0;1,1,-9;1,4,3;1,2,-3;1,5,a;1,-5,-c;1,-1,-6;1,-2,2;1,a,a;1,1,2;1,-3,0;1,4,-8;1,-b,i;1,-3,-9;2,-1,8;1,-3,0;1,c,d;1,-1,-p;7,-1,a;2,6,-b;1,-7,7;1,8,-2;1,-f,0;1,1,-6;1,5,1;1,5,6;1,-6,-e;1,-4,a;1,6,-5;1,-a,7;1,h,-3;3,0,-3;6,-8,-9;2,2,d;1,1,-1;h,5,0;1,-6,-3;1,1,4;1,-a,5;1,f,-6;2,-6,0;5,1r,1o;1,0,0;1,-1,-2;1,2,-1;1,-1,6;1,-4,-5;1,8,-1;1,-7,-c;1,b,a;1,-1,4;1,-5,-1;1,5,5;1,-c,4;1,0,-1;1,5,3;4,5,-h;1,j,f;1,-c,1u;1,-1,-1;1,o,u;1,-b,-a;1,-2,-1g;1,5,4;1,-4,-n;1,-p,18;1,h,j;1,-i,-1j;1,-5,-s;1,1c,1y;1,-h,m;1,-q,-2z;2,a,12;1,d,-9;3,-4,-c;1,1,-1;1,0,-6;3,j,25;1,-9,6;1,-a,5;1,l,-7;1,-f,-c;1,6,q;1,-f,-9;1,6,-13;1,-2,-y;1,6,m;1,m,1e;2,-4,2;1,-m,-2d;9,-g,-1;2,2,0;r,-6,3;1,4,-3;4,-1t,20;2,a,-9;1,s,-20;1,9,37;1,-12,c;1,e,-29;2,s,1i;1,i,1;1,-w,s;1,-u,-1j;1,0,-11;1,2k,3d;1,-2j,-2n;1,b,0;1,-14,p;1,1h,23;1,-3,-34;1,g,-a;1,3,2i;1,-1r,-2i;1,16,u;1,-m,-h;1,7,1n;1,d,-1m;1,t,13;1,-x,-18;1,d,1g;1,d,-2h;3,-1l,2t;1,d,-1a;1,1z,1o;1,-s,-30;1,-3,-2;1,-t,3n;2,-j,-1i;1,-7,-5;2,8,3;1,0,0;1,r,1g;1,1d,-m;1,-q,-c;1,-1c,-l;2,y,-1e;1,-5,1;1,4,-2;1,-2,2;1,0,3;1,3,2;1,3,-8;1,-3,f;1,-5,-g;2,-v,-4;1,1a,o;2,-t,-w;1,1z,39;1,-2i,-x;1,1a,-29;1,-2,j;1,-2,-f;1,-h,1z;1,1a,4;2,-1,8;1,-2,-5;1,-1s,-1l;1,2f,2f;1,-1a,-3y;1,-8,-7;1,2,7;1,t,3b;1,-1c,-1p;1,1,1;1,2,-1;1,1h,1r;2,-17,-2w;1,3,1h;1,-a,-1e;1,-f,1r;1,x,2n;2,4,-59;6,-b,1g;4,26,-4t;1,0,4;1,4,-4;1,-4,4;1,0,4;1,0,-4;1,-3,-2;2,5,9;1,23,-30;2,-1f,11;3,w,-4;1,-1z,2j;1,3u,-2z;1,-1b,x;1,-28,r;1,2m,-2c;1,-25,1n;1,11,1k;1,b,-2;1,-a,1;1,-i,-10;1,3,u;1,1a,-2g;1,1i,1h;1,-a,-t;1,-3j,u;1,-a,1i;1,29,-3d;1,-2e,3f;2,1y,-13;1,-1f,-2;1,2n,-2f;2,-2n,2r;2,n,-a;1,-z,10;1,1u,-l;1,-1o,-e;1,14,-1v;1,-w,1i;2,b,e;1,w,-l;1,-18,-d;1,18,16;1,-1g,n;1,1r,-12;1,1p,-1k;2,-13,-u;1,-12,3c;1,j,-j;1,-7,-2f;1,v,-c;1,-1i,34;1,-v,-11;1,20,-1f;1,-7,1y;1,-1z,-h;1,1u,-18;1,-r,2i;1,c,-2y;1,1b,1i;1,-b,-g;1,-24,o;1,-d,e;1,1,2;3,-c,z;4,17,-2g;1,16,i;1,3,-3;3,2,t;1,-1z,-b;1,-k,1m;1,3x,-3p;2,-n,14;2,-2j,1k;1,1s,-g;1,-q,-x;3,-j,-h;4,5q,-1x;1,1,-1;1,-4,1;8,-1n,1i;3,d,-4;4,1l,-17;1,8,1;2,-8,0;3,-4,2;1,b,h;1,-1b,9;1,w,13;1,-s,-1k;3,3j,-g;1,-2,-7;2,-2o,3;2,-r,-8;1,k,3;1,36,7;2,-3l,0;2,-1d,z;1,52,-3;2,-4n,-r;1,29,17;1,-1e,-15;1,2v,4;1,-2m,g;1,e,3;1,-c,-12;1,-x,2c;1,-9,-16;1,4,2;1,30,-o;1,-5,1d;2,-2u,-1x;1,-9,1a;1,-8,-5;2,12,-t;1,10,1i;1,-6,-1q;1,-y,e;2,44,-b;1,-1d,1y;1,-33,-19;1,20,-n;1,-22,m;2,1r,t;c,-32,-3;2,a,-a;2,7,-p;6,j,1q;6,-4z,75;1,1k,-r;1,-7,1;1,-1,1;1,-v,-1a;1,m,-1v;1,-9,b;1,-9,24;1,0,0;1,6,6;1,2,-1;1,-w,-s;1,15,1v;1,9,-9;1,-1m,-1m;1,o,-i;1,0,1;1,-1,-1;1,f,2l;1,-p,-2s;1,q,1e;2,-7,1a;1,-l,-1f;1,-7,-1j;1,11,1a;1,-1,-1l;1,-5,24;1,-e,1m;1,f,-1b;1,14,17;1,-28,-1m;1,1o,18;1,5,a;1,-1,-e;1,-q,13;1,j,-4p;1,-1h,2v;1,6,-y;1,-4,1l;1,-h,-1v;1,j,2d;2,w,1t;1,i,-4i;1,-g,4m;2,k,-3e;2,-8,c;1,2,p;1,-h,-1c;1,2,-1l;1,-x,3b;1,l,-1f;1,-1,1k;2,x,-15;1,-1,-16;1,-k,i;1,6,f;1,-5,0;1,i,5;1,-5,f;1,-15,12;1,3,8;1,t,-n;1,9,-1y;1,-w,1q;1,c,-14;1,a,b;1,1,i;1,-3,-1a;1,s,-3;1,-16,22;1,w,-2p;1,-8,1b;1,-3,-5;1,e,-2u;1,-1u,23;1,24,j;1,-z,15;1,-e,-e;1,9,1f;1,-i,-l;1,-j,-1q;1,c,-1h;1,3,-4;1,a,3v;1,-o,-2m;1,x,-1;1,1a,d;1,-1r,j;1,d,-22;1,f,g;1,-p,-l;1,u,l;1,9,-b;1,-12,2z;2,28,a;2,-o,-o;6,-p,w;3,13,-u;1,-6,2;1,c,c;1,a,g;2,-d,-j;3,-13,1o;1,5,m;1,h,-2r;2,w,1v;2,-1j,-i;2,1j,b;7,-1f,v;1,n,-2d;5,-19,-x;1,1,8;4,e,3;1,3,-f;a,-10,-9;1,1,-1;1,-1,6;3,s,v;1,-1,-a;2,d,-a;b,-d,-1b;m,-a,l;1,-1,-4;c,1,8;1,0,0;1,2,4;1,-2,-4;1,3,5;1,-4,-3;1,-2,1;1,1,-3;1,1,5;1,-4,-1;1,9,7;1,-b,-b;1,-3,5;1,4,0;1,7,3;1,-4,4;1,2,4;1,-9,-7;1,-1,6;1,2,6;1,1,-p;1,-3,4;1,f,-2;1,2,0;1,2,3;1,6,-5;1,-4,-7;1,-4,g;2,-6,-5;1,8,f;1,3,-1;1,3,-1;8,-c,-9;1,0,0;1,0,0;7,1,7;4,-2,0;1,1,-2;1,0,0;1,-2,-9;k,3,d;7,-3,-d;5,-4,-6;2,1r,4;2,-6,f;7,11,1f;2,-1b,-3a;1,1p,-g;1,-n,26;1,1q,g;1,-x,-c;1,-q,-z;1,-d,13;1,g,7;1,1,-1x;2,-1,2i;1,b,-1h;1,-10,1k;1,r,-h;1,s,-1t;1,6,-a;1,-9,d;1,1,-3;1,-k,1w;2,-u,-2f;2,2c,33;1,-1y,-v;1,k,14;1,-1w,-39;1,22,l;1,-a,-2a;1,9,3q;1,-a,3;1,10,-17;1,-r,-11;1,-7,38;1,-x,-d;1,-1,-j;1,2p,u;1,-2a,-29;1,-n,1q;1,-5,-28;1,1v,-c;2,-1c,w;1,1r,b;1,-1l,-1o;1,1p,34;1,-2g,-23;1,1e,5;1,-p,27;1,8,-c;1,-t,-1a;1,q,s;1,12,-2q;2,-c,1v;1,-c,b;1,n,-j;1,-s,b;1,w,-6;1,-y,-18;1,1f,30;1,-1e,-10;1,11,-1i;1,-u,c;1,-r,1o;1,1e,-1w;1,-1g,1h;1,1y,-n;1,-1n,-2t;1,1o,3e;1,-n,s;1,-1f,-22;1,2e,2w;1,1,-13;2,-1x,x;1,-n,-3y;1,15,-4;3,-17,1s;1,-9,1;1,a,-5;8,40,-23;1,-1,8;1,8,-2;3,1n,3x;1,-24,-3v;1,s,q;1,13,2m;1,-12,-5u;1,m,3x;2,-8,h;1,1d,-33;1,9,54;1,-1i,-1t;1,i,-23;2,-15,-5;1,-14,36;1,-11,-2p;1,18,-e;1,4b,11;1,-3l,-2n;1,1m,1t;2,o,-22;1,-15,4b;1,-36,-2v;2,3o,-23;1,14,10;1,-2k,q;1,29,8;1,-43,12;2,46,-26;1,7,15;1,j,-2e;1,-2v,5d;1,-m,-4q;3,3s,1r;2,-3m,-2k;1,-i,28;1,v,-16;1,-3,24;1,37,-1f;1,-2n,15;1,-g,-17;2,1c,4i;1,-3a,-2g;1,2s,1y;1,k,-1z;1,1r,h;1,-41,a;2,-a,w;1,o,-1n;1,-l,1i;1,3s,-2h;1,-29,1i;2,15,-14;1,-m,36;1,-15,-2e;1,5,-f;1,-b,21;2,-5,-26;1,-1y,-y;1,1b,2a;1,3,-3a;2,-u,25;1,1p,-g;1,-1f,9;4,1p,u;1,2q,-2x;1,c,-p;1,-3k,22;1,-a,1p;1,f,-1i;1,-1r,v;1,2v,-1o;1,-35,1y;1,28,-2k;1,1x,1j;1,-26,-h;1,1,1w;1,2z,-24;2,-2u,p;2,26,54;2,-3l,12;1,3l,2;1,-4o,1;1,-5,-1a;1,-3h,34;1,8z,-2h;1,-4t,q;1,3o,-1;1,-5d,a;1,6v,-e;1,-4r,-1;1,f,-y;1,3t,x;1,-18,-x;1,-2a,a;1,-23,i;1,3o,-w;1,-65,20;1,3x,-1k;1,-11,-8;1,2r,a;1,-3b,-3;1,-2,-n;1,-1,q;1,2c,-s;1,-7,o;1,-1m,0;1,1r,-o;2,1j,4;1,-6f,32;1,95,-5c;1,-5x,3h;1,1i,-a;1,-4,-22;3,-2z,2m;1,-f,-9;1,-2,3;1,i,c;2,-6,-c;1,0,-6;2,6,f;2,-w,6;1,-2,0;1,3,-1;2,-5,-2;1,-4,-2;1,a,7;1,-1,-1;1,-3,-2;2,17,-i;1,1,1;1,-1,-1;ez,-1du,-2wv;2,23,-3u;1,-7i,9i;1,6v,-a9;1,-1m,4d;1,2,-8;1,-18,4z;1,15,-4r;1,-3z,80;2,4u,-86;1,-2f,5n;1,3w,-9r;1,-g,j;1,-8,-n;1,-v,4n;1,-5m,6w;1,1t,-14;1,-1i,23;1,3,0;1,6x,-c8;3,-79,9x;1,-i,1;1,1t,16;1,-l,11;1,3m,-5g;1,12,-25;1,d,-c;1,-28,45;1,1,1;1,1g,-3j;3,-6f,5l;1,2f,-9;1,-15,-e;1,9,-2;1,6c,-9v;1,-22,73;1,-3a,3j;1,3x,-5u;1,-53,6l;1,6y,-au;1,-h,-s;1,-2b,7d;1,-46,5i;1,-6,-2m;1,76,-9e;1,-e,-15;1,-3f,93;1,43,-87;1,-5j,a0;1,4p,-a7;1,-23,6s;2,u,-2v;1,-59,8f;1,3r,-4l;1,1z,-3i;1,-28,2u;1,-2d,4p;1,5f,-bv;1,5,d;1,-33,7k;1,-2,w;1,32,-9z;1,-29,7i;1,-4f,5x;1,-1c,-1l;1,2e,1d;1,8,-a;2,2,-a;1,-2a,-b;1,u,1k;1,3x,-42;1,-2m,38;1,-j,c;1,4i,-7z;1,-4d,7y;1,2v,-4a;1,-3v,41;1,5m,-7w;2,-1s,4r;1,1n,-4p;1,-1y,4p;1,2b,-50;1,-e,-5;1,-1i,4o;2,18,-3d;1,1q,-5g;1,-1k,4m;4,-7,i;1,-2,-3;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,0,0;1,2,3;1,-2,-3;1,1,1;1,-2,1;1,-2,1;1,1,3;1,4,-6;1,2,-7;1,0,5;1,0,0;1,-6,c;1,2,-7;1,0,-2;1,-3,9;1,2,6;1,-1,-d;1,2,-3;1,-2,4;2,-1,-1;5,7,-4;1,-6,3;1,3,-2;1,3,-1;1,-3,6;1,-1,-5;1,0,0;2,0,1;1,-1,3;2,2,-5;1,-2,3;1,2,3;1,1,-b;1,-2,6;3,a,-a;1,8,-8;3,1,-2;1,-g,h;1,7,-7;1,-7,-2;1,6,8;2,5,d;z,-61,p15;2v,1z5,-m6f;1,y,-5l;1,t,-6;1,-q,12;1,o,-w;1,2,-6;1,-7,-1;1,1,7;1,-3,16;1,f,s;1,-l,a;2,-c,-1w;1,16,29;1,-p,-1t;1,1t,-1x;1,-2j,27;1,21,-13;1,-11,1l;1,-u,-1o;1,h,4q;1,-3,-3c;1,-7,1;1,q,-b;2,-18,-1a;1,s,v;1,-9,2d;1,0,2r;1,m,-4n;1,f,2g;1,-1d,-3j;1,-a,5z;1,x,-5m;1,0,-4;1,-1,7;1,-x,3y;1,5,-3r;1,11,58;1,g,-1w;1,-g,-m;1,-s,-2m;2,17,2s;1,-u,-2v;3,20,-14;1,-1z,2x;1,y,3a;1,h,-5t;2,-3,-3;1,b,-4;1,-1k,1w;1,13,-1v;1,-25,5y;1,1o,-18;2,-7,-3a;2,-g,-13;1,-f,43;1,1s,-5b;1,-q,6v;2,-q,-3f;1,3,-1x;2,-7,-c;1,-g,-9;4,z,6;1,0,0;1,0,0;1,-4,1;2,3,11;6,-4,-c;3,-2,8;c,-u,-1z;1,1x,-27;1,z,g;3,-1f,1w;1,-d,-24;1,-o,6;1,1a,1p;1,f,-23;1,-1o,29;1,0,-1x;1,o,28;1,-x,-4;1,8,6;1,w,-g;1,0,-5;1,-4,-1v;1,-c,21;2,24,-26;1,-2u,a;1,w,2h;1,4,0;1,c,-k;2,-15,5;1,-4,-9;2,1f,-22;1,0,4;1,-15,2l;1,10,-6;1,-m,-2l;1,-o,0;1,14,2;1,-15,2p;1,27,-2n;2,-1s,2y;1,a,-2o;2,-2,-d;1,u,1s;1,e,-1t;1,s,3;1,-1a,5;1,-z,1w;1,-o,-22;1g,15,3h;1,-3,5;1,b,-9;1,-7,6;1,0,-2;1,-4,9;1,4,-8;1,0,0;1,1,-1;1,0,-1;1,4,6;1,-3,0;1,0,4;1,-3,-4;1,0,4;1,0,4;1,6,-c;1,-1,8;1,-a,-b;1,8,f;1,-5,-h;1,-5,c;1,0,-h;1,-3,-2;1,9,2;2,5,b;1,-3,-1;1,3,-f;1,0,x;1,9,-y;1,-b,k;1,-2,e;3,-2,-1;2,3,-h;1,-2,-1;1,2,1;2,0,0;8,0,0;1,0,1;1,0,-1;1,0,0;1,8,9;1,-8,-8;1,0,-1;2,0,0;1,0,1;7,-4,b;1,-8,-5;1,c,-7;1,0,0;2,0,1;1,0,0;8,0,-1;1,0,0;1,0,0;1,0,0;3,0,0;4,0,0;1,0,0;1,0,0;1,0,0;1,0,0;2,0,0;2,0,0;1,2,7;2,-1n,-13;1,-5,-4;1,9,2;1,-3,-6;1,4,h;1,-d,-d;1,c,1;1,-5,-1;1,0,0;1,-1,5;1,1,-4;1,0,-1;1,4,4;1,-1,-1;3,-7,a;4,-p,-m;1,-2,7;2,-q,-1j;1,1a,24;1,-k,-24;1,-p,1u;2,2,1b;1,j,-27;1,-3,-1;2,-2,0;2,9,13;1,-r,4;2,1k,-1b;1,-10,6;2,r,-27;1,-a,5a;1,-9,-4g;1,n,u;1,-1d,2j;1,11,e;1,x,-3f;1,-1x,1e;2,v,2y;1,f,-34;1,-a,i;3,-m,d;2,l,-2j;1,1,3c;2,0,b;1,9,-25;1,n,1a;2,-7,-3b;1,-z,-7;1,-8,-1;1,y,7;1,a,6;1,-p,-d;1,-l,1v;1,1b,i;1,-1,-1u;1,-3,3x;1,-q,-v;1,r,f;1,-1e,-3q;1,-4,2d;1,1s,-t;2,-10,-1f;1,q,37;2,-j,0;1,-1,e;1,5,-i;1,-18,7;2,1c,-3m;1,-x,2k;1,-e,-28;1,m,-2;1,m,2q;2,-18,-31;2,1v,1i;5,-2t,16;1,-1,-8;1,-2,a;1,6,-7;1,-8,3;1,-41,-2o;1,2e,3;1,1z,2q;1,-1,-m;1,-3k,c;1,p,-3h;1,32,2f;1,-2,3x;1,-3b,-5k;1,-2m,-g;1,2t,1p;1,-d,13;2,3h,-9;1,-2o,-2b;3,-3,0;1,1n,37;1,-v,35;1,18,-33;1,-n,o;1,6,-13;1,-24,4;1,39,-1i;1,-n,2c;1,-29,-1m;2,1r,1h;1,-5,-14;1,-5,-u;1,19,m;1,-e,1w;1,4,-3x;1,6,2t;1,-w,-2u;1,-2q,20;1,1j,t;1,-2h,-3o;2,56,3k;1,-2n,c;1,2g,-l;1,-1q,-2l;1,-1u,-s;1,2k,3c;1,8,1a;1,b,-31;1,i,2x;1,-q,-b;1,11,-13;1,-3m,3;1,5,-2b;1,10,-9;2,1v,22;1,-1t,b;1,t,2k;1,-3a,-5e;1,k,-b;1,c,16;1,2a,-3;2,-24,22;1,t,d;1,0,-t;1,1k,1a;1,-b,-22;2,11,26;1,-3e,-3y;1,3f,3y;1,0,a;1,-1v,-12;1,1y,-1h;1,-2q,u;1,2m,1q;2,-35,0;2,19,-1r;1,1v,j;1,9,2d;1,0,-e;1,-a,-2n;1,-3y,-28;1,37,5b;1,f,-4b;1,-1m,1y;1,-4,2;1,-j,-c;1,-19,1;1,4o,-1v;1,-21,28;2,-3o,12;1,b,-1;1,4,9;1,-9,-1;g,-f,f;2,10,d;1,-16,-2z;1,10,2a;1,-7,-s;1,4,-q;1,-6,0;1,4,2;2,-q,v;1,3,-1s;1,w,m;1,-m,b;1,-m,-10;1,j,2f;1,1b,v;1,-q,-1t;1,-m,-13;1,y,22;1,-11,2;1,19,-3;2,-v,-22;1,-g,s;1l,7,42;1,-7,4;1,-3,6;1,24,-1a;g,-28,6e;1,t,-3q;1,-4,e;1,-f,-p;1,u,-15;1,-v,m;1,14,-1g;1,-1f,b;3,6,4b;2,-h,-2w;1,1,-i;1,a,-m;1,-e,48;1,1z,-p;1,-k,1u;1,1s,-33;1,-1x,-18;1,1d,1t;1,u,f;1o,2d,-1t;1,-7,-1;1,7,-b;4,-p,-h;1,m,q;1,0,0;1,-57,7w;1,71,-68;1,-2m,o;8,-r,3z;1,-1d,-2;1,-7,12;8,47,-87;1,-3n,-g;1,s,9a;1,1,-91;1,2w,1c;1,-34,i;1,-1t,5o;1,25,-7g;1,8,79;1,f,-6s;2,2l,13;9,-7,2q;1,-10,11;1,-d,-1g;1,g,-1z;1,6,i;2,-2,-10;2,-2h,3n;1,2l,-4j;1,7,r;1,10,-5;14,2j,6z;9,b,m;2,-a,-4k;1,g,4q;1,-2y,1v;3,-6,-2a;1,34,-2z;1,-3q,5f;1,-a,-3a;3,2c,-3g;1,9,6m;1,-2d,-4s;1,3j,y;1,-f,3k;1,-f,1q;2,-1f,-7w;3,-5,5z;1,2,2f;1,2p,-4h;1,-1g,-2a;1,-2a,47;1,3o,-3h;1,-16,-1b;1,-1a,81;1,1d,-31;1,5,34;1,3,-86;1,z,q;1,-43,1k;1,2l,4u;2,-1r,-6n;2,1p,47;6,-1l,-2t;1,21,4m;2,3,-2r;2,-8,-4y;1,1f,52;2,-35,-2v;1,-14,v;2,1p,3a;1,13,-2k;1,-2o,f;1,y,3w;3,-1v,-4n;1,1x,-2e;1,2p,1q;1,-s,3a;1,-24,-h;3,x,-1x;2,2a,-1b;1,-1y,47;1,-24,-y;1,35,1t;1,o,-2b;f,-60,3n;1,-21,-18;1,3k,-9;1,-y,-2g;1,1s,2y;1,-1r,-c;1,1f,m;1,-8,-1r;1,-8,1a;1,-3q,k;1,2n,-29;2,3,2y;1,i,5;3,-1h,-34;1,1d,2b;2,-1,-16;29,98,-cq;1,0,6;1,1,-a;1,u,a;1,0,4;1,-6,1;1,6,2;1,-1,2;1,0,-8;1,-u,j;1,18,-l;1,9,2;1,-19,-q;1,p,1j;1,-3,-t;4,c,q;1,8,-17;1,-2,f;1,-1g,j;1,4,-x;1,q,1b;1,-f,-8;1,16,-10;1,-y,w;1,p,-o;1,-j,o;1,-h,-k;1,0,2;1,-1,-a;1,u,a;1,4,-1;1,-y,-3;1,16,-6;1,4,0;1,-1a,n;1,p,-h;1,-7,0;1,k,2;1,-13,9;1,16,-j;2,-v,1j;1,y,-1k;1,-1j,8;3,r,v;1,-k,4;1,x,-n;1,-2,8;1,-v,-s;1,c,b;1,5,3;1,-4,-4;1,-2,a;1,6,0;2,h,-1a;1,-l,m;1,-f,5;1,6,8;1,f,15;3,-8,13;2,-2,-2v;1,-c,n;1,1a,a;1,-a,1;1,-4,7;1,-4,2;2,g,-3;5,b,-e;1,-i,-1;4,i,-4;2,-1b,5;3,-a,a;1,2,-1;8,u,-m;1,2,1;1,4,-2;1,-7,1;1,6,3;1,-d,-5;1,e,-3;1,-d,7;1,9,-4;1,2,-j;1,-4,l;1,2,3;1,4,-4;1,-6,1;1,7,3;1,-b,-9;1,c,1;1,-f,b;1,a,-9;2,-2,2;1,-1,3;2,0,-2;1,b,3;1,-i,-7;1,7,4;2,0,0;2,0,0;1,-f,4;1,s,-5;1,-f,1;2,-5,-6;2,7,6;1,4,-7;2,-3,6;3,-4,4;1,3,-3;1,-b,-3;2,-6,4;3,g,-1;3,1,0;1,f,3;3,-v,-1;2,g,-2;1,0,0;3,0,0;1,b,3;1,-r,-5;2,4,5;2,c,-3;1,-1,0;3,1,0;1,b,3;2,3,-7;1,-q,d;3,c,-9;3,-1,0;1,1,0;3,-g,6;1,-3,2;1,j,-8;1,0,0;3,-1,0;1,6,3;3,-r,-1;1,q,-9;2,y,k;2,-5,-2;1,-4,-3;1,a,f;1,-e,-i;1,c,8;1,-9,0;5,6,-3;7,21,4;1,-i,-18;1,6,-i;1,-12,1y;1,-15,1r;1,2q,-2t;1,5,5;1,-4,-5;1,0,0;1,-6,8;1,q,-w;1,3,-2;1,-17,y;1,-8,8;2,-1,9;1,-1g,-f;1,1m,21;1,-j,-1x;1,-c,-x;1,20,6;1,-1y,2v;2,12,-3x;1,i,2j;1,-a,-2a;2,k,1m;1,-4,-r;1,-2b,4;1,1g,-1h;1,-20,41;1,p,-u;1,2,-1s;2,17,1n;1,-20,18;1,1o,-2q;1,-13,1a;1,d,-e;1,-d,-o;1,1c,-16;1,l,j;1,-i,1q;1,15,-14;2,1,x;1,-1f,29;3,-11,-2c;1,3,-4;1,-o,p;1,1m,-q;1,-8,7;1,-18,-g;1,2t,-2;1,-1p,-w;1,2,-3;1,s,-h;1,-2,-a;1,13,-c;1,-29,1i;1,t,2o;1,6,-1v;2,3,-23;1,-10,21;1,-1f,2g;2,l,-1y;1,1,2;1,t,-x;1,-x,1p;1,-1,3;1,33,-1b;1,-33,c;1,2b,-2n;6,-49,x;1,-15,20;1,3o,-6g;5,-1b,4o;1,3,-1;1,-5,-6;2,-2,5;1,d,-7;5,-1,-m;1,-1h,2g;1,r,-1l;1,-y,1m;1,2t,-34;1,-a,12;1,o,-3x;1,-35,4d;1,-n,10;1,1f,-17;1,-1o,1e;1,37,-64;1,-1l,50;1,-b,-3;2,5,2;1,-25,1f;1,2w,-1i;1,-1j,z;1,2t,-1c;1,-c,k;2,-g,5;1,13,-3e;1,-37,48;1,1z,-15;1,b,a;2,-2q,l;1,1a,-1a;1,1q,-55;1,-1z,57;1,-d,1t;1,1h,-1f;1,-z,u;1,-1i,d;1,-f,-6;1,4x,-6l;1,-t,5d;1,-1q,c;1,-y,12;1,-17,1h;1,42,-4y;1,-5,-1c;1,-l,3q;1,7,-b;1,-12,a;1,-7,-6;1,1r,-e;2,-10,g;1,-1i,v;1,0,5;1,-7,-5;1,1,5;1,-4,-5;1,21,-1i;1,-3k,2s;1,2s,-23;2,4,-q;1,1z,-4g;1,-l,3r;1,-17,16;1,-e,g;1,-12,18;1,11,-14;1,-18,b;1,a,-k;2,4,10;1,-7,7;1,1n,-14;1,-a,-9;1,-u,-c;1,5,d;1,-r,1o;1,-10,n;1,w,-u;3,i,-x;1,0,0;1,1,-2;1,-5,5;1,4,-5;1,1,-4;1,2,0;1,-7,6;1,-1,-4;2,5,4;1,0,0;1,0,0;2,0,0;1,1,-4;1,-5,0;1,1,3;1,-1,-3;2,6,8;1,2,0;2,-6,4;6,-g,p;1,i,-x;2,-e,-f;5,c,c;1,-a,-4;3,1,8;1,6,6;1,-5,-9;1,-2,5;1,0,4;1,1,-7;1,7,-4;2,4,4;5,0,0;5,0,0;4,0,0;1,0,-9;1,-2,-1;1,-3,-3;4,5,d;6,0,0;4,0,0;9,-4,-4;2,-9,-7;1,d,b;3,-8,-7;1,0,-1;1,-1,-3;1,1,5;2,-g,-12;1,9,-i;1,-8,s;1,2,-c;1,3,-8;1,3,b;1,-6,-3;1,0,0;1,-6,k;2,-2,-x;1,-1,1;1,4,s;3,c,-4;4,-d,-2u;2,-z,22;2,21,k;2,d,-2y;1,-2e,-3;1,28,2u;2,-1r,6;1,-8,-a;1,-8,0;1,-6,14;2,1h,-4g;1,5,3;1,-l,11;1,-19,1q;1,e,-d;1,y,1m;1,3,-1y;1,-1c,1u;2,l,-t;2,1n,b;1,-1e,-39;1,1n,2k;2,-18,-1z;2,10,-5;2,-26,12;1,2n,1d;1,-1p,4;1,d,-p;1,-a,1z;1,3,-25;1,u,-b;1,-1s,-l;1,1q,-1j;1,-f,1y;1,-1m,2u;1,6,-17;1,2a,-2q;2,-1j,1s;1,d,-2j;1,-14,41;1,1t,-44;1,-1s,2g;3,2g,-1g;1,-1m,37;1,-l,-2t;2,f,1t;1,e,1n;1,-1m,-1n;1,f,15;1,1b,-2d;1,m,12;1,-1v,1q;1,a,-3q;1,1x,-1a;1,a,3i;1,-1m,h;1,-f,-35;1,-r,37;1,2i,-o;1,-2m,b;2,1c,-37;1,-13,3b;1,17,x;2,c,-v;2,-34,18;1,-7,37;1,f,-38;1,-l,-6;1,-1,2i;1,-5,-2d;1,-c,7;2,1a,-19;1,-w,2u;1,1h,-2z;1,-8,-19;1,-1e,6p;1,1l,-8c;2,-m,4l;1,-16,35;2,12,-c;1,-i,1c;1,1g,-7q;1,-1h,32;1,-1,2s;1,1e,-72;1,-u,3d;1,e,-7;2,-x,4u;1,6,-43;2,1e,-3z;1,-n,31;3,-14,4r;2,23,-7q;1,-f,n;1,-1z,53;1,2e,-5r;1,5,1;1,-25,3q;1,1h,-2p;1,2,-13;1,-1,3l;2,-2,-1v;1,-1p,48;1,1p,-22;1,-w,35;1,-o,-8;9,-a,-30;1,0,5;1,5,5;1,-4,-8;1,-3,8;1,7,-8;1,-5,0;1,-1,0;1,1,0;2,m,48;1,-q,-39;1,g,2b;1,-a,1f;1,q,-4u;1,-6,s;7,-k,-9;1,-6,1;1,4,-1;1,8,-h;1,-1,6;1,-7,-3;36,4z,6h;1,-1,6;5,0,-4;4,w,-6;1,12,1o;1,-b,a;1,o,-18;1,-21,-13;1,x,1b;1,-5,4;2,23,o;2,-2t,-29;1,h,s;1,-17,23;1,-k,-x;2,1k,-29;1,3f,2v;1,-47,-1l;1,2h,1a;1,-z,y;1,0,-22;1,-1o,31;1,3m,-3p;1,-1c,u;2,-1r,-x;1,-z,35;3,3d,-v;1,6,7;2,-1z,-1s;1,3g,25;1,-48,-1f;1,1p,-7;1,-1c,-1q;1,-z,23;1,3l,r;1,-34,-1k;1,1,1t;1,2l,-39;1,-2g,3u;2,3l,-b;1,-10,-22;1,-3u,30;1,1t,-2m;1,3b,2w;1,-3r,-n;2,2t,-2s;13,-58,-x;1,-1,-2;1,-5,-l;1,2,5;3,7,c;1,-1,-e;1,-2,k;b,-k,-a;1,3,u;1,26,-1u;1,-1i,q;2,1k,-1b;1,-n,1u;3,-q,-1q;1,-1d,3e;2,a,-q;1,6,-13;1,1l,f;1,-25,14;1,y,-z;1,q,-1q;1,-1a,2h;1,f,-11;1,23,-1m;1,-3,5;1,-1i,1a;1,1f,-15;1,-2f,2m;2,23,-1u;1,-10,-8;1,-x,16;2,1d,y;1,-16,-18;1,-8,-w;1,5,1c;1c,3e,7g;2,s,u;1,-17,-t;1,z,k;1,b,-a;2,-15,-17;1,1c,1p;2,-13,-z;1,-n,1a;1,1g,-1q;1,-10,l;2,a,18;1,-1b,-20;1,b,22;1,z,6;1,-9,-16;1,n,j;1,-h,-13;1,-7,1i;2,i,a;1,7,-1h;1,-a,1c;2,1,-24;1,-q,22;1,-2,-p;1,-b,-1p;1,-9,2j;1,1u,-1v;2,-10,1c;1,b,7;2,-u,-3;1,1h,-24;1p,1b,3;1,-4b,1z;1,2p,-4m;1,-1w,4t;1,-m,-2q;2,5i,-2;2,-1j,14;1,-s,m;1,-35,j;2,-t,k;1,5j,-1x;1,-2q,-3y;1,18,y;1,-o,15;1,33,-c;1,-1g,3o;2,1m,-38;1,-3l,w;1,n,-2f;1,9,9;1,-2y,3f;1,51,-s;2,-4n,2k;1,2i,-36;1,-2r,2z;1,3k,-2o;2,-x,-2h;1,-1c,20;1,f,-28;1,-2j,36;1,3z,-l;1,g,-l;1,19,2m;1,-20,-3f;1,1q,1o;2,-57,s;1,1p,-21;2,4g,s;1,-36,-m;1,o,29;1,-2d,g;1,4e,-35;1,-f,1h;1,j,1v;1,1,4;1,-43,-2t;1,23,-1s;1,3,56;1,23,-1s;1,-4z,1j;1,l,-42;1,49,1e;1,-5g,33;2,-h,-8;1,-1,-1;1,0,1;1,5e,-49;1,-q,1m;2,-3k,-s;1,9,2r;1,-e,-g;2,2k,-q;1,-2r,1b;2,c,-3;3,-1o,u;1,4x,-n;1,-g,-18;4,-14,-2n;g,-7,3j;1,-2,6;1,-2,-2;1,2,-3;1,5,-1;1,-5,i;1,5,-b;1,4,-7;1,-8,1;1,-1,0;1,0,0;1,2,d;1,-1,2;1,-1,-f;1,0,0;1,1,l;1,8,-4;1,2,-f;1,-b,-2;1,0,0;3,-3,7;1,1,-j;4,2,c;n,0,0;1,0,0;4,0,0;2,0,0;2,0,0;13,0,1;2,-3w,-4o;1,-1,1;i,4,-14;1,1l,-16;1,-2h,-j;1,o,3c;1,-f,1d;2,1p,-18;2,-z,2g;1,-h,-i;1,y,-2n;3,r,2n;2,-7,-12;1,-1b,-1s;1,-3,3;1,-2,-c;3,28,1j;2,-12,-17;1,r,f;1,-2e,-25;1,-6,10;1,1i,50;1,-c,-29;1,12,-3t;1,-1f,1;2,3,1c;1,7,-8;1,1,6;2,-1c,-2w;1,2z,25;2,-15,44;1,-16,-1k;1,i,1g;1,-l,-j;1,2,-1m;8,22,1q;u,-1x,3c;1,0,9;1,q,-6;2q,156,-2j6;1,-4,-8;1,2,7;1,1,f;1,-3p,-om;1,0,0;1,3k,od;1,6,2;1,1,-9;1,-8,2;1,-7,8;2,e,-9;1,1,-1;1,-a,0;1,-1,c;1,8,-g;1,-4,5;1,-4,19;1,b,-1a;1,0,0;1,0,0;1,0,0;1,0,0;5,-7,-4;1,0,0;a,-4,1e;5,-37,-11d;1,-mh,-126;1,x,6r;1,b8,16w;1,20,j;1,2j,ft;1,8g,-nr;1,0,m;1,-it,-cq;1,nr,36;1,-9i,gr;1,1l,j7;1,4u,-lp;1,30,-1x;1,-57,-4b;2,-1s,-6t;2,3u,-3u;1,-ej,jx;1,5h,4x;1,91,xx;1,-b,-dx;1,-3a,-5e;1,-3x,-ju;2,-a3,-bn;1,ep,zu;1,46,ch;1,-40,-16;1,3k,-y1;1,-7q,-1g;1,6b,p1;1,-31,-ys;1,-5l,d1;1,37,-e;1,9i,-jl;2,-m1,34;2,jo,36;1,11,1b5;1,-3q,-ao;1,36,9o;1,-8a,-189;1,ai,49;1,-hj,-qk;8,cs,1iu;3,2s,-rn;1,-7d,nv;1,5j,-15c;1,-1u,1a9;1,-34,-ev;1,4z,-fb;1,-b1,gb;1,99,-me;1,-1m,v7;1,t,4;1,-ff,-uq;1,a3,fp;1,3f,-ko;1,-6g,ts;4,j,2p;1,ek,-uy;1,-66,5v;1,-2n,-4p;1,4p,11m;1,-b5,-c7;1,4v,-7f;1,66,-ab;1,40,db;1,-ay,-9i;1,75,qj;1,-3d,-1as;1,o,1av;1,46,-13l;1,-99,is;1,5c,-e1;1,0,tn;1,-3d,-gp;1,2w,-lp;1,-l3,-ah;1,jn,1bv;1,-4,-8x;1,2l,-l5;2,-aa,pg;1,20,28;1,ab,9r;2,-4w,-e5;1,-aw,-ee;1,4h,4o;1,c7,-ep;1,-86,2x;1,6z,wz;1,-3o,-c4;1,3v,dn;1,-55,-yn;1,5m,co;1,1,-bc;1,z,-55;1,3s,35;1,-hi,-mp;1,-56,r7;1,i5,-e5;1,-6o,12k;1,1w,6e;1,73,-s8;1,-f,-ep;1,-1i,11d;1,-t,-g1;1,-3e,gr;1,-52,-g8;1,di,-er;1,-8d,vs;2,3e,5r;1,3i,-k8;1,-21,gj;1,-3t,9k;1,-53,-123;1,5p,-1k;1,-25,-4s;1,p,-78;1,1c,138;1,3h,2j;1,4c,-tc;1,-rr,-fx;1,k1,1ii;1,17,-76;1,11,-1g;1,-5t,t1;1,1v,-1xx;1,71,sr;1,-pc,-xt;1,j4,1dm;1,2e,-36;1,-1g,12;2,-98,-89;4,jl,d1;1,-h,1s;1,g,-1m;1,-1h,-46;1,1c,4z;1,7,-1l;1,-1,m;1,b,-e;1,-a,1;1,-1,d;1,0,0;1,7,l;2,-14,1k;2,10,5;4,4q,-fz;1,4d,2j;1,-1,h8;1,8m,-vc;1,-dj,q6;1,-45,-1x;1,10,-86;1,23,-s2;2,-76,xz;1,5r,bj;1,-48,-4q;1,c,cj;1,4v,-5y;1,cf,-cr;2,-bq,-130;1,-5n,1b6;1,23,cl;1,-h,-1mi;1,5e,1b7;1,-53,-we;1,-2n,-151;1,e,1r1;1,16,-i;1,4q,-e3;1,-z,-5n;1,cc,z7;1,-g4,-15y;1,7c,-4q;1,24,-bf;1,-2a,l9;1,-1,-fw;1,-5h,40;1,-5,9m;1,-3q,lf;1,42,-1s;1,-34,-4o;1,3a,7a;1,d0,-110;1,-ee,12o;1,8d,-12k;1,-8j,-6s;1,6i,c5;1,-as,1h2;1,4w,-18w;1,a3,-nz;1,-7w,1a1;1,-27,-eu;1,-2w,-15l;1,84,t2;1,-69,-3a;1,58,-dr;1,1u,p0;1,-2g,md;1,-37,3i;1,-43,cg;1,4y,-o9;1,7,-13q;1,-5v,1u9;1,l,-1a;1,a7,-9i;1,a3,-11v;1,-dz,-md;1,-2l,d0;1,1t,-8j;1,4w,nz;2,-18,139;1,9u,-k8;1,-ev,94;1,fp,-r0;a,-xp,1rn;1,-6,b;1,0,0;8,0,0;1,3,-5;8,-2b,-c;1,2n,-b;3,-h,u;1,-9,-5e;1,o,1m;1,2a,m;2,-37,b;1,-35,45;2,2r,-6d;1,-35,8j;2,m,-60;1,-28,1w;4,8y,-1u;1,-4p,8;9,1g,28;1f,-85,7m;2,11,-1m;f,l,-1d;1,-t,o;2,-j,-1p;1,-q,t;1,1z,7t;2,-11,-8g;1,-17,44;1,3f,-5o;1,-2n,5e;1,2v,-1v;l,-31,1y';
+
+  let byZip = null;
+  let byPrefix = null;
+
+  function decode() {
+    byZip = new Map();
+    const sums = new Map();
+    let z = 0;
+    let a = 0;
+    let o = 0;
+    DATA.split(';').forEach((row) => {
+      if (!row) return;
+      const [dz, da, dout] = row.split(',');
+      z += parseInt(dz, 36);
+      a += parseInt(da, 36);
+      o += parseInt(dout, 36);
+      const zip = String(z).padStart(5, '0');
+      const pt = { lat: a / 100, lon: o / 100 };
+      byZip.set(zip, pt);
+      const p = zip.slice(0, 3);
+      const acc = sums.get(p) || { lat: 0, lon: 0, n: 0 };
+      acc.lat += pt.lat;
+      acc.lon += pt.lon;
+      acc.n += 1;
+      sums.set(p, acc);
+    });
+    byPrefix = new Map();
+    sums.forEach((acc, p) => byPrefix.set(p, { lat: acc.lat / acc.n, lon: acc.lon / acc.n }));
+  }
+
+  // Exact 5-digit centroid, else the mean of the ZIP's 3-digit area, else null.
+  function locate(zip) {
+    const z = String(zip || '');
+    if (!/^\d{5}$/.test(z)) return null;
+    if (!byZip) decode();
+    const exact = byZip.get(z);
+    if (exact) return { ...exact, source: 'zip' };
+    const area = byPrefix.get(z.slice(0, 3));
+    return area ? { ...area, source: 'zip3' } : null;
+  }
+
+  root.RCGZipCentroids = { count: COUNT, locate };
+})(typeof window !== 'undefined' ? window : globalThis);
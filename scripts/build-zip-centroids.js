@@ -0,0 +1,42 @@
+// Regenerates public/rcg-zip-centroids.js from the `zipcodes` package.
+//   npm run build:zips
+// Centroids are rounded to 0.01 degrees (about 0.7 mi) and delta-encoded in
+// base 36 to keep the browser download small. Only ZIPs Checkout can ship to
+// (the 50 states and DC) are kept.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { codes } = require("zipcodes/lib/codes.js");
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUT = path.join(__dirname, "..", "public", "rcg-zip-centroids.js");
+const SKIP_STATES = new Set(["PR", "VI", "AE", "AA", "AP", "AS", "GU", "PW", "FM", "MP", "MH"]);
+
+const zips = Object.keys(codes)
+  .filter((z) => /^\d{5}$/.test(z))
+  .filter((z) => Number.isFinite(codes[z].latitude) && Number.isFinite(codes[z].longitude))
+  .filter((z) => codes[z].latitude !== 0 && !SKIP_STATES.has(codes[z].state))
+  .sort();
+
+let pz = 0;
+let pa = 0;
+let po = 0;
+const rows = zips.map((z) => {
+  const zn = Number(z);
+  const a = Math.round(codes[z].latitude * 100);
+  const o = Math.round(codes[z].longitude * 100);
+  const row = [zn - pz, a - pa, o - po].map((v) => v.toString(36)).join(",");
+  pz = zn;
+  pa = a;
+  po = o;
+  return row;
+});
+
+const template = fs.readFileSync(OUT, "utf8");
+const next = template.replace(/const DATA = '[^']*';/, `const DATA = '${rows.join(";")}';`)
+  .replace(/const COUNT = \d+;/, `const COUNT = ${zips.length};`);
+fs.writeFileSync(OUT, next);
+console.log(`[zips] wrote ${zips.length} centroids to ${path.relative(process.cwd(), OUT)}`);
@@ -4,9 +4,33 @@ import path from "path";
 import { fileURLToPath } from "url";
 import cors from "cors";
 import Stripe from "stripe";
+import { createOrderStore, newStatusToken } from "./lib/orders.js";
+import { createQuoteStore, normalizeQuoteId } from "./lib/quotes.js";
+import { createRecoveryStore } from "./lib/checkout-recovery.js";
+import { appRefundedCents } from "./lib/refunds.js";
+import { createMailTransport } from "./lib/mail-transports.js";
+import { createOutbox } from "./lib/outbox.js";
+import { createRateLimiter } from "./lib/rate-limit.js";
+import { createEmailTemplates } from "./lib/email-templates.js";
+import { orderView, pieceView, quoteView, refundView } from "./lib/email-view.js";
+import { renderPiecePng } from "./lib/piece-png.js";
+import { createWebhookEventLog } from "./lib/webhook-events.js";
+import { validateConfig } from "./lib/validate-config.js";
+import { loadTaxTable, requireZipRates } from "./lib/tax-rates.js";
+import { adminAuth, createAdminRouter } from "./lib/admin.js";
+import { renderWorkOrderPdf } from "./lib/work-order-pdf.js";
+import { publicOrderStatus, renderOptOutPage, renderStatusPage } from "./lib/status-page.js";
+import "./public/rcg-zip-centroids.js";
+import "./public/rcg-pricing.js";
+import "./public/rcg-dxf.js";
 
 const app = express();
-app.set("trust proxy", true);
+// req.ip feeds the rate limits, so only the hops we run behind may set it:
+// one proxy (the host's load balancer) unless TRUST_PROXY names a hop count
+// or comma-separated subnets. Trusting every hop would let a client pick
+// its own address with X-Forwarded-For.
+const TRUST_PROXY = process.env.TRUST_PROXY || "1";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,6 +48,8 @@ process.on("unhandledRejection", (reason) => {
 const PORT = process.env.PORT || 3000;
 const DEFAULT_FRONTEND = "https://www.rockcreekgranite.com";
 const FRONTEND_URL = process.env.FRONTEND_URL || DEFAULT_FRONTEND;
+// Public URL of this server; customer status pages are served from here.
+const SERVER_URL = (process.env.SERVER_URL || "").replace(/\/+$/, "");
 const defaultAllowed = [FRONTEND_URL, FRONTEND_URL.replace("www.", "")]
   .filter((v, i, a) => a.indexOf(v) === i);
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS
@@ -31,131 +57,185 @@ const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS
   : defaultAllowed).map((s) => s.trim()).filter(Boolean);
 
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "";
+const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || "";
 if (!STRIPE_SECRET_KEY) console.warn("[WARN] STRIPE_SECRET_KEY not set");
 const stripe = new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
 if (!process.env.STRIPE_WEBHOOK_SECRET) console.warn("[WARN] STRIPE_WEBHOOK_SECRET not set");
 
-const RESEND_API_KEY = process.env.RESEND_API_KEY || "";
 const MAIL_FROM = process.env.SMTP_FROM || process.env.BUSINESS_EMAIL || "orders@rockcreekgranite.com";
 const MAIL_FROM_NAME = process.env.MAIL_FROM_NAME || "Rock Creek Granite";
-const MAIL_MODE = RESEND_API_KEY ? "resend-api" : "none";
+const MAIL_LOGO_URL = process.env.MAIL_LOGO_URL || "https://cdn.prod.website-files.com/634cb6e50d8312e63b8d5ee1/67a16defcff775964e6f48ed_RCG_consumerLogo.svg";
 const ORDER_NOTIFY_EMAIL = process.env.ORDER_NOTIFY_EMAIL || "orders@rockcreekgranite.com";
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
+const mailTransport = createMailTransport(process.env, { dataDir: DATA_DIR });
+const MAIL_MODE = mailTransport.name;
+const outbox = createOutbox(DATA_DIR, {
+  transport: mailTransport,
+  maxAttempts: Math.max(1, parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 6),
+  retentionDays: Math.max(1, parseInt(process.env.MAIL_RETENTION_DAYS, 10) || 30),
+});
+const orders = createOrderStore(DATA_DIR);
+const webhookEvents = createWebhookEventLog(DATA_DIR);
+const quotes = createQuoteStore(DATA_DIR);
+const recoveries = createRecoveryStore(DATA_DIR);
+const MAX_QUOTE_EMAILS = 5;
+// Saved quotes are public and unauthenticated, so each client IP may save
+// only so many, each is size-capped, and they are deleted after
+// QUOTE_RETENTION_DAYS.
+const MAX_QUOTE_CONFIG_BYTES = 4096;
+const QUOTE_RETENTION_DAYS = numEnv("QUOTE_RETENTION_DAYS", 90);
+const quoteSavesPerIp = createRateLimiter({ limit: numEnv("QUOTE_SAVES_PER_IP_PER_HOUR", 30), windowMs: 60 * 60 * 1000 });
+// Quote emails go to any address a visitor types in, so they are capped
+// per client IP and per recipient to keep the endpoints from relaying spam.
+const quoteEmailsPerIp = createRateLimiter({ limit: numEnv("QUOTE_EMAILS_PER_IP_PER_HOUR", 10), windowMs: 60 * 60 * 1000 });
+const quoteEmailsPerRecipient = createRateLimiter({ limit: numEnv("QUOTE_EMAILS_PER_RECIPIENT_PER_DAY", 3), windowMs: 24 * 60 * 60 * 1000 });
+const ADMIN_USER = process.env.ADMIN_USER || "admin";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+if (!ADMIN_PASSWORD) console.warn("[WARN] ADMIN_PASSWORD not set; /admin is disabled");
 
-console.log("[MAIL] Mode:", MAIL_MODE, " From:", MAIL_FROM, " As:", MAIL_FROM_NAME);
+console.log("[MAIL] Mode:", MAIL_MODE, " From:", MAIL_FROM, " As:", MAIL_FROM_NAME, ...(mailTransport.dir ? [" Dir:", mailTransport.dir] : []));
+if (MAIL_MODE === "none") console.warn("[WARN] No mail transport configured; emails will fail");
 console.log("[BOOT] FRONTEND_URL:", FRONTEND_URL);
 console.log("[BOOT] Allowed origins:", ALLOWED_ORIGINS.join(", "));
-
-const DEFAULT_DOLLARS_PER_SQFT = 55;
-const DEFAULT_LBS_PER_SQFT = 10.9;
-const DEFAULT_LTL_CWT_BASE = 35.9;
-const DEFAULT_DISTANCE_BANDS = [
-  { max: 250,  mult: 1.0 },
-  { max: 600,  mult: 1.25 },
-  { max: 1000, mult: 1.5 },
-  { max: 1500, mult: 1.7 },
-  { max: Infinity, mult: 1.85 },
-];
+console.log("[BOOT] Data dir:", DATA_DIR);
 
 function numEnv(name, fallback) {
   const v = Number(process.env[name]);
-  return Number.isFinite(v) ? v : fallback;
+  return process.env[name] && Number.isFinite(v) ? v : fallback;
 }
 
-function parseDistanceBandsEnv(raw, fallback) {
+function jsonEnv(name, fallback) {
   try {
-    const parsed = JSON.parse(raw || '');
-    if (!Array.isArray(parsed) || !parsed.length) return fallback;
-
-    const cleaned = parsed
-      .map((x) => ({
-        max: x.max === 'Infinity' ? Infinity : Number(x.max),
-        mult: Number(x.mult),
-      }))
-      .filter((x) => Number.isFinite(x.max) || x.max === Infinity)
-      .filter((x) => Number.isFinite(x.mult));
-
-    return cleaned.length ? cleaned : fallback;
+    return JSON.parse(process.env[name] || "");
   } catch {
     return fallback;
   }
 }
 
-const DOLLARS_PER_SQFT = numEnv('DOLLARS_PER_SQFT', DEFAULT_DOLLARS_PER_SQFT);
-const LBS_PER_SQFT = numEnv('LBS_PER_SQFT', DEFAULT_LBS_PER_SQFT);
-const LTL_CWT_BASE = numEnv('LTL_CWT_BASE', DEFAULT_LTL_CWT_BASE);
-const DISTANCE_BANDS = parseDistanceBandsEnv(
-  process.env.DISTANCE_BANDS_JSON,
-  DEFAULT_DISTANCE_BANDS
-);
+// TAX_MODE=stripe hands sales tax to Stripe Tax (automatic_tax on Checkout)
+// instead of charging our own "Sales Tax" line from the rate table.
+const TAX_MODE = process.env.TAX_MODE === "stripe" ? "stripe" : "table";
+const taxTable = loadTaxTable(process.env.TAX_RATES_FILE);
+if (TAX_MODE === "table") {
+  try {
+    requireZipRates(taxTable);
+  } catch (e) {
+    if (process.env.NODE_ENV === "production") throw e;
+    console.warn(`[WARN] ${e.message}; charging state base rates only`);
+  }
+}
 
-console.log('[PRICING]', {
-  DOLLARS_PER_SQFT,
-  LBS_PER_SQFT,
-  LTL_CWT_BASE,
-  DISTANCE_BANDS,
+const { RCGPricing, RCGDxf } = globalThis;
+const pricing = RCGPricing.createPricing({
+  dollarsPerSqft: numEnv("DOLLARS_PER_SQFT"),
+  lbsPerSqft: numEnv("LBS_PER_SQFT"),
+  ltlCwtBase: numEnv("LTL_CWT_BASE"),
+  roadFactor: numEnv("ROAD_FACTOR"),
+  originZip: process.env.ORIGIN_ZIP,
+  distanceBands: jsonEnv("DISTANCE_BANDS_JSON"),
+  tax: { ...taxTable, mode: TAX_MODE },
 });
-const SINK_PRICES = { "bath-oval": 80, "bath-rect": 95, "kitchen-rect": 150 };
-
-function areaSqft(shape, d) {
-  if (!shape || !d) return 0;
-  switch (shape) {
-    case "rectangle":
-      return ((+d.L || 0) * (+d.W || 0)) / 144;
-    case "circle": {
-      const D = +d.D || 0;
-      return (Math.PI * Math.pow(D / 2, 2)) / 144;
-    }
-    case "polygon": {
-      const n = +d.n || 6;
-      const s = +d.A || 12;
-      return ((n * s * s) / (4 * Math.tan(Math.PI / n))) / 144;
-    }
-    default:
-      return 0;
-  }
-}
-function distanceBand(originZip, destZip) {
-  const o = parseInt(String(originZip || "63052").slice(0, 3), 10);
-  const d = parseInt(String(destZip || "00000").slice(0, 3), 10);
-  const approxMiles = Math.abs(o - d) * 20 + 100;
-  return DISTANCE_BANDS.find((b) => approxMiles <= b.max).mult;
-}
-function shippingEstimate(area, destZip, originZip = "63052") {
-  const weight = area * LBS_PER_SQFT;
-  const cwt = Math.max(1, Math.ceil(weight / 100));
-  const mult = distanceBand(originZip, destZip);
-  const base = cwt * LTL_CWT_BASE * mult;
-  return { weight, cwt, mult, ltl: base * 1.2 };
-}
-function backsplashSqft(cfg) {
-  if (!cfg || cfg.shape !== "rectangle" || !cfg.backsplash) return 0;
-  const L = +cfg.dims?.L || 0;
-  const W = +cfg.dims?.W || 0;
-  const edges = Array.isArray(cfg.edges) ? cfg.edges : [];
-  const unpol = ["top", "right", "bottom", "left"].filter((k) => !edges.includes(k));
-  const lenMap = { top: L, bottom: L, left: W, right: W };
-  return unpol.reduce((sum, k) => sum + (lenMap[k] || 0) * 4, 0) / 144;
-}
-function taxRateByZip(zip) {
-  if (!/^\d{5}$/.test(zip || "")) return 0.07;
-  if (/^63/.test(zip)) return 0.0825;
-  if (/^62/.test(zip)) return 0.0875;
-  return 0.07;
-}
-function computePricing(cfg) {
-  const area = areaSqft(cfg?.shape, cfg?.dims);
-  const material = area * DOLLARS_PER_SQFT;
-  const sinks = cfg?.shape === "rectangle"
-    ? (cfg?.sinks || []).reduce((acc, s) => acc + (SINK_PRICES[s.key] || 0), 0)
-    : 0;
-  const bpsf = backsplashSqft(cfg) * DOLLARS_PER_SQFT;
-  const ship = shippingEstimate(area + backsplashSqft(cfg), cfg?.zip || "");
-  const taxRate = taxRateByZip(cfg?.zip);
-  const services = material + sinks + bpsf + ship.ltl;
-  const tax = services * taxRate;
-  const total = services + tax;
-  return { area, material, sinks, backsplash: bpsf, ship, taxRate, tax, total, services };
+const { computePricing } = pricing;
+const QUOTE_TTL_HOURS = numEnv("QUOTE_TTL_HOURS", 72);
+const BALANCE_DUE_DAYS = numEnv("BALANCE_DUE_DAYS", 7);
+// Abandoned checkout emails: minutes after the session expires, and how long
+// an address that got one is left alone.
+const RECOVERY_ENABLED = !/^(0|false|off)$/i.test(process.env.CHECKOUT_RECOVERY || "");
+const RECOVERY_DELAY_MINUTES = numEnv("RECOVERY_DELAY_MINUTES", 60);
+const RECOVERY_THROTTLE_DAYS = numEnv("RECOVERY_THROTTLE_DAYS", 30);
+// Waterjet toolpaths in the CNC cut file, inches; public/rcg-dxf.js has the
+// defaults.
+const CNC_KERF = numEnv("CNC_KERF", RCGDxf.CNC.kerf);
+const CNC_LEAD_IN = numEnv("CNC_LEAD_IN", RCGDxf.CNC.leadIn);
+// Stripe will not charge less than this, so smaller shortfalls are written off.
+const MIN_BALANCE_CENTS = 50;
+
+const { tax: taxConstants, ...pricingConstants } = pricing.constants;
+console.log("[PRICING]", { version: pricing.version, ...pricingConstants });
+console.log("[TAX]", {
+  mode: taxConstants.mode,
+  table: taxConstants.version,
+  source: taxTable.source,
+  states: Object.keys(taxConstants.states).length,
+  zips: Object.keys(taxConstants.zips).length,
+});
+
+const round2 = (v) => Math.round((+v || 0) * 100) / 100;
+
+// The authoritative price for a config. Cent amounts are rounded exactly the
+// way Checkout line items are, so a quote always equals the Stripe charge.
+function buildQuote(config) {
+  const qty = Math.max(1, parseInt(config?.qty, 10) || 1);
+  const p = computePricing(config);
+  const servicesCents = Math.max(0, Math.round(p.services * 100));
+  const taxCents = Math.max(0, Math.round(p.tax * 100));
+  const now = Date.now();
+  return {
+    pricingVersion: p.version,
+    quotedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + QUOTE_TTL_HOURS * 3600 * 1000).toISOString(),
+    currency: "usd",
+    zip: normalizeZip(config?.zip),
+    qty,
+    areaSqft: round2(p.area),
+    material: round2(p.material),
+    sinks: round2(p.sinks),
+    backsplash: round2(p.backsplash),
+    weightLb: Math.round(p.ship.weight * 10) / 10,
+    cwt: p.ship.cwt,
+    miles: p.ship.miles,
+    milesSource: p.ship.milesSource,
+    distanceMultiplier: p.ship.mult,
+    freight: round2(p.ship.ltl),
+    taxMode: pricing.constants.tax.mode,
+    taxRate: p.taxRate,
+    taxJurisdiction: p.taxJurisdiction,
+    taxSource: p.taxSource,
+    taxTableVersion: pricing.constants.tax.version,
+    unitAmountCents: { services: servicesCents, tax: taxCents },
+    services: (servicesCents * qty) / 100,
+    tax: (taxCents * qty) / 100,
+    total: ((servicesCents + taxCents) * qty) / 100,
+  };
+}
+
+// Freight is already inside the services line item; Embedded Checkout still
+// needs a shipping option to show, so it gets a zero-amount one naming the ZIP.
+function freightShippingOption(zip) {
+  return {
+    shipping_rate_data: {
+      type: "fixed_amount",
+      display_name: `LTL freight to ${zip} (included)`,
+      fixed_amount: { amount: 0, currency: "usd" },
+    },
+  };
+}
+
+// The subset of a configurator config we keep (Stripe metadata, saved quotes):
+// geometry, finish and ZIP, without the client-side pricing echo.
+function compactConfig(config, qty) {
+  return {
+    shape: config.shape,
+    dims: config.dims,
+    qty,
+    sinks: Array.isArray(config.sinks)
+      ? config.sinks.map((s) => ({
+          key: s.key,
+          type: s.type,
+          cutoutW: s.cutoutW,
+          cutoutH: s.cutoutH,
+          x: Number(typeof s.x === "number" ? s.x.toFixed(2) : s.x),
+          y: Number(typeof s.y === "number" ? s.y.toFixed(2) : s.y),
+          faucet: s.faucet ?? 1,
+          spread: s.spread ?? null,
+        }))
+      : [],
+    color: config.color,
+    edges: Array.isArray(config.edges) ? config.edges : [],
+    backsplash: !!config.backsplash,
+    zip: String(config.zip || ""),
+  };
 }
 
 function encodeCfgForMeta(obj) {
@@ -235,111 +315,151 @@ async function getCustomerEmailFromSession(session) {
   return null;
 }
 
-function faucetDesc(s) {
-  const n = parseInt(s?.faucet ?? 1, 10) || 1;
-  if (n === 1) return "1-hole";
-  const spread = +s?.spread || (n === 3 ? 8 : 0);
-  return n === 3 ? `3-hole ${spread}" spread` : `${n}-hole`;
+// Sales tax on a paid order and who it is owed to. Table mode answers from our
+// rate table for the quoted ZIP (what the "Sales Tax" line was priced on);
+// Stripe Tax mode reads Stripe's breakdown, falling back to the bare amount.
+async function getOrderTax(session, config, orderPricing) {
+  const mode = session?.metadata?.tax_mode || (session?.automatic_tax?.enabled ? "stripe" : "table");
+  if (mode === "stripe") {
+    let details = session;
+    try {
+      details = await stripe.checkout.sessions.retrieve(session.id, { expand: ["total_details.breakdown"] });
+    } catch (e) {
+      console.warn("[tax] could not retrieve Stripe tax breakdown:", e.message || e);
+    }
+    const taxes = (details?.total_details?.breakdown?.taxes || []).map((t) => ({
+      amountCents: t.amount,
+      rate: Number.isFinite(+t.rate?.percentage) ? +t.rate.percentage / 100 : null,
+      jurisdiction: t.rate?.jurisdiction || t.rate?.display_name || null,
+      state: t.rate?.state || null,
+    }));
+    return {
+      mode,
+      source: "stripe_tax",
+      rate: taxes.length ? taxes.reduce((sum, t) => sum + (t.rate || 0), 0) : null,
+      jurisdiction: taxes.map((t) => t.jurisdiction).filter(Boolean).join(", ") || null,
+      amountCents: details?.total_details?.amount_tax ?? null,
+      breakdown: taxes,
+      tableVersion: null,
+    };
+  }
+  const qty = Math.max(1, parseInt(config?.qty, 10) || 1);
+  return {
+    mode: "table",
+    source: orderPricing?.taxSource || null,
+    rate: orderPricing?.taxRate ?? null,
+    jurisdiction: orderPricing?.taxJurisdiction || null,
+    amountCents: orderPricing ? Math.max(0, Math.round(orderPricing.tax * 100)) * qty : null,
+    tableVersion: pricing.constants.tax.version,
+  };
 }
-function sinksFaucetList(cfg) {
-  const list = (cfg?.sinks || []).map((s, i) => {
-    const name = s?.key || s?.type || `sink-${i + 1}`;
-    return `Sink ${i + 1} (${name}): ${faucetDesc(s)}`;
-  });
-  return list.length ? list.join("\n") : "None";
+
+function quoteTotalCents(q) {
+  return (q.unitAmountCents.services + q.unitAmountCents.tax) * q.qty;
 }
 
-function makeDxfAttachmentFromConfig(cfg, orderId = "") {
-  if (!cfg || cfg.shape !== "rectangle") {
-    const txt = "RCG ORDER (non-rectangle)";
-    const dxf = ["0", "SECTION", "2", "ENTITIES", "0", "TEXT", "8", "0", "10", "0", "20", "0", "40", "12", "1", txt, "0", "ENDSEC", "0", "EOF"].join("\n");
-    return { filename: `RCG_${(orderId || "").split("_").pop().slice(-8) || "order"}.dxf`, content: Buffer.from(dxf, "utf8").toString("base64") };
-  }
-
-  const L = +cfg?.dims?.L || 0;
-  const W = +cfg?.dims?.W || 0;
-  const sinks = Array.isArray(cfg?.sinks) ? cfg.sinks : [];
-  const edges = Array.isArray(cfg?.edges) ? cfg.edges : [];
-  const backsplash = !!cfg?.backsplash;
-  const HOLE_D = 1.375;
-  const HOLE_R = HOLE_D / 2;
-  const FAUCET_SETBACK = 2;
-  const OVAL_SEGMENTS = 72;
-  const FALLBACK = {
-    "bath-oval": { type: "oval", w: 16.5, h: 13.5 },
-    "bath-rect": { type: "rect", w: 17.5, h: 12.5 },
-    "kitchen-rect": { type: "rect", w: 21.5, h: 15.5 },
+// The customer shipped somewhere other than the ZIP we quoted: re-price for
+// the real ZIP and settle the difference. Overcharges are refunded on the
+// spot; shortfalls are invoiced and the order waits in awaiting_balance until
+// Stripe reports the invoice paid. Idempotency keys make a retried webhook
+// reuse the refund or invoice it already created.
+async function settleZipRequote({ orderId, session, config, quotedZip, shipZip, customerEmail }) {
+  const quoted = buildQuote({ ...config, zip: quotedZip });
+  const requoted = buildQuote({ ...config, zip: shipZip });
+  const deltaCents = quoteTotalCents(requoted) - quoteTotalCents(quoted);
+  const now = new Date().toISOString();
+  const base = {
+    reason: "zip_requote",
+    quotedZip,
+    shipZip,
+    currency: "usd",
+    deltaCents,
+    freightDeltaCents: Math.round((requoted.freight - quoted.freight) * 100) * quoted.qty,
+    taxDeltaCents: (requoted.unitAmountCents.tax - quoted.unitAmountCents.tax) * quoted.qty,
+    requote: requoted,
   };
+  const metadata = { order_id: orderId, reason: "zip_requote", quoted_zip: quotedZip, ship_zip: shipZip };
 
-  const out = [];
-  const push = (...a) => out.push(...a);
-  function line(layer, x1, y1, x2, y2) { push("0", "LINE", "8", layer, "10", x1, "20", y1, "11", x2, "21", y2); }
-  function circle(layer, cx, cy, r) { push("0", "CIRCLE", "8", layer, "10", cx, "20", cy, "40", r); }
-  function lwpoly(layer, pts, closed) {
-    push("0", "LWPOLYLINE", "8", layer, "90", String(pts.length), "70", closed ? "1" : "0");
-    for (const [x, y] of pts) push("10", x, "20", y);
-  }
-  function rect(layer, x, y, w, h) { lwpoly(layer, [[x, y], [x + w, y], [x + w, y + h], [x, y + h]], true); }
-  function oval(layer, cx, cy, rx, ry, segs = OVAL_SEGMENTS) {
-    const pts = [];
-    for (let i = 0; i < segs; i += 1) {
-      const t = (i / segs) * Math.PI * 2;
-      pts.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
-    }
-    lwpoly(layer, pts, true);
-  }
-
-  push("0", "SECTION", "2", "ENTITIES");
-  rect("SLAB", 0, 0, L, W);
-  if (edges.includes("top")) line("POLISHED", 0, W, L, W);
-  if (edges.includes("bottom")) line("POLISHED", 0, 0, L, 0);
-  if (edges.includes("left")) line("POLISHED", 0, 0, 0, W);
-  if (edges.includes("right")) line("POLISHED", L, 0, L, W);
-  if (backsplash) rect("SPLASH", 0, W + 1, L, 4);
-
-  for (const s of sinks) {
-    const sx = +s.x || 0;
-    const sy = +s.y || 0;
-    const key = s.key || "";
-    const t = s.type || (FALLBACK[key]?.type) || "rect";
-    const w = +s.cutoutW || FALLBACK[key]?.w || 16;
-    const h = +s.cutoutH || FALLBACK[key]?.h || 13;
-    const rx = w / 2;
-    const ry = h / 2;
-    if (t === "oval") oval("CUTOUT", sx, sy, rx, ry);
-    else rect("CUTOUT", sx - rx, sy - ry, w, h);
-
-    const faucet = parseInt(s.faucet == null ? 1 : s.faucet, 10) || 1;
-    const spread = +s.spread || (faucet === 3 ? 8 : 0);
-    const holeY = sy + ry + FAUCET_SETBACK;
-    if (faucet === 1) {
-      circle("FAUCET", sx, holeY, HOLE_R);
-    } else if (faucet === 3) {
-      const half = spread / 2;
-      circle("FAUCET", sx, holeY, HOLE_R);
-      circle("FAUCET", sx - half, holeY, HOLE_R);
-      circle("FAUCET", sx + half, holeY, HOLE_R);
-    } else {
-      const gap = 1.25;
-      const total = (faucet - 1) * gap;
-      for (let i = 0; i < faucet; i += 1) {
-        circle("FAUCET", sx - total / 2 + i * gap, holeY, HOLE_R);
-      }
-    }
+  if (deltaCents < 0) {
+    const paymentIntent = typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id;
+    if (!paymentIntent) throw new Error("Cannot refund ZIP re-quote: session has no payment intent");
+    const refund = await stripe.refunds.create(
+      { payment_intent: paymentIntent, amount: -deltaCents, reason: "requested_by_customer", metadata },
+      { idempotencyKey: `zip-requote-refund-${orderId}` }
+    );
+    return { ...base, status: "settled", action: "refund", refundId: refund.id, settledAt: now };
+  }
+  if (deltaCents < MIN_BALANCE_CENTS) {
+    return { ...base, status: "settled", action: deltaCents > 0 ? "waived" : "none", settledAt: now };
   }
 
-  push("0", "ENDSEC", "0", "EOF");
-  const short = (orderId || "").split("_").pop().slice(-8);
+  let customer = typeof session.customer === "string" ? session.customer : session.customer?.id;
+  if (!customer) {
+    const created = await stripe.customers.create(
+      { email: customerEmail || undefined, metadata: { order_id: orderId } },
+      { idempotencyKey: `zip-requote-customer-${orderId}` }
+    );
+    customer = created.id;
+  }
+  await stripe.invoiceItems.create(
+    {
+      customer,
+      amount: deltaCents,
+      currency: "usd",
+      description: `Freight and tax difference for shipping to ${shipZip} (quoted ${quotedZip}) - order ${shortOrderId(orderId)}`,
+      metadata,
+    },
+    { idempotencyKey: `zip-requote-item-${orderId}` }
+  );
+  const invoice = await stripe.invoices.create(
+    {
+      customer,
+      collection_method: "send_invoice",
+      days_until_due: BALANCE_DUE_DAYS,
+      pending_invoice_items_behavior: "include",
+      metadata,
+    },
+    { idempotencyKey: `zip-requote-invoice-${orderId}` }
+  );
+  const finalized = invoice.status === "draft"
+    ? await stripe.invoices.finalizeInvoice(invoice.id, {}, { idempotencyKey: `zip-requote-finalize-${orderId}` })
+    : invoice;
+  // Finalizing a send_invoice invoice does not email it; Stripe sends the
+  // customer the invoice with its pay link only when asked.
+  if (finalized.status === "open") {
+    await stripe.invoices.sendInvoice(finalized.id, {}, { idempotencyKey: `zip-requote-send-${orderId}` });
+  }
   return {
-    filename: `RCG_${short || "order"}.dxf`,
-    content: Buffer.from(out.join("\n"), "utf8").toString("base64"),
+    ...base,
+    status: "open",
+    action: "invoice",
+    customerId: customer,
+    invoiceId: finalized.id,
+    invoiceUrl: finalized.hosted_invoice_url || null,
   };
 }
 
-async function sendEmail({ to, bcc, subject, text, html, attachments = [], replyTo }) {
-  if (MAIL_MODE !== "resend-api") {
-    throw new Error("RESEND_API_KEY missing; cannot send email");
-  }
+// The shop's cut file for an order; public/rcg-dxf.js owns the geometry, so
+// it matches the file the configurator emails.
+function makeDxfAttachmentFromConfig(cfg, orderId = "") {
+  const short = (orderId || "").split("_").pop().slice(-8);
+  const dxf = RCGDxf.buildDXF(cfg, { label: `RCG order ${short || "N/A"}` });
+  return { filename: `RCG_${short || "order"}.dxf`, content: Buffer.from(dxf, "utf8").toString("base64") };
+}
+
+// The same piece as waterjet toolpaths: kerf-compensated, with lead-ins,
+// in cut order, and the nominal outline on its own layer.
+function makeCncDxfAttachmentFromConfig(cfg, orderId = "") {
+  const short = (orderId || "").split("_").pop().slice(-8);
+  const dxf = RCGDxf.buildDXF(cfg, { label: `RCG order ${short || "N/A"}`, mode: "cnc", kerf: CNC_KERF, leadIn: CNC_LEAD_IN });
+  return { filename: `RCG_${short || "order"}_CNC.dxf`, content: Buffer.from(dxf, "utf8").toString("base64") };
+}
+
+// Queues a message in the outbox and makes the first delivery attempt right
+// away. Resolves to the outbox record once it is stored, whether or not that
+// attempt worked; the outbox worker retries failures. `key` makes a retried
+// caller (e.g. a redelivered webhook) reuse the message it already queued.
+async function sendEmail({ to, bcc, subject, text, html, attachments = [], replyTo }, { kind = null, orderId = null, key = null } = {}) {
   const toList = Array.isArray(to) ? to : [to];
   const formattedTo = toList
     .map((addr) => String(addr || "").trim())
@@ -347,82 +467,400 @@ async function sendEmail({ to, bcc, subject, text, html, attachments = [], reply
   if (!formattedTo.length) {
     throw new Error('Invalid "to" field; must be "email@example.com" or "Name <email@example.com>"');
   }
-  const body = {
+  const queued = await outbox.enqueue({
     from: `${MAIL_FROM_NAME} <${MAIL_FROM}>`,
     to: formattedTo,
+    bcc: bcc ? (Array.isArray(bcc) ? bcc : [bcc]) : [],
     subject,
-    ...(text ? { text } : {}),
-    ...(html ? { html } : {}),
-    ...(replyTo ? { reply_to: replyTo } : {}),
-    ...(bcc ? { bcc: Array.isArray(bcc) ? bcc : [bcc] } : {}),
-    ...(attachments.length ? { attachments: attachments.map((a) => ({ filename: a.filename, content: a.content })) } : {}),
-    tags: [{ name: "rcg-order" }],
+    text,
+    html,
+    replyTo,
+    attachments,
+  }, { kind, orderId, key });
+  return outbox.attempt(queued.id);
+}
+
+const emailTemplates = createEmailTemplates(path.join(__dirname, "emails"), {
+  cache: process.env.NODE_ENV === "production",
+});
+
+// Renders emails/<name>.html and .txt to { subject, html, text }. Every
+// template also sees the brand name, logo and the "[TEST] " subject prefix
+// used outside production.
+function renderEmail(name, view = {}) {
+  return emailTemplates.render(name, {
+    brandName: MAIL_FROM_NAME,
+    logoUrl: MAIL_LOGO_URL,
+    subjectPrefix: process.env.NODE_ENV === "production" ? "" : "[TEST] ",
+    ...view,
+  });
+}
+
+// The piece drawing rides along as an inline attachment the templates show
+// with <img src="cid:piece">; mail clients block data: URLs. Drawn at twice
+// the displayed width for high-density screens.
+function pieceImageAttachment(order) {
+  const png = order.config ? renderPiecePng(order.config, { width: 1120 }) : null;
+  return png ? { filename: `piece-${order.shortId}.png`, content: png.toString("base64"), contentId: "piece" } : null;
+}
+
+// The printable shop work order; its QR code opens the order in /admin.
+function workOrderPdf(req, order) {
+  return renderWorkOrderPdf(order, { orderUrl: adminOrderUrl(req, order), brandName: MAIL_FROM_NAME });
+}
+
+// A broken work order should not hold up the shop email, which still has
+// the DXF and the admin link.
+function workOrderAttachment(req, order) {
+  try {
+    return { filename: `WorkOrder_${order.shortId}.pdf`, content: workOrderPdf(req, order).toString("base64") };
+  } catch (e) {
+    console.error("[order] work order PDF failed:", e);
+    return null;
+  }
+}
+
+function orderEmailView(req, order, statusUrl) {
+  return {
+    order: orderView(order, { statusUrl, originZip: pricing.constants.originZip }),
+    adminUrl: adminOrderUrl(req, order),
   };
-  const resp = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${RESEND_API_KEY}`,
-      "Content-Type": "application/json",
+}
+
+function adminOrderUrl(req, order) {
+  return `${serverBaseUrl(req)}/admin/orders/${encodeURIComponent(order.id)}`;
+}
+
+function serverBaseUrl(req) {
+  return SERVER_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+function orderStatusUrl(req, token) {
+  return `${serverBaseUrl(req)}/orders/status/${encodeURIComponent(token)}`;
+}
+
+// Emails the shop about something a person has to act on. With an order,
+// the alert runs as an order step keyed by `step`, so a redelivered event
+// does not send it twice.
+async function alertStaff(req, order, step, subject, lines) {
+  const send = async () => {
+    const email = renderEmail("staff-alert", {
+      ...(order ? orderEmailView(req, order, null) : {}),
+      alert: { title: subject, lines },
+    });
+    const queued = await sendEmail({
+      to: ORDER_NOTIFY_EMAIL,
+      ...email,
+      replyTo: ORDER_NOTIFY_EMAIL,
+    }, { kind: "alert", orderId: order?.id || null, key: order ? `${order.id}:${step}` : null });
+    console.log("[mail] staff alert", queued.status, { step, order: order?.id || null });
+    return { to: ORDER_NOTIFY_EMAIL, subject: email.subject, outboxId: queued.id };
+  };
+  return order ? runOrderStep(order.id, step, send) : send();
+}
+
+function quoteResumeUrl(id) {
+  return `${FRONTEND_URL}/configurator?quote=${encodeURIComponent(id)}`;
+}
+
+const MILESTONE_EMAILS = {
+  in_fabrication: {
+    badge: "In Fabrication",
+    subject: "Your countertop is in fabrication",
+    heading: "Your piece is in the shop",
+    intro: "Our fabricators have started cutting and finishing your custom countertop. We will let you know as soon as it is crated.",
+  },
+  crated: {
+    badge: "Crated",
+    subject: "Your countertop is crated and ready for pickup",
+    heading: "Crated and ready for pickup",
+    intro: "Your countertop is finished, inspected and crated. It is waiting for the freight carrier to pick it up.",
+  },
+  shipped: {
+    badge: "Shipped",
+    subject: "Your countertop has shipped",
+    heading: "Your countertop is on its way",
+    intro: "Your crate is with the LTL freight carrier. The carrier will call to schedule a delivery appointment; someone will need to be there to receive it.",
+  },
+  delivered: {
+    badge: "Delivered",
+    subject: "Your countertop was delivered",
+    heading: "Delivered!",
+    intro: "Your countertop has been delivered. Please inspect the crate and the piece, and reply to this email within 48 hours if anything is damaged.",
+  },
+};
+
+// An order email log entry for a message handed to the outbox. `ok` means
+// the first attempt delivered it; a "queued" one is still being retried.
+function deliveryEntry(entry, queued) {
+  return {
+    ...entry,
+    ok: queued.status === "sent",
+    status: queued.status,
+    outboxId: queued.id,
+    ...(queued.lastError ? { error: queued.lastError } : {}),
+  };
+}
+
+// Staff-triggered milestone email. Every attempt, successful or not, is
+// logged on the order so /admin shows exactly what the customer received.
+async function sendMilestoneEmail(req, order, milestone, { by, statusUrl }) {
+  const m = MILESTONE_EMAILS[milestone];
+  if (!m) throw new Error(`No email for status "${milestone}"`);
+  const to = normalizeEmail(order.customerEmail);
+  const email = renderEmail("milestone", {
+    ...orderEmailView(req, order, statusUrl),
+    milestone: { ...m, shipped: milestone === "shipped" },
+  });
+  const entry = { kind: milestone, to: to || null, subject: email.subject, by };
+  if (!isValidEmail(to)) {
+    await orders.recordEmail(order.id, { ...entry, ok: false, error: "No valid customer email on the order" });
+    throw new Error("No valid customer email on the order");
+  }
+  let queued;
+  try {
+    queued = await sendEmail({
+      to,
+      ...email,
+      replyTo: ORDER_NOTIFY_EMAIL,
+    }, { kind: milestone, orderId: order.id });
+  } catch (e) {
+    await orders.recordEmail(order.id, { ...entry, ok: false, error: String(e.message || e) });
+    throw e;
+  }
+  await orders.recordEmail(order.id, deliveryEntry(entry, queued));
+  console.log("[mail] milestone email", queued.status, { session_id: order.id, milestone, to });
+  return queued;
+}
+
+// Refunds part or all of an order through Stripe and records it on the
+// order; `cancel` also moves the order to cancelled in the same write.
+// The idempotency key covers a double-submitted form. The refund is
+// recorded as pending first, so its charge.refunded webhook never sees a
+// refund the order does not know about.
+async function issueStaffRefund(order, { line, amountCents, reason, by, cancel = false }) {
+  const key = `staff-refund-${order.id}-${(order.refunds || []).length}-${line}-${amountCents}`;
+  await orders.recordPendingRefund(order.id, { key, line, amountCents, by });
+  let refund;
+  try {
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: order.paymentIntentId,
+        amount: amountCents,
+        reason: "requested_by_customer",
+        metadata: { order_id: order.id, line, reason: reason.slice(0, 500), by },
+      },
+      { idempotencyKey: key }
+    );
+  } catch (e) {
+    await orders.clearPendingRefund(order.id, key);
+    throw e;
+  }
+  const entry = { id: refund.id, line, amountCents: refund.amount, reason, by, stripeStatus: refund.status };
+  const updated = await orders.recordRefund(order.id, entry, { pendingKey: key, ...(cancel ? { status: "cancelled", by, note: reason } : {}) });
+  return { refund: entry, order: updated };
+}
+
+async function sendRefundEmail(req, order, refund, { by, cancelled, statusUrl }) {
+  const to = normalizeEmail(order.customerEmail);
+  const email = renderEmail("refund", {
+    ...orderEmailView(req, order, statusUrl),
+    refund: refundView(refund),
+    cancelled: !!cancelled,
+  });
+  const entry = { kind: cancelled ? "cancelled" : "refund", to: to || null, subject: email.subject, by, ...(refund ? { refundId: refund.id } : {}) };
+  if (!isValidEmail(to)) {
+    await orders.recordEmail(order.id, { ...entry, ok: false, error: "No valid customer email on the order" });
+    throw new Error("No valid customer email on the order");
+  }
+  let queued;
+  try {
+    queued = await sendEmail({
+      to,
+      ...email,
+      replyTo: ORDER_NOTIFY_EMAIL,
+    }, { kind: entry.kind, orderId: order.id });
+  } catch (e) {
+    await orders.recordEmail(order.id, { ...entry, ok: false, error: String(e.message || e) });
+    throw e;
+  }
+  await orders.recordEmail(order.id, deliveryEntry(entry, queued));
+  console.log("[mail] refund email", queued.status, { session_id: order.id, cancelled, to });
+  return queued;
+}
+
+// Seconds until `req` may email a quote to `to` again, or 0 if it may now.
+// Both limits are checked before either is counted, so a refused request
+// uses up neither.
+function quoteEmailRetryAfter(req, to) {
+  const limits = [[quoteEmailsPerIp, req.ip], [quoteEmailsPerRecipient, to]];
+  const waitMs = Math.max(...limits.map(([limiter, key]) => limiter.retryAfterMs(key)));
+  if (waitMs > 0) return Math.ceil(waitMs / 1000);
+  limits.forEach(([limiter, key]) => limiter.take(key));
+  return 0;
+}
+
+async function sendQuoteEmail(record, to) {
+  const queued = await sendEmail({
+    to,
+    ...renderEmail("quote", { quote: quoteView(record, quoteResumeUrl(record.id)) }),
+    replyTo: ORDER_NOTIFY_EMAIL,
+  }, { kind: "quote" });
+  await quotes.recordQuoteEmail(record.id, to);
+  console.log("[mail] quote email", queued.status, { quote: record.id, to });
+  return queued;
+}
+
+// Turns an expired checkout into a saved quote, so the link reopens the
+// configurator with the exact piece, re-priced at today's rates.
+async function sendRecoveryEmail(record) {
+  const quote = buildQuote(record.config);
+  let quoteRecord = record.quoteId ? await quotes.getQuote(record.quoteId) : null;
+  if (!quoteRecord) {
+    quoteRecord = await quotes.saveQuote({ config: record.config, quote, email: record.email });
+    await recoveries.recordQuote(record.id, quoteRecord.id);
+  }
+  const queued = await sendEmail({
+    to: record.email,
+    ...renderEmail("checkout-recovery", {
+      quote: quoteView(quoteRecord, quoteResumeUrl(quoteRecord.id)),
+      optOutUrl: record.optOutUrl,
+    }),
+    replyTo: ORDER_NOTIFY_EMAIL,
+  }, { kind: "recovery", key: `recovery:${record.id}` });
+  // A "queued" message belongs to the outbox worker now, which retries it;
+  // only a dead one never reaches the customer.
+  if (queued.status !== "dead") await quotes.recordQuoteEmail(quoteRecord.id, record.email);
+  return { quoteId: quoteRecord.id, queued };
+}
+
+// A made-up paid order, so every template can be previewed before there is
+// a real order to render it against.
+function sampleEmailOrder() {
+  const config = {
+    shape: "rectangle",
+    dims: { L: 48, W: 25.5 },
+    qty: 1,
+    sinks: [{ key: "bath-oval", x: 24, y: 14.5, faucet: "3", spread: 8 }],
+    color: "bergen",
+    edges: ["left", "right", "bottom"],
+    backsplash: true,
+    zip: pricing.constants.originZip,
+  };
+  const quote = buildQuote(config);
+  const id = "cs_test_SAMPLE0000preview";
+  return {
+    id,
+    shortId: shortOrderId(id),
+    status: "paid",
+    customerEmail: "customer@example.com",
+    amountTotal: Math.round(quote.total * 100),
+    currency: "usd",
+    quotedZip: config.zip,
+    shipZip: config.zip,
+    zipMismatch: false,
+    config,
+    pricing: computePricing(config),
+    tax: { amountCents: Math.round(quote.tax * 100), jurisdiction: quote.taxJurisdiction, source: quote.taxSource },
+    shipment: { carrier: "Sample Freight Lines", trackingNumber: "123456789", trackingUrl: null },
+  };
+}
+
+// Renders template `name` for /admin/email-preview from the same views the
+// live sends build, against `order` or the sample order. Parts a template
+// needs beyond the order (a refund, a saved quote) come from the order when
+// it has them and are made up otherwise.
+function previewEmail(req, name, order, { milestone, cancelled = false } = {}) {
+  const o = order || sampleEmailOrder();
+  const statusUrl = o.statusToken ? orderStatusUrl(req, o.statusToken) : null;
+  const step = MILESTONE_EMAILS[milestone] ? milestone : "shipped";
+  const refund = o.refunds?.at(-1) || { id: "re_sample", line: "freight", amountCents: 5000, reason: "Freight was overcharged" };
+  const quoteRecord = { id: "SAMPLE", config: o.config, quote: o.config ? buildQuote(o.config) : null };
+  // A browser cannot resolve cid: links, so the preview inlines the image.
+  const pieceImage = pieceImageAttachment(o);
+  return renderEmail(name, {
+    ...orderEmailView(req, o, statusUrl),
+    pieceImage: pieceImage ? `data:image/png;base64,${pieceImage.content}` : null,
+    milestone: { ...MILESTONE_EMAILS[step], shipped: step === "shipped" },
+    refund: refundView(refund),
+    cancelled,
+    quote: quoteView(quoteRecord, quoteResumeUrl(quoteRecord.id)),
+    optOutUrl: `${serverBaseUrl(req)}/checkout-recovery/opt-out/preview`,
+    alert: {
+      title: `DISPUTE opened - ${o.shortId}`,
+      lines: [`The customer's bank opened a dispute on order ${o.shortId}: fraudulent.`, `Amount: ${orderView(o).total}`],
     },
-    body: JSON.stringify(body),
+    piece: pieceView(o.config),
   });
-  if (!resp.ok) {
-    const errTxt = await resp.text().catch(() => "");
-    throw new Error(`Resend API failed: ${resp.status} ${resp.statusText} ${errTxt}`);
-  }
-  return resp.json();
-}
-
-function renderCustomerEmailHTML(cfg, session, options = {}) {
-  const brandName = process.env.MAIL_FROM_NAME || "Rock Creek Granite";
-  const logoUrl = process.env.MAIL_LOGO_URL || "https://cdn.prod.website-files.com/634cb6e50d8312e63b8d5ee1/67a16defcff775964e6f48ed_RCG_consumerLogo.svg";
-  const safe = (v) => String(v ?? "").replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
-  const money = (cents) => `$${((cents || 0) / 100).toFixed(2)}`;
-  const orderId = session?.id || "";
-  const shortId = shortOrderId(orderId);
-  const total = session?.amount_total || 0;
-  const zip = normalizeZip((cfg?.zip || "").toString());
-  const actualShipZip = normalizeZip(options?.actualShipZip || "");
-  const zipMismatch = !!options?.zipMismatch;
-  const dims = cfg?.shape === "rectangle"
-    ? `${cfg?.dims?.L}" x ${cfg?.dims?.W}"`
-    : cfg?.shape === "circle"
-      ? `${cfg?.dims?.D}" O`
-      : cfg?.shape
-        ? `${cfg?.dims?.n}-sides, ${cfg?.dims?.A}" side`
-        : "N/A";
-  const edges = (cfg?.edges || []).join(", ") || "None";
-  const sinks = (cfg?.sinks || []).length;
-  return `
-  <div style="font-family:Arial,Helvetica,sans-serif;max-width:680px;margin:0 auto;background:#ffffff;color:#111;">
-    <div style="background:#ffc400;padding:14px 16px;display:flex;align-items:center;justify-content:space-between;gap:12px;">
-      <div style="display:flex;align-items:center;gap:12px;min-width:0;">
-        <img src="${safe(logoUrl)}" alt="${safe(brandName)}" style="height:36px;display:block;" />
-      </div>
-      <div style="font-weight:800;font-size:13px;white-space:nowrap;">Order Confirmed</div>
-    </div>
-    <div style="padding:18px 16px;">
-      <h2 style="margin:0 0 10px;font-size:18px;">Thanks - payment received!</h2>
-      <p style="margin:0 0 14px;font-size:14px;line-height:1.5;color:#222;">We are getting started on your custom countertop. Here is your order summary:</p>
-      <div style="background:#fafafa;border:1px solid #eee;border-radius:8px;padding:14px;">
-        <div style="font-size:13px;line-height:1.45;">
-          <div><strong>Order #:</strong> ${safe(shortId)}</div>
-          <div style="word-break:break-word;overflow-wrap:anywhere;"><strong>Stripe Ref:</strong> ${safe(orderId)}</div>
-          <div><strong>Total Paid:</strong> ${safe(money(total))} ${safe(String(session?.currency || "usd").toUpperCase())}</div>
-          <div><strong>Quoted ZIP:</strong> ${safe(zip || "N/A")}</div>
-          ${zipMismatch ? `<div><strong>Checkout Ship ZIP:</strong> ${safe(actualShipZip || "N/A")}</div>` : ""}
-          <div><strong>Shape:</strong> ${safe(cfg?.shape || "N/A")}</div>
-          <div><strong>Size:</strong> ${safe(dims)}</div>
-          <div><strong>Polished edges:</strong> ${safe(edges)}</div>
-          <div><strong>Sinks:</strong> ${safe(sinks)}</div>
-          <div><strong>Backsplash:</strong> ${cfg?.backsplash ? "Yes" : "No"}</div>
-          <div><strong>Stone:</strong> ${safe(cfg?.color || "N/A")}</div>
-        </div>
-      </div>
-      <p style="margin:14px 0 0;font-size:13px;color:#444;">We will follow up with your production timeline and shipping details shortly.</p>
-      <p style="margin:18px 0 0;font-size:12px;color:#666;">Questions? Reply to this email and we will help.</p>
-    </div>
-  </div>`;
+}
+
+// Why a due recovery email should not go out, or null to send it.
+async function recoverySkipReason(record) {
+  if (await recoveries.isOptedOut(record.email)) return "opted_out";
+  const last = await recoveries.lastSentAt(record.email);
+  if (last && Date.now() - Date.parse(last) < RECOVERY_THROTTLE_DAYS * 86400 * 1000) return "throttled";
+  const ordered = await orders.listOrders({ email: record.email, since: record.sessionCreatedAt });
+  if (ordered.length) return "ordered";
+  if (validateConfig(record.config).length) return "invalid_config";
+  return null;
+}
+
+function pruneQuotes() {
+  quotes.pruneQuotes(QUOTE_RETENTION_DAYS)
+    .then((n) => n && console.log("[quote] pruned old quotes", { count: n, days: QUOTE_RETENTION_DAYS }))
+    .catch((e) => console.error("[quote] prune failed:", e));
+}
+
+let recoverySweep = null;
+function sweepRecoveryEmails() {
+  if (recoverySweep) return recoverySweep;
+  recoverySweep = (async () => {
+    for (const record of await recoveries.listDue()) {
+      const reason = await recoverySkipReason(record);
+      if (reason) {
+        await recoveries.finish(record.id, "skipped", { reason });
+        console.log("[recovery] skipped", { session_id: record.id, reason });
+        continue;
+      }
+      try {
+        const { quoteId, queued } = await sendRecoveryEmail(record);
+        if (queued.status === "dead") {
+          await recoveries.finish(record.id, "failed", { quoteId, lastError: queued.lastError });
+          console.error("[recovery] email dead-lettered", { session_id: record.id, error: queued.lastError });
+          continue;
+        }
+        // Sent or still queued in the outbox both count as sent, so the
+        // throttle sees it either way.
+        await recoveries.finish(record.id, "sent", { quoteId, delivery: queued.status });
+        console.log("[recovery] sent", { session_id: record.id, quote: quoteId, delivery: queued.status });
+      } catch (e) {
+        await recoveries.recordFailure(record.id, e);
+        console.error("[recovery] send failed:", e.message);
+      }
+    }
+  })()
+    .catch((e) => console.error("[recovery] sweep failed:", e))
+    .finally(() => {
+      recoverySweep = null;
+    });
+  return recoverySweep;
+}
+
+async function runOrderStep(orderId, step, fn) {
+  const order = await orders.getOrder(orderId);
+  const prev = order?.effects?.[step];
+  if (prev?.done) {
+    console.log(`[order] ${step} already done; skipping`, { session_id: orderId, at: prev.at });
+    return prev;
+  }
+  try {
+    const result = (await fn()) || {};
+    await orders.recordEffect(orderId, step, result);
+    return result;
+  } catch (e) {
+    await orders.recordEffect(orderId, step, { error: String(e.message || e) });
+    throw e;
+  }
 }
 
 app.post("/api/checkout-webhook", express.raw({ type: "application/json" }), async (req, res) => {
@@ -437,8 +875,20 @@ app.post("/api/checkout-webhook", express.raw({ type: "application/json" }), asy
   }
 
   try {
+    const eventState = await webhookEvents.begin(event);
+    if (eventState === "done") {
+      console.log("[stripe] duplicate event acknowledged", { id: event.id, type: event.type });
+      return res.json({ received: true, duplicate: true });
+    }
+    if (eventState === "in-flight") {
+      console.log("[stripe] event already in flight", { id: event.id, type: event.type });
+      return res.status(409).json({ error: "Event is already being processed" });
+    }
+    if (eventState === "retry") console.log("[stripe] resuming event", { id: event.id, type: event.type });
+
     switch (event.type) {
-      case "checkout.session.completed": {
+      case "checkout.session.completed":
+      case "checkout.session.async_payment_succeeded": {
         const session = event.data.object;
         const md = session.metadata || {};
         let config = null;
@@ -449,8 +899,6 @@ app.post("/api/checkout-webhook", express.raw({ type: "application/json" }), asy
         }
         const orderId = session.id;
         const shortId = shortOrderId(orderId);
-        const currency = String(session.currency || "usd").toUpperCase();
-        const orderTotalUSD = ((session.amount_total || 0) / 100).toFixed(2);
         const customerEmail = normalizeEmail(
           (await getCustomerEmailFromSession(session)) || md.customer_email || md.email || ""
         );
@@ -472,92 +920,119 @@ app.post("/api/checkout-webhook", express.raw({ type: "application/json" }), asy
           zipMismatch,
         });
 
-        try {
-          const internalSubject = `${process.env.NODE_ENV === "production" ? "" : "[TEST] "}${zipMismatch ? "ZIP MISMATCH REVIEW REQUIRED - " : "New Order - "}${shortId}`;
-          const mismatchBanner = zipMismatch
-            ? `<div style="margin:0 0 14px;padding:12px 14px;border:2px solid #c1121f;background:#fff1f2;color:#8a1020;font-weight:700;border-radius:8px;">
-                Shipping ZIP changed during checkout. Hold for review before production.<br>
-                Quoted ZIP: ${quotedZip || "N/A"}<br>
-                Stripe shipping ZIP: ${actualShipZip || "N/A"}
-              </div>`
-            : "";
-          const internalHtml = `
-          <div style="font-family:Arial,sans-serif;max-width:680px;margin:0 auto;background:#ffffff">
-            <div style="padding:20px 0;text-align:center;border-bottom:2px solid #eee">
-              <img src="https://cdn.prod.website-files.com/634cb6e50d8312e63b8d5ee1/698eb4a7c5210c924a31f46a_RCG_Logo.png" alt="Rock Creek Granite" style="height:48px" />
-            </div>
-            <div style="padding:20px">
-              <h2 style="margin:0 0 14px;font-size:18px;color:#111">${zipMismatch ? "Shipping Review Required" : "New Countertop Order"}</h2>
-              ${mismatchBanner}
-              <div style="background:#fafafa;border:1px solid #eee;padding:14px">
-                <div><strong>Order ID:</strong> ${shortId}</div>
-                <div><strong>Stripe Session:</strong> ${orderId}</div>
-                <div><strong>Customer:</strong> ${customerEmail || "N/A"}</div>
-                <div><strong>Total:</strong> $${orderTotalUSD} ${currency}</div>
-                <div><strong>Quoted ZIP:</strong> ${quotedZip || "N/A"}</div>
-                <div><strong>Stripe Ship ZIP:</strong> ${actualShipZip || "N/A"}</div>
-                <div><strong>Shape:</strong> ${config?.shape || "N/A"}</div>
-                <div><strong>Stone:</strong> ${config?.color || "N/A"}</div>
-                <div><strong>Sinks:</strong> ${(config?.sinks || []).length}</div>
-                <div><strong>Edges:</strong> ${(config?.edges || []).join(", ") || "None"}</div>
-                <div><strong>Backsplash:</strong> ${config?.backsplash ? "Yes" : "No"}</div>
-                <div><strong>Faucets:</strong><br>${sinksFaucetList(config).replace(/\n/g, "<br>")}</div>
-              </div>
-            </div>
-          </div>`;
-          const dxfAttachment = makeDxfAttachmentFromConfig(config, shortId);
-          await sendEmail({
-            to: ORDER_NOTIFY_EMAIL,
-            subject: internalSubject,
-            html: internalHtml,
-            text: [
-              `${zipMismatch ? "ZIP MISMATCH REVIEW REQUIRED" : "New order"} ${shortId}`,
-              `Customer: ${customerEmail || "N/A"}`,
-              `Total: $${orderTotalUSD} ${currency}`,
-              `Quoted ZIP: ${quotedZip || "N/A"}`,
-              `Stripe Ship ZIP: ${actualShipZip || "N/A"}`,
-            ].join("\n"),
-            attachments: dxfAttachment ? [dxfAttachment] : [],
-            replyTo: ORDER_NOTIFY_EMAIL,
+        const orderPricing = config ? computePricing(config) : null;
+        const orderTax = await getOrderTax(session, config, orderPricing);
+        await orders.saveCompletedOrder({
+          session,
+          config,
+          pricing: orderPricing,
+          tax: orderTax,
+          customerEmail,
+          quotedZip,
+          shipZip: actualShipZip,
+          zipMismatch,
+          shortId,
+          statusToken: md.status_token,
+        });
+        console.log("[order] saved", { session_id: orderId });
+
+        // Delayed payment methods (ACH and other bank debits) complete
+        // Checkout before the money arrives. Nothing goes to production and
+        // no confirmation is sent until async_payment_succeeded.
+        if (session.payment_status === "unpaid") {
+          console.log("[order] payment pending; holding fulfillment", { session_id: orderId });
+          break;
+        }
+        if (event.type === "checkout.session.async_payment_succeeded") {
+          const pending = await orders.getOrder(orderId);
+          if (pending?.status === "payment_pending" || pending?.status === "payment_failed") {
+            await orders.setStatus(orderId, "paid", { by: "stripe", note: "Delayed payment succeeded" });
+          }
+        }
+
+        const failed = [];
+        const step = (name, fn) => runOrderStep(orderId, name, fn).catch((e) => {
+          console.error(`[order] ${name} failed:`, e);
+          failed.push(name);
+        });
+
+        await step("dxf", async () => {
+          const dxf = makeDxfAttachmentFromConfig(config, shortId);
+          await orders.writeOrderFile(orderId, dxf.filename, Buffer.from(dxf.content, "base64"));
+          return { filename: dxf.filename };
+        });
+        await step("cncDxf", async () => {
+          const dxf = makeCncDxfAttachmentFromConfig(config, shortId);
+          await orders.writeOrderFile(orderId, dxf.filename, Buffer.from(dxf.content, "base64"));
+          return { filename: dxf.filename, kerf: CNC_KERF, leadIn: CNC_LEAD_IN };
+        });
+
+        if (zipMismatch && config) await step("balance", async () => {
+          const result = await settleZipRequote({
+            orderId,
+            session,
+            config,
+            quotedZip,
+            shipZip: actualShipZip,
+            customerEmail,
+          });
+          await orders.recordBalance(orderId, result);
+          console.log("[order] ZIP re-quote", {
+            session_id: orderId,
+            action: result.action,
+            deltaCents: result.deltaCents,
+            invoiceId: result.invoiceId || null,
+            refundId: result.refundId || null,
           });
-          console.log(`[mail] ${zipMismatch ? "internal zip-mismatch alert" : "internal branded order email"} sent`);
-        } catch (e) {
-          console.error("[mail] internal order email failed:", e);
+          return { action: result.action, deltaCents: result.deltaCents };
+        });
+        // A settled or invoiced re-quote replaces the manual review; only a
+        // mismatch we could not re-price still needs a person to look at it.
+        const balance = zipMismatch ? (await orders.getOrder(orderId))?.balance || null : null;
+        const needsReview = zipMismatch && !balance;
+        const savedOrder = await orders.getOrder(orderId);
+        if (needsReview && savedOrder?.status === "paid") {
+          await orders.setStatus(orderId, "under_review", { note: "Shipping ZIP changed at checkout" });
         }
+        const statusUrl = orderStatusUrl(req, savedOrder.statusToken);
+
+        // Both emails render from the saved order, so they show the same
+        // figures as /admin and the status page.
+        const pieceImage = pieceImageAttachment(savedOrder);
+        const emailView = { ...orderEmailView(req, savedOrder, statusUrl), pieceImage: pieceImage ? "cid:piece" : null };
+
+        // The shop email carries the DXF, so hold it until the file exists.
+        // The CNC file rides along when it was made; admin can download it
+        // later otherwise.
+        if (!failed.includes("dxf")) await step("internalEmail", async () => {
+          const email = renderEmail("order-internal", emailView);
+          const { effects = {} } = (await orders.getOrder(orderId)) || {};
+          const files = await Promise.all([effects.dxf, effects.cncDxf].map(async (effect) => {
+            const content = effect?.filename ? await orders.readOrderFile(orderId, effect.filename) : null;
+            return content ? { filename: effect.filename, content: content.toString("base64") } : null;
+          }));
+          const queued = await sendEmail({
+            to: ORDER_NOTIFY_EMAIL,
+            ...email,
+            attachments: [...files, workOrderAttachment(req, savedOrder), pieceImage].filter(Boolean),
+            replyTo: ORDER_NOTIFY_EMAIL,
+          }, { kind: "internal", orderId, key: `${orderId}:internalEmail` });
+          console.log(`[mail] ${needsReview ? "internal zip-mismatch alert" : "internal branded order email"}`, queued.status);
+          return { to: ORDER_NOTIFY_EMAIL, subject: email.subject, outboxId: queued.id };
+        });
 
         if (isValidEmail(customerEmail)) {
-          try {
-            const customerSubject = zipMismatch
-              ? `${process.env.NODE_ENV === "production" ? "" : "[TEST] "}We received your order - shipping review needed - ${shortId}`
-              : `${process.env.NODE_ENV === "production" ? "" : "[TEST] "}You're Rock'n! We got your order - ${shortId}`;
-            const customerHtml = renderCustomerEmailHTML(config, session, { zipMismatch, actualShipZip });
-            const customerText = zipMismatch
-              ? [
-                  `Order received - Rock Creek Granite (#${shortId})`,
-                  `Order #: ${orderId}`,
-                  `Total: $${orderTotalUSD} ${currency}`,
-                  `Quoted ZIP: ${quotedZip || "N/A"}`,
-                  `Checkout Ship ZIP: ${actualShipZip || "N/A"}`,
-                  "Your shipping ZIP changed during checkout, so our team needs to review shipping before production begins.",
-                ].join("\n")
-              : [
-                  `Order confirmation - Rock Creek Granite (#${shortId})`,
-                  `Order #: ${orderId}`,
-                  `Total: $${orderTotalUSD} ${currency}`,
-                  `Ship ZIP: ${quotedZip || "N/A"}`,
-                  `Shape: ${config?.shape || "N/A"}`,
-                ].join("\n");
-            await sendEmail({
+          await step("customerEmail", async () => {
+            const email = renderEmail("order-customer", emailView);
+            const queued = await sendEmail({
               to: customerEmail,
-              subject: customerSubject,
-              html: customerHtml,
-              text: customerText,
+              ...email,
+              attachments: pieceImage ? [pieceImage] : [],
               replyTo: ORDER_NOTIFY_EMAIL,
-            });
-            console.log(`[mail] ${zipMismatch ? "customer shipping-review" : "customer"} email sent ->`, customerEmail);
-          } catch (e) {
-            console.error("[mail] customer email failed:", e);
-          }
+            }, { kind: "customer", orderId, key: `${orderId}:customerEmail` });
+            console.log(`[mail] ${needsReview ? "customer shipping-review" : "customer"} email ${queued.status} ->`, customerEmail);
+            return { to: customerEmail, subject: email.subject, outboxId: queued.id };
+          });
         } else {
           console.log("[mail] no valid customer email found; skipping customer send", {
             session_id: orderId,
@@ -573,19 +1048,182 @@ app.post("/api/checkout-webhook", express.raw({ type: "application/json" }), asy
           amount_total: session.amount_total,
           cfg_summary: config ? { shape: config.shape, zip: config?.zip || md.zip || "" } : null,
         });
+        if (failed.length) throw new Error(`Order steps failed: ${failed.join(", ")}`);
+        break;
+      }
+      case "checkout.session.async_payment_failed": {
+        const session = event.data.object;
+        const order = await orders.getOrder(session.id);
+        if (!order) {
+          console.warn("[order] async payment failed for unknown order", { session_id: session.id });
+          break;
+        }
+        if (order.status !== "payment_failed") {
+          await orders.setStatus(order.id, "payment_failed", { by: "stripe", note: "Delayed payment failed" });
+        }
+        await alertStaff(req, order, "alert:payment_failed", `Payment failed - ${order.shortId}`, [
+          `The delayed payment for order ${order.shortId} failed. Do not start production.`,
+          `Customer: ${order.customerEmail || "N/A"}`,
+          `Amount: $${((order.amountTotal || 0) / 100).toFixed(2)}`,
+        ]);
+        break;
+      }
+      case "payment_intent.payment_failed": {
+        const pi = event.data.object;
+        const order = await orders.findByPaymentIntent(pi.id);
+        // Card declines inside Checkout never reach an order; Checkout shows
+        // the error and the customer retries there.
+        if (!order) {
+          console.log("[stripe] payment_intent.payment_failed without an order", { payment_intent: pi.id });
+          break;
+        }
+        await orders.mergeOrder(order.id, {
+          lastPaymentError: {
+            code: pi.last_payment_error?.code || null,
+            message: pi.last_payment_error?.message || null,
+            at: new Date().toISOString(),
+          },
+        });
+        if (order.status === "payment_pending") {
+          await orders.setStatus(order.id, "payment_failed", { by: "stripe", note: pi.last_payment_error?.message || "Payment failed" });
+          await alertStaff(req, order, "alert:payment_failed", `Payment failed - ${order.shortId}`, [
+            `The payment for order ${order.shortId} failed: ${pi.last_payment_error?.message || "no reason given"}. Do not start production.`,
+            `Customer: ${order.customerEmail || "N/A"}`,
+          ]);
+        }
+        break;
+      }
+      case "checkout.session.expired": {
+        const session = event.data.object;
+        const order = await orders.getOrder(session.id);
+        if (order) {
+          console.warn("[order] checkout session expired after an order was recorded", { session_id: session.id, status: order.status });
+          break;
+        }
+        const email = normalizeEmail(session.customer_details?.email || session.customer_email || session.metadata?.email);
+        const config = reassembleCfgFromMeta(session.metadata);
+        console.log("[stripe] checkout session expired", { session_id: session.id, email: email || null });
+        if (!RECOVERY_ENABLED || !config || !isValidEmail(email)) break;
+        const record = await recoveries.schedule({
+          sessionId: session.id,
+          email,
+          config,
+          sessionCreatedAt: new Date((session.created || Date.now() / 1000) * 1000).toISOString(),
+          dueAt: new Date(Date.now() + RECOVERY_DELAY_MINUTES * 60 * 1000).toISOString(),
+          optOutBase: serverBaseUrl(req),
+        });
+        console.log("[recovery] scheduled", { session_id: session.id, dueAt: record.dueAt });
+        break;
+      }
+      case "charge.refunded": {
+        const charge = event.data.object;
+        const piId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+        const order = await orders.findByPaymentIntent(piId);
+        if (!order) {
+          console.warn("[stripe] refund for unknown order", { charge: charge.id, payment_intent: piId || null });
+          break;
+        }
+        const refundedCents = charge.amount_refunded || 0;
+        await orders.mergeOrder(order.id, { refundedCents, fullyRefunded: !!charge.refunded });
+        // A staff cancellation already says why the money went back.
+        if (charge.refunded && !["refunded", "cancelled"].includes(order.status)) {
+          await orders.setStatus(order.id, "refunded", { by: "stripe", note: `Refunded $${(refundedCents / 100).toFixed(2)}` });
+        }
+        const outside = refundedCents - appRefundedCents(order);
+        console.log("[order] refund recorded", { session_id: order.id, refundedCents, fully: !!charge.refunded, outside });
+        if (outside > 0) {
+          await alertStaff(req, order, `alert:refund:${refundedCents}`, `Refund issued outside the app - ${order.shortId}`, [
+            `Stripe reports $${(refundedCents / 100).toFixed(2)} refunded on order ${order.shortId}, $${(outside / 100).toFixed(2)} of it not issued from this app.`,
+            charge.refunded ? "The order is fully refunded. Stop production and shipping." : "Check whether production or shipping needs to change.",
+            `Current status: ${order.status}`,
+          ]);
+        }
+        break;
+      }
+      case "charge.dispute.created": {
+        const dispute = event.data.object;
+        const piId = typeof dispute.payment_intent === "string" ? dispute.payment_intent : dispute.payment_intent?.id;
+        const order = await orders.findByPaymentIntent(piId);
+        if (!order) {
+          console.warn("[stripe] dispute for unknown order", { dispute: dispute.id, payment_intent: piId || null });
+          break;
+        }
+        const dueBy = dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null;
+        const entry = {
+          id: dispute.id,
+          amountCents: dispute.amount,
+          reason: dispute.reason,
+          status: dispute.status,
+          evidenceDueBy: dueBy,
+          createdAt: new Date((dispute.created || Date.now() / 1000) * 1000).toISOString(),
+        };
+        await orders.mergeOrder(order.id, {
+          disputes: [...(order.disputes || []).filter((d) => d.id !== dispute.id), entry],
+        });
+        await alertStaff(req, order, `alert:dispute:${dispute.id}`, `DISPUTE opened - ${order.shortId}`, [
+          `The customer's bank opened a dispute on order ${order.shortId}: ${dispute.reason || "no reason given"}.`,
+          `Amount: $${((dispute.amount || 0) / 100).toFixed(2)}`,
+          `Evidence due by: ${dueBy || "see Stripe"}`,
+          `Current status: ${order.status}. Consider holding production until it is resolved.`,
+        ]);
+        break;
+      }
+      case "invoice.paid": {
+        const invoice = event.data.object;
+        const orderId = invoice.metadata?.order_id;
+        if (invoice.metadata?.reason !== "zip_requote" || !orderId) break;
+        const order = await orders.recordBalance(orderId, {
+          status: "settled",
+          settledAt: new Date().toISOString(),
+          paidCents: invoice.amount_paid ?? null,
+        });
+        console.log("[order] ZIP re-quote balance paid", {
+          session_id: orderId,
+          invoice: invoice.id,
+          found: !!order,
+          status: order?.status || null,
+        });
         break;
       }
       default:
         if (process.env.NODE_ENV !== "production") console.log(`[stripe] ${event.type}`);
     }
+    await webhookEvents.complete(event.id);
   } catch (e) {
     console.error("Webhook handler error:", e);
+    await webhookEvents.fail(event.id, e).catch((err) => console.error("[stripe] could not record event failure:", err));
     return res.sendStatus(500);
   }
 
   return res.json({ received: true });
 });
 
+// Staff pages post back to this server's own origin, which the storefront
+// CORS allow-list does not (and should not) include, so they mount first.
+app.use(
+  "/admin",
+  adminAuth({ user: ADMIN_USER, password: ADMIN_PASSWORD }),
+  createAdminRouter({
+    orders,
+    outbox,
+    pricing,
+    statusUrl: orderStatusUrl,
+    sendMilestoneEmail: (order, milestone, { by, req }) => sendMilestoneEmail(req, order, milestone, {
+      by,
+      statusUrl: order.statusToken ? orderStatusUrl(req, order.statusToken) : null,
+    }),
+    issueRefund: issueStaffRefund,
+    sendRefundEmail: (order, refund, { by, req, cancelled }) => sendRefundEmail(req, order, refund, {
+      by,
+      cancelled,
+      statusUrl: order.statusToken ? orderStatusUrl(req, order.statusToken) : null,
+    }),
+    emailTemplates: emailTemplates.names,
+    previewEmail,
+    workOrderPdf,
+  })
+);
+
 const corsOptions = {
   origin(origin, cb) {
     if (!origin) return cb(null, true);
@@ -598,16 +1236,27 @@ app.use(express.json({ limit: "5mb" }));
 
 app.post("/api/create-checkout-session", async (req, res) => {
   try {
-    const { config, email } = req.body || {};
+    const { config, email, uiMode } = req.body || {};
     if (!config) return res.status(400).json({ error: "Missing config" });
+    const configErrors = validateConfig(config);
+    if (configErrors.length) {
+      console.warn("[checkout] rejected config", { errors: configErrors.map((e) => `${e.field}:${e.code}`) });
+      return res.status(400).json({ error: "Invalid config", errors: configErrors });
+    }
 
     const normalizedEmail = normalizeEmail(email);
     if (!isValidEmail(normalizedEmail)) {
       return res.status(400).json({ error: "Missing or invalid email" });
     }
 
-    const qty = Math.max(1, parseInt(config.qty, 10) || 1);
-    const p = computePricing(config);
+    const quote = buildQuote(config);
+    const { qty } = quote;
+    if (config.pricing_version && config.pricing_version !== pricing.version) {
+      console.warn("[checkout] client priced with stale constants", {
+        client: config.pricing_version,
+        server: pricing.version,
+      });
+    }
     const line_items = [
       {
         price_data: {
@@ -616,76 +1265,291 @@ app.post("/api/create-checkout-session", async (req, res) => {
             name: "Custom Porcelain Countertop",
             description: "Material, fabrication, sinks, backsplash (if selected), packaging & LTL shipping",
           },
-          unit_amount: Math.max(0, Math.round(p.services * 100)),
+          unit_amount: quote.unitAmountCents.services,
+          ...(TAX_MODE === "stripe" ? { tax_behavior: "exclusive" } : {}),
         },
         quantity: qty,
       },
     ];
-    if (p.tax > 0) {
+    if (TAX_MODE === "table" && quote.unitAmountCents.tax > 0) {
       line_items.push({
         price_data: {
           currency: "usd",
           product_data: { name: "Sales Tax" },
-          unit_amount: Math.max(0, Math.round(p.tax * 100)),
+          unit_amount: quote.unitAmountCents.tax,
         },
         quantity: qty,
       });
     }
 
-    const compactCfg = {
-      shape: config.shape,
-      dims: config.dims,
-      qty,
-      sinks: Array.isArray(config.sinks)
-        ? config.sinks.map((s) => ({
-            key: s.key,
-            type: s.type,
-            cutoutW: s.cutoutW,
-            cutoutH: s.cutoutH,
-            x: Number(typeof s.x === "number" ? s.x.toFixed(2) : s.x),
-            y: Number(typeof s.y === "number" ? s.y.toFixed(2) : s.y),
-            faucet: s.faucet ?? 1,
-            spread: s.spread ?? null,
-          }))
-        : [],
-      color: config.color,
-      edges: Array.isArray(config.edges) ? config.edges : [],
-      backsplash: !!config.backsplash,
-      zip: String(config.zip || ""),
-    };
+    const compactCfg = compactConfig(config, qty);
     const cfgB64 = encodeCfgForMeta(compactCfg);
     const metadata = {
       zip: String(config.zip || ""),
       email: normalizedEmail,
       customer_email: normalizedEmail,
       qty: String(qty),
+      pricing_version: pricing.version,
+      tax_mode: TAX_MODE,
+      status_token: newStatusToken(),
       ...splitMeta("cfg", cfgB64),
     };
 
+    // Embedded Checkout lets us vet the shipping address before payment
+    // (POST /api/checkout-shipping), so a ZIP other than the quoted one is
+    // turned away instead of being caught by the webhook afterwards. Hosted
+    // Checkout cannot do that; it only gets a reminder above the address form.
+    const embedded = uiMode === "embedded";
+    const quotedZip = normalizeZip(config.zip);
     console.log("[checkout] creating session", {
       email: normalizedEmail,
       qty,
       zip: metadata.zip,
       shape: compactCfg.shape,
+      uiMode: embedded ? "embedded" : "hosted",
     });
 
     const session = await stripe.checkout.sessions.create({
       mode: "payment",
       line_items,
-      success_url: `${FRONTEND_URL}/thank-you?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${FRONTEND_URL}/configurator?canceled=1`,
+      ...(embedded
+        ? {
+            ui_mode: "embedded",
+            return_url: `${FRONTEND_URL}/thank-you?session_id={CHECKOUT_SESSION_ID}`,
+            permissions: { update_shipping_details: "server_only" },
+            shipping_options: [freightShippingOption(quotedZip)],
+          }
+        : {
+            success_url: `${FRONTEND_URL}/thank-you?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${FRONTEND_URL}/configurator?canceled=1`,
+            custom_text: {
+              shipping_address: {
+                message: `Your freight was quoted for delivery to ZIP ${quotedZip}. Shipping anywhere else is re-priced after payment.`,
+              },
+            },
+          }),
       customer_email: normalizedEmail,
       metadata,
       shipping_address_collection: { allowed_countries: ["US"] },
+      ...(TAX_MODE === "stripe" ? { automatic_tax: { enabled: true } } : {}),
     });
 
-    return res.json({ id: session.id, url: session.url });
+    return res.json({
+      id: session.id,
+      url: session.url || null,
+      ...(embedded ? { clientSecret: session.client_secret, publishableKey: STRIPE_PUBLISHABLE_KEY } : {}),
+    });
   } catch (e) {
     console.error("create-checkout-session failed:", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
+// Stripe Embedded Checkout calls this (through onShippingDetailsChange in
+// public/rcg-checkout.js) whenever the customer enters a shipping address.
+// Freight and tax were priced for the quoted ZIP, so any other ZIP is refused
+// with a link back to the configurator to re-quote.
+app.post("/api/checkout-shipping", async (req, res) => {
+  try {
+    const { checkoutSessionId, shippingDetails } = req.body || {};
+    if (!checkoutSessionId || !shippingDetails?.address) {
+      return res.status(400).json({ error: "Missing checkoutSessionId or shippingDetails" });
+    }
+    const session = await stripe.checkout.sessions.retrieve(checkoutSessionId);
+    if (session.status !== "open") return res.status(409).json({ error: "Checkout session is not open" });
+
+    const quotedZip = normalizeZip(session.metadata?.zip);
+    const shipZip = normalizeZip(shippingDetails.address.postal_code);
+    if (!quotedZip || shipZip !== quotedZip) {
+      console.log("[checkout] shipping ZIP rejected", { session_id: session.id, quotedZip, shipZip });
+      return res.json({
+        type: "reject",
+        errorMessage: `This order was priced for delivery to ZIP ${quotedZip || "(none)"}. To ship to ${shipZip || "this address"}, go back and update the ZIP in the configurator for a new freight quote.`,
+        quotedZip,
+        shipZip,
+      });
+    }
+
+    await stripe.checkout.sessions.update(session.id, {
+      collected_information: { shipping_details: shippingDetails },
+      shipping_options: [freightShippingOption(quotedZip)],
+    });
+    return res.json({ type: "accept" });
+  } catch (e) {
+    console.error("POST /api/checkout-shipping failed:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/quote", (req, res) => {
+  try {
+    const { config } = req.body || {};
+    if (!config) return res.status(400).json({ error: "Missing config" });
+    const configErrors = validateConfig(config);
+    if (configErrors.length) return res.status(400).json({ error: "Invalid config", errors: configErrors });
+    return res.json({ ok: true, quote: buildQuote(config) });
+  } catch (e) {
+    console.error("POST /api/quote failed:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/quotes", async (req, res) => {
+  try {
+    const { config, email } = req.body || {};
+    if (!config) return res.status(400).json({ error: "Missing config" });
+    const configErrors = validateConfig(config);
+    if (configErrors.length) return res.status(400).json({ error: "Invalid config", errors: configErrors });
+    const normalizedEmail = normalizeEmail(email);
+    if (email && !isValidEmail(normalizedEmail)) return res.status(400).json({ error: "Invalid email" });
+
+    const quote = buildQuote(config);
+    const compact = compactConfig(config, quote.qty);
+    if (Buffer.byteLength(JSON.stringify(compact)) > MAX_QUOTE_CONFIG_BYTES) {
+      return res.status(413).json({ error: "Config is too large to save" });
+    }
+    const saveLimit = quoteSavesPerIp.take(req.ip);
+    if (!saveLimit.ok) {
+      console.warn("[quote] save rate limited", { ip: req.ip });
+      res.set("Retry-After", String(Math.ceil(saveLimit.retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many saved quotes; try again later" });
+    }
+    const record = await quotes.saveQuote({
+      config: compact,
+      quote,
+      email: normalizedEmail || null,
+    });
+    console.log("[quote] saved", { id: record.id, shape: record.config.shape, zip: record.config.zip });
+
+    // emailStatus is the outbox status: "queued" means the first attempt
+    // failed and the outbox will retry it. A rate-limited email is skipped;
+    // the quote is still saved and its link returned.
+    let emailStatus = null;
+    if (normalizedEmail && quoteEmailRetryAfter(req, normalizedEmail)) {
+      console.warn("[quote] email rate limited", { id: record.id, ip: req.ip, to: normalizedEmail });
+      emailStatus = "rate_limited";
+    } else if (normalizedEmail) {
+      try {
+        emailStatus = (await sendQuoteEmail(record, normalizedEmail)).status;
+      } catch (e) {
+        console.error("[mail] quote email failed:", e);
+        emailStatus = "failed";
+      }
+    }
+    return res.json({ ok: true, id: record.id, url: quoteResumeUrl(record.id), quote, emailed: emailStatus === "sent", emailStatus });
+  } catch (e) {
+    console.error("POST /api/quotes failed:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/quotes/:id", async (req, res) => {
+  try {
+    const id = normalizeQuoteId(req.params.id);
+    const record = id ? await quotes.getQuote(id) : null;
+    if (!record) return res.status(404).json({ ok: false, error: "Quote not found" });
+    return res.json({
+      ok: true,
+      id: record.id,
+      createdAt: record.createdAt,
+      config: record.config,
+      quote: record.quote,
+      url: quoteResumeUrl(record.id),
+    });
+  } catch (e) {
+    console.error("GET /api/quotes/:id failed:", e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/quotes/:id/email", async (req, res) => {
+  try {
+    const id = normalizeQuoteId(req.params.id);
+    const record = id ? await quotes.getQuote(id) : null;
+    if (!record) return res.status(404).json({ error: "Quote not found" });
+    const to = normalizeEmail(req.body?.email);
+    if (!isValidEmail(to)) return res.status(400).json({ error: "Missing or invalid email" });
+    if ((record.emails || []).length >= MAX_QUOTE_EMAILS) {
+      return res.status(429).json({ error: "This quote has already been emailed too many times" });
+    }
+    const retryAfter = quoteEmailRetryAfter(req, to);
+    if (retryAfter) {
+      console.warn("[quote] email rate limited", { id: record.id, ip: req.ip, to });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too many quote emails; try again later" });
+    }
+    const queued = await sendQuoteEmail(record, to);
+    return res.json({ ok: true, emailed: queued.status === "sent", emailStatus: queued.status });
+  } catch (e) {
+    console.error("POST /api/quotes/:id/email failed:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/pricing", (_req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json({
+    version: pricing.version,
+    constants: RCGPricing.serializeConstants(pricing.constants),
+  });
+});
+
+app.get("/api/order-status/:token", async (req, res) => {
+  try {
+    const order = await orders.findByStatusToken(String(req.params.token || ""));
+    if (!order) return res.status(404).json({ ok: false, error: "Order not found" });
+    res.set("Cache-Control", "no-store");
+    return res.json({ ok: true, ...publicOrderStatus(order) });
+  } catch (e) {
+    console.error("GET /api/order-status/:token failed:", e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/orders/status/:token", async (req, res) => {
+  try {
+    const order = await orders.findByStatusToken(String(req.params.token || ""));
+    if (!order) return res.status(404).type("text/plain").send("Order not found");
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+    return res.type("html").send(renderStatusPage(order, {
+      brandName: MAIL_FROM_NAME,
+      logoUrl: MAIL_LOGO_URL,
+    }));
+  } catch (e) {
+    console.error("GET /orders/status/:token failed:", e);
+    return res.status(500).type("text/plain").send("Could not load order status");
+  }
+});
+
+// The emailed link only shows a confirm button; the POST opts out.
+app.get("/checkout-recovery/opt-out/:token", async (req, res) => {
+  try {
+    const record = await recoveries.findByOptOutToken(String(req.params.token || ""));
+    if (!record) return res.status(404).type("text/plain").send("Link not found");
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+    return res.type("html").send(renderOptOutPage({ email: record.email, done: false, brandName: MAIL_FROM_NAME, logoUrl: MAIL_LOGO_URL }));
+  } catch (e) {
+    console.error("GET /checkout-recovery/opt-out failed:", e);
+    return res.status(500).type("text/plain").send("Could not load your preferences");
+  }
+});
+
+app.post("/checkout-recovery/opt-out/:token", async (req, res) => {
+  try {
+    const email = await recoveries.optOut(String(req.params.token || ""));
+    if (!email) return res.status(404).type("text/plain").send("Link not found");
+    console.log("[recovery] opted out", { email });
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+    return res.type("html").send(renderOptOutPage({ email, done: true, brandName: MAIL_FROM_NAME, logoUrl: MAIL_LOGO_URL }));
+  } catch (e) {
+    console.error("POST /checkout-recovery/opt-out failed:", e);
+    return res.status(500).type("text/plain").send("Could not update your preferences");
+  }
+});
+
 app.get("/api/checkout-session", async (req, res) => {
   try {
     const id = req.query.id;
@@ -693,28 +1557,31 @@ app.get("/api/checkout-session", async (req, res) => {
     const session = await stripe.checkout.sessions.retrieve(id, {
       expand: ["line_items", "payment_intent", "customer"],
     });
-    return res.json({ ok: true, session });
+    // The thank-you page links to the status page; the token is minted with
+    // the session, so the link works even before the webhook has landed.
+    const token = session.metadata?.status_token || (await orders.getOrder(session.id))?.statusToken;
+    return res.json({ ok: true, session, statusUrl: token ? orderStatusUrl(req, token) : null });
   } catch (e) {
     console.error("GET /api/checkout-session failed:", e);
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// What the email endpoints report for a message handed to the outbox:
+// "sent", or "queued" when the first attempt failed and it will be retried.
+function outboxReply(queued) {
+  return { ok: true, sent: queued.status === "sent", status: queued.status, outboxId: queued.id, error: queued.lastError || null };
+}
+
 app.post("/api/email-dxf", async (req, res) => {
   try {
     const { to, bcc, subject, config, dxfBase64 } = req.body || {};
     if (!to || !dxfBase64) return res.status(400).json({ error: "Missing to or dxfBase64" });
-    const dimsTxt = config?.shape === "rectangle"
-      ? `${config?.dims?.L}" x ${config?.dims?.W}"`
-      : config?.shape === "circle"
-        ? `${config?.dims?.D}" O`
-        : (config?.shape ? `${config?.dims?.n}-sides, ${config?.dims?.A}" side` : "N/A");
-    const html = `<div style="font-family:Arial,Helvetica,sans-serif;max-width:640px;margin:0 auto;padding:16px;color:#111;"><h2 style="margin:0 0 12px;">${MAIL_FROM_NAME} - DXF attached</h2><p style="margin:0 0 10px;">Auto-generated DXF cut sheet is attached.</p><ul style="margin:0;padding-left:16px"><li>Shape: ${config?.shape || "N/A"}</li><li>Size: ${dimsTxt}</li></ul></div>`;
-    const text = `DXF attached.\nShape: ${config?.shape || "N/A"}\nSize: ${dimsTxt}\n`;
     const att = { filename: "RCG_CutSheet.dxf", content: dxfBase64 };
-    await sendEmail({ to, subject: subject || "RCG DXF", html, text, attachments: [att] });
-    if (bcc) await sendEmail({ to: bcc, subject: subject || "RCG DXF (copy)", html, text, attachments: [att] });
-    return res.json({ ok: true });
+    const piece = pieceView(config);
+    const queued = await sendEmail({ to, ...renderEmail("dxf", { piece, subject }), attachments: [att] }, { kind: "dxf" });
+    const copy = bcc ? await sendEmail({ to: bcc, ...renderEmail("dxf", { piece, subject: subject || "RCG DXF (copy)" }), attachments: [att] }, { kind: "dxf" }) : null;
+    return res.json({ ...outboxReply(queued), ...(copy ? { copy: outboxReply(copy) } : {}) });
   } catch (e) {
     console.error("email-dxf failed:", e);
     return res.status(500).json({ error: e.message });
@@ -728,24 +1595,14 @@ app.post("/api/email-dxf-from-url", async (req, res) => {
     const r = await fetch(dxfUrl);
     if (!r.ok) return res.status(400).json({ error: `Unable to fetch DXF: ${r.status}` });
     const buf = Buffer.from(await r.arrayBuffer());
-    const base64 = buf.toString("base64");
-    const summary = [
-      `Shape: ${config?.shape}`,
-      `Size: ${JSON.stringify(config?.dims)}`,
-      `Polished: ${Array.isArray(config?.edges) ? config.edges.join(", ") : "None"}`,
-      `Backsplash: ${config?.backsplash ? "Yes" : "No"}`,
-      `Sinks: ${(config?.sinks || []).length}`,
-    ].join("\n");
-    await sendEmail({
+    const queued = await sendEmail({
       to,
       bcc,
-      subject: subject || "RCG DXF",
-      text: `Attached is your DXF cut sheet.\n\n${summary}`,
-      html: `<pre style="font-family:monospace;white-space:pre-wrap">${summary}</pre>`,
-      attachments: [{ filename: "RCG_CutSheet.dxf", content: base64 }],
+      ...renderEmail("dxf", { piece: pieceView(config), subject }),
+      attachments: [{ filename: "RCG_CutSheet.dxf", content: buf.toString("base64") }],
       replyTo: ORDER_NOTIFY_EMAIL,
-    });
-    return res.json({ ok: true });
+    }, { kind: "dxf" });
+    return res.json(outboxReply(queued));
   } catch (e) {
     console.error("email-dxf-from-url failed:", e);
     return res.status(500).json({ error: e.message });
@@ -754,15 +1611,10 @@ app.post("/api/email-dxf-from-url", async (req, res) => {
 
 app.get("/.well-known/mail-debug", async (req, res) => {
   try {
-    if (MAIL_MODE !== "resend-api") return res.status(500).json({ ok: false, error: "RESEND_API_KEY missing" });
+    if (MAIL_MODE === "none") return res.status(500).json({ ok: false, error: "No mail transport configured" });
     const to = req.query.to || ORDER_NOTIFY_EMAIL;
-    const r = await sendEmail({
-      to,
-      subject: "[RCG] Mail debug OK",
-      text: "This is a test email from /.well-known/mail-debug",
-      html: "<strong>Mail debug OK</strong>",
-    });
-    return res.json({ ok: true, to, r });
+    const r = await sendEmail({ to, ...renderEmail("mail-debug") }, { kind: "debug" });
+    return res.json({ ok: r.status === "sent", to, outboxId: r.id, status: r.status, error: r.lastError || null });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e.message || e) });
   }
@@ -774,4 +1626,12 @@ app.get("/", (_req, res) => res.type("text/plain").send("ok"));
 
 app.listen(PORT, () => {
   console.log(`Server listening on :${PORT}`);
+  outbox.deliverDue();
+  setInterval(() => outbox.deliverDue(), 15 * 1000).unref();
+  pruneQuotes();
+  setInterval(pruneQuotes, 6 * 60 * 60 * 1000).unref();
+  if (RECOVERY_ENABLED) {
+    sweepRecoveryEmails();
+    setInterval(sweepRecoveryEmails, 60 * 1000).unref();
+  }
 });
@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { createRecoveryStore } from "../lib/checkout-recovery.js";
+import { readData, startServer, tempDataDir } from "./helpers/server.js";
+
+// Abandoned checkout emails: the store's bookkeeping, then the server's
+// sweep deciding who gets one. The sweep runs when server.js starts, so the
+// end-to-end test seeds DATA_DIR before starting it.
+
+const cfg = { shape: "rectangle", dims: { L: 48, W: 25.5 }, qty: 1, sinks: [], color: "bergen", edges: ["bottom"], backsplash: false, zip: "63052" };
+const past = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+function schedule(recoveries, sessionId, email) {
+  return recoveries.schedule({
+    sessionId,
+    email,
+    config: cfg,
+    sessionCreatedAt: past(120),
+    dueAt: past(1),
+    optOutBase: "http://localhost",
+  });
+}
+
+test("the store throttles on sent emails only and opts out by token", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rcg-recovery-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const recoveries = createRecoveryStore(dir);
+
+  const first = await schedule(recoveries, "cs_1", "buyer@example.com");
+  assert.equal(first.status, "pending");
+  assert.match(first.optOutUrl, /^http:\/\/localhost\/checkout-recovery\/opt-out\/[\w-]{24}$/);
+  // Expired twice (a redelivered event): the first schedule stands.
+  assert.equal((await schedule(recoveries, "cs_1", "other@example.com")).email, "buyer@example.com");
+  assert.deepEqual((await recoveries.listDue()).map((r) => r.id), ["cs_1"]);
+
+  await recoveries.recordQuote("cs_1", "Q123");
+  assert.equal((await recoveries.getRecovery("cs_1")).quoteId, "Q123");
+
+  // Failures retry until the third, and never count toward the throttle.
+  await recoveries.recordFailure("cs_1", new Error("SMTP down"));
+  await recoveries.recordFailure("cs_1", new Error("SMTP down"));
+  assert.equal((await recoveries.getRecovery("cs_1")).status, "pending");
+  const failed = await recoveries.recordFailure("cs_1", new Error("SMTP down"));
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts, 3);
+  assert.equal(await recoveries.lastSentAt("buyer@example.com"), null);
+
+  await schedule(recoveries, "cs_2", "buyer@example.com");
+  const sent = await recoveries.finish("cs_2", "sent", { quoteId: "Q456" });
+  await schedule(recoveries, "cs_3", "buyer@example.com");
+  await recoveries.finish("cs_3", "skipped", { reason: "throttled" });
+  assert.equal(await recoveries.lastSentAt("buyer@example.com"), sent.finishedAt);
+  assert.equal(await recoveries.lastSentAt("other@example.com"), null);
+
+  // Looking the token up (the confirm page) changes nothing; opting out does.
+  const { optOutToken } = await recoveries.getRecovery("cs_2");
+  assert.equal((await recoveries.findByOptOutToken(optOutToken)).id, "cs_2");
+  assert.equal(await recoveries.isOptedOut("buyer@example.com"), false);
+  assert.equal(await recoveries.optOut(optOutToken), "buyer@example.com");
+  assert.equal(await recoveries.isOptedOut("buyer@example.com"), true);
+  assert.equal(await recoveries.optOut("no-such-token"), null);
+  assert.equal(await recoveries.findByOptOutToken(""), null);
+});
+
+test("the sweep skips opted-out and recently emailed addresses", async (t) => {
+  const dataDir = tempDataDir();
+  const recoveries = createRecoveryStore(dataDir);
+  // Emailed earlier today, so a second abandoned checkout is throttled.
+  await schedule(recoveries, "cs_prior", "repeat@example.com");
+  await recoveries.finish("cs_prior", "sent", { quoteId: "QPRIOR" });
+  await schedule(recoveries, "cs_repeat", "repeat@example.com");
+  // Opted out from an earlier email's link.
+  await schedule(recoveries, "cs_old", "optout@example.com");
+  await recoveries.finish("cs_old", "sent");
+  await recoveries.optOut((await recoveries.getRecovery("cs_old")).optOutToken);
+  await schedule(recoveries, "cs_optout", "optout@example.com");
+  // A failed earlier send does not hold the next one back.
+  await schedule(recoveries, "cs_failed", "retry@example.com");
+  await recoveries.finish("cs_failed", "failed");
+  await schedule(recoveries, "cs_retry", "retry@example.com");
+  await schedule(recoveries, "cs_fresh", "fresh@example.com");
+
+  const server = await startServer(dataDir, { RECOVERY_THROTTLE_DAYS: "30" });
+  t.after(() => server.stop());
+  const ids = ["cs_repeat", "cs_optout", "cs_retry", "cs_fresh"];
+  const deadline = Date.now() + 10000;
+  let records = readData(dataDir, "checkout-recovery.json");
+  while (ids.some((id) => records[id].status === "pending") && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    records = readData(dataDir, "checkout-recovery.json");
+  }
+
+  assert.deepEqual([records.cs_repeat.status, records.cs_repeat.reason], ["skipped", "throttled"]);
+  assert.deepEqual([records.cs_optout.status, records.cs_optout.reason], ["skipped", "opted_out"]);
+  for (const id of ["cs_retry", "cs_fresh"]) {
+    assert.equal(records[id].status, "sent");
+    assert.equal(records[id].delivery, "sent");
+    assert.ok(readData(dataDir, "quotes.json")[records[id].quoteId]);
+  }
+  const recipients = Object.values(readData(dataDir, "outbox.json")).filter((m) => m.kind === "recovery").flatMap((m) => m.to).sort();
+  assert.deepEqual(recipients, ["fresh@example.com", "retry@example.com"]);
+
+  // The emailed link shows a confirm page; only the POST opts out.
+  const link = `${server.base}/checkout-recovery/opt-out/${records.cs_fresh.optOutToken}`;
+  const page = await fetch(link);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /fresh@example\.com/);
+  assert.equal(readData(dataDir, "recovery-opt-outs.json")["fresh@example.com"], undefined);
+  assert.equal((await fetch(link, { method: "POST" })).status, 200);
+  assert.ok(readData(dataDir, "recovery-opt-outs.json")["fresh@example.com"]);
+  assert.equal((await fetch(`${server.base}/checkout-recovery/opt-out/nope`, { method: "POST" })).status, 404);
+});
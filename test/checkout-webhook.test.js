@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import test from "node:test";
+import Stripe from "stripe";
+import { createWebhookEventLog } from "../lib/webhook-events.js";
+import { WEBHOOK_SECRET, readData as readStore, startServer, tempDataDir } from "./helpers/server.js";
+
+// The Checkout webhook, end to end: server.js runs against a scratch
+// DATA_DIR and gets signed events. None of these paths call the Stripe API,
+// so a placeholder key is enough.
+
+const stripe = new Stripe("sk_test_placeholder");
+const dataDir = tempDataDir();
+const cfg = { shape: "rectangle", dims: { L: 48, W: 25.5 }, qty: 1, sinks: [], color: "bergen", edges: ["bottom"], backsplash: false, zip: "63052" };
+let server;
+let base;
+let eventSeq = 0;
+
+test.before(async () => {
+  server = await startServer(dataDir, { CHECKOUT_RECOVERY: "off" });
+  base = server.base;
+});
+
+test.after(() => server?.stop());
+
+function session(id, fields = {}) {
+  return {
+    id,
+    object: "checkout.session",
+    amount_total: 150000,
+    currency: "usd",
+    payment_intent: `pi_${id}`,
+    payment_status: "paid",
+    customer_details: { email: "buyer@example.com", address: { postal_code: "63052" } },
+    metadata: { cfg: Buffer.from(JSON.stringify(cfg)).toString("base64"), zip: cfg.zip },
+    ...fields,
+  };
+}
+
+function event(type, object) {
+  eventSeq += 1;
+  return { id: `evt_test_${eventSeq}`, object: "event", type, data: { object } };
+}
+
+async function deliver(evt) {
+  const payload = JSON.stringify(evt);
+  const res = await fetch(`${base}/api/checkout-webhook`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET }),
+    },
+    body: payload,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const readData = (name) => readStore(dataDir, name);
+const orderOf = (id) => readData("orders.json")[id];
+const emailsFor = (id) => Object.values(readData("outbox.json")).filter((m) => m.orderId === id);
+
+test("a redelivered event is acknowledged without running the order again", async () => {
+  const evt = event("checkout.session.completed", session("cs_test_dup"));
+  const first = await deliver(evt);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.duplicate, undefined);
+  assert.equal(orderOf("cs_test_dup").status, "paid");
+  assert.deepEqual(emailsFor("cs_test_dup").map((m) => m.kind).sort(), ["customer", "internal"]);
+
+  const second = await deliver(evt);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(emailsFor("cs_test_dup").length, 2);
+  assert.equal(orderOf("cs_test_dup").effects.dxf.attempts, 1);
+  assert.equal(readData("webhook-events.json")[evt.id].status, "done");
+});
+
+test("a bad signature is refused", async () => {
+  const res = await fetch(`${base}/api/checkout-webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "stripe-signature": "t=1,v1=bad" },
+    body: JSON.stringify(event("checkout.session.completed", session("cs_test_forged"))),
+  });
+  assert.equal(res.status, 400);
+  assert.equal(orderOf("cs_test_forged"), undefined);
+});
+
+test("a bank debit is held as payment_pending until the payment succeeds", async () => {
+  const id = "cs_test_ach";
+  const pending = await deliver(event("checkout.session.completed", session(id, { payment_status: "unpaid" })));
+  assert.equal(pending.status, 200);
+  assert.equal(orderOf(id).status, "payment_pending");
+  assert.equal(orderOf(id).effects, undefined);
+  assert.equal(emailsFor(id).length, 0);
+
+  const paid = await deliver(event("checkout.session.async_payment_succeeded", session(id)));
+  assert.equal(paid.status, 200);
+  const order = orderOf(id);
+  assert.equal(order.status, "paid");
+  assert.deepEqual(order.history.map((h) => h.status), ["payment_pending", "paid"]);
+  assert.equal(order.effects.dxf.done, true);
+  assert.deepEqual(emailsFor(id).map((m) => m.kind).sort(), ["customer", "internal"]);
+});
+
+test("a failed bank debit never reaches production", async () => {
+  const id = "cs_test_ach_failed";
+  await deliver(event("checkout.session.completed", session(id, { payment_status: "unpaid" })));
+  const failed = await deliver(event("checkout.session.async_payment_failed", session(id, { payment_status: "unpaid" })));
+  assert.equal(failed.status, 200);
+  const order = orderOf(id);
+  assert.equal(order.status, "payment_failed");
+  assert.equal(order.effects?.dxf, undefined);
+  assert.ok(!emailsFor(id).some((m) => m.kind === "customer"));
+});
+
+test("an event still being processed is in flight; a failed one is retried", async () => {
+  const log = createWebhookEventLog(path.join(dataDir, "event-log"));
+  const evt = event("checkout.session.completed", session("cs_test_log"));
+  assert.equal(await log.begin(evt), "new");
+  assert.equal(await log.begin(evt), "in-flight");
+  await log.fail(evt.id, new Error("SMTP down"));
+  assert.equal(await log.begin(evt), "retry");
+  assert.equal((await log.getEvent(evt.id)).attempts, 2);
+  await log.complete(evt.id);
+  assert.equal(await log.begin(evt), "done");
+});
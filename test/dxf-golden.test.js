@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+import { fileURLToPath } from "node:url";
+import "../public/rcg-dxf.js";
+
+// Golden files for the shared DXF writer. The configurator's "email DXF"
+// and the order webhook both call RCGDxf.buildDXF, so these pin the cut
+// file the shop gets either way. After an intended geometry change, run
+// `UPDATE_GOLDEN=1 npm test` and review the fixture diff.
+
+const { RCGDxf } = globalThis;
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const fixtures = path.join(root, "test", "fixtures", "dxf");
+const LABEL = "RCG golden";
+
+const CASES = {
+  "rectangle-plain": { shape: "rectangle", dims: { L: 36, W: 22 }, edges: [], backsplash: false, sinks: [] },
+  "rectangle-polished": { shape: "rectangle", dims: { L: 48, W: 25.5 }, edges: ["top", "right", "bottom", "left"], backsplash: true, sinks: [] },
+  "rectangle-backsplash": { shape: "rectangle", dims: { L: 60, W: 24 }, edges: ["bottom"], backsplash: true, sinks: [] },
+  "rectangle-sinks": {
+    shape: "rectangle",
+    dims: { L: 72, W: 25 },
+    edges: ["bottom", "left"],
+    backsplash: true,
+    sinks: [
+      { key: "bath-oval", x: 18, y: 12.5, faucet: "3", spread: 8 },
+      { key: "kitchen-rect", x: 50, y: 13, faucet: "1" },
+    ],
+  },
+  "rectangle-sink-4in": { shape: "rectangle", dims: { L: 30, W: 22 }, edges: ["bottom"], backsplash: false, sinks: [{ key: "bath-rect", x: 15, y: 11, faucet: "3", spread: 4 }] },
+  circle: { shape: "circle", dims: { D: 36 }, edges: [], backsplash: false, sinks: [] },
+  "polygon-hexagon": { shape: "polygon", dims: { n: 6, A: 12 }, edges: [], backsplash: false, sinks: [] },
+  "polygon-octagon": { shape: "polygon", dims: { n: 8, A: 10.5 }, edges: [], backsplash: false, sinks: [] },
+};
+
+const MODES = {
+  nominal: { suffix: ".dxf", options: { label: LABEL } },
+  cnc: { suffix: ".cnc.dxf", options: { label: LABEL, mode: "cnc" } },
+};
+
+for (const [name, cfg] of Object.entries(CASES)) {
+  for (const [mode, { suffix, options }] of Object.entries(MODES)) {
+    test(`${name} (${mode}) matches its golden file`, () => {
+      const file = path.join(fixtures, `${name}${suffix}`);
+      const actual = RCGDxf.buildDXF(cfg, options);
+      if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, actual);
+      assert.ok(fs.existsSync(file), `missing ${path.relative(root, file)}; run UPDATE_GOLDEN=1 npm test`);
+      assert.equal(actual, fs.readFileSync(file, "utf8"));
+    });
+  }
+}
+
+test("an unknown shape still yields a file with only a note", () => {
+  const dxf = RCGDxf.buildDXF({ shape: "blob" }, { label: LABEL });
+  assert.match(dxf, /RCG golden \(unknown shape "blob"\)/);
+  assert.doesNotMatch(dxf, /\r\nPOLYLINE\r\n|\r\nCIRCLE\r\n|\r\nLINE\r\n/);
+});
+
+test("every handle is unique and every layer used is declared", () => {
+  for (const cfg of Object.values(CASES)) {
+    for (const { options } of Object.values(MODES)) {
+      const lines = RCGDxf.buildDXF(cfg, options).split("\r\n");
+      const pairs = [];
+      for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([lines[i], lines[i + 1]]);
+      const handles = pairs.filter(([code]) => code === "5").map(([, v]) => parseInt(v, 16));
+      const seed = handles.shift();
+      assert.equal(new Set(handles).size, handles.length);
+      assert.ok(seed > Math.max(...handles));
+      const declared = new Set();
+      let inLayer = false;
+      pairs.forEach(([code, v]) => {
+        if (code === "0") inLayer = v === "LAYER";
+        if (inLayer && code === "2") declared.add(v);
+      });
+      pairs.filter(([code]) => code === "8").forEach(([, layer]) => assert.ok(declared.has(layer), `layer ${layer} is not declared`));
+    }
+  }
+});
+
+test("the header declares R12 and inch units, and the notes repeat them", () => {
+  for (const cfg of Object.values(CASES)) {
+    for (const { options } of Object.values(MODES)) {
+      const lines = RCGDxf.buildDXF(cfg, options).split("\r\n");
+      const header = lines.slice(0, lines.indexOf("ENDSEC"));
+      const variable = (name) => header[header.indexOf(name) + 2];
+      assert.equal(variable("$ACADVER"), "AC1009");
+      assert.equal(variable("$INSUNITS"), "1");
+      assert.equal(variable("$MEASUREMENT"), "0");
+      assert.ok(lines.includes('Units: inches (1 drawing unit = 1")'));
+    }
+  }
+});
+
+// Neither caller may grow its own writer again.
+test("the configurator and the webhook both use RCGDxf.buildDXF", () => {
+  const configurator = fs.readFileSync(path.join(root, "public", "rcg-configurator.js"), "utf8");
+  const server = fs.readFileSync(path.join(root, "server.js"), "utf8");
+  assert.match(configurator, /window\.RCGDxf\.buildDXF\(/);
+  assert.doesNotMatch(configurator, /function buildDXF\b/);
+  assert.match(server, /RCGDxf\.buildDXF\(cfg, \{ label: /);
+  assert.doesNotMatch(server, /function buildDXF\b/);
+});
+
+test("the configurator draws the sink templates the cut file cuts", () => {
+  const configurator = fs.readFileSync(path.join(root, "public", "rcg-configurator.js"), "utf8");
+  assert.match(configurator, /SINK_TEMPLATES = window\.RCGDxf\.SINKS;/);
+  assert.doesNotMatch(configurator, /'bath-oval':\s*\{/);
+  Object.values(RCGDxf.SINKS).forEach((t) => assert.ok(t.label && t.w > 0 && t.h > 0));
+});
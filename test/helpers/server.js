@@ -0,0 +1,77 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export const WEBHOOK_SECRET = "whsec_test";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on("error", reject);
+  });
+}
+
+// A scratch DATA_DIR for startServer; `seed` may fill it first.
+export function tempDataDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "rcg-server-"));
+}
+
+// Runs server.js on a free port against `dataDir`, mailing to .eml files
+// and with a placeholder Stripe key: only paths that never call the Stripe
+// API can be tested this way. Resolves once the server is listening.
+export async function startServer(dataDir, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      STRIPE_SECRET_KEY: "sk_test_placeholder",
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      MAIL_TRANSPORT: "file",
+      MAIL_FILE_DIR: path.join(dataDir, "mail"),
+      NODE_ENV: "test",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let log = "";
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => {
+      log += chunk;
+      if (log.includes("Server listening")) resolve();
+    });
+    child.stderr.on("data", (chunk) => { log += chunk; });
+    child.on("exit", (code) => reject(new Error(`server.js exited (${code}):\n${log}`)));
+  });
+  return {
+    base: `http://127.0.0.1:${port}`,
+    log: () => log,
+    async stop() {
+      if (child.exitCode == null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// A store file as the server last wrote it; {} before the first write.
+export function readData(dataDir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, name), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+}
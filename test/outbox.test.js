@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { backoffMs, createOutbox } from "../lib/outbox.js";
+
+// The mail outbox against a scripted transport. The clock is mocked so
+// backoff and the 429 pause can be stepped through without waiting.
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rcg-outbox-"));
+  dirs.push(dir);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-19T12:00:00Z") });
+  ["log", "warn", "error"].forEach((level) => t.mock.method(console, level, () => {}));
+
+  const sent = [];
+  const failures = [];
+  const transport = {
+    name: "test",
+    async send(message) {
+      if (failures.length) throw failures.shift();
+      sent.push(message);
+      return { id: `provider_${sent.length}` };
+    },
+  };
+  const outbox = createOutbox(dir, { transport, ...options });
+  return {
+    dir,
+    outbox,
+    sent,
+    failWith: (...errors) => failures.push(...errors),
+    advance: (ms) => t.mock.timers.tick(ms),
+    now: () => Date.now(),
+  };
+}
+
+const message = { to: "buyer@example.com", subject: "Your order", html: "<p>Thanks</p>", text: "Thanks" };
+
+function rateLimited(retryAfterMs) {
+  return Object.assign(new Error("Too many requests"), { status: 429, retryAfterMs });
+}
+
+test("backoff doubles from 30 seconds and stops at an hour", () => {
+  assert.deepEqual([1, 2, 3, 4].map(backoffMs), [30000, 60000, 120000, 240000]);
+  assert.equal(backoffMs(8), 60 * 60 * 1000);
+  assert.equal(backoffMs(20), 60 * 60 * 1000);
+});
+
+test("a queued message is sent once and its key makes enqueue idempotent", async (t) => {
+  const { outbox, sent } = setup(t);
+  const first = await outbox.enqueue(message, { kind: "customer", orderId: "cs_1", key: "cs_1:customerEmail" });
+  assert.equal(first.status, "queued");
+  const again = await outbox.enqueue({ ...message, subject: "Changed" }, { key: "cs_1:customerEmail" });
+  assert.equal(again.subject, "Your order");
+
+  const record = await outbox.attempt(first.id);
+  assert.equal(record.status, "sent");
+  assert.equal(record.attempts, 1);
+  assert.equal(record.providerId, "provider_1");
+  assert.equal((await outbox.attempt(first.id)).status, "sent");
+  assert.equal(sent.length, 1);
+});
+
+test("a failed send waits out its backoff before the next attempt", async (t) => {
+  const { outbox, sent, failWith, advance, now } = setup(t);
+  failWith(new Error("connection reset"), new Error("connection reset"));
+  const { id } = await outbox.enqueue(message);
+
+  let record = await outbox.attempt(id);
+  assert.equal(record.status, "queued");
+  assert.equal(record.attempts, 1);
+  assert.equal(record.lastError, "connection reset");
+  assert.equal(Date.parse(record.nextAttemptAt), now() + backoffMs(1));
+
+  // Not due yet: neither a direct attempt nor a sweep touches it.
+  record = await outbox.attempt(id);
+  assert.equal(record.attempts, 1);
+  await outbox.deliverDue();
+  assert.equal((await outbox.get(id)).attempts, 1);
+
+  advance(backoffMs(1));
+  record = await outbox.attempt(id);
+  assert.equal(record.attempts, 2);
+  assert.equal(Date.parse(record.nextAttemptAt), now() + backoffMs(2));
+
+  advance(backoffMs(2));
+  await outbox.deliverDue();
+  record = await outbox.get(id);
+  assert.equal(record.status, "sent");
+  assert.equal(record.attempts, 3);
+  assert.equal(sent.length, 1);
+});
+
+test("a 429 pauses every send for Retry-After and does not count as an attempt", async (t) => {
+  const { outbox, sent, failWith, advance, now } = setup(t);
+  const a = await outbox.enqueue(message, { key: "a" });
+  advance(1);
+  const b = await outbox.enqueue({ ...message, to: "other@example.com" }, { key: "b" });
+  failWith(rateLimited(90000));
+
+  let record = await outbox.attempt(a.id);
+  assert.equal(record.status, "queued");
+  assert.equal(record.attempts, 0);
+  assert.equal(record.rateLimited, 1);
+  assert.equal(Date.parse(record.nextAttemptAt), now() + 90000);
+
+  // The other message is due but the pause holds it back too.
+  assert.equal((await outbox.attempt(b.id)).status, "queued");
+  await outbox.deliverDue();
+  assert.equal(sent.length, 0);
+
+  advance(90000);
+  await outbox.deliverDue();
+  assert.equal((await outbox.get(a.id)).status, "sent");
+  assert.equal((await outbox.get(b.id)).status, "sent");
+  assert.equal((await outbox.get(a.id)).attempts, 1);
+});
+
+test("a message is dead-lettered after maxAttempts and staff can resend it", async (t) => {
+  const { outbox, sent, failWith, advance } = setup(t, { maxAttempts: 3 });
+  failWith(new Error("550 mailbox unavailable"), new Error("550 mailbox unavailable"), new Error("550 mailbox unavailable"));
+  const { id } = await outbox.enqueue(message, { kind: "customer", orderId: "cs_2" });
+
+  let record;
+  for (let i = 1; i <= 3; i += 1) {
+    record = await outbox.attempt(id);
+    advance(backoffMs(i));
+  }
+  assert.equal(record.status, "dead");
+  assert.equal(record.attempts, 3);
+  assert.equal(record.nextAttemptAt, null);
+  assert.ok(record.deadAt);
+
+  // Dead messages are not swept.
+  await outbox.deliverDue();
+  assert.equal((await outbox.get(id)).status, "dead");
+  assert.deepEqual((await outbox.list({ status: "dead" })).map((r) => r.id), [id]);
+
+  record = await outbox.requeue(id, { by: "admin" });
+  assert.equal(record.status, "queued");
+  assert.equal(record.attempts, 0);
+  assert.deepEqual(record.requeued.map((r) => [r.by, r.from]), [["admin", "dead"]]);
+  record = await outbox.attempt(id);
+  assert.equal(record.status, "sent");
+  assert.equal(sent.length, 1);
+});
+
+test("attachments are kept on disk and handed back to the transport as base64", async (t) => {
+  const { dir, outbox, sent } = setup(t);
+  const dxf = Buffer.from("0\nSECTION\n").toString("base64");
+  const { id } = await outbox.enqueue({
+    ...message,
+    attachments: [{ filename: "RCG_1.dxf", content: dxf }, { filename: "piece.png", content: "iVBORw0K", contentId: "piece" }],
+  }, { key: "order/1:internal" });
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, "outbox.json"), "utf8"))[id];
+  assert.deepEqual(stored.message.attachments, [
+    { filename: "RCG_1.dxf", file: "0" },
+    { filename: "piece.png", file: "1", contentId: "piece" },
+  ]);
+  const fileDir = path.join(dir, "outbox-files", encodeURIComponent(id));
+  assert.equal(fs.readFileSync(path.join(fileDir, "0"), "utf8"), "0\nSECTION\n");
+
+  await outbox.attempt(id);
+  assert.deepEqual(sent[0].attachments, [
+    { filename: "RCG_1.dxf", content: dxf },
+    { filename: "piece.png", content: "iVBORw0K", contentId: "piece" },
+  ]);
+});
+
+test("compaction drops old sent bodies but keeps records an order points at", async (t) => {
+  const { dir, outbox, now } = setup(t, { retentionDays: 30 });
+  const attachments = [{ filename: "a.txt", content: Buffer.from("a").toString("base64") }];
+  const order = await outbox.enqueue({ ...message, attachments }, { orderId: "cs_3", key: "cs_3:customerEmail" });
+  const loose = await outbox.enqueue({ ...message, attachments }, { key: "quote-email" });
+  const queued = await outbox.enqueue(message, { key: "still-queued" });
+  await outbox.attempt(order.id);
+  await outbox.attempt(loose.id);
+
+  assert.equal(await outbox.compact(now() + 29 * 86400 * 1000), 0);
+  assert.equal(await outbox.compact(now() + 31 * 86400 * 1000), 2);
+
+  const kept = await outbox.get(order.id);
+  assert.equal(kept.status, "sent");
+  assert.equal(kept.message, undefined);
+  assert.ok(kept.compactedAt);
+  assert.equal(await outbox.get(loose.id), null);
+  assert.equal((await outbox.get(queued.id)).status, "queued");
+  assert.equal(fs.existsSync(path.join(dir, "outbox-files", encodeURIComponent(order.id))), false);
+  // A compacted message has nothing left to resend.
+  assert.equal((await outbox.requeue(order.id)).status, "sent");
+});
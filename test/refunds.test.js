@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import express from "express";
+import { createAdminRouter } from "../lib/admin.js";
+import { createOrderStore } from "../lib/orders.js";
+import { appRefundedCents, refundableLines, refundedCents } from "../lib/refunds.js";
+
+// Staff refunds: how much each line can still give back, and how a refund
+// waiting on Stripe is counted so its charge.refunded webhook is not taken
+// for a refund made outside the app.
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rcg-refunds-"));
+  dirs.push(dir);
+  return dir;
+}
+
+// Two pieces at $1,500.00 each: $150 freight, $200 sink and $90 backsplash
+// per piece, $84.75 tax on the order.
+const order = (fields = {}) => ({
+  id: "cs_test_refund",
+  amountTotal: 300000,
+  config: { qty: 2 },
+  pricing: { ship: { ltl: 150 }, sinks: 200, backsplash: 90, tax: 42.375 },
+  tax: { amountCents: 8475 },
+  ...fields,
+});
+
+test("each line is capped at what it charged, less what was refunded on it", () => {
+  const { remainingTotal, lines } = refundableLines(order({
+    refunds: [{ id: "re_1", line: "freight", amountCents: 10000 }, { id: "re_2", line: "other", amountCents: 2500 }],
+  }));
+  assert.equal(remainingTotal, 300000 - 12500);
+  assert.deepEqual(lines.freight, { label: "Freight", chargedCents: 30000, refundedCents: 10000, remainingCents: 20000 });
+  assert.equal(lines.sinks.remainingCents, 40000);
+  assert.equal(lines.backsplash.remainingCents, 18000);
+  assert.equal(lines.tax.remainingCents, 8475);
+  assert.deepEqual(lines.other, { label: "Other", chargedCents: null, refundedCents: 2500, remainingCents: 287500 });
+});
+
+test("no line can give back more than is left on the order", () => {
+  const { remainingTotal, lines } = refundableLines(order({ refundedCents: 295000 }));
+  assert.equal(remainingTotal, 5000);
+  assert.equal(lines.sinks.remainingCents, 5000);
+  assert.equal(lines.tax.remainingCents, 5000);
+  assert.equal(lines.other.remainingCents, 5000);
+  assert.equal(refundableLines(order({ refundedCents: 300000 })).lines.freight.remainingCents, 0);
+});
+
+test("pending refunds and ZIP re-quote refunds count as the app's own", () => {
+  const pending = order({
+    refunds: [{ id: "re_1", line: "sinks", amountCents: 20000 }],
+    pendingRefunds: [{ key: "staff-refund-cs_test_refund-1-tax-8475", line: "tax", amountCents: 8475 }],
+    balance: { action: "refund", deltaCents: -1200 },
+  });
+  assert.equal(appRefundedCents(pending), 20000 + 8475 + 1200);
+  assert.equal(refundedCents(pending), 29675);
+  assert.equal(refundableLines(pending).remainingTotal, 300000 - 29675);
+
+  // Stripe reporting the same total (charge.refunded) leaves nothing outside
+  // the app; a dashboard refund on top of it shows up as the difference.
+  assert.equal(refundedCents({ ...pending, refundedCents: 29675 }) - appRefundedCents(pending), 0);
+  assert.equal(refundedCents({ ...pending, refundedCents: 39675 }) - appRefundedCents(pending), 10000);
+  // An invoiced balance is money owed to us, not a refund.
+  assert.equal(appRefundedCents(order({ balance: { action: "invoice", deltaCents: 1200 } })), 0);
+});
+
+async function savedOrder(orders, id = "cs_test_refund") {
+  const { config, pricing, tax } = order();
+  return orders.saveCompletedOrder({
+    session: { id, payment_status: "paid", payment_intent: `pi_${id}`, amount_total: 300000, currency: "usd" },
+    config,
+    pricing,
+    tax,
+    customerEmail: "buyer@example.com",
+    shortId: id.slice(-8).toUpperCase(),
+  });
+}
+
+test("a pending refund is replaced by the Stripe refund, or cleared if Stripe refused it", async () => {
+  const orders = createOrderStore(tempDir());
+  const { id } = await savedOrder(orders);
+
+  let saved = await orders.recordPendingRefund(id, { key: "k1", line: "tax", amountCents: 8475, by: "admin" });
+  assert.deepEqual(saved.pendingRefunds.map((r) => r.key), ["k1"]);
+  // Until Stripe answers, the line and the order are both held back.
+  assert.equal(refundableLines(saved).lines.tax.remainingCents, 0);
+  assert.equal(refundableLines(saved).remainingTotal, 300000 - 8475);
+  // Recording the same key again (a retried request) does not double it.
+  saved = await orders.recordPendingRefund(id, { key: "k1", line: "tax", amountCents: 8475, by: "admin" });
+  assert.equal(appRefundedCents(saved), 8475);
+
+  saved = await orders.recordRefund(id, { id: "re_1", line: "tax", amountCents: 8475 }, { pendingKey: "k1" });
+  assert.deepEqual(saved.pendingRefunds, []);
+  assert.equal(appRefundedCents(saved), 8475);
+  assert.equal(refundableLines(saved).lines.tax.remainingCents, 0);
+  saved = await orders.recordRefund(id, { id: "re_1", line: "tax", amountCents: 8475 }, { pendingKey: "k1" });
+  assert.equal(saved.refunds.length, 1);
+
+  await orders.recordPendingRefund(id, { key: "k2", line: "sinks", amountCents: 5000, by: "admin" });
+  saved = await orders.clearPendingRefund(id, "k2");
+  assert.deepEqual(saved.pendingRefunds, []);
+  assert.equal(appRefundedCents(saved), 8475);
+});
+
+test("the admin refund endpoint refuses more than is left on the line", async (t) => {
+  const orders = createOrderStore(tempDir());
+  const { id } = await savedOrder(orders);
+  t.mock.method(console, "log", () => {});
+  const issued = [];
+  const issueRefund = async (o, { line, amountCents, reason, by }) => {
+    const key = `staff-refund-${o.id}-${(o.refunds || []).length}-${line}-${amountCents}`;
+    await orders.recordPendingRefund(o.id, { key, line, amountCents, by });
+    const refund = { id: `re_${issued.length + 1}`, line, amountCents, reason, by };
+    issued.push(refund);
+    return { refund, order: await orders.recordRefund(o.id, refund, { pendingKey: key }) };
+  };
+  const app = express();
+  app.use("/admin", createAdminRouter({ orders, issueRefund }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const refund = async (body) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/admin/orders/${id}/refunds`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ reason: "Damaged in transit", notify: false, ...body }),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  let res = await refund({ line: "sinks", amountCents: 40001 });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.availableCents, 40000);
+  assert.equal(issued.length, 0);
+
+  res = await refund({ line: "sinks", amountCents: 25000 });
+  assert.equal(res.status, 200);
+  res = await refund({ line: "sinks", amountCents: 20000 });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.availableCents, 15000);
+
+  // No amount refunds what is left on the line.
+  res = await refund({ line: "sinks" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(issued.map((r) => r.amountCents), [25000, 15000]);
+  assert.equal((await refund({ line: "nope" })).status, 400);
+  assert.equal((await refund({ line: "tax", amountCents: -5 })).status, 400);
+  assert.deepEqual((await orders.getOrder(id)).pendingRefunds, []);
+});
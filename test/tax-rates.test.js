@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { loadTaxTable, requireZipRates } from "../lib/tax-rates.js";
+import "../public/rcg-pricing.js";
+
+// The sales tax table: what TAX_RATES_FILE may contain, and the order the
+// pricing engine looks a ZIP up in (exact ZIP, then the ZIP's state, then
+// the default rate).
+
+const { RCGPricing } = globalThis;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rcg-tax-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeTable(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const lookup = (table, mode = "table") => RCGPricing.createPricing({ tax: { ...table, mode } }).taxLookup;
+
+test("the bundled table has state rates and no ZIP rows", () => {
+  const table = loadTaxTable();
+  assert.equal(table.states.MO.rate, 0.04225);
+  assert.deepEqual(table.zips, {});
+  assert.ok(table.zip3States.length > 0);
+  assert.throws(() => requireZipRates(table), /has no ZIP rates/);
+});
+
+test("a CSV table reads ZIP and state rows and keeps the bundled ZIP-to-state map", () => {
+  const file = writeTable("rates.csv", [
+    "# Missouri, October 2026",
+    "zip,state,rate,jurisdiction",
+    "63052,MO,0.08475,Imperial (Jefferson Co.)",
+    "63101,,0.09679,",
+    ",mo,0.05,",
+    "",
+  ].join("\n"));
+  const table = loadTaxTable(file);
+  assert.match(table.version, /^rates\.csv@[0-9a-f]{8}$/);
+  assert.equal(table.source, file);
+  assert.deepEqual(table.zips["63052"], { rate: 0.08475, jurisdiction: "Imperial (Jefferson Co.)" });
+  assert.deepEqual(table.zips["63101"], { rate: 0.09679, jurisdiction: "63101" });
+  assert.deepEqual(table.states, { MO: { rate: 0.05, name: "MO" } });
+  assert.equal(table.defaultRate, loadTaxTable().defaultRate);
+  assert.deepEqual(table.zip3States, loadTaxTable().zip3States);
+  assert.doesNotThrow(() => requireZipRates(table));
+});
+
+test("a JSON table overrides the bundled one", () => {
+  const file = writeTable("rates.json", JSON.stringify({
+    defaultRate: 0.06,
+    states: { IL: { rate: 0.0625, name: "Illinois" } },
+    zips: { 60601: { rate: 0.1025, jurisdiction: "Chicago" } },
+  }));
+  const table = loadTaxTable(file);
+  assert.match(table.version, /^rates\.json@[0-9a-f]{8}$/);
+  assert.equal(table.defaultRate, 0.06);
+  assert.equal(table.zips["60601"].rate, 0.1025);
+  assert.deepEqual(table.zip3States, loadTaxTable().zip3States);
+});
+
+test("a malformed CSV is rejected with its line number", () => {
+  const cases = [
+    ["zip,amount\n63052,0.08\n", /expected a header/],
+    ["zip,state,rate\n63052,MO,8.4\n", /:2: invalid rate "8\.4"/],
+    ["zip,state,rate\n63052,MO,\n", /:2: invalid rate ""/],
+    ["zip,state,rate\n,MO,0.05\n6305,MO,0.08\n", /:3: invalid ZIP "6305"/],
+    ["zip,state,rate\n,Missouri,0.05\n", /:2: row needs a ZIP or a two-letter state/],
+  ];
+  cases.forEach(([csv, error], i) => {
+    assert.throws(() => loadTaxTable(writeTable(`bad-${i}.csv`, csv)), error);
+  });
+});
+
+test("a ZIP is looked up exactly, then by its state, then at the default rate", () => {
+  const taxLookup = lookup(loadTaxTable(writeTable("lookup.csv", "zip,state,rate,jurisdiction\n63052,MO,0.08475,Imperial\n,MO,0.05,Missouri\n")));
+  assert.deepEqual(taxLookup("63052"), { rate: 0.08475, jurisdiction: "Imperial", state: "MO", source: "zip" });
+  assert.deepEqual(taxLookup("63101"), { rate: 0.05, jurisdiction: "Missouri", state: "MO", source: "state" });
+  // No Illinois row in this table, so Chicago falls through to the default.
+  assert.deepEqual(taxLookup("60601"), { rate: loadTaxTable().defaultRate, jurisdiction: "IL", state: "IL", source: "default" });
+  assert.equal(taxLookup("6305").source, "invalid");
+  assert.equal(taxLookup("").source, "invalid");
+});
+
+test("in Stripe Tax mode nothing is added for a valid ZIP", () => {
+  const taxLookup = lookup(loadTaxTable(), "stripe");
+  assert.deepEqual(taxLookup("63052"), { rate: 0, jurisdiction: null, state: "MO", source: "stripe_tax" });
+  assert.equal(taxLookup("abc").source, "invalid");
+});